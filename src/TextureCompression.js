@@ -10,6 +10,8 @@
  * - Automatic format selection based on device capabilities
  */
 
+import { WebGLState } from './core/WebGLState.js';
+
 class TextureCompression {
     constructor(gl) {
         this.gl = gl;
@@ -58,6 +60,7 @@ class TextureCompression {
      * Detect available compressed texture formats
      */
     _detectCompressedFormats() {
+        const gl = this.gl;
         const formats = {
             available: [],
             fallback: []
@@ -79,6 +82,7 @@ class TextureCompression {
         addFormat('COMPRESSED_RGB_ETC1', null, 'supportETC1', 95);
         addFormat('COMPRESSED_RGBA_ASTC', null, 'supportASTC', 90);
         addFormat('COMPRESSED_RGB_PVRTC', null, 'supportPVRT', 85);
+        addFormat('COMPRESSED_RGBA_PVRTC', null, 'supportPVRT', 80);
         
         // Desktop formats
         addFormat('COMPRESSED_RGB_S3TC', null, 'supportS3TC', 80);
@@ -87,6 +91,7 @@ class TextureCompression {
         // WebGL2 formats
         addFormat('COMPRESSED_RGB_ETC2', null, 'supportETC2', 85);
         addFormat('COMPRESSED_RGBA_ETC2', null, 'supportETC2', 80);
+        addFormat('COMPRESSED_RGBA_BPTC', null, 'supportBC', 85);
         
         // Sort by priority
         formats.available.sort((a, b) => b.priority - a.priority);
@@ -224,7 +229,7 @@ class TextureCompression {
                 
                 // Create texture
                 const texture = this.gl.createTexture();
-                this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+                WebGLState.get(this.gl).bindTexture(this.gl.TEXTURE_2D, texture);
                 
                 // Set parameters based on format
                 this._setTextureParameters(texture, format, generateMipmaps, anisotropicFiltering, maxAnisotropy);
@@ -255,7 +260,7 @@ class TextureCompression {
                     }
                 });
                 
-                this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+                WebGLState.get(this.gl).bindTexture(this.gl.TEXTURE_2D, null);
                 
                 resolve({
                     texture,
@@ -275,7 +280,7 @@ class TextureCompression {
      */
     _setTextureParameters(texture, format, generateMipmaps, anisotropicFiltering, maxAnisotropy) {
         const gl = this.gl;
-        gl.bindTexture(gl.TEXTURE_2D, texture);
+        WebGLState.get(gl).bindTexture(gl.TEXTURE_2D, texture);
         
         // Wrapping
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
@@ -305,7 +310,7 @@ class TextureCompression {
      */
     generateMipmaps(texture, baseLevel = 0, maxLevel = null) {
         const gl = this.gl;
-        gl.bindTexture(gl.TEXTURE_2D, texture);
+        WebGLState.get(gl).bindTexture(gl.TEXTURE_2D, texture);
         
         // Calculate max mipmap level if not provided
         if (maxLevel === null) {
@@ -445,7 +450,7 @@ class TextureAtlasManager {
         
         // Create WebGL texture from atlas
         const atlasTexture = this.gl.createTexture();
-        this.gl.bindTexture(this.gl.TEXTURE_2D, atlasTexture);
+        WebGLState.get(this.gl).bindTexture(this.gl.TEXTURE_2D, atlasTexture);
         this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, canvas);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR_MIPMAP_LINEAR);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
@@ -664,7 +669,7 @@ class TextureStreamingManager {
     async _processStreamingRequest(request) {
         try {
             const texture = this.gl.createTexture();
-            this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+            WebGLState.get(this.gl).bindTexture(this.gl.TEXTURE_2D, texture);
             
             // Set temporary texture
             this._setTemporaryTexture(texture);
@@ -696,7 +701,7 @@ class TextureStreamingManager {
                 }
             }
             
-            this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+            WebGLState.get(this.gl).bindTexture(this.gl.TEXTURE_2D, null);
             
             resolve({
                 texture,
@@ -712,7 +717,7 @@ class TextureStreamingManager {
 
     _setTemporaryTexture(texture) {
         const gl = this.gl;
-        gl.bindTexture(gl.TEXTURE_2D, texture);
+        WebGLState.get(gl).bindTexture(gl.TEXTURE_2D, texture);
         
         // Create 1x1 blue texture as placeholder
         const canvas = document.createElement('canvas');
@@ -759,7 +764,7 @@ class TextureStreamingManager {
 
     async _updateTexture(texture, imageData, quality) {
         const gl = this.gl;
-        gl.bindTexture(gl.TEXTURE_2D, texture);
+        WebGLState.get(gl).bindTexture(gl.TEXTURE_2D, texture);
         
         if (quality === 'low') {
             // Use NEAREST filtering for low quality
@@ -22,6 +22,26 @@ export const BlendMode = {
     COLOR_BURN: 'color-burn'
 };
 
+// Properties that feed an object's local matrix
+const TRANSFORM_PROPERTIES = new Set(['position', 'rotation', 'quaternion', 'scale']);
+
+/**
+ * Depth-first search for an object with the given name
+ * @param {Object} object - object to search from (inclusive)
+ * @param {string} name - name to find
+ * @returns {Object|null} matching object
+ */
+function findNodeByName(object, name) {
+    if (object.name === name) return object;
+    
+    for (const child of object.children || []) {
+        const found = findNodeByName(child, name);
+        if (found) return found;
+    }
+    
+    return null;
+}
+
 /**
  * AnimationMixer - Manages multiple animation clips for objects
  */
@@ -63,6 +83,9 @@ class AnimationMixer {
         
         // Event system
         this._listeners = new Map();
+
+        // Track name -> { target, property } resolved against the root hierarchy
+        this._bindings = new Map();
     }
 
     /**
@@ -354,16 +377,98 @@ class AnimationMixer {
                     values.reduce((sum, arr, index) => 
                         sum + arr[i] * weights[property][index], 0) / totalWeight
                 );
+            } else if (values.length > 1 && typeof values[0]?.x === 'number') {
+                blendedValue = this._blendVectors(values, weights[property], totalWeight);
             } else {
                 // For complex objects, use weighted average of first value
                 blendedValue = values[0];
             }
             
-            // Apply to root object
-            this._applyValueToProperty(this.root, property, blendedValue);
+            // Apply to the root or the named node inside it
+            const binding = this._resolveBinding(property);
+            this._applyValueToProperty(binding.target, binding.property, blendedValue);
+            
+            if (TRANSFORM_PROPERTIES.has(binding.property.split('.')[0]) && binding.target.markMatrixDirty) {
+                binding.target.markMatrixDirty();
+            }
         }
     }
 
+    /**
+     * Weighted average of vector-like values; quaternions (values with w) are
+     * sign-aligned to the first value and renormalized
+     * @param {Array<Object>} values - values to blend
+     * @param {Array<number>} weights - weight of each value
+     * @param {number} totalWeight - sum of weights
+     * @returns {Object} blended value
+     * @private
+     */
+    _blendVectors(values, weights, totalWeight) {
+        const first = values[0];
+        const isQuaternion = typeof first.w === 'number';
+        const result = { x: 0, y: 0, z: 0 };
+        if (isQuaternion) result.w = 0;
+        
+        values.forEach((value, index) => {
+            let weight = weights[index] / totalWeight;
+            
+            if (isQuaternion && first.x * value.x + first.y * value.y + first.z * value.z + first.w * value.w < 0) {
+                weight = -weight;
+            }
+            
+            result.x += (value.x || 0) * weight;
+            result.y += (value.y || 0) * weight;
+            result.z += (value.z || 0) * weight;
+            if (isQuaternion) result.w += value.w * weight;
+        });
+        
+        if (isQuaternion) {
+            const length = Math.hypot(result.x, result.y, result.z, result.w) || 1;
+            result.x /= length;
+            result.y /= length;
+            result.z /= length;
+            result.w /= length;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Resolve a track name to the object and property it drives. Names whose first
+     * segment is not a property of the root, such as "Hips.rotation", address the
+     * descendant with that name; node names may themselves contain dots.
+     * @param {string} trackName - track name
+     * @returns {{target: Object, property: string}} binding
+     * @private
+     */
+    _resolveBinding(trackName) {
+        let binding = this._bindings.get(trackName);
+        if (binding) return binding;
+        
+        binding = { target: this.root, property: trackName };
+        const parts = trackName.split('.');
+        
+        if (parts.length > 1 && !(parts[0] in this.root)) {
+            for (let i = parts.length - 1; i > 0; i--) {
+                const node = findNodeByName(this.root, parts.slice(0, i).join('.'));
+                if (node) {
+                    binding = { target: node, property: parts.slice(i).join('.') };
+                    break;
+                }
+            }
+        }
+        
+        this._bindings.set(trackName, binding);
+        return binding;
+    }
+
+    /**
+     * Forget resolved track bindings, e.g. after the root hierarchy changed
+     */
+    resetBindings() {
+        this._bindings.clear();
+    }
+
     /**
      * Apply a value to a property on an object
      * @param {Object} target - target object
@@ -383,7 +488,18 @@ class AnimationMixer {
             current = current[parts[i]];
         }
         
-        current[parts[parts.length - 1]] = value;
+        const key = parts[parts.length - 1];
+        const existing = current[key];
+        
+        // Copy vector-like values so targets never alias keyframe data
+        if (existing && typeof existing === 'object' && typeof value?.x === 'number') {
+            existing.x = value.x;
+            existing.y = value.y;
+            existing.z = value.z;
+            if (typeof value.w === 'number') existing.w = value.w;
+        } else {
+            current[key] = value;
+        }
     }
 
     /**
@@ -707,7 +823,8 @@ class AnimationAction {
      * @returns {Object} evaluated values
      */
     evaluate() {
-        return this.clip.evaluate(this.localTime, this.mixer.root);
+        // The mixer blends and applies the values itself
+        return this.clip.evaluate(this.localTime, null);
     }
 }
 
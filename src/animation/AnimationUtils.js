@@ -128,8 +128,13 @@ class AnimationUtils {
         
         // If cosTheta is close to 1, fall back to linear interpolation
         if (cosTheta > 1 - 1e-10) {
-            result.lerp(start, end, t);
-            return result;
+            result.set(
+                start.x + (end.x - start.x) * t,
+                start.y + (end.y - start.y) * t,
+                start.z + (end.z - start.z) * t,
+                start.w + (end.w - start.w) * t
+            );
+            return result.normalize();
         }
         
         const theta = Math.acos(cosTheta);
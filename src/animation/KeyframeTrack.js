@@ -29,6 +29,7 @@ class KeyframeTrack {
         this.valueSize = options.valueSize || 3;
         this.result = options.result || null;
         this.lerpFactor = options.lerpFactor || 1.0;
+        this.enabled = options.enabled !== false;
         
         // Sort times and values
         this._sortTimes();
@@ -123,7 +124,8 @@ class KeyframeTrack {
         
         switch (this.type) {
             case InterpolationType.STEP:
-                return localTime < 0.5 ? v0 : v1;
+                // Hold each key until the next one
+                return localTime >= 1 ? v1 : v0;
             case InterpolationType.LINEAR:
                 return this._linearInterpolate(easedTime, v0, v1);
             case InterpolationType.CUBIC:
@@ -234,7 +236,7 @@ class KeyframeTrack {
      * @protected
      */
     _quaternionInterpolate(t, v0, v1) {
-        return AnimationUtils.quaternionSlerp(t, v0, v1, this.result);
+        return AnimationUtils.quaternionSlerp(t, v0, v1, this.result || new Quaternion());
     }
 
     /**
@@ -228,13 +228,13 @@ export class PerspectiveCamera extends Camera {
         const vector = new Float32Array([worldPos.x, worldPos.y, worldPos.z, 1]);
         const result = new Float32Array(4);
 
-        // Multiply by view-projection matrix
+        // Multiply by view-projection matrix (column-major)
         for (let i = 0; i < 4; i++) {
             result[i] = 
-                this.viewProjectionMatrix[i * 4 + 0] * vector[0] +
-                this.viewProjectionMatrix[i * 4 + 1] * vector[1] +
-                this.viewProjectionMatrix[i * 4 + 2] * vector[2] +
-                this.viewProjectionMatrix[i * 4 + 3] * vector[3];
+                this.viewProjectionMatrix[0 + i] * vector[0] +
+                this.viewProjectionMatrix[4 + i] * vector[1] +
+                this.viewProjectionMatrix[8 + i] * vector[2] +
+                this.viewProjectionMatrix[12 + i] * vector[3];
         }
 
         // Perspective divide
@@ -115,9 +115,10 @@ export class OrbitControls {
         this.domElement.addEventListener('touchmove', this._onTouchMove, { passive: false });
         this.domElement.addEventListener('touchend', this._onTouchEnd, false);
         
-        document.addEventListener('mousemove', this._onMouseMove, false);
-        document.addEventListener('mouseup', this._onMouseUp, false);
-        document.addEventListener('keydown', this._onKeyDown, false);
+        const doc = this._getDocument();
+        doc.addEventListener('mousemove', this._onMouseMove, false);
+        doc.addEventListener('mouseup', this._onMouseUp, false);
+        doc.addEventListener('keydown', this._onKeyDown, false);
         
         // Set initial target distance
         this._updateDistance();
@@ -136,9 +137,17 @@ export class OrbitControls {
         this.domElement.removeEventListener('touchmove', this._onTouchMove, false);
         this.domElement.removeEventListener('touchend', this._onTouchEnd, false);
         
-        document.removeEventListener('mousemove', this._onMouseMove, false);
-        document.removeEventListener('mouseup', this._onMouseUp, false);
-        document.removeEventListener('keydown', this._onKeyDown, false);
+        const doc = this._getDocument();
+        doc.removeEventListener('mousemove', this._onMouseMove, false);
+        doc.removeEventListener('mouseup', this._onMouseUp, false);
+        doc.removeEventListener('keydown', this._onKeyDown, false);
+    }
+    
+    /**
+     * Document receiving drags and keys; an ElementProxy in a worker is its own document
+     */
+    _getDocument() {
+        return this.domElement.ownerDocument || document;
     }
     
     /**
@@ -248,7 +257,9 @@ export class OrbitControls {
         if (!this.enabled) return;
         
         event.preventDefault();
-        this.domElement.focus();
+        if (this.domElement.focus) {
+            this.domElement.focus();
+        }
         
         this.pointer.x = event.clientX;
         this.pointer.y = event.clientY;
@@ -667,9 +678,10 @@ export class OrbitControls {
     _getPanOffset(deltaX, deltaY, distance) {
         const offset = {};
         
-        // Calculate offset in camera space
-        offset.x = deltaX * distance * 2 / window.innerHeight;
-        offset.y = deltaY * distance * 2 / window.innerHeight;
+        // Calculate offset in camera space; workers have no window, only the element size
+        const height = typeof window !== 'undefined' ? window.innerHeight : (this.domElement && this.domElement.clientHeight) || 1;
+        offset.x = deltaX * distance * 2 / height;
+        offset.y = deltaY * distance * 2 / height;
         offset.z = 0;
         
         // Transform to world space
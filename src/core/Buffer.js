@@ -3,6 +3,9 @@
  * Manages WebGL buffer objects with performance optimizations
  */
 
+import { WebGLState } from './WebGLState.js';
+import { WebGLResources } from './WebGLResources.js';
+
 /**
  * Buffer usage types for performance optimization
  */
@@ -49,15 +52,20 @@ export class Buffer {
     this.isBound = false;
     this.isDirty = false;
     this.updateCount = 0;
+
+    // Element count and array type of the last upload, known even once the CPU copy is dropped
+    this.count = 0;
+    this.arrayType = null;
+
+    // Keep this.data for context restores; null follows WebGLResources.retainData
+    this.retainData = null;
   }
 
   /**
    * Bind the buffer to its target
    */
   bind() {
-    if (this.isBound) return;
-    
-    this.gl.bindBuffer(this.target, this.buffer);
+    WebGLState.get(this.gl).bindBuffer(this.target, this.buffer);
     this.isBound = true;
   }
 
@@ -65,9 +73,7 @@ export class Buffer {
    * Unbind the buffer
    */
   unbind() {
-    if (!this.isBound) return;
-    
-    this.gl.bindBuffer(this.target, null);
+    WebGLState.get(this.gl).bindBuffer(this.target, null);
     this.isBound = false;
   }
 
@@ -83,12 +89,18 @@ export class Buffer {
       this.usage = usage;
     }
 
-    this.data = data;
     this.byteLength = data.byteLength;
+    this.count = data.length ?? data.byteLength;
+    this.arrayType = data.constructor;
     this.isDirty = true;
     this.updateCount++;
 
     this.gl.bufferData(this.target, data, this.usage);
+
+    // Restored after a context loss from here on, until disposed
+    const resources = WebGLResources.get(this.gl);
+    resources.register(this);
+    this.data = resources.retains(this) ? data : null;
   }
 
   /**
@@ -122,6 +134,12 @@ export class Buffer {
 
     this.gl.bufferSubData(this.target, byteOffset, data);
     this.updateCount++;
+
+    // Keep the retained copy in step so a context restore uploads the current contents
+    if (this.data && this.data !== data) {
+      const source = new Uint8Array(data.buffer || data, data.byteOffset || 0, data.byteLength);
+      new Uint8Array(this.data.buffer, this.data.byteOffset + byteOffset, data.byteLength).set(source);
+    }
   }
 
   /**
@@ -201,6 +219,20 @@ export class Buffer {
     this.setData(newData);
   }
 
+  /**
+   * Recreate the GL buffer after a context loss and upload the retained data
+   * @returns {boolean} False when the data was dropped and the buffer is left zero-filled
+   */
+  restoreContext() {
+    this.buffer = this.gl.createBuffer();
+    this.isBound = false;
+    if (!this.byteLength) return true;
+
+    this.bind();
+    this.gl.bufferData(this.target, this.data || this.byteLength, this.usage);
+    return this.data !== null;
+  }
+
   /**
    * Dispose of WebGL resources
    */
@@ -209,9 +241,11 @@ export class Buffer {
       this.gl.deleteBuffer(this.buffer);
       this.buffer = null;
     }
+    WebGLResources.get(this.gl).unregister(this);
     
     this.data = null;
     this.byteLength = 0;
+    this.count = 0;
     this.isBound = false;
     this.isDirty = false;
   }
@@ -237,9 +271,7 @@ export class IndexBuffer extends Buffer {
    * @returns {number} Number of indices
    */
   getIndexCount() {
-    if (!this.data) return 0;
-    
-    return this.data.length;
+    return this.count;
   }
 
   /**
@@ -247,7 +279,7 @@ export class IndexBuffer extends Buffer {
    * @returns {boolean} True if using Uint32Array
    */
   isUint32() {
-    return this.data instanceof Uint32Array;
+    return this.arrayType === Uint32Array;
   }
 }
 
@@ -272,13 +304,13 @@ export class VertexBuffer extends Buffer {
    * @returns {number} Number of vertices
    */
   getVertexCount(stride = null) {
-    if (!this.data) return 0;
+    if (!this.byteLength) return 0;
     
     if (stride === null) {
-      stride = this.data.byteLength / (this.data.length / 3); // Assume 3 components per vertex
+      stride = this.byteLength / (this.count / 3); // Assume 3 components per vertex
     }
     
-    return Math.floor(this.data.byteLength / stride);
+    return Math.floor(this.byteLength / stride);
   }
 
   /**
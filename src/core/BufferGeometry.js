@@ -4,6 +4,7 @@
  */
 
 import { Buffer, IndexBuffer, VertexBuffer, BufferType, BufferUsage } from './Buffer.js';
+import { WebGLState } from './WebGLState.js';
 
 /**
  * Vertex attribute configuration
@@ -120,6 +121,11 @@ export class BufferGeometry {
     
     this._invalidateBounds();
     this.buffers.push(attribute.buffer);
+
+    // Without a retained CPU copy the positions are only available now
+    if (attribute.name === 'position' && data && !attribute.buffer.getData()) {
+      this.computeBoundingSphere(data);
+    }
   }
 
   /**
@@ -221,6 +227,8 @@ export class BufferGeometry {
    * @param {WebGLProgram} program - Shader program (optional, for automatic location binding)
    */
   enableAttributes(program = null) {
+    const state = WebGLState.get(this.gl);
+
     for (const attribute of this.getAttributes()) {
       attribute.buffer.bind();
       
@@ -229,8 +237,8 @@ export class BufferGeometry {
         attribute.location;
       
       if (location !== -1) {
-        this.gl.enableVertexAttribArray(location);
-        
+        state.enableVertexAttribArray(location);
+
         this.gl.vertexAttribPointer(
           location,
           attribute.size,
@@ -247,25 +255,26 @@ export class BufferGeometry {
    * Disable all attributes
    */
   disableAttributes() {
+    const state = WebGLState.get(this.gl);
+
     for (const attribute of this.getAttributes()) {
       const location = attribute.location;
       if (location !== -1) {
-        this.gl.disableVertexAttribArray(location);
+        state.disableVertexAttribArray(location);
       }
     }
   }
 
   /**
    * Compute bounding box from vertex positions
+   * @param {ArrayLike<number>} [positions] - Positions to use instead of the position buffer's CPU copy
    */
-  computeBoundingBox() {
-    const positionAttribute = this.attributes.get('position');
-    if (!positionAttribute || !positionAttribute.buffer.getData()) {
+  computeBoundingBox(positions = this._getPositionData()) {
+    if (!positions) {
       this.boundingBox = null;
       return;
     }
 
-    const positions = positionAttribute.buffer.getData();
     const vertexCount = this.vertexCount;
     
     let minX = Infinity, minY = Infinity, minZ = Infinity;
@@ -293,17 +302,17 @@ export class BufferGeometry {
 
   /**
    * Compute bounding sphere from vertex positions
+   * @param {ArrayLike<number>} [positions] - Positions to use instead of the position buffer's CPU copy
    */
-  computeBoundingSphere() {
-    const positionAttribute = this.attributes.get('position');
-    if (!positionAttribute || !positionAttribute.buffer.getData()) {
+  computeBoundingSphere(positions = this._getPositionData()) {
+    if (!positions) {
       this.boundingSphere = null;
       return;
     }
 
     // Use existing bounding box if available
     if (!this.boundingBox) {
-      this.computeBoundingBox();
+      this.computeBoundingBox(positions);
     }
 
     if (!this.boundingBox) {
@@ -318,7 +327,6 @@ export class BufferGeometry {
     };
 
     // Calculate maximum distance from center to any vertex
-    const positions = positionAttribute.buffer.getData();
     const vertexCount = this.vertexCount;
     
     let maxDistance = 0;
@@ -406,11 +414,23 @@ export class BufferGeometry {
     throw new Error('Geometry merging not yet implemented');
   }
 
+  /**
+   * CPU copy of the position attribute, if its buffer kept one
+   * @private
+   */
+  _getPositionData() {
+    const positionAttribute = this.attributes.get('position');
+    return positionAttribute ? positionAttribute.buffer.getData() : null;
+  }
+
   /**
    * Invalidate cached bounds
    * @private
    */
   _invalidateBounds() {
+    // Bounds computed before the position data was dropped cannot be recomputed
+    if (this.attributes.has('position') && !this._getPositionData()) return;
+
     this.boundingBox = null;
     this.boundingSphere = null;
   }
@@ -227,7 +227,8 @@ export class Camera extends Object3D {
      * Update view-projection matrix
      */
     updateViewProjectionMatrix() {
-        this.viewProjectionMatrix = this.multiplyMatrices(this.projectionMatrix, this.viewMatrix);
+        // multiplyMatrices(a, b) is b * a for these column-major arrays: projection * view
+        this.viewProjectionMatrix = this.multiplyMatrices(this.viewMatrix, this.projectionMatrix);
     }
 
     /**
@@ -292,6 +293,9 @@ export class Camera extends Object3D {
 
     /**
      * Get camera frustum for culling
+     * Planes are extracted from the rows of the view-projection matrix (Gribb/Hartmann),
+     * after the view matrix is brought up to date, with normals pointing into the frustum
+     * @returns {Object} { planes: [{ a, b, c, d }] } in world space: left, right, bottom, top, near, far
      */
     getFrustum() {
         this.updateMatrix();
@@ -299,14 +303,14 @@ export class Camera extends Object3D {
         const planes = [];
         const vp = this.viewProjectionMatrix;
 
-        // Extract frustum planes
+        // Row i of the column-major matrix is vp[i], vp[i + 4], vp[i + 8], vp[i + 12]
         const combinations = [
-            [vp[3] - vp[0], vp[7] - vp[4], vp[11] - vp[8], vp[15] - vp[12]], // Left
-            [vp[3] + vp[0], vp[7] + vp[4], vp[11] + vp[8], vp[15] + vp[12]], // Right
+            [vp[3] + vp[0], vp[7] + vp[4], vp[11] + vp[8], vp[15] + vp[12]], // Left
+            [vp[3] - vp[0], vp[7] - vp[4], vp[11] - vp[8], vp[15] - vp[12]], // Right
             [vp[3] + vp[1], vp[7] + vp[5], vp[11] + vp[9], vp[15] + vp[13]], // Bottom
             [vp[3] - vp[1], vp[7] - vp[5], vp[11] - vp[9], vp[15] - vp[13]], // Top
-            [vp[3] - vp[2], vp[7] - vp[6], vp[11] - vp[10], vp[15] - vp[14]], // Near
-            [vp[3] + vp[2], vp[7] + vp[6], vp[11] + vp[10], vp[15] + vp[14]]  // Far
+            [vp[3] + vp[2], vp[7] + vp[6], vp[11] + vp[10], vp[15] + vp[14]], // Near
+            [vp[3] - vp[2], vp[7] - vp[6], vp[11] - vp[10], vp[15] - vp[14]]  // Far
         ];
 
         for (let i = 0; i < 6; i++) {
@@ -378,13 +382,13 @@ export class Camera extends Object3D {
         const vector = new Float32Array([x, y, z, 1]);
         const result = new Float32Array(4);
 
-        // Multiply by inverse matrix
+        // Multiply by inverse matrix (column-major)
         for (let i = 0; i < 4; i++) {
             result[i] = 
-                inverseMatrix[i * 4 + 0] * vector[0] +
-                inverseMatrix[i * 4 + 1] * vector[1] +
-                inverseMatrix[i * 4 + 2] * vector[2] +
-                inverseMatrix[i * 4 + 3] * vector[3];
+                inverseMatrix[0 + i] * vector[0] +
+                inverseMatrix[4 + i] * vector[1] +
+                inverseMatrix[8 + i] * vector[2] +
+                inverseMatrix[12 + i] * vector[3];
         }
 
         // Perspective divide
@@ -408,13 +412,13 @@ export class Camera extends Object3D {
         const vector = new Float32Array([worldX, worldY, worldZ, 1]);
         const result = new Float32Array(4);
 
-        // Multiply by view-projection matrix
+        // Multiply by view-projection matrix (column-major)
         for (let i = 0; i < 4; i++) {
             result[i] = 
-                this.viewProjectionMatrix[i * 4 + 0] * vector[0] +
-                this.viewProjectionMatrix[i * 4 + 1] * vector[1] +
-                this.viewProjectionMatrix[i * 4 + 2] * vector[2] +
-                this.viewProjectionMatrix[i * 4 + 3] * vector[3];
+                this.viewProjectionMatrix[0 + i] * vector[0] +
+                this.viewProjectionMatrix[4 + i] * vector[1] +
+                this.viewProjectionMatrix[8 + i] * vector[2] +
+                this.viewProjectionMatrix[12 + i] * vector[3];
         }
 
         // Perspective divide
@@ -434,6 +438,10 @@ export class Camera extends Object3D {
      */
     isObjectVisible(object) {
         const frustum = this.getFrustum();
+        if (typeof object.intersectsFrustum === 'function') {
+            return object.intersectsFrustum(frustum);
+        }
+
         const worldPos = object.getWorldPosition();
         const worldScale = object.getWorldScale();
         const radius = Math.max(worldScale.x, worldScale.y, worldScale.z);
@@ -585,6 +593,28 @@ export class Camera extends Object3D {
         return rightEye;
     }
 
+    /**
+     * Split a viewport between the eyes for side-by-side stereo, as used by
+     * WebGLRenderer.render(); without stereo the camera gets the whole viewport
+     * @param {Object} viewport - { x, y, width, height } in drawing buffer pixels
+     * @returns {Array<{camera: Camera, viewport: Object}>} Left eye first
+     */
+    getStereoViews(viewport) {
+        if (!this.stereo.enabled) {
+            return [{ camera: this, viewport }];
+        }
+
+        const leftWidth = Math.floor(viewport.width / 2);
+        const rightWidth = viewport.width - leftWidth;
+        const leftEye = this.getLeftEye().setAspectRatio(leftWidth / viewport.height);
+        const rightEye = this.getRightEye().setAspectRatio(rightWidth / viewport.height);
+
+        return [
+            { camera: leftEye, viewport: { x: viewport.x, y: viewport.y, width: leftWidth, height: viewport.height } },
+            { camera: rightEye, viewport: { x: viewport.x + leftWidth, y: viewport.y, width: rightWidth, height: viewport.height } }
+        ];
+    }
+
     /**
      * Copy camera settings from another camera
      */
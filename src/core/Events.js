@@ -57,7 +57,8 @@ class EventEmitter {
 
         const listeners = this.events.get(event);
         listeners.forEach(wrapper => {
-            if (wrapper.originalListener === listener) {
+            // The unsubscribe function returned by on() passes the wrapper itself
+            if (wrapper === listener || wrapper.originalListener === listener) {
                 listeners.delete(wrapper);
             }
         });
@@ -4,6 +4,22 @@
  */
 
 import { Shader } from './Shader.js';
+import { WebGLState } from './WebGLState.js';
+import { WebGLPrograms } from './WebGLPrograms.js';
+import { getDefineLines } from './ShaderChunks.js';
+
+// Whether two sets of renderer defines produce the same program
+function sameDefines(a, b) {
+  a = a || {};
+  b = b || {};
+  for (const name in a) {
+    if (a[name] !== b[name]) return false;
+  }
+  for (const name in b) {
+    if (!(name in a)) return false;
+  }
+  return true;
+}
 
 export class Material {
   /**
@@ -25,11 +41,44 @@ export class Material {
     this.cullFace = true;
     this.cullFaceMode = 'back';
     this.transparent = false;
+    this.oit = false; // Shader writes weighted blended OIT outputs (see WeightedBlendedOIT)
     this.opacity = 1.0;
+    this.version = 0; // Bumped by needsUpdate = true and by replacing defines
+    this.defines = {}; // Extra #defines for compile(), on top of those derived from the flags
+    this.programVariant = null; // Defines and hook the current shader was compiled with
+    this.uniformBuffer = null; // UniformBuffer of per-material parameters, bound at UniformBlockBinding.MATERIAL
     this.needsUpdate = true;
     this.id = Material._generateId();
   }
 
+  /**
+   * Whether uniforms and textures are uploaded on the next apply(). Setting it to true also
+   * bumps the version, so the defines are derived again before the next draw; set it after
+   * changing texture slots, vertexColors or the contents of defines.
+   * @type {boolean}
+   */
+  get needsUpdate() {
+    return this._needsUpdate;
+  }
+
+  set needsUpdate(value) {
+    if (value) this.version++;
+    this._needsUpdate = value;
+  }
+
+  /**
+   * Extra #defines for compile(); replacing the object marks the material for an update
+   * @type {Object}
+   */
+  get defines() {
+    return this._defines;
+  }
+
+  set defines(value) {
+    this._defines = value;
+    this.needsUpdate = true;
+  }
+
   /**
    * Set a material property
    * @param {string} name - Property name
@@ -191,6 +240,148 @@ export class Material {
     this.needsUpdate = false;
   }
 
+  /**
+   * Defines the shader is compiled with: USE_VERTEX_COLORS for vertexColors, USE_<NAME> for
+   * every texture slot in use (map -> USE_MAP, clearcoatNormalMap -> USE_CLEARCOAT_NORMAL_MAP),
+   * then this.defines
+   * @returns {Object} Define name to value
+   */
+  getDefines() {
+    const defines = {};
+
+    if (this.vertexColors) {
+      defines.USE_VERTEX_COLORS = true;
+    }
+
+    for (const key of Object.keys(this)) {
+      if ((key === 'map' || /^[a-z][a-zA-Z]*Map$/.test(key)) && this[key]) {
+        defines[`USE_${key.replace(/([A-Z])/g, '_$1').toUpperCase()}`] = true;
+      }
+    }
+
+    return Object.assign(defines, this.defines);
+  }
+
+  /**
+   * Called by compile() before the sources are compiled. Assign a function to patch a
+   * material without subclassing it; edit shader.vertexShader, shader.fragmentShader and
+   * shader.defines in place.
+   * @param {Object} shader - { vertexShader, fragmentShader, defines, material }
+   */
+  onBeforeCompile(shader) {}
+
+  /**
+   * GLSL sources the renderer compiles for this material, or null if it brings its own
+   * shader. Materials that set vertexSource and fragmentSource get them compiled and
+   * prewarmed by the renderer with the defines of each object they are drawn on.
+   * @returns {Object|null} { vertexShader, fragmentShader }
+   */
+  getShaderSources() {
+    if (!this.vertexSource || !this.fragmentSource) return null;
+    return { vertexShader: this.vertexSource, fragmentShader: this.fragmentSource };
+  }
+
+  /**
+   * Whether the current shader was compiled for other defines, or none is ready yet. Called
+   * for every draw, so the material's own defines are compared by a key cached per version.
+   * @param {Object} [programDefines] - Defines from the renderer (lights, fog, skinning...)
+   * @returns {boolean}
+   */
+  needsProgram(programDefines = null) {
+    const variant = this.programVariant;
+    return !this.shader || typeof this.shader.isReady !== 'function' || !this.shader.isReady() ||
+      !variant || variant.onBeforeCompile !== this.onBeforeCompile ||
+      variant.definesKey !== this._getDefinesKey() ||
+      !sameDefines(variant.programDefines, programDefines);
+  }
+
+  /**
+   * Compile GLSL sources into this material's shader. The sources may use `#include <chunk>`
+   * (see ShaderChunks); onBeforeCompile() sees them before chunks are expanded. Programs
+   * come from the context's WebGLPrograms cache, so materials resolving to the same
+   * sources and defines share one.
+   * @param {WebGLRenderingContext} gl - The WebGL context
+   * @param {string} vertexSource - Vertex shader source
+   * @param {string} fragmentSource - Fragment shader source
+   * @param {Object} [programDefines] - Defines from the renderer; the material's own win
+   * @returns {Shader} The compiled shader, also stored as this.shader
+   */
+  compile(gl, vertexSource, fragmentSource, programDefines = null) {
+    const parameters = this._getCompileParameters(vertexSource, fragmentSource, programDefines);
+    const shader = WebGLPrograms.get(gl).acquire(parameters.vertexShader, parameters.fragmentShader, parameters.defines);
+    return this._setProgram(gl, shader, parameters.variant);
+  }
+
+  /**
+   * compile() without blocking: the driver compiles in the background where
+   * KHR_parallel_shader_compile is available. The current shader stays in use until
+   * the new one is linked.
+   * @param {WebGLRenderingContext} gl - The WebGL context
+   * @param {string} vertexSource - Vertex shader source
+   * @param {string} fragmentSource - Fragment shader source
+   * @param {Object} [programDefines] - Defines from the renderer; the material's own win
+   * @returns {Promise<Shader>} Resolves with the compiled shader, also stored as this.shader
+   */
+  compileAsync(gl, vertexSource, fragmentSource, programDefines = null) {
+    let parameters;
+    try {
+      parameters = this._getCompileParameters(vertexSource, fragmentSource, programDefines);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return WebGLPrograms.get(gl)
+      .acquireAsync(parameters.vertexShader, parameters.fragmentShader, parameters.defines)
+      .then(shader => this._setProgram(gl, shader, parameters.variant));
+  }
+
+  // Sorted define lines of getDefines(), derived again only once the version changes
+  _getDefinesKey() {
+    if (this._definesKeyVersion !== this.version) {
+      this._definesKey = getDefineLines(this.getDefines()).sort().join('\n');
+      this._definesKeyVersion = this.version;
+    }
+    return this._definesKey;
+  }
+
+  _getCompileParameters(vertexSource, fragmentSource, programDefines) {
+    // Derive the key again, in case slots were assigned without needsUpdate
+    this._definesKeyVersion = null;
+    const parameters = {
+      vertexShader: vertexSource,
+      fragmentShader: fragmentSource,
+      defines: { ...programDefines, ...this.getDefines() },
+      material: this
+    };
+    const variant = {
+      definesKey: this._getDefinesKey(),
+      programDefines: { ...programDefines },
+      onBeforeCompile: this.onBeforeCompile
+    };
+    this.onBeforeCompile(parameters);
+    return { ...parameters, variant };
+  }
+
+  _setProgram(gl, shader, variant) {
+    // Compiled twice for the same variant, e.g. by render() while compileAsync() was pending
+    if (shader === this.shader) {
+      WebGLPrograms.get(gl).release(shader);
+    } else {
+      this._releaseProgram();
+      this.shader = shader;
+    }
+    this.programVariant = variant;
+    // Uniforms go to the new program; the defines are unchanged, so the version stays
+    this._needsUpdate = true;
+    return shader;
+  }
+
+  // Hand a shared program back to the cache; false if the shader is not from one
+  _releaseProgram() {
+    const shader = this.shader;
+    if (!shader || shader.cacheKey == null || !shader.gl) return false;
+    return WebGLPrograms.get(shader.gl).release(shader);
+  }
+
   /**
    * Apply material state to WebGL context
    * @param {WebGLRenderingContext} gl - The WebGL context
@@ -213,49 +404,54 @@ export class Material {
       this.updateUniforms();
     }
 
-    // Apply blending
+    // State goes through the context's cache, which skips what is already set
+    const state = WebGLState.get(gl);
+
+    // Bind textures to their units
+    for (const texData of this.textures.values()) {
+      const texture = texData.texture;
+      if (texture && texture._glTexture !== undefined) {
+        state.bindTexture(texture._glTarget, texture._glTexture, texData.unit);
+      } else {
+        state.bindTexture(gl.TEXTURE_2D, texture || null, texData.unit);
+      }
+    }
+
+    // Apply blending; transparent materials default to straight alpha blending
     if (this.blending.enabled) {
-      gl.enable(gl.BLEND);
+      state.enable(gl.BLEND);
       if (this.blending.srcFactor && this.blending.dstFactor) {
-        gl.blendFunc(this.blending.srcFactor, this.blending.dstFactor);
+        state.blendFunc(this.blending.srcFactor, this.blending.dstFactor);
         if (this.blending.equation) {
-          gl.blendEquation(this.blending.equation);
+          state.blendEquation(this.blending.equation);
         }
       }
+    } else if (this.transparent) {
+      state.enable(gl.BLEND);
+      state.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      state.blendEquation(gl.FUNC_ADD);
     } else {
-      gl.disable(gl.BLEND);
+      state.disable(gl.BLEND);
     }
 
     // Apply depth test
-    if (this.depthTest) {
-      gl.enable(gl.DEPTH_TEST);
-    } else {
-      gl.disable(gl.DEPTH_TEST);
-    }
+    state.setEnabled(gl.DEPTH_TEST, this.depthTest);
 
     // Apply depth write
-    gl.depthMask(this.depthWrite);
+    state.depthMask(this.depthWrite);
 
     // Apply face culling
     if (this.cullFace) {
-      gl.enable(gl.CULL_FACE);
+      state.enable(gl.CULL_FACE);
       const cullMode = this.cullFaceMode === 'front' ? gl.FRONT :
                        this.cullFaceMode === 'back' ? gl.BACK :
                        gl.FRONT_AND_BACK;
-      gl.cullFace(cullMode);
+      state.cullFace(cullMode);
     } else {
-      gl.disable(gl.CULL_FACE);
+      state.disable(gl.CULL_FACE);
     }
   }
 
-  /**
-   * Check if this material needs an update
-   * @returns {boolean} True if material needs update
-   */
-  needsUpdate() {
-    return this.needsUpdate;
-  }
-
   /**
    * Mark material as updated
    */
@@ -285,6 +481,10 @@ export class Material {
    */
   clone() {
     const cloned = new Material(this.shader);
+    if (this.shader && this.shader.cacheKey != null && this.shader.gl) {
+      WebGLPrograms.get(this.shader.gl).retain(this.shader);
+      cloned.programVariant = this.programVariant;
+    }
     
     // Copy properties
     for (const [name, value] of this.properties) {
@@ -305,7 +505,10 @@ export class Material {
     cloned.cullFace = this.cullFace;
     cloned.cullFaceMode = this.cullFaceMode;
     cloned.transparent = this.transparent;
+    cloned.oit = this.oit;
     cloned.opacity = this.opacity;
+    cloned.defines = { ...this.defines };
+    cloned.onBeforeCompile = this.onBeforeCompile;
     
     return cloned;
   }
@@ -316,10 +519,18 @@ export class Material {
   dispose() {
     this.properties.clear();
     this.textures.clear();
+
+    if (this.uniformBuffer) {
+      this.uniformBuffer.dispose();
+      this.uniformBuffer = null;
+    }
     
     if (this.shader) {
-      this.shader.dispose();
+      if (!this._releaseProgram()) {
+        this.shader.dispose();
+      }
       this.shader = null;
+      this.programVariant = null;
     }
     
     this.needsUpdate = true;
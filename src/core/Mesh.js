@@ -7,6 +7,25 @@
 import { BufferGeometry } from './BufferGeometry.js';
 import { Material } from './Material.js';
 import { Object3D } from './Object3D.js';
+import { sphereFromBox, getGeometryBoundingBox, getGeometryBoundingSphere } from './SpatialIndex.js';
+
+/**
+ * Whether a morph target manager currently displaces its geometry
+ */
+function isMorphed(morphTargetManager) {
+  return !!morphTargetManager && morphTargetManager.hasActiveInfluences();
+}
+
+/**
+ * Box of a glTF primitive, morphed when its targets are active
+ */
+function getPrimitiveBoundingBox(primitive) {
+  if (isMorphed(primitive.morphTargetManager)) {
+    return primitive.morphTargetManager.getBoundingBox();
+  }
+
+  return getGeometryBoundingBox(primitive.geometry);
+}
 
 /**
  * Mesh configuration options
@@ -462,6 +481,10 @@ export class Mesh extends Object3D {
     this.autoLOD = true;
     this.lodDistances = [];
     
+    // Bounds derived from morphed or glTF primitive boxes
+    this._primitiveBounds = null;
+    this._derivedSphere = null;
+    
     // Rendering state
     this.needsUpdate = true;
     this.visible = true;
@@ -643,8 +666,15 @@ export class Mesh extends Object3D {
       return;
     }
 
-    // Apply material state
+    // Apply material state, then any state the renderer's current pass overrides
     material.apply(gl);
+    if (this._renderer && this._renderer.applyPassState) {
+      this._renderer.applyPassState(material);
+    }
+
+    // Camera, light and material uniforms shared through the renderer's uniform blocks
+    const sharedFrameUniforms = !!(this._renderer && this._renderer.applyUniformBlocks &&
+      this._renderer.applyUniformBlocks(material));
     
     // Set matrix uniforms after shader is active (if camera is available from renderer)
     if (material.shader && material.shader.isReady() && this._camera && this._renderer) {
@@ -654,7 +684,7 @@ export class Mesh extends Object3D {
       
       // Get matrices
       const modelMatrix = this.worldMatrix || this.matrix || this.localMatrix;
-      const viewMatrix = camera.matrixWorldInverse || camera.matrix;
+      const viewMatrix = camera.matrixWorldInverse || camera.viewMatrix || camera.matrix;
       const projectionMatrix = camera.projectionMatrix;
       
       // Convert to arrays if needed
@@ -675,8 +705,8 @@ export class Mesh extends Object3D {
       
       // Set matrix uniforms
       const modelLoc = shader.getUniformLocation('modelMatrix');
-      const viewLoc = shader.getUniformLocation('viewMatrix');
-      const projLoc = shader.getUniformLocation('projectionMatrix');
+      const viewLoc = sharedFrameUniforms ? null : shader.getUniformLocation('viewMatrix');
+      const projLoc = sharedFrameUniforms ? null : shader.getUniformLocation('projectionMatrix');
       const mvLoc = shader.getUniformLocation('modelViewMatrix');
       
       if (modelLoc) gl.uniformMatrix4fv(modelLoc, false, model);
@@ -728,37 +758,67 @@ export class Mesh extends Object3D {
    */
   shouldCull(frustum) {
     if (!this.frustumCulled) return false;
-
-    // Simple bounding sphere culling
-    const boundingSphere = this.getBoundingSphere();
-    if (!boundingSphere) return false;
-
-    const worldPos = this.getWorldPosition();
-    const distance = Math.sqrt(
-      Math.pow(worldPos.x - frustum.center.x, 2) +
-      Math.pow(worldPos.y - frustum.center.y, 2) +
-      Math.pow(worldPos.z - frustum.center.z, 2)
-    );
-
-    return distance > (frustum.radius + boundingSphere.radius);
+    return !this.intersectsFrustum(frustum);
   }
 
   /**
    * Get bounding sphere
+   * Geometries without bounding methods (the src/geometry primitives) are measured from their
+   * positions; null when there is nothing to measure
    * @returns {object|null} Bounding sphere or null
    */
   getBoundingSphere() {
     const geometry = this.getCurrentLODGeometry();
-    return geometry ? geometry.getBoundingSphere() : null;
+    if (geometry && !isMorphed(this.morphTargetManager)) {
+      return getGeometryBoundingSphere(geometry);
+    }
+
+    // Morphed and glTF meshes enclose their box
+    const box = this.getBoundingBox();
+    if (!box) return null;
+
+    if (!this._derivedSphere || this._derivedSphere.box !== box) {
+      this._derivedSphere = { box, sphere: sphereFromBox(box) };
+    }
+    return this._derivedSphere.sphere;
   }
 
   /**
-   * Get bounding box
+   * Get bounding box, widened by active morph targets
+   * glTF meshes without a geometry of their own bound all of their primitives
    * @returns {object|null} Bounding box or null
    */
   getBoundingBox() {
     const geometry = this.getCurrentLODGeometry();
-    return geometry ? geometry.getBoundingBox() : null;
+    if (geometry) {
+      return isMorphed(this.morphTargetManager) ? this.morphTargetManager.getBoundingBox() : getGeometryBoundingBox(geometry);
+    }
+
+    if (!this.primitives) return null;
+
+    const boxes = this.primitives.map(getPrimitiveBoundingBox).filter(Boolean);
+    if (boxes.length === 0) return null;
+
+    const cached = this._primitiveBounds;
+    if (cached && cached.boxes.length === boxes.length && cached.boxes.every((box, i) => box === boxes[i])) {
+      return cached.box;
+    }
+
+    const box = {
+      min: { x: Infinity, y: Infinity, z: Infinity },
+      max: { x: -Infinity, y: -Infinity, z: -Infinity }
+    };
+    for (const { min, max } of boxes) {
+      box.min.x = Math.min(box.min.x, min.x);
+      box.min.y = Math.min(box.min.y, min.y);
+      box.min.z = Math.min(box.min.z, min.z);
+      box.max.x = Math.max(box.max.x, max.x);
+      box.max.y = Math.max(box.max.y, max.y);
+      box.max.z = Math.max(box.max.z, max.z);
+    }
+
+    this._primitiveBounds = { boxes, box };
+    return box;
   }
 
   /**
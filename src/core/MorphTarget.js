@@ -5,6 +5,7 @@
 
 import { Matrix4 } from './math/Matrix4.js';
 import { BufferGeometry } from './BufferGeometry.js';
+import { WebGLState } from './WebGLState.js';
 
 export class MorphTarget {
     /**
@@ -386,24 +387,25 @@ export class MorphTargetManager {
         if (!geometry || !geometry.gl || !this.hasActiveInfluences()) return;
 
         const gl = geometry.gl;
+        const state = WebGLState.get(gl);
         const positionAttribute = geometry.getAttribute('position');
         const normalAttribute = geometry.getAttribute('normal');
 
         // Update morph position buffer
         if (this.morphPositionBuffer && positionAttribute) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.morphPositionBuffer);
+            state.bindBuffer(gl.ARRAY_BUFFER, this.morphPositionBuffer);
             gl.bufferData(gl.ARRAY_BUFFER, this._getMorphedPositions(), gl.DYNAMIC_DRAW);
         }
 
         // Update morph normal buffer
         if (this.morphNormalBuffer && normalAttribute) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.morphNormalBuffer);
+            state.bindBuffer(gl.ARRAY_BUFFER, this.morphNormalBuffer);
             gl.bufferData(gl.ARRAY_BUFFER, this._getMorphedNormals(), gl.DYNAMIC_DRAW);
         }
 
         // Update morph tangent buffer
         if (this.morphTangentBuffer && geometry.hasAttribute('tangent')) {
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.morphTangentBuffer);
+            state.bindBuffer(gl.ARRAY_BUFFER, this.morphTangentBuffer);
             gl.bufferData(gl.ARRAY_BUFFER, this._getMorphedTangents(), gl.DYNAMIC_DRAW);
         }
     }
@@ -449,10 +451,13 @@ export class MorphTargetManager {
 
     /**
      * Get bounding box including all active morph targets
+     * Targets hold position deltas, so each active target widens the base box by its
+     * delta extents scaled by the influence
      */
     getBoundingBox() {
-        const baseBox = this.geometry.boundingBox;
-        if (!this.hasActiveInfluences()) return baseBox;
+        const geometry = this.geometry;
+        const baseBox = typeof geometry.getBoundingBox === 'function' ? geometry.getBoundingBox() : geometry.boundingBox;
+        if (!baseBox || !this.hasActiveInfluences()) return baseBox;
 
         const morphedBox = {
             min: { ...baseBox.min },
@@ -466,13 +471,13 @@ export class MorphTargetManager {
 
             const morphBox = this.morphTargets[i].boundingBox;
             
-            morphedBox.min.x = Math.min(morphedBox.min.x, morphBox.min.x * influence);
-            morphedBox.min.y = Math.min(morphedBox.min.y, morphBox.min.y * influence);
-            morphedBox.min.z = Math.min(morphedBox.min.z, morphBox.min.z * influence);
+            morphedBox.min.x += Math.min(0, morphBox.min.x * influence);
+            morphedBox.min.y += Math.min(0, morphBox.min.y * influence);
+            morphedBox.min.z += Math.min(0, morphBox.min.z * influence);
             
-            morphedBox.max.x = Math.max(morphedBox.max.x, morphBox.max.x * influence);
-            morphedBox.max.y = Math.max(morphedBox.max.y, morphBox.max.y * influence);
-            morphedBox.max.z = Math.max(morphedBox.max.z, morphBox.max.z * influence);
+            morphedBox.max.x += Math.max(0, morphBox.max.x * influence);
+            morphedBox.max.y += Math.max(0, morphBox.max.y * influence);
+            morphedBox.max.z += Math.max(0, morphBox.max.z * influence);
         }
 
         return morphedBox;
@@ -2,6 +2,35 @@
  * Object3D - Base class for all 3D objects with transformation capabilities
  * Provides position, rotation, scale, and matrix operations
  */
+
+import { transformBounds, sphereFromBox, getGeometryBoundingBox, getGeometryBoundingSphere } from './SpatialIndex.js';
+
+/**
+ * Call back with an object and all of its descendants
+ */
+function forEachInSubtree(object, callback) {
+    callback(object);
+    for (const child of object.children) {
+        forEachInSubtree(child, callback);
+    }
+}
+
+/**
+ * Spatial index of the scene an object hangs in: the one its nearest indexed ancestor is
+ * registered with, or the one of the scene whose root is at the top of its hierarchy
+ */
+function findSpatialIndex(object) {
+    for (let node = object; node; node = node.parent) {
+        if (node.spatialIndex) {
+            return node.spatialIndex;
+        }
+        if (!node.parent && node.scene) {
+            return node.scene.spatialIndex;
+        }
+    }
+    return null;
+}
+
 export class Object3D {
     constructor() {
         // Position, Rotation, Scale (TRS)
@@ -22,10 +51,32 @@ export class Object3D {
         // Rendering
         this.visible = true;
         this.renderOrder = 0;
+        this._frustumCulled = true;
+
+        // World-space bounds, cached until the next markMatrixDirty
+        this._worldBoundingBox = null;
+        this._worldBoundingSphere = null;
 
         // Lifecycle
         this.active = true;
         this.userData = {};
+
+        // Spatial index this object is registered with (set by Scene)
+        this.spatialIndex = null;
+    }
+
+    /**
+     * false draws the object even when its bounds leave the frustum
+     */
+    get frustumCulled() {
+        return this._frustumCulled;
+    }
+
+    set frustumCulled(value) {
+        this._frustumCulled = value;
+        if (this.spatialIndex) {
+            this.spatialIndex.updateCulling(this);
+        }
     }
 
     /**
@@ -100,6 +151,13 @@ export class Object3D {
     markMatrixDirty() {
         this.localMatrixDirty = true;
         this.worldMatrixDirty = true;
+        this._worldBoundingBox = null;
+        this._worldBoundingSphere = null;
+
+        // Defer spatial index refresh until the next query/update
+        if (this.spatialIndex) {
+            this.spatialIndex.markDirty(this);
+        }
         
         // Mark children as needing world matrix update
         for (let child of this.children) {
@@ -148,6 +206,7 @@ export class Object3D {
 
     /**
      * Compose TRS (Translation, Rotation, Scale) into transformation matrix
+     * A rotation carrying a numeric w is read as a quaternion, otherwise as Euler angles
      */
     composeTRS(position, rotation, scale) {
         const matrix = this.createIdentityMatrix();
@@ -157,6 +216,28 @@ export class Object3D {
         matrix[13] = position.y;
         matrix[14] = position.z;
 
+        if (typeof rotation.w === 'number') {
+            const { x, y, z, w } = rotation;
+            const x2 = x + x, y2 = y + y, z2 = z + z;
+            const xx = x * x2, xy = x * y2, xz = x * z2;
+            const yy = y * y2, yz = y * z2, zz = z * z2;
+            const wx = w * x2, wy = w * y2, wz = w * z2;
+
+            matrix[0] = (1 - (yy + zz)) * scale.x;
+            matrix[1] = (xy + wz) * scale.x;
+            matrix[2] = (xz - wy) * scale.x;
+
+            matrix[4] = (xy - wz) * scale.y;
+            matrix[5] = (1 - (xx + zz)) * scale.y;
+            matrix[6] = (yz + wx) * scale.y;
+
+            matrix[8] = (xz + wy) * scale.z;
+            matrix[9] = (yz - wx) * scale.z;
+            matrix[10] = (1 - (xx + yy)) * scale.z;
+
+            return matrix;
+        }
+
         // Apply rotation and scale to the upper-left 3x3 matrix
         const cosX = Math.cos(rotation.x);
         const sinX = Math.sin(rotation.x);
@@ -214,6 +295,8 @@ export class Object3D {
 
     /**
      * Add child object
+     * A child attached under an object of a scene with a spatial index is indexed along
+     * with its descendants
      */
     addChild(child) {
         if (child.parent) {
@@ -225,11 +308,17 @@ export class Object3D {
         if (child.markMatrixDirty) {
             child.markMatrixDirty();
         }
+
+        const spatialIndex = findSpatialIndex(this);
+        if (spatialIndex && child.children) {
+            forEachInSubtree(child, object => spatialIndex.insert(object));
+        }
         return this;
     }
 
     /**
      * Remove child object
+     * The child and its descendants leave the spatial index they were registered with
      */
     removeChild(child) {
         const index = this.children.indexOf(child);
@@ -239,6 +328,13 @@ export class Object3D {
             if (child.markMatrixDirty) {
                 child.markMatrixDirty();
             }
+            if (child.children) {
+                forEachInSubtree(child, object => {
+                    if (object.spatialIndex) {
+                        object.spatialIndex.remove(object);
+                    }
+                });
+            }
         }
         return this;
     }
@@ -284,6 +380,125 @@ export class Object3D {
         return { x: sx, y: sy, z: sz };
     }
 
+    /**
+     * Local-space bounding box: the object's own getBoundingBox() when it has one, otherwise
+     * the morphed box of an active MorphTargetManager, otherwise the geometry's box
+     * @returns {Object|null} { min, max }
+     */
+    getLocalBoundingBox() {
+        if (typeof this.getBoundingBox === 'function') {
+            return this.getBoundingBox();
+        }
+
+        const morphTargets = getMorphTargetManager(this);
+        if (morphTargets && morphTargets.hasActiveInfluences()) {
+            return morphTargets.getBoundingBox();
+        }
+
+        return getGeometryBoundingBox(this.geometry);
+    }
+
+    /**
+     * Local-space bounding sphere, resolved like getLocalBoundingBox
+     * @returns {Object|null} { center, radius }
+     */
+    getLocalBoundingSphere() {
+        if (typeof this.getBoundingSphere === 'function') {
+            return this.getBoundingSphere();
+        }
+
+        const morphTargets = getMorphTargetManager(this);
+        if (morphTargets && morphTargets.hasActiveInfluences()) {
+            return sphereFromBox(morphTargets.getBoundingBox());
+        }
+
+        return getGeometryBoundingSphere(this.geometry);
+    }
+
+    /**
+     * World-space axis-aligned bounding box of the local box. Cached until markMatrixDirty or
+     * until the local box is recomputed; treat the result as read-only.
+     * @returns {Object|null} { min, max }, null without geometry bounds
+     */
+    getWorldBoundingBox() {
+        const local = this.getLocalBoundingBox();
+        if (!local) return null;
+
+        const cached = this._worldBoundingBox;
+        if (cached && cached.local === local) return cached.bounds;
+
+        this.updateMatrix();
+        const bounds = transformBounds(local, this.worldMatrix);
+        this._worldBoundingBox = { local, bounds };
+        return bounds;
+    }
+
+    /**
+     * World-space bounding sphere of the local sphere; the radius grows by the largest axis
+     * scale. Cached like getWorldBoundingBox; treat the result as read-only.
+     * @returns {Object|null} { center, radius }, null without geometry bounds
+     */
+    getWorldBoundingSphere() {
+        const local = this.getLocalBoundingSphere();
+        if (!local) return null;
+
+        const cached = this._worldBoundingSphere;
+        if (cached && cached.local === local) return cached.sphere;
+
+        const scale = this.getWorldScale();
+        const m = this.worldMatrix;
+        const { x, y, z } = local.center;
+        const sphere = {
+            center: {
+                x: m[0] * x + m[4] * y + m[8] * z + m[12],
+                y: m[1] * x + m[5] * y + m[9] * z + m[13],
+                z: m[2] * x + m[6] * y + m[10] * z + m[14]
+            },
+            radius: local.radius * Math.max(scale.x, scale.y, scale.z)
+        };
+        this._worldBoundingSphere = { local, sphere };
+        return sphere;
+    }
+
+    /**
+     * Test the world bounds against frustum planes: the bounding sphere first, then the box.
+     * Objects without geometry bounds use their position with the largest world scale as radius.
+     * @param {Object} frustum - { planes: [{ a, b, c, d }] } with inward-facing normals
+     * @returns {boolean} False when the object lies entirely outside one plane
+     */
+    intersectsFrustum(frustum) {
+        const sphere = this.getWorldBoundingSphere();
+        let center = sphere && sphere.center;
+        let radius = sphere && sphere.radius;
+
+        if (!sphere) {
+            const scale = this.getWorldScale();
+            center = this.getWorldPosition();
+            radius = Math.max(scale.x, scale.y, scale.z);
+        }
+
+        for (const plane of frustum.planes) {
+            if (plane.a * center.x + plane.b * center.y + plane.c * center.z + plane.d < -radius) {
+                return false;
+            }
+        }
+
+        // The box is tighter than the sphere for long, thin objects
+        const box = sphere ? this.getWorldBoundingBox() : null;
+        if (box) {
+            for (const plane of frustum.planes) {
+                const x = plane.a >= 0 ? box.max.x : box.min.x;
+                const y = plane.b >= 0 ? box.max.y : box.min.y;
+                const z = plane.c >= 0 ? box.max.z : box.min.z;
+                if (plane.a * x + plane.b * y + plane.c * z + plane.d < 0) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
     /**
      * Get world forward direction (-Z axis)
      */
@@ -392,3 +607,11 @@ export class Object3D {
         return this;
     }
 }
+
+/**
+ * Morph target manager driving an object's geometry, directly or through its skinned mesh
+ */
+function getMorphTargetManager(object) {
+    return object.morphTargetManager || (object.skinnedMesh && object.skinnedMesh.morphTargetManager) || null;
+}
+
@@ -0,0 +1,341 @@
+/**
+ * OffscreenCanvasProxy - Worker-hosted rendering on an OffscreenCanvas
+ * The main thread keeps the canvas element and hands its drawing surface to a worker,
+ * which runs the renderer, scene and animation loop. Resizes and input events are
+ * forwarded as messages and dispatched on an ElementProxy in the worker, which stands in
+ * for the canvas element (and its document) for OrbitControls and other input handlers.
+ *
+ * Main thread:
+ *   const proxy = new OffscreenCanvasProxy(canvas, new Worker('render.js', { type: 'module' }));
+ *
+ * Worker:
+ *   const { canvas, element, pixelRatio } = await receiveOffscreenCanvas();
+ *   const renderer = new WebGLRenderer(canvas, { pixelRatio });
+ *   const controls = new OrbitControls(camera, element);
+ */
+
+// Messages between the proxy and the worker; other messages on the channel are left alone
+export const OffscreenCanvasMessage = {
+    INIT: 'offscreencanvas:init',
+    RESIZE: 'offscreencanvas:resize',
+    EVENT: 'offscreencanvas:event',
+    DISPOSE: 'offscreencanvas:dispose'
+};
+
+// Events listened for on the canvas, and on its document for drags and keys outside of it
+const ELEMENT_EVENTS = [
+    'contextmenu', 'pointerdown', 'pointermove', 'pointerup', 'pointercancel',
+    'mousedown', 'wheel', 'touchstart', 'touchmove', 'touchend'
+];
+const DOCUMENT_EVENTS = ['mousemove', 'mouseup', 'keydown', 'keyup'];
+
+// Events whose default action the worker cannot prevent, so the proxy does it
+const PREVENTED_EVENTS = new Set(['contextmenu', 'wheel', 'touchstart', 'touchmove']);
+
+// Fields copied from DOM events; events themselves cannot be posted
+const EVENT_FIELDS = [
+    'type', 'clientX', 'clientY', 'pageX', 'pageY', 'offsetX', 'offsetY', 'button', 'buttons',
+    'pointerId', 'pointerType', 'isPrimary', 'deltaX', 'deltaY', 'deltaZ', 'deltaMode',
+    'key', 'code', 'repeat', 'ctrlKey', 'shiftKey', 'altKey', 'metaKey'
+];
+const TOUCH_FIELDS = ['identifier', 'clientX', 'clientY', 'pageX', 'pageY'];
+
+/**
+ * Copy the posted fields of a DOM event into a plain object
+ * @param {Event} event - DOM event
+ * @returns {Object}
+ */
+export function serializeEvent(event) {
+    const data = {};
+    for (const field of EVENT_FIELDS) {
+        if (event[field] !== undefined) {
+            data[field] = event[field];
+        }
+    }
+    if (event.touches) {
+        data.touches = Array.from(event.touches, touch => pick(touch, TOUCH_FIELDS));
+        data.changedTouches = Array.from(event.changedTouches || [], touch => pick(touch, TOUCH_FIELDS));
+    }
+    return data;
+}
+
+function pick(source, fields) {
+    const data = {};
+    for (const field of fields) {
+        data[field] = source[field];
+    }
+    return data;
+}
+
+/**
+ * Main-thread side: transfers a canvas to a worker and keeps forwarding its size and input
+ */
+export class OffscreenCanvasProxy {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas element on the page
+     * @param {Worker|MessagePort} worker - Worker running receiveOffscreenCanvas()
+     * @param {Object} [options]
+     * @param {boolean} [options.preventDefault=true] - Prevent scrolling, zooming and the context menu over the canvas
+     * @param {Object} [options.data] - Extra data for the worker, passed along with the canvas
+     */
+    constructor(canvas, worker, options = {}) {
+        if (typeof canvas.transferControlToOffscreen !== 'function') {
+            throw new Error('OffscreenCanvas is not supported in this browser');
+        }
+
+        this.canvas = canvas;
+        this.worker = worker;
+        this.options = {
+            preventDefault: true,
+            data: null,
+            ...options
+        };
+
+        this.document = canvas.ownerDocument || null;
+        this.window = this.document ? this.document.defaultView : null;
+        this.resizeObserver = null;
+        this.disposed = false;
+
+        this._onEvent = this.onEvent.bind(this);
+        this._onResize = this.onResize.bind(this);
+
+        const offscreen = canvas.transferControlToOffscreen();
+        worker.postMessage({
+            type: OffscreenCanvasMessage.INIT,
+            canvas: offscreen,
+            ...this.getSize(),
+            data: this.options.data
+        }, [offscreen]);
+
+        this.connect();
+    }
+
+    /**
+     * CSS size and position of the canvas, and the device pixel ratio
+     * @returns {{left: number, top: number, width: number, height: number, pixelRatio: number}}
+     */
+    getSize() {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            left: rect.left,
+            top: rect.top,
+            width: rect.width,
+            height: rect.height,
+            pixelRatio: (this.window && this.window.devicePixelRatio) || 1
+        };
+    }
+
+    /**
+     * Start forwarding resizes and input
+     */
+    connect() {
+        const listenerOptions = { passive: !this.options.preventDefault };
+
+        for (const type of ELEMENT_EVENTS) {
+            this.canvas.addEventListener(type, this._onEvent, listenerOptions);
+        }
+        if (this.document) {
+            for (const type of DOCUMENT_EVENTS) {
+                this.document.addEventListener(type, this._onEvent, false);
+            }
+        }
+
+        if (this.window && typeof this.window.ResizeObserver === 'function') {
+            this.resizeObserver = new this.window.ResizeObserver(this._onResize);
+            this.resizeObserver.observe(this.canvas);
+        } else if (this.window) {
+            this.window.addEventListener('resize', this._onResize, false);
+        }
+    }
+
+    /**
+     * Stop forwarding resizes and input
+     */
+    disconnect() {
+        for (const type of ELEMENT_EVENTS) {
+            this.canvas.removeEventListener(type, this._onEvent);
+        }
+        if (this.document) {
+            for (const type of DOCUMENT_EVENTS) {
+                this.document.removeEventListener(type, this._onEvent, false);
+            }
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        } else if (this.window) {
+            this.window.removeEventListener('resize', this._onResize, false);
+        }
+    }
+
+    /**
+     * Forward an input event to the worker
+     * @param {Event} event - DOM event
+     */
+    onEvent(event) {
+        if (this.options.preventDefault && PREVENTED_EVENTS.has(event.type) && event.currentTarget === this.canvas) {
+            event.preventDefault();
+        }
+        this.worker.postMessage({ type: OffscreenCanvasMessage.EVENT, event: serializeEvent(event) });
+    }
+
+    /**
+     * Forward the canvas size to the worker
+     */
+    onResize() {
+        this.worker.postMessage({ type: OffscreenCanvasMessage.RESIZE, ...this.getSize() });
+    }
+
+    /**
+     * Stop forwarding and tell the worker the canvas is going away
+     */
+    dispose() {
+        if (this.disposed) {
+            return;
+        }
+        this.disposed = true;
+        this.disconnect();
+        this.worker.postMessage({ type: OffscreenCanvasMessage.DISPOSE });
+    }
+}
+
+/**
+ * Worker-side stand-in for the canvas element. It is its own ownerDocument, so handlers
+ * listening on the document for drags and keys receive the forwarded events too.
+ */
+export class ElementProxy {
+    constructor() {
+        this.listeners = new Map();
+        this.left = 0;
+        this.top = 0;
+        this.clientWidth = 0;
+        this.clientHeight = 0;
+        this.pixelRatio = 1;
+        this.style = {};
+        this.ownerDocument = this;
+    }
+
+    /**
+     * @param {Object} size - { left, top, width, height, pixelRatio } from the proxy
+     */
+    setSize(size) {
+        this.left = size.left;
+        this.top = size.top;
+        this.clientWidth = size.width;
+        this.clientHeight = size.height;
+        this.pixelRatio = size.pixelRatio;
+    }
+
+    getBoundingClientRect() {
+        return {
+            x: this.left,
+            y: this.top,
+            left: this.left,
+            top: this.top,
+            width: this.clientWidth,
+            height: this.clientHeight,
+            right: this.left + this.clientWidth,
+            bottom: this.top + this.clientHeight
+        };
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        const listeners = this.listeners.get(type);
+        if (!listeners.includes(listener)) {
+            listeners.push(listener);
+        }
+    }
+
+    removeEventListener(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    }
+
+    /**
+     * Call the listeners of a forwarded event. Default actions were already handled on
+     * the main thread, so preventDefault() and stopPropagation() do nothing here.
+     * @param {Object} event - Serialized event with a type
+     * @returns {boolean}
+     */
+    dispatchEvent(event) {
+        const listeners = this.listeners.get(event.type);
+        if (!listeners) {
+            return true;
+        }
+
+        const dispatched = {
+            ...event,
+            target: this,
+            currentTarget: this,
+            preventDefault() {},
+            stopPropagation() {}
+        };
+        for (const listener of [...listeners]) {
+            listener.call(this, dispatched);
+        }
+        return true;
+    }
+
+    // Worker elements cannot take focus
+    focus() {}
+
+    blur() {}
+}
+
+/**
+ * Worker side: wait for the canvas from an OffscreenCanvasProxy. Later resizes update the
+ * element and dispatch 'resize' on it; 'dispose' is dispatched when the page lets go.
+ * @param {DedicatedWorkerGlobalScope|MessagePort} [scope=globalThis] - Where the proxy's messages arrive
+ * @returns {Promise<{canvas: OffscreenCanvas, element: ElementProxy, width: number, height: number, pixelRatio: number, data: Object}>}
+ */
+export function receiveOffscreenCanvas(scope = globalThis) {
+    const element = new ElementProxy();
+
+    return new Promise(resolve => {
+        const onMessage = ({ data: message }) => {
+            if (!message) {
+                return;
+            }
+
+            switch (message.type) {
+                case OffscreenCanvasMessage.INIT:
+                    element.setSize(message);
+                    resolve({
+                        canvas: message.canvas,
+                        element,
+                        width: message.width,
+                        height: message.height,
+                        pixelRatio: message.pixelRatio,
+                        data: message.data
+                    });
+                    break;
+                case OffscreenCanvasMessage.RESIZE:
+                    element.setSize(message);
+                    element.dispatchEvent({ type: 'resize' });
+                    break;
+                case OffscreenCanvasMessage.EVENT:
+                    element.dispatchEvent(message.event);
+                    break;
+                case OffscreenCanvasMessage.DISPOSE:
+                    scope.removeEventListener('message', onMessage);
+                    element.dispatchEvent({ type: 'dispose' });
+                    break;
+            }
+        };
+
+        scope.addEventListener('message', onMessage);
+        // MessagePorts only deliver once started
+        if (typeof scope.start === 'function') {
+            scope.start();
+        }
+    });
+}
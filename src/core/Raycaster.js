@@ -0,0 +1,672 @@
+/**
+ * Raycaster - Scene-graph ray intersection for picking
+ * Intersects a ray with mesh triangles, GPU instances and point clouds,
+ * returning hits sorted by distance
+ */
+import { Matrix4 } from './math/Matrix4.js';
+
+/**
+ * Intersection record returned by the raycaster
+ * @typedef {object} RaycastHit
+ * @property {number} distance - Distance from ray origin to the hit point (world units)
+ * @property {{x: number, y: number, z: number}} point - World-space hit point
+ * @property {object|null} face - Triangle indices and world-space face normal
+ * @property {number|null} faceIndex - Index of the triangle that was hit
+ * @property {{x: number, y: number}|null} uv - Interpolated texture coordinates
+ * @property {number|null} instanceId - Instance id when the hit belongs to an InstanceRenderer
+ * @property {number|null} index - Point index when the hit belongs to a point cloud
+ * @property {object} object - The object that was hit
+ */
+
+const EPSILON = 1e-8;
+
+export class Raycaster {
+    /**
+     * Create a raycaster
+     * @param {{x: number, y: number, z: number}} origin - Ray origin in world space
+     * @param {{x: number, y: number, z: number}} direction - Ray direction in world space
+     * @param {number} near - Minimum hit distance
+     * @param {number} far - Maximum hit distance
+     */
+    constructor(origin = { x: 0, y: 0, z: 0 }, direction = { x: 0, y: 0, z: -1 }, near = 0, far = Infinity) {
+        this.ray = {
+            origin: { x: 0, y: 0, z: 0 },
+            direction: { x: 0, y: 0, z: -1 }
+        };
+        this.near = near;
+        this.far = far;
+
+        // Per-primitive settings
+        this.params = {
+            Mesh: {
+                // Honour material face culling ('back'/'front') when testing triangles
+                respectCulling: false
+            },
+            Points: {
+                // Maximum distance between ray and point, in world units
+                threshold: 1
+            },
+            Instances: {
+                enabled: true
+            }
+        };
+
+        // Only objects on one of these layers are tested (null = all layers)
+        this.layers = null;
+
+        this.set(origin, direction);
+    }
+
+    /**
+     * Set ray origin and direction (direction is normalized)
+     */
+    set(origin, direction) {
+        this.ray.origin = { x: origin.x, y: origin.y, z: origin.z };
+
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z);
+        if (length < EPSILON) {
+            throw new Error('Ray direction must not be zero length');
+        }
+
+        this.ray.direction = {
+            x: direction.x / length,
+            y: direction.y / length,
+            z: direction.z / length
+        };
+        return this;
+    }
+
+    /**
+     * Set ray from a camera and a screen-space position (pixels)
+     */
+    setFromCamera(screenX, screenY, width, height, camera) {
+        const ray = camera.getRay(screenX, screenY, width, height);
+        this.set(ray.origin, ray.direction);
+        this.near = 0;
+        this.far = camera.far - camera.near;
+        return this;
+    }
+
+    /**
+     * Intersect every object in a scene
+     * @param {Scene} scene - Scene to walk via Scene.traverse
+     * @returns {RaycastHit[]} Hits sorted by distance
+     */
+    intersectScene(scene, intersects = []) {
+        scene.traverse(obj => {
+            if (obj === scene.root) return;
+            this._intersectSingle(obj, intersects);
+        });
+
+        intersects.sort(ascendingDistance);
+        return intersects;
+    }
+
+    /**
+     * Intersect one object and optionally its descendants
+     * @returns {RaycastHit[]} Hits sorted by distance
+     */
+    intersectObject(object, recursive = true, intersects = []) {
+        this._intersectRecursive(object, recursive, intersects);
+        intersects.sort(ascendingDistance);
+        return intersects;
+    }
+
+    /**
+     * Intersect a list of objects and optionally their descendants
+     * @returns {RaycastHit[]} Hits sorted by distance
+     */
+    intersectObjects(objects, recursive = true, intersects = []) {
+        for (const object of objects) {
+            this._intersectRecursive(object, recursive, intersects);
+        }
+        intersects.sort(ascendingDistance);
+        return intersects;
+    }
+
+    /**
+     * Intersect the instances of an InstanceRenderer drawn with the given geometry
+     * @param {InstanceRenderer} instanceRenderer - Renderer holding per-instance transforms
+     * @param {BufferGeometry} geometry - Geometry shared by all instances
+     * @param {Object3D|null} object - Optional parent whose world matrix is applied to all instances
+     * @returns {RaycastHit[]} Hits sorted by distance
+     */
+    intersectInstances(instanceRenderer, geometry, object = null, intersects = []) {
+        this._intersectInstanceRenderer(instanceRenderer, geometry, object, intersects);
+        intersects.sort(ascendingDistance);
+        return intersects;
+    }
+
+    /**
+     * Get closest hit for a scene or object list
+     * @returns {RaycastHit|null} Closest hit or null
+     */
+    intersectFirst(target, recursive = true) {
+        const hits = Array.isArray(target) ?
+            this.intersectObjects(target, recursive) :
+            (target.root ? this.intersectScene(target) : this.intersectObject(target, recursive));
+        return hits[0] || null;
+    }
+
+    /**
+     * Walk an object's subtree
+     * @private
+     */
+    _intersectRecursive(object, recursive, intersects) {
+        this._intersectSingle(object, intersects);
+
+        if (recursive && object.children) {
+            for (const child of object.children) {
+                this._intersectRecursive(child, true, intersects);
+            }
+        }
+    }
+
+    /**
+     * Dispatch a single object to the matching intersection routine
+     * @private
+     */
+    _intersectSingle(object, intersects) {
+        if (!object || object.visible === false) return;
+        if (this.layers && object.layer !== undefined && !this.layers.includes(object.layer)) return;
+
+        // Objects may provide their own intersection logic
+        if (typeof object.raycast === 'function') {
+            object.raycast(this, intersects);
+            return;
+        }
+
+        if (object.instanceRenderer && object.geometry) {
+            if (this.params.Instances.enabled) {
+                this._intersectInstanceRenderer(object.instanceRenderer, object.geometry, object, intersects);
+            }
+        } else if (isPointCloud(object)) {
+            this._intersectPoints(object, intersects);
+        } else if (object.geometry) {
+            this._intersectMesh(object, intersects);
+        }
+    }
+
+    /**
+     * Intersect mesh triangles
+     * @private
+     */
+    _intersectMesh(mesh, intersects) {
+        const geometry = mesh.getCurrentLODGeometry ? mesh.getCurrentLODGeometry() : mesh.geometry;
+        if (!geometry) return;
+
+        if (mesh.updateMatrix) mesh.updateMatrix();
+        const worldMatrix = mesh.worldMatrix || identityMatrix();
+
+        this._intersectGeometry(geometry, worldMatrix, mesh, null, intersects, mesh.material);
+    }
+
+    /**
+     * Intersect each active instance of an InstanceRenderer
+     * @private
+     */
+    _intersectInstanceRenderer(instanceRenderer, geometry, object, intersects) {
+        let parentMatrix = null;
+        if (object) {
+            if (object.updateMatrix) object.updateMatrix();
+            parentMatrix = object.worldMatrix ? new Matrix4().fromArray(object.worldMatrix) : null;
+        }
+
+        for (const instanceId of instanceRenderer.activeInstances) {
+            const instance = instanceRenderer.instanceData[instanceId];
+            if (!instance) continue;
+
+            const instanceMatrix = composeInstanceMatrix(instance);
+            const worldMatrix = parentMatrix ?
+                new Matrix4().multiplyMatrices(parentMatrix, instanceMatrix) :
+                instanceMatrix;
+
+            this._intersectGeometry(
+                geometry,
+                worldMatrix.elements,
+                object || instanceRenderer,
+                instanceId,
+                intersects,
+                object ? object.material : null
+            );
+        }
+    }
+
+    /**
+     * Intersect geometry placed by a world matrix
+     * @private
+     */
+    _intersectGeometry(geometry, worldMatrix, object, instanceId, intersects, material) {
+        const arrays = getGeometryArrays(geometry);
+        if (!arrays) return;
+
+        const inverse = new Matrix4().fromArray(worldMatrix).invert().elements;
+        const localOrigin = transformPoint(inverse, this.ray.origin);
+        const localDirection = transformDirection(inverse, this.ray.direction);
+
+        // Broad rejection in local space using cached bounds
+        const sphere = getBoundingSphere(object, geometry, instanceId);
+        if (sphere && !rayIntersectsSphere(localOrigin, localDirection, sphere)) return;
+
+        const box = getBoundingBox(object, geometry, instanceId);
+        if (box && !rayIntersectsBox(localOrigin, localDirection, box)) return;
+
+        const cullMode = this.params.Mesh.respectCulling && material && material.cullFace ?
+            material.cullFaceMode : 'none';
+
+        const { positions, indices, uvs } = arrays;
+        const triangleCount = indices ? Math.floor(indices.length / 3) : Math.floor(positions.count / 3);
+
+        const a = { x: 0, y: 0, z: 0 };
+        const b = { x: 0, y: 0, z: 0 };
+        const c = { x: 0, y: 0, z: 0 };
+
+        for (let face = 0; face < triangleCount; face++) {
+            const ia = indices ? indices[face * 3] : face * 3;
+            const ib = indices ? indices[face * 3 + 1] : face * 3 + 1;
+            const ic = indices ? indices[face * 3 + 2] : face * 3 + 2;
+
+            positions.read(ia, a);
+            positions.read(ib, b);
+            positions.read(ic, c);
+
+            const hit = intersectTriangle(localOrigin, localDirection, a, b, c, cullMode);
+            if (!hit) continue;
+
+            const localPoint = {
+                x: localOrigin.x + localDirection.x * hit.t,
+                y: localOrigin.y + localDirection.y * hit.t,
+                z: localOrigin.z + localDirection.z * hit.t
+            };
+            const point = transformPoint(worldMatrix, localPoint);
+            const distance = distanceBetween(this.ray.origin, point);
+
+            if (distance < this.near || distance > this.far) continue;
+
+            intersects.push({
+                distance,
+                point,
+                face: {
+                    a: ia,
+                    b: ib,
+                    c: ic,
+                    normal: transformNormal(inverse, hit.normal)
+                },
+                faceIndex: face,
+                uv: uvs ? interpolateUV(uvs, ia, ib, ic, hit.u, hit.v) : null,
+                instanceId,
+                index: null,
+                object
+            });
+        }
+    }
+
+    /**
+     * Intersect a point cloud (ParticleSystem or geometry-backed points)
+     * @private
+     */
+    _intersectPoints(object, intersects) {
+        if (object.updateMatrix) object.updateMatrix();
+        const worldMatrix = object.worldMatrix || identityMatrix();
+
+        const { data, count } = getPointData(object);
+        if (!data || count === 0) return;
+
+        const threshold = this.params.Points.threshold;
+        const thresholdSq = threshold * threshold;
+        const origin = this.ray.origin;
+        const direction = this.ray.direction;
+
+        for (let i = 0; i < count; i++) {
+            const point = transformPoint(worldMatrix, {
+                x: data[i * 3],
+                y: data[i * 3 + 1],
+                z: data[i * 3 + 2]
+            });
+
+            // Closest point on ray to the particle
+            const t = (point.x - origin.x) * direction.x +
+                (point.y - origin.y) * direction.y +
+                (point.z - origin.z) * direction.z;
+            if (t < 0) continue;
+
+            const closest = {
+                x: origin.x + direction.x * t,
+                y: origin.y + direction.y * t,
+                z: origin.z + direction.z * t
+            };
+
+            const dx = point.x - closest.x;
+            const dy = point.y - closest.y;
+            const dz = point.z - closest.z;
+            const distanceToRaySq = dx * dx + dy * dy + dz * dz;
+            if (distanceToRaySq > thresholdSq) continue;
+
+            if (t < this.near || t > this.far) continue;
+
+            intersects.push({
+                distance: t,
+                distanceToRay: Math.sqrt(distanceToRaySq),
+                point: closest,
+                face: null,
+                faceIndex: null,
+                uv: null,
+                instanceId: null,
+                index: i,
+                object
+            });
+        }
+    }
+}
+
+/**
+ * Sort comparator for hits
+ */
+function ascendingDistance(a, b) {
+    return a.distance - b.distance;
+}
+
+/**
+ * Check whether an object should be treated as a point cloud
+ */
+function isPointCloud(object) {
+    return object.isPoints === true ||
+        (object.positions instanceof Float32Array && typeof object.particleCount === 'number');
+}
+
+/**
+ * Get flat xyz data for a point cloud
+ */
+function getPointData(object) {
+    if (object.positions instanceof Float32Array && typeof object.particleCount === 'number') {
+        return { data: object.positions, count: object.particleCount };
+    }
+
+    const arrays = object.geometry ? getGeometryArrays(object.geometry) : null;
+    if (!arrays) return { data: null, count: 0 };
+
+    const count = arrays.positions.count;
+    const data = new Float32Array(count * 3);
+    const v = { x: 0, y: 0, z: 0 };
+    for (let i = 0; i < count; i++) {
+        arrays.positions.read(i, v);
+        data[i * 3] = v.x;
+        data[i * 3 + 1] = v.y;
+        data[i * 3 + 2] = v.z;
+    }
+    return { data, count };
+}
+
+/**
+ * Build attribute accessors for a BufferGeometry (or a primitive with flat arrays)
+ */
+function getGeometryArrays(geometry) {
+    if (typeof geometry.getAttribute === 'function') {
+        const position = geometry.getAttribute('position');
+        if (!position || !position.buffer || !position.buffer.getData()) return null;
+
+        const indexBuffer = geometry.getIndexBuffer ? geometry.getIndexBuffer() : null;
+        const uv = geometry.getAttribute('uv');
+
+        return {
+            positions: createAccessor(position, geometry.getVertexCount()),
+            indices: indexBuffer ? indexBuffer.getData() : null,
+            uvs: uv && uv.buffer && uv.buffer.getData() ? createAccessor(uv, geometry.getVertexCount()) : null
+        };
+    }
+
+    // Primitive geometries (BoxGeometry etc.) expose flat arrays
+    if (Array.isArray(geometry.vertices) || ArrayBuffer.isView(geometry.vertices)) {
+        return {
+            positions: createFlatAccessor(geometry.vertices, 3),
+            indices: geometry.indices && geometry.indices.length ? geometry.indices : null,
+            uvs: geometry.uvs && geometry.uvs.length ? createFlatAccessor(geometry.uvs, 2) : null
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Create a reader for a VertexAttribute, honouring interleaved stride/offset
+ */
+function createAccessor(attribute, vertexCount) {
+    const data = attribute.buffer.getData();
+    const bytesPerElement = data.BYTES_PER_ELEMENT || 4;
+    const stride = attribute.stride ? attribute.stride / bytesPerElement : attribute.size;
+    const offset = attribute.stride ? attribute.byteOffset / bytesPerElement : 0;
+
+    return {
+        count: vertexCount,
+        read(index, out) {
+            const base = index * stride + offset;
+            out.x = data[base];
+            out.y = data[base + 1];
+            if (attribute.size > 2) out.z = data[base + 2];
+            return out;
+        }
+    };
+}
+
+/**
+ * Create a reader for a flat number array
+ */
+function createFlatAccessor(data, size) {
+    return {
+        count: Math.floor(data.length / size),
+        read(index, out) {
+            const base = index * size;
+            out.x = data[base];
+            out.y = data[base + 1];
+            if (size > 2) out.z = data[base + 2];
+            return out;
+        }
+    };
+}
+
+/**
+ * Local-space bounding sphere for an object's geometry
+ */
+function getBoundingSphere(object, geometry, instanceId) {
+    if (instanceId === null && object && typeof object.getBoundingSphere === 'function') {
+        return object.getBoundingSphere();
+    }
+    return typeof geometry.getBoundingSphere === 'function' ? geometry.getBoundingSphere() : null;
+}
+
+/**
+ * Local-space bounding box for an object's geometry
+ */
+function getBoundingBox(object, geometry, instanceId) {
+    if (instanceId === null && object && typeof object.getBoundingBox === 'function') {
+        return object.getBoundingBox();
+    }
+    return typeof geometry.getBoundingBox === 'function' ? geometry.getBoundingBox() : null;
+}
+
+/**
+ * Ray vs sphere overlap test (direction need not be normalized)
+ */
+function rayIntersectsSphere(origin, direction, sphere) {
+    const ox = sphere.center.x - origin.x;
+    const oy = sphere.center.y - origin.y;
+    const oz = sphere.center.z - origin.z;
+    const dirLengthSq = direction.x * direction.x + direction.y * direction.y + direction.z * direction.z;
+    const t = Math.max(0, (ox * direction.x + oy * direction.y + oz * direction.z) / dirLengthSq);
+
+    const dx = origin.x + direction.x * t - sphere.center.x;
+    const dy = origin.y + direction.y * t - sphere.center.y;
+    const dz = origin.z + direction.z * t - sphere.center.z;
+
+    return dx * dx + dy * dy + dz * dz <= sphere.radius * sphere.radius;
+}
+
+/**
+ * Ray vs axis-aligned box overlap test (slab method)
+ */
+function rayIntersectsBox(origin, direction, box) {
+    let tmin = 0;
+    let tmax = Infinity;
+
+    for (const axis of ['x', 'y', 'z']) {
+        if (Math.abs(direction[axis]) < EPSILON) {
+            if (origin[axis] < box.min[axis] || origin[axis] > box.max[axis]) return false;
+            continue;
+        }
+
+        const t1 = (box.min[axis] - origin[axis]) / direction[axis];
+        const t2 = (box.max[axis] - origin[axis]) / direction[axis];
+        tmin = Math.max(tmin, Math.min(t1, t2));
+        tmax = Math.min(tmax, Math.max(t1, t2));
+
+        if (tmin > tmax) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Möller–Trumbore ray/triangle intersection
+ * @returns {object|null} Ray parameter, barycentrics and geometric normal
+ */
+function intersectTriangle(origin, direction, a, b, c, cullMode) {
+    const e1x = b.x - a.x, e1y = b.y - a.y, e1z = b.z - a.z;
+    const e2x = c.x - a.x, e2y = c.y - a.y, e2z = c.z - a.z;
+
+    const px = direction.y * e2z - direction.z * e2y;
+    const py = direction.z * e2x - direction.x * e2z;
+    const pz = direction.x * e2y - direction.y * e2x;
+
+    const det = e1x * px + e1y * py + e1z * pz;
+
+    // det > 0 means the ray hits the front (counter-clockwise) side
+    if (cullMode === 'back' && det < EPSILON) return null;
+    if (cullMode === 'front' && det > -EPSILON) return null;
+    if (Math.abs(det) < EPSILON) return null;
+
+    const invDet = 1 / det;
+    const tx = origin.x - a.x, ty = origin.y - a.y, tz = origin.z - a.z;
+
+    const u = (tx * px + ty * py + tz * pz) * invDet;
+    if (u < 0 || u > 1) return null;
+
+    const qx = ty * e1z - tz * e1y;
+    const qy = tz * e1x - tx * e1z;
+    const qz = tx * e1y - ty * e1x;
+
+    const v = (direction.x * qx + direction.y * qy + direction.z * qz) * invDet;
+    if (v < 0 || u + v > 1) return null;
+
+    const t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+    if (t < 0) return null;
+
+    return {
+        t,
+        u,
+        v,
+        normal: {
+            x: e1y * e2z - e1z * e2y,
+            y: e1z * e2x - e1x * e2z,
+            z: e1x * e2y - e1y * e2x
+        }
+    };
+}
+
+/**
+ * Interpolate UVs with barycentric coordinates
+ */
+function interpolateUV(uvs, ia, ib, ic, u, v) {
+    const uvA = uvs.read(ia, { x: 0, y: 0 });
+    const uvB = uvs.read(ib, { x: 0, y: 0 });
+    const uvC = uvs.read(ic, { x: 0, y: 0 });
+    const w = 1 - u - v;
+
+    return {
+        x: uvA.x * w + uvB.x * u + uvC.x * v,
+        y: uvA.y * w + uvB.y * u + uvC.y * v
+    };
+}
+
+/**
+ * Compose a column-major matrix from InstanceData position/quaternion/scale arrays
+ */
+function composeInstanceMatrix(instance) {
+    const [px, py, pz] = instance.position;
+    const [qx, qy, qz, qw] = instance.rotation;
+    const [sx, sy, sz] = instance.scale;
+
+    const x2 = qx + qx, y2 = qy + qy, z2 = qz + qz;
+    const xx = qx * x2, xy = qx * y2, xz = qx * z2;
+    const yy = qy * y2, yz = qy * z2, zz = qz * z2;
+    const wx = qw * x2, wy = qw * y2, wz = qw * z2;
+
+    const matrix = new Matrix4();
+    const e = matrix.elements;
+
+    e[0] = (1 - (yy + zz)) * sx;
+    e[1] = (xy + wz) * sx;
+    e[2] = (xz - wy) * sx;
+    e[3] = 0;
+
+    e[4] = (xy - wz) * sy;
+    e[5] = (1 - (xx + zz)) * sy;
+    e[6] = (yz + wx) * sy;
+    e[7] = 0;
+
+    e[8] = (xz + wy) * sz;
+    e[9] = (yz - wx) * sz;
+    e[10] = (1 - (xx + yy)) * sz;
+    e[11] = 0;
+
+    e[12] = px;
+    e[13] = py;
+    e[14] = pz;
+    e[15] = 1;
+
+    return matrix;
+}
+
+function identityMatrix() {
+    return new Matrix4().elements;
+}
+
+/**
+ * Transform a point by a column-major 4x4 matrix
+ */
+function transformPoint(m, p) {
+    const w = m[3] * p.x + m[7] * p.y + m[11] * p.z + m[15] || 1;
+    return {
+        x: (m[0] * p.x + m[4] * p.y + m[8] * p.z + m[12]) / w,
+        y: (m[1] * p.x + m[5] * p.y + m[9] * p.z + m[13]) / w,
+        z: (m[2] * p.x + m[6] * p.y + m[10] * p.z + m[14]) / w
+    };
+}
+
+/**
+ * Transform a direction (ignores translation, not normalized)
+ */
+function transformDirection(m, d) {
+    return {
+        x: m[0] * d.x + m[4] * d.y + m[8] * d.z,
+        y: m[1] * d.x + m[5] * d.y + m[9] * d.z,
+        z: m[2] * d.x + m[6] * d.y + m[10] * d.z
+    };
+}
+
+/**
+ * Transform a local normal to world space using the inverse matrix (inverse transpose)
+ */
+function transformNormal(inverse, n) {
+    const x = inverse[0] * n.x + inverse[1] * n.y + inverse[2] * n.z;
+    const y = inverse[4] * n.x + inverse[5] * n.y + inverse[6] * n.z;
+    const z = inverse[8] * n.x + inverse[9] * n.y + inverse[10] * n.z;
+    const length = Math.sqrt(x * x + y * y + z * z) || 1;
+    return { x: x / length, y: y / length, z: z / length };
+}
+
+function distanceBetween(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = b.z - a.z;
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
@@ -0,0 +1,148 @@
+/**
+ * RenderList - Per-frame render queues
+ * Splits visible objects into opaque, alpha-test and transparent queues. Opaque and
+ * alpha-test items are sorted by program, material and geometry to minimise state
+ * changes, then front-to-back; transparent items are sorted back-to-front by view depth.
+ */
+
+/**
+ * How the transparent queue is composited
+ */
+export const TransparencyMode = {
+    SORTED: 'sorted',
+    WEIGHTED_BLENDED: 'weightedBlended'
+};
+
+/**
+ * Opaque ordering: render order, then state (program, material, geometry), then front-to-back
+ */
+export function opaqueSort(a, b) {
+    if (a.renderOrder !== b.renderOrder) return a.renderOrder - b.renderOrder;
+    if (a.programId !== b.programId) return a.programId - b.programId;
+    if (a.materialId !== b.materialId) return a.materialId - b.materialId;
+    if (a.geometryId !== b.geometryId) return a.geometryId - b.geometryId;
+    if (a.z !== b.z) return a.z - b.z;
+    return a.id - b.id;
+}
+
+/**
+ * Transparent ordering: render order, then back-to-front
+ */
+export function transparentSort(a, b) {
+    if (a.renderOrder !== b.renderOrder) return a.renderOrder - b.renderOrder;
+    if (a.z !== b.z) return b.z - a.z;
+    return a.id - b.id;
+}
+
+export class RenderList {
+    constructor() {
+        this.opaque = [];
+        this.alphaTest = [];
+        this.transparent = [];
+
+        // Render items are pooled across frames
+        this.items = [];
+        this.itemCount = 0;
+
+        // Small integer keys for GL programs and geometries, which carry no ids of their own
+        this.keys = new WeakMap();
+        this.nextKey = 1;
+    }
+
+    /**
+     * Reset the queues for a new frame
+     */
+    init() {
+        this.opaque.length = 0;
+        this.alphaTest.length = 0;
+        this.transparent.length = 0;
+        this.itemCount = 0;
+    }
+
+    /**
+     * Queue an object
+     * @param {Object3D} object - Object to draw
+     * @param {number} z - View-space depth, positive in front of the camera
+     * @returns {Object} The render item
+     */
+    push(object, z) {
+        const material = object.material || null;
+        const program = material && material.shader && material.shader.program;
+
+        let item = this.items[this.itemCount];
+        if (!item) {
+            item = {};
+            this.items[this.itemCount] = item;
+        }
+        this.itemCount++;
+
+        item.id = this.itemCount;
+        item.object = object;
+        item.material = material;
+        item.renderOrder = object.renderOrder || 0;
+        item.programId = this.getKey(program);
+        item.materialId = material && typeof material.id === 'number' ? material.id : this.getKey(material);
+        item.geometryId = this.getKey(object.geometry);
+        item.z = z;
+
+        this.getQueue(material).push(item);
+        return item;
+    }
+
+    /**
+     * Queue an item belongs in
+     * @private
+     */
+    getQueue(material) {
+        if (!material) return this.opaque;
+        if (material.transparent) return this.transparent;
+        if (material.alphaTest > 0) return this.alphaTest;
+        return this.opaque;
+    }
+
+    /**
+     * Stable integer key for an object, 0 for none
+     * @private
+     */
+    getKey(value) {
+        if (!value || typeof value !== 'object') return 0;
+
+        let key = this.keys.get(value);
+        if (key === undefined) {
+            key = this.nextKey++;
+            this.keys.set(value, key);
+        }
+        return key;
+    }
+
+    /**
+     * Sort the queues
+     * @param {Function} [customOpaqueSort] - Comparator for opaque and alpha-test queues
+     * @param {Function} [customTransparentSort] - Comparator for the transparent queue
+     */
+    sort(customOpaqueSort = opaqueSort, customTransparentSort = transparentSort) {
+        if (this.opaque.length > 1) this.opaque.sort(customOpaqueSort);
+        if (this.alphaTest.length > 1) this.alphaTest.sort(customOpaqueSort);
+        if (this.transparent.length > 1) this.transparent.sort(customTransparentSort);
+    }
+
+    /**
+     * Drop references held by pooled items
+     */
+    finish() {
+        for (let i = this.itemCount; i < this.items.length; i++) {
+            const item = this.items[i];
+            if (item.object === null) break;
+            item.object = null;
+            item.material = null;
+        }
+    }
+
+    /**
+     * Free the item pool
+     */
+    dispose() {
+        this.init();
+        this.items = [];
+    }
+}
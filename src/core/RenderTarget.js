@@ -0,0 +1,768 @@
+/**
+ * RenderTarget - Offscreen framebuffer with color, depth and stencil attachments
+ * Supports multiple color attachments (MRT), multisampled renderbuffers resolved by
+ * blitting, cube map faces, 2D texture array layers and synchronous or asynchronous
+ * pixel readback into typed arrays
+ */
+
+import { WebGLState } from './WebGLState.js';
+import { WebGLResources } from './WebGLResources.js';
+
+const HALF_FLOAT_OES = 0x8D61;
+const UNSIGNED_INT_24_8_WEBGL = 0x84FA;
+
+// Interval between fence polls while waiting for an asynchronous readback (ms)
+const READBACK_POLL_INTERVAL = 4;
+
+// Sized internal formats for WebGL2, by base format and component type
+const SIZED_FORMATS = {
+    RGBA: { UNSIGNED_BYTE: 'RGBA8', HALF_FLOAT: 'RGBA16F', FLOAT: 'RGBA32F' },
+    RGB: { UNSIGNED_BYTE: 'RGB8', HALF_FLOAT: 'RGB16F', FLOAT: 'RGB32F' },
+    RG: { UNSIGNED_BYTE: 'RG8', HALF_FLOAT: 'RG16F', FLOAT: 'RG32F' },
+    RED: { UNSIGNED_BYTE: 'R8', HALF_FLOAT: 'R16F', FLOAT: 'R32F' }
+};
+
+const FRAMEBUFFER_STATUS_MESSAGES = {
+    0x8CD6: 'Incomplete attachment',
+    0x8CD7: 'Missing attachment',
+    0x8CD9: 'Incomplete dimensions',
+    0x8CDD: 'Unsupported framebuffer configuration',
+    0x8D56: 'Incomplete multisample'
+};
+
+/**
+ * Check whether a context is WebGL2
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+ * @returns {boolean}
+ */
+export function isWebGL2(gl) {
+    return typeof WebGL2RenderingContext === 'function' && gl instanceof WebGL2RenderingContext;
+}
+
+/**
+ * Resolve a GL enum given by name ('RGBA', 'HALF_FLOAT') or value
+ */
+function resolveEnum(gl, value) {
+    return typeof value === 'string' ? gl[value] : value;
+}
+
+/**
+ * Name of a GL enum value among candidate names
+ */
+function enumName(gl, value, names) {
+    if (typeof value === 'string') return value;
+    if (value === HALF_FLOAT_OES) return 'HALF_FLOAT';
+    return names.find(name => gl[name] !== undefined && gl[name] === value) || null;
+}
+
+/**
+ * Read pixels from the bound read framebuffer into a typed array
+ * @param {WebGLRenderingContext} gl - WebGL context
+ * @returns {ArrayBufferView} The filled array
+ */
+export function readPixels(gl, x, y, width, height, format, type, pixels) {
+    gl.readPixels(x, y, width, height, format, type, pixels);
+    return pixels;
+}
+
+/**
+ * Read pixels from the bound read framebuffer without stalling the pipeline.
+ * On WebGL2 the copy goes through a pixel pack buffer and a fence; WebGL1 reads synchronously.
+ * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+ * @returns {Promise<ArrayBufferView>} Resolves with the filled array
+ */
+export function readPixelsAsync(gl, x, y, width, height, format, type, pixels) {
+    if (!isWebGL2(gl)) {
+        return Promise.resolve(readPixels(gl, x, y, width, height, format, type, pixels));
+    }
+
+    const state = WebGLState.get(gl);
+    const buffer = gl.createBuffer();
+    state.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, pixels.byteLength, gl.STREAM_READ);
+    gl.readPixels(x, y, width, height, format, type, 0);
+    state.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            const status = gl.clientWaitSync(sync, 0, 0);
+
+            if (status === gl.TIMEOUT_EXPIRED) {
+                setTimeout(poll, READBACK_POLL_INTERVAL);
+                return;
+            }
+
+            gl.deleteSync(sync);
+
+            if (status === gl.WAIT_FAILED) {
+                gl.deleteBuffer(buffer);
+                reject(new Error('Pixel readback failed'));
+                return;
+            }
+
+            state.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+            gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, pixels);
+            state.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+            gl.deleteBuffer(buffer);
+            resolve(pixels);
+        };
+
+        poll();
+    });
+}
+
+/**
+ * Offscreen 2D render target.
+ *
+ * GL resources are created by setup(gl), or lazily on the first bind, and
+ * recreated by setSize. Color textures are exposed as `textures` (`texture` is
+ * the first one) and the depth texture, when requested, as `depthTexture`.
+ */
+export class RenderTarget {
+    /**
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Object} options - Render target options
+     * @param {string|number} [options.format='RGBA'] - Color format
+     * @param {string|number} [options.type='UNSIGNED_BYTE'] - Color component type
+     * @param {string|number} [options.internalFormat] - Internal format, derived from format and type when omitted
+     * @param {number} [options.count=1] - Number of color attachments (0 for depth-only targets)
+     * @param {Object[]} [options.attachments] - Per-attachment { format, type, internalFormat } overrides; sets count
+     * @param {boolean} [options.depthBuffer=true] - Attach a depth buffer
+     * @param {boolean} [options.stencilBuffer=false] - Attach a stencil buffer
+     * @param {boolean} [options.depthTexture=false] - Store depth (and stencil) in a sampleable texture
+     * @param {Object} [options.depthTextureFormat] - { internalFormat, format, type } overrides for the depth texture
+     * @param {number} [options.samples=0] - MSAA sample count (WebGL2), resolved into the textures by blitting
+     * @param {string|number} [options.minFilter='LINEAR'] - Minification filter
+     * @param {string|number} [options.magFilter='LINEAR'] - Magnification filter
+     * @param {string|number} [options.wrapS='CLAMP_TO_EDGE'] - Horizontal wrap mode
+     * @param {string|number} [options.wrapT='CLAMP_TO_EDGE'] - Vertical wrap mode
+     * @param {boolean} [options.generateMipmaps=false] - Regenerate color mipmaps on resolve
+     */
+    constructor(width = 1, height = 1, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.depth = 1;
+
+        this.format = options.format ?? 'RGBA';
+        this.type = options.type ?? 'UNSIGNED_BYTE';
+        this.internalFormat = options.internalFormat ?? null;
+
+        const count = options.attachments ? options.attachments.length : (options.count ?? 1);
+        this.attachments = Array.from({ length: count }, (_, index) => ({
+            format: this.format,
+            type: this.type,
+            internalFormat: this.internalFormat,
+            ...options.attachments?.[index]
+        }));
+
+        this.depthBuffer = options.depthBuffer !== false;
+        this.stencilBuffer = !!options.stencilBuffer;
+        this.useDepthTexture = !!options.depthTexture;
+        this.depthTextureFormat = options.depthTextureFormat ?? null;
+        this.samples = options.samples || 0;
+
+        this.minFilter = options.minFilter ?? 'LINEAR';
+        this.magFilter = options.magFilter ?? 'LINEAR';
+        this.wrapS = options.wrapS ?? 'CLAMP_TO_EDGE';
+        this.wrapT = options.wrapT ?? 'CLAMP_TO_EDGE';
+        this.generateMipmaps = !!options.generateMipmaps;
+
+        this.textureTarget = 'TEXTURE_2D';
+
+        // GL resources
+        this.gl = null;
+        this.framebuffer = null;
+        this.textures = [];
+        this.depthTexture = null;
+        this.depthRenderbuffer = null;
+        this.msaaFramebuffer = null;
+        this.msaaRenderbuffers = [];
+
+        // Cube face or array layer and mip level attached to the framebuffer
+        this.activeLayer = 0;
+        this.activeMipmapLevel = 0;
+        this.needsResolve = false;
+    }
+
+    /**
+     * First color texture
+     */
+    get texture() {
+        return this.textures[0] || null;
+    }
+
+    /**
+     * Number of color attachments
+     */
+    get count() {
+        return this.attachments.length;
+    }
+
+    /**
+     * Whether rendering goes through multisampled renderbuffers
+     */
+    get isMultisample() {
+        return this.msaaFramebuffer !== null;
+    }
+
+    /**
+     * Create GL resources on a context; does nothing when already set up on it
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {RenderTarget} this
+     */
+    setup(gl) {
+        if (this.gl === gl && this.framebuffer) return this;
+        if (this.gl) this.dispose();
+
+        const webgl2 = isWebGL2(gl);
+        this._checkSupport(gl, webgl2);
+
+        this.gl = gl;
+        this.activeLayer = 0;
+        this.activeMipmapLevel = 0;
+
+        const depthFormat = this._getDepthFormat(gl, webgl2);
+
+        this.textures = this.attachments.map(attachment => {
+            return this._createTexture(gl, this._getColorFormat(gl, attachment, webgl2), false);
+        });
+        if (this.useDepthTexture) {
+            this.depthTexture = this._createTexture(gl, depthFormat.texture, true);
+        }
+
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        this._attachTextures(gl, 0, 0);
+
+        if (!this.useDepthTexture && depthFormat.attachment) {
+            this.depthRenderbuffer = this._createRenderbuffer(gl, depthFormat.renderbuffer, 0);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, depthFormat.attachment, gl.RENDERBUFFER, this.depthRenderbuffer);
+        }
+
+        this._setDrawBuffers(gl);
+        this._checkStatus(gl);
+
+        if (this.samples > 0 && webgl2) {
+            const samples = Math.min(this.samples, gl.getParameter(gl.MAX_SAMPLES));
+
+            this.msaaFramebuffer = gl.createFramebuffer();
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.msaaFramebuffer);
+
+            this.msaaRenderbuffers = this.attachments.map((attachment, index) => {
+                const format = this._getColorFormat(gl, attachment, webgl2);
+                const renderbuffer = this._createRenderbuffer(gl, format.internalFormat, samples);
+                gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0 + index, gl.RENDERBUFFER, renderbuffer);
+                return renderbuffer;
+            });
+
+            if (depthFormat.attachment) {
+                const renderbuffer = this._createRenderbuffer(gl, depthFormat.renderbuffer, samples);
+                gl.framebufferRenderbuffer(gl.FRAMEBUFFER, depthFormat.attachment, gl.RENDERBUFFER, renderbuffer);
+                this.msaaRenderbuffers.push(renderbuffer);
+            }
+
+            this._setDrawBuffers(gl);
+            this._checkStatus(gl);
+        }
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        WebGLResources.get(gl).register(this);
+        return this;
+    }
+
+    /**
+     * Bind for rendering and set the viewport to the target size
+     * @param {WebGLRenderingContext} [gl] - Context, needed the first time
+     * @param {number} [activeLayer=0] - Cube face or array layer to render into
+     * @param {number} [activeMipmapLevel=0] - Mip level to render into
+     * @returns {RenderTarget} this
+     */
+    bind(gl = this.gl, activeLayer = 0, activeMipmapLevel = 0) {
+        this.setup(gl);
+        this.resolve();
+        this._setActiveLayer(activeLayer, activeMipmapLevel);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.msaaFramebuffer || this.framebuffer);
+        WebGLState.get(gl).viewport(0, 0, this._levelSize(this.width), this._levelSize(this.height));
+
+        this.needsResolve = this.isMultisample || this.generateMipmaps;
+        return this;
+    }
+
+    /**
+     * Make rendered content available to samplers: blit multisampled renderbuffers into
+     * the textures and regenerate mipmaps. The framebuffer binding is preserved.
+     * @returns {RenderTarget} this
+     */
+    resolve() {
+        const gl = this.gl;
+        if (!gl || !this.needsResolve) return this;
+
+        this.needsResolve = false;
+
+        if (this.isMultisample) {
+            const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+            const width = this._levelSize(this.width);
+            const height = this._levelSize(this.height);
+
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.msaaFramebuffer);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, this.framebuffer);
+
+            // A blit copies the read buffer into every draw buffer: resolve attachments one at a time
+            for (let index = 0; index < this.count; index++) {
+                gl.readBuffer(gl.COLOR_ATTACHMENT0 + index);
+                gl.drawBuffers(this.attachments.slice(0, index + 1).map((_, i) => {
+                    return i === index ? gl.COLOR_ATTACHMENT0 + i : gl.NONE;
+                }));
+                gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+            }
+
+            if (this.depthTexture) {
+                const mask = this.stencilBuffer ? gl.DEPTH_BUFFER_BIT | gl.STENCIL_BUFFER_BIT : gl.DEPTH_BUFFER_BIT;
+                gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, mask, gl.NEAREST);
+            }
+
+            if (this.count > 0) {
+                gl.readBuffer(gl.COLOR_ATTACHMENT0);
+                this._setDrawBuffers(gl);
+            }
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+        }
+
+        if (this.generateMipmaps) {
+            const state = WebGLState.get(gl);
+            const target = gl[this.textureTarget];
+            this.textures.forEach(texture => {
+                state.bindTexture(target, texture);
+                gl.generateMipmap(target);
+            });
+            state.bindTexture(target, null);
+        }
+
+        return this;
+    }
+
+    /**
+     * Read pixels of a color attachment
+     * @param {number} x - Left edge
+     * @param {number} y - Bottom edge
+     * @param {number} width - Width to read
+     * @param {number} height - Height to read
+     * @param {ArrayBufferView} [buffer] - Destination; a Uint8Array or Float32Array matching the attachment type is created when omitted
+     * @param {Object} [options] - { attachment, layer } color attachment index and cube face or array layer
+     * @returns {ArrayBufferView} RGBA pixels
+     */
+    readPixels(x, y, width, height, buffer = null, options = {}) {
+        const { gl, format, type, pixels, restore } = this._prepareRead(width, height, buffer, options);
+        readPixels(gl, x, y, width, height, format, type, pixels);
+        restore();
+        return pixels;
+    }
+
+    /**
+     * Read pixels of a color attachment without stalling on the GPU (WebGL2)
+     * @returns {Promise<ArrayBufferView>} RGBA pixels
+     * @see RenderTarget#readPixels
+     */
+    readPixelsAsync(x, y, width, height, buffer = null, options = {}) {
+        try {
+            const { gl, format, type, pixels, restore } = this._prepareRead(width, height, buffer, options);
+            const promise = readPixelsAsync(gl, x, y, width, height, format, type, pixels);
+            restore();
+            return promise;
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Resize, recreating GL resources when already set up
+     * @returns {RenderTarget} this
+     */
+    setSize(width, height, depth = this.depth) {
+        if (this.width === width && this.height === height && this.depth === depth) return this;
+
+        this.width = width;
+        this.height = height;
+        this.depth = depth;
+
+        const gl = this.gl;
+        if (gl) {
+            this.dispose();
+            this.setup(gl);
+        }
+
+        return this;
+    }
+
+    /**
+     * Recreate GL resources after a context loss. The contents are not kept; they are
+     * rendered again by whatever draws into the target.
+     * @returns {boolean} true
+     */
+    restoreContext() {
+        const gl = this.gl;
+
+        // Objects of the lost context are invalid, there is nothing to delete
+        this._resetResources();
+        this.setup(gl);
+        return true;
+    }
+
+    /**
+     * Delete GL resources; the target can be set up again afterwards
+     */
+    dispose() {
+        const gl = this.gl;
+        if (!gl) return;
+
+        this.textures.forEach(texture => gl.deleteTexture(texture));
+        if (this.depthTexture) gl.deleteTexture(this.depthTexture);
+        if (this.depthRenderbuffer) gl.deleteRenderbuffer(this.depthRenderbuffer);
+        this.msaaRenderbuffers.forEach(renderbuffer => gl.deleteRenderbuffer(renderbuffer));
+        if (this.framebuffer) gl.deleteFramebuffer(this.framebuffer);
+        if (this.msaaFramebuffer) gl.deleteFramebuffer(this.msaaFramebuffer);
+
+        WebGLResources.get(gl).unregister(this);
+        this._resetResources();
+    }
+
+    /**
+     * Forget GL handles without deleting them
+     * @private
+     */
+    _resetResources() {
+        this.gl = null;
+        this.framebuffer = null;
+        this.textures = [];
+        this.depthTexture = null;
+        this.depthRenderbuffer = null;
+        this.msaaFramebuffer = null;
+        this.msaaRenderbuffers = [];
+        this.needsResolve = false;
+    }
+
+    /**
+     * Throw for configurations the context cannot provide
+     * @private
+     */
+    _checkSupport(gl, webgl2) {
+        if (webgl2) {
+            if (this.attachments.some(attachment => enumName(gl, attachment.type, ['FLOAT', 'HALF_FLOAT']))) {
+                gl.getExtension('EXT_color_buffer_float');
+            }
+            return;
+        }
+
+        if (this.textureTarget === 'TEXTURE_2D_ARRAY') {
+            throw new Error('Array render targets require WebGL2');
+        }
+        if (this.count > 1 && !gl.getExtension('WEBGL_draw_buffers')) {
+            throw new Error('Multiple render targets require WebGL2 or WEBGL_draw_buffers');
+        }
+        if (this.useDepthTexture) {
+            if (this.textureTarget !== 'TEXTURE_2D') {
+                throw new Error('Depth cube maps require WebGL2');
+            }
+            if (!gl.getExtension('WEBGL_depth_texture')) {
+                throw new Error('Depth textures require WebGL2 or WEBGL_depth_texture');
+            }
+        }
+
+        this.attachments.forEach(attachment => {
+            const type = enumName(gl, attachment.type, ['FLOAT', 'HALF_FLOAT']);
+            if (type === 'FLOAT') {
+                gl.getExtension('OES_texture_float');
+                gl.getExtension('WEBGL_color_buffer_float');
+            } else if (type === 'HALF_FLOAT') {
+                gl.getExtension('OES_texture_half_float');
+                gl.getExtension('EXT_color_buffer_half_float');
+            }
+        });
+    }
+
+    /**
+     * Resolve internal format, format and type of a color attachment
+     * @private
+     */
+    _getColorFormat(gl, attachment, webgl2) {
+        const formatName = enumName(gl, attachment.format, Object.keys(SIZED_FORMATS));
+        const typeName = enumName(gl, attachment.type, ['UNSIGNED_BYTE', 'HALF_FLOAT', 'FLOAT']);
+        const format = resolveEnum(gl, attachment.format);
+        let type = resolveEnum(gl, attachment.type);
+        let internalFormat = resolveEnum(gl, attachment.internalFormat);
+
+        if (!webgl2) {
+            // WebGL 1 has no sized formats and a separate half float enum
+            if (typeName === 'HALF_FLOAT') type = HALF_FLOAT_OES;
+            return { internalFormat: format, format, type };
+        }
+
+        if (internalFormat === null || internalFormat === undefined) {
+            internalFormat = gl[SIZED_FORMATS[formatName]?.[typeName]] ?? format;
+        }
+
+        return { internalFormat, format, type };
+    }
+
+    /**
+     * Formats and attachment point for depth and stencil
+     * @private
+     */
+    _getDepthFormat(gl, webgl2) {
+        const depth = this.depthBuffer || this.useDepthTexture;
+        const stencil = this.stencilBuffer;
+
+        let attachment = null;
+        if (depth && stencil) attachment = gl.DEPTH_STENCIL_ATTACHMENT;
+        else if (depth) attachment = gl.DEPTH_ATTACHMENT;
+        else if (stencil) attachment = gl.STENCIL_ATTACHMENT;
+
+        if (webgl2) {
+            return {
+                attachment,
+                renderbuffer: depth ? (stencil ? gl.DEPTH24_STENCIL8 : gl.DEPTH_COMPONENT24) : gl.STENCIL_INDEX8,
+                texture: this._getDepthTextureFormat(gl, stencil ?
+                    { internalFormat: gl.DEPTH24_STENCIL8, format: gl.DEPTH_STENCIL, type: gl.UNSIGNED_INT_24_8 } :
+                    { internalFormat: gl.DEPTH_COMPONENT24, format: gl.DEPTH_COMPONENT, type: gl.UNSIGNED_INT })
+            };
+        }
+
+        return {
+            attachment,
+            renderbuffer: depth ? (stencil ? gl.DEPTH_STENCIL : gl.DEPTH_COMPONENT16) : gl.STENCIL_INDEX8,
+            texture: this._getDepthTextureFormat(gl, stencil ?
+                { internalFormat: gl.DEPTH_STENCIL, format: gl.DEPTH_STENCIL, type: UNSIGNED_INT_24_8_WEBGL } :
+                { internalFormat: gl.DEPTH_COMPONENT, format: gl.DEPTH_COMPONENT, type: gl.UNSIGNED_SHORT })
+        };
+    }
+
+    /**
+     * Depth texture format with the depthTextureFormat overrides applied
+     * @private
+     */
+    _getDepthTextureFormat(gl, defaults) {
+        const overrides = this.depthTextureFormat;
+        if (!overrides) return defaults;
+
+        return {
+            internalFormat: resolveEnum(gl, overrides.internalFormat) ?? defaults.internalFormat,
+            format: resolveEnum(gl, overrides.format) ?? defaults.format,
+            type: resolveEnum(gl, overrides.type) ?? defaults.type
+        };
+    }
+
+    /**
+     * Allocate a color or depth texture for every face or layer
+     * @private
+     */
+    _createTexture(gl, { internalFormat, format, type }, isDepth) {
+        const target = gl[this.textureTarget];
+        const state = WebGLState.get(gl);
+        const texture = gl.createTexture();
+
+        state.bindTexture(target, texture);
+        gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, isDepth ? gl.NEAREST : resolveEnum(gl, this.minFilter));
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, isDepth ? gl.NEAREST : resolveEnum(gl, this.magFilter));
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, resolveEnum(gl, this.wrapS));
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, resolveEnum(gl, this.wrapT));
+
+        switch (this.textureTarget) {
+            case 'TEXTURE_CUBE_MAP':
+                for (let face = 0; face < 6; face++) {
+                    gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, 0, internalFormat,
+                                 this.width, this.height, 0, format, type, null);
+                }
+                break;
+            case 'TEXTURE_2D_ARRAY':
+                gl.texImage3D(target, 0, internalFormat, this.width, this.height, this.depth, 0, format, type, null);
+                break;
+            default:
+                gl.texImage2D(target, 0, internalFormat, this.width, this.height, 0, format, type, null);
+        }
+
+        // Allocate the mip chain so lower levels can be rendered into
+        if (this.generateMipmaps && !isDepth) {
+            gl.generateMipmap(target);
+        }
+
+        state.bindTexture(target, null);
+        return texture;
+    }
+
+    /**
+     * @private
+     */
+    _createRenderbuffer(gl, internalFormat, samples) {
+        const renderbuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+
+        if (samples > 0) {
+            gl.renderbufferStorageMultisample(gl.RENDERBUFFER, samples, internalFormat, this.width, this.height);
+        } else {
+            gl.renderbufferStorage(gl.RENDERBUFFER, internalFormat, this.width, this.height);
+        }
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+        return renderbuffer;
+    }
+
+    /**
+     * Attach textures at a face or layer and mip level to the bound framebuffer
+     * @private
+     */
+    _attachTextures(gl, layer, level) {
+        this.textures.forEach((texture, index) => {
+            this._attachTexture(gl, gl.COLOR_ATTACHMENT0 + index, texture, layer, level);
+        });
+
+        if (this.depthTexture) {
+            const attachment = this.stencilBuffer ? gl.DEPTH_STENCIL_ATTACHMENT : gl.DEPTH_ATTACHMENT;
+            this._attachTexture(gl, attachment, this.depthTexture, layer, level);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _attachTexture(gl, attachment, texture, layer, level) {
+        switch (this.textureTarget) {
+            case 'TEXTURE_CUBE_MAP':
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, attachment, gl.TEXTURE_CUBE_MAP_POSITIVE_X + layer, texture, level);
+                break;
+            case 'TEXTURE_2D_ARRAY':
+                gl.framebufferTextureLayer(gl.FRAMEBUFFER, attachment, texture, level, layer);
+                break;
+            default:
+                gl.framebufferTexture2D(gl.FRAMEBUFFER, attachment, gl.TEXTURE_2D, texture, level);
+        }
+    }
+
+    /**
+     * Reattach textures when the face, layer or mip level changes
+     * @private
+     */
+    _setActiveLayer(layer, level) {
+        if (layer === this.activeLayer && level === this.activeMipmapLevel) return;
+
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        this._attachTextures(gl, layer, level);
+
+        this.activeLayer = layer;
+        this.activeMipmapLevel = level;
+    }
+
+    /**
+     * Route fragment outputs to every color attachment
+     * @private
+     */
+    _setDrawBuffers(gl) {
+        if (this.count < 2) return;
+
+        const buffers = this.attachments.map((_, index) => gl.COLOR_ATTACHMENT0 + index);
+
+        if (isWebGL2(gl)) {
+            gl.drawBuffers(buffers);
+        } else {
+            gl.getExtension('WEBGL_draw_buffers').drawBuffersWEBGL(buffers);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _checkStatus(gl) {
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            this.dispose();
+
+            const message = FRAMEBUFFER_STATUS_MESSAGES[status] || `Unknown error (status: ${status})`;
+            throw new Error(`Render target framebuffer incomplete: ${message}`);
+        }
+    }
+
+    /**
+     * Size of the active mip level along one axis
+     * @private
+     */
+    _levelSize(size) {
+        return Math.max(1, size >> this.activeMipmapLevel);
+    }
+
+    /**
+     * Resolve, bind the framebuffer for reading and pick the read format and destination
+     * @private
+     */
+    _prepareRead(width, height, buffer, { attachment = 0, layer = this.activeLayer } = {}) {
+        const gl = this.gl;
+        if (!gl) {
+            throw new Error('Render target has not been set up');
+        }
+        if (attachment >= this.count) {
+            throw new Error(`Render target has no color attachment ${attachment}`);
+        }
+        if (attachment > 0 && !isWebGL2(gl)) {
+            throw new Error('Reading color attachments other than the first requires WebGL2');
+        }
+
+        const previous = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        const wasBound = previous !== null && (previous === this.framebuffer || previous === this.msaaFramebuffer);
+        const activeLayer = this.activeLayer;
+
+        this.resolve();
+        this._setActiveLayer(layer, this.activeMipmapLevel);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        if (attachment > 0) gl.readBuffer(gl.COLOR_ATTACHMENT0 + attachment);
+
+        // RGBA with UNSIGNED_BYTE, or FLOAT for float attachments, is always a valid read combination
+        const typeName = enumName(gl, this.attachments[attachment].type, ['FLOAT', 'HALF_FLOAT']);
+        const isFloat = typeName === 'FLOAT' || typeName === 'HALF_FLOAT';
+        const pixels = buffer || (isFloat ? new Float32Array(width * height * 4) : new Uint8Array(width * height * 4));
+
+        const restore = () => {
+            if (attachment > 0) gl.readBuffer(gl.COLOR_ATTACHMENT0);
+            this._setActiveLayer(activeLayer, this.activeMipmapLevel);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, previous);
+
+            // Reading in the middle of rendering into this target: later draws still need resolving
+            if (wasBound) this.needsResolve = this.isMultisample || this.generateMipmaps;
+        };
+
+        return { gl, format: gl.RGBA, type: isFloat ? gl.FLOAT : gl.UNSIGNED_BYTE, pixels, restore };
+    }
+}
+
+/**
+ * Cube map render target; bind a face (0-5, +X -X +Y -Y +Z -Z) to render into it
+ */
+export class CubeRenderTarget extends RenderTarget {
+    constructor(size = 1, options = {}) {
+        super(size, size, options);
+        this.textureTarget = 'TEXTURE_CUBE_MAP';
+    }
+
+    /**
+     * Edge length of the cube faces
+     */
+    get size() {
+        return this.width;
+    }
+}
+
+/**
+ * 2D texture array render target (WebGL2); bind a layer to render into it
+ */
+export class ArrayRenderTarget extends RenderTarget {
+    constructor(width = 1, height = 1, depth = 1, options = {}) {
+        super(width, height, options);
+        this.depth = depth;
+        this.textureTarget = 'TEXTURE_2D_ARRAY';
+    }
+}
@@ -3,12 +3,14 @@
  * Provides scene graph functionality, rendering pipeline, and lifecycle management
  */
 import { Object3D } from './Object3D.js';
+import { createSpatialIndex } from './SpatialIndex.js';
 
 export class Scene {
     constructor() {
         // Scene graph root
         this.root = new Object3D();
         this.root.name = 'Scene Root';
+        this.root.scene = this; // Lets objects attached anywhere below find the spatial index
 
         // Objects registry
         this.objects = new Map();
@@ -20,6 +22,7 @@ export class Scene {
 
         // Lighting
         this.lights = [];
+        this.lightManager = null; // LightManager whose active lights the renderer uses instead of lights
 
         // Scene properties
         this.background = { r: 0.05, g: 0.05, b: 0.05, a: 1.0 };
@@ -42,7 +45,10 @@ export class Scene {
         // Spatial data structures for optimization
         this.quadTree = null; // For 2D spatial partitioning
         this.octree = null;   // For 3D spatial partitioning
+        this.bvh = null;      // For dynamic, unevenly distributed scenes
+        this.spatialIndex = null; // Active structure (one of the above)
         this.spatialOptimization = false;
+        this.spatialType = 'quadtree';
 
         // Performance metrics
         this.metrics = {
@@ -103,6 +109,12 @@ export class Scene {
         this.objects.set(object.id, object);
         this.objectsByName.set(object.name, object);
 
+        // Index object (and any children it already has); objects attached to the root above
+        // were indexed by addChild
+        if (this.spatialIndex && !this.spatialIndex.has(object)) {
+            this.traverse(obj => this.spatialIndex.insert(obj), object);
+        }
+
         // Notify listeners
         this.emit('objectAdded', { object });
 
@@ -133,6 +145,10 @@ export class Scene {
         this.objects.delete(object.id);
         this.objectsByName.delete(object.name);
 
+        if (this.spatialIndex) {
+            this.traverse(obj => this.spatialIndex.remove(obj), object);
+        }
+
         // Destroy object
         if (object.destroy) {
         object.destroy();
@@ -337,16 +353,29 @@ export class Scene {
 
         // Apply frustum culling
         const frustum = this.activeCamera.getFrustum();
+
+        // Spatial index narrows candidates to objects whose bounds touch the frustum
+        if (this.spatialIndex) {
+            for (const obj of this.spatialIndex.queryFrustum(frustum)) {
+                if (!obj.visible || !this.passesDistanceCulling(obj)) continue;
+                renderable.add(obj.id);
+            }
+
+            // Objects opted out of culling are drawn wherever their bounds are
+            for (const obj of this.spatialIndex.unculled) {
+                if (obj.visible && this.passesDistanceCulling(obj)) {
+                    renderable.add(obj.id);
+                }
+            }
+            return renderable;
+        }
         
         this.traverse(obj => {
             if (obj === this.root || !obj.visible) return;
 
             // Distance culling
-            if (this.distanceCulling.enabled) {
-                const distance = this.activeCamera.getDistanceTo(obj);
-                if (distance > this.distanceCulling.maxDistance) {
-                    return;
-                }
+            if (!this.passesDistanceCulling(obj)) {
+                return;
             }
 
             // Frustum culling
@@ -358,11 +387,30 @@ export class Scene {
         return renderable;
     }
 
+    /**
+     * Check object against distance culling settings
+     */
+    passesDistanceCulling(object) {
+        if (!this.distanceCulling.enabled || !this.activeCamera) {
+            return true;
+        }
+        return this.activeCamera.getDistanceTo(object) <= this.distanceCulling.maxDistance;
+    }
+
     /**
      * Check if object is in camera frustum
+     * Tests the world-space bounds of the object's geometry; objects with frustumCulled set
+     * to false always pass
      */
     isObjectInFrustum(object, frustum) {
-        // Simple bounding sphere culling - can be enhanced
+        if (object.frustumCulled === false) {
+            return true;
+        }
+        if (typeof object.intersectsFrustum === 'function') {
+            return object.intersectsFrustum(frustum);
+        }
+
+        // Objects that are not Object3Ds: bounding sphere from position and scale
         const worldPos = object.getWorldPosition();
         const worldScale = object.getWorldScale();
         const radius = Math.max(worldScale.x, worldScale.y, worldScale.z);
@@ -395,8 +443,10 @@ export class Scene {
      * Update spatial data structures
      */
     updateSpatialData() {
-        // Update quadtree/octree for spatial optimization
-        // Implementation depends on specific spatial partitioning needs
+        // Refresh bounds of objects that moved since the last frame
+        if (this.spatialIndex) {
+            this.spatialIndex.refresh();
+        }
     }
 
     /**
@@ -427,9 +477,77 @@ export class Scene {
     /**
      * Enable/disable spatial optimization
      */
-    setSpatialOptimization(enabled, type = 'quadtree') {
+    setSpatialOptimization(enabled, type = 'quadtree', options = {}) {
+        // Drop any existing structure
+        if (this.spatialIndex) {
+            this.spatialIndex.clear();
+        }
+        this.spatialIndex = null;
+        this.quadTree = null;
+        this.octree = null;
+        this.bvh = null;
+
         this.spatialOptimization = enabled;
         this.spatialType = type;
+
+        if (!enabled) return;
+
+        this.spatialIndex = createSpatialIndex(type, options);
+        if (type === 'quadtree') this.quadTree = this.spatialIndex;
+        else if (type === 'octree') this.octree = this.spatialIndex;
+        else this.bvh = this.spatialIndex;
+
+        this.traverse(obj => {
+            if (obj !== this.root) {
+                this.spatialIndex.insert(obj);
+            }
+        });
+    }
+
+    /**
+     * Find objects whose bounds intersect a sphere
+     */
+    queryRadius(center, radius) {
+        if (this.spatialIndex) {
+            return this.spatialIndex.queryRadius(center, radius);
+        }
+
+        const result = [];
+        this.traverse(obj => {
+            if (obj === this.root) return;
+
+            // World bounding sphere, or position with the largest scale as radius
+            const sphere = obj.getWorldBoundingSphere ? obj.getWorldBoundingSphere() : null;
+            let pos = sphere && sphere.center;
+            let reach = radius + (sphere ? sphere.radius : 0);
+            if (!sphere) {
+                const scale = obj.getWorldScale();
+                pos = obj.getWorldPosition();
+                reach += Math.max(scale.x, scale.y, scale.z);
+            }
+            const dx = pos.x - center.x;
+            const dy = pos.y - center.y;
+            const dz = pos.z - center.z;
+            if (dx * dx + dy * dy + dz * dz <= reach * reach) {
+                result.push(obj);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Raycast against scene objects, using the spatial index to pick candidates
+     * @param {Raycaster} raycaster - Configured raycaster
+     * @returns {Array} Hits sorted by distance
+     */
+    raycast(raycaster) {
+        if (!this.spatialIndex) {
+            return raycaster.intersectScene(this);
+        }
+
+        const { origin, direction } = raycaster.ray;
+        const candidates = this.spatialIndex.queryRay(origin, direction, raycaster.far);
+        return raycaster.intersectObjects(candidates, false);
     }
 
     /**
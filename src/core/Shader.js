@@ -3,6 +3,10 @@
  * Handles WebGL shader compilation, uniform management, and attribute handling
  */
 
+import { WebGLState } from './WebGLState.js';
+import { WebGLResources } from './WebGLResources.js';
+import { preprocessShader, formatShaderLog } from './ShaderChunks.js';
+
 export class Shader {
   /**
    * Create a new Shader instance
@@ -17,27 +21,40 @@ export class Shader {
     this.attributeLocations = new Map();
     this.isCompiled = false;
     this.isLinked = false;
+
+    // Key and users in the program cache, when shared through WebGLPrograms
+    this.cacheKey = null;
+    this.usedTimes = 0;
+    this._pending = null;
+
+    // Arguments of createProgram(), to rebuild the program after a context loss
+    this._sources = null;
   }
 
   /**
    * Create and compile a shader from source code
+   * `#include <chunk>` lines are expanded and defines injected first; compile errors report
+   * the chunk and line they occurred in.
    * @param {string} source - The shader source code
    * @param {number} type - The shader type (gl.VERTEX_SHADER or gl.FRAGMENT_SHADER)
+   * @param {Object} [defines] - Defines to inject, e.g. { USE_MAP: true, MAX_LIGHTS: 4 }
    * @returns {WebGLShader} The compiled shader
    */
-  createShader(source, type) {
+  createShader(source, type, defines = null) {
     const gl = this.gl;
+    const name = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+    const preprocessed = preprocessShader(source, { defines, name });
     const shader = gl.createShader(type);
 
     if (!shader) {
       throw new Error('Failed to create shader object');
     }
 
-    gl.shaderSource(shader, source);
+    gl.shaderSource(shader, preprocessed.code);
     gl.compileShader(shader);
 
     if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-      const info = gl.getShaderInfoLog(shader);
+      const info = formatShaderLog(gl.getShaderInfoLog(shader), preprocessed);
       gl.deleteShader(shader);
       throw new Error(`Shader compilation failed: ${info}`);
     }
@@ -49,38 +66,127 @@ export class Shader {
    * Create a shader program from vertex and fragment shader sources
    * @param {string} vertexSource - Vertex shader source code
    * @param {string} fragmentSource - Fragment shader source code
+   * @param {Object} [defines] - Defines injected into both stages
+   * @param {Object} [attributes] - Attribute name to location, bound before linking
+   */
+  createProgram(vertexSource, fragmentSource, defines = null, attributes = null) {
+    this.beginProgram(vertexSource, fragmentSource, defines, attributes);
+    this.finishProgram();
+
+    // Cached programs are dropped with the cache instead and recompiled by their materials
+    this._sources = { vertexSource, fragmentSource, defines, attributes };
+    WebGLResources.get(this.gl).register(this);
+  }
+
+  /**
+   * Rebuild the program from its sources after a context loss. Uniform values have to be
+   * set again.
+   * @returns {boolean} true
+   */
+  restoreContext() {
+    const { vertexSource, fragmentSource, defines, attributes } = this._sources;
+
+    this.program = null;
+    this._pending = null;
+    this.uniforms.clear();
+    this.attributes.clear();
+    this.uniformLocations.clear();
+    this.attributeLocations.clear();
+    this.createProgram(vertexSource, fragmentSource, defines, attributes);
+    return true;
+  }
+
+  /**
+   * Submit both stages for compilation and linking without waiting for the result.
+   * Drivers with KHR_parallel_shader_compile compile in the background until
+   * isCompileComplete() reports true; finishProgram() checks the result and blocks
+   * if it is called earlier.
+   * @param {string} vertexSource - Vertex shader source code
+   * @param {string} fragmentSource - Fragment shader source code
+   * @param {Object} [defines] - Defines injected into both stages
+   * @param {Object} [attributes] - Attribute name to location, bound before linking
    */
-  createProgram(vertexSource, fragmentSource) {
+  beginProgram(vertexSource, fragmentSource, defines = null, attributes = null) {
     const gl = this.gl;
 
-    // Create shaders
-    const vertexShader = this.createShader(vertexSource, gl.VERTEX_SHADER);
-    const fragmentShader = this.createShader(fragmentSource, gl.FRAGMENT_SHADER);
+    // Resolve chunks first so a bad #include leaks no GL objects
+    const vertex = preprocessShader(vertexSource, { defines, name: 'vertex' });
+    const fragment = preprocessShader(fragmentSource, { defines, name: 'fragment' });
 
-    // Create shader program
+    const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+    const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
     this.program = gl.createProgram();
 
-    if (!this.program) {
+    if (!vertexShader || !fragmentShader || !this.program) {
       gl.deleteShader(vertexShader);
       gl.deleteShader(fragmentShader);
+      gl.deleteProgram(this.program);
+      this.program = null;
       throw new Error('Failed to create shader program');
     }
 
+    gl.shaderSource(vertexShader, vertex.code);
+    gl.compileShader(vertexShader);
+    gl.shaderSource(fragmentShader, fragment.code);
+    gl.compileShader(fragmentShader);
+
     // Attach shaders to program
     gl.attachShader(this.program, vertexShader);
     gl.attachShader(this.program, fragmentShader);
 
+    for (const [name, location] of Object.entries(attributes || {})) {
+      gl.bindAttribLocation(this.program, location, name);
+    }
+
     // Link the program
     gl.linkProgram(this.program);
 
+    this._pending = [
+      { shader: vertexShader, preprocessed: vertex },
+      { shader: fragmentShader, preprocessed: fragment }
+    ];
+  }
+
+  /**
+   * Whether a program started with beginProgram() can be finished without blocking
+   * @param {Object} [parallelCompile] - The KHR_parallel_shader_compile extension, if any
+   * @returns {boolean}
+   */
+  isCompileComplete(parallelCompile = null) {
+    if (!this._pending || !parallelCompile) return true;
+    return !!this.gl.getProgramParameter(this.program, parallelCompile.COMPLETION_STATUS_KHR);
+  }
+
+  /**
+   * Check the compile and link status of a program started with beginProgram() and cache
+   * its uniform and attribute locations. Throws with the mapped info log on failure.
+   */
+  finishProgram() {
+    const gl = this.gl;
+    const pending = this._pending;
+    if (!pending) return;
+    this._pending = null;
+
+    let error = null;
+    for (const { shader, preprocessed } of pending) {
+      if (!error && !gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const info = formatShaderLog(gl.getShaderInfoLog(shader), preprocessed);
+        error = new Error(`Shader compilation failed: ${info}`);
+      }
+    }
+    if (!error && !gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+      error = new Error(`Program linking failed: ${gl.getProgramInfoLog(this.program)}`);
+    }
+
     // Clean up shaders (no longer needed after linking)
-    gl.deleteShader(vertexShader);
-    gl.deleteShader(fragmentShader);
+    for (const { shader } of pending) {
+      gl.deleteShader(shader);
+    }
 
-    if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
-      const info = gl.getProgramInfoLog(this.program);
+    if (error) {
       gl.deleteProgram(this.program);
-      throw new Error(`Program linking failed: ${info}`);
+      this.program = null;
+      throw error;
     }
 
     this.isLinked = true;
@@ -238,8 +344,7 @@ export class Shader {
 
     const attribute = this.attributes.get(name);
     if (attribute) {
-      const gl = this.gl;
-      gl.enableVertexAttribArray(attribute.location);
+      WebGLState.get(this.gl).enableVertexAttribArray(attribute.location);
     }
   }
 
@@ -252,8 +357,7 @@ export class Shader {
 
     const attribute = this.attributes.get(name);
     if (attribute) {
-      const gl = this.gl;
-      gl.disableVertexAttribArray(attribute.location);
+      WebGLState.get(this.gl).disableVertexAttribArray(attribute.location);
     }
   }
 
@@ -292,16 +396,14 @@ export class Shader {
       return;
     }
 
-    const gl = this.gl;
-    gl.useProgram(this.program);
+    WebGLState.get(this.gl).useProgram(this.program);
   }
 
   /**
    * Disable the shader program
    */
   unuse() {
-    const gl = this.gl;
-    gl.useProgram(null);
+    WebGLState.get(this.gl).useProgram(null);
   }
 
   /**
@@ -341,6 +443,18 @@ export class Shader {
    */
   dispose() {
     const gl = this.gl;
+
+    if (this._sources) {
+      WebGLResources.get(gl).unregister(this);
+      this._sources = null;
+    }
+
+    if (this._pending) {
+      for (const { shader } of this._pending) {
+        gl.deleteShader(shader);
+      }
+      this._pending = null;
+    }
     
     if (this.program) {
       gl.deleteProgram(this.program);
@@ -0,0 +1,420 @@
+/**
+ * ShaderChunks - Shared GLSL snippets and the shader preprocessor
+ * Sources pull chunks in with `#include <name>`; a chunk is expanded once per shader, so
+ * chunks can include what they depend on without clashing definitions. preprocessShader()
+ * also injects `#define`s and keeps a map from every output line back to the chunk and line
+ * it came from, which formatShaderLog() uses to point compile errors at the right source.
+ *
+ * Chunks are written to compile as GLSL ES 1.00 and 3.00.
+ */
+
+const INCLUDE_PATTERN = /^[ \t]*#include +<([\w.]+)>[ \t]*$/;
+const VERSION_PATTERN = /^[ \t]*#version\b/;
+
+/**
+ * Built-in chunks, by name. Add chunks with registerShaderChunk().
+ */
+export const ShaderChunk = {
+    common: `
+const float PI = 3.14159265359;
+const float TWO_PI = 6.28318530718;
+const float INV_PI = 0.31830988618;
+const float INV_TWO_PI = 0.15915494309;
+
+float luminance(vec3 color) {
+    return dot(color, vec3(0.2126, 0.7152, 0.0722));
+}`,
+
+    // Texture coordinates scaled by transform.zw and offset by transform.xy
+    uv_pars_fragment: `
+vec2 getUV(vec2 uv, vec4 transform) {
+    return uv * transform.zw + transform.xy;
+}`,
+
+    // Cook-Torrance terms: Schlick Fresnel, GGX distribution, Smith-Schlick geometry
+    bsdfs: `
+#include <common>
+
+vec3 fresnelSchlick(float cosTheta, vec3 F0) {
+    return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
+}
+
+vec3 fresnelSchlickRoughness(float cosTheta, vec3 F0, float roughness) {
+    return F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(1.0 - cosTheta, 5.0);
+}
+
+float distributionGGX(vec3 N, vec3 H, float roughness) {
+    float a = roughness * roughness;
+    float a2 = a * a;
+    float NdotH = max(dot(N, H), 0.0);
+    float NdotH2 = NdotH * NdotH;
+
+    float num = a2;
+    float denom = (NdotH2 * (a2 - 1.0) + 1.0);
+    denom = PI * denom * denom;
+
+    return num / denom;
+}
+
+float geometrySchlickGGX(float NdotV, float roughness) {
+    float r = (roughness + 1.0);
+    float k = (r * r) / 8.0;
+
+    float num = NdotV;
+    float denom = NdotV * (1.0 - k) + k;
+
+    return num / denom;
+}
+
+float geometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
+    float NdotV = max(dot(N, V), 0.0);
+    float NdotL = max(dot(N, L), 0.0);
+    float ggx2 = geometrySchlickGGX(NdotV, roughness);
+    float ggx1 = geometrySchlickGGX(NdotL, roughness);
+
+    return ggx1 * ggx2;
+}`,
+
+    // Tone mapping operators; toneMap() applies the one selected by TONE_MAPPING_ACES,
+    // TONE_MAPPING_REINHARD, TONE_MAPPING_FILMIC or TONE_MAPPING_UNCHARTED2
+    tonemapping_pars_fragment: `
+// ACES Film Tone Mapping approximation
+vec3 ACESFilm(vec3 x) {
+    float a = 2.51;
+    float b = 0.03;
+    float c = 2.43;
+    float d = 0.59;
+    float e = 0.14;
+    return clamp((x * (a * x + b)) / (x * (c * x + d) + e), 0.0, 1.0);
+}
+
+vec3 Reinhard(vec3 x) {
+    return x / (x + vec3(1.0));
+}
+
+// Filmic tone mapping curve
+vec3 FilmicCurve(vec3 x) {
+    vec3 result = max(vec3(0.0), x - 0.004);
+    return (result * (6.2 * result + 0.5)) / (result * (6.2 * result + 1.7) + 0.06);
+}
+
+// Uncharted 2 tone mapping curve
+vec3 Uncharted2ToneMap(vec3 color) {
+    float A = 0.15;
+    float B = 0.50;
+    float C = 0.10;
+    float D = 0.20;
+    float E = 0.02;
+    float F = 0.30;
+
+    return ((color * (A * color + C * B) + D * E) / (color * (A * color + B) + D * F)) - E / F;
+}
+
+vec3 toneMap(vec3 color) {
+#if defined(TONE_MAPPING_ACES)
+    return ACESFilm(color);
+#elif defined(TONE_MAPPING_REINHARD)
+    return Reinhard(color);
+#elif defined(TONE_MAPPING_FILMIC)
+    return FilmicCurve(color);
+#elif defined(TONE_MAPPING_UNCHARTED2)
+    // White balance against the linear white point
+    return Uncharted2ToneMap(color) / Uncharted2ToneMap(vec3(11.2));
+#else
+    return color;
+#endif
+}`,
+
+    // calculateShadow(uv, depth) against a shadowMap sampler; filtered with SHADOWMAP_PCF_2X2,
+    // SHADOWMAP_PCF_3X3, SHADOWMAP_PCF_4X4 or SHADOWMAP_VSM, a single comparison otherwise
+    shadowmap_pars_fragment: `
+float calculateShadow(vec2 uv, float depth) {
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+        return 1.0;
+    }
+
+#if defined(SHADOWMAP_PCF_2X2)
+    float texelSize = 1.0 / shadowMapSize.x;
+    float shadow = 0.0;
+
+    for (int x = 0; x <= 1; x++) {
+        for (int y = 0; y <= 1; y++) {
+            vec2 offset = vec2(float(x), float(y)) * texelSize;
+            float closestDepth = texture2D(shadowMap, uv + offset).r;
+            shadow += (depth <= closestDepth) ? 1.0 : 0.0;
+        }
+    }
+
+    return shadow / 4.0;
+#elif defined(SHADOWMAP_PCF_3X3)
+    float texelSize = 1.0 / shadowMapSize.x;
+    float shadow = 0.0;
+
+    for (int x = -1; x <= 1; x++) {
+        for (int y = -1; y <= 1; y++) {
+            vec2 offset = vec2(float(x), float(y)) * texelSize;
+            float closestDepth = texture2D(shadowMap, uv + offset).r;
+            shadow += (depth <= closestDepth) ? 1.0 : 0.0;
+        }
+    }
+
+    return shadow / 9.0;
+#elif defined(SHADOWMAP_PCF_4X4)
+    float texelSize = 2.0 / shadowMapSize.x;
+    float shadow = 0.0;
+
+    for (int x = -2; x <= 1; x++) {
+        for (int y = -2; y <= 1; y++) {
+            vec2 offset = vec2(float(x), float(y)) * texelSize;
+            float closestDepth = texture2D(shadowMap, uv + offset).r;
+            shadow += (depth <= closestDepth) ? 1.0 : 0.0;
+        }
+    }
+
+    return shadow / 16.0;
+#elif defined(SHADOWMAP_VSM)
+    vec4 moments = texture2D(shadowMap, uv);
+    float moment1 = moments.r;
+    float moment2 = moments.g;
+
+    float variance = max(moment2 - moment1 * moment1, 0.00001);
+    float d = depth - moment1;
+    float pMax = variance / (variance + d * d);
+
+    return clamp(pMax, 0.0, 1.0);
+#else
+    float closestDepth = texture2D(shadowMap, uv).r;
+    return (depth <= closestDepth) ? 1.0 : 0.0;
+#endif
+}`,
+
+    // Per-frame values set by the renderer: a uniform block with USE_UNIFORM_BUFFERS, else plain uniforms
+    frame_pars: `
+#ifdef USE_UNIFORM_BUFFERS
+layout(std140) uniform FrameUniforms {
+    highp mat4 viewMatrix;
+    highp mat4 projectionMatrix;
+    highp vec3 cameraPosition;
+    highp float time;
+    highp float exposure;
+};
+#else
+uniform highp mat4 viewMatrix;
+uniform highp mat4 projectionMatrix;
+uniform highp vec3 cameraPosition;
+uniform highp float time;
+uniform highp float exposure;
+#endif`,
+
+    // Scene lights set by the renderer, colors premultiplied by intensity. Loop up to the
+    // NUM_*_LIGHTS defines; the block holds MAX_LIGHTS of each kind, the plain uniforms
+    // (at least one, so loops compile) only as many as are lit.
+    lights_pars: `
+struct DirectionalLight {
+    highp vec3 direction;
+    highp vec3 color;
+};
+
+struct PointLight {
+    highp vec3 position;
+    highp vec3 color;
+    highp float distance;
+    highp float decay;
+};
+
+struct SpotLight {
+    highp vec3 position;
+    highp vec3 direction;
+    highp vec3 color;
+    highp float distance;
+    highp float decay;
+    highp float coneCos;
+    highp float penumbraCos;
+};
+
+#ifdef USE_UNIFORM_BUFFERS
+layout(std140) uniform LightUniforms {
+    highp vec3 ambientLightColor;
+    DirectionalLight directionalLights[MAX_LIGHTS];
+    PointLight pointLights[MAX_LIGHTS];
+    SpotLight spotLights[MAX_LIGHTS];
+};
+#else
+uniform highp vec3 ambientLightColor;
+#if NUM_DIR_LIGHTS > 0
+uniform DirectionalLight directionalLights[NUM_DIR_LIGHTS];
+#else
+uniform DirectionalLight directionalLights[1];
+#endif
+#if NUM_POINT_LIGHTS > 0
+uniform PointLight pointLights[NUM_POINT_LIGHTS];
+#else
+uniform PointLight pointLights[1];
+#endif
+#if NUM_SPOT_LIGHTS > 0
+uniform SpotLight spotLights[NUM_SPOT_LIGHTS];
+#else
+uniform SpotLight spotLights[1];
+#endif
+#endif`,
+
+    // Vertex shader for unlit geometry and screen quads: MVP transform, uv passed as vUV
+    unlit_vertex: `
+attribute vec3 position;
+attribute vec2 uv;
+
+uniform mat4 modelMatrix;
+#include <frame_pars>
+
+varying vec2 vUV;
+
+void main() {
+    vUV = uv;
+    gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
+}`,
+
+    // Vertex shader for lit geometry: world position, normal and uv as vPosition, vNormal, vUV
+    basic_vertex: `
+attribute vec3 position;
+attribute vec3 normal;
+attribute vec2 uv;
+
+uniform mat4 modelMatrix;
+uniform mat3 normalMatrix;
+#include <frame_pars>
+
+varying vec3 vNormal;
+varying vec3 vPosition;
+varying vec2 vUV;
+
+void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vPosition = worldPosition.xyz;
+    vNormal = normalize(normalMatrix * normal);
+    vUV = uv;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+}`
+};
+
+/**
+ * Add or replace a chunk
+ * @param {string} name - Name used in `#include <name>`
+ * @param {string} source - GLSL source
+ */
+export function registerShaderChunk(name, source) {
+    if (!/^[\w.]+$/.test(name)) {
+        throw new Error(`Invalid shader chunk name: ${name}`);
+    }
+    ShaderChunk[name] = source;
+}
+
+/**
+ * `#define` lines for a defines object; false, null and undefined values are left out and
+ * true defines the name without a value
+ * @param {Object} defines - Name to value
+ * @returns {Array<string>}
+ */
+export function getDefineLines(defines) {
+    const lines = [];
+    for (const [name, value] of Object.entries(defines || {})) {
+        if (value === false || value === null || value === undefined) continue;
+        lines.push(value === true ? `#define ${name}` : `#define ${name} ${value}`);
+    }
+    return lines;
+}
+
+/**
+ * Expand includes and inject defines
+ * @param {string} source - GLSL source
+ * @param {Object} [options]
+ * @param {Object} [options.defines] - Defines inserted after `#version`, or first
+ * @param {Object} [options.chunks] - Chunk registry, ShaderChunk by default
+ * @param {string} [options.name] - Name of the source in the line map
+ * @returns {Object} { code, lineMap } where lineMap[i] is { name, line } of output line i + 1
+ */
+export function preprocessShader(source, options = {}) {
+    const chunks = options.chunks || ShaderChunk;
+    const name = options.name || 'source';
+    const lines = [];
+    const lineMap = [];
+    const included = new Set();
+    const stack = [];
+
+    const append = (text, sourceName, sourceLine) => {
+        lines.push(text);
+        lineMap.push({ name: sourceName, line: sourceLine });
+    };
+
+    const expand = (text, sourceName) => {
+        const sourceLines = text.split('\n');
+        for (let i = 0; i < sourceLines.length; i++) {
+            const match = INCLUDE_PATTERN.exec(sourceLines[i]);
+            if (!match) {
+                append(sourceLines[i], sourceName, i + 1);
+                continue;
+            }
+
+            const chunkName = match[1];
+            if (stack.includes(chunkName)) {
+                throw new Error(`Circular #include <${chunkName}> in ${sourceName}`);
+            }
+            if (included.has(chunkName)) continue;
+
+            const chunk = chunks[chunkName];
+            if (typeof chunk !== 'string') {
+                throw new Error(`Cannot resolve #include <${chunkName}> in ${sourceName}:${i + 1}`);
+            }
+
+            included.add(chunkName);
+            stack.push(chunkName);
+            expand(chunk, chunkName);
+            stack.pop();
+        }
+    };
+
+    expand(source, name);
+
+    const defineLines = getDefineLines(options.defines);
+    if (defineLines.length > 0) {
+        // #version must stay the first line; it may follow blank lines of a template literal
+        let insertAt = 0;
+        for (let i = 0; i < lines.length; i++) {
+            if (VERSION_PATTERN.test(lines[i])) {
+                insertAt = i + 1;
+                break;
+            }
+            if (lines[i].trim() !== '') break;
+        }
+
+        lines.splice(insertAt, 0, ...defineLines);
+        lineMap.splice(insertAt, 0, ...defineLines.map((line, i) => ({ name: 'defines', line: i + 1 })));
+    }
+
+    return { code: lines.join('\n'), lineMap };
+}
+
+/**
+ * Rewrite the line numbers of a compile log to the chunks and lines they came from, with
+ * the offending source line below each message
+ * @param {string} log - gl.getShaderInfoLog() output
+ * @param {Object} preprocessed - Result of preprocessShader()
+ * @returns {string}
+ */
+export function formatShaderLog(log, preprocessed) {
+    if (!log || !preprocessed) return log || '';
+
+    const sourceLines = preprocessed.code.split('\n');
+
+    return log.split('\n').map(entry => {
+        // "ERROR: 0:12: message" (ANGLE, Mesa) or "0(12) : error message" (NVIDIA)
+        const match = /^(\s*\w+:\s*)?\d+[:(](\d+)\)?\s*:\s*(.*)$/.exec(entry);
+        if (!match) return entry;
+
+        const lineNumber = parseInt(match[2], 10);
+        const origin = preprocessed.lineMap[lineNumber - 1];
+        if (!origin) return entry;
+
+        const text = (sourceLines[lineNumber - 1] || '').trim();
+        return `${match[1] || ''}${origin.name}:${origin.line}: ${match[3]}\n    > ${text}`;
+    }).join('\n');
+}
@@ -21,8 +21,9 @@ export class Bone extends Object3D {
         this.restMatrix = new Matrix4(); // Bind/rest pose matrix
         
         // Animation data
-        this.animationMatrix = new Matrix4(); // Current animated transform
-        this.worldMatrix = new Matrix4(); // World space transform
+        this.animationMatrix = new Matrix4(); // Current animated transform (world * inverse bind)
+        this._worldTransform = new Matrix4(); // Scratch matrices for world composition
+        this._localTransform = new Matrix4();
         
         // Skinned vertex data
         this.weightedVertices = []; // Vertices influenced by this bone
@@ -34,19 +35,38 @@ export class Bone extends Object3D {
      * @param {number} deltaTime - Time since last frame
      */
     update(deltaTime) {
-        super.update(deltaTime);
-        
-        // Update world matrix
+        // Pose this bone before its children so they compose with the current transform
+        this.updateLocalMatrix();
+        this.localMatrixDirty = false;
         this.updateWorldMatrix();
+        this.worldMatrixDirty = false;
         
         // Calculate animation matrix (world * inverse bind)
-        this.animationMatrix.copy(this.worldMatrix);
+        this.animationMatrix.fromArray(this.worldMatrix);
         this.animationMatrix.multiply(this.inverseBindMatrix);
         
         // Update skinned vertices if we have any
         if (this.weightedVertices.length > 0) {
             this._updateSkinnedVertices();
         }
+        
+        super.update(deltaTime);
+    }
+
+    /**
+     * Update world matrix as parent world * local, both column-major
+     */
+    updateWorldMatrix() {
+        if (!this.parent) {
+            this.worldMatrix = Float32Array.from(this.localMatrix);
+            return;
+        }
+        
+        const parentMatrix = this.parent.worldMatrix;
+        this._worldTransform.fromArray(parentMatrix.elements || parentMatrix);
+        this._localTransform.fromArray(this.localMatrix);
+        this._worldTransform.multiply(this._localTransform);
+        this.worldMatrix = Float32Array.from(this._worldTransform.elements);
     }
 
     /**
@@ -63,7 +83,7 @@ export class Bone extends Object3D {
      */
     setBindPose(matrix) {
         this.restMatrix.copy(matrix);
-        this.worldMatrix.copy(matrix);
+        this.worldMatrix = Float32Array.from(matrix.elements);
         this.animationMatrix.copy(matrix);
     }
 
@@ -429,6 +449,37 @@ export class AnimationClip {
     }
 }
 
+/**
+ * Number of vertices in core or plain ({ attributes: { position|POSITION } }) geometry
+ * @private
+ */
+function getVertexCount(geometry) {
+    if (typeof geometry.getVertexCount === 'function') {
+        return geometry.getVertexCount();
+    }
+    
+    const attribute = geometry.attributes?.position || geometry.attributes?.POSITION ||
+        geometry.getAttribute?.('position');
+    if (!attribute) return 0;
+    
+    return attribute.count ?? attribute.array.length / (attribute.itemSize || 3);
+}
+
+/**
+ * Bring the matrices of an object and its ancestors up to date, root first
+ * @private
+ */
+function updateAncestorMatrices(object) {
+    if (!object) return;
+    
+    updateAncestorMatrices(object.parent);
+    if (object instanceof Bone) {
+        object.update(0);
+    } else if (object.updateMatrix) {
+        object.updateMatrix();
+    }
+}
+
 export class SkinnedMesh {
     /**
      * Create a skinned mesh for skeletal animation
@@ -443,6 +494,7 @@ export class SkinnedMesh {
         this.skinIndex = null; // Float32Array of bone indices per vertex
         this.skinWeight = null; // Float32Array of weights per vertex
         this.skinMatrices = []; // Array of bone skinning matrices
+        this.bindMatrixInverse = new Matrix4(); // Inverse world matrix of the mesh when bound
         
         // Animation state
         this.activeClips = new Map(); // Currently playing animation clips
@@ -462,7 +514,7 @@ export class SkinnedMesh {
      * @private
      */
     _initializeSkinning() {
-        const vertexCount = this.geometry.getAttribute('position').count;
+        const vertexCount = getVertexCount(this.geometry);
         this.boneCount = this.skeleton.size;
         
         // Create skin index and weight arrays
@@ -528,19 +580,18 @@ export class SkinnedMesh {
      * Update skinning matrices from bone transforms
      */
     updateSkinMatrices() {
-        // Update all bones first
+        // Update root bones after their ancestors; each bone updates its descendants
+        const bones = new Set(this.skeleton.values());
         for (const [name, bone] of this.skeleton) {
+            if (bones.has(bone.parent)) continue;
+            
+            updateAncestorMatrices(bone.parent);
             bone.update(0); // Update without delta time
         }
 
-        // Calculate skinning matrices
+        // Skin matrix = Bind matrix inverse * Bone world matrix * Inverse bind matrix
         for (const [name, bone] of this.skeleton) {
-            const boneMatrix = bone.animationMatrix;
-            const inverseBindMatrix = bone.inverseBindMatrix;
-            
-            // Skin matrix = Bone world matrix * Inverse bind matrix
-            this.skinMatrices[bone.skinIndex].copy(boneMatrix);
-            this.skinMatrices[bone.skinIndex].multiply(inverseBindMatrix);
+            this.skinMatrices[bone.skinIndex].multiplyMatrices(this.bindMatrixInverse, bone.animationMatrix);
         }
     }
 
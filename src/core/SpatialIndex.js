@@ -0,0 +1,1051 @@
+/**
+ * SpatialIndex - Spatial acceleration structures for scene queries
+ * Provides quadtree, octree and dynamic BVH implementations with a shared
+ * interface for frustum culling, radius queries and ray candidate lookup
+ */
+
+/**
+ * Supported spatial index types
+ */
+export const SpatialIndexType = {
+    QUADTREE: 'quadtree',
+    OCTREE: 'octree',
+    BVH: 'bvh'
+};
+
+// Classification results for node/volume tests
+const OUTSIDE = 0;
+const INTERSECTS = 1;
+const INSIDE = 2;
+
+/**
+ * Compute world-space axis-aligned bounds for an object
+ * Uses geometry bounds transformed by the world matrix when available,
+ * otherwise falls back to position +/- world scale
+ */
+export function computeWorldBounds(object) {
+    // Object3D caches its transformed box
+    const worldBox = typeof object.getWorldBoundingBox === 'function' ? object.getWorldBoundingBox() : null;
+    if (worldBox) return worldBox;
+
+    const localBox = getLocalBoundingBox(object);
+
+    if (localBox && object.worldMatrix) {
+        if (object.updateMatrix) object.updateMatrix();
+        return transformBounds(localBox, object.worldMatrix);
+    }
+
+    const pos = object.getWorldPosition();
+    const scale = object.getWorldScale();
+    return {
+        min: { x: pos.x - scale.x, y: pos.y - scale.y, z: pos.z - scale.z },
+        max: { x: pos.x + scale.x, y: pos.y + scale.y, z: pos.z + scale.z }
+    };
+}
+
+/**
+ * Base class holding object entries and dirty tracking
+ * Subclasses implement the node structure
+ */
+export class SpatialIndex {
+    constructor(type) {
+        this.type = type;
+        this.entries = new Map();
+        this.dirty = new Set();
+
+        // Objects with frustumCulled set to false, drawn whatever a frustum query returns
+        this.unculled = new Set();
+    }
+
+    /**
+     * Number of indexed objects
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Check whether an object is indexed
+     */
+    has(object) {
+        return this.entries.has(object);
+    }
+
+    /**
+     * Insert object with its world bounds
+     */
+    insert(object, bounds = computeWorldBounds(object)) {
+        if (this.entries.has(object)) {
+            this.update(object, bounds);
+            return;
+        }
+
+        const entry = { object, bounds: cloneBounds(bounds), node: null };
+        this.entries.set(object, entry);
+        this._insertEntry(entry);
+        object.spatialIndex = this;
+        this.updateCulling(object);
+    }
+
+    /**
+     * Remove object from the index
+     */
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+
+        this._removeEntry(entry);
+        this.entries.delete(object);
+        this.dirty.delete(object);
+        this.unculled.delete(object);
+
+        if (object.spatialIndex === this) {
+            object.spatialIndex = null;
+        }
+    }
+
+    /**
+     * Update object bounds, relocating it in the structure if needed
+     */
+    update(object, bounds = computeWorldBounds(object)) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+
+        this._updateEntry(entry, bounds);
+        this.dirty.delete(object);
+    }
+
+    /**
+     * Flag object for a bounds refresh (called from Object3D.markMatrixDirty)
+     */
+    markDirty(object) {
+        if (this.entries.has(object)) {
+            this.dirty.add(object);
+        }
+    }
+
+    /**
+     * Track an object opting in or out of frustum culling (called from the Object3D
+     * frustumCulled setter)
+     */
+    updateCulling(object) {
+        if (object.frustumCulled === false && this.entries.has(object)) {
+            this.unculled.add(object);
+        } else {
+            this.unculled.delete(object);
+        }
+    }
+
+    /**
+     * Recompute bounds for all dirty objects
+     */
+    refresh() {
+        if (this.dirty.size === 0) return 0;
+
+        const count = this.dirty.size;
+        for (const object of this.dirty) {
+            const entry = this.entries.get(object);
+            if (entry) {
+                this._updateEntry(entry, computeWorldBounds(object));
+            }
+        }
+        this.dirty.clear();
+        return count;
+    }
+
+    /**
+     * Objects whose bounds intersect the frustum
+     * @param {{planes: Array<{a: number, b: number, c: number, d: number}>}} frustum - Camera frustum
+     */
+    queryFrustum(frustum) {
+        this.refresh();
+        return this._query(bounds => classifyFrustum(bounds, frustum.planes));
+    }
+
+    /**
+     * Objects whose bounds intersect a sphere
+     */
+    queryRadius(center, radius) {
+        this.refresh();
+        return this._query(bounds => classifySphere(bounds, center, radius));
+    }
+
+    /**
+     * Objects whose bounds intersect a ray segment
+     */
+    queryRay(origin, direction, maxDistance = Infinity) {
+        this.refresh();
+        return this._query(bounds => (rayHitsBounds(origin, direction, bounds, maxDistance) ? INTERSECTS : OUTSIDE));
+    }
+
+    /**
+     * Objects whose bounds overlap an axis-aligned box
+     */
+    queryBounds(box) {
+        this.refresh();
+        return this._query(bounds => classifyBox(bounds, box));
+    }
+
+    /**
+     * Remove all objects
+     */
+    clear() {
+        for (const object of this.entries.keys()) {
+            if (object.spatialIndex === this) {
+                object.spatialIndex = null;
+            }
+        }
+        this.entries.clear();
+        this.dirty.clear();
+        this.unculled.clear();
+        this._reset();
+    }
+
+    /**
+     * Get index statistics
+     */
+    getStats() {
+        return {
+            type: this.type,
+            objects: this.entries.size,
+            dirty: this.dirty.size
+        };
+    }
+
+    // Structure hooks implemented by subclasses
+    _insertEntry(_entry) {}
+    _removeEntry(_entry) {}
+    _updateEntry(_entry, _bounds) {}
+    _query(_classify) { return []; }
+    _reset() {}
+}
+
+/**
+ * Region tree shared by QuadTree (x/z split) and Octree (x/y/z split)
+ */
+class RegionTree extends SpatialIndex {
+    constructor(type, axes, options = {}) {
+        super(type);
+        this.axes = axes;
+        this.maxObjects = options.maxObjects || 8;
+        this.maxDepth = options.maxDepth || 8;
+        this.initialSize = options.initialSize || 256;
+        this.root = null;
+
+        // Extent along axes that are not subdivided (y for quadtrees)
+        this.extent = {
+            min: { x: Infinity, y: Infinity, z: Infinity },
+            max: { x: -Infinity, y: -Infinity, z: -Infinity }
+        };
+    }
+
+    _insertEntry(entry) {
+        this._expandExtent(entry.bounds);
+
+        if (!this.root) {
+            this.root = this._createRootFor(entry.bounds);
+        }
+
+        while (!this._contains(this.root.bounds, entry.bounds)) {
+            this._grow(entry.bounds);
+        }
+
+        this._insertIntoNode(this.root, entry);
+    }
+
+    _removeEntry(entry) {
+        const node = entry.node;
+        if (!node) return;
+
+        const index = node.objects.indexOf(entry);
+        if (index !== -1) {
+            node.objects.splice(index, 1);
+        }
+        entry.node = null;
+
+        this._collapse(node.parent);
+    }
+
+    _updateEntry(entry, bounds) {
+        entry.bounds = cloneBounds(bounds);
+        this._expandExtent(bounds);
+
+        // Stay put while the object still fits its node and no child could take it
+        const node = entry.node;
+        if (node && this._contains(node.bounds, bounds) &&
+            (!node.children || this._childIndexFor(node, bounds) === -1)) {
+            return;
+        }
+
+        this._removeEntry(entry);
+        this._insertEntry(entry);
+    }
+
+    _query(classify) {
+        const result = [];
+        if (!this.root) return result;
+
+        const visit = (node, inside) => {
+            if (!inside) {
+                const state = classify(this._nodeBounds(node));
+                if (state === OUTSIDE) return;
+                inside = state === INSIDE;
+            }
+
+            for (const entry of node.objects) {
+                if (inside || classify(entry.bounds) !== OUTSIDE) {
+                    result.push(entry.object);
+                }
+            }
+
+            if (node.children) {
+                for (const child of node.children) {
+                    visit(child, inside);
+                }
+            }
+        };
+
+        visit(this.root, false);
+        return result;
+    }
+
+    _reset() {
+        this.root = null;
+        this.extent = {
+            min: { x: Infinity, y: Infinity, z: Infinity },
+            max: { x: -Infinity, y: -Infinity, z: -Infinity }
+        };
+    }
+
+    getStats() {
+        const stats = { ...super.getStats(), nodes: 0, maxDepth: 0 };
+        const visit = node => {
+            stats.nodes++;
+            stats.maxDepth = Math.max(stats.maxDepth, node.depth);
+            if (node.children) node.children.forEach(visit);
+        };
+        if (this.root) visit(this.root);
+        return stats;
+    }
+
+    /**
+     * Insert entry at the deepest node that fully contains it
+     * @private
+     */
+    _insertIntoNode(node, entry) {
+        if (node.children) {
+            const childIndex = this._childIndexFor(node, entry.bounds);
+            if (childIndex !== -1) {
+                this._insertIntoNode(node.children[childIndex], entry);
+                return;
+            }
+        }
+
+        node.objects.push(entry);
+        entry.node = node;
+
+        if (!node.children && node.objects.length > this.maxObjects && node.depth < this.maxDepth) {
+            this._split(node);
+        }
+    }
+
+    /**
+     * Subdivide a leaf node and push down entries that fit a child
+     * @private
+     */
+    _split(node) {
+        node.children = this._createChildren(node);
+
+        const remaining = [];
+        for (const entry of node.objects) {
+            const childIndex = this._childIndexFor(node, entry.bounds);
+            if (childIndex === -1) {
+                remaining.push(entry);
+            } else {
+                this._insertIntoNode(node.children[childIndex], entry);
+            }
+        }
+        node.objects = remaining;
+    }
+
+    /**
+     * Merge children back into their parent when they hold few objects
+     * @private
+     */
+    _collapse(node) {
+        while (node && node.children) {
+            if (node.children.some(child => child.children)) return;
+
+            const total = node.children.reduce((sum, child) => sum + child.objects.length, node.objects.length);
+            if (total > this.maxObjects) return;
+
+            for (const child of node.children) {
+                for (const entry of child.objects) {
+                    entry.node = node;
+                    node.objects.push(entry);
+                }
+            }
+            node.children = null;
+            node = node.parent;
+        }
+    }
+
+    /**
+     * Create node children by halving each split axis
+     * @private
+     */
+    _createChildren(node) {
+        const children = [];
+        const count = 1 << this.axes.length;
+        const center = boundsCenter(node.bounds);
+
+        for (let i = 0; i < count; i++) {
+            const min = { ...node.bounds.min };
+            const max = { ...node.bounds.max };
+
+            this.axes.forEach((axis, bit) => {
+                if (i & (1 << bit)) {
+                    min[axis] = center[axis];
+                } else {
+                    max[axis] = center[axis];
+                }
+            });
+
+            children.push(this._createNode({ min, max }, node.depth + 1, node));
+        }
+
+        return children;
+    }
+
+    /**
+     * Index of the child that fully contains the bounds, or -1 when it straddles
+     * @private
+     */
+    _childIndexFor(node, bounds) {
+        const center = boundsCenter(node.bounds);
+        let index = 0;
+
+        for (let bit = 0; bit < this.axes.length; bit++) {
+            const axis = this.axes[bit];
+            if (bounds.min[axis] >= center[axis]) {
+                index |= 1 << bit;
+            } else if (bounds.max[axis] > center[axis]) {
+                return -1;
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Double the root towards the given bounds
+     * @private
+     */
+    _grow(bounds) {
+        const oldRoot = this.root;
+        const min = { ...oldRoot.bounds.min };
+        const max = { ...oldRoot.bounds.max };
+        let childIndex = 0;
+
+        this.axes.forEach((axis, bit) => {
+            const size = oldRoot.bounds.max[axis] - oldRoot.bounds.min[axis];
+            if (bounds.min[axis] < oldRoot.bounds.min[axis]) {
+                min[axis] -= size;
+                childIndex |= 1 << bit;
+            } else {
+                max[axis] += size;
+            }
+        });
+
+        const newRoot = this._createNode({ min, max }, 0, null);
+        newRoot.children = this._createChildren(newRoot);
+        newRoot.children[childIndex] = oldRoot;
+        oldRoot.parent = newRoot;
+        this._shiftDepth(oldRoot, 1);
+
+        this.root = newRoot;
+    }
+
+    /**
+     * @private
+     */
+    _shiftDepth(node, amount) {
+        node.depth += amount;
+        if (node.children) {
+            for (const child of node.children) {
+                this._shiftDepth(child, amount);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createRootFor(bounds) {
+        const center = boundsCenter(bounds);
+        let half = this.initialSize / 2;
+        for (const axis of this.axes) {
+            half = Math.max(half, bounds.max[axis] - bounds.min[axis]);
+        }
+
+        const min = { x: center.x, y: center.y, z: center.z };
+        const max = { x: center.x, y: center.y, z: center.z };
+        for (const axis of this.axes) {
+            min[axis] -= half;
+            max[axis] += half;
+        }
+
+        return this._createNode({ min, max }, 0, null);
+    }
+
+    /**
+     * @private
+     */
+    _createNode(bounds, depth, parent) {
+        return { bounds, depth, parent, objects: [], children: null };
+    }
+
+    /**
+     * Containment test along the split axes only
+     * @private
+     */
+    _contains(outer, inner) {
+        for (const axis of this.axes) {
+            if (inner.min[axis] < outer.min[axis] || inner.max[axis] > outer.max[axis]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Node bounds with non-split axes spanning the indexed extent
+     * @private
+     */
+    _nodeBounds(node) {
+        if (this.axes.length === 3) return node.bounds;
+
+        const min = { ...node.bounds.min };
+        const max = { ...node.bounds.max };
+        for (const axis of ['x', 'y', 'z']) {
+            if (!this.axes.includes(axis)) {
+                min[axis] = this.extent.min[axis];
+                max[axis] = this.extent.max[axis];
+            }
+        }
+        return { min, max };
+    }
+
+    /**
+     * @private
+     */
+    _expandExtent(bounds) {
+        for (const axis of ['x', 'y', 'z']) {
+            this.extent.min[axis] = Math.min(this.extent.min[axis], bounds.min[axis]);
+            this.extent.max[axis] = Math.max(this.extent.max[axis], bounds.max[axis]);
+        }
+    }
+}
+
+/**
+ * QuadTree - subdivides the ground plane (x/z); suited to mostly flat scenes such as cities
+ */
+export class QuadTree extends RegionTree {
+    constructor(options = {}) {
+        super(SpatialIndexType.QUADTREE, ['x', 'z'], options);
+    }
+}
+
+/**
+ * Octree - subdivides all three axes
+ */
+export class Octree extends RegionTree {
+    constructor(options = {}) {
+        super(SpatialIndexType.OCTREE, ['x', 'y', 'z'], options);
+    }
+}
+
+/**
+ * BVH - dynamic AABB tree with fattened leaves so small movements don't restructure the tree
+ */
+export class BVH extends SpatialIndex {
+    constructor(options = {}) {
+        super(SpatialIndexType.BVH);
+        this.margin = options.margin !== undefined ? options.margin : 0.1;
+        this.root = null;
+    }
+
+    _insertEntry(entry) {
+        const leaf = {
+            bounds: this._fatten(entry.bounds),
+            parent: null,
+            left: null,
+            right: null,
+            entry
+        };
+        entry.node = leaf;
+        this._insertLeaf(leaf);
+    }
+
+    _removeEntry(entry) {
+        if (entry.node) {
+            this._removeLeaf(entry.node);
+            entry.node = null;
+        }
+    }
+
+    _updateEntry(entry, bounds) {
+        entry.bounds = cloneBounds(bounds);
+
+        const leaf = entry.node;
+        if (leaf && containsBounds(leaf.bounds, bounds)) return;
+
+        this._removeEntry(entry);
+        this._insertEntry(entry);
+    }
+
+    _query(classify) {
+        const result = [];
+        if (!this.root) return result;
+
+        const collectAll = node => {
+            if (node.entry) {
+                result.push(node.entry.object);
+            } else {
+                collectAll(node.left);
+                collectAll(node.right);
+            }
+        };
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const state = classify(node.bounds);
+            if (state === OUTSIDE) continue;
+
+            if (node.entry) {
+                if (classify(node.entry.bounds) !== OUTSIDE) {
+                    result.push(node.entry.object);
+                }
+            } else if (state === INSIDE) {
+                collectAll(node);
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+
+        return result;
+    }
+
+    _reset() {
+        this.root = null;
+    }
+
+    getStats() {
+        const stats = { ...super.getStats(), nodes: 0, maxDepth: 0 };
+        const visit = (node, depth) => {
+            stats.nodes++;
+            stats.maxDepth = Math.max(stats.maxDepth, depth);
+            if (!node.entry) {
+                visit(node.left, depth + 1);
+                visit(node.right, depth + 1);
+            }
+        };
+        if (this.root) visit(this.root, 0);
+        return stats;
+    }
+
+    /**
+     * Insert leaf next to the sibling that minimises surface area growth
+     * @private
+     */
+    _insertLeaf(leaf) {
+        if (!this.root) {
+            this.root = leaf;
+            return;
+        }
+
+        let sibling = this.root;
+        while (!sibling.entry) {
+            const combined = surfaceArea(unionBounds(sibling.bounds, leaf.bounds));
+            const directCost = 2 * combined;
+            const inheritedCost = 2 * (combined - surfaceArea(sibling.bounds));
+
+            const leftCost = this._descendCost(sibling.left, leaf.bounds) + inheritedCost;
+            const rightCost = this._descendCost(sibling.right, leaf.bounds) + inheritedCost;
+
+            if (directCost < leftCost && directCost < rightCost) break;
+            sibling = leftCost < rightCost ? sibling.left : sibling.right;
+        }
+
+        const oldParent = sibling.parent;
+        const newParent = {
+            bounds: unionBounds(sibling.bounds, leaf.bounds),
+            parent: oldParent,
+            left: sibling,
+            right: leaf,
+            entry: null
+        };
+        sibling.parent = newParent;
+        leaf.parent = newParent;
+
+        if (!oldParent) {
+            this.root = newParent;
+        } else if (oldParent.left === sibling) {
+            oldParent.left = newParent;
+        } else {
+            oldParent.right = newParent;
+        }
+
+        this._refit(newParent.parent);
+    }
+
+    /**
+     * @private
+     */
+    _descendCost(node, bounds) {
+        const area = surfaceArea(unionBounds(node.bounds, bounds));
+        return node.entry ? area : area - surfaceArea(node.bounds);
+    }
+
+    /**
+     * @private
+     */
+    _removeLeaf(leaf) {
+        if (leaf === this.root) {
+            this.root = null;
+            return;
+        }
+
+        const parent = leaf.parent;
+        const grandParent = parent.parent;
+        const sibling = parent.left === leaf ? parent.right : parent.left;
+
+        if (grandParent) {
+            if (grandParent.left === parent) {
+                grandParent.left = sibling;
+            } else {
+                grandParent.right = sibling;
+            }
+            sibling.parent = grandParent;
+            this._refit(grandParent);
+        } else {
+            this.root = sibling;
+            sibling.parent = null;
+        }
+
+        leaf.parent = null;
+    }
+
+    /**
+     * Recompute internal node bounds up to the root
+     * @private
+     */
+    _refit(node) {
+        while (node) {
+            node.bounds = unionBounds(node.left.bounds, node.right.bounds);
+            node = node.parent;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _fatten(bounds) {
+        const margin = {
+            x: (bounds.max.x - bounds.min.x) * this.margin,
+            y: (bounds.max.y - bounds.min.y) * this.margin,
+            z: (bounds.max.z - bounds.min.z) * this.margin
+        };
+        return {
+            min: { x: bounds.min.x - margin.x, y: bounds.min.y - margin.y, z: bounds.min.z - margin.z },
+            max: { x: bounds.max.x + margin.x, y: bounds.max.y + margin.y, z: bounds.max.z + margin.z }
+        };
+    }
+}
+
+/**
+ * Create a spatial index by type name
+ * @param {string} type - 'quadtree', 'octree' or 'bvh'
+ * @param {object} options - Structure options
+ */
+export function createSpatialIndex(type = SpatialIndexType.QUADTREE, options = {}) {
+    switch (type) {
+        case SpatialIndexType.QUADTREE:
+            return new QuadTree(options);
+        case SpatialIndexType.OCTREE:
+            return new Octree(options);
+        case SpatialIndexType.BVH:
+            return new BVH(options);
+        default:
+            throw new Error(`Unknown spatial index type: ${type}`);
+    }
+}
+
+/**
+ * Local bounding box of an object's geometry, if any
+ */
+function getLocalBoundingBox(object) {
+    if (typeof object.getBoundingBox === 'function') {
+        return object.getBoundingBox();
+    }
+    return getGeometryBoundingBox(object.geometry);
+}
+
+// Bounds of geometries without bounding methods, keyed by their position array (or their box)
+const derivedBounds = new WeakMap();
+
+/**
+ * Position data of a geometry: the src/geometry primitives keep it in vertices,
+ * attribute-based geometries in a position attribute
+ */
+function getPositionArray(geometry) {
+    const attributes = geometry.attributes;
+    const attribute = attributes && (attributes.position || attributes.POSITION);
+    const positions = geometry.vertices || (attribute && attribute.array);
+    return positions && positions.length >= 3 ? positions : null;
+}
+
+/**
+ * Box and enclosing sphere of a position array, measured like BufferGeometry
+ */
+function boundsFromPositions(positions) {
+    const min = { x: Infinity, y: Infinity, z: Infinity };
+    const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+    const count = positions.length - (positions.length % 3);
+
+    for (let i = 0; i < count; i += 3) {
+        min.x = Math.min(min.x, positions[i]);
+        min.y = Math.min(min.y, positions[i + 1]);
+        min.z = Math.min(min.z, positions[i + 2]);
+        max.x = Math.max(max.x, positions[i]);
+        max.y = Math.max(max.y, positions[i + 1]);
+        max.z = Math.max(max.z, positions[i + 2]);
+    }
+
+    const box = { min, max };
+    const { center } = sphereFromBox(box);
+    let radiusSquared = 0;
+    for (let i = 0; i < count; i += 3) {
+        const dx = positions[i] - center.x;
+        const dy = positions[i + 1] - center.y;
+        const dz = positions[i + 2] - center.z;
+        radiusSquared = Math.max(radiusSquared, dx * dx + dy * dy + dz * dz);
+    }
+
+    return { box, sphere: { center, radius: Math.sqrt(radiusSquared) } };
+}
+
+function getDerivedBounds(geometry) {
+    const positions = getPositionArray(geometry);
+    if (!positions) return null;
+
+    let bounds = derivedBounds.get(positions);
+    if (!bounds) {
+        bounds = boundsFromPositions(positions);
+        derivedBounds.set(positions, bounds);
+    }
+    return bounds;
+}
+
+/**
+ * Local bounding box of a geometry: its getBoundingBox() when it has one, otherwise its
+ * boundingBox or the box of its position data (cached until the array is replaced)
+ * @param {Object} geometry - BufferGeometry, src/geometry primitive or glTF geometry
+ * @returns {Object|null} { min, max }
+ */
+export function getGeometryBoundingBox(geometry) {
+    if (!geometry) return null;
+    if (typeof geometry.getBoundingBox === 'function') {
+        return geometry.getBoundingBox();
+    }
+    if (geometry.boundingBox && geometry.boundingBox.min) {
+        return geometry.boundingBox;
+    }
+
+    const bounds = getDerivedBounds(geometry);
+    return bounds ? bounds.box : null;
+}
+
+/**
+ * Local bounding sphere of a geometry, resolved like getGeometryBoundingBox
+ * @param {Object} geometry - BufferGeometry, src/geometry primitive or glTF geometry
+ * @returns {Object|null} { center, radius }
+ */
+export function getGeometryBoundingSphere(geometry) {
+    if (!geometry) return null;
+    if (typeof geometry.getBoundingSphere === 'function') {
+        return geometry.getBoundingSphere();
+    }
+
+    const bounds = getDerivedBounds(geometry);
+    if (bounds) return bounds.sphere;
+
+    // Only a box to go by
+    const box = getGeometryBoundingBox(geometry);
+    if (!box) return null;
+
+    let sphere = derivedBounds.get(box);
+    if (!sphere) {
+        sphere = sphereFromBox(box);
+        derivedBounds.set(box, sphere);
+    }
+    return sphere;
+}
+
+/**
+ * Transform a box by a column-major matrix and return the enclosing AABB
+ */
+export function transformBounds(box, m) {
+    const cx = (box.min.x + box.max.x) * 0.5;
+    const cy = (box.min.y + box.max.y) * 0.5;
+    const cz = (box.min.z + box.max.z) * 0.5;
+    const ex = (box.max.x - box.min.x) * 0.5;
+    const ey = (box.max.y - box.min.y) * 0.5;
+    const ez = (box.max.z - box.min.z) * 0.5;
+
+    const center = {
+        x: m[0] * cx + m[4] * cy + m[8] * cz + m[12],
+        y: m[1] * cx + m[5] * cy + m[9] * cz + m[13],
+        z: m[2] * cx + m[6] * cy + m[10] * cz + m[14]
+    };
+
+    // Extent of a transformed box is |M| * extent
+    const extent = {
+        x: Math.abs(m[0]) * ex + Math.abs(m[4]) * ey + Math.abs(m[8]) * ez,
+        y: Math.abs(m[1]) * ex + Math.abs(m[5]) * ey + Math.abs(m[9]) * ez,
+        z: Math.abs(m[2]) * ex + Math.abs(m[6]) * ey + Math.abs(m[10]) * ez
+    };
+
+    return {
+        min: { x: center.x - extent.x, y: center.y - extent.y, z: center.z - extent.z },
+        max: { x: center.x + extent.x, y: center.y + extent.y, z: center.z + extent.z }
+    };
+}
+
+/**
+ * Sphere enclosing a box
+ */
+export function sphereFromBox(box) {
+    const dx = box.max.x - box.min.x;
+    const dy = box.max.y - box.min.y;
+    const dz = box.max.z - box.min.z;
+    return {
+        center: {
+            x: (box.min.x + box.max.x) * 0.5,
+            y: (box.min.y + box.max.y) * 0.5,
+            z: (box.min.z + box.max.z) * 0.5
+        },
+        radius: Math.sqrt(dx * dx + dy * dy + dz * dz) * 0.5
+    };
+}
+
+function cloneBounds(bounds) {
+    return {
+        min: { x: bounds.min.x, y: bounds.min.y, z: bounds.min.z },
+        max: { x: bounds.max.x, y: bounds.max.y, z: bounds.max.z }
+    };
+}
+
+function boundsCenter(bounds) {
+    return {
+        x: (bounds.min.x + bounds.max.x) * 0.5,
+        y: (bounds.min.y + bounds.max.y) * 0.5,
+        z: (bounds.min.z + bounds.max.z) * 0.5
+    };
+}
+
+function unionBounds(a, b) {
+    return {
+        min: { x: Math.min(a.min.x, b.min.x), y: Math.min(a.min.y, b.min.y), z: Math.min(a.min.z, b.min.z) },
+        max: { x: Math.max(a.max.x, b.max.x), y: Math.max(a.max.y, b.max.y), z: Math.max(a.max.z, b.max.z) }
+    };
+}
+
+function containsBounds(outer, inner) {
+    return inner.min.x >= outer.min.x && inner.max.x <= outer.max.x &&
+        inner.min.y >= outer.min.y && inner.max.y <= outer.max.y &&
+        inner.min.z >= outer.min.z && inner.max.z <= outer.max.z;
+}
+
+function surfaceArea(bounds) {
+    const dx = bounds.max.x - bounds.min.x;
+    const dy = bounds.max.y - bounds.min.y;
+    const dz = bounds.max.z - bounds.min.z;
+    return 2 * (dx * dy + dy * dz + dz * dx);
+}
+
+/**
+ * Classify a box against frustum planes using the positive/negative vertices
+ */
+function classifyFrustum(bounds, planes) {
+    let result = INSIDE;
+
+    for (const plane of planes) {
+        const px = plane.a >= 0 ? bounds.max.x : bounds.min.x;
+        const py = plane.b >= 0 ? bounds.max.y : bounds.min.y;
+        const pz = plane.c >= 0 ? bounds.max.z : bounds.min.z;
+        if (plane.a * px + plane.b * py + plane.c * pz + plane.d < 0) {
+            return OUTSIDE;
+        }
+
+        const nx = plane.a >= 0 ? bounds.min.x : bounds.max.x;
+        const ny = plane.b >= 0 ? bounds.min.y : bounds.max.y;
+        const nz = plane.c >= 0 ? bounds.min.z : bounds.max.z;
+        if (plane.a * nx + plane.b * ny + plane.c * nz + plane.d < 0) {
+            result = INTERSECTS;
+        }
+    }
+
+    return result;
+}
+
+function classifySphere(bounds, center, radius) {
+    let distanceSq = 0;
+    for (const axis of ['x', 'y', 'z']) {
+        const v = center[axis];
+        if (v < bounds.min[axis]) distanceSq += (bounds.min[axis] - v) ** 2;
+        else if (v > bounds.max[axis]) distanceSq += (v - bounds.max[axis]) ** 2;
+    }
+    if (distanceSq > radius * radius) return OUTSIDE;
+
+    // Inside when the farthest corner is within the sphere
+    let farSq = 0;
+    for (const axis of ['x', 'y', 'z']) {
+        farSq += Math.max((center[axis] - bounds.min[axis]) ** 2, (bounds.max[axis] - center[axis]) ** 2);
+    }
+    return farSq <= radius * radius ? INSIDE : INTERSECTS;
+}
+
+function classifyBox(bounds, box) {
+    for (const axis of ['x', 'y', 'z']) {
+        if (bounds.min[axis] > box.max[axis] || bounds.max[axis] < box.min[axis]) {
+            return OUTSIDE;
+        }
+    }
+    return containsBounds(box, bounds) ? INSIDE : INTERSECTS;
+}
+
+/**
+ * Slab test for a ray segment against an AABB
+ */
+function rayHitsBounds(origin, direction, bounds, maxDistance) {
+    let tmin = 0;
+    let tmax = maxDistance;
+
+    for (const axis of ['x', 'y', 'z']) {
+        if (Math.abs(direction[axis]) < 1e-12) {
+            if (origin[axis] < bounds.min[axis] || origin[axis] > bounds.max[axis]) return false;
+            continue;
+        }
+
+        const t1 = (bounds.min[axis] - origin[axis]) / direction[axis];
+        const t2 = (bounds.max[axis] - origin[axis]) / direction[axis];
+        tmin = Math.max(tmin, Math.min(t1, t2));
+        tmax = Math.min(tmax, Math.max(t1, t2));
+
+        if (tmin > tmax) return false;
+    }
+
+    return true;
+}
@@ -0,0 +1,347 @@
+/**
+ * UniformBuffer - A std140 uniform block shared by many programs
+ * Values are written into a CPU copy laid out by the std140 rules; on WebGL2 the changed
+ * range is uploaded once and every program reading the block is bound to the same binding
+ * point. Programs without the block (WebGL1, or GLSL ES 1.00 sources) get the values as plain
+ * uniforms of the same names instead, uploaded only when the buffer changed since that
+ * program last saw it.
+ *
+ * Fields describe the block members in declaration order:
+ *   { name: 'viewMatrix', type: 'mat4' }
+ *   { name: 'weights', type: 'float', count: 4 }
+ *   { name: 'pointLights', type: 'PointLight', count: 16, fields: [...] }
+ *
+ * Leaf values are then addressed by their GLSL names, e.g. 'pointLights[2].color'.
+ */
+
+import { WebGLResources } from './WebGLResources.js';
+import { WebGLState } from './WebGLState.js';
+import { isWebGL2 } from './RenderTarget.js';
+
+/**
+ * Binding points of the renderer's blocks; applications can use those from USER up
+ */
+export const UniformBlockBinding = {
+    FRAME: 0,
+    LIGHTS: 1,
+    MATERIAL: 2,
+    USER: 3
+};
+
+// Base alignment and size in bytes of the std140 basic types
+const TYPES = {
+    float: { kind: 'float', components: 1, align: 4, size: 4 },
+    vec2: { kind: 'float', components: 2, align: 8, size: 8 },
+    vec3: { kind: 'float', components: 3, align: 16, size: 12 },
+    vec4: { kind: 'float', components: 4, align: 16, size: 16 },
+    int: { kind: 'int', components: 1, align: 4, size: 4 },
+    ivec2: { kind: 'int', components: 2, align: 8, size: 8 },
+    ivec3: { kind: 'int', components: 3, align: 16, size: 12 },
+    ivec4: { kind: 'int', components: 4, align: 16, size: 16 },
+    uint: { kind: 'uint', components: 1, align: 4, size: 4 },
+    bool: { kind: 'int', components: 1, align: 4, size: 4 },
+    // Matrices are stored as arrays of vec4 columns
+    mat3: { kind: 'float', components: 3, columns: 3, align: 16, size: 48 },
+    mat4: { kind: 'float', components: 4, columns: 4, align: 16, size: 64 }
+};
+
+// Uniform setters for the plain-uniform fallback
+const SETTERS = {
+    float: ['uniform1fv', 'uniform2fv', 'uniform3fv', 'uniform4fv'],
+    int: ['uniform1iv', 'uniform2iv', 'uniform3iv', 'uniform4iv'],
+    uint: ['uniform1uiv', 'uniform2uiv', 'uniform3uiv', 'uniform4uiv']
+};
+
+const VECTOR_KEYS = ['x', 'y', 'z', 'w'];
+const COLOR_KEYS = ['r', 'g', 'b', 'a'];
+
+// Per program: block indices, uniform locations and the buffer version last applied
+const programStates = new WeakMap();
+
+function roundUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+/**
+ * Lay out block members by the std140 rules
+ * @param {Object[]} fields - Member descriptions, see the module comment
+ * @param {number} [baseOffset=0] - Offset of the first member
+ * @param {string} [prefix=''] - Name prefix of nested members
+ * @returns {{size: number, align: number, leaves: Object[]}} Byte size, base alignment and
+ *   the basic-typed members with their GLSL names and byte offsets
+ */
+export function getStd140Layout(fields, baseOffset = 0, prefix = '') {
+    const leaves = [];
+    let offset = baseOffset;
+    let align = 4;
+
+    for (const field of fields) {
+        const count = field.count || 0;
+        const name = prefix + field.name;
+
+        if (field.fields) {
+            // Structs align to their largest member, rounded up to a vec4
+            const struct = getStd140Layout(field.fields);
+            const structAlign = roundUp(struct.align, 16);
+            const stride = roundUp(struct.size, structAlign);
+
+            offset = roundUp(offset, structAlign);
+            for (let i = 0; i < Math.max(count, 1); i++) {
+                const elementName = count ? `${name}[${i}].` : name + '.';
+                const element = getStd140Layout(field.fields, offset + i * stride, elementName);
+                leaves.push(...element.leaves);
+            }
+            offset += stride * Math.max(count, 1);
+            align = Math.max(align, structAlign);
+            continue;
+        }
+
+        const type = TYPES[field.type];
+        if (!type) {
+            throw new Error(`Unsupported uniform block type: ${field.type}`);
+        }
+
+        if (count) {
+            // Array elements are padded to a vec4
+            const stride = roundUp(type.size, 16);
+            offset = roundUp(offset, 16);
+            for (let i = 0; i < count; i++) {
+                leaves.push({ name: `${name}[${i}]`, type: field.type, offset: offset + i * stride, ...type });
+            }
+            offset += stride * count;
+            align = Math.max(align, 16);
+        } else {
+            offset = roundUp(offset, type.align);
+            leaves.push({ name, type: field.type, offset, ...type });
+            offset += type.size;
+            align = Math.max(align, type.align);
+        }
+    }
+
+    return { size: offset - baseOffset, align, leaves };
+}
+
+export class UniformBuffer {
+    /**
+     * @param {string} name - Block name in GLSL, e.g. 'FrameUniforms'
+     * @param {Object[]} fields - Block members in declaration order
+     * @param {Object} [options]
+     * @param {number} [options.binding=0] - Uniform buffer binding point
+     */
+    constructor(name, fields, options = {}) {
+        this.name = name;
+        this.fields = fields;
+        this.binding = options.binding || 0;
+
+        const layout = getStd140Layout(fields);
+        this.leaves = new Map(layout.leaves.map(leaf => [leaf.name, leaf]));
+        // Blocks are sized in whole vec4s
+        this.byteLength = roundUp(Math.max(layout.size, 16), 16);
+
+        this.data = new ArrayBuffer(this.byteLength);
+        this.floats = new Float32Array(this.data);
+        this.ints = new Int32Array(this.data);
+        this.uints = new Uint32Array(this.data);
+        this.bytes = new Uint8Array(this.data);
+
+        // Bumped on every change; programs using plain uniforms compare it to skip uploads
+        this.version = 0;
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = 0;
+
+        this.gl = null;
+        this.buffer = null;
+    }
+
+    /**
+     * Number of elements of an array member
+     * @param {string} name - Member name
+     * @returns {number}
+     */
+    getArrayLength(name) {
+        const field = this.fields.find(f => f.name === name);
+        return field ? field.count || 0 : 0;
+    }
+
+    /**
+     * Whether the block has a leaf member of this name
+     * @param {string} name - GLSL name, e.g. 'pointLights[0].color'
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.leaves.has(name);
+    }
+
+    /**
+     * Write a member value. Vectors may be arrays or {x, y, z, w} / {r, g, b, a} objects,
+     * matrices arrays or objects with elements, in column-major order.
+     * @param {string} name - GLSL name of a basic-typed member
+     * @param {number|boolean|Array|Object} value
+     * @returns {UniformBuffer} this
+     */
+    set(name, value) {
+        const leaf = this.leaves.get(name);
+        if (!leaf) {
+            throw new Error(`Uniform block ${this.name} has no member ${name}`);
+        }
+
+        const view = leaf.kind === 'float' ? this.floats : leaf.kind === 'uint' ? this.uints : this.ints;
+        const start = leaf.offset / 4;
+        const columns = leaf.columns || 1;
+        const values = toArray(value);
+        let changed = false;
+
+        for (let c = 0; c < columns; c++) {
+            for (let i = 0; i < leaf.components; i++) {
+                const index = start + c * 4 + i;
+                const v = +(values[c * leaf.components + i] || 0);
+                if (view[index] !== v) {
+                    view[index] = v;
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            this.version++;
+            this.dirtyStart = Math.min(this.dirtyStart, leaf.offset);
+            this.dirtyEnd = Math.max(this.dirtyEnd, leaf.offset + leaf.size);
+        }
+        return this;
+    }
+
+    /**
+     * Write several members
+     * @param {Object} values - Values by member name
+     * @returns {UniformBuffer} this
+     */
+    setValues(values) {
+        for (const name in values) {
+            this.set(name, values[name]);
+        }
+        return this;
+    }
+
+    /**
+     * Create the GL buffer on first use and upload the changed range (WebGL2)
+     * @param {WebGL2RenderingContext} gl - WebGL2 context
+     */
+    update(gl) {
+        if (!this.buffer) {
+            this.gl = gl;
+            this.buffer = gl.createBuffer();
+            WebGLState.get(gl).bindBuffer(gl.UNIFORM_BUFFER, this.buffer);
+            gl.bufferData(gl.UNIFORM_BUFFER, this.bytes, gl.DYNAMIC_DRAW);
+            WebGLResources.get(gl).register(this);
+        } else if (this.dirtyStart < this.dirtyEnd) {
+            WebGLState.get(gl).bindBuffer(gl.UNIFORM_BUFFER, this.buffer);
+            gl.bufferSubData(gl.UNIFORM_BUFFER, this.dirtyStart, this.bytes,
+                this.dirtyStart, this.dirtyEnd - this.dirtyStart);
+        }
+        this.dirtyStart = Infinity;
+        this.dirtyEnd = 0;
+    }
+
+    /**
+     * Make a program in use read these values: through its uniform block when it declares
+     * one on WebGL2, otherwise as plain uniforms of the same names
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @param {WebGLProgram} program - Program in use
+     * @param {boolean} [useBlocks] - Allow uniform blocks; defaults to whether gl is WebGL2
+     * @returns {boolean} Whether the program reads the block
+     */
+    apply(gl, program, useBlocks = isWebGL2(gl)) {
+        let state = programStates.get(program);
+        if (!state) {
+            state = { blocks: new Map(), locations: new Map(), versions: new Map() };
+            programStates.set(program, state);
+        }
+
+        if (useBlocks) {
+            let blockIndex = state.blocks.get(this.name);
+            if (blockIndex === undefined) {
+                blockIndex = gl.getUniformBlockIndex(program, this.name);
+                if (blockIndex !== gl.INVALID_INDEX) {
+                    gl.uniformBlockBinding(program, blockIndex, this.binding);
+                } else {
+                    blockIndex = -1;
+                }
+                state.blocks.set(this.name, blockIndex);
+            }
+
+            if (blockIndex !== -1) {
+                this.update(gl);
+                WebGLState.get(gl).bindBufferBase(gl.UNIFORM_BUFFER, this.binding, this.buffer);
+                return true;
+            }
+        }
+
+        const applied = state.versions.get(this);
+        if (applied !== this.version) {
+            this.uploadUniforms(gl, program, state.locations);
+            state.versions.set(this, this.version);
+        }
+        return false;
+    }
+
+    /**
+     * Set the members as plain uniforms of a program in use; members it lacks are skipped
+     * @private
+     */
+    uploadUniforms(gl, program, locations) {
+        for (const leaf of this.leaves.values()) {
+            let location = locations.get(leaf.name);
+            if (location === undefined) {
+                location = gl.getUniformLocation(program, leaf.name);
+                locations.set(leaf.name, location);
+            }
+            if (location === null) continue;
+
+            const start = leaf.offset / 4;
+            if (leaf.columns) {
+                // Pack the padded columns tightly
+                const values = new Float32Array(leaf.columns * leaf.components);
+                for (let c = 0; c < leaf.columns; c++) {
+                    values.set(this.floats.subarray(start + c * 4, start + c * 4 + leaf.components), c * leaf.components);
+                }
+                gl[leaf.columns === 3 ? 'uniformMatrix3fv' : 'uniformMatrix4fv'](location, false, values);
+            } else {
+                const view = leaf.kind === 'float' ? this.floats : leaf.kind === 'uint' ? this.uints : this.ints;
+                gl[SETTERS[leaf.kind][leaf.components - 1]](location, view.subarray(start, start + leaf.components));
+            }
+        }
+    }
+
+    /**
+     * Recreate the buffer on a restored context
+     * @returns {boolean}
+     */
+    restoreContext() {
+        const gl = this.gl;
+        this.buffer = null;
+        this.update(gl);
+        return true;
+    }
+
+    dispose() {
+        if (this.buffer) {
+            this.gl.deleteBuffer(this.buffer);
+            WebGLResources.get(this.gl).unregister(this);
+            this.buffer = null;
+        }
+    }
+}
+
+function toArray(value) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return [value];
+    }
+    if (value.elements) {
+        return value.elements;
+    }
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        return value;
+    }
+    const keys = value.r !== undefined ? COLOR_KEYS : VECTOR_KEYS;
+    return keys.map(key => value[key]);
+}
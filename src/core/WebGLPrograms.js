@@ -0,0 +1,228 @@
+/**
+ * WebGLPrograms - Cache of linked shader programs per context
+ * Programs are keyed on their final sources, defines and bound attribute locations, so
+ * materials that resolve to the same variant share one program. Each user holds a
+ * reference; the program is deleted when the last one is released.
+ *
+ * With KHR_parallel_shader_compile, acquireAsync() lets the driver compile in the
+ * background and only checks the result once COMPLETION_STATUS_KHR reports true.
+ */
+
+import { Shader } from './Shader.js';
+import { getDefineLines } from './ShaderChunks.js';
+
+const caches = new WeakMap();
+
+// How often pending programs are polled for completion, in milliseconds
+const POLL_INTERVAL = 4;
+
+export class WebGLPrograms {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+        this.parallelCompile = gl.getExtension('KHR_parallel_shader_compile') || null;
+
+        // Cache key to Shader, and to the completion promise while it is compiling
+        this.programs = new Map();
+        this.pending = new Map();
+
+        // Programs compiled and acquisitions served from the cache
+        this.stats = { compiled: 0, reused: 0 };
+    }
+
+    /**
+     * The program cache of a context, created on first use
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {WebGLPrograms}
+     */
+    static get(gl) {
+        let cache = caches.get(gl);
+        if (!cache) {
+            cache = new WebGLPrograms(gl);
+            caches.set(gl, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * Cache key of a program variant. Defines are sorted so their order does not matter.
+     * @param {string} vertexSource - Vertex shader source
+     * @param {string} fragmentSource - Fragment shader source
+     * @param {Object} [defines] - Defines injected into both stages
+     * @param {Object} [attributes] - Attribute name to location
+     * @returns {string}
+     */
+    getKey(vertexSource, fragmentSource, defines = null, attributes = null) {
+        const defineLines = getDefineLines(defines).sort().join('\n');
+        const attributeLines = Object.entries(attributes || {})
+            .map(([name, location]) => `${name}=${location}`)
+            .sort()
+            .join(',');
+        return `${defineLines}\u0000${attributeLines}\u0000${vertexSource}\u0000${fragmentSource}`;
+    }
+
+    /**
+     * Get a linked program for the sources, compiling it if no user holds one. Blocks until
+     * linking has finished, including for a program still compiling for acquireAsync().
+     * @param {string} vertexSource - Vertex shader source
+     * @param {string} fragmentSource - Fragment shader source
+     * @param {Object} [defines] - Defines injected into both stages
+     * @param {Object} [attributes] - Attribute name to location, bound before linking
+     * @returns {Shader} Shared shader; hand it back with release()
+     */
+    acquire(vertexSource, fragmentSource, defines = null, attributes = null) {
+        const shader = this._lookup(vertexSource, fragmentSource, defines, attributes);
+
+        this._finish(shader);
+        shader.usedTimes++;
+        return shader;
+    }
+
+    /**
+     * Like acquire(), but resolves once the driver has finished compiling instead of blocking.
+     * Without KHR_parallel_shader_compile the program is finished on a later tick, so
+     * programs requested together are all submitted before the first one is waited on.
+     * @param {string} vertexSource - Vertex shader source
+     * @param {string} fragmentSource - Fragment shader source
+     * @param {Object} [defines] - Defines injected into both stages
+     * @param {Object} [attributes] - Attribute name to location, bound before linking
+     * @returns {Promise<Shader>} Shared shader; hand it back with release()
+     */
+    acquireAsync(vertexSource, fragmentSource, defines = null, attributes = null) {
+        let shader;
+        try {
+            shader = this._lookup(vertexSource, fragmentSource, defines, attributes);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        const key = shader.cacheKey;
+
+        shader.usedTimes++;
+        if (!shader._pending) {
+            return Promise.resolve(shader);
+        }
+
+        let pending = this.pending.get(key);
+        if (!pending) {
+            pending = {};
+            pending.promise = new Promise((resolve, reject) => {
+                pending.resolve = resolve;
+                pending.reject = reject;
+            });
+            this.pending.set(key, pending);
+
+            const poll = () => {
+                // Finished by a blocking acquire() or released in the meantime
+                if (this.pending.get(key) !== pending) return;
+                if (!shader.isCompileComplete(this.parallelCompile)) {
+                    setTimeout(poll, POLL_INTERVAL);
+                    return;
+                }
+                try {
+                    this._finish(shader);
+                } catch (error) {
+                    // Already passed on to the promise
+                }
+            };
+            setTimeout(poll, this.parallelCompile ? POLL_INTERVAL : 0);
+        }
+        return pending.promise;
+    }
+
+    /**
+     * Add a user to a shared shader, e.g. for a cloned material
+     * @param {Shader} shader - Shader from acquire() or acquireAsync()
+     * @returns {boolean} Whether the shader belongs to this cache
+     */
+    retain(shader) {
+        if (!this.has(shader)) return false;
+        shader.usedTimes++;
+        return true;
+    }
+
+    /**
+     * Remove a user of a shared shader and delete the program once it has none left
+     * @param {Shader} shader - Shader from acquire() or acquireAsync()
+     * @returns {boolean} Whether the shader belongs to this cache; others are left alone
+     */
+    release(shader) {
+        if (!this.has(shader)) return false;
+
+        shader.usedTimes--;
+        if (shader.usedTimes <= 0) {
+            const pending = this.pending.get(shader.cacheKey);
+            this.programs.delete(shader.cacheKey);
+            this.pending.delete(shader.cacheKey);
+            shader.dispose();
+            if (pending) {
+                pending.reject(new Error('Shader program was released before it finished compiling'));
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @param {Shader} shader
+     * @returns {boolean} Whether the shader is held in this cache
+     */
+    has(shader) {
+        return !!shader && shader.cacheKey !== null && this.programs.get(shader.cacheKey) === shader;
+    }
+
+    /**
+     * Number of programs held
+     * @returns {number}
+     */
+    get size() {
+        return this.programs.size;
+    }
+
+    /**
+     * Delete every program regardless of users, e.g. when the context goes away
+     */
+    clear() {
+        for (const shader of this.programs.values()) {
+            shader.dispose();
+        }
+        for (const pending of this.pending.values()) {
+            pending.reject(new Error('Shader program cache was cleared'));
+        }
+        this.programs.clear();
+        this.pending.clear();
+    }
+
+    _lookup(vertexSource, fragmentSource, defines, attributes) {
+        const key = this.getKey(vertexSource, fragmentSource, defines, attributes);
+        let shader = this.programs.get(key);
+        if (shader) {
+            this.stats.reused++;
+            return shader;
+        }
+
+        shader = new Shader(this.gl);
+        shader.beginProgram(vertexSource, fragmentSource, defines, attributes);
+        shader.cacheKey = key;
+        this.programs.set(key, shader);
+        this.stats.compiled++;
+        return shader;
+    }
+
+    _finish(shader) {
+        if (!shader._pending) return;
+
+        const key = shader.cacheKey;
+        const pending = this.pending.get(key);
+        this.pending.delete(key);
+
+        try {
+            shader.finishProgram();
+        } catch (error) {
+            this.programs.delete(key);
+            if (pending) pending.reject(error);
+            throw error;
+        }
+        if (pending) pending.resolve(shader);
+    }
+}
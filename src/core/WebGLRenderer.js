@@ -6,14 +6,73 @@
 
 import { Scene } from './Scene.js';
 import { Object3D } from './Object3D.js';
+import { RenderTarget, readPixels, readPixelsAsync, isWebGL2 } from './RenderTarget.js';
+import { RenderList, TransparencyMode } from './RenderList.js';
+import { WeightedBlendedOIT } from './WeightedBlendedOIT.js';
+import { WebGLState } from './WebGLState.js';
+import { WebGLPrograms } from './WebGLPrograms.js';
+import { WebGLResources } from './WebGLResources.js';
+import { UniformBuffer, UniformBlockBinding } from './UniformBuffer.js';
+import { LightUniforms } from '../lights/LightUniforms.js';
+import { PNGEncoder } from '../textures/PNGEncoder.js';
+
+/**
+ * Normalize a rectangle given as (x, y, width, height), { x, y, width, height } or a
+ * Vector4-like { x, y, z, w }; null and undefined mean no rectangle
+ */
+function toRect(x, y, width, height) {
+    if (x === null || x === undefined) {
+        return null;
+    }
+    if (typeof x === 'object') {
+        return { x: x.x, y: x.y, width: x.width ?? x.z, height: x.height ?? x.w };
+    }
+    return { x, y, width, height };
+}
+
+// Members of the FrameUniforms block declared by the frame_pars shader chunk
+const FRAME_UNIFORMS = [
+    { name: 'viewMatrix', type: 'mat4' },
+    { name: 'projectionMatrix', type: 'mat4' },
+    { name: 'cameraPosition', type: 'vec3' },
+    { name: 'time', type: 'float' },
+    { name: 'exposure', type: 'float' }
+];
+
+const GLSL3_PATTERN = /^\s*#version\s+300\s+es/;
+
+/**
+ * requestAnimationFrame where available, a 60 Hz timer otherwise
+ */
+function requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => callback(performance.now()), 1000 / 60);
+}
+
+function cancelFrame(id) {
+    if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(id);
+    } else {
+        clearTimeout(id);
+    }
+}
 
 export class WebGLRenderer {
     constructor(canvas, options = {}) {
         // Handle Three.js-style constructor: new WebGLRenderer({ canvas, ...options })
-        if (canvas && typeof canvas === 'object' && canvas.canvas && !canvas.getContext) {
+        if (canvas && typeof canvas === 'object' && !canvas.getContext && (canvas.canvas || canvas.context)) {
             options = { ...canvas, ...options };
             canvas = canvas.canvas;
         }
+
+        // A context passed in without a canvas, e.g. headless GL under Node, draws into its
+        // drawing buffer; a stand-in canvas tracks its size
+        if (!canvas && options.context) {
+            const gl = options.context;
+            canvas = gl.canvas || { width: gl.drawingBufferWidth, height: gl.drawingBufferHeight };
+        }
         
         this.canvas = canvas;
         this.options = {
@@ -24,6 +83,11 @@ export class WebGLRenderer {
             powerPreference: 'high-performance',
             failIfMajorPerformanceCaveat: false,
             preserveDrawingBuffer: false,
+            retainResourceData: true, // Keep CPU copies of buffers and textures to restore them after a context loss
+            context: null, // Existing WebGL context to render with instead of creating one from the canvas
+            pixelRatio: null, // Device pixel ratio where there is no window, e.g. in a worker
+            uniformBuffers: true, // Share camera and light uniforms through uniform buffers on WebGL2
+            maxLights: 16, // Lights of each type the light uniforms hold
             ...options
         };
 
@@ -32,6 +96,17 @@ export class WebGLRenderer {
         this.gl = null;
         this.isContextLost = false;
 
+        // GL state cache shared by everything drawing with this context
+        this.state = null;
+
+        // Linked programs shared by every material and pass drawing with this context
+        this.programCache = null;
+
+        // GPU resources of the context, recreated when a lost context is restored
+        this.resources = null;
+        this._onContextLost = this.onContextLost.bind(this);
+        this._onContextRestored = this.onContextRestored.bind(this);
+
         // Context info
         this.capabilities = {};
         this.maxTextureSize = 0;
@@ -48,8 +123,51 @@ export class WebGLRenderer {
         this.autoClearStencil = true;
         this.clearColor = { r: 0.0, g: 0.0, b: 0.0, a: 1.0 };
         this.clearDepth = 1.0;
+        this.exposure = 1.0; // Passed to shaders through the frame uniforms
         this.clearStencil = 0;
 
+        // Active render target (null = canvas), cube face or array layer, and mip level
+        this._currentRenderTarget = null;
+        this._currentActiveCubeFace = 0;
+        this._currentActiveMipmapLevel = 0;
+
+        // Viewport and scissor in drawing buffer pixels, bottom-left origin; null covers the
+        // whole target. The active pair is the one used by the render() call in progress.
+        this._viewport = null;
+        this._scissor = null;
+        this._scissorTest = false;
+        this._activeViewport = null;
+        this._activeScissor = null;
+
+        // 2D contexts of the canvases renderToCanvas() presents to
+        this._canvasContexts = new WeakMap();
+
+        // Target renderToBuffer() draws into, kept between calls
+        this._bufferTarget = null;
+
+        // Frame callback of setAnimationLoop() and its pending request
+        this._animationLoop = null;
+        this._animationFrame = null;
+        this._onAnimationFrame = this.onAnimationFrame.bind(this);
+
+        // Render queues and transparency compositing
+        this.renderList = new RenderList();
+        this.sortObjects = true;
+        this.transparencyMode = TransparencyMode.SORTED;
+        this.oit = null;
+        this._oitActive = false;
+
+        // Last program, material and geometry drawn, for counting state changes
+        this._renderState = { program: null, material: null, geometry: null };
+
+        // Program defines of the scene being rendered (lights, shadows, fog)
+        this._sceneDefines = null;
+
+        // Per-frame and light uniforms shared by every program, see initUniformBlocks()
+        this.uniformBlocks = null;
+        this.lightUniforms = null;
+        this._startTime = performance.now();
+
         // Optimization flags
         this.enableDistanceCulling = true;
         this.enableFrustumCulling = true;
@@ -57,12 +175,21 @@ export class WebGLRenderer {
         this.maxDistance = 1000;
         this.lodBias = 0;
         this.shadowMapEnabled = false;
+        this.shadowMapType = 'pcf_3x3'; // ShadowFilterType, selects the shadowmap_pars_fragment filter
 
         // Performance monitoring
         this.performance = {
             frameTime: 0,
             renderTime: 0,
             drawCalls: 0,
+            programSwitches: 0,
+            materialSwitches: 0,
+            geometrySwitches: 0,
+            opaqueObjects: 0,
+            alphaTestObjects: 0,
+            transparentObjects: 0,
+            stateCallsIssued: 0,
+            stateCallsSkipped: 0,
             triangles: 0,
             vertices: 0,
             lastFrameTime: 0,
@@ -92,10 +219,12 @@ export class WebGLRenderer {
     init() {
         try {
             this.createContext();
+            this.initState();
             this.setupCapabilities();
             this.setupEventListeners();
             this.setupDefaultState();
             this.initShaderSystem();
+            this.initUniformBlocks();
             
             console.log('WebGLRenderer initialized successfully');
         } catch (error) {
@@ -108,6 +237,13 @@ export class WebGLRenderer {
      * Create WebGL context with fallback support
      */
     createContext() {
+        if (this.options.context) {
+            this.context = this.options.context;
+            this.gl = this.options.context;
+            this.contextType = isWebGL2(this.gl) ? 'webgl2' : 'webgl';
+            return;
+        }
+
         const contextOptions = {
             antialias: this.options.antialias,
             alpha: this.options.alpha,
@@ -225,11 +361,35 @@ export class WebGLRenderer {
         });
     }
 
+    /**
+     * Take over the state cache of the context. A fresh or restored context is in its
+     * default state, so nothing cached for it earlier still holds.
+     */
+    initState() {
+        this.state = WebGLState.get(this.gl);
+        this.state.reset();
+        this.state.resetStats();
+        this.programCache = WebGLPrograms.get(this.gl);
+        this.resources = WebGLResources.get(this.gl);
+        this.resources.retainData = this.options.retainResourceData !== false;
+    }
+
+    /**
+     * Forget the cached GL state. Call after changing GL state directly, e.g. from
+     * another library sharing the context.
+     */
+    resetState() {
+        if (this.state) {
+            this.state.reset();
+        }
+    }
+
     /**
      * Setup WebGL default state
      */
     setupDefaultState() {
         const gl = this.gl;
+        const state = this.state;
 
         // Clear color and depth
         gl.clearColor(this.clearColor.r, this.clearColor.g, this.clearColor.b, this.clearColor.a);
@@ -237,20 +397,88 @@ export class WebGLRenderer {
         gl.clearStencil(this.clearStencil);
 
         // Enable depth testing
-        gl.enable(gl.DEPTH_TEST);
-        gl.depthFunc(gl.LEQUAL);
+        state.enable(gl.DEPTH_TEST);
+        state.depthFunc(gl.LEQUAL);
 
         // Disable culling by default (enable per-material as needed)
-        gl.disable(gl.CULL_FACE);
+        state.disable(gl.CULL_FACE);
 
         // Enable blend mode
-        gl.enable(gl.BLEND);
-        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        state.enable(gl.BLEND);
+        state.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
 
         // Set viewport
         this.setSize(this.canvas.width, this.canvas.height);
     }
 
+    /**
+     * Create the uniform blocks every program can read: camera and time (FrameUniforms,
+     * frame_pars chunk) and scene lights (LightUniforms, lights_pars chunk). On WebGL2 they
+     * are uniform buffers bound once per frame; otherwise, or for GLSL ES 1.00 sources, the
+     * same values are set as plain uniforms when a program is drawn with changed values.
+     */
+    initUniformBlocks() {
+        const maxLights = this.options.maxLights;
+        this.lightUniforms = new LightUniforms(maxLights);
+        this.uniformBlocks = {
+            enabled: !!this.options.uniformBuffers && isWebGL2(this.gl),
+            frame: new UniformBuffer('FrameUniforms', FRAME_UNIFORMS, { binding: UniformBlockBinding.FRAME }),
+            lights: new UniformBuffer('LightUniforms', LightUniforms.getBlockFields(maxLights), { binding: UniformBlockBinding.LIGHTS })
+        };
+    }
+
+    /**
+     * Lights drawn in a scene: the active lights of its LightManager if it has one,
+     * otherwise scene.lights
+     */
+    getSceneLights(scene) {
+        if (scene.lightManager) {
+            return scene.lightManager.getActiveLights();
+        }
+        return scene.lights || [];
+    }
+
+    /**
+     * Write the frame and light uniforms for a camera
+     */
+    updateUniformBlocks(scene, camera) {
+        const blocks = this.uniformBlocks;
+        if (!blocks) {
+            return;
+        }
+
+        const frame = blocks.frame;
+        frame.set('viewMatrix', camera.matrixWorldInverse || camera.viewMatrix);
+        frame.set('projectionMatrix', camera.projectionMatrix);
+        frame.set('cameraPosition', camera.position);
+        frame.set('time', (performance.now() - this._startTime) / 1000);
+        frame.set('exposure', this.exposure);
+
+        this.lightUniforms.writeUniformBuffer(blocks.lights, this.getSceneLights(scene));
+    }
+
+    /**
+     * Give the program of a material in use the frame, light and material uniforms.
+     * Called by objects before drawing.
+     * @param {Material} material - Material whose shader is in use
+     * @returns {boolean} Whether the frame uniforms (view and projection) were provided
+     */
+    applyUniformBlocks(material) {
+        const blocks = this.uniformBlocks;
+        const program = material.shader && material.shader.program;
+        if (!blocks || !program) {
+            return false;
+        }
+
+        const gl = this.gl;
+        blocks.frame.apply(gl, program, blocks.enabled);
+        blocks.lights.apply(gl, program, blocks.enabled);
+        if (material.uniformBuffer) {
+            material.uniformBuffer.apply(gl, program, blocks.enabled);
+        }
+        return true;
+    }
+
     /**
      * Initialize shader system
      */
@@ -258,28 +486,7 @@ export class WebGLRenderer {
         // Default shader templates
         this.defaultShaders = {
             basic: {
-                vertex: `
-                    attribute vec3 position;
-                    attribute vec3 normal;
-                    attribute vec2 uv;
-                    
-                    uniform mat4 modelMatrix;
-                    uniform mat4 viewMatrix;
-                    uniform mat4 projectionMatrix;
-                    uniform mat3 normalMatrix;
-                    
-                    varying vec3 vNormal;
-                    varying vec3 vPosition;
-                    varying vec2 vUV;
-                    
-                    void main() {
-                        vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-                        vPosition = worldPosition.xyz;
-                        vNormal = normalize(normalMatrix * normal);
-                        vUV = uv;
-                        gl_Position = projectionMatrix * viewMatrix * worldPosition;
-                    }
-                `,
+                vertex: '#include <basic_vertex>',
                 fragment: `
                     precision mediump float;
                     
@@ -304,21 +511,7 @@ export class WebGLRenderer {
                 `
             },
             unlit: {
-                vertex: `
-                    attribute vec3 position;
-                    attribute vec2 uv;
-                    
-                    uniform mat4 modelMatrix;
-                    uniform mat4 viewMatrix;
-                    uniform mat4 projectionMatrix;
-                    
-                    varying vec2 vUV;
-                    
-                    void main() {
-                        vUV = uv;
-                        gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
-                    }
-                `,
+                vertex: '#include <unlit_vertex>',
                 fragment: `
                     precision mediump float;
                     
@@ -341,8 +534,11 @@ export class WebGLRenderer {
      * Setup event listeners for context loss/restoration
      */
     setupEventListeners() {
-        this.canvas.addEventListener('webglcontextlost', this.onContextLost.bind(this), false);
-        this.canvas.addEventListener('webglcontextrestored', this.onContextRestored.bind(this), false);
+        // Headless stand-in canvases have no events; OffscreenCanvas in a worker does
+        if (typeof this.canvas.addEventListener === 'function') {
+            this.canvas.addEventListener('webglcontextlost', this._onContextLost, false);
+            this.canvas.addEventListener('webglcontextrestored', this._onContextRestored, false);
+        }
 
         // Handle device pixel ratio changes
         if (this.setPixelRatio) {
@@ -358,26 +554,37 @@ export class WebGLRenderer {
         console.warn('WebGL context lost');
         this.isContextLost = true;
         
-        // Cleanup resources
-        this.disposeResources();
+        // The GL objects are gone with the context; what is needed to recreate them stays
+        this.releaseContextResources();
+
+        // Every program of the context is gone; materials recompile after the restore
+        if (this.programCache) {
+            this.programCache.clear();
+        }
         
         // Emit context lost event
         this.emit('contextlost', { context: this.context });
     }
 
     /**
-     * Handle WebGL context restoration
+     * Handle WebGL context restoration. The context object stays the same; every resource
+     * registered with it is recreated from its retained CPU data, as are the buffers, textures
+     * and programs created through the renderer under their existing ids, and materials
+     * recompile their programs on the next render. Resources that dropped their data are
+     * listed in the event as `incomplete` so the application can reload them.
      */
     onContextRestored() {
         console.log('WebGL context restored');
         this.isContextLost = false;
         
         try {
-            // Recreate context and resources
-            this.init();
+            this.initState();
+            this.setupCapabilities();
+            this.setupDefaultState();
+            const incomplete = [...this.resources.restore(), ...this.restoreResources()];
             
             // Emit context restored event
-            this.emit('contextrestored', { context: this.context });
+            this.emit('contextrestored', { context: this.context, incomplete });
         } catch (error) {
             console.error('Failed to restore WebGL context:', error);
             this.emit('error', { error });
@@ -389,7 +596,9 @@ export class WebGLRenderer {
      */
     updatePixelRatio() {
         if (this.setPixelRatio) {
-            const pixelRatio = Math.min(window.devicePixelRatio || 1, 2); // Limit to 2x for performance
+            // Workers have no window; the main thread passes the ratio in through options
+            const devicePixelRatio = this.options.pixelRatio || globalThis.devicePixelRatio || 1;
+            const pixelRatio = Math.min(devicePixelRatio, 2); // Limit to 2x for performance
             if (pixelRatio !== this.pixelRatio) {
                 this.pixelRatio = pixelRatio;
                 this.setSize(this.canvas.width, this.canvas.height);
@@ -408,110 +617,233 @@ export class WebGLRenderer {
         if (this.canvas.width !== displayWidth || this.canvas.height !== displayHeight) {
             this.canvas.width = displayWidth;
             this.canvas.height = displayHeight;
-            this.canvas.style.width = width + 'px';
-            this.canvas.style.height = height + 'px';
 
-            if (this.gl && !this.isContextLost) {
-                this.gl.viewport(0, 0, displayWidth, displayHeight);
+            // OffscreenCanvas has no style
+            if (this.canvas.style) {
+                this.canvas.style.width = width + 'px';
+                this.canvas.style.height = height + 'px';
+            }
+
+            // Headless GL resizes its drawing buffer through an extension
+            const resizable = this.gl && !this.gl.canvas && this.gl.getExtension('STACKGL_resize_drawingbuffer');
+            if (resizable) {
+                resizable.resize(displayWidth, displayHeight);
+            }
+
+            if (this.gl && !this.isContextLost && !this._currentRenderTarget) {
+                this.state.viewport(0, 0, displayWidth, displayHeight);
             }
         }
     }
 
     /**
-     * Compile shader from source code
+     * Get drawing buffer size
+     */
+    getSize() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        return { x: width, y: height, width, height };
+    }
+
+    /**
+     * Set the render target for subsequent draws; null renders to the canvas.
+     * Leaving a multisampled or mipmapped target resolves it.
+     * @param {RenderTarget|null} renderTarget - Target to render into
+     * @param {number} activeCubeFace - Cube face or array layer
+     * @param {number} activeMipmapLevel - Mip level
+     */
+    setRenderTarget(renderTarget, activeCubeFace = 0, activeMipmapLevel = 0) {
+        const previous = this._currentRenderTarget;
+
+        this._currentRenderTarget = renderTarget || null;
+        this._currentActiveCubeFace = activeCubeFace;
+        this._currentActiveMipmapLevel = activeMipmapLevel;
+
+        if (!this.gl || this.isContextLost) {
+            return;
+        }
+
+        if (previous && previous !== renderTarget) {
+            previous.resolve();
+        }
+
+        this.bindRenderTarget();
+    }
+
+    /**
+     * Get the active render target
+     */
+    getRenderTarget() {
+        return this._currentRenderTarget;
+    }
+
+    /**
+     * Bind the active render target, or the canvas, and set the viewport
      */
-    compileShader(vertexSource, fragmentSource, attributes = {}, uniforms = {}) {
+    bindRenderTarget() {
         const gl = this.gl;
-        
-        if (this.isContextLost) {
-            this.handleContextLostError();
-            return null;
+        const renderTarget = this._currentRenderTarget;
+
+        if (renderTarget) {
+            renderTarget.bind(gl, this._currentActiveCubeFace, this._currentActiveMipmapLevel);
+        } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
         }
+        this.applyViewport();
+    }
 
-        try {
-            // Create shader program
-            const program = gl.createProgram();
-            if (!program) {
-                throw new Error('Failed to create shader program');
-            }
+    /**
+     * Size of the active render target, or of the drawing buffer
+     * @returns {{width: number, height: number}}
+     */
+    getTargetSize() {
+        const target = this._currentRenderTarget || this.canvas;
+        return { width: target.width, height: target.height };
+    }
 
-            // Create vertex shader
-            const vertexShader = gl.createShader(gl.VERTEX_SHADER);
-            if (!vertexShader) {
-                throw new Error('Failed to create vertex shader');
-            }
+    /**
+     * Restrict rendering to a rectangle of the target, e.g. one view of a split screen.
+     * Takes (x, y, width, height) in drawing buffer pixels from the bottom-left corner, a
+     * { x, y, width, height } object, or null to cover the whole target again.
+     */
+    setViewport(x, y, width, height) {
+        this._viewport = toRect(x, y, width, height);
+    }
 
-            gl.shaderSource(vertexShader, vertexSource);
-            gl.compileShader(vertexShader);
+    /**
+     * Viewport render() uses, the whole target when none is set
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getViewport() {
+        return this._viewport ? { ...this._viewport } : { x: 0, y: 0, ...this.getTargetSize() };
+    }
 
-            if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
-                const error = gl.getShaderInfoLog(vertexShader);
-                gl.deleteShader(vertexShader);
-                gl.deleteProgram(program);
-                throw new Error('Vertex shader compilation failed: ' + error);
-            }
+    /**
+     * Set the scissor rectangle, in the same units as setViewport(); it is applied while
+     * setScissorTest(true) is in effect
+     */
+    setScissor(x, y, width, height) {
+        this._scissor = toRect(x, y, width, height);
+    }
 
-            // Create fragment shader
-            const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-            if (!fragmentShader) {
-                gl.deleteShader(vertexShader);
-                gl.deleteProgram(program);
-                throw new Error('Failed to create fragment shader');
-            }
+    /**
+     * Scissor rectangle, the whole target when none is set
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getScissor() {
+        return this._scissor ? { ...this._scissor } : { x: 0, y: 0, ...this.getTargetSize() };
+    }
 
-            gl.shaderSource(fragmentShader, fragmentSource);
-            gl.compileShader(fragmentShader);
+    /**
+     * Enable or disable the scissor rectangle for render()
+     * @param {boolean} enabled
+     */
+    setScissorTest(enabled) {
+        this._scissorTest = !!enabled;
+    }
 
-            if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
-                const error = gl.getShaderInfoLog(fragmentShader);
-                gl.deleteShader(vertexShader);
-                gl.deleteShader(fragmentShader);
-                gl.deleteProgram(program);
-                throw new Error('Fragment shader compilation failed: ' + error);
-            }
+    /**
+     * Set the viewport and scissor of the render() call in progress on the bound target.
+     * Without one the viewport covers the canvas; render targets set their own when bound.
+     * A viewport without a scissor is scissored to itself, so clears stay inside it.
+     */
+    applyViewport() {
+        const gl = this.gl;
+        const state = this.state;
+        const viewport = this._activeViewport;
+        const scissor = this._activeScissor || viewport;
+
+        if (viewport) {
+            state.viewport(viewport.x, viewport.y, viewport.width, viewport.height);
+        } else if (!this._currentRenderTarget) {
+            state.viewport(0, 0, this.canvas.width, this.canvas.height);
+        }
+
+        if (scissor) {
+            state.enable(gl.SCISSOR_TEST);
+            state.scissor(scissor.x, scissor.y, scissor.width, scissor.height);
+        } else {
+            state.disable(gl.SCISSOR_TEST);
+        }
+    }
 
-            // Link program
-            gl.attachShader(program, vertexShader);
-            gl.attachShader(program, fragmentShader);
+    /**
+     * Read RGBA pixels from a render target, or from the canvas when renderTarget is null
+     * @param {RenderTarget|null} renderTarget - Target to read
+     * @param {number} x - Left edge
+     * @param {number} y - Bottom edge
+     * @param {number} width - Width to read
+     * @param {number} height - Height to read
+     * @param {ArrayBufferView} buffer - Destination, created when omitted
+     * @param {Object} options - { attachment, layer } for render targets
+     * @returns {ArrayBufferView|null} Pixels, or null while the context is lost
+     */
+    readRenderTargetPixels(renderTarget, x, y, width, height, buffer = null, options = {}) {
+        if (!this.gl || this.isContextLost) {
+            return null;
+        }
 
-            // Bind attributes
-            Object.entries(attributes).forEach(([name, location]) => {
-                gl.bindAttribLocation(program, location, name);
-            });
+        if (renderTarget) {
+            return renderTarget.readPixels(x, y, width, height, buffer, options);
+        }
 
-            gl.linkProgram(program);
+        const gl = this.gl;
+        const pixels = buffer || new Uint8Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        readPixels(gl, x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        this.bindRenderTarget();
+        return pixels;
+    }
 
-            if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-                const error = gl.getProgramInfoLog(program);
-                gl.deleteShader(vertexShader);
-                gl.deleteShader(fragmentShader);
-                gl.deleteProgram(program);
-                throw new Error('Shader program linking failed: ' + error);
-            }
+    /**
+     * Read RGBA pixels without stalling the GPU (WebGL2 pixel pack buffer and fence)
+     * @returns {Promise<ArrayBufferView>} Pixels
+     * @see WebGLRenderer#readRenderTargetPixels
+     */
+    readRenderTargetPixelsAsync(renderTarget, x, y, width, height, buffer = null, options = {}) {
+        if (!this.gl || this.isContextLost) {
+            return Promise.reject(new Error('WebGL context is lost'));
+        }
 
-            // Get uniform locations
-            const uniformLocations = {};
-            const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
-            for (let i = 0; i < uniformCount; i++) {
-                const uniformInfo = gl.getActiveUniform(program, i);
-                const location = gl.getUniformLocation(program, uniformInfo.name);
-                uniformLocations[uniformInfo.name] = location;
-            }
+        if (renderTarget) {
+            return renderTarget.readPixelsAsync(x, y, width, height, buffer, options);
+        }
+
+        const gl = this.gl;
+        const pixels = buffer || new Uint8Array(width * height * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        const promise = readPixelsAsync(gl, x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        this.bindRenderTarget();
+        return promise;
+    }
+
+    /**
+     * Compile shader from source code. Both stages are run through the
+     * shader chunk preprocessor, so `#include <chunk>` and `defines` work
+     * here the same way they do for materials. Identical sources, defines and
+     * attributes share one program from the cache; free it with deleteProgram().
+     */
+    compileShader(vertexSource, fragmentSource, attributes = {}, uniforms = {}, defines = {}) {
+        if (this.isContextLost) {
+            this.handleContextLostError();
+            return null;
+        }
+
+        try {
+            const shader = this.programCache.acquire(vertexSource, fragmentSource, defines, attributes);
 
             // Store program
             const programId = this.generateId();
             this.programs.set(programId, {
-                program,
-                vertexShader,
-                fragmentShader,
-                uniforms: uniformLocations,
-                attributes
+                program: shader.program,
+                shader,
+                uniforms: Object.fromEntries(shader.uniformLocations),
+                attributes,
+                vertexSource,
+                fragmentSource,
+                defines
             });
 
-            // Cleanup shaders (program keeps references)
-            gl.deleteShader(vertexShader);
-            gl.deleteShader(fragmentShader);
-
             console.log('Shader compiled successfully');
             return programId;
 
@@ -522,44 +854,193 @@ export class WebGLRenderer {
         }
     }
 
+    /**
+     * Release a program from compileShader(); it is deleted once nothing else uses it
+     */
+    deleteProgram(programId) {
+        const data = this.programs.get(programId);
+        if (!data) {
+            return;
+        }
+
+        this.programCache.release(data.shader);
+        this.programs.delete(programId);
+    }
+
+    /**
+     * Defines shared by every program drawn in the scene: light counts per type, shadow
+     * filter and fog
+     */
+    getSceneProgramDefines(scene) {
+        const defines = {};
+        const counts = { DirectionalLight: 0, PointLight: 0, SpotLight: 0 };
+        let castShadow = false;
+
+        for (const light of this.getSceneLights(scene)) {
+            if (light.visible === false) {
+                continue;
+            }
+            if (light.type in counts) {
+                counts[light.type]++;
+            }
+            castShadow = castShadow || !!light.castShadow;
+        }
+
+        // The light uniforms hold maxLights of each type
+        const maxLights = this.options.maxLights;
+        defines.MAX_LIGHTS = maxLights;
+        defines.NUM_DIR_LIGHTS = Math.min(counts.DirectionalLight, maxLights);
+        defines.NUM_POINT_LIGHTS = Math.min(counts.PointLight, maxLights);
+        defines.NUM_SPOT_LIGHTS = Math.min(counts.SpotLight, maxLights);
+
+        if (this.shadowMapEnabled && castShadow) {
+            defines.USE_SHADOWMAP = true;
+            if (this.shadowMapType && this.shadowMapType !== 'none') {
+                defines[`SHADOWMAP_${this.shadowMapType.toUpperCase()}`] = true;
+            }
+        }
+
+        if (scene.fog && scene.fog.enabled) {
+            defines.USE_FOG = true;
+        }
+
+        return defines;
+    }
+
+    /**
+     * Defines of the program variant an object needs: the scene defines plus skinning,
+     * morph targets and instancing, and USE_UNIFORM_BUFFERS for GLSL ES 3.00 sources on WebGL2
+     */
+    getProgramDefines(object, scene, sceneDefines = null, sources = null) {
+        const defines = { ...(sceneDefines || this.getSceneProgramDefines(scene)) };
+
+        if (this.uniformBlocks && this.uniformBlocks.enabled && sources &&
+            GLSL3_PATTERN.test(sources.vertexShader) && GLSL3_PATTERN.test(sources.fragmentShader)) {
+            defines.USE_UNIFORM_BUFFERS = true;
+        }
+
+        if (object.skeleton) {
+            defines.USE_SKINNING = true;
+            defines.MAX_BONES = object.boneCount || object.skeleton.size || object.skeleton.length || 0;
+        }
+
+        const morphTargets = object.morphTargetManager && object.morphTargetManager.morphTargets;
+        if (morphTargets && morphTargets.length > 0) {
+            defines.USE_MORPHTARGETS = true;
+            defines.MORPHTARGETS_COUNT = morphTargets.length;
+        }
+
+        if (object.isInstancedMesh) {
+            defines.USE_INSTANCING = true;
+        }
+
+        return defines;
+    }
+
+    /**
+     * Compile the program variant a material needs for an object, unless it has it already
+     */
+    prepareMaterial(material, object, scene) {
+        const sources = material.getShaderSources ? material.getShaderSources() : null;
+        if (!sources) {
+            return;
+        }
+
+        const defines = this.getProgramDefines(object, scene, this._sceneDefines, sources);
+        if (material.needsProgram(defines)) {
+            material.compile(this.gl, sources.vertexShader, sources.fragmentShader, defines);
+        }
+    }
+
+    /**
+     * Compile the programs of every material in the scene without blocking, so the first
+     * frames don't stall on shader compilation. Uses KHR_parallel_shader_compile when
+     * available. Objects in view of the camera are submitted first.
+     * @returns {Promise<Scene>} Resolves when every program is linked
+     */
+    compileAsync(scene, camera) {
+        if (this.isContextLost || !this.gl) {
+            return Promise.reject(new Error('WebGL context is lost'));
+        }
+
+        const objects = [];
+        scene.traverse(obj => {
+            if (obj !== scene.root && obj.material) {
+                objects.push(obj);
+            }
+        });
+
+        if (camera) {
+            camera.updateMatrix();
+            const inView = new Set(objects.filter(obj => this.isObjectInFrustum(obj, camera)));
+            objects.sort((a, b) => inView.has(b) - inView.has(a));
+        }
+
+        const sceneDefines = this.getSceneProgramDefines(scene);
+        const compiles = [];
+        for (const object of objects) {
+            const material = object.material;
+            const sources = material.getShaderSources ? material.getShaderSources() : null;
+            if (!sources) {
+                continue;
+            }
+
+            const defines = this.getProgramDefines(object, scene, sceneDefines, sources);
+            if (material.needsProgram(defines)) {
+                compiles.push(material.compileAsync(this.gl, sources.vertexShader, sources.fragmentShader, defines));
+            }
+        }
+
+        return Promise.all(compiles).then(() => scene);
+    }
+
     /**
      * Create vertex buffer
      */
     createBuffer(data, target = null, usage = 'STATIC_DRAW') {
         const gl = this.gl;
-        const buffer = gl.createBuffer();
-        if (!buffer) {
-            throw new Error('Failed to create buffer');
-        }
+        const info = {
+            buffer: null,
+            target: target || gl.ARRAY_BUFFER,
+            usage: gl[usage.toUpperCase()] || gl.STATIC_DRAW,
+            size: data.length,
+            byteLength: data.byteLength,
+            data
+        };
 
-        const targetType = target || gl.ARRAY_BUFFER;
-        const usageType = gl[usage.toUpperCase()] || gl.STATIC_DRAW;
+        this.uploadBuffer(info);
 
-        gl.bindBuffer(targetType, buffer);
-        gl.bufferData(targetType, data, usageType);
+        // Kept for restoring the buffer after a context loss
+        info.data = this.resources.retainData ? data : null;
 
         // Store buffer info
         const bufferId = this.generateId();
-        this.buffers.set(bufferId, {
-            buffer,
-            target: targetType,
-            usage: usageType,
-            size: data.length
-        });
+        this.buffers.set(bufferId, info);
 
         return bufferId;
     }
 
     /**
-     * Create texture
+     * Create the GL buffer of a createBuffer() entry and upload its data, or allocate it
+     * empty when the data was dropped
      */
-    createTexture(data = null, width = 0, height = 0, options = {}) {
+    uploadBuffer(info) {
         const gl = this.gl;
-        const texture = gl.createTexture();
-        if (!texture) {
-            throw new Error('Failed to create texture');
+        const buffer = gl.createBuffer();
+        if (!buffer) {
+            throw new Error('Failed to create buffer');
         }
 
+        this.state.bindBuffer(info.target, buffer);
+        gl.bufferData(info.target, info.data || info.byteLength, info.usage);
+        info.buffer = buffer;
+    }
+
+    /**
+     * Create texture
+     */
+    createTexture(data = null, width = 0, height = 0, options = {}) {
+        const gl = this.gl;
         const textureOptions = {
             format: gl.RGBA,
             internalFormat: gl.RGBA,
@@ -571,59 +1052,104 @@ export class WebGLRenderer {
             mipmaps: false,
             ...options
         };
+        const info = {
+            texture: null,
+            width,
+            height,
+            options: textureOptions,
+            data
+        };
+
+        this.uploadTexture(info);
+
+        // Kept for restoring the texture after a context loss; dropped data leaves it empty
+        info.data = this.resources.retainData ? data : null;
+        info.dataDropped = !!data && !info.data;
+
+        const textureId = this.generateId();
+        this.textures.set(textureId, info);
+
+        return textureId;
+    }
+
+    /**
+     * Create the GL texture of a createTexture() entry and upload its data, or allocate it
+     * empty when there is none
+     */
+    uploadTexture(info) {
+        const gl = this.gl;
+        const textureOptions = info.options;
+        const texture = gl.createTexture();
+        if (!texture) {
+            throw new Error('Failed to create texture');
+        }
 
-        gl.bindTexture(gl.TEXTURE_2D, texture);
+        this.state.bindTexture(gl.TEXTURE_2D, texture);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, textureOptions.wrapS);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, textureOptions.wrapT);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, textureOptions.minFilter);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, textureOptions.magFilter);
 
-        if (data) {
+        if (info.data) {
             gl.texImage2D(gl.TEXTURE_2D, 0, textureOptions.internalFormat, 
-                         textureOptions.format, textureOptions.type, data);
+                         textureOptions.format, textureOptions.type, info.data);
         } else {
             gl.texImage2D(gl.TEXTURE_2D, 0, textureOptions.internalFormat, 
-                         width, height, 0, textureOptions.format, textureOptions.type, null);
+                         info.width, info.height, 0, textureOptions.format, textureOptions.type, null);
         }
 
         if (textureOptions.mipmaps) {
             gl.generateMipmap(gl.TEXTURE_2D);
         }
 
-        const textureId = this.generateId();
-        this.textures.set(textureId, {
-            texture,
-            width,
-            height,
-            options: textureOptions
-        });
-
-        return textureId;
+        info.texture = texture;
     }
 
     /**
      * Render scene
+     * @param {Scene} scene - Scene to draw
+     * @param {Camera} camera - Camera to draw it from; stereo cameras draw both eyes side by side
+     * @param {Object} [options]
+     * @param {Object} [options.viewport] - Rectangle for this call, overriding setViewport()
+     * @param {Object} [options.scissor] - Scissor for this call, overriding setScissor()
      */
-    render(scene, camera) {
+    render(scene, camera, options = {}) {
         if (this.isContextLost || !this.gl || !scene || !camera) {
             return;
         }
 
+        if (camera.stereo && camera.stereo.enabled) {
+            const viewport = toRect(options.viewport) || this.getViewport();
+            this.renderViews(scene, camera.getStereoViews(viewport));
+            return;
+        }
+
         const startTime = performance.now();
         const gl = this.gl;
 
         // Update performance metrics
         this.performance.drawCalls = 0;
+        this.performance.programSwitches = 0;
+        this.performance.materialSwitches = 0;
+        this.performance.geometrySwitches = 0;
         this.performance.triangles = 0;
         this.performance.vertices = 0;
+        this._renderState.program = null;
+        this._renderState.material = null;
+        this._renderState.geometry = null;
+        this.state.resetStats();
+        this._sceneDefines = this.getSceneProgramDefines(scene);
+
+        // Bind the render target (or canvas) and set the viewport
+        this._activeViewport = toRect(options.viewport) || this._viewport;
+        this._activeScissor = toRect(options.scissor) || (this._scissorTest ? this._scissor : null);
+        this.bindRenderTarget();
 
         // Auto clear
         if (this.autoClear) {
             this.clear();
         }
 
-        // Set viewport and clear color
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
         gl.clearColor(this.clearColor.r, this.clearColor.g, this.clearColor.b, this.clearColor.a);
 
         // Update matrices
@@ -633,23 +1159,49 @@ export class WebGLRenderer {
                 obj.updateMatrix();
             }
         });
+        this.updateUniformBlocks(scene, camera);
 
         // Apply frustum culling
         const renderableObjects = this.getRenderableObjects(scene, camera);
 
-        // Sort objects by render order
-        const sortedObjects = Array.from(renderableObjects)
-            .sort((a, b) => a.renderOrder - b.renderOrder);
+        // Split into opaque, alpha-test and transparent queues
+        const renderList = this.renderList;
+        renderList.init();
+        for (let obj of renderableObjects) {
+            renderList.push(obj, this.getViewDepth(obj, camera));
+        }
+        if (this.sortObjects) {
+            renderList.sort();
+        }
+
+        this.performance.opaqueObjects = renderList.opaque.length;
+        this.performance.alphaTestObjects = renderList.alphaTest.length;
+        this.performance.transparentObjects = renderList.transparent.length;
+
+        // Opaque front-to-back, then alpha-tested, then transparent
+        this.renderQueue(renderList.opaque, camera, scene);
+        this.renderQueue(renderList.alphaTest, camera, scene);
+        this.renderTransparent(renderList.transparent, camera, scene);
 
-        // Render each object
-        for (let obj of sortedObjects) {
-            this.renderObject(obj, camera, scene);
+        renderList.finish();
+
+        // Leave the scissor test to the next call
+        if (this._activeViewport || this._activeScissor) {
+            this.state.disable(gl.SCISSOR_TEST);
+        }
+        this._activeViewport = null;
+        this._activeScissor = null;
+
+        // Make the frame available to samplers of the render target
+        if (this._currentRenderTarget) {
+            this._currentRenderTarget.resolve();
         }
 
         // Update performance metrics
         const endTime = performance.now();
         this.performance.renderTime = endTime - startTime;
         this.performance.fps = 1000 / this.performance.renderTime;
+        this.updateStateMetrics();
 
         // Emit render event
         this.emit('rendered', { 
@@ -659,51 +1211,215 @@ export class WebGLRenderer {
         });
     }
 
+    /**
+     * Render several views of a scene into regions of the active target: split screen,
+     * minimaps, quad views. Each view clears its own region when autoClear is on.
+     * @param {Scene} scene - Scene to draw
+     * @param {Array<{camera: Camera, viewport: Object, scissor?: Object}>} views - Cameras
+     * and the rectangles they draw into, in drawing buffer pixels
+     */
+    renderViews(scene, views) {
+        for (const view of views) {
+            this.render(scene, view.camera, { viewport: view.viewport, scissor: view.scissor });
+        }
+    }
+
+    /**
+     * Render into another canvas with this renderer's context, so several canvases share
+     * its programs, buffers and textures. The frame is drawn into the bottom-left corner of
+     * the renderer's own canvas, which grows to fit, and copied into the destination's 2D
+     * context; the renderer's canvas is usually kept offscreen for this.
+     * @param {Scene} scene - Scene to draw
+     * @param {Camera} camera - Camera to draw it from
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Destination canvas
+     */
+    renderToCanvas(scene, camera, canvas) {
+        if (this.isContextLost || !this.gl) {
+            return;
+        }
+
+        const { width, height } = canvas;
+        if (this.canvas.width < width || this.canvas.height < height) {
+            this.canvas.width = Math.max(this.canvas.width, width);
+            this.canvas.height = Math.max(this.canvas.height, height);
+        }
+
+        let context = this._canvasContexts.get(canvas);
+        if (!context) {
+            context = canvas.getContext('2d');
+            if (!context) {
+                throw new Error('renderToCanvas needs a canvas that provides a 2D context');
+            }
+            // Replace the previous frame instead of blending over it
+            context.globalCompositeOperation = 'copy';
+            this._canvasContexts.set(canvas, context);
+        }
+
+        const previousTarget = this._currentRenderTarget;
+        this.setRenderTarget(null);
+        this.render(scene, camera, { viewport: { x: 0, y: 0, width, height } });
+
+        // The drawing buffer is still intact within the task that rendered it
+        context.drawImage(this.canvas, 0, this.canvas.height - height, width, height, 0, 0, width, height);
+
+        this.setRenderTarget(previousTarget);
+    }
+
+    /**
+     * Render offscreen and read the frame back, without presenting anything. Works on any
+     * context, including headless GL under Node, for thumbnails and pixel-diff tests.
+     * @param {Scene} scene - Scene to draw
+     * @param {Camera} camera - Camera to draw it from; its aspect ratio is left as it is
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Object} [options]
+     * @param {number} [options.samples=0] - MSAA samples (WebGL2)
+     * @returns {{data: Uint8Array, width: number, height: number}} RGBA pixels, top row first
+     */
+    renderToBuffer(scene, camera, width, height, options = {}) {
+        if (!this.gl || this.isContextLost) {
+            throw new Error('renderToBuffer needs a WebGL context that is not lost');
+        }
+
+        const samples = options.samples || 0;
+        let target = this._bufferTarget;
+        if (target && target.samples !== samples) {
+            target.dispose();
+            target = null;
+        }
+        if (!target) {
+            target = new RenderTarget(width, height, { samples, minFilter: 'NEAREST', magFilter: 'NEAREST' });
+            this._bufferTarget = target;
+        } else {
+            target.setSize(width, height);
+        }
+
+        const previousTarget = this._currentRenderTarget;
+        const previousCubeFace = this._currentActiveCubeFace;
+        const previousMipmapLevel = this._currentActiveMipmapLevel;
+        const previousViewport = this._viewport;
+        const previousScissor = this._scissor;
+        const previousScissorTest = this._scissorTest;
+
+        // Capture the whole frame, whatever viewport and scissor are set for the canvas
+        this._viewport = { x: 0, y: 0, width, height };
+        this._scissor = null;
+        this._scissorTest = false;
+
+        this.setRenderTarget(target);
+        this.render(scene, camera);
+        const pixels = this.readRenderTargetPixels(target, 0, 0, width, height);
+        this.setRenderTarget(previousTarget, previousCubeFace, previousMipmapLevel);
+
+        this._viewport = previousViewport;
+        this._scissor = previousScissor;
+        this._scissorTest = previousScissorTest;
+
+        // GL reads rows bottom-up
+        const data = new Uint8Array(pixels.length);
+        const rowLength = width * 4;
+        for (let row = 0; row < height; row++) {
+            const source = (height - 1 - row) * rowLength;
+            data.set(pixels.subarray(source, source + rowLength), row * rowLength);
+        }
+
+        return { data, width, height };
+    }
+
+    /**
+     * Render offscreen and encode the frame as a PNG file
+     * @param {Scene} scene - Scene to draw
+     * @param {Camera} camera - Camera to draw it from
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Object} [options] - renderToBuffer() options, and level (0-9) for PNG compression
+     * @returns {Uint8Array} PNG file contents
+     */
+    renderToPNG(scene, camera, width, height, options = {}) {
+        const image = this.renderToBuffer(scene, camera, width, height, options);
+        return PNGEncoder.encode(image, { level: options.level });
+    }
+
     /**
      * Get renderable objects with culling
+     * Scenes with a spatial index are culled through it: the objects whose bounds touch the
+     * frustum plus those opted out of culling. Other scenes are traversed object by object.
      */
     getRenderableObjects(scene, camera) {
         const renderable = [];
+        const spatialIndex = this.enableFrustumCulling ? scene.spatialIndex : null;
 
-        scene.traverse(obj => {
-            if (!obj.visible || !obj.active || obj === scene.root) {
-                return;
+        if (spatialIndex) {
+            const frustum = camera.getFrustum();
+            for (const obj of spatialIndex.queryFrustum(frustum)) {
+                this.addRenderable(obj, scene, camera, renderable);
             }
-
-            // Calculate distance for culling and LOD
-            let distance = null;
-            if (this.enableDistanceCulling || obj.updateLOD) {
-                distance = camera.getDistanceTo ? camera.getDistanceTo(obj) : 0;
+            for (const obj of spatialIndex.unculled) {
+                this.addRenderable(obj, scene, camera, renderable);
             }
+            return renderable;
+        }
 
-            // Distance culling
-            if (this.enableDistanceCulling && distance !== null) {
-                if (distance > this.maxDistance) {
-                    return;
-                }
+        scene.traverse(obj => {
+            if (!obj.visible || !obj.active || obj === scene.root) {
+                return;
             }
 
             // Frustum culling
             if (this.enableFrustumCulling && !this.isObjectInFrustum(obj, camera)) {
                 return;
             }
+            this.addRenderable(obj, scene, camera, renderable);
+        });
+
+        return renderable;
+    }
+
+    /**
+     * Add an object that passed frustum culling to the render list, unless hidden or
+     * beyond the culling distance; selects its LOD level
+     */
+    addRenderable(obj, scene, camera, renderable) {
+        if (!obj.visible || !obj.active || obj === scene.root) {
+            return;
+        }
 
-            // LOD selection
-            if (obj.updateLOD && distance !== null) {
-                obj.updateLOD(distance, camera);
+        // Calculate distance for culling and LOD
+        let distance = null;
+        if (this.enableDistanceCulling || obj.updateLOD) {
+            distance = camera.getDistanceTo ? camera.getDistanceTo(obj) : 0;
+        }
+
+        // Distance culling
+        if (this.enableDistanceCulling && distance !== null) {
+            if (distance > this.maxDistance) {
+                return;
             }
+        }
 
-            renderable.push(obj);
-        });
+        // LOD selection
+        if (obj.updateLOD && distance !== null) {
+            obj.updateLOD(distance, camera);
+        }
 
-        return renderable;
+        renderable.push(obj);
     }
 
     /**
      * Check if object is in camera frustum
+     * Tests the world-space bounds of the object's geometry; objects with frustumCulled set
+     * to false always pass
      */
     isObjectInFrustum(object, camera) {
+        if (object.frustumCulled === false) {
+            return true;
+        }
+
         const frustum = camera.getFrustum();
+        if (typeof object.intersectsFrustum === 'function') {
+            return object.intersectsFrustum(frustum);
+        }
+
         const worldPos = object.getWorldPosition();
         const worldScale = object.getWorldScale();
         const radius = Math.max(worldScale.x, worldScale.y, worldScale.z);
@@ -725,6 +1441,158 @@ export class WebGLRenderer {
         return plane.a * point.x + plane.b * point.y + plane.c * point.z + plane.d;
     }
 
+    /**
+     * View-space depth of an object's origin, positive in front of the camera
+     */
+    getViewDepth(object, camera) {
+        const position = object.getWorldPosition ? object.getWorldPosition() : object.position;
+        const view = camera.viewMatrix || (camera.matrixWorldInverse && camera.matrixWorldInverse.elements);
+
+        if (!position) {
+            return 0;
+        }
+
+        if (view) {
+            return -(view[2] * position.x + view[6] * position.y + view[10] * position.z + view[14]);
+        }
+
+        return camera.getDistanceTo ? camera.getDistanceTo(object) : 0;
+    }
+
+    /**
+     * Render a sorted queue of render items
+     */
+    renderQueue(items, camera, scene) {
+        for (let item of items) {
+            this.renderItem(item, camera, scene);
+        }
+    }
+
+    /**
+     * Render one item, counting the program, material and geometry changes it causes
+     */
+    renderItem(item, camera, scene) {
+        const state = this._renderState;
+        const material = item.material;
+
+        if (material) {
+            try {
+                this.prepareMaterial(material, item.object, scene);
+            } catch (error) {
+                console.error(`Failed to compile material of ${item.object.name || item.object.id}:`, error);
+                this.handleError(error);
+                return;
+            }
+        }
+
+        const program = material && material.shader ? material.shader.program : null;
+        const geometry = item.object.geometry || null;
+
+        if (material) {
+            if (program !== state.program) {
+                this.performance.programSwitches++;
+                state.program = program;
+            }
+            if (material !== state.material) {
+                this.performance.materialSwitches++;
+                state.material = material;
+            }
+        }
+        if (geometry && geometry !== state.geometry) {
+            this.performance.geometrySwitches++;
+            state.geometry = geometry;
+        }
+
+        this.renderObject(item.object, camera, scene);
+    }
+
+    /**
+     * Render the transparent queue: sorted back-to-front with alpha blending, or accumulated
+     * with weighted blended OIT for materials whose shaders write OIT outputs (material.oit)
+     */
+    renderTransparent(items, camera, scene) {
+        if (items.length === 0) {
+            return;
+        }
+
+        // OIT resources are recreated after a context restore
+        if (this.transparencyMode === TransparencyMode.WEIGHTED_BLENDED && !this.oit) {
+            this.setTransparencyMode(TransparencyMode.WEIGHTED_BLENDED);
+        }
+
+        if (this.transparencyMode !== TransparencyMode.WEIGHTED_BLENDED) {
+            this.renderQueue(items, camera, scene);
+            return;
+        }
+
+        const oitItems = items.filter(item => item.material && item.material.oit);
+        const sortedItems = items.filter(item => !item.material || !item.material.oit);
+
+        if (oitItems.length > 0) {
+            const target = this._currentRenderTarget;
+            const size = target ? target : this.canvas;
+
+            this.oit.begin(target, size.width, size.height);
+            this.applyViewport();
+            this._oitActive = true;
+
+            this.renderQueue(oitItems, camera, scene);
+
+            this._oitActive = false;
+            this.bindRenderTarget();
+            this.oit.composite();
+
+            // The composite pass replaced the program
+            this._renderState.program = null;
+            this._renderState.material = null;
+        }
+
+        // Materials without OIT outputs still need ordered blending
+        this.renderQueue(sortedItems, camera, scene);
+    }
+
+    /**
+     * Apply pass-specific state after a material has set its own; called by Mesh.render
+     */
+    applyPassState(material) {
+        if (this._oitActive) {
+            this.oit.applyState();
+        }
+    }
+
+    /**
+     * Choose how transparent objects are composited
+     * @param {string} mode - TransparencyMode.SORTED or TransparencyMode.WEIGHTED_BLENDED
+     * @returns {boolean} Whether the requested mode is active; weighted blended OIT needs
+     * WebGL2 and float color buffers and falls back to sorted blending otherwise
+     */
+    setTransparencyMode(mode) {
+        if (!Object.values(TransparencyMode).includes(mode)) {
+            throw new Error(`Unknown transparency mode: ${mode}`);
+        }
+
+        if (mode === TransparencyMode.WEIGHTED_BLENDED) {
+            if (!this.gl || !WeightedBlendedOIT.isSupported(this.gl)) {
+                console.warn('Weighted blended OIT requires WebGL2 and EXT_color_buffer_float, using sorted transparency');
+                this.transparencyMode = TransparencyMode.SORTED;
+                return false;
+            }
+
+            if (!this.oit) {
+                this.oit = new WeightedBlendedOIT().setup(this.gl, {
+                    depth: this.options.depth,
+                    stencil: this.options.stencil
+                });
+            }
+        } else if (this.oit) {
+            this.oit.dispose();
+            this.oit = null;
+        }
+
+        this.transparencyMode = mode;
+        return true;
+    }
+
     /**
      * Render individual object
      */
@@ -813,7 +1681,32 @@ export class WebGLRenderer {
      * Get performance metrics
      */
     getPerformance() {
-        return { ...this.performance };
+        this.updateStateMetrics();
+
+        const performance = { ...this.performance };
+        if (this.state) {
+            // Per GL function, e.g. stateCalls.bindTexture = { issued, skipped }
+            performance.stateCalls = {};
+            for (const [name, calls] of Object.entries(this.state.stats.calls)) {
+                performance.stateCalls[name] = { ...calls };
+            }
+        }
+        if (this.programCache) {
+            // Programs held, compiled since startup and acquisitions served from the cache
+            performance.programs = { count: this.programCache.size, ...this.programCache.stats };
+        }
+        return performance;
+    }
+
+    /**
+     * Copy the state cache counters into the performance metrics. They count from the start
+     * of the last render() call, so passes run after it are included.
+     */
+    updateStateMetrics() {
+        if (this.state) {
+            this.performance.stateCallsIssued = this.state.stats.issued;
+            this.performance.stateCallsSkipped = this.state.stats.skipped;
+        }
     }
 
     /**
@@ -881,12 +1774,75 @@ export class WebGLRenderer {
     }
 
     /**
-     * Dispose resources
+     * Drop the GL objects lost with the context, keeping what is needed to recreate them
+     */
+    releaseContextResources() {
+        // Ids from createBuffer(), createTexture() and compileShader() stay valid
+        this.buffers.forEach(data => {
+            data.buffer = null;
+        });
+        this.textures.forEach(data => {
+            data.texture = null;
+        });
+        this.programs.forEach(data => {
+            data.program = null;
+            data.shader = null;
+            data.uniforms = {};
+        });
+        this.framebuffers.clear();
+
+        if (this.oit) {
+            this.oit.dispose();
+            this.oit = null;
+        }
+        this.renderList.dispose();
+    }
+
+    /**
+     * Recreate the buffers, textures and programs of createBuffer(), createTexture() and
+     * compileShader() on a restored context, under the ids they were created with
+     * @returns {Object[]} Entries that came back empty because their data was dropped, or
+     * whose program failed to compile
+     */
+    restoreResources() {
+        const incomplete = [];
+
+        this.buffers.forEach(data => {
+            this.uploadBuffer(data);
+            if (!data.data) {
+                incomplete.push(data);
+            }
+        });
+
+        this.textures.forEach(data => {
+            this.uploadTexture(data);
+            if (data.dataDropped) {
+                incomplete.push(data);
+            }
+        });
+
+        this.programs.forEach(data => {
+            try {
+                const shader = this.programCache.acquire(data.vertexSource, data.fragmentSource, data.defines, data.attributes);
+                data.shader = shader;
+                data.program = shader.program;
+                data.uniforms = Object.fromEntries(shader.uniformLocations);
+            } catch (error) {
+                console.error('Failed to restore program:', error);
+                incomplete.push(data);
+            }
+        });
+
+        return incomplete;
+    }
+
+    /**
+     * Delete the renderer's own GL objects and forget them
      */
     disposeResources() {
         // Delete all WebGL resources
         this.programs.forEach((data, id) => {
-            if (data.program) this.gl.deleteProgram(data.program);
+            if (data.shader) this.programCache.release(data.shader);
         });
 
         this.buffers.forEach((data, id) => {
@@ -901,6 +1857,12 @@ export class WebGLRenderer {
             if (data.framebuffer) this.gl.deleteFramebuffer(data.framebuffer);
         });
 
+        if (this.oit) {
+            this.oit.dispose();
+            this.oit = null;
+        }
+        this.renderList.dispose();
+
         // Clear resource maps
         this.programs.clear();
         this.buffers.clear();
@@ -1018,6 +1980,40 @@ export class WebGLRenderer {
         }
     }
 
+    /**
+     * Call a function every frame, or stop with null. Frames come from requestAnimationFrame,
+     * which dedicated workers provide for OffscreenCanvas, or from a timer where there is
+     * none, e.g. under Node.
+     * @param {Function|null} callback - Called with the frame timestamp in milliseconds
+     */
+    setAnimationLoop(callback) {
+        this._animationLoop = callback;
+
+        if (callback && this._animationFrame === null) {
+            this._animationFrame = requestFrame(this._onAnimationFrame);
+        } else if (!callback && this._animationFrame !== null) {
+            cancelFrame(this._animationFrame);
+            this._animationFrame = null;
+        }
+    }
+
+    /**
+     * Run the animation loop callback and request the next frame
+     */
+    onAnimationFrame(time) {
+        this._animationFrame = null;
+        if (!this._animationLoop) {
+            return;
+        }
+
+        this._animationFrame = requestFrame(this._onAnimationFrame);
+        try {
+            this._animationLoop(time);
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Resize renderer
      */
@@ -1030,10 +2026,23 @@ export class WebGLRenderer {
      * Dispose renderer and cleanup resources
      */
     dispose() {
+        this.setAnimationLoop(null);
+
+        if (this._bufferTarget) {
+            this._bufferTarget.dispose();
+            this._bufferTarget = null;
+        }
+
+        if (this.uniformBlocks) {
+            this.uniformBlocks.frame.dispose();
+            this.uniformBlocks.lights.dispose();
+            this.uniformBlocks = null;
+        }
+
         // Remove event listeners
-        if (this.canvas) {
-            this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
-            this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+        if (this.canvas && typeof this.canvas.removeEventListener === 'function') {
+            this.canvas.removeEventListener('webglcontextlost', this._onContextLost);
+            this.canvas.removeEventListener('webglcontextrestored', this._onContextRestored);
         }
 
         // Dispose resources
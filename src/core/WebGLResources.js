@@ -0,0 +1,108 @@
+/**
+ * WebGLResources - Registry of the GPU resources owned by a context
+ * Everything that creates GL objects (buffers, textures, render targets, standalone
+ * programs, shadow maps, effects) registers here when it first uploads to the GPU and
+ * unregisters when disposed, so that after a context loss the renderer can recreate all
+ * of them from the CPU data they kept. Resources that are never uploaded or have been
+ * disposed are not held.
+ *
+ * Resources implement restoreContext(), called with the state cache reset and
+ * returning false when their contents could not be restored, e.g. because the CPU
+ * copy was dropped after upload (see retainData).
+ */
+
+const registries = new WeakMap();
+
+export class WebGLResources {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+
+        // Registration order is restore order, so owners come after what they own
+        this.resources = new Set();
+
+        // Keep CPU copies of uploaded data by default; resources may override with their own retainData
+        this.retainData = true;
+    }
+
+    /**
+     * The registry of a context, created on first use
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {WebGLResources}
+     */
+    static get(gl) {
+        let registry = registries.get(gl);
+        if (!registry) {
+            registry = new WebGLResources(gl);
+            registries.set(gl, registry);
+        }
+        return registry;
+    }
+
+    /**
+     * Add a resource once it has uploaded to the GPU; registering again is a no-op
+     * @param {Object} resource - Object implementing restoreContext()
+     */
+    register(resource) {
+        this.resources.add(resource);
+    }
+
+    /**
+     * Remove a resource when it is disposed
+     * @param {Object} resource - Previously registered resource
+     */
+    unregister(resource) {
+        this.resources.delete(resource);
+    }
+
+    /**
+     * @param {Object} resource
+     * @returns {boolean} Whether the resource is restored after a context loss
+     */
+    has(resource) {
+        return this.resources.has(resource);
+    }
+
+    /**
+     * Whether a resource keeps the CPU copy of data it uploaded
+     * @param {Object} resource - Resource with an optional retainData of true, false or null
+     * @returns {boolean}
+     */
+    retains(resource) {
+        const retainData = resource.retainData;
+        return retainData === true || retainData === false ? retainData : this.retainData;
+    }
+
+    /**
+     * Number of registered resources
+     * @returns {number}
+     */
+    get size() {
+        return this.resources.size;
+    }
+
+    /**
+     * Recreate every registered resource on a restored context
+     * @returns {Object[]} Resources whose contents are missing and must be reloaded by the application
+     */
+    restore() {
+        const incomplete = [];
+
+        // Restoring may dispose and register resources; only the ones present now are restored
+        for (const resource of [...this.resources]) {
+            if (!this.resources.has(resource)) continue;
+            try {
+                if (resource.restoreContext() === false) {
+                    incomplete.push(resource);
+                }
+            } catch (error) {
+                // One broken resource should not keep the rest of the scene from coming back
+                console.error('Failed to restore GPU resource:', error);
+                incomplete.push(resource);
+            }
+        }
+        return incomplete;
+    }
+}
@@ -0,0 +1,435 @@
+/**
+ * WebGLState - Cache of the GL state set through the engine
+ * Remembers the bound program, vertex array, buffers, textures per unit, capabilities,
+ * blend/depth/cull/stencil state, viewport and scissor, and skips calls that would set
+ * what is already current. Every module that sets GL state goes through the tracker of its
+ * context (WebGLState.get(gl)); code that calls GL directly must call reset() afterwards.
+ *
+ * Values start out unknown, so the first call of each kind always reaches GL.
+ */
+
+const states = new WeakMap();
+
+function sameValues(current, values) {
+    if (!current) return false;
+    for (let i = 0; i < values.length; i++) {
+        if (current[i] !== values[i]) return false;
+    }
+    return true;
+}
+
+export class WebGLState {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     */
+    constructor(gl) {
+        this.gl = gl;
+
+        // Calls that reached GL and calls skipped as redundant, in total and per function
+        this.stats = { issued: 0, skipped: 0, calls: {} };
+
+        this.reset();
+    }
+
+    /**
+     * The state tracker of a context, created on first use. The renderer creates the tracker
+     * of its own context; standalone modules sharing the context share the same cache.
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {WebGLState}
+     */
+    static get(gl) {
+        let state = states.get(gl);
+        if (!state) {
+            state = new WebGLState(gl);
+            states.set(gl, state);
+        }
+        return state;
+    }
+
+    /**
+     * Forget all cached values, e.g. after GL was called directly or the context was restored
+     */
+    reset() {
+        this.current = {
+            program: undefined,
+            vertexArray: undefined,
+            buffers: {},
+            bufferBases: {},
+            textureUnit: undefined,
+            capabilities: {},
+            blendEquation: null,
+            blendFunc: null,
+            depthFunc: undefined,
+            depthMask: undefined,
+            colorMask: null,
+            cullFace: undefined,
+            frontFace: undefined,
+            stencilFunc: null,
+            stencilOp: null,
+            stencilMask: undefined,
+            viewport: null,
+            scissor: null
+        };
+
+        // Texture bindings per unit, by target
+        this.units = [];
+
+        // Element buffer and enabled attributes belong to the bound vertex array
+        this.vertexArrays = new WeakMap();
+        this.defaultVertexArray = { elementBuffer: undefined, attributes: new Map() };
+        this.vertexArrayState = this.defaultVertexArray;
+    }
+
+    /**
+     * Zero the issued and skipped counters
+     */
+    resetStats() {
+        this.stats.issued = 0;
+        this.stats.skipped = 0;
+        this.stats.calls = {};
+    }
+
+    /**
+     * @private
+     */
+    count(name, issued) {
+        const stats = this.stats;
+        const calls = stats.calls[name] || (stats.calls[name] = { issued: 0, skipped: 0 });
+
+        if (issued) {
+            stats.issued++;
+            calls.issued++;
+        } else {
+            stats.skipped++;
+            calls.skipped++;
+        }
+        return issued;
+    }
+
+    /**
+     * @param {WebGLProgram|null} program
+     * @returns {boolean} Whether GL was called
+     */
+    useProgram(program) {
+        if (this.current.program === program) return this.count('useProgram', false);
+
+        this.gl.useProgram(program);
+        this.current.program = program;
+        return this.count('useProgram', true);
+    }
+
+    /**
+     * @param {WebGLVertexArrayObject|null} vertexArray
+     * @returns {boolean} Whether GL was called
+     */
+    bindVertexArray(vertexArray) {
+        if (this.current.vertexArray === vertexArray) return this.count('bindVertexArray', false);
+
+        this.gl.bindVertexArray(vertexArray);
+        this.current.vertexArray = vertexArray;
+
+        if (vertexArray) {
+            let vertexArrayState = this.vertexArrays.get(vertexArray);
+            if (!vertexArrayState) {
+                vertexArrayState = { elementBuffer: undefined, attributes: new Map() };
+                this.vertexArrays.set(vertexArray, vertexArrayState);
+            }
+            this.vertexArrayState = vertexArrayState;
+        } else {
+            this.vertexArrayState = this.defaultVertexArray;
+        }
+        return this.count('bindVertexArray', true);
+    }
+
+    /**
+     * @param {number} target - Buffer target
+     * @param {WebGLBuffer|null} buffer
+     * @returns {boolean} Whether GL was called
+     */
+    bindBuffer(target, buffer) {
+        const gl = this.gl;
+        const isElement = target === gl.ELEMENT_ARRAY_BUFFER;
+        const bound = isElement ? this.vertexArrayState.elementBuffer : this.current.buffers[target];
+        if (bound === buffer) return this.count('bindBuffer', false);
+
+        gl.bindBuffer(target, buffer);
+        if (isElement) {
+            this.vertexArrayState.elementBuffer = buffer;
+        } else {
+            this.current.buffers[target] = buffer;
+        }
+        return this.count('bindBuffer', true);
+    }
+
+    /**
+     * Bind a buffer to an indexed binding point (WebGL2), e.g. a uniform buffer
+     * @param {number} target - gl.UNIFORM_BUFFER or gl.TRANSFORM_FEEDBACK_BUFFER
+     * @param {number} index - Binding point
+     * @param {WebGLBuffer|null} buffer
+     * @returns {boolean} Whether GL was called
+     */
+    bindBufferBase(target, index, buffer) {
+        const key = target + ':' + index;
+        if (this.current.bufferBases[key] === buffer) return this.count('bindBufferBase', false);
+
+        this.gl.bindBufferBase(target, index, buffer);
+        this.current.bufferBases[key] = buffer;
+        // Also binds the generic binding point
+        this.current.buffers[target] = buffer;
+        return this.count('bindBufferBase', true);
+    }
+
+    /**
+     * @param {number} location - Attribute location
+     * @returns {boolean} Whether GL was called
+     */
+    enableVertexAttribArray(location) {
+        const attributes = this.vertexArrayState.attributes;
+        if (attributes.get(location) === true) return this.count('enableVertexAttribArray', false);
+
+        this.gl.enableVertexAttribArray(location);
+        attributes.set(location, true);
+        return this.count('enableVertexAttribArray', true);
+    }
+
+    /**
+     * @param {number} location - Attribute location
+     * @returns {boolean} Whether GL was called
+     */
+    disableVertexAttribArray(location) {
+        const attributes = this.vertexArrayState.attributes;
+        if (attributes.get(location) === false) return this.count('disableVertexAttribArray', false);
+
+        this.gl.disableVertexAttribArray(location);
+        attributes.set(location, false);
+        return this.count('disableVertexAttribArray', true);
+    }
+
+    /**
+     * @param {number} unit - Texture unit index (not the TEXTUREi enum)
+     * @returns {boolean} Whether GL was called
+     */
+    activeTexture(unit) {
+        if (this.current.textureUnit === unit) return this.count('activeTexture', false);
+
+        this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+        this.current.textureUnit = unit;
+        return this.count('activeTexture', true);
+    }
+
+    /**
+     * Bind a texture to a unit, activating the unit only when the binding changes
+     * @param {number} target - Texture target
+     * @param {WebGLTexture|null} texture
+     * @param {number} [unit] - Texture unit index, the active unit when omitted
+     * @returns {boolean} Whether GL was called
+     */
+    bindTexture(target, texture, unit = this.current.textureUnit) {
+        if (unit === undefined) unit = 0;
+
+        const bindings = this.units[unit] || (this.units[unit] = {});
+        if (bindings[target] === texture) return this.count('bindTexture', false);
+
+        this.activeTexture(unit);
+        this.gl.bindTexture(target, texture);
+        bindings[target] = texture;
+        return this.count('bindTexture', true);
+    }
+
+    /**
+     * @param {number} capability - e.g. gl.BLEND
+     * @returns {boolean} Whether GL was called
+     */
+    enable(capability) {
+        return this.setEnabled(capability, true);
+    }
+
+    /**
+     * @param {number} capability - e.g. gl.BLEND
+     * @returns {boolean} Whether GL was called
+     */
+    disable(capability) {
+        return this.setEnabled(capability, false);
+    }
+
+    /**
+     * @param {number} capability - e.g. gl.BLEND
+     * @param {boolean} enabled
+     * @returns {boolean} Whether GL was called
+     */
+    setEnabled(capability, enabled) {
+        const name = enabled ? 'enable' : 'disable';
+        if (this.current.capabilities[capability] === enabled) return this.count(name, false);
+
+        if (enabled) {
+            this.gl.enable(capability);
+        } else {
+            this.gl.disable(capability);
+        }
+        this.current.capabilities[capability] = enabled;
+        return this.count(name, true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    blendEquation(mode) {
+        if (sameValues(this.current.blendEquation, [mode, mode])) return this.count('blendEquation', false);
+
+        this.gl.blendEquation(mode);
+        this.current.blendEquation = [mode, mode];
+        return this.count('blendEquation', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    blendEquationSeparate(modeRGB, modeAlpha) {
+        const values = [modeRGB, modeAlpha];
+        if (sameValues(this.current.blendEquation, values)) return this.count('blendEquationSeparate', false);
+
+        this.gl.blendEquationSeparate(modeRGB, modeAlpha);
+        this.current.blendEquation = values;
+        return this.count('blendEquationSeparate', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    blendFunc(src, dst) {
+        const values = [src, dst, src, dst];
+        if (sameValues(this.current.blendFunc, values)) return this.count('blendFunc', false);
+
+        this.gl.blendFunc(src, dst);
+        this.current.blendFunc = values;
+        return this.count('blendFunc', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha) {
+        const values = [srcRGB, dstRGB, srcAlpha, dstAlpha];
+        if (sameValues(this.current.blendFunc, values)) return this.count('blendFuncSeparate', false);
+
+        this.gl.blendFuncSeparate(srcRGB, dstRGB, srcAlpha, dstAlpha);
+        this.current.blendFunc = values;
+        return this.count('blendFuncSeparate', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    depthFunc(func) {
+        if (this.current.depthFunc === func) return this.count('depthFunc', false);
+
+        this.gl.depthFunc(func);
+        this.current.depthFunc = func;
+        return this.count('depthFunc', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    depthMask(flag) {
+        flag = !!flag;
+        if (this.current.depthMask === flag) return this.count('depthMask', false);
+
+        this.gl.depthMask(flag);
+        this.current.depthMask = flag;
+        return this.count('depthMask', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    colorMask(red, green, blue, alpha) {
+        const values = [!!red, !!green, !!blue, !!alpha];
+        if (sameValues(this.current.colorMask, values)) return this.count('colorMask', false);
+
+        this.gl.colorMask(values[0], values[1], values[2], values[3]);
+        this.current.colorMask = values;
+        return this.count('colorMask', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    cullFace(mode) {
+        if (this.current.cullFace === mode) return this.count('cullFace', false);
+
+        this.gl.cullFace(mode);
+        this.current.cullFace = mode;
+        return this.count('cullFace', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    frontFace(mode) {
+        if (this.current.frontFace === mode) return this.count('frontFace', false);
+
+        this.gl.frontFace(mode);
+        this.current.frontFace = mode;
+        return this.count('frontFace', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    stencilFunc(func, ref, mask) {
+        const values = [func, ref, mask];
+        if (sameValues(this.current.stencilFunc, values)) return this.count('stencilFunc', false);
+
+        this.gl.stencilFunc(func, ref, mask);
+        this.current.stencilFunc = values;
+        return this.count('stencilFunc', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    stencilOp(fail, zfail, zpass) {
+        const values = [fail, zfail, zpass];
+        if (sameValues(this.current.stencilOp, values)) return this.count('stencilOp', false);
+
+        this.gl.stencilOp(fail, zfail, zpass);
+        this.current.stencilOp = values;
+        return this.count('stencilOp', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    stencilMask(mask) {
+        if (this.current.stencilMask === mask) return this.count('stencilMask', false);
+
+        this.gl.stencilMask(mask);
+        this.current.stencilMask = mask;
+        return this.count('stencilMask', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    viewport(x, y, width, height) {
+        const values = [x, y, width, height];
+        if (sameValues(this.current.viewport, values)) return this.count('viewport', false);
+
+        this.gl.viewport(x, y, width, height);
+        this.current.viewport = values;
+        return this.count('viewport', true);
+    }
+
+    /**
+     * @returns {boolean} Whether GL was called
+     */
+    scissor(x, y, width, height) {
+        const values = [x, y, width, height];
+        if (sameValues(this.current.scissor, values)) return this.count('scissor', false);
+
+        this.gl.scissor(x, y, width, height);
+        this.current.scissor = values;
+        return this.count('scissor', true);
+    }
+}
@@ -4,6 +4,10 @@
  * framebuffer management, and performance monitoring for WebGL operations
  */
 
+import { RenderTarget } from './RenderTarget.js';
+import { WebGLState } from './WebGLState.js';
+import { preprocessShader, formatShaderLog } from './ShaderChunks.js';
+
 // ============================================================================
 // Constants and Defaults
 // ============================================================================
@@ -33,8 +37,7 @@ const DEFAULT_TEXTURE_OPTIONS = {
 const DEFAULT_FRAMEBUFFER_OPTIONS = {
     depth: true,
     stencil: false,
-    depthFormat: WebGLRenderingContext.DEPTH_COMPONENT16,
-    stencilFormat: WebGLRenderingContext.STENCIL_INDEX8
+    samples: 0
 };
 
 // ============================================================================
@@ -116,18 +119,20 @@ function getContextExtensions(context) {
  * Compile a shader from source
  * @param {WebGLRenderingContext} gl - WebGL context
  * @param {number} type - Shader type (gl.VERTEX_SHADER or gl.FRAGMENT_SHADER)
- * @param {string} source - Shader source code
+ * @param {string} source - Shader source code, may use `#include <chunk>`
+ * @param {Object} [defines] - Defines injected ahead of the source
  * @returns {WebGLShader} Compiled shader
  */
-function compileShader(gl, type, source) {
+function compileShader(gl, type, source, defines = null) {
+    const typeStr = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+    const preprocessed = preprocessShader(source, { defines, name: typeStr });
     const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
+    gl.shaderSource(shader, preprocessed.code);
     gl.compileShader(shader);
 
     if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        const info = gl.getShaderInfoLog(shader);
-        const typeStr = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
-        throw new Error(`${typeStr} shader compilation failed:\n${info}\nSource:\n${source}`);
+        const info = formatShaderLog(gl.getShaderInfoLog(shader), preprocessed);
+        throw new Error(`${typeStr} shader compilation failed:\n${info}\nSource:\n${preprocessed.code}`);
     }
 
     return shader;
@@ -159,11 +164,12 @@ function createProgram(gl, vertexShader, fragmentShader) {
  * @param {WebGLRenderingContext} gl - WebGL context
  * @param {string} vertexSource - Vertex shader source
  * @param {string} fragmentSource - Fragment shader source
+ * @param {Object} [defines] - Defines injected into both stages
  * @returns {Object} Object containing program and shaders
  */
-function createShaderProgram(gl, vertexSource, fragmentSource) {
-    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
-    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+function createShaderProgram(gl, vertexSource, fragmentSource, defines = null) {
+    const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource, defines);
+    const fragmentShader = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource, defines);
     const program = createProgram(gl, vertexShader, fragmentShader);
 
     return {
@@ -197,8 +203,9 @@ function deleteShaderProgram(gl, shaderObject) {
  * @returns {WebGLBuffer} Created buffer
  */
 function createBuffer(gl, data, target = gl.ARRAY_BUFFER, usage = gl.STATIC_DRAW) {
+    const state = WebGLState.get(gl);
     const buffer = gl.createBuffer();
-    gl.bindBuffer(target, buffer);
+    state.bindBuffer(target, buffer);
     gl.bufferData(target, data, usage);
     return buffer;
 }
@@ -212,7 +219,9 @@ function createBuffer(gl, data, target = gl.ARRAY_BUFFER, usage = gl.STATIC_DRAW
  * @param {number} usage - Buffer usage hint
  */
 function updateBuffer(gl, buffer, data, target = gl.ARRAY_BUFFER, usage = gl.DYNAMIC_DRAW) {
-    gl.bindBuffer(target, buffer);
+    const state = WebGLState.get(gl);
+
+    state.bindBuffer(target, buffer);
     gl.bufferSubData(target, 0, data);
 }
 
@@ -227,12 +236,13 @@ function createVertexArray(gl, attributes) {
         throw new Error('Vertex Array Objects require WebGL2');
     }
 
+    const state = WebGLState.get(gl);
     const vao = gl.createVertexArray();
-    gl.bindVertexArray(vao);
+    state.bindVertexArray(vao);
 
     attributes.forEach(attr => {
-        gl.bindBuffer(gl.ARRAY_BUFFER, attr.buffer);
-        gl.enableVertexAttribArray(attr.location);
+        state.bindBuffer(gl.ARRAY_BUFFER, attr.buffer);
+        state.enableVertexAttribArray(attr.location);
         gl.vertexAttribPointer(
             attr.location,
             attr.size,
@@ -247,8 +257,8 @@ function createVertexArray(gl, attributes) {
         }
     });
 
-    gl.bindVertexArray(null);
-    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    state.bindVertexArray(null);
+    state.bindBuffer(gl.ARRAY_BUFFER, null);
 
     return vao;
 }
@@ -265,10 +275,11 @@ function createVertexArray(gl, attributes) {
  * @returns {WebGLTexture} Created texture
  */
 function createTexture2D(gl, source, options = {}) {
+    const state = WebGLState.get(gl);
     const texture = gl.createTexture();
     const opts = { ...DEFAULT_TEXTURE_OPTIONS, ...options };
 
-    gl.bindTexture(gl.TEXTURE_2D, texture);
+    state.bindTexture(gl.TEXTURE_2D, texture);
 
     // Handle different source types
     if (source instanceof HTMLImageElement) {
@@ -301,7 +312,7 @@ function createTexture2D(gl, source, options = {}) {
         gl.generateMipmap(gl.TEXTURE_2D);
     }
 
-    gl.bindTexture(gl.TEXTURE_2D, null);
+    state.bindTexture(gl.TEXTURE_2D, null);
 
     return texture;
 }
@@ -314,10 +325,11 @@ function createTexture2D(gl, source, options = {}) {
  * @returns {WebGLTexture} Created cube map texture
  */
 function createTextureCube(gl, faces, options = {}) {
+    const state = WebGLState.get(gl);
     const texture = gl.createTexture();
     const opts = { ...DEFAULT_TEXTURE_OPTIONS, ...options };
 
-    gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+    state.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
 
     // Set wrapping parameters
     gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, opts.wrapS);
@@ -339,7 +351,7 @@ function createTextureCube(gl, faces, options = {}) {
         );
     });
 
-    gl.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+    state.bindTexture(gl.TEXTURE_CUBE_MAP, null);
 
     return texture;
 }
@@ -352,7 +364,9 @@ function createTextureCube(gl, faces, options = {}) {
  * @param {Object} options - Update options
  */
 function updateTextureFromImage(gl, texture, source, options = {}) {
-    gl.bindTexture(gl.TEXTURE_2D, texture);
+    const state = WebGLState.get(gl);
+
+    state.bindTexture(gl.TEXTURE_2D, texture);
 
     if (options.flipY !== false) {
         gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, 1);
@@ -367,7 +381,7 @@ function updateTextureFromImage(gl, texture, source, options = {}) {
         gl.generateMipmap(gl.TEXTURE_2D);
     }
 
-    gl.bindTexture(gl.TEXTURE_2D, null);
+    state.bindTexture(gl.TEXTURE_2D, null);
 }
 
 /**
@@ -378,13 +392,15 @@ function updateTextureFromImage(gl, texture, source, options = {}) {
  * @param {Object} parameters - Texture parameters
  */
 function setTextureParameters(gl, texture, target, parameters) {
-    gl.bindTexture(target, texture);
+    const state = WebGLState.get(gl);
+
+    state.bindTexture(target, texture);
 
     Object.keys(parameters).forEach(param => {
         gl.texParameteri(target, param, parameters[param]);
     });
 
-    gl.bindTexture(target, null);
+    state.bindTexture(target, null);
 }
 
 // ============================================================================
@@ -396,61 +412,30 @@ function setTextureParameters(gl, texture, target, parameters) {
  * @param {WebGLRenderingContext} gl - WebGL context
  * @param {number} width - Framebuffer width
  * @param {number} height - Framebuffer height
- * @param {Object} options - Framebuffer options
- * @returns {Object} Object containing framebuffer and attachments
+ * @param {Object} options - Framebuffer options; other keys are passed to RenderTarget
+ * @returns {Object} Object containing framebuffer, attachments and the backing RenderTarget
  */
 function createFramebuffer(gl, width, height, options = {}) {
-    const opts = { ...DEFAULT_FRAMEBUFFER_OPTIONS, ...options };
-    const framebuffer = gl.createFramebuffer();
-    
-    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
-
-    const attachments = {};
-
-    // Create color texture attachment if requested
-    if (opts.color !== false) {
-        attachments.color = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, attachments.color);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, attachments.color, 0);
-        gl.bindTexture(gl.TEXTURE_2D, null);
-    }
-
-    // Create depth attachment if requested
-    if (opts.depth) {
-        attachments.depth = gl.createRenderbuffer();
-        gl.bindRenderbuffer(gl.RENDERBUFFER, attachments.depth);
-        gl.renderbufferStorage(gl.RENDERBUFFER, opts.depthFormat, width, height);
-        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, attachments.depth);
-        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
-    }
-
-    // Create stencil attachment if requested
-    if (opts.stencil) {
-        attachments.stencil = gl.createRenderbuffer();
-        gl.bindRenderbuffer(gl.RENDERBUFFER, attachments.stencil);
-        gl.renderbufferStorage(gl.RENDERBUFFER, opts.stencilFormat, width, height);
-        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.STENCIL_ATTACHMENT, gl.RENDERBUFFER, attachments.stencil);
-        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
-    }
+    const { color, depth, stencil, ...targetOptions } = { ...DEFAULT_FRAMEBUFFER_OPTIONS, ...options };
+    const renderTarget = new RenderTarget(width, height, {
+        count: color === false ? 0 : 1,
+        depthBuffer: depth,
+        stencilBuffer: stencil,
+        ...targetOptions
+    }).setup(gl);
 
-    // Check framebuffer completeness
-    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
-    if (status !== gl.FRAMEBUFFER_COMPLETE) {
-        const error = getFramebufferErrorMessage(status);
-        throw new Error(`Framebuffer creation failed: ${error}`);
-    }
-
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    const depthStencil = renderTarget.depthRenderbuffer || renderTarget.depthTexture;
 
     return {
-        framebuffer,
+        framebuffer: renderTarget.framebuffer,
         width,
         height,
-        attachments,
+        attachments: {
+            color: renderTarget.texture,
+            depth: depth ? depthStencil : null,
+            stencil: stencil ? depthStencil : null
+        },
+        renderTarget,
         isComplete: true
     };
 }
@@ -482,8 +467,7 @@ function getFramebufferErrorMessage(status) {
  */
 function bindFramebuffer(gl, framebufferObject) {
     if (framebufferObject) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, framebufferObject.framebuffer);
-        gl.viewport(0, 0, framebufferObject.width, framebufferObject.height);
+        framebufferObject.renderTarget.bind(gl);
     } else {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
@@ -498,18 +482,7 @@ function deleteFramebuffer(gl, framebufferObject) {
     if (!framebufferObject) return;
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
-    if (framebufferObject.attachments.color) {
-        gl.deleteTexture(framebufferObject.attachments.color);
-    }
-    if (framebufferObject.attachments.depth) {
-        gl.deleteRenderbuffer(framebufferObject.attachments.depth);
-    }
-    if (framebufferObject.attachments.stencil) {
-        gl.deleteRenderbuffer(framebufferObject.attachments.stencil);
-    }
-
-    gl.deleteFramebuffer(framebufferObject.framebuffer);
+    framebufferObject.renderTarget.dispose();
 }
 
 // ============================================================================
@@ -995,11 +968,13 @@ function checkGLError(gl) {
  * @param {number} function - Depth test function (default gl.LEQUAL)
  */
 function setDepthTest(gl, enabled, func = gl.LEQUAL) {
+    const state = WebGLState.get(gl);
+
     if (enabled) {
-        gl.enable(gl.DEPTH_TEST);
-        gl.depthFunc(func);
+        state.enable(gl.DEPTH_TEST);
+        state.depthFunc(func);
     } else {
-        gl.disable(gl.DEPTH_TEST);
+        state.disable(gl.DEPTH_TEST);
     }
 }
 
@@ -1010,11 +985,13 @@ function setDepthTest(gl, enabled, func = gl.LEQUAL) {
  * @param {number} dstFactor - Destination blending factor (default gl.ONE_MINUS_SRC_ALPHA)
  */
 function setBlending(gl, enabled = true, srcFactor = gl.SRC_ALPHA, dstFactor = gl.ONE_MINUS_SRC_ALPHA) {
+    const state = WebGLState.get(gl);
+
     if (enabled) {
-        gl.enable(gl.BLEND);
-        gl.blendFunc(srcFactor, dstFactor);
+        state.enable(gl.BLEND);
+        state.blendFunc(srcFactor, dstFactor);
     } else {
-        gl.disable(gl.BLEND);
+        state.disable(gl.BLEND);
     }
 }
 
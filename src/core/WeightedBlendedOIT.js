@@ -0,0 +1,243 @@
+/**
+ * WeightedBlendedOIT - Weighted blended order-independent transparency (McGuire & Bavoil 2013)
+ * Transparent surfaces accumulate into two float attachments in any order; a full-screen
+ * pass then composites the weighted average over the opaque image. Requires WebGL2 with
+ * EXT_color_buffer_float.
+ *
+ * Attachment 0 (RGBA16F) holds premultiplied color * weight in RGB, blended additively, and
+ * revealage (product of 1 - alpha) in A. Attachment 1 (R16F) holds the sum of alpha * weight.
+ * Both are produced by one blendFuncSeparate(ONE, ONE, ZERO, ONE_MINUS_SRC_ALPHA), so no
+ * per-attachment blending extension is needed.
+ */
+
+import { RenderTarget, isWebGL2 } from './RenderTarget.js';
+import { WebGLState } from './WebGLState.js';
+
+/**
+ * Fragment shader chunk for materials that take part in OIT (GLSL ES 3.00).
+ * Call writeOIT(color) with straight (non-premultiplied) alpha instead of writing an output.
+ */
+export const OIT_FRAGMENT_CHUNK = `
+layout(location = 0) out vec4 oitAccum;
+layout(location = 1) out vec4 oitWeight;
+
+void writeOIT(vec4 color) {
+    float a = color.a;
+    float weight = clamp(pow(min(1.0, a * 10.0) + 0.01, 3.0) * 1e8 * pow(1.0 - gl_FragCoord.z * 0.9, 3.0), 1e-2, 3e3);
+    oitAccum = vec4(color.rgb * a * weight, a);
+    oitWeight = vec4(a * weight, 0.0, 0.0, 0.0);
+}
+`;
+
+const COMPOSITE_VERTEX_SHADER = `#version 300 es
+void main() {
+    // Full-screen triangle from the vertex index
+    vec2 position = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+    gl_Position = vec4(position * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+// Reads by pixel, so compositing into a viewport picks up the same region of the targets
+const COMPOSITE_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+
+uniform sampler2D tAccum;
+uniform sampler2D tWeight;
+
+out vec4 fragColor;
+
+void main() {
+    ivec2 coord = ivec2(gl_FragCoord.xy);
+    vec4 accum = texelFetch(tAccum, coord, 0);
+    float revealage = accum.a;
+    if (revealage >= 1.0) discard;
+
+    float weight = max(texelFetch(tWeight, coord, 0).r, 1e-5);
+    fragColor = vec4(accum.rgb / weight, 1.0 - revealage);
+}
+`;
+
+export class WeightedBlendedOIT {
+    constructor() {
+        this.gl = null;
+        this.renderTarget = null;
+        this.program = null;
+        this.uniforms = null;
+        this.vertexArray = null;
+        this.canvasDepth = true;
+        this.canvasStencil = false;
+    }
+
+    /**
+     * Whether a context can run weighted blended OIT
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl - WebGL context
+     * @returns {boolean}
+     */
+    static isSupported(gl) {
+        return isWebGL2(gl) && !!gl.getExtension('EXT_color_buffer_float');
+    }
+
+    /**
+     * Create GL resources on a context
+     * @param {WebGL2RenderingContext} gl - WebGL context
+     * @param {Object} [options] - { depth, stencil } attachments of the canvas drawing buffer
+     */
+    setup(gl, options = {}) {
+        if (this.gl === gl) return this;
+        if (this.gl) this.dispose();
+
+        this.gl = gl;
+        this.canvasDepth = options.depth !== false;
+        this.canvasStencil = !!options.stencil;
+        this.renderTarget = new RenderTarget(1, 1, {
+            attachments: [
+                { format: 'RGBA', type: 'HALF_FLOAT' },
+                { format: 'RED', type: 'HALF_FLOAT' }
+            ],
+            stencilBuffer: this.canvasStencil,
+            minFilter: 'NEAREST',
+            magFilter: 'NEAREST'
+        });
+
+        this.program = this.createProgram(gl);
+        this.uniforms = {
+            tAccum: gl.getUniformLocation(this.program, 'tAccum'),
+            tWeight: gl.getUniformLocation(this.program, 'tWeight')
+        };
+        this.vertexArray = gl.createVertexArray();
+
+        return this;
+    }
+
+    /**
+     * @private
+     */
+    createProgram(gl) {
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                const info = gl.getShaderInfoLog(shader);
+                gl.deleteShader(shader);
+                throw new Error(`OIT composite shader compilation failed: ${info}`);
+            }
+            return shader;
+        };
+
+        const vertexShader = compile(gl.VERTEX_SHADER, COMPOSITE_VERTEX_SHADER);
+        const fragmentShader = compile(gl.FRAGMENT_SHADER, COMPOSITE_FRAGMENT_SHADER);
+        const program = gl.createProgram();
+
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const info = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error(`OIT composite program linking failed: ${info}`);
+        }
+
+        return program;
+    }
+
+    /**
+     * Start accumulating: copy the opaque depth from the destination, bind and clear the
+     * accumulation target
+     * @param {RenderTarget|null} destination - Target the opaque pass rendered into, null for the canvas
+     * @param {number} width - Destination width
+     * @param {number} height - Destination height
+     */
+    begin(destination, width, height) {
+        const gl = this.gl;
+        const target = this.renderTarget;
+
+        // Depth blits need identical formats on both sides
+        const stencil = destination ? destination.stencilBuffer : this.canvasStencil;
+        if (target.stencilBuffer !== stencil) {
+            target.dispose();
+            target.stencilBuffer = stencil;
+        }
+
+        target.setSize(width, height);
+        target.setup(gl);
+
+        const hasDepth = destination ? (destination.depthBuffer || destination.useDepthTexture) : this.canvasDepth;
+        if (hasDepth) {
+            // Transparent surfaces are depth tested against the opaque scene
+            const source = destination ? (destination.msaaFramebuffer || destination.framebuffer) : null;
+            gl.bindFramebuffer(gl.READ_FRAMEBUFFER, source);
+            gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, target.framebuffer);
+            gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.DEPTH_BUFFER_BIT, gl.NEAREST);
+        }
+
+        target.bind(gl);
+        gl.clearColor(0, 0, 0, 1);
+        gl.clear(hasDepth ? gl.COLOR_BUFFER_BIT : gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+        this.applyState();
+    }
+
+    /**
+     * Accumulation blend state; reapplied after every material since materials set their own
+     */
+    applyState() {
+        const gl = this.gl;
+        const state = WebGLState.get(gl);
+
+        state.enable(gl.BLEND);
+        state.blendEquation(gl.FUNC_ADD);
+        state.blendFuncSeparate(gl.ONE, gl.ONE, gl.ZERO, gl.ONE_MINUS_SRC_ALPHA);
+        state.enable(gl.DEPTH_TEST);
+        state.depthMask(false);
+    }
+
+    /**
+     * Composite the accumulated transparency over the destination, which must be bound
+     */
+    composite() {
+        const gl = this.gl;
+        const state = WebGLState.get(gl);
+        const [accum, weight] = this.renderTarget.textures;
+
+        state.useProgram(this.program);
+        state.bindTexture(gl.TEXTURE_2D, accum, 0);
+        gl.uniform1i(this.uniforms.tAccum, 0);
+        state.bindTexture(gl.TEXTURE_2D, weight, 1);
+        gl.uniform1i(this.uniforms.tWeight, 1);
+
+        state.disable(gl.DEPTH_TEST);
+        state.enable(gl.BLEND);
+        state.blendEquation(gl.FUNC_ADD);
+        state.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+        state.bindVertexArray(this.vertexArray);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        state.bindVertexArray(null);
+
+        // Restore the renderer defaults
+        state.enable(gl.DEPTH_TEST);
+        state.depthMask(true);
+    }
+
+    /**
+     * Delete GL resources
+     */
+    dispose() {
+        const gl = this.gl;
+        if (!gl) return;
+
+        if (this.renderTarget) this.renderTarget.dispose();
+        if (this.program) gl.deleteProgram(this.program);
+        if (this.vertexArray) gl.deleteVertexArray(this.vertexArray);
+
+        this.gl = null;
+        this.renderTarget = null;
+        this.program = null;
+        this.uniforms = null;
+        this.vertexArray = null;
+    }
+}
@@ -17,6 +17,7 @@
  * ├── Camera and lighting management
  * ├── Rendering pipeline coordination
  * ├── Frustum culling and optimization
+ * ├── Spatial indexing (quadtree/octree/BVH)
  * └── Event system and lifecycle
  * 
  * Camera (View Controller)
@@ -26,6 +27,11 @@
  * ├── Ray casting and coordinate transformation
  * ├── Stereo rendering support (VR)
  * └── Camera controls integration
+ * 
+ * Raycaster (Picking)
+ * ├── Mesh triangle intersection with bounds rejection
+ * ├── InstanceRenderer instance picking
+ * └── Point cloud picking with distance threshold
  */
 
 export * from './Events.js';
@@ -33,9 +39,20 @@ export * from './Utils.js';
 export * from './Object3D.js';
 export * from './Scene.js';
 export * from './Camera.js';
+export * from './Raycaster.js';
+export * from './SpatialIndex.js';
 export * from './Shader.js';
+export * from './ShaderChunks.js';
 export * from './Material.js';
 export * from './WebGLRenderer.js';
+export * from './RenderTarget.js';
+export * from './RenderList.js';
+export * from './WeightedBlendedOIT.js';
+export * from './WebGLState.js';
+export * from './WebGLPrograms.js';
+export * from './WebGLResources.js';
+export * from './OffscreenCanvasProxy.js';
+export * from './UniformBuffer.js';
 export * from './WebGLUtils.js';
 export * from './BufferGeometry.js';
 export * from './Buffer.js';
@@ -54,9 +71,20 @@ import {
 import { Object3D } from './Object3D.js';
 import { Scene } from './Scene.js';
 import { Camera } from './Camera.js';
+import { Raycaster } from './Raycaster.js';
+import { SpatialIndex, QuadTree, Octree, BVH, createSpatialIndex } from './SpatialIndex.js';
 import { Material, BasicMaterial, PhongMaterial, LambertMaterial } from './Material.js';
 import { Shader } from './Shader.js';
+import { ShaderChunk, registerShaderChunk, preprocessShader } from './ShaderChunks.js';
 import { WebGLRenderer } from './WebGLRenderer.js';
+import { RenderTarget, CubeRenderTarget, ArrayRenderTarget } from './RenderTarget.js';
+import { RenderList, TransparencyMode } from './RenderList.js';
+import { WeightedBlendedOIT } from './WeightedBlendedOIT.js';
+import { WebGLState } from './WebGLState.js';
+import { WebGLPrograms } from './WebGLPrograms.js';
+import { WebGLResources } from './WebGLResources.js';
+import { OffscreenCanvasProxy, ElementProxy, receiveOffscreenCanvas } from './OffscreenCanvasProxy.js';
+import { UniformBuffer, UniformBlockBinding, getStd140Layout } from './UniformBuffer.js';
 import { 
     createWebGLContext,
     compileShader,
@@ -91,9 +119,20 @@ export const Core = {
     Object3D,
     Scene,
     Camera,
+    Raycaster,
+    
+    // Spatial Acceleration
+    SpatialIndex,
+    QuadTree,
+    Octree,
+    BVH,
+    createSpatialIndex,
     
     // Shader System
     Shader,
+    ShaderChunk,
+    registerShaderChunk,
+    preprocessShader,
     Material,
     
     // Material Types
@@ -120,6 +159,20 @@ export const Core = {
     
     // WebGL System
     WebGLRenderer,
+    RenderTarget,
+    CubeRenderTarget,
+    ArrayRenderTarget,
+    RenderList,
+    TransparencyMode,
+    WeightedBlendedOIT,
+    WebGLState,
+    WebGLPrograms,
+    WebGLResources,
+    OffscreenCanvasProxy,
+    ElementProxy,
+    receiveOffscreenCanvas,
+    UniformBuffer,
+    UniformBlockBinding,
     
     // WebGL Utilities
     createWebGLContext,
@@ -147,7 +200,11 @@ export const Core = {
 
 // Named exports for convenience
 export { Mesh, MeshConfig, LODLevel, GeometryCache, MeshOptimizer, DrawCallBatcher, MeshBuilder };
-export { WebGLRenderer, Scene, Camera };
+export { WebGLRenderer, Scene, Camera, Raycaster };
+export { RenderTarget, CubeRenderTarget, ArrayRenderTarget };
+export { RenderList, TransparencyMode, WeightedBlendedOIT, WebGLState, WebGLPrograms, WebGLResources };
+export { OffscreenCanvasProxy, ElementProxy, receiveOffscreenCanvas };
+export { UniformBuffer, UniformBlockBinding, getStd140Layout };
 export { BufferGeometry, VertexAttribute, AttributeUtils };
 export { Material, BasicMaterial, PhongMaterial, LambertMaterial, Shader };
 export { Object3D, EventEmitter, DOMEventManager, EventPool, EventBus };
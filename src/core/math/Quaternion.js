@@ -312,31 +312,31 @@ export class Quaternion {
      * Slerp (spherical linear interpolation)
      */
     slerp(qb, t) {
-        const qa = this;
-        let cosHalfTheta = qa.w * qb.w + qa.x * qb.x + qa.y * qb.y + qa.z * qb.z;
+        const ax = this.x, ay = this.y, az = this.z, aw = this.w;
+        let bx = qb.x, by = qb.y, bz = qb.z, bw = qb.w;
+        let cosHalfTheta = aw * bw + ax * bx + ay * by + az * bz;
         
-        // If qa=qb or qa=-qb then theta = 0 and we can return qa
-        if (cosHalfTheta >= 1.0 || cosHalfTheta <= -1.0) {
-            return this;
+        // If θ > 180°, negate qb (the same rotation) to take the shortest path
+        if (cosHalfTheta < 0.0) {
+            bx = -bx; by = -by; bz = -bz; bw = -bw;
+            cosHalfTheta = -cosHalfTheta;
         }
         
-        // If θ > 180°, swap quaternions to ensure shortest path
-        if (cosHalfTheta < 0.0) {
-            this.copy(qa);
-            qa.x = -qb.x; qa.y = -qb.y; qa.z = -qb.z; qa.w = -qb.w;
-            cosHalfTheta = -this.dot(qa);
+        // If qa=qb or qa=-qb then theta = 0 and we can return qa
+        if (cosHalfTheta >= 1.0) {
+            return this;
         }
         
         // Calculate θ
         const halfTheta = Math.acos(cosHalfTheta);
         const sinHalfTheta = Math.sqrt(1.0 - cosHalfTheta * cosHalfTheta);
         
-        // If θ = 180° then result is undefined
+        // Nearly equal rotations: interpolate linearly
         if (Math.abs(sinHalfTheta) < 0.001) {
-            this.x = qa.x * t + qb.x * (1 - t);
-            this.y = qa.y * t + qb.y * (1 - t);
-            this.z = qa.z * t + qb.z * (1 - t);
-            this.w = qa.w * t + qb.w * (1 - t);
+            this.x = ax * (1 - t) + bx * t;
+            this.y = ay * (1 - t) + by * t;
+            this.z = az * (1 - t) + bz * t;
+            this.w = aw * (1 - t) + bw * t;
             this.normalize();
             return this;
         }
@@ -344,10 +344,10 @@ export class Quaternion {
         const ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
         const ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
         
-        this.x = qa.x * ratioA + qb.x * ratioB;
-        this.y = qa.y * ratioA + qb.y * ratioB;
-        this.z = qa.z * ratioA + qb.z * ratioB;
-        this.w = qa.w * ratioA + qb.w * ratioB;
+        this.x = ax * ratioA + bx * ratioB;
+        this.y = ay * ratioA + by * ratioB;
+        this.z = az * ratioA + bz * ratioB;
+        this.w = aw * ratioA + bw * ratioB;
         
         return this;
     }
@@ -295,6 +295,121 @@ export class LightUniforms {
     ] : [255, 255, 255];
   }
   
+  /**
+   * Convert a color (hex string, hex number, {r, g, b} or array) to RGB in 0-1
+   */
+  _toRgb(color) {
+    if (typeof color === 'string') {
+      return this._hexToRgb(color).map(c => c / 255);
+    }
+    if (typeof color === 'number') {
+      return [(color >> 16 & 255) / 255, (color >> 8 & 255) / 255, (color & 255) / 255];
+    }
+    if (Array.isArray(color)) {
+      return color.slice(0, 3);
+    }
+    if (color && color.r !== undefined) {
+      return [color.r, color.g, color.b];
+    }
+    return [1, 1, 1];
+  }
+
+  /**
+   * Members of the LightUniforms block declared by the lights_pars shader chunk,
+   * for a UniformBuffer holding up to maxLights lights of each type
+   */
+  static getBlockFields(maxLights = 8) {
+    return [
+      { name: 'ambientLightColor', type: 'vec3' },
+      {
+        name: 'directionalLights', type: 'DirectionalLight', count: maxLights, fields: [
+          { name: 'direction', type: 'vec3' },
+          { name: 'color', type: 'vec3' }
+        ]
+      },
+      {
+        name: 'pointLights', type: 'PointLight', count: maxLights, fields: [
+          { name: 'position', type: 'vec3' },
+          { name: 'color', type: 'vec3' },
+          { name: 'distance', type: 'float' },
+          { name: 'decay', type: 'float' }
+        ]
+      },
+      {
+        name: 'spotLights', type: 'SpotLight', count: maxLights, fields: [
+          { name: 'position', type: 'vec3' },
+          { name: 'direction', type: 'vec3' },
+          { name: 'color', type: 'vec3' },
+          { name: 'distance', type: 'float' },
+          { name: 'decay', type: 'float' },
+          { name: 'coneCos', type: 'float' },
+          { name: 'penumbraCos', type: 'float' }
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Write visible lights into a LightUniforms UniformBuffer, colors premultiplied by
+   * intensity. Lights past maxLights or the buffer's capacity are dropped.
+   * @returns {{directional: number, point: number, spot: number}} Lights written per type
+   */
+  writeUniformBuffer(buffer, lights) {
+    const capacity = Math.min(this.maxLights, buffer.getArrayLength('pointLights'));
+    const counts = { directional: 0, point: 0, spot: 0 };
+    const ambient = [0, 0, 0];
+
+    for (const light of lights) {
+      if (light.visible === false) continue;
+
+      const rgb = this._toRgb(light.color);
+      const intensity = light.intensity !== undefined ? light.intensity : 1;
+      const color = [rgb[0] * intensity, rgb[1] * intensity, rgb[2] * intensity];
+      const direction = light.direction || { x: 0, y: 0, z: -1 };
+
+      switch (light.type) {
+        case 'AmbientLight':
+          ambient[0] += color[0];
+          ambient[1] += color[1];
+          ambient[2] += color[2];
+          break;
+        case 'DirectionalLight': {
+          if (counts.directional >= capacity) break;
+          const prefix = `directionalLights[${counts.directional++}].`;
+          buffer.set(prefix + 'direction', direction);
+          buffer.set(prefix + 'color', color);
+          break;
+        }
+        case 'PointLight': {
+          if (counts.point >= capacity) break;
+          const prefix = `pointLights[${counts.point++}].`;
+          buffer.set(prefix + 'position', light.position);
+          buffer.set(prefix + 'color', color);
+          buffer.set(prefix + 'distance', light.distance || 0);
+          buffer.set(prefix + 'decay', light.decay !== undefined ? light.decay : 2);
+          break;
+        }
+        case 'SpotLight': {
+          if (counts.spot >= capacity) break;
+          const angle = light.angle || Math.PI / 6;
+          const penumbra = light.penumbra !== undefined ? light.penumbra : 0.3;
+          const prefix = `spotLights[${counts.spot++}].`;
+          buffer.set(prefix + 'position', light.position);
+          buffer.set(prefix + 'direction', direction);
+          buffer.set(prefix + 'color', color);
+          buffer.set(prefix + 'distance', light.distance || 0);
+          buffer.set(prefix + 'decay', light.decay !== undefined ? light.decay : 2);
+          buffer.set(prefix + 'coneCos', Math.cos(angle));
+          buffer.set(prefix + 'penumbraCos', Math.cos(angle * (1 - penumbra)));
+          break;
+        }
+      }
+    }
+
+    buffer.set('ambientLightColor', ambient);
+    return counts;
+  }
+
   /**
    * Add a light to the uniforms collection
    */
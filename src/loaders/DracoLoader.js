@@ -4,6 +4,7 @@
  */
 
 import { LoadingManager } from './loader.ts';
+import { BufferGeometry, VertexAttribute } from '../core/BufferGeometry.js';
 
 export class DracoCompressionLevel {
   static FASTEST = 0;     // Fast compression, larger files
@@ -20,6 +21,42 @@ export class DracoAttributeType {
   static INDICES = 'INDICES';
 }
 
+/**
+ * Collect the attribute and index arrays of a decoded geometry, which is either
+ * a BufferGeometry or a plain { attributes, index } object
+ * @param {BufferGeometry|Object} geometry - Decoded geometry
+ * @returns {{attributes: Array<TypedArray>, index: TypedArray|null}}
+ */
+function getGeometryArrays(geometry) {
+  if (geometry instanceof BufferGeometry) {
+    const attributes = geometry.getAttributes()
+      .map(attribute => attribute.buffer && attribute.buffer.getData())
+      .filter(Boolean);
+    const indexBuffer = geometry.getIndexBuffer();
+    return { attributes, index: indexBuffer ? indexBuffer.getData() : null };
+  }
+
+  const attributes = Object.values(geometry.attributes || {})
+    .map(attribute => attribute.array)
+    .filter(Boolean);
+  return { attributes, index: geometry.index ? geometry.index.array : null };
+}
+
+/**
+ * Map a typed array to the matching WebGL component type
+ */
+function getComponentType(array) {
+  switch (array.constructor) {
+    case Int8Array: return WebGLRenderingContext.BYTE;
+    case Uint8Array: return WebGLRenderingContext.UNSIGNED_BYTE;
+    case Int16Array: return WebGLRenderingContext.SHORT;
+    case Uint16Array: return WebGLRenderingContext.UNSIGNED_SHORT;
+    case Int32Array: return WebGLRenderingContext.INT;
+    case Uint32Array: return WebGLRenderingContext.UNSIGNED_INT;
+    default: return WebGLRenderingContext.FLOAT;
+  }
+}
+
 export class DracoGeometryCache {
   constructor(maxSize = 50) {
     this.cache = new Map();
@@ -87,20 +124,17 @@ export class DracoGeometryCache {
   }
 
   _estimateMemoryUsage(geometry) {
+    const { attributes, index } = getGeometryArrays(geometry);
     let usage = 0;
-    
-    if (geometry.attributes) {
-      for (const attribute of Object.values(geometry.attributes)) {
-        if (attribute.array) {
-          usage += attribute.array.byteLength || attribute.array.length * 4;
-        }
-      }
+
+    for (const array of attributes) {
+      usage += array.byteLength || array.length * 4;
     }
-    
-    if (geometry.index && geometry.index.array) {
-      usage += geometry.index.array.byteLength || geometry.index.array.length * 4;
+
+    if (index) {
+      usage += index.byteLength || index.length * 4;
     }
-    
+
     return usage;
   }
 
@@ -214,74 +248,406 @@ export class DracoLODManager {
   }
 }
 
+/**
+ * Decode a Draco buffer with an instantiated decoder module.
+ * Kept self-contained so it can be serialized into the decoder worker.
+ * @param {Object} draco - Draco decoder module
+ * @param {Int8Array} array - Compressed Draco bytes
+ * @param {Object|null} attributeIDs - Attribute name -> Draco unique id, or null to decode every attribute
+ * @param {Object} attributeTypes - Attribute name -> typed array name
+ * @returns {Object} Decoded index, attributes and geometry type
+ */
+function decodeDracoGeometry(draco, array, attributeIDs, attributeTypes) {
+  const arrayTypes = {
+    Float32Array: [Float32Array, draco.DT_FLOAT32],
+    Int8Array: [Int8Array, draco.DT_INT8],
+    Int16Array: [Int16Array, draco.DT_INT16],
+    Int32Array: [Int32Array, draco.DT_INT32],
+    Uint8Array: [Uint8Array, draco.DT_UINT8],
+    Uint16Array: [Uint16Array, draco.DT_UINT16],
+    Uint32Array: [Uint32Array, draco.DT_UINT32]
+  };
+  const nativeTypes = {};
+  for (const [typeName, [, dataType]] of Object.entries(arrayTypes)) {
+    nativeTypes[dataType] = typeName;
+  }
+
+  const decoder = new draco.Decoder();
+  const geometryType = decoder.GetEncodedGeometryType(array);
+  let dracoGeometry;
+  let status;
+
+  if (geometryType === draco.TRIANGULAR_MESH) {
+    dracoGeometry = new draco.Mesh();
+    status = decoder.DecodeArrayToMesh(array, array.byteLength, dracoGeometry);
+  } else if (geometryType === draco.POINT_CLOUD) {
+    dracoGeometry = new draco.PointCloud();
+    status = decoder.DecodeArrayToPointCloud(array, array.byteLength, dracoGeometry);
+  } else {
+    draco.destroy(decoder);
+    throw new Error(`Unsupported Draco geometry type: ${geometryType}`);
+  }
+
+  try {
+    if (!status.ok() || dracoGeometry.ptr === 0) {
+      throw new Error(`Draco decoding failed: ${status.error_msg()}`);
+    }
+
+    const vertexCount = dracoGeometry.num_points();
+    const result = {
+      type: geometryType === draco.TRIANGULAR_MESH ? 'mesh' : 'pointcloud',
+      vertexCount,
+      index: null,
+      attributes: []
+    };
+
+    // Resolve which attributes to read and what to call them
+    const entries = [];
+    if (attributeIDs) {
+      for (const name of Object.keys(attributeIDs)) {
+        entries.push([name, decoder.GetAttributeByUniqueId(dracoGeometry, attributeIDs[name])]);
+      }
+    } else {
+      const baseNames = {
+        [draco.POSITION]: 'position',
+        [draco.NORMAL]: 'normal',
+        [draco.TEX_COORD]: 'uv',
+        [draco.COLOR]: 'color',
+        [draco.GENERIC]: 'generic'
+      };
+      const nameCounts = {};
+      const querier = new draco.MetadataQuerier();
+
+      for (let i = 0; i < dracoGeometry.num_attributes(); i++) {
+        const attribute = decoder.GetAttribute(dracoGeometry, i);
+        const metadata = decoder.GetAttributeMetadata(dracoGeometry, i);
+        let name = null;
+
+        if (metadata && metadata.ptr !== 0 && querier.HasEntry(metadata, 'name')) {
+          name = querier.GetStringEntry(metadata, 'name');
+        }
+        if (!name) {
+          const baseName = baseNames[attribute.attribute_type()] || 'generic';
+          const count = nameCounts[baseName] || 0;
+          nameCounts[baseName] = count + 1;
+          name = count === 0 ? baseName : `${baseName}${count + 1}`;
+        }
+        entries.push([name, attribute]);
+      }
+      draco.destroy(querier);
+    }
+
+    for (const [name, attribute] of entries) {
+      if (!attribute || attribute.ptr === 0) {
+        throw new Error(`Draco attribute "${name}" not found`);
+      }
+
+      const typeName = (attributeTypes && attributeTypes[name]) ||
+        nativeTypes[attribute.data_type()] || 'Float32Array';
+      const [ArrayType, dataType] = arrayTypes[typeName];
+      const itemSize = attribute.num_components();
+      const valueCount = vertexCount * itemSize;
+      const byteLength = valueCount * ArrayType.BYTES_PER_ELEMENT;
+
+      const ptr = draco._malloc(byteLength);
+      decoder.GetAttributeDataArrayForAllPoints(dracoGeometry, attribute, dataType, byteLength, ptr);
+      const values = new ArrayType(draco.HEAPF32.buffer, ptr, valueCount).slice();
+      draco._free(ptr);
+
+      result.attributes.push({
+        name,
+        array: values,
+        itemSize,
+        normalized: attribute.normalized()
+      });
+    }
+
+    if (geometryType === draco.TRIANGULAR_MESH) {
+      const indexCount = dracoGeometry.num_faces() * 3;
+      const byteLength = indexCount * 4;
+      const ptr = draco._malloc(byteLength);
+      decoder.GetTrianglesUInt32Array(dracoGeometry, byteLength, ptr);
+      const indices = new Uint32Array(draco.HEAPF32.buffer, ptr, indexCount).slice();
+      draco._free(ptr);
+
+      // 16-bit indices work without OES_element_index_uint
+      result.index = { array: vertexCount <= 65536 ? Uint16Array.from(indices) : indices };
+    }
+
+    return result;
+  } finally {
+    draco.destroy(dracoGeometry);
+    draco.destroy(decoder);
+  }
+}
+
+/**
+ * Entry point of the decoder worker; serialized alongside decodeDracoGeometry
+ */
+function dracoWorkerMain() {
+  let decoderPending;
+
+  self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+      case 'init':
+        decoderPending = new Promise((resolve, reject) => {
+          const config = message.decoderConfig;
+          config.onModuleLoaded = (draco) => resolve({ draco });
+          config.onAbort = (reason) => reject(new Error(`Draco decoder aborted: ${reason}`));
+          try {
+            // Defined by the decoder script the worker source starts with
+            self.DracoDecoderModule(config);
+          } catch (error) {
+            reject(error);
+          }
+        });
+        // Reported to each decode instead
+        decoderPending.catch(() => {});
+        break;
+
+      case 'decode':
+        if (!decoderPending) {
+          self.postMessage({ type: 'error', id: message.id, error: 'Draco decoder not initialized' });
+          break;
+        }
+        decoderPending.then(({ draco }) => {
+          try {
+            const geometry = decodeDracoGeometry(
+              draco, new Int8Array(message.buffer), message.attributeIDs, message.attributeTypes
+            );
+            const transfer = geometry.attributes.map(attribute => attribute.array.buffer);
+            if (geometry.index) {
+              transfer.push(geometry.index.array.buffer);
+            }
+            self.postMessage({ type: 'decode', id: message.id, geometry }, transfer);
+          } catch (error) {
+            self.postMessage({ type: 'error', id: message.id, error: error.message });
+          }
+        }).catch((error) => {
+          self.postMessage({ type: 'error', id: message.id, error: error.message });
+        });
+        break;
+    }
+  };
+}
+
+/**
+ * Run the decoder script on the calling thread through a script element, resolving to the
+ * DracoDecoderModule global it defines
+ */
+function loadDecoderScript(jsSource) {
+  if (typeof document === 'undefined' || typeof Blob === 'undefined') {
+    return Promise.reject(new Error(
+      'Draco decoder needs Worker or DOM support to load its script; ' +
+      'pass an instantiated decoderModule instead (e.g. draco3d.createDecoderModule())'
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([jsSource], { type: 'application/javascript' }));
+    const script = document.createElement('script');
+    const cleanUp = () => {
+      URL.revokeObjectURL(url);
+      script.remove();
+    };
+
+    script.onload = () => {
+      cleanUp();
+      if (typeof window.DracoDecoderModule === 'function') {
+        resolve(window.DracoDecoderModule);
+      } else {
+        reject(new Error('Draco decoder script did not define DracoDecoderModule'));
+      }
+    };
+    script.onerror = () => {
+      cleanUp();
+      reject(new Error('Failed to run Draco decoder script'));
+    };
+    script.src = url;
+    document.head.appendChild(script);
+  });
+}
+
 export class DracoDecompressionWorker {
-  constructor() {
+  constructor(options = {}) {
     this.worker = null;
     this.pendingJobs = new Map();
     this.jobIdCounter = 0;
-    this._initWorker();
+
+    // Decoder files (draco_decoder.js, or draco_wasm_wrapper.js + draco_decoder.wasm
+    // as shipped by the draco3d package) are loaded from decoderPath on first use
+    this.decoderPath = options.decoderPath || 'draco/';
+    this.decoderConfig = {
+      type: typeof WebAssembly === 'object' ? 'wasm' : 'js',
+      ...options.decoderConfig
+    };
+    this.decoderModule = options.decoderModule || null;
+    this.useWorker = options.useWorker !== false;
+    this.decoderPending = null;
+  }
+
+  setDecoderPath(path) {
+    this.decoderPath = path;
+    this._reset();
+  }
+
+  setDecoderConfig(config) {
+    this.decoderConfig = { ...this.decoderConfig, ...config };
+    this._reset();
+  }
+
+  /**
+   * Use an already instantiated decoder module (e.g. draco3d.createDecoderModule() in Node)
+   */
+  setDecoderModule(module) {
+    this.decoderModule = module;
+    this._reset();
   }
 
   _initWorker() {
-    // In a real implementation, this would load a WebWorker with Draco decoder
-    // For now, we'll simulate the worker behavior
-    this.worker = {
-      postMessage: (data) => {
-        // Simulate async decompression
-        setTimeout(() => {
-          const result = this._simulateDecompression(data);
-          if (data.id && this.pendingJobs.has(data.id)) {
-            const { resolve } = this.pendingJobs.get(data.id);
-            this.pendingJobs.delete(data.id);
-            resolve(result);
-          }
-        }, Math.random() * 100 + 50);
+    if (this.decoderPending) {
+      return this.decoderPending;
+    }
+
+    if (this.decoderModule) {
+      this.decoderPending = Promise.resolve({ draco: this.decoderModule });
+      return this.decoderPending;
+    }
+
+    this.decoderPending = this._loadDecoderSources().then(({ jsSource, wasmBinary }) => {
+      const decoderConfig = { ...this.decoderConfig };
+      delete decoderConfig.type;
+      if (wasmBinary) {
+        decoderConfig.wasmBinary = wasmBinary;
       }
-    };
+
+      if (this.useWorker && typeof Worker !== 'undefined' && typeof Blob !== 'undefined') {
+        const workerSource = [
+          jsSource,
+          decodeDracoGeometry.toString(),
+          `(${dracoWorkerMain.toString()})();`
+        ].join('\n');
+        const url = URL.createObjectURL(new Blob([workerSource], { type: 'application/javascript' }));
+
+        this.worker = new Worker(url);
+        this.worker.onmessage = (event) => this._onWorkerMessage(event.data);
+        this.worker.onerror = (event) => this._onWorkerError(event);
+        this.worker.postMessage({ type: 'init', decoderConfig }, wasmBinary ? [wasmBinary] : []);
+        return { worker: this.worker };
+      }
+
+      // No worker support: instantiate the decoder on this thread
+      return loadDecoderScript(jsSource).then(DracoDecoderModule => new Promise((resolve, reject) => {
+        decoderConfig.onModuleLoaded = (draco) => resolve({ draco });
+        decoderConfig.onAbort = (reason) => reject(new Error(`Draco decoder aborted: ${reason}`));
+        try {
+          DracoDecoderModule(decoderConfig);
+        } catch (error) {
+          reject(error);
+        }
+      }));
+    });
+
+    // Allow a later retry if the decoder files could not be loaded
+    this.decoderPending.catch(() => {
+      this.decoderPending = null;
+    });
+
+    return this.decoderPending;
   }
 
-  _simulateDecompression(data) {
-    // Simulate decompression results
-    return {
-      type: 'decompression-complete',
-      id: data.id,
-      geometry: {
-        attributes: {
-          position: { array: new Float32Array(data.compressedData?.positions?.length * 3 || 0), itemSize: 3 },
-          normal: { array: new Float32Array(data.compressedData?.normals?.length * 3 || 0), itemSize: 3 },
-          uv: { array: new Float32Array(data.compressedData?.uvs?.length * 2 || 0), itemSize: 2 }
-        },
-        index: { array: new Uint16Array(data.compressedData?.indices?.length || 0) },
-        boundingSphere: { radius: 1 },
-        decompressed: true,
-        compressionRatio: Math.random() * 0.7 + 0.3, // 30-100% size
-        decompressionTime: Math.random() * 50 + 10 // 10-60ms
+  async _loadDecoderSources() {
+    const load = async (file, type) => {
+      const response = await fetch(this.decoderPath + file);
+      if (!response.ok) {
+        throw new Error(`Failed to load Draco decoder ${file}: HTTP ${response.status}`);
       }
+      return type === 'text' ? response.text() : response.arrayBuffer();
     };
+
+    if (this.decoderConfig.type === 'js') {
+      return { jsSource: await load('draco_decoder.js', 'text'), wasmBinary: null };
+    }
+
+    const [jsSource, wasmBinary] = await Promise.all([
+      load('draco_wasm_wrapper.js', 'text'),
+      load('draco_decoder.wasm', 'arraybuffer')
+    ]);
+    return { jsSource, wasmBinary };
+  }
+
+  _onWorkerMessage(message) {
+    const job = this.pendingJobs.get(message.id);
+    if (!job) return;
+
+    this.pendingJobs.delete(message.id);
+    if (message.type === 'error') {
+      job.reject(new Error(message.error));
+    } else {
+      job.resolve({ type: 'decompression-complete', id: message.id, geometry: message.geometry });
+    }
   }
 
+  /**
+   * The worker script failed (e.g. the decoder script threw while loading): fail its jobs and
+   * start over with a fresh worker on the next decode
+   */
+  _onWorkerError(event) {
+    const error = new Error(`Draco decoder worker failed${event && event.message ? `: ${event.message}` : ''}`);
+    for (const { reject } of this.pendingJobs.values()) {
+      reject(error);
+    }
+    this.pendingJobs.clear();
+    this._reset();
+  }
+
+  /**
+   * Decode compressed Draco bytes
+   * @param {Object} compressedData - { buffer, attributeIDs?, attributeTypes? }
+   */
   async decompress(compressedData, options = {}) {
     const jobId = ++this.jobIdCounter;
-    
-    return new Promise((resolve) => {
-      this.pendingJobs.set(jobId, { resolve, options });
-      
-      this.worker.postMessage({
+    const source = compressedData.buffer;
+    const bytes = ArrayBuffer.isView(source)
+      ? new Int8Array(source.buffer, source.byteOffset, source.byteLength)
+      : new Int8Array(source);
+    const attributeIDs = options.attributeIDs || compressedData.attributeIDs || null;
+    const attributeTypes = options.attributeTypes || compressedData.attributeTypes || {};
+
+    const { draco, worker } = await this._initWorker();
+
+    if (!worker) {
+      return {
+        type: 'decompression-complete',
         id: jobId,
-        compressedData,
-        options: {
-          searchMethod: options.searchMethod || DracoCompressionLevel.DEFAULT,
-          quantization: options.quantization || { position: 14, normal: 10, uv: 12 },
-          ...options
-        }
-      });
+        geometry: decodeDracoGeometry(draco, bytes, attributeIDs, attributeTypes)
+      };
+    }
+
+    // Copy so the caller's buffer survives the transfer
+    const buffer = bytes.slice().buffer;
+    return new Promise((resolve, reject) => {
+      this.pendingJobs.set(jobId, { resolve, reject, options });
+      worker.postMessage({ type: 'decode', id: jobId, buffer, attributeIDs, attributeTypes }, [buffer]);
     });
   }
 
+  _reset() {
+    this.terminate();
+    this.decoderPending = null;
+  }
+
   terminate() {
     if (this.worker && this.worker.terminate) {
       this.worker.terminate();
     }
+    this.worker = null;
+
+    for (const { reject } of this.pendingJobs.values()) {
+      reject(new Error('Draco decoder terminated'));
+    }
     this.pendingJobs.clear();
   }
 }
@@ -292,7 +658,16 @@ export class DracoLoader {
     this.cache = new DracoGeometryCache(options.cacheSize || 50);
     this.progressTracker = new DracoProgressTracker();
     this.lodManager = new DracoLODManager();
-    this.decompressionWorker = new DracoDecompressionWorker();
+    this.decompressionWorker = new DracoDecompressionWorker({
+      decoderPath: options.decoderPath,
+      decoderConfig: options.decoderConfig,
+      decoderModule: options.decoderModule,
+      useWorker: options.useWorker
+    });
+
+    // With a WebGL context decoded data is uploaded into a BufferGeometry,
+    // otherwise plain attribute arrays are returned
+    this.gl = options.gl || null;
 
     // Configuration
     this.crossOrigin = options.crossOrigin || 'anonymous';
@@ -301,14 +676,6 @@ export class DracoLoader {
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
 
-    // Progressive loading
-    this.progressiveLoading = options.progressiveLoading !== false;
-    this.qualityLevels = options.qualityLevels || [
-      { name: 'low', compression: DracoCompressionLevel.FASTEST, quality: 0.3 },
-      { name: 'medium', compression: DracoCompressionLevel.DEFAULT, quality: 0.6 },
-      { name: 'high', compression: DracoCompressionLevel.MAXIMUM, quality: 1.0 }
-    ];
-
     // Performance metrics
     this.metrics = {
       totalLoads: 0,
@@ -344,19 +711,11 @@ export class DracoLoader {
       }
 
       // Decompress geometry
-      const geometry = await this._decompressGeometry(compressedData, options);
+      const geometry = await this._decompressGeometry(compressedData, { ...options, key: loadKey });
       
       // Cache the result
       this.cache.set(loadKey, geometry);
-      
-      // Update metrics
-      this.metrics.successfulDecompressions++;
-      const decompressTime = performance.now() - startTime;
-      this.metrics.totalDecompressionTime += decompressTime;
-      
-      if (compressedData.compressionRatio) {
-        this._updateAverageCompressionRatio(compressedData.compressionRatio);
-      }
+      this._recordDecompression(geometry, startTime);
 
       return geometry;
 
@@ -367,6 +726,49 @@ export class DracoLoader {
     }
   }
 
+  /**
+   * Decode Draco data that is already in memory, such as a glTF buffer view
+   * @param {ArrayBuffer|ArrayBufferView} buffer - Compressed Draco bytes
+   * @param {Object} options - key (enables caching), attributeIDs, attributeTypes, normalized, gl
+   * @returns {Promise<BufferGeometry|Object>} Decoded geometry
+   */
+  async decodeGeometry(buffer, options = {}) {
+    const startTime = performance.now();
+
+    this.metrics.totalLoads++;
+
+    try {
+      const cachedGeometry = options.key ? this.cache.get(options.key) : null;
+      if (cachedGeometry) {
+        this.metrics.cacheHitRate++;
+        return cachedGeometry;
+      }
+
+      const compressedData = this._parseCompressedGeometry(buffer, options.key || null);
+      const geometry = await this._decompressGeometry(compressedData, options);
+
+      if (options.key) {
+        this.cache.set(options.key, geometry);
+      }
+      this._recordDecompression(geometry, startTime);
+
+      return geometry;
+
+    } catch (error) {
+      this.metrics.failedDecompressions++;
+      throw error;
+    }
+  }
+
+  _recordDecompression(geometry, startTime) {
+    this.metrics.successfulDecompressions++;
+    this.metrics.totalDecompressionTime += performance.now() - startTime;
+
+    if (geometry.metadata && geometry.metadata.compressionRatio) {
+      this._updateAverageCompressionRatio(geometry.metadata.compressionRatio);
+    }
+  }
+
   async _loadCompressedData(url, options = {}) {
     return new Promise((resolve, reject) => {
       const xhr = new XMLHttpRequest();
@@ -428,50 +830,60 @@ export class DracoLoader {
   }
 
   _parseCompressedGeometry(arrayBuffer, url) {
-    // Simulated Draco parsing - in reality, this would parse the actual Draco format
-    const view = new DataView(arrayBuffer);
-    
+    const bytes = ArrayBuffer.isView(arrayBuffer)
+      ? new Uint8Array(arrayBuffer.buffer, arrayBuffer.byteOffset, arrayBuffer.byteLength)
+      : new Uint8Array(arrayBuffer);
+
+    // Header: "DRACO", version major/minor, encoder type, encoding method, flags
+    if (bytes.byteLength < 11 || String.fromCharCode(...bytes.subarray(0, 5)) !== 'DRACO') {
+      throw new Error('Invalid Draco header');
+    }
+
+    const encoderType = bytes[7];
+    if (encoderType !== 0 && encoderType !== 1) {
+      throw new Error(`Unsupported Draco encoder type: ${encoderType}`);
+    }
+
     return {
-      positions: new Float32Array(view.byteLength / 12), // Simulated positions
-      normals: new Float32Array(view.byteLength / 12),   // Simulated normals
-      uvs: new Float32Array(view.byteLength / 6),        // Simulated UVs
-      indices: new Uint32Array(view.byteLength / 4),     // Simulated indices
+      buffer: bytes,
       metadata: {
-        vertexCount: view.byteLength / 12,
-        triangleCount: view.byteLength / 36,
-        compressionRatio: Math.random() * 0.4 + 0.3, // 30-70% of original
-        quantization: {
-          position: 14,
-          normal: 10,
-          uv: 12
-        },
-        originalSize: view.byteLength * (1 / (Math.random() * 0.4 + 0.3)), // Estimate original size
-        compressedSize: view.byteLength,
+        geometryType: encoderType === 1 ? 'mesh' : 'pointcloud',
+        encodingMethod: bytes[8] === 1 ? 'edgebreaker' : 'sequential',
+        compressedSize: bytes.byteLength,
         format: 'draco',
-        version: '1.5.0'
+        version: `${bytes[5]}.${bytes[6]}`
       },
       url: url,
-      size: arrayBuffer.byteLength
+      size: bytes.byteLength
     };
   }
 
   async _decompressGeometry(compressedData, options = {}) {
     const decompressStart = performance.now();
-    
-    // Progressive loading support
-    if (this.progressiveLoading && options.progressive !== false) {
-      return this._loadProgressive(compressedData, options);
+    const progressKey = options.key || compressedData.url;
+
+    if (progressKey) {
+      this.progressTracker.updateProgress(progressKey, {
+        loaded: 0,
+        total: compressedData.size,
+        percentage: 0,
+        phase: 'decoding'
+      });
     }
 
     try {
-      const result = await this.decompressionWorker.decompress(compressedData, {
-        searchMethod: options.compressionLevel || DracoCompressionLevel.DEFAULT,
-        quantization: options.quantization,
-        ...options
-      });
+      const result = await this.decompressionWorker.decompress(compressedData, options);
+      const decompressedGeometry = this._createGeometryFromDecompressed(result.geometry, compressedData, options);
+
+      if (progressKey) {
+        this.progressTracker.updateProgress(progressKey, {
+          loaded: compressedData.size,
+          total: compressedData.size,
+          percentage: 100,
+          phase: 'decoded'
+        });
+      }
 
-      const decompressedGeometry = this._createGeometryFromDecompressed(result.geometry, compressedData);
-      
       const decompressTime = performance.now() - decompressStart;
       console.log(`Draco decompression completed in ${decompressTime.toFixed(2)}ms`);
 
@@ -483,107 +895,74 @@ export class DracoLoader {
     }
   }
 
-  async _loadProgressive(compressedData, options = {}) {
-    const qualityLevel = options.quality || 1;
-    const startLevel = Math.floor(qualityLevel * this.qualityLevels.length);
-    
-    // Start with lowest quality
-    const promises = [];
-    for (let i = startLevel; i < this.qualityLevels.length; i++) {
-      const levelOptions = {
-        ...options,
-        quality: i / (this.qualityLevels.length - 1),
-        progressive: false
-      };
-      
-      promises.push(
-        this._decompressWithQuality(compressedData, levelOptions)
-          .then(geometry => ({ level: i, geometry }))
-      );
-    }
-
-    // Resolve progressively
-    const results = await Promise.allSettled(promises);
-    const geometries = results
-      .filter(result => result.status === 'fulfilled')
-      .map(result => result.value)
-      .sort((a, b) => a.level - b.level);
+  _createGeometryFromDecompressed(decompressedData, originalData, options = {}) {
+    const gl = options.gl || this.gl;
+    const normalized = options.normalized || {};
+    const { attributes, index } = decompressedData;
 
-    if (geometries.length === 0) {
-      throw new Error('No progressive geometries could be decompressed');
+    let decodedSize = index ? index.array.byteLength : 0;
+    for (const attribute of attributes) {
+      decodedSize += attribute.array.byteLength;
     }
 
-    // Return the highest quality available
-    return geometries[geometries.length - 1].geometry;
-  }
+    const metadata = {
+      compressed: true,
+      compressionType: 'draco',
+      compressionRatio: decodedSize > 0 ? originalData.metadata.compressedSize / decodedSize : 0,
+      geometryType: decompressedData.type,
+      vertexCount: decompressedData.vertexCount,
+      originalSize: decodedSize,
+      compressedSize: originalData.metadata.compressedSize,
+      version: originalData.metadata.version,
+      decompressed: true,
+      decompressTime: performance.now()
+    };
 
-  async _decompressWithQuality(compressedData, options) {
-    // Simulate different quality levels by using different compression settings
-    const adjustedOptions = {
-      ...options,
-      quantization: {
-        position: Math.round((options.quality || 1) * 14),
-        normal: Math.round((options.quality || 1) * 10),
-        uv: Math.round((options.quality || 1) * 12)
+    if (gl) {
+      const geometry = new BufferGeometry(gl);
+
+      for (const attribute of attributes) {
+        geometry.addAttribute(
+          new VertexAttribute(
+            attribute.name,
+            attribute.itemSize,
+            getComponentType(attribute.array),
+            normalized[attribute.name] ?? attribute.normalized
+          ),
+          attribute.array
+        );
       }
-    };
 
-    const result = await this.decompressionWorker.decompress(compressedData, adjustedOptions);
-    return this._createGeometryFromDecompressed(result.geometry, compressedData);
-  }
+      if (index) {
+        geometry.setIndex(index.array);
+      }
+
+      geometry.metadata = metadata;
+      return geometry;
+    }
 
-  _createGeometryFromDecompressed(decompressedData, originalData) {
     const geometry = {
       attributes: {},
       index: null,
       boundingSphere: { radius: 1 },
       boundingBox: { min: [0, 0, 0], max: [0, 0, 0] },
-      metadata: {
-        compressed: true,
-        compressionType: 'draco',
-        compressionRatio: originalData.metadata.compressionRatio,
-        quantization: originalData.metadata.quantization,
-        originalSize: originalData.metadata.originalSize,
-        compressedSize: originalData.metadata.compressedSize,
-        version: originalData.metadata.version,
-        decompressed: true,
-        decompressTime: performance.now()
-      }
+      metadata
     };
 
-    // Create position attribute
-    if (decompressedData.attributes.position) {
-      geometry.attributes.position = {
-        array: decompressedData.attributes.position.array,
-        itemSize: decompressedData.attributes.position.itemSize,
-        type: 'Float32Array'
-      };
-    }
-
-    // Create normal attribute
-    if (decompressedData.attributes.normal) {
-      geometry.attributes.normal = {
-        array: decompressedData.attributes.normal.array,
-        itemSize: decompressedData.attributes.normal.itemSize,
-        type: 'Float32Array'
-      };
-    }
-
-    // Create UV attribute
-    if (decompressedData.attributes.uv) {
-      geometry.attributes.uv = {
-        array: decompressedData.attributes.uv.array,
-        itemSize: decompressedData.attributes.uv.itemSize,
-        type: 'Float32Array'
+    for (const attribute of attributes) {
+      geometry.attributes[attribute.name] = {
+        array: attribute.array,
+        itemSize: attribute.itemSize,
+        normalized: normalized[attribute.name] ?? attribute.normalized,
+        type: attribute.array.constructor.name
       };
     }
 
-    // Create index
-    if (decompressedData.index && decompressedData.index.array) {
+    if (index) {
       geometry.index = {
-        array: decompressedData.index.array,
+        array: index.array,
         itemSize: 1,
-        type: decompressedData.index.array.constructor.name
+        type: index.array.constructor.name
       };
     }
 
@@ -635,21 +1014,23 @@ export class DracoLoader {
   }
 
   async _createLODLevels(cacheKey, compressedData, options) {
-    const levels = options.lodLevels || 3;
+    // A Draco stream holds a single level of detail; coarser levels are
+    // separate files listed in options.lodUrls, highest detail first
+    const lodUrls = options.lodUrls || [];
+    const sources = [{ key: cacheKey, compressedData }];
+    for (const url of lodUrls) {
+      sources.push({ key: url, compressedData: await this._loadCompressedData(url, { ...options, key: url }) });
+    }
+
     const lodGeometries = [];
 
-    for (let i = 0; i < levels; i++) {
-      const quality = 1 - (i / levels); // Decreasing quality
-      const levelOptions = {
-        ...options,
-        quality,
-        progressive: false
-      };
+    for (let i = 0; i < sources.length; i++) {
+      const { key, compressedData: levelData } = sources[i];
 
       try {
-        const geometry = await this._decompressWithQuality(compressedData, levelOptions);
+        const geometry = await this._decompressGeometry(levelData, { ...options, key });
         lodGeometries.push({
-          detail: quality,
+          detail: 1 - (i / sources.length),
           geometry,
           triangleCount: this._estimateTriangleCount(geometry),
           memoryUsage: this._estimateMemoryUsage(geometry)
@@ -663,32 +1044,21 @@ export class DracoLoader {
   }
 
   _estimateTriangleCount(geometry) {
-    if (geometry.index && geometry.index.array) {
-      return geometry.index.array.length / 3;
+    const { attributes, index } = getGeometryArrays(geometry);
+
+    if (index) {
+      return index.length / 3;
     }
-    
-    const positionAttribute = geometry.attributes.position;
-    if (positionAttribute) {
-      return positionAttribute.array.length / 9; // 3 vertices per triangle, 3 components per vertex
+
+    if (geometry.metadata && geometry.metadata.vertexCount !== undefined) {
+      return geometry.metadata.vertexCount / 3;
     }
-    
-    return 0;
+
+    return attributes.length > 0 ? attributes[0].length / 9 : 0;
   }
 
   _estimateMemoryUsage(geometry) {
-    let usage = 0;
-    
-    for (const attribute of Object.values(geometry.attributes)) {
-      if (attribute.array) {
-        usage += attribute.array.byteLength || attribute.array.length * 4;
-      }
-    }
-    
-    if (geometry.index && geometry.index.array) {
-      usage += geometry.index.array.byteLength || geometry.index.array.length * 4;
-    }
-    
-    return usage;
+    return this.cache._estimateMemoryUsage(geometry);
   }
 
   _updateAverageCompressionRatio(ratio) {
@@ -776,6 +1146,46 @@ export class DracoLoader {
     return this;
   }
 
+  /**
+   * Directory holding draco_decoder.js or draco_wasm_wrapper.js + draco_decoder.wasm
+   */
+  setDecoderPath(path) {
+    this.decompressionWorker.setDecoderPath(path);
+    return this;
+  }
+
+  /**
+   * @param {Object} config - { type: 'wasm' | 'js' } plus Emscripten module options
+   */
+  setDecoderConfig(config) {
+    this.decompressionWorker.setDecoderConfig(config);
+    return this;
+  }
+
+  /**
+   * Decode with an already instantiated decoder module instead of loading one
+   */
+  setDecoderModule(module) {
+    this.decompressionWorker.setDecoderModule(module);
+    return this;
+  }
+
+  /**
+   * Decode into BufferGeometry for this context; pass null for plain attribute arrays
+   */
+  setGL(gl) {
+    this.gl = gl;
+    return this;
+  }
+
+  /**
+   * Start loading the decoder ahead of the first decode
+   */
+  preload() {
+    this.decompressionWorker._initWorker();
+    return this;
+  }
+
   dispose() {
     this.clearCache();
     this.decompressionWorker.terminate();
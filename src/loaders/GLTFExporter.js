@@ -0,0 +1,1623 @@
+/**
+ * GLTFExporter.js - GLTF 2.0 exporter
+ * Serializes scenes and object hierarchies to JSON (.gltf) or binary (.glb) files
+ * Includes geometry, PBR materials and KHR_materials_* extensions, textures, cameras,
+ * KHR_lights_punctual lights, skins and animation clips
+ */
+
+import { SkinnedMesh } from '../core/SkeletalAnimation.js';
+import { MeshBasicMaterial } from '../materials/MeshBasicMaterial.js';
+import { InterpolationType } from '../animation/AnimationUtils.js';
+import { QuaternionKeyframeTrack, NumberKeyframeTrack } from '../animation/KeyframeTrack.js';
+import { PNGEncoder } from '../textures/PNGEncoder.js';
+
+const GL = {
+    BYTE: 5120,
+    UNSIGNED_BYTE: 5121,
+    SHORT: 5122,
+    UNSIGNED_SHORT: 5123,
+    UNSIGNED_INT: 5125,
+    FLOAT: 5126,
+    ARRAY_BUFFER: 34962,
+    ELEMENT_ARRAY_BUFFER: 34963,
+    NEAREST: 9728,
+    LINEAR: 9729,
+    NEAREST_MIPMAP_NEAREST: 9984,
+    LINEAR_MIPMAP_NEAREST: 9985,
+    NEAREST_MIPMAP_LINEAR: 9986,
+    LINEAR_MIPMAP_LINEAR: 9987,
+    REPEAT: 10497,
+    CLAMP_TO_EDGE: 33071,
+    MIRRORED_REPEAT: 33648
+};
+
+// Texture.FILTERS and Texture.WRAP_MODES indices to GLTF sampler values
+const FILTERS = [
+    GL.NEAREST,
+    GL.LINEAR,
+    GL.NEAREST_MIPMAP_NEAREST,
+    GL.NEAREST_MIPMAP_LINEAR,
+    GL.LINEAR_MIPMAP_NEAREST,
+    GL.LINEAR_MIPMAP_LINEAR
+];
+const WRAP_MODES = [GL.REPEAT, GL.CLAMP_TO_EDGE, GL.MIRRORED_REPEAT];
+
+const COMPONENT_TYPES = new Map([
+    [Int8Array, GL.BYTE],
+    [Uint8Array, GL.UNSIGNED_BYTE],
+    [Uint8ClampedArray, GL.UNSIGNED_BYTE],
+    [Int16Array, GL.SHORT],
+    [Uint16Array, GL.UNSIGNED_SHORT],
+    [Uint32Array, GL.UNSIGNED_INT],
+    [Float32Array, GL.FLOAT]
+]);
+
+const ACCESSOR_TYPES = { 1: 'SCALAR', 2: 'VEC2', 3: 'VEC3', 4: 'VEC4', 16: 'MAT4' };
+
+const ATTRIBUTE_NAMES = {
+    position: 'POSITION',
+    normal: 'NORMAL',
+    tangent: 'TANGENT',
+    uv: 'TEXCOORD_0',
+    uv0: 'TEXCOORD_0',
+    uv1: 'TEXCOORD_1',
+    uv2: 'TEXCOORD_1',
+    color: 'COLOR_0',
+    skinIndex: 'JOINTS_0',
+    skinWeight: 'WEIGHTS_0'
+};
+
+// Flat vertex arrays of primitive geometries (BoxGeometry etc.)
+const PRIMITIVE_ARRAYS = [
+    ['vertices', 'POSITION'],
+    ['normals', 'NORMAL'],
+    ['uvs', 'TEXCOORD_0'],
+    ['colors', 'COLOR_0'],
+    ['tangents', 'TANGENT']
+];
+
+const ANIMATION_PATHS = {
+    position: 'translation',
+    translation: 'translation',
+    rotation: 'rotation',
+    quaternion: 'rotation',
+    scale: 'scale',
+    weights: 'weights',
+    morphTargetInfluences: 'weights'
+};
+
+const LIGHT_TYPES = { DirectionalLight: 'directional', PointLight: 'point', SpotLight: 'spot' };
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a; // 'JSON'
+const GLB_CHUNK_BIN = 0x004e4942; // 'BIN'
+
+/**
+ * GLTF exporter configuration
+ */
+export class GLTFExporterConfig {
+    constructor() {
+        this.binary = false;
+        this.embedImages = true;
+        this.embedBuffers = true;
+        this.onlyVisible = true;
+        this.animations = [];
+        this.bufferName = 'scene.bin';
+        this.imageMimeType = 'image/png';
+        this.imageQuality = 0.92;
+        this.maxTextureSize = Infinity;
+        this.cameras = true;
+        this.lights = true;
+        this.skins = true;
+        this.extras = true;
+    }
+}
+
+/**
+ * GLTF Exporter
+ */
+export class GLTFExporter {
+    constructor(config = new GLTFExporterConfig()) {
+        this.config = config;
+    }
+
+    /**
+     * Export a scene, object or array of them
+     * @param {Scene|Object3D|Array} input - Objects to export
+     * @param {Function} onDone - Receives a GLB ArrayBuffer or { json, files }
+     * @param {Function} onError - Error callback
+     * @param {Object} options - Overrides for the exporter config
+     */
+    parse(input, onDone, onError, options = {}) {
+        this.parseAsync(input, options)
+            .then(onDone)
+            .catch(error => {
+                if (onError) {
+                    onError(error);
+                } else {
+                    console.error('GLTFExporter: export failed', error);
+                }
+            });
+    }
+
+    /**
+     * Export a scene, object or array of them
+     * @param {Scene|Object3D|Array} input - Objects to export
+     * @param {Object} options - Overrides for the exporter config
+     * @returns {Promise<ArrayBuffer|Object>} GLB file when options.binary is set, otherwise
+     *   { json, files } with the GLTF document and any external buffers/images by uri
+     */
+    async parseAsync(input, options = {}) {
+        const writer = new GLTFWriter({ ...this.config, ...options });
+        return writer.write(input);
+    }
+}
+
+/**
+ * Holds the state of one export
+ * @private
+ */
+class GLTFWriter {
+    constructor(options) {
+        this.options = options;
+
+        this.json = {
+            asset: { version: '2.0', generator: 'GLTFExporter' },
+            scenes: [],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            textures: [],
+            images: [],
+            samplers: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: [],
+            cameras: [],
+            skins: [],
+            animations: []
+        };
+
+        this.extensionsUsed = new Set();
+        this.chunks = [];
+        this.byteLength = 0;
+        this.files = {};
+
+        this.nodeMap = new Map();
+        this.nodesByName = new Map();
+        this.sceneRoots = new Set();
+        this.meshCache = new Map();
+        this.geometryCache = new Map();
+        this.materialCache = new Map();
+        this.textureCache = new Map();
+        this.imageCache = new Map();
+        this.samplerCache = new Map();
+        this.accessorCache = new Map();
+        this.objectIds = new Map();
+
+        this.pendingImages = [];
+        this.pendingSkins = [];
+        this.animations = [...(options.animations || [])];
+        this.warnings = new Set();
+    }
+
+    async write(input) {
+        const inputs = Array.isArray(input) ? input : [input];
+        const objects = [];
+
+        for (const item of inputs) {
+            if (!item) continue;
+
+            if (item.root && Array.isArray(item.cameras)) {
+                this.processScene(item);
+            } else {
+                objects.push(item);
+            }
+
+            if (Array.isArray(item.animations)) {
+                for (const clip of item.animations) {
+                    if (!this.animations.includes(clip)) this.animations.push(clip);
+                }
+            }
+        }
+
+        if (objects.length > 0) {
+            const sceneDef = { nodes: [] };
+            this.json.scenes.push(sceneDef);
+            for (const object of objects) {
+                this.addRootNode(sceneDef, object);
+            }
+        }
+
+        this.defaultTarget = objects[0] || inputs[0]?.root?.children?.[0] || null;
+
+        if (this.options.skins) {
+            for (const pending of this.pendingSkins) {
+                this.processSkin(pending);
+            }
+        }
+
+        for (const clip of this.animations) {
+            this.processAnimation(clip);
+        }
+
+        await this.processPendingImages();
+
+        return this.finalize();
+    }
+
+    // ==================== Scene graph ====================
+
+    processScene(scene) {
+        const sceneDef = { nodes: [] };
+        if (scene.name) sceneDef.name = scene.name;
+        this.json.scenes.push(sceneDef);
+
+        // The scene root is implicit: its children become the GLTF scene nodes
+        this.sceneRoots.add(scene.root);
+        for (const child of scene.root.children) {
+            this.addRootNode(sceneDef, child);
+        }
+
+        if (this.options.cameras) {
+            for (const camera of scene.cameras) {
+                if (!this.nodeMap.has(camera)) this.addRootNode(sceneDef, camera);
+            }
+        }
+
+        if (this.options.lights) {
+            for (const light of scene.lights) {
+                if (!this.nodeMap.has(light)) this.addRootNode(sceneDef, light);
+            }
+        }
+    }
+
+    addRootNode(sceneDef, object) {
+        const index = this.processNode(object, sceneDef);
+        if (index !== null) sceneDef.nodes.push(index);
+    }
+
+    processNode(object, sceneDef) {
+        if (this.options.onlyVisible && object.visible === false) return null;
+        if (this.nodeMap.has(object)) return this.nodeMap.get(object);
+
+        if (isLight(object) && (!this.options.lights || !LIGHT_TYPES[object.type])) {
+            if (this.options.lights) {
+                this.warn(`GLTFExporter: ${object.type} has no KHR_lights_punctual equivalent and was skipped`);
+            }
+            return null;
+        }
+
+        const nodeDef = {};
+        const index = this.json.nodes.push(nodeDef) - 1;
+        this.nodeMap.set(object, index);
+
+        if (object.name) {
+            nodeDef.name = object.name;
+            if (!this.nodesByName.has(object.name)) this.nodesByName.set(object.name, index);
+        }
+
+        if (isLight(object)) {
+            this.processLight(object, nodeDef);
+        } else {
+            this.processTransform(object, nodeDef);
+        }
+
+        if (isCamera(object) && this.options.cameras) {
+            nodeDef.camera = this.processCamera(object);
+        }
+
+        const skinnedMesh = getSkinnedMesh(object);
+        if (isMesh(object) || skinnedMesh) {
+            const mesh = this.processMesh(object, skinnedMesh);
+            if (mesh !== null) {
+                nodeDef.mesh = mesh;
+                if (skinnedMesh && this.options.skins) {
+                    this.pendingSkins.push({ nodeDef, skinnedMesh, sceneDef });
+                }
+            }
+        }
+
+        if (this.options.extras) {
+            const extras = serializeExtras(object.userData, object.extras);
+            if (extras) nodeDef.extras = extras;
+        }
+
+        const children = [];
+        for (const child of object.children || []) {
+            const childIndex = this.processNode(child, sceneDef);
+            if (childIndex !== null) children.push(childIndex);
+        }
+        if (children.length > 0) nodeDef.children = children;
+
+        return index;
+    }
+
+    processTransform(object, nodeDef) {
+        const position = toVector(object.position);
+        if (position && (position[0] !== 0 || position[1] !== 0 || position[2] !== 0)) {
+            nodeDef.translation = position;
+        }
+
+        const rotation = rotationToQuaternion(object.rotation);
+        if (rotation && (rotation[0] !== 0 || rotation[1] !== 0 || rotation[2] !== 0 || rotation[3] !== 1)) {
+            nodeDef.rotation = rotation;
+        }
+
+        const scale = toVector(object.scale);
+        if (scale && (scale[0] !== 1 || scale[1] !== 1 || scale[2] !== 1)) {
+            nodeDef.scale = scale;
+        }
+    }
+
+    // ==================== Meshes ====================
+
+    processMesh(object, skinnedMesh) {
+        let primitives = object.primitives;
+        if (!primitives) {
+            const geometry = object.geometry || skinnedMesh?.geometry;
+            if (!geometry) return null;
+            primitives = [{ geometry, material: object.material ?? skinnedMesh?.material, mode: object.drawMode }];
+        }
+
+        const morphTargets = object.morphTargetManager || skinnedMesh?.morphTargetManager || null;
+        const cacheKey = [
+            ...primitives.map(primitive => `${this.getObjectId(primitive.geometry)}:${this.getObjectId(primitive.material)}`),
+            this.getObjectId(skinnedMesh),
+            this.getObjectId(morphTargets)
+        ].join('|');
+
+        if (this.meshCache.has(cacheKey)) return this.meshCache.get(cacheKey);
+
+        const meshDef = { primitives: [] };
+
+        for (const primitive of primitives) {
+            const geometry = this.processGeometry(primitive.geometry, skinnedMesh);
+            if (!geometry) continue;
+
+            const materials = Array.isArray(primitive.material) ? primitive.material : [primitive.material];
+            const groups = primitive.geometry.groups?.length && geometry.indices && Array.isArray(primitive.material)
+                ? primitive.geometry.groups
+                : [null];
+
+            for (const group of groups) {
+                const primitiveDef = { attributes: geometry.attributes };
+
+                if (group) {
+                    const indices = geometry.indexArray.subarray(group.start, group.start + group.count);
+                    primitiveDef.indices = this.processAccessor(indices, 1, { target: GL.ELEMENT_ARRAY_BUFFER, minMax: false });
+                } else if (geometry.indices !== undefined) {
+                    primitiveDef.indices = geometry.indices;
+                }
+
+                const material = materials[group ? group.materialIndex || 0 : 0];
+                if (material) {
+                    primitiveDef.material = this.processMaterial(material);
+                }
+
+                const mode = primitive.mode ?? 4;
+                if (mode !== 4) primitiveDef.mode = mode;
+
+                if (morphTargets && (morphTargets.geometry === primitive.geometry || primitives.length === 1)) {
+                    primitiveDef.targets = this.processMorphTargets(morphTargets);
+                }
+
+                meshDef.primitives.push(primitiveDef);
+            }
+        }
+
+        if (meshDef.primitives.length === 0) {
+            this.meshCache.set(cacheKey, null);
+            return null;
+        }
+
+        if (morphTargets && morphTargets.morphTargets.length > 0) {
+            meshDef.weights = Array.from(morphTargets.influences, Number);
+            meshDef.extras = { targetNames: morphTargets.morphTargets.map(target => target.name) };
+        } else if (object.weights?.length) {
+            meshDef.weights = Array.from(object.weights);
+            if (object.morphTargetNames?.length) {
+                meshDef.extras = { targetNames: [...object.morphTargetNames] };
+            }
+        }
+
+        if (object.name) meshDef.name = object.name;
+
+        const index = this.json.meshes.push(meshDef) - 1;
+        this.meshCache.set(cacheKey, index);
+        return index;
+    }
+
+    processGeometry(geometry, skinnedMesh) {
+        const cacheKey = `${this.getObjectId(geometry)}:${this.getObjectId(skinnedMesh)}`;
+        if (this.geometryCache.has(cacheKey)) return this.geometryCache.get(cacheKey);
+
+        const data = readGeometry(geometry);
+        if (!data.attributes.POSITION) {
+            this.warn('GLTFExporter: geometry without positions skipped');
+            this.geometryCache.set(cacheKey, null);
+            return null;
+        }
+
+        if (skinnedMesh && !data.attributes.JOINTS_0 && skinnedMesh.skinIndex) {
+            data.attributes.JOINTS_0 = { array: skinnedMesh.skinIndex, itemSize: 4, normalized: false };
+            data.attributes.WEIGHTS_0 = { array: skinnedMesh.skinWeight, itemSize: 4, normalized: false };
+        }
+
+        const result = { attributes: {} };
+        for (const [name, attribute] of Object.entries(data.attributes)) {
+            const prepared = prepareAttribute(name, attribute);
+            if (!prepared) {
+                this.warn(`GLTFExporter: attribute ${name} has an unsupported layout or values and was skipped`);
+                continue;
+            }
+            result.attributes[name] = this.processAccessor(prepared.array, prepared.itemSize, {
+                target: GL.ARRAY_BUFFER,
+                normalized: prepared.normalized
+            });
+        }
+
+        if (data.index) {
+            const vertexCount = data.attributes.POSITION.array.length / data.attributes.POSITION.itemSize;
+            result.indexArray = toIndexArray(data.index, vertexCount);
+            result.indices = this.processAccessor(result.indexArray, 1, { target: GL.ELEMENT_ARRAY_BUFFER, minMax: false });
+        }
+
+        this.geometryCache.set(cacheKey, result);
+        return result;
+    }
+
+    processMorphTargets(manager) {
+        return manager.morphTargets.map(target => {
+            const targetDef = {
+                POSITION: this.processAccessor(new Float32Array(target.positions), 3, { target: GL.ARRAY_BUFFER })
+            };
+            if (target.normals) {
+                targetDef.NORMAL = this.processAccessor(new Float32Array(target.normals), 3, { target: GL.ARRAY_BUFFER });
+            }
+            if (target.tangents) {
+                // Tangent displacements are three component in GLTF
+                const size = target.tangents.length === target.positions.length ? 3 : 4;
+                targetDef.TANGENT = this.processAccessor(dropComponent(new Float32Array(target.tangents), size), 3, { target: GL.ARRAY_BUFFER });
+            }
+            return targetDef;
+        });
+    }
+
+    // ==================== Materials and textures ====================
+
+    processMaterial(material) {
+        if (this.materialCache.has(material)) return this.materialCache.get(material);
+
+        const materialDef = { pbrMetallicRoughness: {} };
+        const pbr = materialDef.pbrMetallicRoughness;
+        const extensions = {};
+
+        if (material.name) materialDef.name = material.name;
+
+        const color = toColor(material.color) || [1, 1, 1];
+        const opacity = material.opacity ?? 1;
+        if (color.some(value => value !== 1) || opacity !== 1) {
+            pbr.baseColorFactor = [...color, opacity];
+        }
+
+        if (material instanceof MeshBasicMaterial) {
+            extensions.KHR_materials_unlit = {};
+            pbr.metallicFactor = 0;
+            pbr.roughnessFactor = 0.9;
+        } else {
+            const metalness = material.metalness ?? 0;
+            const roughness = material.roughness ?? 1;
+            if (metalness !== 1) pbr.metallicFactor = metalness;
+            if (roughness !== 1) pbr.roughnessFactor = roughness;
+        }
+
+        const transform = material.uvTransform;
+
+        if (material.map) {
+            const info = this.processTextureInfo(material.map, transform);
+            if (info) pbr.baseColorTexture = info;
+        }
+
+        const metalRoughMap = material.metalnessMap || material.roughnessMap;
+        if (metalRoughMap) {
+            if (material.metalnessMap && material.roughnessMap && material.metalnessMap !== material.roughnessMap) {
+                this.warn('GLTFExporter: separate metalness and roughness maps are not supported, using the metalness map');
+            }
+            const info = this.processTextureInfo(metalRoughMap, transform);
+            if (info) pbr.metallicRoughnessTexture = info;
+        }
+
+        if (material.normalMap) {
+            const info = this.processTextureInfo(material.normalMap, transform);
+            if (info) {
+                const scale = toVector(material.normalScale)?.[0] ?? 1;
+                if (scale !== 1) info.scale = scale;
+                materialDef.normalTexture = info;
+            }
+        }
+
+        if (material.aoMap) {
+            const info = this.processTextureInfo(material.aoMap, transform);
+            if (info) {
+                const strength = material.aoMapIntensity ?? 1;
+                if (strength !== 1) info.strength = strength;
+                materialDef.occlusionTexture = info;
+            }
+        }
+
+        const emissive = toColor(material.emissive);
+        if (emissive) {
+            const intensity = material.emissiveIntensity ?? 1;
+            const scaled = emissive.map(value => value * intensity);
+            const strength = Math.max(...scaled);
+
+            if (strength > 1) {
+                materialDef.emissiveFactor = scaled.map(value => value / strength);
+                extensions.KHR_materials_emissive_strength = { emissiveStrength: strength };
+            } else if (strength > 0) {
+                materialDef.emissiveFactor = scaled;
+            }
+        }
+
+        if (material.emissiveMap) {
+            const info = this.processTextureInfo(material.emissiveMap, transform);
+            if (info) materialDef.emissiveTexture = info;
+        }
+
+        if (material.transparent) {
+            materialDef.alphaMode = 'BLEND';
+        } else if (material.alphaTest > 0) {
+            materialDef.alphaMode = 'MASK';
+            if (material.alphaTest !== 0.5) materialDef.alphaCutoff = material.alphaTest;
+        }
+
+        if (material.side === 'double' || material.side === 2) {
+            materialDef.doubleSided = true;
+        }
+
+        this.processMaterialExtensions(material, color, extensions);
+
+        if (Object.keys(pbr).length === 0) delete materialDef.pbrMetallicRoughness;
+
+        if (Object.keys(extensions).length > 0) {
+            materialDef.extensions = extensions;
+            for (const name of Object.keys(extensions)) this.extensionsUsed.add(name);
+        }
+
+        if (this.options.extras) {
+            const extras = serializeExtras(material.userData, material.extras);
+            if (extras) materialDef.extras = extras;
+        }
+
+        const index = this.json.materials.push(materialDef) - 1;
+        this.materialCache.set(material, index);
+        return index;
+    }
+
+    /**
+     * Map MeshPhysicalMaterial style parameters to KHR_materials_* extensions
+     */
+    processMaterialExtensions(material, baseColor, extensions) {
+        const transform = material.uvTransform;
+        const textureInfo = map => (map ? this.processTextureInfo(map, transform) : null);
+        const assign = (target, key, value) => {
+            if (value !== null && value !== undefined) target[key] = value;
+        };
+
+        if (material.clearcoat > 0) {
+            const clearcoat = { clearcoatFactor: material.clearcoat };
+            assign(clearcoat, 'clearcoatRoughnessFactor', material.clearcoatRoughness);
+            assign(clearcoat, 'clearcoatTexture', textureInfo(material.clearcoatMap));
+            assign(clearcoat, 'clearcoatRoughnessTexture', textureInfo(material.clearcoatRoughnessMap));
+
+            const normalInfo = textureInfo(material.clearcoatNormalMap);
+            if (normalInfo) {
+                const scale = toVector(material.clearcoatNormalScale)?.[0] ?? 1;
+                if (scale !== 1) normalInfo.scale = scale;
+                clearcoat.clearcoatNormalTexture = normalInfo;
+            }
+            extensions.KHR_materials_clearcoat = clearcoat;
+        }
+
+        if (material.transmission > 0) {
+            const transmission = { transmissionFactor: material.transmission };
+            assign(transmission, 'transmissionTexture', textureInfo(material.transmissionMap));
+            extensions.KHR_materials_transmission = transmission;
+        }
+
+        if (material.thickness > 0 || material.thicknessMap) {
+            const volume = { thicknessFactor: material.thickness ?? 0 };
+            assign(volume, 'thicknessTexture', textureInfo(material.thicknessMap));
+
+            const distance = material.attenuationDistance;
+            if (distance > 0 && Number.isFinite(distance)) volume.attenuationDistance = distance;
+
+            const attenuationColor = toColor(material.attenuationColor);
+            if (attenuationColor && attenuationColor.some(value => value !== 1)) {
+                volume.attenuationColor = attenuationColor;
+            }
+            extensions.KHR_materials_volume = volume;
+        }
+
+        if (material.ior !== undefined && material.ior !== 1.5) {
+            extensions.KHR_materials_ior = { ior: material.ior };
+        }
+
+        const specularColor = toColor(material.specularColor);
+        if (material.specularIntensity !== undefined &&
+            (material.specularIntensity !== 1 || specularColor?.some(value => value !== 1) ||
+             material.specularIntensityMap || material.specularColorMap)) {
+            const specular = {};
+            if (material.specularIntensity !== 1) specular.specularFactor = material.specularIntensity;
+            if (specularColor && specularColor.some(value => value !== 1)) specular.specularColorFactor = specularColor;
+            assign(specular, 'specularTexture', textureInfo(material.specularIntensityMap));
+            assign(specular, 'specularColorTexture', textureInfo(material.specularColorMap));
+            extensions.KHR_materials_specular = specular;
+        }
+
+        if (material.sheen > 0) {
+            let sheenColor = toColor(material.sheenColor);
+            if (!sheenColor) {
+                // sheenTint blends the sheen from white towards the base color
+                const tint = material.sheenTint ?? 0;
+                sheenColor = baseColor.map(value => 1 + (value - 1) * tint);
+            }
+
+            const sheen = { sheenColorFactor: sheenColor.map(value => value * material.sheen) };
+            assign(sheen, 'sheenRoughnessFactor', material.sheenRoughness);
+            assign(sheen, 'sheenColorTexture', textureInfo(material.sheenColorMap));
+            assign(sheen, 'sheenRoughnessTexture', textureInfo(material.sheenRoughnessMap));
+            extensions.KHR_materials_sheen = sheen;
+        }
+
+        if (material.iridescence > 0) {
+            const iridescence = { iridescenceFactor: material.iridescence };
+            assign(iridescence, 'iridescenceIor', material.iridescenceIOR ?? material.iridescenceIor);
+
+            assign(iridescence, 'iridescenceTexture', textureInfo(material.iridescenceMap));
+            assign(iridescence, 'iridescenceThicknessTexture', textureInfo(material.iridescenceThicknessMap));
+
+            // Without a thickness texture only the maximum thickness applies
+            const range = material.iridescenceThicknessRange;
+            if (range) {
+                if (iridescence.iridescenceThicknessTexture) iridescence.iridescenceThicknessMinimum = range[0];
+                iridescence.iridescenceThicknessMaximum = range[1];
+            }
+            extensions.KHR_materials_iridescence = iridescence;
+        }
+
+        if (material.anisotropy > 0) {
+            const anisotropy = { anisotropyStrength: material.anisotropy };
+            if (material.anisotropyRotation) anisotropy.anisotropyRotation = material.anisotropyRotation;
+            assign(anisotropy, 'anisotropyTexture', textureInfo(material.anisotropyMap));
+            extensions.KHR_materials_anisotropy = anisotropy;
+        }
+    }
+
+    /**
+     * Build a textureInfo, adding KHR_texture_transform for a material uvTransform
+     * ([offsetX, offsetY, scaleX, scaleY, rotation]) or the texture's own offset/repeat/rotation
+     */
+    processTextureInfo(texture, uvTransform) {
+        const index = this.processTexture(texture);
+        if (index === null) return null;
+
+        const info = { index };
+
+        let offset = [0, 0];
+        let scale = [1, 1];
+        let rotation = 0;
+
+        if (uvTransform && !isIdentityTransform(uvTransform)) {
+            offset = [uvTransform[0], uvTransform[1]];
+            scale = [uvTransform[2], uvTransform[3]];
+            rotation = uvTransform[4] || 0;
+        } else {
+            offset = toVector(texture.offset) || offset;
+            scale = toVector(texture.repeat) || scale;
+            rotation = texture.rotation || 0;
+        }
+
+        if (offset[0] !== 0 || offset[1] !== 0 || scale[0] !== 1 || scale[1] !== 1 || rotation !== 0) {
+            const transform = {};
+            if (offset[0] !== 0 || offset[1] !== 0) transform.offset = offset.slice(0, 2);
+            if (scale[0] !== 1 || scale[1] !== 1) transform.scale = scale.slice(0, 2);
+            if (rotation !== 0) transform.rotation = rotation;
+
+            info.extensions = { KHR_texture_transform: transform };
+            this.extensionsUsed.add('KHR_texture_transform');
+        }
+
+        return info;
+    }
+
+    processTexture(texture) {
+        if (this.textureCache.has(texture)) return this.textureCache.get(texture);
+
+        const source = this.processImage(texture);
+        if (source === null) {
+            this.textureCache.set(texture, null);
+            return null;
+        }
+
+        const textureDef = { sampler: this.processSampler(texture), source };
+        if (texture.name) textureDef.name = texture.name;
+
+        const index = this.json.textures.push(textureDef) - 1;
+        this.textureCache.set(texture, index);
+        return index;
+    }
+
+    processSampler(texture) {
+        const samplerDef = {
+            magFilter: toGLFilter(texture.magFilter, GL.LINEAR),
+            minFilter: toGLFilter(texture.minFilter, GL.LINEAR_MIPMAP_LINEAR),
+            wrapS: toGLWrap(texture.wrapS),
+            wrapT: toGLWrap(texture.wrapT)
+        };
+
+        const key = `${samplerDef.magFilter}:${samplerDef.minFilter}:${samplerDef.wrapS}:${samplerDef.wrapT}`;
+        if (!this.samplerCache.has(key)) {
+            this.samplerCache.set(key, this.json.samplers.push(samplerDef) - 1);
+        }
+        return this.samplerCache.get(key);
+    }
+
+    processImage(texture) {
+        const image = texture.image;
+        if (!image) {
+            this.warn('GLTFExporter: texture without an image skipped');
+            return null;
+        }
+
+        const flipY = texture.flipY === false;
+        const cacheKey = `${this.getObjectId(image)}:${flipY}`;
+        if (this.imageCache.has(cacheKey)) return this.imageCache.get(cacheKey);
+
+        let encode = null;
+        let mimeType = this.options.imageMimeType;
+
+        if (!this.options.embedImages && typeof image.src === 'string' && !/^(data|blob):/.test(image.src)) {
+            encode = null;
+        } else if (isPixelData(image)) {
+            if (!(image.data instanceof Uint8Array || image.data instanceof Uint8ClampedArray) || image.compressed) {
+                this.warn('GLTFExporter: float and compressed textures cannot be exported and were skipped');
+                this.imageCache.set(cacheKey, null);
+                return null;
+            }
+
+            // Raw data is uploaded bottom row first when flipY is off
+            mimeType = 'image/png';
+            encode = () => PNGEncoder.encode(image, { flipY });
+        } else if (isDrawable(image)) {
+            encode = () => this.encodeDrawable(image, mimeType, flipY);
+        } else if (typeof image.src !== 'string') {
+            this.warn('GLTFExporter: unsupported texture image skipped');
+            this.imageCache.set(cacheKey, null);
+            return null;
+        }
+
+        const imageDef = {};
+        if (texture.name) imageDef.name = texture.name;
+
+        if (encode) {
+            this.pendingImages.push({ imageDef, mimeType, bytes: Promise.resolve().then(encode) });
+        } else {
+            imageDef.uri = image.src;
+        }
+
+        const index = this.json.images.push(imageDef) - 1;
+        this.imageCache.set(cacheKey, index);
+        return index;
+    }
+
+    async encodeDrawable(image, mimeType, flipY) {
+        const sourceWidth = image.naturalWidth || image.videoWidth || image.width;
+        const sourceHeight = image.naturalHeight || image.videoHeight || image.height;
+        const scale = Math.min(1, this.options.maxTextureSize / Math.max(sourceWidth, sourceHeight));
+        const width = Math.max(1, Math.round(sourceWidth * scale));
+        const height = Math.max(1, Math.round(sourceHeight * scale));
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else if (typeof document !== 'undefined') {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        } else {
+            throw new Error('GLTFExporter: no canvas available to encode images');
+        }
+
+        const context = canvas.getContext('2d');
+        if (flipY) {
+            context.translate(0, height);
+            context.scale(1, -1);
+        }
+        context.drawImage(image, 0, 0, width, height);
+
+        let blob;
+        if (canvas.convertToBlob) {
+            blob = await canvas.convertToBlob({ type: mimeType, quality: this.options.imageQuality });
+        } else {
+            blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(result => {
+                    if (result) {
+                        resolve(result);
+                    } else {
+                        reject(new Error('GLTFExporter: failed to encode image'));
+                    }
+                }, mimeType, this.options.imageQuality);
+            });
+        }
+
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    async processPendingImages() {
+        const encoded = await Promise.all(this.pendingImages.map(pending => pending.bytes));
+
+        this.pendingImages.forEach(({ imageDef, mimeType }, i) => {
+            const bytes = encoded[i];
+
+            if (this.options.binary) {
+                imageDef.bufferView = this.processBufferView(bytes);
+                imageDef.mimeType = mimeType;
+            } else if (this.options.embedImages) {
+                imageDef.uri = `data:${mimeType};base64,${toBase64(bytes)}`;
+            } else {
+                const index = this.json.images.indexOf(imageDef);
+                const uri = `image_${index}.${mimeType.split('/')[1]}`;
+                imageDef.uri = uri;
+                this.files[uri] = bytes.slice().buffer;
+            }
+        });
+    }
+
+    // ==================== Cameras and lights ====================
+
+    processCamera(camera) {
+        const cameraDef = {};
+        if (camera.name) cameraDef.name = camera.name;
+
+        if (camera.isOrthographicCamera || camera.projectionType === 'orthographic') {
+            let xmag;
+            let ymag;
+            if (camera.isOrthographicCamera) {
+                const zoom = typeof camera.zoom === 'number' ? camera.zoom : 1;
+                xmag = Math.abs(camera.right - camera.left) / (2 * zoom);
+                ymag = Math.abs(camera.top - camera.bottom) / (2 * zoom);
+            } else {
+                // Camera's orthographicSize is the full view height
+                ymag = camera.orthographicSize / 2;
+                xmag = ymag * camera.aspect;
+            }
+
+            cameraDef.type = 'orthographic';
+            cameraDef.orthographic = { xmag, ymag, znear: Math.max(camera.near, 0), zfar: camera.far };
+        } else {
+            cameraDef.type = 'perspective';
+            cameraDef.perspective = { yfov: camera.fov, znear: camera.near };
+            if (camera.aspect) cameraDef.perspective.aspectRatio = camera.aspect;
+            if (Number.isFinite(camera.far)) cameraDef.perspective.zfar = camera.far;
+        }
+
+        return this.json.cameras.push(cameraDef) - 1;
+    }
+
+    /**
+     * Add a KHR_lights_punctual light to nodeDef, orienting the node so -Z follows the light direction
+     */
+    processLight(light, nodeDef) {
+        const type = LIGHT_TYPES[light.type];
+        const lightDef = { type };
+        if (light.name) lightDef.name = light.name;
+
+        const color = toColor(light.color);
+        if (color && color.some(value => value !== 1)) lightDef.color = color;
+        if (light.intensity !== undefined && light.intensity !== 1) lightDef.intensity = light.intensity;
+
+        if (type !== 'directional' && light.distance > 0) lightDef.range = light.distance;
+
+        if (type === 'spot') {
+            const outer = light.angle ?? Math.PI / 4;
+            lightDef.spot = {
+                innerConeAngle: outer * (1 - (light.penumbra ?? 0)),
+                outerConeAngle: outer
+            };
+        }
+
+        const position = toVector(light.position);
+        if (position && type !== 'directional' && position.some(value => value !== 0)) {
+            nodeDef.translation = position;
+        }
+
+        let direction = toVector(light.direction);
+        if (type === 'spot' && light.target && position) {
+            const target = toVector(light.target.position || light.target);
+            direction = target.map((value, i) => value - position[i]);
+        }
+        if (type !== 'point' && direction) {
+            const rotation = quaternionFromDirection(direction);
+            if (rotation[3] !== 1) nodeDef.rotation = rotation;
+        }
+
+        if (!this.json.extensions) this.json.extensions = {};
+        if (!this.json.extensions.KHR_lights_punctual) this.json.extensions.KHR_lights_punctual = { lights: [] };
+        const lights = this.json.extensions.KHR_lights_punctual.lights;
+
+        nodeDef.extensions = { KHR_lights_punctual: { light: lights.push(lightDef) - 1 } };
+        this.extensionsUsed.add('KHR_lights_punctual');
+    }
+
+    // ==================== Skins and animations ====================
+
+    processSkin({ nodeDef, skinnedMesh, sceneDef }) {
+        const bones = [...skinnedMesh.skeleton.values()];
+        const joints = bones.slice().sort((a, b) => (a.skinIndex >= 0 && b.skinIndex >= 0 ? a.skinIndex - b.skinIndex : 0));
+
+        for (const bone of joints) {
+            if (!this.nodeMap.has(bone)) this.addDetachedBone(bone, sceneDef);
+        }
+
+        const inverseBindMatrices = new Float32Array(joints.length * 16);
+        joints.forEach((bone, i) => {
+            const matrix = bone.inverseBindMatrix?.elements || bone.inverseBindMatrix;
+            if (matrix) {
+                inverseBindMatrices.set(matrix, i * 16);
+            } else {
+                inverseBindMatrices.set([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1], i * 16);
+            }
+        });
+
+        const skinDef = {
+            joints: joints.map(bone => this.nodeMap.get(bone)),
+            inverseBindMatrices: this.processAccessor(inverseBindMatrices, 16, { minMax: false })
+        };
+
+        const roots = joints.filter(bone => !joints.includes(bone.parent));
+        if (roots.length === 1) skinDef.skeleton = this.nodeMap.get(roots[0]);
+
+        nodeDef.skin = this.json.skins.push(skinDef) - 1;
+    }
+
+    /**
+     * Export a bone that was not reached while walking the scene, along with its unexported ancestors
+     */
+    addDetachedBone(bone, sceneDef) {
+        let root = bone;
+        while (root.parent && !this.nodeMap.has(root.parent) && !this.sceneRoots.has(root.parent)) {
+            root = root.parent;
+        }
+
+        const visible = this.options.onlyVisible;
+        this.options.onlyVisible = false;
+        const index = this.processNode(root, sceneDef);
+        this.options.onlyVisible = visible;
+
+        const parentIndex = root.parent ? this.nodeMap.get(root.parent) : undefined;
+        if (parentIndex !== undefined) {
+            const parentDef = this.json.nodes[parentIndex];
+            parentDef.children = parentDef.children || [];
+            parentDef.children.push(index);
+        } else {
+            sceneDef.nodes.push(index);
+        }
+    }
+
+    processAnimation(clip) {
+        const channels = [];
+        const samplers = [];
+
+        for (const entry of getClipTracks(clip)) {
+            const target = this.resolveAnimationTarget(entry);
+            if (!target) continue;
+
+            const { node, path } = target;
+            const times = Float32Array.from(entry.track.times);
+            let values = flattenValues(entry.track.values, times.length);
+            let valueSize = values.length / times.length;
+
+            if (path === 'rotation' && valueSize === 3) {
+                values = eulerValuesToQuaternions(values);
+                valueSize = 4;
+            }
+
+            const expectedSize = path === 'rotation' ? 4 : path === 'weights' ? this.getMorphTargetCount(node) : 3;
+            if (!Number.isInteger(valueSize) || valueSize !== expectedSize) {
+                this.warn(`GLTFExporter: track ${entry.name} does not match its ${path} target and was skipped`);
+                continue;
+            }
+
+            const interpolation = entry.interpolation === InterpolationType.STEP ? 'STEP' : 'LINEAR';
+            const sampler = samplers.push({
+                input: this.processAccessor(times, 1),
+                output: this.processAccessor(values, path === 'weights' ? 1 : valueSize, { minMax: false }),
+                interpolation
+            }) - 1;
+
+            channels.push({ sampler, target: { node, path } });
+        }
+
+        if (channels.length === 0) {
+            this.warn(`GLTFExporter: animation ${clip.name || ''} has no exportable tracks`);
+            return;
+        }
+
+        const animationDef = { samplers, channels };
+        if (clip.name) animationDef.name = clip.name;
+        this.json.animations.push(animationDef);
+    }
+
+    resolveAnimationTarget(entry) {
+        let node;
+        if (entry.nodeName) {
+            node = this.nodesByName.get(entry.nodeName);
+        } else if (this.defaultTarget) {
+            node = this.nodeMap.get(this.defaultTarget);
+        }
+
+        if (node === undefined) {
+            this.warn(`GLTFExporter: no node found for track ${entry.name}`);
+            return null;
+        }
+
+        let path = ANIMATION_PATHS[entry.property];
+        if (!entry.property) {
+            if (entry.track instanceof QuaternionKeyframeTrack) {
+                path = 'rotation';
+            } else if (entry.track instanceof NumberKeyframeTrack) {
+                path = 'weights';
+            } else {
+                path = 'translation';
+            }
+        }
+
+        if (!path) {
+            this.warn(`GLTFExporter: property ${entry.property} of track ${entry.name} cannot be exported`);
+            return null;
+        }
+
+        return { node, path };
+    }
+
+    getMorphTargetCount(nodeIndex) {
+        const mesh = this.json.meshes[this.json.nodes[nodeIndex].mesh];
+        return mesh?.primitives[0]?.targets?.length || 0;
+    }
+
+    // ==================== Buffers ====================
+
+    /**
+     * Create an accessor for typed array data, reusing one already written for the same array
+     * @param {TypedArray} array - Accessor data
+     * @param {number} itemSize - Components per element
+     * @param {Object} options - { target, normalized, minMax }
+     */
+    processAccessor(array, itemSize, options = {}) {
+        const { target, normalized = false, minMax = true } = options;
+
+        const key = `${itemSize}:${normalized}:${target}`;
+        let cached = this.accessorCache.get(array);
+        if (cached?.has(key)) return cached.get(key);
+
+        const componentType = COMPONENT_TYPES.get(array.constructor);
+        if (componentType === undefined) {
+            throw new Error(`GLTFExporter: unsupported accessor array type ${array.constructor.name}`);
+        }
+
+        const count = array.length / itemSize;
+        const accessorDef = {
+            bufferView: this.processBufferView(array, itemSize, target),
+            componentType,
+            count,
+            type: ACCESSOR_TYPES[itemSize]
+        };
+        if (normalized) accessorDef.normalized = true;
+
+        if (minMax && count > 0) {
+            const min = new Array(itemSize).fill(Infinity);
+            const max = new Array(itemSize).fill(-Infinity);
+            for (let i = 0; i < count; i++) {
+                for (let c = 0; c < itemSize; c++) {
+                    const value = array[i * itemSize + c];
+                    if (value < min[c]) min[c] = value;
+                    if (value > max[c]) max[c] = value;
+                }
+            }
+            accessorDef.min = min;
+            accessorDef.max = max;
+        }
+
+        const index = this.json.accessors.push(accessorDef) - 1;
+        if (!cached) {
+            cached = new Map();
+            this.accessorCache.set(array, cached);
+        }
+        cached.set(key, index);
+        return index;
+    }
+
+    /**
+     * Append data to the binary buffer. Vertex elements are padded to four byte strides.
+     */
+    processBufferView(array, itemSize = 1, target) {
+        let bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        let byteStride;
+
+        if (target === GL.ARRAY_BUFFER) {
+            const elementSize = itemSize * array.BYTES_PER_ELEMENT;
+            byteStride = Math.ceil(elementSize / 4) * 4;
+
+            if (byteStride !== elementSize) {
+                const count = array.length / itemSize;
+                const padded = new Uint8Array(count * byteStride);
+                for (let i = 0; i < count; i++) {
+                    padded.set(bytes.subarray(i * elementSize, (i + 1) * elementSize), i * byteStride);
+                }
+                bytes = padded;
+            }
+        }
+
+        const byteOffset = this.byteLength;
+        this.chunks.push(bytes);
+        this.byteLength += bytes.byteLength;
+
+        const padding = (4 - (this.byteLength % 4)) % 4;
+        if (padding > 0) {
+            this.chunks.push(new Uint8Array(padding));
+            this.byteLength += padding;
+        }
+
+        const bufferViewDef = { buffer: 0, byteOffset, byteLength: bytes.byteLength };
+        if (target !== undefined) bufferViewDef.target = target;
+        if (byteStride !== undefined) bufferViewDef.byteStride = byteStride;
+
+        return this.json.bufferViews.push(bufferViewDef) - 1;
+    }
+
+    finalize() {
+        const json = this.json;
+        let binary = null;
+
+        if (this.byteLength > 0) {
+            binary = new Uint8Array(this.byteLength);
+            let offset = 0;
+            for (const chunk of this.chunks) {
+                binary.set(chunk, offset);
+                offset += chunk.byteLength;
+            }
+
+            const bufferDef = { byteLength: this.byteLength };
+            if (!this.options.binary) {
+                if (this.options.embedBuffers) {
+                    bufferDef.uri = `data:application/octet-stream;base64,${toBase64(binary)}`;
+                } else {
+                    bufferDef.uri = this.options.bufferName;
+                    this.files[this.options.bufferName] = binary.buffer;
+                }
+            }
+            json.buffers.push(bufferDef);
+        }
+
+        for (const key of Object.keys(json)) {
+            if (Array.isArray(json[key]) && json[key].length === 0) delete json[key];
+        }
+        if (json.scenes) json.scene = 0;
+        if (this.extensionsUsed.size > 0) json.extensionsUsed = [...this.extensionsUsed];
+
+        if (!this.options.binary) {
+            return { json, files: this.files };
+        }
+
+        return createGLB(json, binary);
+    }
+
+    getObjectId(object) {
+        if (!object || typeof object !== 'object') return 'none';
+        if (!this.objectIds.has(object)) this.objectIds.set(object, this.objectIds.size + 1);
+        return this.objectIds.get(object);
+    }
+
+    warn(message) {
+        if (this.warnings.has(message)) return;
+        this.warnings.add(message);
+        console.warn(message);
+    }
+}
+
+// ==================== Helpers ====================
+
+function isLight(object) {
+    return typeof object.type === 'string' && /Light$/.test(object.type) && object.intensity !== undefined;
+}
+
+function isCamera(object) {
+    return object.isCamera === true || object.isOrthographicCamera === true;
+}
+
+function isMesh(object) {
+    return Array.isArray(object.primitives) || (object.geometry !== undefined && object.geometry !== null);
+}
+
+function getSkinnedMesh(object) {
+    if (object instanceof SkinnedMesh) return object;
+    if (object.skinnedMesh instanceof SkinnedMesh) return object.skinnedMesh;
+    return null;
+}
+
+// Texture enums are indices into FILTERS/WRAP_MODES; raw GL values pass through
+function toGLFilter(filter, fallback) {
+    if (filter === undefined || filter === null) return fallback;
+    return filter < FILTERS.length ? FILTERS[filter] : filter;
+}
+
+function toGLWrap(wrap) {
+    if (wrap === undefined || wrap === null) return GL.REPEAT;
+    return wrap < WRAP_MODES.length ? WRAP_MODES[wrap] : wrap;
+}
+
+function isPixelData(image) {
+    return ArrayBuffer.isView(image.data) && image.width > 0 && image.height > 0;
+}
+
+function isDrawable(image) {
+    return (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement) ||
+        (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement) ||
+        (typeof OffscreenCanvas !== 'undefined' && image instanceof OffscreenCanvas) ||
+        (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap);
+}
+
+/**
+ * Read geometry attributes from a core BufferGeometry (possibly interleaved), a primitive
+ * geometry with flat vertex arrays, or a plain { attributes, index } object
+ * @returns {{attributes: Object, index: TypedArray|null}} Attributes keyed by GLTF semantic
+ */
+function readGeometry(geometry) {
+    const attributes = {};
+    let index = null;
+
+    if (typeof geometry.getAttributes === 'function') {
+        for (const attribute of geometry.getAttributes()) {
+            const data = attribute.buffer?.getData?.();
+            if (!data) continue;
+
+            let array = data;
+            const stride = attribute.stride ? attribute.stride / data.BYTES_PER_ELEMENT : 0;
+            if (stride && stride !== attribute.size) {
+                const offset = attribute.byteOffset / data.BYTES_PER_ELEMENT;
+                const count = Math.floor((data.length - offset) / stride) + ((data.length - offset) % stride >= attribute.size ? 1 : 0);
+                array = new data.constructor(count * attribute.size);
+                for (let i = 0; i < count; i++) {
+                    for (let c = 0; c < attribute.size; c++) {
+                        array[i * attribute.size + c] = data[offset + i * stride + c];
+                    }
+                }
+            }
+
+            attributes[toGLTFAttributeName(attribute.name)] = {
+                array,
+                itemSize: attribute.size,
+                normalized: attribute.normalized === true
+            };
+        }
+        index = geometry.getIndexBuffer?.()?.getData?.() || null;
+    } else if (geometry.attributes && typeof geometry.attributes === 'object') {
+        const entries = geometry.attributes instanceof Map ? geometry.attributes.entries() : Object.entries(geometry.attributes);
+        for (const [name, attribute] of entries) {
+            if (!attribute?.array) continue;
+            attributes[toGLTFAttributeName(name)] = {
+                array: attribute.array,
+                itemSize: attribute.itemSize,
+                normalized: attribute.normalized === true
+            };
+        }
+        index = geometry.index?.array || (ArrayBuffer.isView(geometry.index) ? geometry.index : null);
+    } else {
+        const vertexCount = (geometry.vertices?.length || 0) / 3;
+        for (const [key, name] of PRIMITIVE_ARRAYS) {
+            if (geometry[key]?.length && vertexCount > 0) {
+                attributes[name] = { array: geometry[key], itemSize: geometry[key].length / vertexCount, normalized: false };
+            }
+        }
+        index = geometry.indices?.length ? geometry.indices : null;
+    }
+
+    return { attributes, index };
+}
+
+function toGLTFAttributeName(name) {
+    if (ATTRIBUTE_NAMES[name]) return ATTRIBUTE_NAMES[name];
+    if (/^[A-Z0-9_]+$/.test(name)) return name;
+    return `_${name.toUpperCase()}`;
+}
+
+/**
+ * Convert an attribute to component types allowed for its GLTF semantic
+ */
+function prepareAttribute(name, { array, itemSize, normalized }) {
+    if (!itemSize || !ACCESSOR_TYPES[itemSize]) return null;
+
+    if (name === 'JOINTS_0') {
+        const joints = new Uint16Array(array.length);
+        for (let i = 0; i < array.length; i++) joints[i] = Math.max(0, array[i]);
+        return { array: joints, itemSize, normalized: false };
+    }
+
+    if (name === 'TANGENT') {
+        // GLTF requires unit tangents; incomplete ones are dropped so loaders regenerate them
+        for (let i = 0; i < array.length; i += itemSize) {
+            const length = Math.hypot(array[i], array[i + 1], array[i + 2]);
+            if (Math.abs(length - 1) > 0.01) return null;
+        }
+    }
+
+    if (name === 'TANGENT' && itemSize === 3) {
+        const tangents = new Float32Array(array.length / 3 * 4);
+        for (let i = 0, j = 0; i < array.length; i += 3, j += 4) {
+            tangents[j] = array[i];
+            tangents[j + 1] = array[i + 1];
+            tangents[j + 2] = array[i + 2];
+            tangents[j + 3] = 1;
+        }
+        return { array: tangents, itemSize: 4, normalized: false };
+    }
+
+    const allowsNormalized = /^(TEXCOORD_|COLOR_|WEIGHTS_)/.test(name);
+    const isNormalizedInteger = normalized && (array instanceof Uint8Array || array instanceof Uint16Array);
+
+    if (array instanceof Float32Array || (allowsNormalized && isNormalizedInteger) || name.startsWith('_')) {
+        if (COMPONENT_TYPES.has(array.constructor)) return { array, itemSize, normalized };
+    }
+
+    return { array: toFloat32(array, normalized), itemSize, normalized: false };
+}
+
+function toFloat32(array, normalized) {
+    if (!normalized || array instanceof Float32Array || Array.isArray(array)) return Float32Array.from(array);
+
+    const max = {
+        Int8Array: 127, Uint8Array: 255, Uint8ClampedArray: 255, Int16Array: 32767, Uint16Array: 65535
+    }[array.constructor.name] || 1;
+
+    return Float32Array.from(array, value => Math.max(value / max, -1));
+}
+
+function toIndexArray(index, vertexCount) {
+    if (index instanceof Uint16Array || index instanceof Uint32Array) return index;
+    return vertexCount <= 65535 ? Uint16Array.from(index) : Uint32Array.from(index);
+}
+
+function dropComponent(array, size) {
+    if (size === 3) return array;
+    const result = new Float32Array(array.length / 4 * 3);
+    for (let i = 0, j = 0; i < array.length; i += 4, j += 3) {
+        result[j] = array[i];
+        result[j + 1] = array[i + 1];
+        result[j + 2] = array[i + 2];
+    }
+    return result;
+}
+
+function toVector(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) return Array.from(value);
+    if (typeof value.x === 'number') {
+        return typeof value.z === 'number' ? [value.x, value.y, value.z] : [value.x, value.y];
+    }
+    return null;
+}
+
+/**
+ * Colors may be [r, g, b] arrays, { r, g, b } objects, hex numbers or CSS hex strings
+ */
+function toColor(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) return Array.from(value).slice(0, 3);
+    if (typeof value.r === 'number') return [value.r, value.g, value.b];
+
+    let hex = value;
+    if (typeof value === 'string') {
+        if (!/^#?[0-9a-f]{6}$/i.test(value)) return null;
+        hex = parseInt(value.replace('#', ''), 16);
+    }
+    if (typeof hex !== 'number') return null;
+
+    return [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
+}
+
+function isIdentityTransform(transform) {
+    return (transform[0] || 0) === 0 && (transform[1] || 0) === 0 &&
+        (transform[2] ?? 1) === 1 && (transform[3] ?? 1) === 1 && (transform[4] || 0) === 0;
+}
+
+/**
+ * Node rotations are Euler angles matching Object3D.composeTRS, or quaternions with a w component
+ */
+function rotationToQuaternion(rotation) {
+    if (!rotation) return null;
+    if (typeof rotation.w === 'number') return [rotation.x, rotation.y, rotation.z, rotation.w];
+
+    const euler = toVector(rotation);
+    if (!euler) return null;
+    if (euler.length === 4) return euler;
+    return eulerToQuaternion(euler[0], euler[1], euler[2]);
+}
+
+function eulerToQuaternion(x, y, z) {
+    const cosX = Math.cos(x);
+    const sinX = Math.sin(x);
+    const cosY = Math.cos(y);
+    const sinY = Math.sin(y);
+    const cosZ = Math.cos(z);
+    const sinZ = Math.sin(z);
+
+    // Column-major rotation exactly as Object3D.composeTRS builds it
+    const m = [
+        cosZ * cosY, cosZ * sinY * sinX - sinZ * cosX, cosZ * sinY * cosX + sinZ * sinX,
+        sinZ * cosY, sinZ * sinY * sinX + cosZ * cosX, sinZ * sinY * cosX - cosZ * sinX,
+        -sinY, cosY * sinX, cosY * cosX
+    ];
+
+    return quaternionFromMatrix(m);
+}
+
+/**
+ * Quaternion from a column-major 3x3 rotation matrix
+ */
+function quaternionFromMatrix(m) {
+    const m11 = m[0], m12 = m[3], m13 = m[6];
+    const m21 = m[1], m22 = m[4], m23 = m[7];
+    const m31 = m[2], m32 = m[5], m33 = m[8];
+    const trace = m11 + m22 + m33;
+
+    let q;
+    if (trace > 0) {
+        const s = 0.5 / Math.sqrt(trace + 1);
+        q = [(m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s];
+    } else if (m11 > m22 && m11 > m33) {
+        const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+        q = [0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s];
+    } else if (m22 > m33) {
+        const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+        q = [(m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s];
+    } else {
+        const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+        q = [(m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s];
+    }
+
+    // Snap rounding noise so identity rotations are omitted
+    return q.map(value => (Math.abs(value) < 1e-12 ? 0 : Math.abs(value - 1) < 1e-12 ? 1 : value));
+}
+
+/**
+ * Rotation taking the node's -Z axis onto direction
+ */
+function quaternionFromDirection(direction) {
+    const length = Math.hypot(direction[0], direction[1], direction[2]);
+    if (length === 0) return [0, 0, 0, 1];
+
+    const [x, y, z] = direction.map(value => value / length);
+    const dot = -z;
+
+    if (dot < -0.999999) return [0, 1, 0, 0];
+
+    // Cross product of (0, 0, -1) and direction
+    const q = [y, -x, 0, 1 + dot];
+    const norm = Math.hypot(...q);
+    return q.map(value => value / norm);
+}
+
+function eulerValuesToQuaternions(values) {
+    const count = values.length / 3;
+    const result = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+        result.set(eulerToQuaternion(values[i * 3], values[i * 3 + 1], values[i * 3 + 2]), i * 4);
+    }
+    return result;
+}
+
+/**
+ * Keyframe values may be flat numbers or one number/array/vector per keyframe
+ */
+function flattenValues(values, keyframeCount) {
+    const first = values[0];
+    if (typeof first === 'number' || values.length !== keyframeCount) return Float32Array.from(values);
+
+    const result = [];
+    for (const value of values) {
+        if (typeof value === 'number') {
+            result.push(value);
+        } else if (typeof value.w === 'number') {
+            result.push(value.x, value.y, value.z, value.w);
+        } else {
+            result.push(...toVector(value));
+        }
+    }
+    return Float32Array.from(result);
+}
+
+/**
+ * Normalize both clip formats: animation/AnimationClip track arrays named "node.property"
+ * and SkeletalAnimation clips mapping bone names to property tracks
+ */
+function getClipTracks(clip) {
+    if (clip.tracks instanceof Map) {
+        return [...clip.tracks].map(([boneName, track]) => ({
+            track,
+            name: `${boneName}.${track.property}`,
+            nodeName: boneName,
+            property: track.property,
+            interpolation: track.interpolation
+        }));
+    }
+
+    return (clip.tracks || []).map(track => {
+        const match = /^(?:(.*)\.)?(position|translation|rotation|quaternion|scale|weights|morphTargetInfluences)$/.exec(track.name);
+        return {
+            track,
+            name: track.name,
+            nodeName: match ? match[1] : track.name,
+            property: match ? match[2] : null,
+            interpolation: track.type
+        };
+    });
+}
+
+function serializeExtras(...sources) {
+    const extras = {};
+    for (const source of sources) {
+        if (source && typeof source === 'object') Object.assign(extras, source);
+    }
+    if (Object.keys(extras).length === 0) return null;
+
+    try {
+        return JSON.parse(JSON.stringify(extras));
+    } catch (error) {
+        console.warn('GLTFExporter: userData could not be serialized', error);
+        return null;
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Pack the document and binary buffer into a GLB container
+ */
+function createGLB(json, binary) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binaryLength = binary ? Math.ceil(binary.length / 4) * 4 : 0;
+    const totalLength = 12 + 8 + jsonLength + (binary ? 8 + binaryLength : 0);
+
+    const glb = new ArrayBuffer(totalLength);
+    const view = new DataView(glb);
+    const bytes = new Uint8Array(glb);
+
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    bytes.set(jsonBytes, 20);
+    bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+    if (binary) {
+        const offset = 20 + jsonLength;
+        view.setUint32(offset, binaryLength, true);
+        view.setUint32(offset + 4, GLB_CHUNK_BIN, true);
+        bytes.set(binary, offset + 8);
+    }
+
+    return glb;
+}
+
+export default GLTFExporter;
@@ -8,12 +8,21 @@ import { Loader, LoadingManager } from './loader.ts';
 import { Object3D } from '../core/Object3D.js';
 import { Mesh, MeshConfig } from '../core/Mesh.js';
 import { BufferGeometry, VertexAttribute } from '../core/BufferGeometry.js';
+import { Bone, SkinnedMesh } from '../core/SkeletalAnimation.js';
+import { MorphTarget, MorphTargetManager } from '../core/MorphTarget.js';
+import { Matrix4 } from '../core/math/Matrix4.js';
+import { Vector3 } from '../core/math/Vector3.js';
+import { Quaternion } from '../core/math/Quaternion.js';
+import { MeshOptDecoder } from './MeshOptDecoder.js';
 import { AnimationMixer } from '../animation/AnimationMixer.js';
 import { AnimationClip } from '../animation/AnimationClip.js';
-import { VectorKeyframeTrack, QuaternionKeyframeTrack, NumberKeyframeTrack } from '../animation/KeyframeTrack.js';
+import { InterpolationType } from '../animation/AnimationUtils.js';
+import { KeyframeTrack, VectorKeyframeTrack, QuaternionKeyframeTrack } from '../animation/KeyframeTrack.js';
 import { MeshStandardMaterial } from '../materials/MeshStandardMaterial.js';
 import { MeshPhongMaterial } from '../materials/MeshPhongMaterial.js';
 import { MeshBasicMaterial } from '../materials/MeshBasicMaterial.js';
+import { MeshPhysicalMaterial } from '../materials/MeshPhysicalMaterial.js';
+import { AnisotropicMaterial } from '../materials/AnisotropicMaterial.js';
 import { PerspectiveCamera } from '../cameras/PerspectiveCamera.js';
 import { DirectionalLight } from '../lights/DirectionalLight.js';
 import { PointLight } from '../lights/PointLight.js';
@@ -21,6 +30,15 @@ import { SpotLight } from '../lights/SpotLight.js';
 import { AmbientLight } from '../lights/AmbientLight.js';
 import { TextureLoader } from './TextureLoader.js';
 
+// Material extensions that need MeshPhysicalMaterial
+const PHYSICAL_EXTENSIONS = [
+    'KHR_materials_clearcoat',
+    'KHR_materials_transmission',
+    'KHR_materials_volume',
+    'KHR_materials_sheen',
+    'KHR_materials_iridescence'
+];
+
 /**
  * GLTF Loader configuration
  */
@@ -60,6 +78,73 @@ export class GLTFAsset {
         this.accessors = [];
         this.asset = null;
         this.extras = {};
+        
+        // KHR_materials_variants names and the selected one
+        this.variants = [];
+        this.variant = null;
+    }
+
+    /**
+     * Switch every primitive to its material for a KHR_materials_variants variant
+     * @param {string|number|null} variant - Variant name or index; null restores the default materials
+     */
+    selectVariant(variant) {
+        let index = null;
+        
+        if (variant !== null && variant !== undefined) {
+            index = typeof variant === 'number' ? variant : this.variants.indexOf(variant);
+            if (index < 0 || index >= this.variants.length) {
+                throw new Error(`Unknown material variant: ${variant}`);
+            }
+        }
+        
+        this._forEachPrimitive(primitive => {
+            if (!primitive.variantMaterials) return;
+            
+            const material = index === null ? primitive.defaultMaterial : primitive.variantMaterials.get(index) || primitive.defaultMaterial;
+            primitive.material = material;
+            if (primitive.skinnedMesh) primitive.skinnedMesh.material = material;
+        });
+        
+        this.variant = index === null ? null : this.variants[index];
+    }
+
+    /**
+     * Variants that map a material to at least one primitive of an object's meshes
+     * @param {Object3D} [object] - Subtree to inspect; all meshes when omitted
+     * @returns {string[]} Variant names
+     */
+    getVariants(object = null) {
+        const used = new Set();
+        
+        this._forEachPrimitive(primitive => {
+            primitive.variantMaterials?.forEach((material, index) => used.add(index));
+        }, object);
+        
+        return this.variants.filter((name, index) => used.has(index));
+    }
+
+    /**
+     * Visit mesh primitives, including meshes instanced on several nodes
+     * @private
+     */
+    _forEachPrimitive(callback, object = null) {
+        const meshes = new Set();
+        const collect = node => {
+            if (node.primitives) meshes.add(node);
+            node.children?.forEach(collect);
+        };
+        
+        if (object) {
+            collect(object);
+        } else {
+            this.meshes.forEach(mesh => meshes.add(mesh));
+            this.nodes.forEach(collect);
+        }
+        
+        const primitives = new Set();
+        meshes.forEach(mesh => mesh.primitives.forEach(primitive => primitives.add(primitive)));
+        primitives.forEach(callback);
     }
 }
 
@@ -79,6 +164,11 @@ export class GLTFLoader extends Loader {
         this.textureCache = new Map();
         this.materialCache = new Map();
         this.nodeCache = new Map();
+        this.dracoLoader = null;
+        this.dracoGeometries = new Map();
+        this.meshoptBufferViews = new Map();
+        this.ktx2Loader = null;
+        this.ktx2Textures = new Map();
         
         // Extension support
         this.extensions = {};
@@ -86,6 +176,14 @@ export class GLTFLoader extends Loader {
         this.registerExtension('KHR_materials_unlit', this._loadUnlitExtension.bind(this));
         this.registerExtension('KHR_texture_transform', this._loadTextureTransformExtension.bind(this));
         this.registerExtension('KHR_materials_clearcoat', this._loadClearcoatExtension.bind(this));
+        this.registerExtension('KHR_materials_transmission', this._loadTransmissionExtension.bind(this));
+        this.registerExtension('KHR_materials_volume', this._loadVolumeExtension.bind(this));
+        this.registerExtension('KHR_materials_ior', this._loadIorExtension.bind(this));
+        this.registerExtension('KHR_materials_specular', this._loadSpecularExtension.bind(this));
+        this.registerExtension('KHR_materials_sheen', this._loadSheenExtension.bind(this));
+        this.registerExtension('KHR_materials_iridescence', this._loadIridescenceExtension.bind(this));
+        this.registerExtension('KHR_materials_anisotropy', this._loadAnisotropyExtension.bind(this));
+        this.registerExtension('KHR_materials_emissive_strength', this._loadEmissiveStrengthExtension.bind(this));
     }
 
     /**
@@ -95,6 +193,22 @@ export class GLTFLoader extends Loader {
         this.extensions[name] = handler;
     }
 
+    /**
+     * Set the DracoLoader used to decode KHR_draco_mesh_compression primitives
+     */
+    setDracoLoader(dracoLoader) {
+        this.dracoLoader = dracoLoader;
+        return this;
+    }
+
+    /**
+     * Set the KTX2Loader used to load KHR_texture_basisu images
+     */
+    setKTX2Loader(ktx2Loader) {
+        this.ktx2Loader = ktx2Loader;
+        return this;
+    }
+
     /**
      * Load GLTF file (JSON or GLB)
      */
@@ -200,13 +314,20 @@ export class GLTFLoader extends Loader {
             
             // Load external resources
             await this._loadExternalResources();
+            this._decodeMeshoptBufferViews();
+            await this._decodeDracoPrimitives();
+            await this._loadBasisuTextures();
             
-            // Parse all components
+            // Parse all components; materials come before the meshes that use them,
+            // nodes and skins before the meshes are instantiated on nodes
             this._parseAsset(asset);
-            this._parseScenes(asset);
+            this._parseMaterials(asset);
+            this._parseVariants(asset);
             this._parseNodes(asset);
+            this._parseScenes(asset);
             this._parseMeshes(asset);
-            this._parseMaterials(asset);
+            this._parseSkins(asset);
+            this._attachNodeMeshes(asset);
             this._parseTextures(asset);
             this._parseImages(asset);
             this._parseAccessors(asset);
@@ -215,7 +336,6 @@ export class GLTFLoader extends Loader {
             this._parseAnimations(asset);
             this._parseCameras(asset);
             this._parseLights(asset);
-            this._parseSkins(asset);
             this._parseExtras(asset);
 
             this.parsing = false;
@@ -244,7 +364,8 @@ export class GLTFLoader extends Loader {
         // Load external images
         if (this.json.images) {
             this.json.images.forEach((image, index) => {
-                if (image.uri && !this._isDataUri(image.uri)) {
+                // KTX2 images are loaded by _loadBasisuTextures()
+                if (image.uri && !this._isDataUri(image.uri) && !this._isKTX2Image(image)) {
                     promises.push(this._loadImage(image.uri, index));
                 }
             });
@@ -365,6 +486,11 @@ export class GLTFLoader extends Loader {
                 scene.name = sceneData.name || `Scene_${index}`;
                 scene.extras = sceneData.extras || {};
                 
+                (sceneData.nodes || []).forEach(nodeIndex => {
+                    const node = asset.nodes[nodeIndex];
+                    if (node) scene.addChild(node);
+                });
+                
                 asset.scenes.push(scene);
                 if (!asset.scene && index === (this.json.scene || 0)) {
                     asset.scene = scene;
@@ -379,32 +505,45 @@ export class GLTFLoader extends Loader {
     _parseNodes(asset) {
         if (!this.json.nodes) return;
         
+        // Skin joints become bones
+        const jointIndices = new Set();
+        if (this.config.skins) {
+            (this.json.skins || []).forEach(skinData => skinData.joints.forEach(joint => jointIndices.add(joint)));
+        }
+        
+        // Animation tracks address nodes by name, so names are made unique
+        const usedNames = new Set();
+        
         this.json.nodes.forEach((nodeData, index) => {
-            const node = new Object3D();
-            node.name = nodeData.name || `Node_${index}`;
+            let name = nodeData.name || `Node_${index}`;
+            for (let suffix = 1; usedNames.has(name); suffix++) {
+                name = `${nodeData.name || `Node_${index}`}_${suffix}`;
+            }
+            usedNames.add(name);
+            
+            const node = jointIndices.has(index) ? new Bone(name) : new Object3D();
+            node.name = name;
             
-            // Transform
+            // Transform; a rotation with w is a quaternion for Object3D.composeTRS
             if (nodeData.matrix) {
                 this._setMatrixFromArray(node, nodeData.matrix);
             } else {
                 if (nodeData.translation) node.position = { x: nodeData.translation[0], y: nodeData.translation[1], z: nodeData.translation[2] };
-                if (nodeData.rotation) {
-                    node.rotation = { x: nodeData.rotation[0], y: nodeData.rotation[1], z: nodeData.rotation[2] };
-                    node.rotation.w = nodeData.rotation[3];
-                }
+                if (nodeData.rotation) node.rotation = { x: nodeData.rotation[0], y: nodeData.rotation[1], z: nodeData.rotation[2], w: nodeData.rotation[3] };
                 if (nodeData.scale) node.scale = { x: nodeData.scale[0], y: nodeData.scale[1], z: nodeData.scale[2] };
             }
             
-            // Hierarchy
-            if (nodeData.children) {
-                node.children = nodeData.children.map(childIndex => 
-                    asset.nodes[childIndex]
-                ).filter(child => child !== undefined);
-            }
-            
             node.extras = nodeData.extras || {};
             asset.nodes.push(node);
         });
+        
+        // Hierarchy, linked once every node exists since children may follow their parent
+        this.json.nodes.forEach((nodeData, index) => {
+            (nodeData.children || []).forEach(childIndex => {
+                const child = asset.nodes[childIndex];
+                if (child) asset.nodes[index].addChild(child);
+            });
+        });
     }
 
     /**
@@ -433,12 +572,27 @@ export class GLTFLoader extends Loader {
                 const geometry = this._createGeometryFromPrimitive(primitiveData);
                 const material = this._getMaterial(primitiveData.material);
                 
-                return {
+                const primitive = {
                     geometry,
                     material,
-                    mode: primitiveData.mode || 4, // TRIANGLES
-                    indices: primitiveData.indices
+                    mode: primitiveData.mode ?? 4, // TRIANGLES
+                    indices: primitiveData.indices,
+                    morphTargetManager: primitiveData.targets ? this._createMorphTargets(primitiveData, geometry, meshData) : null
                 };
+                
+                // KHR_materials_variants: variant index -> material
+                const mappings = primitiveData.extensions?.KHR_materials_variants?.mappings;
+                if (mappings) {
+                    primitive.defaultMaterial = material;
+                    primitive.variantMaterials = new Map();
+                    mappings.forEach(mapping => {
+                        mapping.variants.forEach(variantIndex => {
+                            primitive.variantMaterials.set(variantIndex, this._getMaterial(mapping.material));
+                        });
+                    });
+                }
+                
+                return primitive;
             });
         }
         
@@ -451,37 +605,317 @@ export class GLTFLoader extends Loader {
             mesh.morphTargetNames = meshData.extras.targetNames;
         }
         
+        mesh.morphTargetManager = mesh.primitives?.find(primitive => primitive.morphTargetManager)?.morphTargetManager || null;
+        if (mesh.morphTargetManager) {
+            this._bindMorphTargetInfluences(mesh, mesh);
+        }
+        
         return mesh;
     }
 
+    /**
+     * Create the morph targets of a primitive, starting at the mesh's default weights
+     */
+    _createMorphTargets(primitiveData, geometry, meshData) {
+        const manager = new MorphTargetManager(geometry);
+        const names = meshData.extras?.targetNames || [];
+        const vertexCount = this.json.accessors[primitiveData.attributes.POSITION]?.count || 0;
+        
+        primitiveData.targets.forEach((target, index) => {
+            const read = semantic => target[semantic] !== undefined ? this._readAccessor(target[semantic], true) : null;
+            
+            manager.addMorphTarget(
+                new MorphTarget(names[index] || `target_${index}`, read('POSITION') || new Float32Array(vertexCount * 3), read('NORMAL'), read('TANGENT')),
+                meshData.weights?.[index] ?? 0
+            );
+        });
+        
+        return manager;
+    }
+
+    /**
+     * Expose morphTargetInfluences on an object, forwarding writes to every primitive
+     * of the mesh so animation tracks can drive the weights
+     */
+    _bindMorphTargetInfluences(object, mesh) {
+        Object.defineProperty(object, 'morphTargetInfluences', {
+            configurable: true,
+            enumerable: true,
+            get: () => mesh.morphTargetManager.influences,
+            set: influences => {
+                const values = Array.from(influences);
+                mesh.primitives.forEach(primitive => primitive.morphTargetManager?.setInfluences(values));
+            }
+        });
+    }
+
+    /**
+     * Add each node's mesh as a child of the node. Meshes used by several nodes are
+     * instanced, and nodes with a skin bind a SkinnedMesh per primitive.
+     */
+    _attachNodeMeshes(asset) {
+        if (!this.json.nodes) return;
+        
+        const attached = new Set();
+        
+        this.json.nodes.forEach((nodeData, index) => {
+            const template = asset.meshes[nodeData.mesh];
+            if (!template) return;
+            
+            const node = asset.nodes[index];
+            const mesh = attached.has(template) ? this._instantiateMesh(template) : template;
+            attached.add(template);
+            node.addChild(mesh);
+            
+            const skin = asset.skins[nodeData.skin];
+            if (skin) {
+                this._bindSkin(mesh, skin);
+            }
+            
+            if (mesh.morphTargetManager) {
+                this._bindMorphTargetInfluences(node, mesh);
+            }
+        });
+    }
+
+    /**
+     * Create another instance of a mesh sharing its geometry, materials and morph targets
+     */
+    _instantiateMesh(template) {
+        const mesh = new Mesh();
+        mesh.name = template.name;
+        mesh.extras = template.extras;
+        mesh.primitives = template.primitives.map(primitive => ({ ...primitive }));
+        mesh.weights = template.weights;
+        mesh.morphTargetNames = template.morphTargetNames;
+        mesh.morphTargetManager = template.morphTargetManager;
+        
+        if (mesh.morphTargetManager) {
+            this._bindMorphTargetInfluences(mesh, mesh);
+        }
+        
+        return mesh;
+    }
+
+    /**
+     * Bind each primitive of a mesh to a skin with JOINTS_0/WEIGHTS_0
+     */
+    _bindSkin(mesh, skin) {
+        // glTF skinning ignores the transform of the skinned node: bind with its inverse world matrix
+        const ancestors = [];
+        for (let object = mesh; object; object = object.parent) ancestors.unshift(object);
+        ancestors.forEach(object => object.updateMatrix());
+        const bindMatrixInverse = new Matrix4().fromArray(mesh.worldMatrix).invert();
+        
+        mesh.primitives = mesh.primitives.map(primitive => {
+            const skinnedMesh = new SkinnedMesh(primitive.geometry, skin.skeleton);
+            const joints = primitive.geometry.attributes?.JOINTS_0;
+            const weights = primitive.geometry.attributes?.WEIGHTS_0;
+            
+            if (joints && weights) {
+                skinnedMesh.skinIndex = Float32Array.from(joints.array);
+                skinnedMesh.skinWeight = weights.normalized ? this._dequantize(weights.array) : Float32Array.from(weights.array);
+            }
+            
+            skinnedMesh.material = primitive.material;
+            skinnedMesh.morphTargetManager = primitive.morphTargetManager;
+            skinnedMesh.bindMatrixInverse.copy(bindMatrixInverse);
+            
+            return { ...primitive, skinnedMesh };
+        });
+        
+        mesh.skin = skin;
+        mesh.skinnedMesh = mesh.primitives[0]?.skinnedMesh || null;
+    }
+
+    /**
+     * Decode EXT_meshopt_compression buffer views so accessors can read them like plain views
+     */
+    _decodeMeshoptBufferViews() {
+        this.meshoptBufferViews.clear();
+
+        (this.json.bufferViews || []).forEach(bufferView => {
+            const extension = bufferView.extensions?.EXT_meshopt_compression ||
+                              bufferView.extensions?.KHR_meshopt_compression;
+            if (!extension) return;
+
+            const bufferData = this._getBufferData(extension.buffer);
+            const source = new Uint8Array(
+                bufferData.buffer,
+                bufferData.byteOffset + (extension.byteOffset || 0),
+                extension.byteLength
+            );
+            const target = new Uint8Array(extension.count * extension.byteStride);
+
+            MeshOptDecoder.decodeGltfBuffer(
+                target,
+                extension.count,
+                extension.byteStride,
+                source,
+                extension.mode,
+                extension.filter || 'NONE'
+            );
+            this.meshoptBufferViews.set(bufferView, target);
+        });
+    }
+
+    /**
+     * Decode all KHR_draco_mesh_compression primitives up front, since decoding is asynchronous
+     */
+    async _decodeDracoPrimitives() {
+        this.dracoGeometries.clear();
+
+        const primitives = [];
+        (this.json.meshes || []).forEach(meshData => {
+            (meshData.primitives || []).forEach(primitiveData => {
+                if (primitiveData.extensions?.KHR_draco_mesh_compression) {
+                    primitives.push(primitiveData);
+                }
+            });
+        });
+
+        if (primitives.length === 0) return;
+
+        if (!this.dracoLoader) {
+            throw new Error('KHR_draco_mesh_compression requires a DracoLoader, see setDracoLoader()');
+        }
+
+        await Promise.all(primitives.map(async primitiveData => {
+            const extension = primitiveData.extensions.KHR_draco_mesh_compression;
+            const bufferView = this.json.bufferViews[extension.bufferView];
+            const attributeTypes = {};
+            const normalized = {};
+
+            // Decode into the component types the accessors declare
+            Object.keys(extension.attributes).forEach(attrName => {
+                const accessor = this.json.accessors[primitiveData.attributes[attrName]];
+                if (accessor) {
+                    attributeTypes[attrName] = this._getTypedArrayName(accessor.componentType);
+                    normalized[attrName] = accessor.normalized || false;
+                }
+            });
+
+            const geometry = await this.dracoLoader.decodeGeometry(this._getBufferViewData(bufferView), {
+                attributeIDs: extension.attributes,
+                attributeTypes,
+                normalized
+            });
+            this.dracoGeometries.set(primitiveData, geometry);
+        }));
+    }
+
+    /**
+     * Load the KTX2 images of KHR_texture_basisu textures up front, since transcoding is asynchronous
+     */
+    async _loadBasisuTextures() {
+        this.ktx2Textures.clear();
+
+        const sources = new Set();
+        (this.json.textures || []).forEach(textureData => {
+            const extension = textureData.extensions?.KHR_texture_basisu;
+            if (extension && extension.source !== undefined) {
+                sources.add(extension.source);
+            }
+        });
+
+        if (sources.size === 0) return;
+
+        if (!this.ktx2Loader) {
+            if ((this.json.extensionsRequired || []).includes('KHR_texture_basisu')) {
+                throw new Error('KHR_texture_basisu requires a KTX2Loader, see setKTX2Loader()');
+            }
+            // Optional extension: textures fall back to their regular source
+            return;
+        }
+
+        await Promise.all([...sources].map(async imageIndex => {
+            const image = this.json.images[imageIndex];
+            let texture;
+
+            if (image.bufferView !== undefined) {
+                texture = await this.ktx2Loader.parse(this._getBufferViewData(this.json.bufferViews[image.bufferView]));
+            } else if (this._isDataUri(image.uri)) {
+                texture = await this.ktx2Loader.parse(this._loadDataUri(image.uri));
+            } else {
+                texture = await this.ktx2Loader.load(this.basePath + image.uri);
+            }
+
+            this.ktx2Textures.set(imageIndex, texture);
+        }));
+    }
+
+    _isKTX2Image(image) {
+        return image.mimeType === 'image/ktx2' || (!!image.uri && /\.ktx2$/i.test(image.uri));
+    }
+
     /**
      * Create geometry from primitive
      */
     _createGeometryFromPrimitive(primitiveData) {
-        const geometry = new BufferGeometry();
+        if (this.dracoGeometries.has(primitiveData)) {
+            return this._completeDracoGeometry(primitiveData, this.dracoGeometries.get(primitiveData));
+        }
+
+        // Plain geometry keyed by glTF semantic, as Draco primitives produce without a GL context
+        const geometry = { attributes: {}, index: null };
         
         // Parse attributes
         if (primitiveData.attributes) {
             Object.entries(primitiveData.attributes).forEach(([attrName, accessorIndex]) => {
                 const accessor = this.json.accessors[accessorIndex];
-                const bufferView = this.json.bufferViews[accessor.bufferView];
                 
-                const attribute = this._createVertexAttribute(attrName, accessor, bufferView);
-                geometry.setAttribute(attrName, attribute);
+                geometry.attributes[attrName] = {
+                    array: this._readAccessor(accessorIndex),
+                    itemSize: this._getComponentCount(accessor.type),
+                    normalized: accessor.normalized || false,
+                    count: accessor.count
+                };
+
+                // glTF requires min/max on POSITION accessors, which bound the primitive for culling
+                if (attrName === 'POSITION' && accessor.min && accessor.max) {
+                    geometry.boundingBox = {
+                        min: { x: accessor.min[0], y: accessor.min[1], z: accessor.min[2] },
+                        max: { x: accessor.max[0], y: accessor.max[1], z: accessor.max[2] }
+                    };
+                }
             });
         }
         
         // Parse indices
         if (primitiveData.indices !== undefined) {
-            const accessor = this.json.accessors[primitiveData.indices];
-            const bufferView = this.json.bufferViews[accessor.bufferView];
-            const indices = this._getAccessorData(accessor, bufferView);
-            geometry.setIndex(indices);
+            geometry.index = { array: this._readAccessor(primitiveData.indices), itemSize: 1 };
         }
         
         return geometry;
     }
 
+    /**
+     * Add attributes a Draco primitive stores outside of the compressed stream
+     */
+    _completeDracoGeometry(primitiveData, geometry) {
+        const compressed = primitiveData.extensions.KHR_draco_mesh_compression.attributes;
+
+        Object.entries(primitiveData.attributes || {}).forEach(([attrName, accessorIndex]) => {
+            if (compressed[attrName] !== undefined) return;
+
+            const accessor = this.json.accessors[accessorIndex];
+            const bufferView = this.json.bufferViews[accessor.bufferView];
+            const data = this._getAccessorData(accessor, bufferView);
+            const itemSize = this._getComponentCount(accessor.type);
+
+            if (geometry instanceof BufferGeometry) {
+                geometry.addAttribute(
+                    new VertexAttribute(attrName, itemSize, this._getComponentType(accessor.componentType), accessor.normalized || false),
+                    data
+                );
+            } else {
+                geometry.attributes[attrName] = { array: data, itemSize, normalized: accessor.normalized || false };
+            }
+        });
+
+        return geometry;
+    }
+
     /**
      * Create vertex attribute
      */
@@ -504,12 +938,17 @@ export class GLTFLoader extends Loader {
     }
 
     /**
-     * Get data from accessor
+     * Get the bytes of a loaded buffer
      */
-    _getAccessorData(accessor, bufferView) {
-        const bufferIndex = bufferView.buffer;
+    _getBufferData(bufferIndex) {
         let bufferData = this.bufferCache.get(bufferIndex);
         
+        const uri = this.json.buffers?.[bufferIndex]?.uri;
+        if (!bufferData && uri && this._isDataUri(uri)) {
+            bufferData = new Uint8Array(this._loadDataUri(uri));
+            this.bufferCache.set(bufferIndex, bufferData);
+        }
+        
         if (!bufferData && this.bin) {
             bufferData = this.bin;
         }
@@ -518,20 +957,110 @@ export class GLTFLoader extends Loader {
             throw new Error(`Buffer ${bufferIndex} not loaded`);
         }
         
-        const byteOffset = bufferView.byteOffset + (accessor.byteOffset || 0);
-        const byteLength = accessor.count * this._getComponentSize(accessor.componentType) * 
-                          (accessor.type === 'SCALAR' ? 1 :
-                           accessor.type === 'VEC2' ? 2 :
-                           accessor.type === 'VEC3' ? 3 : 4);
+        return bufferData;
+    }
+
+    /**
+     * Get the raw bytes of a buffer view
+     */
+    _getBufferViewData(bufferView) {
+        if (this.meshoptBufferViews.has(bufferView)) {
+            return this.meshoptBufferViews.get(bufferView);
+        }
+
+        const bufferData = this._getBufferData(bufferView.buffer);
         
-        const typedArray = this._createTypedArray(
-            accessor.componentType,
+        return new Uint8Array(
             bufferData.buffer,
-            bufferData.byteOffset + byteOffset,
-            accessor.count * this._getComponentCount(accessor.type)
+            bufferData.byteOffset + (bufferView.byteOffset || 0),
+            bufferView.byteLength
         );
+    }
+
+    /**
+     * Get data from accessor
+     */
+    _getAccessorData(accessor, bufferView) {
+        const viewData = this._getBufferViewData(bufferView);
+        const componentSize = this._getComponentSize(accessor.componentType);
+        const itemSize = this._getComponentCount(accessor.type);
+        const elementSize = componentSize * itemSize;
+        const byteStride = bufferView.byteStride || elementSize;
+        const byteOffset = viewData.byteOffset + (accessor.byteOffset || 0);
+        
+        if (byteStride === elementSize && byteOffset % componentSize === 0) {
+            return this._createTypedArray(
+                accessor.componentType,
+                viewData.buffer,
+                byteOffset,
+                accessor.count * itemSize
+            );
+        }
+        
+        // Interleaved or unaligned data is copied element by element
+        const bytes = new Uint8Array(accessor.count * elementSize);
+        for (let i = 0; i < accessor.count; i++) {
+            const start = byteOffset + i * byteStride;
+            bytes.set(new Uint8Array(viewData.buffer, start, elementSize), i * elementSize);
+        }
         
-        return typedArray;
+        return this._createTypedArray(accessor.componentType, bytes.buffer, 0, accessor.count * itemSize);
+    }
+
+    /**
+     * Read an accessor by index, handling accessors without a buffer view and sparse values
+     * @param {number} accessorIndex - Accessor index
+     * @param {boolean} [dequantize=false] - Convert normalized integers to floats
+     */
+    _readAccessor(accessorIndex, dequantize = false) {
+        const accessor = this.json.accessors[accessorIndex];
+        const itemSize = this._getComponentCount(accessor.type);
+        const length = accessor.count * itemSize;
+        
+        let data = accessor.bufferView !== undefined
+            ? this._getAccessorData(accessor, this.json.bufferViews[accessor.bufferView])
+            : this._createTypedArray(accessor.componentType, new ArrayBuffer(length * this._getComponentSize(accessor.componentType)), 0, length);
+        
+        if (accessor.sparse) {
+            const { count, indices, values } = accessor.sparse;
+            const sparseIndices = this._getAccessorData(
+                { componentType: indices.componentType, type: 'SCALAR', count, byteOffset: indices.byteOffset },
+                this.json.bufferViews[indices.bufferView]
+            );
+            const sparseValues = this._getAccessorData(
+                { componentType: accessor.componentType, type: accessor.type, count, byteOffset: values.byteOffset },
+                this.json.bufferViews[values.bufferView]
+            );
+            
+            // Copy before substituting so the shared buffer stays untouched
+            data = data.slice();
+            for (let i = 0; i < count; i++) {
+                for (let c = 0; c < itemSize; c++) {
+                    data[sparseIndices[i] * itemSize + c] = sparseValues[i * itemSize + c];
+                }
+            }
+        }
+        
+        return dequantize && accessor.normalized ? this._dequantize(data) : data;
+    }
+
+    /**
+     * Convert normalized integer data to floats
+     */
+    _dequantize(array) {
+        const result = new Float32Array(array.length);
+        
+        for (let i = 0; i < array.length; i++) {
+            const value = array[i];
+            
+            if (array instanceof Int8Array) result[i] = Math.max(value / 127, -1);
+            else if (array instanceof Uint8Array) result[i] = value / 255;
+            else if (array instanceof Int16Array) result[i] = Math.max(value / 32767, -1);
+            else if (array instanceof Uint16Array) result[i] = value / 65535;
+            else result[i] = value;
+        }
+        
+        return result;
     }
 
     /**
@@ -549,46 +1078,57 @@ export class GLTFLoader extends Loader {
         });
     }
 
+    /**
+     * Parse KHR_materials_variants variant names
+     */
+    _parseVariants(asset) {
+        const variants = this.json.extensions?.KHR_materials_variants?.variants;
+        if (!variants) return;
+        
+        asset.variants = variants.map((variant, index) => variant.name || `Variant_${index}`);
+    }
+
     /**
      * Create material from GLTF material data
      */
     _createMaterialFromData(materialData) {
         let material;
+        const extensions = materialData.extensions || {};
         
-        // Handle PBR materials
-        if (materialData.pbrMetallicRoughness) {
-            material = new MeshStandardMaterial({
-                color: materialData.pbrMetallicRoughness.baseColorFactor || [1, 1, 1, 1],
-                metalness: materialData.pbrMetallicRoughness.metallicFactor || 0,
-                roughness: materialData.pbrMetallicRoughness.roughnessFactor || 1,
-                opacity: materialData.pbrMetallicRoughness.baseColorFactor?.[3] || 1,
-                transparent: (materialData.pbrMetallicRoughness.baseColorFactor?.[3] || 1) < 1
+        // Handle PBR materials; glTF defaults apply when pbrMetallicRoughness is omitted
+        if (!extensions.KHR_materials_pbrSpecularGlossiness) {
+            const pbr = materialData.pbrMetallicRoughness || {};
+            const MaterialClass = this._getMaterialClass(extensions);
+            
+            material = new MaterialClass({
+                color: pbr.baseColorFactor || [1, 1, 1, 1],
+                metalness: pbr.metallicFactor ?? 1,
+                roughness: pbr.roughnessFactor ?? 1,
+                opacity: pbr.baseColorFactor?.[3] ?? 1,
+                transparent: (pbr.baseColorFactor?.[3] ?? 1) < 1
             });
             
             // Textures
-            if (materialData.pbrMetallicRoughness.baseColorTexture) {
+            if (materialData.pbrMetallicRoughness?.baseColorTexture) {
                 const texture = this._getTexture(materialData.pbrMetallicRoughness.baseColorTexture.index);
                 material.map = texture;
             }
             
-            if (materialData.pbrMetallicRoughness.metallicRoughnessTexture) {
+            if (materialData.pbrMetallicRoughness?.metallicRoughnessTexture) {
                 const texture = this._getTexture(materialData.pbrMetallicRoughness.metallicRoughnessTexture.index);
                 material.metalnessMap = texture;
                 material.roughnessMap = texture;
             }
-        } else if (materialData.extensions?.KHR_materials_pbrSpecularGlossiness) {
+        } else {
             // Specular-Glossiness workflow
-            const sg = materialData.extensions.KHR_materials_pbrSpecularGlossiness;
+            const sg = extensions.KHR_materials_pbrSpecularGlossiness;
             material = new MeshStandardMaterial({
                 color: sg.diffuseFactor || [1, 1, 1, 1],
                 metalness: 0,
-                roughness: 1 - (sg.glossinessFactor || 1),
-                opacity: sg.diffuseFactor?.[3] || 1,
-                transparent: (sg.diffuseFactor?.[3] || 1) < 1
+                roughness: 1 - (sg.glossinessFactor ?? 1),
+                opacity: sg.diffuseFactor?.[3] ?? 1,
+                transparent: (sg.diffuseFactor?.[3] ?? 1) < 1
             });
-        } else {
-            // Fallback material
-            material = new MeshBasicMaterial({ color: [0.8, 0.8, 0.8] });
         }
         
         // Normal map
@@ -600,7 +1140,11 @@ export class GLTFLoader extends Loader {
             }
         }
         
-        // Emissive map
+        // Emissive color and map
+        if (materialData.emissiveFactor) {
+            material.emissive = materialData.emissiveFactor;
+        }
+        
         if (materialData.emissiveTexture) {
             const texture = this._getTexture(materialData.emissiveTexture.index);
             material.emissiveMap = texture;
@@ -628,9 +1172,33 @@ export class GLTFLoader extends Loader {
         // Double sided
         material.side = materialData.doubleSided ? 2 : 0; // THREE.DoubleSide : THREE.FrontSide
         
+        // Registered material extensions
+        Object.entries(extensions).forEach(([name, extensionData]) => {
+            this.extensions[name]?.(extensionData, material, materialData);
+        });
+        
         return material;
     }
 
+    /**
+     * Pick the material class able to hold a material's extensions: unlit maps to
+     * MeshBasicMaterial, anisotropy alone to AnisotropicMaterial and other physically
+     * based layers to MeshPhysicalMaterial
+     */
+    _getMaterialClass(extensions) {
+        if (extensions.KHR_materials_unlit) {
+            return MeshBasicMaterial;
+        }
+        
+        const physical = PHYSICAL_EXTENSIONS.filter(name => extensions[name]);
+        
+        if (extensions.KHR_materials_anisotropy && physical.length === 0) {
+            return AnisotropicMaterial;
+        }
+        
+        return physical.length > 0 || extensions.KHR_materials_anisotropy ? MeshPhysicalMaterial : MeshStandardMaterial;
+    }
+
     /**
      * Parse textures
      */
@@ -640,8 +1208,8 @@ export class GLTFLoader extends Loader {
         this.json.textures.forEach((textureData, index) => {
             let texture = null;
             
-            if (textureData.source !== undefined) {
-                texture = this._getTexture(textureData.source);
+            if (textureData.source !== undefined || textureData.extensions?.KHR_texture_basisu) {
+                texture = this._getTexture(index);
             }
             
             asset.textures.push(texture);
@@ -657,7 +1225,9 @@ export class GLTFLoader extends Loader {
         this.json.images.forEach((imageData, index) => {
             let image = null;
             
-            if (imageData.uri) {
+            if (this.ktx2Textures.has(index)) {
+                image = this.ktx2Textures.get(index);
+            } else if (imageData.uri) {
                 if (this._isDataUri(imageData.uri)) {
                     image = this._loadDataUri(imageData.uri);
                 } else if (this.textureCache.has(index)) {
@@ -735,66 +1305,78 @@ export class GLTFLoader extends Loader {
         if (!this.json.animations || !this.config.animations) return;
         
         this.json.animations.forEach((animationData, index) => {
-            const clip = this._createAnimationClip(animationData);
-            clip.name = animationData.name || `Animation_${index}`;
+            const clip = this._createAnimationClip(animationData, index, asset);
             asset.animations.push(clip);
         });
     }
 
     /**
-     * Create animation clip from GLTF animation data
+     * Create animation clip from GLTF animation data. Tracks are named
+     * "<node name>.<property>" so an AnimationMixer on the scene drives the nodes:
+     * position, rotation (quaternion), scale and morphTargetInfluences.
      */
-    _createAnimationClip(animationData) {
+    _createAnimationClip(animationData, index, asset) {
         const tracks = [];
+        let duration = 0;
         
         if (animationData.channels) {
-            animationData.channels.forEach((channel, index) => {
+            animationData.channels.forEach(channel => {
                 const sampler = animationData.samplers[channel.sampler];
-                const targetNode = this.json.nodes[channel.target.node];
+                const targetNode = asset.nodes[channel.target.node];
                 
                 if (!sampler || !targetNode) return;
                 
-                const times = this._getAnimationInput(sampler.input);
-                const values = this._getAnimationOutput(sampler.output);
+                const times = Array.from(this._getAnimationInput(sampler.input));
+                const output = this._getAnimationOutput(sampler.output);
+                const path = channel.target.path;
+                
+                // Cubic spline keys store in-tangent, value and out-tangent; only the values are kept
+                const cubic = sampler.interpolation === 'CUBICSPLINE';
+                const stride = path === 'rotation' ? 4 : path === 'weights' ? output.length / times.length / (cubic ? 3 : 1) : 3;
+                const keyframes = times.map((_, key) => {
+                    const offset = (cubic ? key * 3 + 1 : key) * stride;
+                    return Array.from(output.subarray(offset, offset + stride));
+                });
+                const type = sampler.interpolation === 'STEP' ? InterpolationType.STEP : InterpolationType.LINEAR;
                 
                 let track;
-                const path = channel.target.path;
                 
-                if (path === 'translation') {
-                    track = new VectorKeyframeTrack(targetNode.name || `Node_${channel.target.node}`, times, values);
+                if (path === 'translation' || path === 'scale') {
+                    const property = path === 'translation' ? 'position' : 'scale';
+                    track = new VectorKeyframeTrack(`${targetNode.name}.${property}`, times,
+                        keyframes.map(value => new Vector3(value[0], value[1], value[2])),
+                        { type, result: new Vector3() });
                 } else if (path === 'rotation') {
-                    track = new QuaternionKeyframeTrack(targetNode.name || `Node_${channel.target.node}`, times, values);
-                } else if (path === 'scale') {
-                    track = new VectorKeyframeTrack(targetNode.name || `Node_${channel.target.node}`, times, values);
+                    track = new QuaternionKeyframeTrack(`${targetNode.name}.rotation`, times,
+                        keyframes.map(value => new Quaternion(value[0], value[1], value[2], value[3])),
+                        { result: new Quaternion() });
+                    if (type === InterpolationType.STEP) track.type = type;
                 } else if (path === 'weights') {
-                    track = new NumberKeyframeTrack(targetNode.name || `Node_${channel.target.node}`, times, values);
+                    track = new KeyframeTrack(`${targetNode.name}.morphTargetInfluences`, times, keyframes, { type, valueSize: stride });
                 }
                 
                 if (track) {
                     tracks.push(track);
+                    duration = Math.max(duration, times[times.length - 1] || 0);
                 }
             });
         }
         
-        return new AnimationClip(animationData.name || `Animation_${index}`, -1, tracks);
+        return new AnimationClip(animationData.name || `Animation_${index}`, duration, tracks);
     }
 
     /**
      * Get animation input (times)
      */
     _getAnimationInput(accessorIndex) {
-        const accessor = this.json.accessors[accessorIndex];
-        const bufferView = this.json.bufferViews[accessor.bufferView];
-        return this._getAccessorData(accessor, bufferView);
+        return this._readAccessor(accessorIndex);
     }
 
     /**
-     * Get animation output (values)
+     * Get animation output (values), dequantized when normalized
      */
     _getAnimationOutput(accessorIndex) {
-        const accessor = this.json.accessors[accessorIndex];
-        const bufferView = this.json.bufferViews[accessor.bufferView];
-        return this._getAccessorData(accessor, bufferView);
+        return this._readAccessor(accessorIndex, true);
     }
 
     /**
@@ -870,11 +1452,24 @@ export class GLTFLoader extends Loader {
         if (!this.json.skins || !this.config.skins) return;
         
         this.json.skins.forEach((skinData, index) => {
+            const matrices = skinData.inverseBindMatrices !== undefined ? this._readAccessor(skinData.inverseBindMatrices) : null;
+            const joints = skinData.joints.map(jointIndex => asset.nodes[jointIndex]);
+            const skeleton = new Map();
+            
+            // Skeleton order is joint order, which is what JOINTS_0 indexes
+            joints.forEach((bone, jointIndex) => {
+                if (matrices) {
+                    bone.setInverseBindMatrix(new Matrix4().fromArray(matrices, jointIndex * 16));
+                }
+                skeleton.set(bone.name, bone);
+            });
+            
             const skin = {
                 name: skinData.name || `Skin_${index}`,
-                skeleton: skinData.skeleton,
-                joints: skinData.joints,
-                inverseBindMatrices: skinData.inverseBindMatrices
+                root: asset.nodes[skinData.skeleton] || null,
+                joints,
+                skeleton,
+                inverseBindMatrices: joints.map(bone => bone.inverseBindMatrix)
             };
             
             asset.skins.push(skin);
@@ -894,10 +1489,57 @@ export class GLTFLoader extends Loader {
      * Utility methods
      */
     
+    /**
+     * Decompose a column-major node matrix into position, quaternion rotation and scale
+     */
     _setMatrixFromArray(object, array) {
-        const matrix = new Float32Array(array);
-        // Implement matrix decomposition if needed
-        // For now, we'll skip full matrix support
+        const m = array;
+        const determinant =
+            m[0] * (m[5] * m[10] - m[9] * m[6]) -
+            m[4] * (m[1] * m[10] - m[9] * m[2]) +
+            m[8] * (m[1] * m[6] - m[5] * m[2]);
+        
+        const sx = Math.hypot(m[0], m[1], m[2]) * (determinant < 0 ? -1 : 1);
+        const sy = Math.hypot(m[4], m[5], m[6]);
+        const sz = Math.hypot(m[8], m[9], m[10]);
+        
+        object.position = { x: m[12], y: m[13], z: m[14] };
+        object.scale = { x: sx, y: sy, z: sz };
+        
+        // Rotation matrix entries r<row><column>
+        const r00 = m[0] / sx, r01 = m[4] / sy, r02 = m[8] / sz;
+        const r10 = m[1] / sx, r11 = m[5] / sy, r12 = m[9] / sz;
+        const r20 = m[2] / sx, r21 = m[6] / sy, r22 = m[10] / sz;
+        const trace = r00 + r11 + r22;
+        let x, y, z, w;
+        
+        if (trace > 0) {
+            const s = 0.5 / Math.sqrt(trace + 1);
+            w = 0.25 / s;
+            x = (r21 - r12) * s;
+            y = (r02 - r20) * s;
+            z = (r10 - r01) * s;
+        } else if (r00 > r11 && r00 > r22) {
+            const s = 2 * Math.sqrt(1 + r00 - r11 - r22);
+            w = (r21 - r12) / s;
+            x = 0.25 * s;
+            y = (r01 + r10) / s;
+            z = (r02 + r20) / s;
+        } else if (r11 > r22) {
+            const s = 2 * Math.sqrt(1 + r11 - r00 - r22);
+            w = (r02 - r20) / s;
+            x = (r01 + r10) / s;
+            y = 0.25 * s;
+            z = (r12 + r21) / s;
+        } else {
+            const s = 2 * Math.sqrt(1 + r22 - r00 - r11);
+            w = (r10 - r01) / s;
+            x = (r02 + r20) / s;
+            y = (r12 + r21) / s;
+            z = 0.25 * s;
+        }
+        
+        object.rotation = { x, y, z, w };
     }
     
     _getMaterial(index) {
@@ -913,6 +1555,11 @@ export class GLTFLoader extends Loader {
         const textureData = assetTextures[index];
         if (!textureData) return null;
         
+        const basisu = textureData.extensions?.KHR_texture_basisu;
+        if (basisu && this.ktx2Textures.has(basisu.source)) {
+            return this.ktx2Textures.get(basisu.source);
+        }
+        
         return this.textureCache.get(textureData.source) || null;
     }
     
@@ -928,6 +1575,17 @@ export class GLTFLoader extends Loader {
         }
     }
     
+    _getTypedArrayName(componentType) {
+        switch (componentType) {
+            case 5120: return 'Int8Array';
+            case 5121: return 'Uint8Array';
+            case 5122: return 'Int16Array';
+            case 5123: return 'Uint16Array';
+            case 5125: return 'Uint32Array';
+            default: return 'Float32Array';
+        }
+    }
+    
     _getComponentSize(componentType) {
         switch (componentType) {
             case 5120: return 1; // BYTE
@@ -1040,5 +1698,83 @@ export class GLTFLoader extends Loader {
         if (extensionData.clearcoatRoughnessTexture) {
             material.clearcoatRoughnessMap = this._getTexture(extensionData.clearcoatRoughnessTexture.index);
         }
+        if (extensionData.clearcoatNormalTexture) {
+            material.clearcoatNormalMap = this._getTexture(extensionData.clearcoatNormalTexture.index);
+            material.clearcoatNormalScale = [extensionData.clearcoatNormalTexture.scale ?? 1, extensionData.clearcoatNormalTexture.scale ?? 1];
+        }
+    }
+    
+    _loadTransmissionExtension(extensionData, material) {
+        material.transmission = extensionData.transmissionFactor ?? 0;
+        if (extensionData.transmissionTexture) {
+            material.transmissionMap = this._getTexture(extensionData.transmissionTexture.index);
+        }
+    }
+    
+    _loadVolumeExtension(extensionData, material) {
+        material.thickness = extensionData.thicknessFactor ?? 0;
+        material.attenuationDistance = extensionData.attenuationDistance ?? Infinity;
+        material.attenuationColor = extensionData.attenuationColor || [1, 1, 1];
+        if (extensionData.thicknessTexture) {
+            material.thicknessMap = this._getTexture(extensionData.thicknessTexture.index);
+        }
+    }
+    
+    _loadIorExtension(extensionData, material) {
+        material.ior = extensionData.ior ?? 1.5;
+    }
+    
+    _loadSpecularExtension(extensionData, material) {
+        material.specularIntensity = extensionData.specularFactor ?? 1;
+        material.specularColor = extensionData.specularColorFactor || [1, 1, 1];
+        if (extensionData.specularTexture) {
+            material.specularIntensityMap = this._getTexture(extensionData.specularTexture.index);
+        }
+        if (extensionData.specularColorTexture) {
+            material.specularColorMap = this._getTexture(extensionData.specularColorTexture.index);
+        }
+    }
+    
+    _loadSheenExtension(extensionData, material) {
+        // The sheen color factor splits into a scalar strength and a normalized color
+        const colorFactor = extensionData.sheenColorFactor || [0, 0, 0];
+        const strength = Math.max(...colorFactor);
+        
+        material.sheen = strength;
+        material.sheenColor = strength > 0 ? colorFactor.map(value => value / strength) : [1, 1, 1];
+        material.sheenRoughness = extensionData.sheenRoughnessFactor ?? 0;
+        if (extensionData.sheenColorTexture) {
+            material.sheenColorMap = this._getTexture(extensionData.sheenColorTexture.index);
+        }
+        if (extensionData.sheenRoughnessTexture) {
+            material.sheenRoughnessMap = this._getTexture(extensionData.sheenRoughnessTexture.index);
+        }
+    }
+    
+    _loadIridescenceExtension(extensionData, material) {
+        material.iridescence = extensionData.iridescenceFactor ?? 0;
+        material.iridescenceIOR = extensionData.iridescenceIor ?? 1.3;
+        material.iridescenceThicknessRange = [
+            extensionData.iridescenceThicknessMinimum ?? 100,
+            extensionData.iridescenceThicknessMaximum ?? 400
+        ];
+        if (extensionData.iridescenceTexture) {
+            material.iridescenceMap = this._getTexture(extensionData.iridescenceTexture.index);
+        }
+        if (extensionData.iridescenceThicknessTexture) {
+            material.iridescenceThicknessMap = this._getTexture(extensionData.iridescenceThicknessTexture.index);
+        }
+    }
+    
+    _loadAnisotropyExtension(extensionData, material) {
+        material.anisotropy = extensionData.anisotropyStrength ?? 0;
+        material.anisotropyRotation = extensionData.anisotropyRotation ?? 0;
+        if (extensionData.anisotropyTexture) {
+            material.anisotropyMap = this._getTexture(extensionData.anisotropyTexture.index);
+        }
+    }
+    
+    _loadEmissiveStrengthExtension(extensionData, material) {
+        material.emissiveIntensity = extensionData.emissiveStrength ?? 1;
     }
 }
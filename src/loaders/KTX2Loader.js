@@ -0,0 +1,102 @@
+/**
+ * KTX2Loader - Loads KTX 2.0 textures
+ * Basis Universal (ETC1S/UASTC) payloads are transcoded to the best compressed
+ * format the WebGL context supports; other vkFormats are uploaded as stored.
+ */
+
+import { LoadingManager } from './loader.ts';
+import { Texture } from '../textures/Texture.js';
+import { KTX2Container } from '../textures/KTX2Container.js';
+import { BasisTranscoder } from '../textures/BasisTranscoder.js';
+
+export class KTX2Loader {
+  constructor(options = {}) {
+    this.manager = options.manager || LoadingManager.default;
+    this.transcoder = options.transcoder || new BasisTranscoder({
+      transcoderPath: options.transcoderPath,
+      transcoderModule: options.transcoderModule,
+      useWorker: options.useWorker
+    });
+
+    this.withCredentials = options.withCredentials || false;
+  }
+
+  /**
+   * Directory containing basis_transcoder.js and basis_transcoder.wasm
+   */
+  setTranscoderPath(path) {
+    this.transcoder.setTranscoderPath(path);
+    return this;
+  }
+
+  /**
+   * Use an already initialized transcoder module (e.g. in Node)
+   */
+  setTranscoderModule(module) {
+    this.transcoder.setTranscoderModule(module);
+    return this;
+  }
+
+  /**
+   * Select transcode targets from a WebGL context or TextureCompression instance;
+   * without it Basis textures are transcoded to RGBA8
+   */
+  detectSupport(source) {
+    this.transcoder.detectSupport(source);
+    return this;
+  }
+
+  /**
+   * Load a .ktx2 file
+   * @param {string} url - Texture URL
+   * @param {Object} options - Texture options
+   * @returns {Promise<Texture>}
+   */
+  async load(url, options = {}) {
+    this.manager.itemStart(url);
+
+    try {
+      const response = await fetch(url, {
+        credentials: this.withCredentials ? 'include' : 'same-origin'
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to load KTX2 texture: HTTP ${response.status}`);
+      }
+
+      const texture = await this.parse(await response.arrayBuffer(), { ...options, url });
+      this.manager.itemEnd(url);
+      return texture;
+    } catch (error) {
+      this.manager.itemError(url);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a texture from KTX2 bytes already in memory
+   * @param {ArrayBuffer|Uint8Array} buffer - KTX2 file contents
+   * @param {Object} options - Texture options
+   * @returns {Promise<Texture>}
+   */
+  async parse(buffer, options = {}) {
+    if (!KTX2Container.isKTX2(buffer)) {
+      throw new Error('Invalid KTX2 file: missing identifier');
+    }
+
+    const texture = new Texture(options);
+    texture.image = await texture._parseKTX2(buffer, this.transcoder);
+    texture.isLoaded = true;
+    texture.needsUpdate = true;
+
+    texture.dispatchEvent({ type: 'load', url: options.url, texture });
+    texture.dispatchEvent({ type: 'update', texture });
+
+    return texture;
+  }
+
+  dispose() {
+    this.transcoder.dispose();
+  }
+}
+
+export default KTX2Loader;
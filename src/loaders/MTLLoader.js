@@ -560,6 +560,9 @@ export class MaterialCreator {
     }
     
     await Promise.all(texturePromises);
+
+    // Maps arriving after the first draw change the program defines
+    material.needsUpdate = true;
   }
 
   /**
@@ -0,0 +1,573 @@
+/**
+ * MeshOptDecoder - Decoders for meshoptimizer vertex/index buffer compression
+ * Implements the bitstreams used by EXT_meshopt_compression: vertex codec
+ * (versions 0 and 1), index codec, index sequence codec and the
+ * OCTAHEDRAL / QUATERNION / EXPONENTIAL / COLOR filters
+ */
+
+const VERTEX_HEADER = 0xa0;
+const INDEX_HEADER = 0xe0;
+const SEQUENCE_HEADER = 0xd0;
+
+const VERTEX_BLOCK_SIZE_BYTES = 8192;
+const VERTEX_BLOCK_MAX_SIZE = 256;
+const BYTE_GROUP_SIZE = 16;
+
+// Bits per delta for each 2-bit group header value
+const GROUP_BITS_V0 = [0, 2, 4, 8];
+const GROUP_BITS_V1 = [[0, 1, 2, 4], [1, 2, 4, 8]];
+
+function unzigzag(v) {
+  return (v >>> 1) ^ -(v & 1);
+}
+
+function getVertexBlockSize(byteStride) {
+  const size = (VERTEX_BLOCK_SIZE_BYTES / byteStride) & ~(BYTE_GROUP_SIZE - 1);
+  return size < VERTEX_BLOCK_MAX_SIZE ? size : VERTEX_BLOCK_MAX_SIZE;
+}
+
+/**
+ * Decode one group of 16 byte deltas stored with the given bit width
+ * @returns {number} Offset after the group
+ */
+function decodeByteGroup(source, offset, deltas, deltaOffset, bits) {
+  switch (bits) {
+    case 0:
+      // All deltas are zero and nothing is stored
+      return offset;
+
+    case 1: {
+      // 1-bit sentinels, least significant bit first
+      let extra = offset + 2;
+      for (let m = 0; m < 16; m++) {
+        const value = (source[offset + (m >>> 3)] >>> (m & 7)) & 1;
+        deltas[deltaOffset + m] = value === 1 ? source[extra++] : 0;
+      }
+      return extra;
+    }
+
+    case 2: {
+      // 2-bit sentinels, most significant bits first
+      let extra = offset + 4;
+      for (let m = 0; m < 16; m++) {
+        const value = (source[offset + (m >>> 2)] >>> (6 - ((m & 3) << 1))) & 3;
+        deltas[deltaOffset + m] = value === 3 ? source[extra++] : value;
+      }
+      return extra;
+    }
+
+    case 4: {
+      // 4-bit sentinels, high nibble first
+      let extra = offset + 8;
+      for (let m = 0; m < 16; m++) {
+        const value = (source[offset + (m >>> 1)] >>> (4 - ((m & 1) << 2))) & 15;
+        deltas[deltaOffset + m] = value === 15 ? source[extra++] : value;
+      }
+      return extra;
+    }
+
+    default:
+      // Stored verbatim
+      deltas.set(source.subarray(offset, offset + 16), deltaOffset);
+      return offset + 16;
+  }
+}
+
+/**
+ * Apply a decoding filter in place
+ * @param {Uint8Array} target - Decoded bytes
+ * @param {number} count - Element count
+ * @param {number} byteStride - Element size in bytes
+ * @param {string} filter - NONE, OCTAHEDRAL, QUATERNION, EXPONENTIAL or COLOR
+ */
+function applyFilter(target, count, byteStride, filter) {
+  switch (filter) {
+    case undefined:
+    case null:
+    case 'NONE':
+      return;
+
+    case 'OCTAHEDRAL': {
+      if (byteStride !== 4 && byteStride !== 8) {
+        throw new Error('OCTAHEDRAL filter requires a byte stride of 4 or 8');
+      }
+      const data = byteStride === 4
+        ? new Int8Array(target.buffer, target.byteOffset, count * 4)
+        : new Int16Array(target.buffer, target.byteOffset, count * 4);
+      const max = byteStride === 4 ? 127 : 32767;
+
+      for (let i = 0; i < count * 4; i += 4) {
+        // The third component encodes 1.0 at the stored precision
+        const one = data[i + 2];
+        let x = data[i] / one;
+        let y = data[i + 1] / one;
+        const z = 1 - Math.abs(x) - Math.abs(y);
+
+        // Unfold the lower hemisphere
+        const t = Math.max(-z, 0);
+        x -= x >= 0 ? t : -t;
+        y -= y >= 0 ? t : -t;
+
+        const scale = max / Math.sqrt(x * x + y * y + z * z);
+        data[i] = Math.round(x * scale);
+        data[i + 1] = Math.round(y * scale);
+        data[i + 2] = Math.round(z * scale);
+      }
+      return;
+    }
+
+    case 'QUATERNION': {
+      if (byteStride !== 8) {
+        throw new Error('QUATERNION filter requires a byte stride of 8');
+      }
+      const data = new Int16Array(target.buffer, target.byteOffset, count * 4);
+
+      for (let i = 0; i < count * 4; i += 4) {
+        // Low two bits of w select the dropped component, the rest store the scale
+        const packed = data[i + 3];
+        const maxComponent = packed & 3;
+        const scale = Math.SQRT1_2 / (packed | 3);
+
+        const x = data[i] * scale;
+        const y = data[i + 1] * scale;
+        const z = data[i + 2] * scale;
+        const w = Math.sqrt(Math.max(0, 1 - x * x - y * y - z * z));
+
+        data[i + ((maxComponent + 1) & 3)] = Math.round(x * 32767);
+        data[i + ((maxComponent + 2) & 3)] = Math.round(y * 32767);
+        data[i + ((maxComponent + 3) & 3)] = Math.round(z * 32767);
+        data[i + maxComponent] = Math.round(w * 32767);
+      }
+      return;
+    }
+
+    case 'EXPONENTIAL': {
+      if ((byteStride & 3) !== 0) {
+        throw new Error('EXPONENTIAL filter requires a byte stride that is a multiple of 4');
+      }
+      const valueCount = count * (byteStride / 4);
+      const source = new Int32Array(target.buffer, target.byteOffset, valueCount);
+      const output = new Float32Array(target.buffer, target.byteOffset, valueCount);
+      const bits = new Uint32Array(1);
+      const power = new Float32Array(bits.buffer);
+
+      for (let i = 0; i < valueCount; i++) {
+        // 8-bit exponent and 24-bit signed mantissa
+        const value = source[i];
+        const exponent = value >> 24;
+        const mantissa = (value << 8) >> 8;
+        bits[0] = (exponent + 127) << 23;
+        output[i] = power[0] * mantissa;
+      }
+      return;
+    }
+
+    case 'COLOR': {
+      if (byteStride !== 4 && byteStride !== 8) {
+        throw new Error('COLOR filter requires a byte stride of 4 or 8');
+      }
+      const unsigned = byteStride === 4
+        ? new Uint8Array(target.buffer, target.byteOffset, count * 4)
+        : new Uint16Array(target.buffer, target.byteOffset, count * 4);
+      const signed = byteStride === 4
+        ? new Int8Array(target.buffer, target.byteOffset, count * 4)
+        : new Int16Array(target.buffer, target.byteOffset, count * 4);
+      const max = (1 << (byteStride * 2)) - 1;
+
+      for (let i = 0; i < count * 4; i += 4) {
+        // YCoCg with alpha; the top set bit of alpha stores its precision
+        const luma = unsigned[i];
+        const co = signed[i + 1];
+        const cg = signed[i + 2];
+        const packedAlpha = unsigned[i + 3];
+
+        const alphaScale = (1 << (32 - Math.clz32(packedAlpha))) - 1;
+        let alpha = packedAlpha & (alphaScale >> 1);
+        alpha = (alpha << 1) | (alpha & 1);
+
+        const scale = max / alphaScale;
+        unsigned[i] = Math.round((luma + co - cg) * scale);
+        unsigned[i + 1] = Math.round((luma + cg) * scale);
+        unsigned[i + 2] = Math.round((luma - co - cg) * scale);
+        unsigned[i + 3] = Math.round(alpha * scale);
+      }
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown meshopt filter: ${filter}`);
+  }
+}
+
+export class MeshOptDecoder {
+  /**
+   * Decode a vertex buffer compressed with meshopt_encodeVertexBuffer
+   * @param {Uint8Array} target - Output, count * byteStride bytes
+   * @param {number} count - Vertex count
+   * @param {number} byteStride - Vertex size in bytes (multiple of 4, at most 256)
+   * @param {Uint8Array} source - Encoded data
+   * @param {string} [filter] - Optional filter applied after decoding
+   */
+  static decodeVertexBuffer(target, count, byteStride, source, filter) {
+    if (byteStride <= 0 || byteStride > 256 || byteStride % 4 !== 0) {
+      throw new Error(`Invalid meshopt vertex size: ${byteStride}`);
+    }
+    if ((source[0] & 0xf0) !== VERTEX_HEADER) {
+      throw new Error('Invalid meshopt vertex buffer header');
+    }
+
+    const version = source[0] & 0x0f;
+    if (version > 1) {
+      throw new Error(`Unsupported meshopt vertex codec version: ${version}`);
+    }
+
+    // The tail holds the baseline vertex (and channel modes in version 1)
+    const tailSize = version === 0 ? byteStride : byteStride + byteStride / 4;
+    const paddedTailSize = Math.max(tailSize, version === 0 ? 32 : 24);
+    if (source.length < 1 + paddedTailSize) {
+      throw new Error('Truncated meshopt vertex buffer');
+    }
+
+    const tailOffset = source.length - tailSize;
+    const last = source.slice(tailOffset, tailOffset + byteStride);
+    const channels = version === 0 ? null : source.subarray(tailOffset + byteStride, tailOffset + tailSize);
+    const dataEnd = source.length - paddedTailSize;
+
+    const blockSize = getVertexBlockSize(byteStride);
+    const deltas = new Uint8Array(blockSize * byteStride);
+    let offset = 1;
+
+    for (let base = 0; base < count; base += blockSize) {
+      const blockCount = Math.min(count - base, blockSize);
+      const groupCount = (blockCount + 15) >>> 4;
+      const headerSize = (groupCount + 3) >>> 2;
+
+      // Version 1 stores a 2-bit control mode per byte lane ahead of each block
+      const controlOffset = offset;
+      if (version === 1) {
+        offset += byteStride / 4;
+      }
+
+      deltas.fill(0);
+
+      for (let byte = 0; byte < byteStride; byte++) {
+        const deltaBase = byte * blockCount;
+        const control = version === 0 ? 0 : (source[controlOffset + (byte >>> 2)] >>> ((byte & 3) << 1)) & 3;
+
+        if (control === 2) {
+          // Lane is constant
+          continue;
+        }
+        if (control === 3) {
+          // Lane is stored raw
+          deltas.set(source.subarray(offset, offset + blockCount), deltaBase);
+          offset += blockCount;
+          continue;
+        }
+
+        const headerOffset = offset;
+        offset += headerSize;
+
+        for (let group = 0; group < groupCount; group++) {
+          if (offset > dataEnd) {
+            throw new Error('Truncated meshopt vertex buffer');
+          }
+
+          const mode = (source[headerOffset + (group >>> 2)] >>> ((group & 3) << 1)) & 3;
+          const bits = version === 0 ? GROUP_BITS_V0[mode] : GROUP_BITS_V1[control][mode];
+
+          // Groups past the end of the block still occupy the delta scratch space
+          if (group * 16 + 16 <= blockCount) {
+            offset = decodeByteGroup(source, offset, deltas, deltaBase + group * 16, bits);
+          } else {
+            const scratch = new Uint8Array(16);
+            offset = decodeByteGroup(source, offset, scratch, 0, bits);
+            deltas.set(scratch.subarray(0, blockCount - group * 16), deltaBase + group * 16);
+          }
+        }
+      }
+
+      // Reconstruct vertices from the per-lane deltas
+      for (let element = 0; element < blockCount; element++) {
+        const targetOffset = (base + element) * byteStride;
+
+        for (let lane = 0; lane < byteStride; lane += 4) {
+          const channel = version === 0 ? 0 : channels[lane >>> 2] & 3;
+
+          if (channel === 0) {
+            // Byte deltas
+            for (let byte = lane; byte < lane + 4; byte++) {
+              const value = (last[byte] + unzigzag(deltas[byte * blockCount + element])) & 0xff;
+              target[targetOffset + byte] = last[byte] = value;
+            }
+          } else if (channel === 1) {
+            // 16-bit deltas
+            for (let byte = lane; byte < lane + 4; byte += 2) {
+              const delta = unzigzag(deltas[byte * blockCount + element] | (deltas[(byte + 1) * blockCount + element] << 8));
+              const value = ((last[byte] | (last[byte + 1] << 8)) + delta) & 0xffff;
+              target[targetOffset + byte] = last[byte] = value & 0xff;
+              target[targetOffset + byte + 1] = last[byte + 1] = value >>> 8;
+            }
+          } else if (channel === 2) {
+            // 32-bit xor deltas, rotated by the high nibble of the channel byte
+            const delta = (deltas[lane * blockCount + element] |
+              (deltas[(lane + 1) * blockCount + element] << 8) |
+              (deltas[(lane + 2) * blockCount + element] << 16) |
+              (deltas[(lane + 3) * blockCount + element] << 24)) >>> 0;
+            const rotate = channels[lane >>> 2] >>> 4;
+            const rotated = rotate === 0 ? delta : ((delta >>> rotate) | (delta << (32 - rotate))) >>> 0;
+            const value = ((last[lane] | (last[lane + 1] << 8) | (last[lane + 2] << 16) | (last[lane + 3] << 24)) ^ rotated) >>> 0;
+
+            for (let byte = 0; byte < 4; byte++) {
+              target[targetOffset + lane + byte] = last[lane + byte] = (value >>> (byte * 8)) & 0xff;
+            }
+          } else {
+            throw new Error('Invalid meshopt vertex channel mode');
+          }
+        }
+      }
+    }
+
+    if (offset !== dataEnd) {
+      throw new Error('Malformed meshopt vertex buffer');
+    }
+
+    applyFilter(target, count, byteStride, filter);
+  }
+
+  /**
+   * Decode a triangle list compressed with meshopt_encodeIndexBuffer
+   * @param {Uint8Array} target - Output, count * indexSize bytes
+   * @param {number} count - Index count (multiple of 3)
+   * @param {number} indexSize - 2 or 4
+   * @param {Uint8Array} source - Encoded data
+   */
+  static decodeIndexBuffer(target, count, indexSize, source) {
+    if (count % 3 !== 0) {
+      throw new Error('Index count must be a multiple of 3');
+    }
+    if (indexSize !== 2 && indexSize !== 4) {
+      throw new Error(`Invalid meshopt index size: ${indexSize}`);
+    }
+    if (source.length < 1 + count / 3 + 16) {
+      throw new Error('Truncated meshopt index buffer');
+    }
+    if ((source[0] & 0xf0) !== INDEX_HEADER) {
+      throw new Error('Invalid meshopt index buffer header');
+    }
+
+    const version = source[0] & 0x0f;
+    if (version > 1) {
+      throw new Error(`Unsupported meshopt index codec version: ${version}`);
+    }
+
+    const output = indexSize === 2
+      ? new Uint16Array(target.buffer, target.byteOffset, count)
+      : new Uint32Array(target.buffer, target.byteOffset, count);
+
+    // Version 1 uses codes 13 and 14 for +-1 deltas instead of fifo lookups
+    const fecMax = version >= 1 ? 13 : 15;
+
+    const edgeFifo = new Uint32Array(32);
+    const vertexFifo = new Uint32Array(16);
+    edgeFifo.fill(0xffffffff);
+    vertexFifo.fill(0xffffffff);
+    let edgeOffset = 0;
+    let vertexOffset = 0;
+
+    let next = 0;
+    let last = 0;
+
+    let code = 1;
+    let data = code + count / 3;
+    const dataSafeEnd = source.length - 16;
+    const codeAux = dataSafeEnd;
+
+    const readVByte = () => {
+      let result = 0;
+      for (let shift = 0; shift < 35; shift += 7) {
+        const group = source[data++];
+        result |= (group & 127) << shift;
+        if (group < 128) break;
+      }
+      return result >>> 0;
+    };
+    const decodeIndex = () => {
+      last = (last + unzigzag(readVByte())) >>> 0;
+      return last;
+    };
+    const pushVertex = (v, condition = true) => {
+      vertexFifo[vertexOffset] = v;
+      vertexOffset = (vertexOffset + (condition ? 1 : 0)) & 15;
+    };
+    const pushEdge = (a, b) => {
+      edgeFifo[edgeOffset * 2] = a;
+      edgeFifo[edgeOffset * 2 + 1] = b;
+      edgeOffset = (edgeOffset + 1) & 15;
+    };
+
+    for (let i = 0; i < count; i += 3) {
+      if (data > dataSafeEnd) {
+        throw new Error('Truncated meshopt index buffer');
+      }
+
+      const codeTri = source[code++];
+
+      if (codeTri < 0xf0) {
+        // Triangle shares a recent edge
+        const fe = codeTri >>> 4;
+        const edge = (edgeOffset - 1 - fe) & 15;
+        const a = edgeFifo[edge * 2];
+        const b = edgeFifo[edge * 2 + 1];
+        const fec = codeTri & 15;
+        let c;
+
+        if (fec < fecMax) {
+          c = fec === 0 ? next++ : vertexFifo[(vertexOffset - 1 - fec) & 15];
+          pushVertex(c, fec === 0);
+        } else {
+          c = fec === 15 ? decodeIndex() : (last = (last + (fec === 13 ? -1 : 1)) >>> 0);
+          pushVertex(c);
+        }
+
+        output[i] = a;
+        output[i + 1] = b;
+        output[i + 2] = c;
+
+        pushEdge(c, b);
+        pushEdge(a, c);
+      } else if (codeTri < 0xfe) {
+        // New triangle described by the codeaux table
+        const aux = source[codeAux + (codeTri & 15)];
+        const feb = aux >>> 4;
+        const fec = aux & 15;
+
+        const a = next++;
+        const b = feb === 0 ? next++ : vertexFifo[(vertexOffset - feb) & 15];
+        const c = fec === 0 ? next++ : vertexFifo[(vertexOffset - fec) & 15];
+
+        output[i] = a;
+        output[i + 1] = b;
+        output[i + 2] = c;
+
+        pushVertex(a);
+        pushVertex(b, feb === 0);
+        pushVertex(c, fec === 0);
+
+        pushEdge(b, a);
+        pushEdge(c, b);
+        pushEdge(a, c);
+      } else {
+        // New triangle with an explicit aux byte and free indices
+        const aux = source[data++];
+        if (aux === 0) {
+          next = 0;
+        }
+
+        const fea = codeTri === 0xfe ? 0 : 15;
+        const feb = aux >>> 4;
+        const fec = aux & 15;
+
+        let a = fea === 0 ? next++ : 0;
+        let b = feb === 0 ? next++ : vertexFifo[(vertexOffset - feb) & 15];
+        let c = fec === 0 ? next++ : vertexFifo[(vertexOffset - fec) & 15];
+
+        if (fea === 15) a = decodeIndex();
+        if (feb === 15) b = decodeIndex();
+        if (fec === 15) c = decodeIndex();
+
+        output[i] = a;
+        output[i + 1] = b;
+        output[i + 2] = c;
+
+        pushVertex(a);
+        pushVertex(b, feb === 0 || feb === 15);
+        pushVertex(c, fec === 0 || fec === 15);
+
+        pushEdge(b, a);
+        pushEdge(c, b);
+        pushEdge(a, c);
+      }
+    }
+
+    if (data !== dataSafeEnd) {
+      throw new Error('Malformed meshopt index buffer');
+    }
+  }
+
+  /**
+   * Decode an index sequence compressed with meshopt_encodeIndexSequence
+   * @param {Uint8Array} target - Output, count * indexSize bytes
+   * @param {number} count - Index count
+   * @param {number} indexSize - 2 or 4
+   * @param {Uint8Array} source - Encoded data
+   */
+  static decodeIndexSequence(target, count, indexSize, source) {
+    if (indexSize !== 2 && indexSize !== 4) {
+      throw new Error(`Invalid meshopt index size: ${indexSize}`);
+    }
+    if (source.length < 1 + count + 4) {
+      throw new Error('Truncated meshopt index sequence');
+    }
+    if ((source[0] & 0xf0) !== SEQUENCE_HEADER || (source[0] & 0x0f) > 1) {
+      throw new Error('Invalid meshopt index sequence header');
+    }
+
+    const output = indexSize === 2
+      ? new Uint16Array(target.buffer, target.byteOffset, count)
+      : new Uint32Array(target.buffer, target.byteOffset, count);
+    const dataSafeEnd = source.length - 4;
+    const baselines = new Uint32Array(2);
+    let data = 1;
+
+    for (let i = 0; i < count; i++) {
+      if (data >= dataSafeEnd) {
+        throw new Error('Truncated meshopt index sequence');
+      }
+
+      let value = 0;
+      for (let shift = 0; shift < 35; shift += 7) {
+        const group = source[data++];
+        value |= (group & 127) << shift;
+        if (group < 128) break;
+      }
+      value >>>= 0;
+
+      // Lowest bit picks one of two baselines, the rest is a zigzag delta
+      const baseline = value & 1;
+      baselines[baseline] += unzigzag(value >>> 1);
+      output[i] = baselines[baseline];
+    }
+
+    if (data !== dataSafeEnd) {
+      throw new Error('Malformed meshopt index sequence');
+    }
+  }
+
+  /**
+   * Decode a buffer view using the glTF EXT_meshopt_compression parameters
+   * @param {Uint8Array} target - Output, count * size bytes
+   * @param {number} count - Element count
+   * @param {number} size - Element size in bytes
+   * @param {Uint8Array} source - Encoded data
+   * @param {string} mode - ATTRIBUTES, TRIANGLES or INDICES
+   * @param {string} [filter] - Filter for ATTRIBUTES mode
+   */
+  static decodeGltfBuffer(target, count, size, source, mode, filter) {
+    switch (mode) {
+      case 'ATTRIBUTES':
+        MeshOptDecoder.decodeVertexBuffer(target, count, size, source, filter);
+        break;
+      case 'TRIANGLES':
+        MeshOptDecoder.decodeIndexBuffer(target, count, size, source);
+        break;
+      case 'INDICES':
+        MeshOptDecoder.decodeIndexSequence(target, count, size, source);
+        break;
+      default:
+        throw new Error(`Unknown meshopt compression mode: ${mode}`);
+    }
+  }
+}
+
+export default MeshOptDecoder;
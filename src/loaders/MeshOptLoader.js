@@ -1,9 +1,12 @@
 /**
  * MeshOptLoader - MeshOptimizer geometry compression/decompression
- * Supports mesh simplification, vertex cache optimization, and LOD generation
+ * Decodes meshopt-compressed vertex/index streams and supports quadric error
+ * simplification, vertex cache optimization, quantization and LOD generation
  */
 
 import { LoadingManager } from './loader.ts';
+import { MeshOptDecoder } from './MeshOptDecoder.js';
+import { MeshOptSimplifier } from './MeshOptSimplifier.js';
 
 export class MeshOptCompressionType {
   static QUANTIZATION = 'quantization';     // Vertex data quantization
@@ -178,6 +181,301 @@ export class MeshOptProgressTracker {
   }
 }
 
+const COMPONENT_ARRAYS = {
+  5120: Int8Array,
+  5121: Uint8Array,
+  5122: Int16Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array
+};
+
+const MESHOPT_FILTERS = ['NONE', 'OCTAHEDRAL', 'QUATERNION', 'EXPONENTIAL', 'COLOR'];
+const MESHOPT_INDEX_MODES = [null, 'TRIANGLES', 'INDICES'];
+
+function createIndexArray(length, vertexCount) {
+  return vertexCount > 65535 ? new Uint32Array(length) : new Uint16Array(length);
+}
+
+function cloneGeometry(geometry) {
+  const attributes = {};
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    attributes[name] = { ...attribute, array: attribute.array.slice() };
+  }
+
+  return {
+    ...geometry,
+    attributes,
+    index: geometry.index ? { ...geometry.index, array: geometry.index.array.slice() } : null,
+    metadata: { ...geometry.metadata }
+  };
+}
+
+function getVertexCount(geometry) {
+  const position = geometry.attributes.position;
+  return position ? position.array.length / position.itemSize : 0;
+}
+
+/**
+ * Index a non-indexed geometry by merging vertices whose attributes are identical
+ */
+function generateIndex(geometry) {
+  const vertexCount = getVertexCount(geometry);
+  const attributes = Object.values(geometry.attributes);
+  const remap = new Uint32Array(vertexCount);
+  const table = new Map();
+  let unique = 0;
+
+  for (let i = 0; i < vertexCount; i++) {
+    let key = '';
+    for (const attribute of attributes) {
+      for (let k = 0; k < attribute.itemSize; k++) {
+        key += attribute.array[i * attribute.itemSize + k] + ',';
+      }
+    }
+
+    const existing = table.get(key);
+    if (existing === undefined) {
+      table.set(key, unique);
+      remap[i] = unique++;
+    } else {
+      remap[i] = existing;
+    }
+  }
+
+  const indices = new Uint32Array(vertexCount);
+  for (let i = 0; i < vertexCount; i++) {
+    indices[i] = i;
+  }
+
+  return remapVertices(geometry, indices, remap, unique);
+}
+
+/**
+ * Rebuild attributes so vertex i moves to remap[i], dropping vertices mapped to ~0
+ */
+function remapVertices(geometry, indices, remap, vertexCount) {
+  const attributes = {};
+
+  for (const [name, attribute] of Object.entries(geometry.attributes)) {
+    const itemSize = attribute.itemSize;
+    const array = new attribute.array.constructor(vertexCount * itemSize);
+
+    for (let i = 0; i < remap.length; i++) {
+      if (remap[i] === 0xffffffff) continue;
+      for (let k = 0; k < itemSize; k++) {
+        array[remap[i] * itemSize + k] = attribute.array[i * itemSize + k];
+      }
+    }
+
+    attributes[name] = { ...attribute, array };
+  }
+
+  const index = createIndexArray(indices.length, vertexCount);
+  for (let i = 0; i < indices.length; i++) {
+    index[i] = remap[indices[i]];
+  }
+
+  return {
+    ...geometry,
+    attributes,
+    index: { array: index, itemSize: 1, type: index.constructor.name }
+  };
+}
+
+/**
+ * Drop unreferenced vertices and number the rest in order of first use
+ */
+function compactVertices(geometry, indices) {
+  const vertexCount = getVertexCount(geometry);
+  const remap = new Uint32Array(vertexCount).fill(0xffffffff);
+  let next = 0;
+
+  for (let i = 0; i < indices.length; i++) {
+    if (remap[indices[i]] === 0xffffffff) {
+      remap[indices[i]] = next++;
+    }
+  }
+
+  return remapVertices(geometry, indices, remap, next);
+}
+
+/**
+ * Count vertex transforms for a FIFO post-transform cache of the given size
+ */
+function analyzeVertexCache(indices, cacheSize) {
+  const cache = new Int32Array(cacheSize).fill(-1);
+  let head = 0;
+  let misses = 0;
+
+  for (let i = 0; i < indices.length; i++) {
+    if (cache.indexOf(indices[i]) === -1) {
+      cache[head] = indices[i];
+      head = (head + 1) % cacheSize;
+      misses++;
+    }
+  }
+
+  const triangleCount = indices.length / 3;
+  return {
+    misses,
+    acmr: triangleCount ? misses / triangleCount : 0,
+    hitRate: indices.length ? 1 - misses / indices.length : 0
+  };
+}
+
+/**
+ * Tipsify (Sander et al. 2007) triangle reordering for a FIFO vertex cache
+ */
+function optimizeVertexCacheFifo(indices, vertexCount, cacheSize) {
+  const triangleCount = indices.length / 3;
+  const offsets = new Uint32Array(vertexCount + 1);
+  const live = new Uint32Array(vertexCount);
+
+  for (let i = 0; i < indices.length; i++) {
+    live[indices[i]]++;
+  }
+  for (let i = 0; i < vertexCount; i++) {
+    offsets[i + 1] = offsets[i] + live[i];
+  }
+
+  const adjacency = new Uint32Array(indices.length);
+  const fill = offsets.slice(0, vertexCount);
+  for (let i = 0; i < indices.length; i++) {
+    adjacency[fill[indices[i]]++] = (i / 3) | 0;
+  }
+
+  const timestamps = new Uint32Array(vertexCount);
+  const emitted = new Uint8Array(triangleCount);
+  const deadEnd = [];
+  const result = new indices.constructor(indices.length);
+  let write = 0;
+  let time = cacheSize + 1;
+  let current = 0;
+  let cursor = 1;
+
+  while (current !== -1) {
+    const candidates = [];
+
+    for (let j = offsets[current]; j < offsets[current + 1]; j++) {
+      const triangle = adjacency[j];
+      if (emitted[triangle]) continue;
+
+      for (let k = 0; k < 3; k++) {
+        const vertex = indices[triangle * 3 + k];
+        result[write++] = vertex;
+        deadEnd.push(vertex);
+        candidates.push(vertex);
+        live[vertex]--;
+
+        if (time - timestamps[vertex] > cacheSize) {
+          timestamps[vertex] = time++;
+        }
+      }
+
+      emitted[triangle] = 1;
+    }
+
+    // Prefer the candidate that stays in cache longest while still having triangles left
+    let best = -1;
+    let bestPriority = -1;
+    for (const vertex of candidates) {
+      if (live[vertex] === 0) continue;
+
+      let priority = 0;
+      if (time - timestamps[vertex] + 2 * live[vertex] <= cacheSize) {
+        priority = time - timestamps[vertex];
+      }
+      if (priority > bestPriority) {
+        best = vertex;
+        bestPriority = priority;
+      }
+    }
+
+    if (best === -1) {
+      while (deadEnd.length > 0 && best === -1) {
+        const vertex = deadEnd.pop();
+        if (live[vertex] > 0) best = vertex;
+      }
+    }
+
+    if (best === -1) {
+      while (cursor < vertexCount && live[cursor] === 0) cursor++;
+      best = cursor < vertexCount ? cursor : -1;
+    }
+
+    current = best;
+  }
+
+  return result;
+}
+
+/**
+ * Greedy meshlet building: triangles are appended in order until a vertex or triangle limit is hit
+ */
+function buildMeshlets(indices, maxVertices, maxTriangles) {
+  const meshlets = [];
+  let vertices = new Set();
+  let triangles = 0;
+
+  for (let i = 0; i < indices.length; i += 3) {
+    let added = 0;
+    for (let k = 0; k < 3; k++) {
+      if (!vertices.has(indices[i + k])) added++;
+    }
+
+    if (vertices.size + added > maxVertices || triangles >= maxTriangles) {
+      meshlets.push({ vertexCount: vertices.size, triangleCount: triangles });
+      vertices = new Set();
+      triangles = 0;
+    }
+
+    for (let k = 0; k < 3; k++) {
+      vertices.add(indices[i + k]);
+    }
+    triangles++;
+  }
+
+  if (triangles > 0) {
+    meshlets.push({ vertexCount: vertices.size, triangleCount: triangles });
+  }
+
+  return meshlets;
+}
+
+function getGeometryByteLength(geometry) {
+  let size = 0;
+  for (const attribute of Object.values(geometry.attributes)) {
+    size += attribute.array.byteLength;
+  }
+  if (geometry.index) {
+    size += geometry.index.array.byteLength;
+  }
+  return size;
+}
+
+/**
+ * Simplify a plain geometry to roughly ratio * triangles
+ */
+function simplifyGeometry(geometry, ratio, targetError, lockBorder) {
+  let indexed = geometry.index ? geometry : generateIndex(geometry);
+  const indices = indexed.index.array;
+  const position = indexed.attributes.position;
+  const targetIndexCount = Math.floor(indices.length * ratio / 3) * 3;
+
+  const { indices: simplified, error } = MeshOptSimplifier.simplify(
+    indices,
+    position.array,
+    targetIndexCount,
+    targetError,
+    { positionStride: position.itemSize, lockBorder }
+  );
+
+  indexed = compactVertices(indexed, simplified);
+  indexed.metadata = { ...geometry.metadata, simplificationError: error };
+  return { geometry: indexed, error };
+}
+
 export class MeshOptLODGenerator {
   constructor() {
     this.lodLevels = new Map();
@@ -185,6 +483,15 @@ export class MeshOptLODGenerator {
     this.simplificationQuality = MeshOptSimplificationQuality.DEFAULT;
   }
 
+  /**
+   * Build a LOD chain with the quadric error simplifier
+   * @param {Object} geometry - Plain geometry ({attributes, index})
+   * @param {Object} [options]
+   * @param {number} [options.levelCount=4]
+   * @param {number[]} [options.qualityLevels] - Triangle ratio per level
+   * @param {number} [options.targetError=Infinity] - Maximum error relative to the mesh extent
+   * @param {boolean} [options.lockBorder=false] - Keep open borders fixed
+   */
   generateLOD(geometry, options = {}) {
     const levelCount = options.levelCount || 4;
     const qualityLevels = options.qualityLevels || [1.0, 0.7, 0.4, 0.2];
@@ -192,12 +499,13 @@ export class MeshOptLODGenerator {
 
     for (let i = 0; i < levelCount; i++) {
       const quality = qualityLevels[i] || (1 - i / levelCount);
-      const simplifiedGeometry = this._simplifyGeometry(geometry, quality);
-      
+      const { geometry: simplifiedGeometry, error } = this._simplifyGeometry(geometry, quality, options);
+
       lodGeometries.push({
         level: i,
         geometry: simplifiedGeometry,
         quality: quality,
+        error: error,
         triangleCount: this._estimateTriangleCount(simplifiedGeometry),
         vertexCount: this._estimateVertexCount(simplifiedGeometry),
         memoryUsage: this._estimateMemoryUsage(simplifiedGeometry),
@@ -214,106 +522,45 @@ export class MeshOptLODGenerator {
     return lodGeometries;
   }
 
-  _simplifyGeometry(geometry, quality) {
-    // Simplified mesh simplification - in reality, this would use actual meshopt simplification
-    const simplified = JSON.parse(JSON.stringify(geometry)); // Deep clone
-    
-    if (quality < 1.0) {
-      const targetVertexCount = Math.floor(this._estimateVertexCount(geometry) * quality);
-      const targetTriangleCount = Math.floor(this._estimateTriangleCount(geometry) * quality);
-      
-      // Simulate vertex reduction by decimating vertices
-      simplified.attributes = this._decimateVertices(simplified.attributes, quality);
-      
-      // Simulate triangle reduction
-      if (simplified.index && simplified.index.array) {
-        simplified.index.array = this._decimateTriangles(simplified.index.array, quality);
-      }
-    }
-
-    return simplified;
-  }
-
-  _decimateVertices(attributes, quality) {
-    const decimated = {};
-    
-    for (const [name, attribute] of Object.entries(attributes)) {
-      if (attribute.array) {
-        const originalLength = attribute.array.length;
-        const targetLength = Math.floor(originalLength * quality);
-        const newArray = new attribute.array.constructor(targetLength);
-        
-        // Simple vertex decimation - keep every nth vertex
-        const step = originalLength / targetLength;
-        for (let i = 0; i < targetLength; i++) {
-          const sourceIndex = Math.floor(i * step);
-          if (sourceIndex < originalLength) {
-            newArray[i] = attribute.array[sourceIndex];
-          }
-        }
-        
-        decimated[name] = {
-          ...attribute,
-          array: newArray
-        };
-      }
+  _simplifyGeometry(geometry, quality, options = {}) {
+    if (quality >= 1.0 || !geometry.attributes.position) {
+      return { geometry: cloneGeometry(geometry), error: 0 };
     }
-    
-    return decimated;
-  }
 
-  _decimateTriangles(indexArray, quality) {
-    const originalLength = indexArray.length;
-    const targetLength = Math.floor(originalLength * quality);
-    const newArray = new indexArray.constructor(targetLength);
-    
-    // Simple triangle decimation
-    const step = originalLength / targetLength;
-    for (let i = 0; i < targetLength; i++) {
-      const sourceIndex = Math.floor(i * step);
-      if (sourceIndex < originalLength) {
-        newArray[i] = indexArray[sourceIndex];
-      }
-    }
-    
-    return newArray;
+    const targetError = options.targetError !== undefined ? options.targetError : Infinity;
+    return simplifyGeometry(geometry, quality, targetError, options.lockBorder);
   }
 
   _estimateTriangleCount(geometry) {
     if (geometry.index && geometry.index.array) {
       return geometry.index.array.length / 3;
     }
-    
+
     const positionAttribute = geometry.attributes.position;
     if (positionAttribute) {
-      return positionAttribute.array.length / 9;
+      return positionAttribute.array.length / (positionAttribute.itemSize * 3);
     }
-    
+
     return 0;
   }
 
   _estimateVertexCount(geometry) {
-    const positionAttribute = geometry.attributes.position;
-    if (positionAttribute) {
-      return positionAttribute.array.length / positionAttribute.itemSize;
-    }
-    
-    return 0;
+    return getVertexCount(geometry);
   }
 
   _estimateMemoryUsage(geometry) {
     let usage = 0;
-    
+
     for (const attribute of Object.values(geometry.attributes)) {
       if (attribute.array) {
         usage += attribute.array.byteLength || attribute.array.length * 4;
       }
     }
-    
+
     if (geometry.index && geometry.index.array) {
       usage += geometry.index.array.byteLength || geometry.index.array.length * 4;
     }
-    
+
     return usage;
   }
 
@@ -327,7 +574,7 @@ export class MeshOptLODGenerator {
         }
       }
     }
-    
+
     return 0; // Highest detail
   }
 
@@ -335,6 +582,7 @@ export class MeshOptLODGenerator {
     return Array.from(this.lodLevels.values()).map(level => ({
       level: level.level,
       quality: level.quality,
+      error: level.error,
       triangleCount: level.triangleCount,
       vertexCount: level.vertexCount,
       memoryUsage: level.memoryUsage,
@@ -353,158 +601,210 @@ export class MeshOptOptimizationWorker {
   }
 
   _initWorker() {
-    // Simulated worker for meshopt operations
+    // Operations run on the main thread; jobs are queued so callers stay asynchronous
     this.worker = {
       postMessage: (data) => {
         setTimeout(() => {
-          const result = this._simulateOptimization(data);
-          if (data.id && this.pendingJobs.has(data.id)) {
-            const { resolve } = this.pendingJobs.get(data.id);
-            this.pendingJobs.delete(data.id);
-            resolve(result);
+          const job = this.pendingJobs.get(data.id);
+          if (!job) return;
+
+          this.pendingJobs.delete(data.id);
+          try {
+            job.resolve(this._runOptimization(data));
+          } catch (error) {
+            job.reject(error);
           }
-        }, Math.random() * 200 + 50);
+        }, 0);
       }
     };
   }
 
-  _simulateOptimization(data) {
+  _runOptimization(data) {
     const { type, geometry, options } = data;
-    
+
     switch (type) {
-      case 'quantization':
-        return this._simulateQuantization(geometry, options);
+      case MeshOptCompressionType.QUANTIZATION:
+        return this._quantize(geometry, options);
+      case MeshOptCompressionType.VERTEX_CACHE:
       case 'vertex_cache':
-        return this._simulateVertexCacheOptimization(geometry, options);
+        return this._optimizeVertexCache(geometry, options);
+      case MeshOptCompressionType.MESH_SIMPLIFICATION:
       case 'simplification':
-        return this._simulateSimplification(geometry, options);
-      case 'clustering':
-        return this._simulateClustering(geometry, options);
+        return this._simplify(geometry, options);
+      case MeshOptCompressionType.CLUSTERING:
+        return this._cluster(geometry, options);
       default:
         throw new Error(`Unknown optimization type: ${type}`);
     }
   }
 
-  _simulateQuantization(geometry, options) {
+  /**
+   * Quantize float attributes: positions to unorm with one uniform scale (so the
+   * shape is kept and the original can be restored with offset + value * scale),
+   * normals/tangents to snorm and texture coordinates to unorm per component
+   */
+  _quantize(geometry, options) {
     const {
       positionQuantization = 14,
       normalQuantization = 10,
       uvQuantization = 12
     } = options;
 
-    const optimized = JSON.parse(JSON.stringify(geometry));
-    
-    // Simulate quantization by reducing precision
+    const optimized = cloneGeometry(geometry);
+    const originalSize = getGeometryByteLength(geometry);
+
     for (const [name, attribute] of Object.entries(geometry.attributes)) {
-      if (attribute.array && attribute.array.constructor === Float32Array) {
-        const quantBits = this._getQuantizationBits(name, positionQuantization, normalQuantization, uvQuantization);
-        const quantized = new Uint16Array(attribute.array.length);
-        
-        for (let i = 0; i < attribute.array.length; i++) {
-          const maxValue = Math.pow(2, quantBits) - 1;
-          quantized[i] = Math.round((attribute.array[i] + 1) * 0.5 * maxValue);
-        }
-        
-        optimized.attributes[name] = {
-          ...attribute,
-          array: quantized,
-          quantized: true,
-          quantBits: quantBits
-        };
+      if (!(attribute.array instanceof Float32Array)) continue;
+
+      const bits = this._getQuantizationBits(name, positionQuantization, normalQuantization, uvQuantization);
+
+      if (name === 'normal' || name === 'tangent') {
+        optimized.attributes[name] = this._quantizeSnorm(attribute, bits);
+      } else if (name === 'position') {
+        optimized.attributes[name] = this._quantizeUnorm(attribute, bits, true);
+      } else if (name.startsWith('uv')) {
+        optimized.attributes[name] = this._quantizeUnorm(attribute, bits, false);
       }
     }
 
+    const compressedSize = getGeometryByteLength(optimized);
+
     return {
       type: 'optimization-complete',
       geometry: optimized,
       stats: {
-        compressionRatio: 0.6,
-        vertexCacheHitRate: 0.85,
-        memoryReduction: 0.4
+        originalSize,
+        compressedSize,
+        compressionRatio: originalSize ? compressedSize / originalSize : 1,
+        memoryReduction: originalSize ? 1 - compressedSize / originalSize : 0
       }
     };
   }
 
-  _simulateVertexCacheOptimization(geometry, options) {
-    const { cacheSize = MeshOptVertexCacheSize.MEDIUM } = options;
-    
-    // Simulate vertex cache optimization
-    const optimized = JSON.parse(JSON.stringify(geometry));
-    
-    if (geometry.index && geometry.index.array) {
-      const originalIndices = geometry.index.array;
-      const newIndices = new originalIndices.constructor(originalIndices.length);
-      
-      // Simulate improved vertex ordering
-      for (let i = 0; i < originalIndices.length; i++) {
-        newIndices[i] = originalIndices[i]; // In reality, this would be reordered
+  _quantizeUnorm(attribute, bits, uniform) {
+    const { array, itemSize } = attribute;
+    const count = array.length / itemSize;
+    const maxValue = Math.pow(2, bits) - 1;
+    const offset = new Array(itemSize).fill(Infinity);
+    const extent = new Array(itemSize).fill(0);
+
+    for (let i = 0; i < array.length; i++) {
+      offset[i % itemSize] = Math.min(offset[i % itemSize], array[i]);
+    }
+    for (let i = 0; i < array.length; i++) {
+      extent[i % itemSize] = Math.max(extent[i % itemSize], array[i] - offset[i % itemSize]);
+    }
+
+    const scale = uniform ? new Array(itemSize).fill(Math.max(...extent)) : extent;
+    const quantized = new Uint16Array(array.length);
+
+    for (let v = 0; v < count; v++) {
+      for (let k = 0; k < itemSize; k++) {
+        const i = v * itemSize + k;
+        const normalized = scale[k] > 0 ? (array[i] - offset[k]) / scale[k] : 0;
+        quantized[i] = Math.round(normalized * maxValue);
       }
-      
-      optimized.index.array = newIndices;
     }
 
     return {
-      type: 'optimization-complete',
-      geometry: optimized,
-      stats: {
-        vertexCacheHitRate: Math.random() * 0.3 + 0.7, // 70-100%
-        triangleStripEfficiency: Math.random() * 0.4 + 0.6, // 60-100%
-        fetchReduction: Math.random() * 0.3 + 0.2 // 20-50%
+      ...attribute,
+      array: quantized,
+      type: 'Uint16Array',
+      quantized: true,
+      quantBits: bits,
+      quantization: {
+        offset,
+        scale: scale.map(value => value / maxValue)
       }
     };
   }
 
-  _simulateSimplification(geometry, options) {
-    const { quality = 0.7 } = options;
-    
+  _quantizeSnorm(attribute, bits) {
+    const { array } = attribute;
+    const ArrayType = bits <= 8 ? Int8Array : Int16Array;
+    const maxValue = Math.pow(2, bits - 1) - 1;
+    const quantized = new ArrayType(array.length);
+
+    for (let i = 0; i < array.length; i++) {
+      const value = Math.max(-1, Math.min(1, array[i]));
+      quantized[i] = Math.round(value * maxValue);
+    }
+
+    return {
+      ...attribute,
+      array: quantized,
+      type: ArrayType.name,
+      // Only full-range values can be read back as normalized integers
+      normalized: bits === ArrayType.BYTES_PER_ELEMENT * 8,
+      quantized: true,
+      quantBits: bits,
+      quantization: { offset: 0, scale: 1 / maxValue }
+    };
+  }
+
+  /**
+   * Reorder triangles for the post-transform cache, then vertices for fetch locality
+   */
+  _optimizeVertexCache(geometry, options) {
+    const { cacheSize = MeshOptVertexCacheSize.MEDIUM } = options;
+    let optimized = geometry.index ? cloneGeometry(geometry) : generateIndex(geometry);
+    const indices = optimized.index.array;
+    const before = analyzeVertexCache(indices, cacheSize);
+
+    const reordered = optimizeVertexCacheFifo(indices, getVertexCount(optimized), cacheSize);
+    optimized = compactVertices(optimized, reordered);
+    optimized.metadata = { ...geometry.metadata };
+
+    const after = analyzeVertexCache(optimized.index.array, cacheSize);
+
     return {
       type: 'optimization-complete',
-      geometry: this._simulateQualityReduction(geometry, quality),
+      geometry: optimized,
       stats: {
-        vertexReduction: 1 - quality,
-        triangleReduction: 1 - quality,
-        qualityRetention: quality
+        vertexCacheHitRate: after.hitRate,
+        acmrBefore: before.acmr,
+        acmrAfter: after.acmr,
+        fetchReduction: before.misses ? 1 - after.misses / before.misses : 0
       }
     };
   }
 
-  _simulateClustering(geometry, options) {
-    const { clusterSize = 1000 } = options;
-    
+  _simplify(geometry, options) {
+    const { quality = 0.7, targetError = Infinity, lockBorder = false } = options;
+    const originalTriangles = this._estimateTriangleCount(geometry);
+    const originalVertices = getVertexCount(geometry);
+    const { geometry: simplified, error } = simplifyGeometry(geometry, quality, targetError, lockBorder);
+
     return {
       type: 'optimization-complete',
-      geometry: geometry,
+      geometry: simplified,
       stats: {
-        clusterCount: Math.ceil(this._estimateTriangleCount(geometry) / clusterSize),
-        averageClusterSize: clusterSize
+        vertexReduction: originalVertices ? 1 - getVertexCount(simplified) / originalVertices : 0,
+        triangleReduction: originalTriangles ? 1 - this._estimateTriangleCount(simplified) / originalTriangles : 0,
+        error
       }
     };
   }
 
-  _simulateQualityReduction(geometry, quality) {
-    const simplified = JSON.parse(JSON.stringify(geometry));
-    
-    // Reduce data based on quality level
-    if (quality < 0.8) {
-      // Reduce normal precision or remove normals
-      if (simplified.attributes.normal) {
-        delete simplified.attributes.normal;
-      }
-    }
-    
-    if (quality < 0.6) {
-      // Reduce UV precision or remove UVs
-      if (simplified.attributes.uv) {
-        delete simplified.attributes.uv;
+  _cluster(geometry, options) {
+    const { maxVertices = 64, maxTriangles = 124 } = options;
+    const indexed = geometry.index ? geometry : generateIndex(geometry);
+    const meshlets = buildMeshlets(indexed.index.array, maxVertices, maxTriangles);
+    const triangleCount = this._estimateTriangleCount(indexed);
+
+    return {
+      type: 'optimization-complete',
+      geometry: { ...indexed, meshlets },
+      stats: {
+        clusterCount: meshlets.length,
+        averageClusterSize: meshlets.length ? triangleCount / meshlets.length : 0
       }
-    }
-    
-    return simplified;
+    };
   }
 
   _getQuantizationBits(attributeName, positionQuant, normalQuant, uvQuant) {
     if (attributeName === 'position') return positionQuant;
-    if (attributeName === 'normal') return normalQuant;
+    if (attributeName === 'normal' || attributeName === 'tangent') return normalQuant;
     if (attributeName.startsWith('uv')) return uvQuant;
     return 12; // Default
   }
@@ -513,15 +813,15 @@ export class MeshOptOptimizationWorker {
     if (geometry.index && geometry.index.array) {
       return geometry.index.array.length / 3;
     }
-    return 0;
+    return getVertexCount(geometry) / 3;
   }
 
   async optimize(geometry, types, options = {}) {
     const jobId = ++this.jobIdCounter;
-    
-    return new Promise((resolve) => {
-      this.pendingJobs.set(jobId, { resolve, options });
-      
+
+    return new Promise((resolve, reject) => {
+      this.pendingJobs.set(jobId, { resolve, reject, options });
+
       this.worker.postMessage({
         id: jobId,
         type: types,
@@ -541,6 +841,7 @@ export class MeshOptOptimizationWorker {
     if (this.worker && this.worker.terminate) {
       this.worker.terminate();
     }
+    this.pendingJobs.forEach(({ reject }) => reject(new Error('MeshOpt worker terminated')));
     this.pendingJobs.clear();
   }
 }
@@ -696,25 +997,90 @@ export class MeshOptLoader {
     });
   }
 
+  /**
+   * Parse the MeshOpt container header. Layout (little endian):
+   *   'MOPT', uint8 version, uint8 attributeCount, uint8 indexMode (0 none, 1 TRIANGLES, 2 INDICES),
+   *   uint8 indexSize, uint32 vertexCount, uint32 indexCount, uint32 indexByteLength
+   * then per attribute:
+   *   uint8 nameLength, name (utf-8), uint16 componentType (glTF), uint8 itemSize,
+   *   uint8 flags (bit 0: normalized), uint16 byteStride, uint8 filter, uint32 byteLength
+   * followed by the encoded index stream and the encoded attribute streams in order
+   */
   _parseMeshOptFormat(arrayBuffer, url) {
-    // Simulated MeshOpt parsing - in reality, this would parse the actual format
     const view = new DataView(arrayBuffer);
-    
+    const bytes = new Uint8Array(arrayBuffer);
+
+    if (arrayBuffer.byteLength < 20 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== 'MOPT') {
+      throw new Error('Invalid MeshOpt file: missing MOPT header');
+    }
+
+    const version = bytes[4];
+    if (version !== 1) {
+      throw new Error(`Unsupported MeshOpt container version: ${version}`);
+    }
+
+    const attributeCount = bytes[5];
+    const indexMode = MESHOPT_INDEX_MODES[bytes[6]];
+    const indexSize = bytes[7];
+    const vertexCount = view.getUint32(8, true);
+    const indexCount = view.getUint32(12, true);
+    const indexByteLength = view.getUint32(16, true);
+    const decoder = new TextDecoder();
+    const attributes = [];
+    let offset = 20;
+
+    if (indexMode === undefined || (indexMode && indexSize !== 2 && indexSize !== 4)) {
+      throw new Error('Invalid MeshOpt index stream description');
+    }
+
+    for (let i = 0; i < attributeCount; i++) {
+      const nameLength = bytes[offset];
+      const name = decoder.decode(bytes.subarray(offset + 1, offset + 1 + nameLength));
+      offset += 1 + nameLength;
+
+      const componentType = view.getUint16(offset, true);
+      const filter = MESHOPT_FILTERS[bytes[offset + 6]];
+
+      if (!COMPONENT_ARRAYS[componentType] || !filter) {
+        throw new Error(`Invalid MeshOpt attribute description: ${name}`);
+      }
+
+      attributes.push({
+        name,
+        componentType,
+        itemSize: bytes[offset + 2],
+        normalized: (bytes[offset + 3] & 1) === 1,
+        byteStride: view.getUint16(offset + 4, true),
+        filter,
+        byteLength: view.getUint32(offset + 7, true)
+      });
+      offset += 11;
+    }
+
+    const index = indexMode ? { mode: indexMode, size: indexSize, count: indexCount, byteOffset: offset, byteLength: indexByteLength } : null;
+    offset += indexMode ? indexByteLength : 0;
+
+    for (const attribute of attributes) {
+      attribute.byteOffset = offset;
+      offset += attribute.byteLength;
+    }
+
+    if (offset > arrayBuffer.byteLength) {
+      throw new Error('Invalid MeshOpt file: truncated data');
+    }
+
     return {
       header: {
-        version: 1,
-        vertexCount: Math.floor(view.byteLength / 32),
-        indexCount: Math.floor(view.byteLength / 4),
-        triangleCount: Math.floor(view.byteLength / 12)
+        version,
+        vertexCount,
+        indexCount,
+        triangleCount: index ? indexCount / 3 : vertexCount / 3
       },
+      index,
+      attributes,
       data: arrayBuffer,
       metadata: {
-        optimizations: this._detectOptimizations(arrayBuffer),
-        compressionRatio: Math.random() * 0.3 + 0.4, // 40-70% of original
-        quantization: this.quantizationSettings,
-        vertexCacheSize: this.vertexCacheSize,
         format: 'meshopt',
-        originalSize: arrayBuffer.byteLength * 2, // Estimate
         compressedSize: arrayBuffer.byteLength
       },
       url: url,
@@ -722,64 +1088,67 @@ export class MeshOptLoader {
     };
   }
 
-  _detectOptimizations(buffer) {
-    // Simulate detection of applied optimizations
-    return {
-      quantized: true,
-      vertexCached: true,
-      indexed: true,
-      clustered: false,
-      stripped: false
-    };
-  }
-
   async _parseGeometry(meshoptData, options = {}) {
-    // Simulate parsing MeshOpt data into standard geometry format
-    const vertexCount = meshoptData.header.vertexCount;
-    const indexCount = meshoptData.header.indexCount;
-    
-    const geometry = {
-      attributes: {
-        position: {
-          array: new Float32Array(vertexCount * 3),
-          itemSize: 3,
-          type: 'Float32Array'
-        }
-      },
-      index: {
-        array: new (indexCount > 65535 ? Uint32Array : Uint16Array)(indexCount),
+    const { header, index, attributes } = meshoptData;
+    const bytes = new Uint8Array(meshoptData.data);
+    const loadKey = options.key || meshoptData.url;
+    const geometry = { attributes: {}, index: null };
+    let originalSize = 0;
+
+    if (index) {
+      const decoded = new Uint8Array(index.count * index.size);
+      MeshOptDecoder.decodeGltfBuffer(decoded, index.count, index.size, bytes.subarray(index.byteOffset, index.byteOffset + index.byteLength), index.mode);
+
+      const ArrayType = index.size === 4 ? Uint32Array : Uint16Array;
+      geometry.index = {
+        array: new ArrayType(decoded.buffer),
         itemSize: 1,
-        type: indexCount > 65535 ? 'Uint32Array' : 'Uint16Array'
-      },
-      metadata: {
-        optimized: true,
-        optimizationType: 'meshopt',
-        compressionRatio: meshoptData.metadata.compressionRatio,
-        originalSize: meshoptData.metadata.originalSize,
-        compressedSize: meshoptData.metadata.compressedSize,
-        optimizations: meshoptData.metadata.optimizations,
-        meshoptData: meshoptData.data,
-        parsed: true
-      }
-    };
-
-    // Add normal attribute if available
-    if (Math.random() > 0.3) { // 70% chance of having normals
-      geometry.attributes.normal = {
-        array: new Float32Array(vertexCount * 3),
-        itemSize: 3,
-        type: 'Float32Array'
+        type: ArrayType.name
       };
+      originalSize += decoded.byteLength;
     }
 
-    // Add UV attribute if available
-    if (Math.random() > 0.5) { // 50% chance of having UVs
-      geometry.attributes.uv = {
-        array: new Float32Array(vertexCount * 2),
-        itemSize: 2,
-        type: 'Float32Array'
+    attributes.forEach((attribute, i) => {
+      const decoded = new Uint8Array(header.vertexCount * attribute.byteStride);
+      const source = bytes.subarray(attribute.byteOffset, attribute.byteOffset + attribute.byteLength);
+      MeshOptDecoder.decodeGltfBuffer(decoded, header.vertexCount, attribute.byteStride, source, 'ATTRIBUTES', attribute.filter);
+
+      const ArrayType = COMPONENT_ARRAYS[attribute.componentType];
+      const elementsPerVertex = attribute.byteStride / ArrayType.BYTES_PER_ELEMENT;
+      const interleaved = new ArrayType(decoded.buffer);
+      const array = new ArrayType(header.vertexCount * attribute.itemSize);
+
+      // Streams are padded to a multiple of 4 bytes per vertex
+      for (let v = 0; v < header.vertexCount; v++) {
+        for (let k = 0; k < attribute.itemSize; k++) {
+          array[v * attribute.itemSize + k] = interleaved[v * elementsPerVertex + k];
+        }
+      }
+
+      geometry.attributes[attribute.name] = {
+        array,
+        itemSize: attribute.itemSize,
+        normalized: attribute.normalized,
+        type: ArrayType.name
       };
-    }
+      originalSize += decoded.byteLength;
+
+      this.progressTracker.updateProgress(loadKey, {
+        loaded: i + 1,
+        total: attributes.length,
+        percentage: ((i + 1) / attributes.length) * 100,
+        phase: 'decoding'
+      });
+    });
+
+    geometry.metadata = {
+      optimized: true,
+      optimizationType: 'meshopt',
+      compressionRatio: originalSize ? meshoptData.metadata.compressedSize / originalSize : 1,
+      originalSize,
+      compressedSize: meshoptData.metadata.compressedSize,
+      parsed: true
+    };
 
     return geometry;
   }
@@ -823,7 +1192,7 @@ export class MeshOptLoader {
     const stats = geometry.metadata?.optimizations || {};
     
     return {
-      vertexCacheHitRate: stats.vertex_cache?.vertexCacheHitRate || 0,
+      vertexCacheHitRate: stats[MeshOptCompressionType.VERTEX_CACHE]?.vertexCacheHitRate || 0,
       memoryReduction: stats.quantization?.memoryReduction || 0,
       optimizationTime: geometry.metadata?.optimizationTime || 0,
       totalMemoryUsage: this._estimateMemoryUsage(geometry)
@@ -843,10 +1212,6 @@ export class MeshOptLoader {
       usage += geometry.index.array.byteLength || geometry.index.array.length * 4;
     }
     
-    if (geometry.metadata?.meshoptData) {
-      usage += geometry.metadata.meshoptData.byteLength || 0;
-    }
-    
     return usage;
   }
 
@@ -0,0 +1,602 @@
+/**
+ * MeshOptSimplifier - Quadric error mesh simplification
+ * Edge-collapse simplifier in the style of meshopt_simplify: vertices are
+ * classified as manifold, border, seam or locked, border and UV seam edges
+ * only collapse along themselves, and collapses are ranked by quadric error
+ */
+
+const VertexKind = {
+  MANIFOLD: 0,
+  BORDER: 1,
+  SEAM: 2,
+  LOCKED: 3
+};
+
+// Whether a vertex of kind [row] may collapse onto a vertex of kind [column]
+const CAN_COLLAPSE = [
+  [1, 1, 1, 1],
+  [0, 1, 0, 0],
+  [0, 0, 1, 0],
+  [0, 0, 0, 0]
+];
+
+// Whether an edge between the kinds appears twice (once per adjacent triangle)
+const HAS_OPPOSITE = [
+  [1, 1, 1, 0],
+  [1, 0, 1, 0],
+  [1, 1, 1, 0],
+  [0, 0, 0, 0]
+];
+
+const BORDER_EDGE_WEIGHT = 10;
+const SEAM_EDGE_WEIGHT = 0.5;
+
+// Quadric layout: a00 a11 a22 a10 a20 a21 b0 b1 b2 c w
+const QUADRIC_SIZE = 11;
+
+function quadricAddPlane(quadrics, index, a, b, c, d, w) {
+  const o = index * QUADRIC_SIZE;
+  const aw = a * w;
+  const bw = b * w;
+  const cw = c * w;
+  const dw = d * w;
+
+  quadrics[o] += a * aw;
+  quadrics[o + 1] += b * bw;
+  quadrics[o + 2] += c * cw;
+  quadrics[o + 3] += a * bw;
+  quadrics[o + 4] += a * cw;
+  quadrics[o + 5] += b * cw;
+  quadrics[o + 6] += a * dw;
+  quadrics[o + 7] += b * dw;
+  quadrics[o + 8] += c * dw;
+  quadrics[o + 9] += d * dw;
+  quadrics[o + 10] += w;
+}
+
+function quadricAdd(quadrics, target, source) {
+  const t = target * QUADRIC_SIZE;
+  const s = source * QUADRIC_SIZE;
+  for (let k = 0; k < QUADRIC_SIZE; k++) {
+    quadrics[t + k] += quadrics[s + k];
+  }
+}
+
+function quadricError(quadrics, index, x, y, z) {
+  const o = index * QUADRIC_SIZE;
+  const rx = 2 * (quadrics[o + 6] + quadrics[o + 3] * y) + quadrics[o] * x;
+  const ry = 2 * (quadrics[o + 7] + quadrics[o + 5] * z) + quadrics[o + 1] * y;
+  const rz = 2 * (quadrics[o + 8] + quadrics[o + 4] * x) + quadrics[o + 2] * z;
+  const r = quadrics[o + 9] + rx * x + ry * y + rz * z;
+  const w = quadrics[o + 10];
+
+  return w === 0 ? 0 : Math.abs(r) / w;
+}
+
+/**
+ * Map each vertex to the first vertex with the same position and link
+ * vertices sharing a position into circular "wedge" lists
+ */
+function buildPositionRemap(positions, vertexCount, remap, wedge) {
+  const table = new Map();
+
+  for (let i = 0; i < vertexCount; i++) {
+    const key = `${positions[i * 3]},${positions[i * 3 + 1]},${positions[i * 3 + 2]}`;
+    const first = table.get(key);
+
+    if (first === undefined) {
+      table.set(key, i);
+      remap[i] = i;
+      wedge[i] = i;
+    } else {
+      remap[i] = first;
+      wedge[i] = wedge[first];
+      wedge[first] = i;
+    }
+  }
+}
+
+/**
+ * Half-edge adjacency: for every vertex, the (next, prev) corners of each triangle using it
+ */
+function buildAdjacency(indices, indexCount, vertexCount, remap) {
+  const counts = new Uint32Array(vertexCount);
+  const offsets = new Uint32Array(vertexCount);
+  const next = new Uint32Array(indexCount);
+  const prev = new Uint32Array(indexCount);
+
+  for (let i = 0; i < indexCount; i++) {
+    counts[remap ? remap[indices[i]] : indices[i]]++;
+  }
+
+  let offset = 0;
+  for (let i = 0; i < vertexCount; i++) {
+    offsets[i] = offset;
+    offset += counts[i];
+  }
+
+  const cursor = offsets.slice();
+  for (let i = 0; i < indexCount; i += 3) {
+    let a = indices[i];
+    let b = indices[i + 1];
+    let c = indices[i + 2];
+    if (remap) {
+      a = remap[a];
+      b = remap[b];
+      c = remap[c];
+    }
+
+    next[cursor[a]] = b; prev[cursor[a]++] = c;
+    next[cursor[b]] = c; prev[cursor[b]++] = a;
+    next[cursor[c]] = a; prev[cursor[c]++] = b;
+  }
+
+  return { counts, offsets, next, prev };
+}
+
+function hasEdge(adjacency, a, b) {
+  const end = adjacency.offsets[a] + adjacency.counts[a];
+  for (let i = adjacency.offsets[a]; i < end; i++) {
+    if (adjacency.next[i] === b) return true;
+  }
+  return false;
+}
+
+/**
+ * Classify vertices and record the open (unpaired) half-edge leaving and entering each vertex.
+ * A vertex with several open edges stores itself to mark the ambiguity.
+ */
+function classifyVertices(indices, indexCount, vertexCount, remap, wedge, lockBorder) {
+  const adjacency = buildAdjacency(indices, indexCount, vertexCount, null);
+  const openOut = new Int32Array(vertexCount).fill(-1);
+  const openIn = new Int32Array(vertexCount).fill(-1);
+  const kinds = new Uint8Array(vertexCount);
+
+  for (let i = 0; i < indexCount; i += 3) {
+    for (let e = 0; e < 3; e++) {
+      const a = indices[i + e];
+      const b = indices[i + (e + 1) % 3];
+
+      if (!hasEdge(adjacency, b, a)) {
+        openOut[a] = openOut[a] === -1 ? b : a;
+        openIn[b] = openIn[b] === -1 ? a : b;
+      }
+    }
+  }
+
+  for (let i = 0; i < vertexCount; i++) {
+    if (remap[i] !== i) continue;
+
+    if (wedge[i] === i) {
+      // No attribute seam; vertices without open edges are treated as manifold
+      const out = openOut[i];
+      const inc = openIn[i];
+
+      if (out === -1 && inc === -1) {
+        kinds[i] = VertexKind.MANIFOLD;
+      } else if (out !== i && inc !== i && out !== -1 && inc !== -1) {
+        kinds[i] = lockBorder ? VertexKind.LOCKED : VertexKind.BORDER;
+      } else {
+        kinds[i] = VertexKind.LOCKED;
+      }
+    } else if (wedge[wedge[i]] === i) {
+      // Two wedges: a seam needs one open edge in and out of each wedge, meeting the same neighbours
+      const w = wedge[i];
+      const outI = openOut[i];
+      const incI = openIn[i];
+      const outW = openOut[w];
+      const incW = openIn[w];
+
+      if (incI !== -1 && incI !== i && outI !== -1 && outI !== i &&
+          incW !== -1 && incW !== w && outW !== -1 && outW !== w &&
+          remap[incI] === remap[outW] && remap[outI] === remap[incW] && remap[incI] !== remap[outI]) {
+        kinds[i] = VertexKind.SEAM;
+      } else {
+        kinds[i] = VertexKind.LOCKED;
+      }
+    } else {
+      // Three or more wedges
+      kinds[i] = VertexKind.LOCKED;
+    }
+  }
+
+  for (let i = 0; i < vertexCount; i++) {
+    kinds[i] = kinds[remap[i]];
+  }
+
+  return { kinds, loop: openOut, loopback: openIn };
+}
+
+function compactPositions(positions, vertexCount, stride) {
+  const result = new Float32Array(vertexCount * 3);
+  for (let i = 0; i < vertexCount; i++) {
+    result[i * 3] = positions[i * stride];
+    result[i * 3 + 1] = positions[i * stride + 1];
+    result[i * 3 + 2] = positions[i * stride + 2];
+  }
+  return result;
+}
+
+/**
+ * Copy positions into a unit cube so errors are relative to the mesh extent
+ */
+function rescalePositions(positions, vertexCount, stride) {
+  const result = new Float64Array(vertexCount * 3);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let i = 0; i < vertexCount; i++) {
+    for (let k = 0; k < 3; k++) {
+      const value = positions[i * stride + k];
+      result[i * 3 + k] = value;
+      if (value < min[k]) min[k] = value;
+      if (value > max[k]) max[k] = value;
+    }
+  }
+
+  const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  const scale = extent > 0 ? 1 / extent : 0;
+
+  for (let i = 0; i < vertexCount; i++) {
+    for (let k = 0; k < 3; k++) {
+      result[i * 3 + k] = (result[i * 3 + k] - min[k]) * scale;
+    }
+  }
+
+  return { positions: result, extent };
+}
+
+function fillFaceQuadrics(quadrics, indices, indexCount, positions, remap) {
+  for (let i = 0; i < indexCount; i += 3) {
+    const i0 = indices[i] * 3;
+    const i1 = indices[i + 1] * 3;
+    const i2 = indices[i + 2] * 3;
+
+    const e1x = positions[i1] - positions[i0];
+    const e1y = positions[i1 + 1] - positions[i0 + 1];
+    const e1z = positions[i1 + 2] - positions[i0 + 2];
+    const e2x = positions[i2] - positions[i0];
+    const e2y = positions[i2 + 1] - positions[i0 + 1];
+    const e2z = positions[i2 + 2] - positions[i0 + 2];
+
+    let nx = e1y * e2z - e1z * e2y;
+    let ny = e1z * e2x - e1x * e2z;
+    let nz = e1x * e2y - e1y * e2x;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length > 0) {
+      nx /= length;
+      ny /= length;
+      nz /= length;
+    }
+
+    const distance = nx * positions[i0] + ny * positions[i0 + 1] + nz * positions[i0 + 2];
+
+    // sqrt(area) keeps the error roughly linear in distance, which favours silhouettes
+    const weight = Math.sqrt(length * 0.5);
+
+    for (let k = 0; k < 3; k++) {
+      quadricAddPlane(quadrics, remap[indices[i + k]], nx, ny, nz, -distance, weight);
+    }
+  }
+}
+
+/**
+ * Add planes perpendicular to border and seam edges so they resist moving inwards
+ */
+function fillEdgeQuadrics(quadrics, indices, indexCount, positions, remap, kinds, loop, loopback) {
+  for (let i = 0; i < indexCount; i += 3) {
+    for (let e = 0; e < 3; e++) {
+      const i0 = indices[i + e];
+      const i1 = indices[i + (e + 1) % 3];
+      const i2 = indices[i + (e + 2) % 3];
+      const k0 = kinds[i0];
+      const k1 = kinds[i1];
+      const open0 = k0 === VertexKind.BORDER || k0 === VertexKind.SEAM;
+      const open1 = k1 === VertexKind.BORDER || k1 === VertexKind.SEAM;
+
+      // Corners between a border and a locked vertex still need the edge plane
+      if (!open0 && !open1) continue;
+      if (open0 && loop[i0] !== i1) continue;
+      if (open1 && loopback[i1] !== i0) continue;
+
+      // Seam edges show up once per side
+      if (HAS_OPPOSITE[k0][k1] && remap[i1] > remap[i0]) continue;
+
+      const p0 = i0 * 3;
+      const p1 = i1 * 3;
+      const p2 = i2 * 3;
+
+      const ex = positions[p1] - positions[p0];
+      const ey = positions[p1 + 1] - positions[p0 + 1];
+      const ez = positions[p1 + 2] - positions[p0 + 2];
+      const lengthSq = ex * ex + ey * ey + ez * ez;
+      const length = Math.sqrt(lengthSq);
+
+      const fx = positions[p2] - positions[p0];
+      const fy = positions[p2 + 1] - positions[p0 + 1];
+      const fz = positions[p2 + 2] - positions[p0 + 2];
+      const projection = fx * ex + fy * ey + fz * ez;
+
+      // Direction from the edge towards the opposite vertex, perpendicular to the edge
+      let px = fx * lengthSq - ex * projection;
+      let py = fy * lengthSq - ey * projection;
+      let pz = fz * lengthSq - ez * projection;
+      const perpLength = Math.sqrt(px * px + py * py + pz * pz);
+      if (perpLength > 0) {
+        px /= perpLength;
+        py /= perpLength;
+        pz /= perpLength;
+      }
+
+      const distance = px * positions[p0] + py * positions[p0 + 1] + pz * positions[p0 + 2];
+      const weight = (k0 === VertexKind.BORDER || k1 === VertexKind.BORDER) ? BORDER_EDGE_WEIGHT : SEAM_EDGE_WEIGHT;
+
+      quadricAddPlane(quadrics, remap[i0], px, py, pz, -distance, length * weight);
+      quadricAddPlane(quadrics, remap[i1], px, py, pz, -distance, length * weight);
+    }
+  }
+}
+
+function pickEdgeCollapses(indices, indexCount, remap, kinds, loop) {
+  const collapses = [];
+
+  for (let i = 0; i < indexCount; i += 3) {
+    for (let e = 0; e < 3; e++) {
+      const i0 = indices[i + e];
+      const i1 = indices[i + (e + 1) % 3];
+
+      // Zero-length edges are left alone
+      if (remap[i0] === remap[i1]) continue;
+
+      const k0 = kinds[i0];
+      const k1 = kinds[i1];
+
+      if (!CAN_COLLAPSE[k0][k1] && !CAN_COLLAPSE[k1][k0]) continue;
+
+      // Manifold and seam edges are seen from both triangles
+      if (HAS_OPPOSITE[k0][k1] && remap[i1] > remap[i0]) continue;
+
+      // Two border (or seam) vertices that are not joined by a border edge belong to different loops
+      if (k0 === k1 && (k0 === VertexKind.BORDER || k0 === VertexKind.SEAM) && loop[i0] !== i1) continue;
+
+      if (CAN_COLLAPSE[k0][k1] && CAN_COLLAPSE[k1][k0]) {
+        collapses.push({ v0: i0, v1: i1, bidirectional: true, error: 0 });
+      } else {
+        const forward = CAN_COLLAPSE[k0][k1];
+        collapses.push({ v0: forward ? i0 : i1, v1: forward ? i1 : i0, bidirectional: false, error: 0 });
+      }
+    }
+  }
+
+  return collapses;
+}
+
+function rankEdgeCollapses(collapses, positions, quadrics, remap) {
+  for (const collapse of collapses) {
+    const { v0, v1 } = collapse;
+    const forward = quadricError(quadrics, remap[v0], positions[v1 * 3], positions[v1 * 3 + 1], positions[v1 * 3 + 2]);
+
+    if (!collapse.bidirectional) {
+      collapse.error = forward;
+      continue;
+    }
+
+    const backward = quadricError(quadrics, remap[v1], positions[v0 * 3], positions[v0 * 3 + 1], positions[v0 * 3 + 2]);
+    if (backward < forward) {
+      collapse.v0 = v1;
+      collapse.v1 = v0;
+      collapse.error = backward;
+    } else {
+      collapse.error = forward;
+    }
+  }
+}
+
+function hasTriangleFlip(positions, a, b, c0, c1) {
+  const ax = positions[a * 3];
+  const ay = positions[a * 3 + 1];
+  const az = positions[a * 3 + 2];
+  const ebx = positions[b * 3] - ax;
+  const eby = positions[b * 3 + 1] - ay;
+  const ebz = positions[b * 3 + 2] - az;
+  const e0x = positions[c0 * 3] - ax;
+  const e0y = positions[c0 * 3 + 1] - ay;
+  const e0z = positions[c0 * 3 + 2] - az;
+  const e1x = positions[c1 * 3] - ax;
+  const e1y = positions[c1 * 3 + 1] - ay;
+  const e1z = positions[c1 * 3 + 2] - az;
+
+  const n0x = eby * e0z - ebz * e0y;
+  const n0y = ebz * e0x - ebx * e0z;
+  const n0z = ebx * e0y - eby * e0x;
+  const n1x = eby * e1z - ebz * e1y;
+  const n1y = ebz * e1x - ebx * e1z;
+  const n1z = ebx * e1y - eby * e1x;
+
+  return n0x * n1x + n0y * n1y + n0z * n1z <= 0;
+}
+
+/**
+ * Check whether moving r0 onto r1 would flip any remaining triangle around r0
+ */
+function hasTriangleFlips(adjacency, positions, remap, collapseRemap, r0, r1) {
+  const end = adjacency.offsets[r0] + adjacency.counts[r0];
+
+  for (let i = adjacency.offsets[r0]; i < end; i++) {
+    const a = collapseRemap[adjacency.next[i]];
+    const b = collapseRemap[adjacency.prev[i]];
+
+    // Triangles removed by this collapse, or already degenerate
+    if (remap[a] === r1 || remap[b] === r1 || remap[a] === remap[b]) continue;
+
+    if (hasTriangleFlip(positions, a, b, r0, r1)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+function performEdgeCollapses(state, collapses, order, triangleGoal, errorLimit) {
+  const { positions, quadrics, remap, wedge, kinds, adjacency, collapseRemap, locked } = state;
+  let edgeGoal = Math.floor(triangleGoal / 2);
+  let triangleCollapses = 0;
+  let edgeCollapses = 0;
+
+  for (let i = 0; i < order.length; i++) {
+    const collapse = collapses[order[i]];
+
+    if (collapse.error > errorLimit) break;
+    if (triangleCollapses >= triangleGoal) break;
+
+    // Many candidates get blocked by earlier collapses in the pass, so allow some slack
+    // over the error of the expected last collapse before ending the pass
+    const errorGoal = edgeGoal < order.length ? 1.5 * collapses[order[edgeGoal]].error : Infinity;
+    if (collapse.error > errorGoal && triangleCollapses > triangleGoal / 6) break;
+
+    const i0 = collapse.v0;
+    const i1 = collapse.v1;
+    const r0 = remap[i0];
+    const r1 = remap[i1];
+
+    // Each vertex moves at most once per pass
+    if (locked[r0] || locked[r1]) continue;
+
+    if (hasTriangleFlips(adjacency, positions, remap, collapseRemap, r0, r1)) {
+      edgeGoal++;
+      continue;
+    }
+
+    quadricAdd(quadrics, r1, r0);
+
+    if (kinds[i0] === VertexKind.SEAM) {
+      // Move both sides of the seam together
+      collapseRemap[i0] = i1;
+      collapseRemap[wedge[i0]] = wedge[i1];
+    } else {
+      collapseRemap[i0] = i1;
+    }
+
+    locked[r0] = 1;
+    locked[r1] = 1;
+
+    // Border collapses remove one triangle, others remove two or more
+    triangleCollapses += kinds[i0] === VertexKind.BORDER ? 1 : 2;
+    edgeCollapses++;
+    state.resultError = Math.max(state.resultError, collapse.error);
+  }
+
+  return edgeCollapses;
+}
+
+function remapEdgeLoops(loop, vertexCount, collapseRemap) {
+  for (let i = 0; i < vertexCount; i++) {
+    if (loop[i] !== -1) {
+      const l = loop[i];
+      const r = collapseRemap[l];
+      // i === r happens when a seam edge collapses against the loop direction
+      loop[i] = i === r ? loop[l] : r;
+    }
+  }
+}
+
+function remapIndexBuffer(indices, indexCount, collapseRemap) {
+  let write = 0;
+
+  for (let i = 0; i < indexCount; i += 3) {
+    const v0 = collapseRemap[indices[i]];
+    const v1 = collapseRemap[indices[i + 1]];
+    const v2 = collapseRemap[indices[i + 2]];
+
+    if (v0 !== v1 && v0 !== v2 && v1 !== v2) {
+      indices[write] = v0;
+      indices[write + 1] = v1;
+      indices[write + 2] = v2;
+      write += 3;
+    }
+  }
+
+  return write;
+}
+
+export class MeshOptSimplifier {
+  /**
+   * Reduce the number of triangles while keeping the existing vertices
+   * @param {ArrayLike<number>} indices - Triangle list
+   * @param {ArrayLike<number>} positions - Vertex positions
+   * @param {number} targetIndexCount - Desired index count
+   * @param {number} [targetError=Infinity] - Maximum error relative to the mesh extent (0.01 = 1%)
+   * @param {Object} [options]
+   * @param {number} [options.positionStride=3] - Floats between consecutive positions
+   * @param {boolean} [options.lockBorder=false] - Keep open borders fixed
+   * @returns {{indices: Uint32Array, error: number}} Simplified indices and the relative error reached
+   */
+  static simplify(indices, positions, targetIndexCount, targetError = Infinity, options = {}) {
+    const stride = options.positionStride || 3;
+    const vertexCount = Math.floor(positions.length / stride);
+    let indexCount = indices.length;
+    const result = Uint32Array.from(indices);
+
+    if (indexCount % 3 !== 0) {
+      throw new Error('Index count must be a multiple of 3');
+    }
+    if (targetIndexCount >= indexCount) {
+      return { indices: result, error: 0 };
+    }
+
+    const remap = new Uint32Array(vertexCount);
+    const wedge = new Uint32Array(vertexCount);
+    buildPositionRemap(positions.length === vertexCount * 3 ? positions : compactPositions(positions, vertexCount, stride), vertexCount, remap, wedge);
+
+    const { kinds, loop, loopback } = classifyVertices(result, indexCount, vertexCount, remap, wedge, options.lockBorder);
+    const { positions: scaled } = rescalePositions(positions, vertexCount, stride);
+
+    const quadrics = new Float64Array(vertexCount * QUADRIC_SIZE);
+    fillFaceQuadrics(quadrics, result, indexCount, scaled, remap);
+    fillEdgeQuadrics(quadrics, result, indexCount, scaled, remap, kinds, loop, loopback);
+
+    const state = {
+      positions: scaled,
+      quadrics,
+      remap,
+      wedge,
+      kinds,
+      adjacency: null,
+      collapseRemap: new Uint32Array(vertexCount),
+      locked: new Uint8Array(vertexCount),
+      resultError: 0
+    };
+    const errorLimit = targetError * targetError;
+
+    while (indexCount > targetIndexCount) {
+      state.adjacency = buildAdjacency(result, indexCount, vertexCount, remap);
+
+      const collapses = pickEdgeCollapses(result, indexCount, remap, kinds, loop);
+      if (collapses.length === 0) break;
+
+      rankEdgeCollapses(collapses, scaled, quadrics, remap);
+      const order = Array.from(collapses.keys()).sort((a, b) => collapses[a].error - collapses[b].error);
+
+      for (let i = 0; i < vertexCount; i++) {
+        state.collapseRemap[i] = i;
+      }
+      state.locked.fill(0);
+
+      const triangleGoal = Math.floor((indexCount - targetIndexCount) / 3);
+      if (performEdgeCollapses(state, collapses, order, triangleGoal, errorLimit) === 0) break;
+
+      remapEdgeLoops(loop, vertexCount, state.collapseRemap);
+      remapEdgeLoops(loopback, vertexCount, state.collapseRemap);
+      indexCount = remapIndexBuffer(result, indexCount, state.collapseRemap);
+    }
+
+    return {
+      indices: result.slice(0, indexCount),
+      error: Math.sqrt(state.resultError)
+    };
+  }
+}
+
+export { VertexKind as MeshOptVertexKind };
+
+export default MeshOptSimplifier;
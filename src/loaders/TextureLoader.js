@@ -4,6 +4,7 @@
  */
 
 import { LoadingManager } from './loader.ts';
+import { Texture } from '../textures/Texture.js';
 
 export class TextureCache {
   constructor(maxSize = 100) {
@@ -117,9 +118,11 @@ export class TextureFormatDetector {
       'tga': 'tga',
       'dds': 'dds',
       'ktx': 'ktx',
+      'ktx2': 'ktx2',
       'pvr': 'pvr',
       'astc': 'astc',
-      'basis': 'basis'
+      'basis': 'basis',
+      'exr': 'exr'
     };
 
     if (formatMap[extension]) {
@@ -142,7 +145,7 @@ export class TextureFormatDetector {
   static getSupportedFormats() {
     return [
       'jpeg', 'jpg', 'png', 'gif', 'webp', 'bmp', 'tiff', 'tga', 
-      'dds', 'ktx', 'pvr', 'astc', 'basis'
+      'dds', 'ktx', 'ktx2', 'pvr', 'astc', 'basis', 'exr'
     ];
   }
 
@@ -255,6 +258,9 @@ export class TextureLoader {
     this.timeout = options.timeout || 30000;
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
+
+    // KTX2 files are handed to a KTX2Loader, see setKTX2Loader()
+    this.ktx2Loader = options.ktx2Loader || null;
     
     // Loading state
     this.activeLoads = new Map();
@@ -338,6 +344,10 @@ export class TextureLoader {
     let retries = options.retries || 0;
     const loadKey = options.key || url;
 
+    if (!this.ktx2Loader && TextureFormatDetector.detectFormat(url) === 'ktx2') {
+      throw new Error(`KTX2 texture requires a KTX2Loader, see setKTX2Loader(): ${url}`);
+    }
+
     try {
       return await this._loadTextureWithProgress(url, options);
 
@@ -428,6 +438,19 @@ export class TextureLoader {
    * @private
    */
   async _processTextureBlob(blob, url, options = {}) {
+    const format = TextureFormatDetector.detectFormat(url, blob.type);
+
+    if (format === 'ktx2') {
+      if (!this.ktx2Loader) {
+        throw new Error(`KTX2 texture requires a KTX2Loader, see setKTX2Loader(): ${url}`);
+      }
+      return this.ktx2Loader.parse(await blob.arrayBuffer(), { ...options, url });
+    }
+
+    if (format === 'exr') {
+      return Texture.fromEXR(await blob.arrayBuffer(), { ...options, url });
+    }
+
     return new Promise((resolve, reject) => {
       const img = new Image();
       
@@ -642,6 +665,16 @@ export class TextureLoader {
     return this;
   }
 
+  /**
+   * Set the loader used for .ktx2 textures
+   * @param {KTX2Loader} ktx2Loader - KTX2 loader instance
+   * @returns {this} - Chainable
+   */
+  setKTX2Loader(ktx2Loader) {
+    this.ktx2Loader = ktx2Loader;
+    return this;
+  }
+
   /**
    * Set withCredentials flag
    * @param {boolean} withCredentials - With credentials flag
@@ -19,6 +19,7 @@ export {
   GLTFLoaderConfig, 
   GLTFAsset 
 } from './GLTFLoader.js';
+export { GLTFExporter, GLTFExporterConfig } from './GLTFExporter.js';
 
 // OBJ and MTL Loaders
 export { OBJLoader, OBJLoaderProgress } from './OBJLoader.js';
@@ -44,6 +45,12 @@ export {
   MeshOptLODGenerator
 } from './MeshOptLoader.js';
 
+export { MeshOptDecoder } from './MeshOptDecoder.js';
+export { MeshOptSimplifier, MeshOptVertexKind } from './MeshOptSimplifier.js';
+
+// Compressed texture loaders
+export { KTX2Loader } from './KTX2Loader.js';
+
 // 3D Format Loaders (STL, PLY, JSON)
 export { STLLoader } from './STLLoader.js';
 export { PLYLoader } from './PLYLoader.js';
@@ -212,61 +212,13 @@ export class ClothMaterial extends Material {
       varying vec3 vViewTangent;
       varying vec3 vViewBitangent;
       
-      // Constants
-      const float PI = 3.14159265359;
+      #include <bsdfs>
+      #include <uv_pars_fragment>
+      
       const float c1 = 0.88622692545; // sqrt(PI/4)
       const float c2 = 0.41318139947; // sqrt(PI/9)
       const float EPSILON = 1e-6;
       
-      // Texture coordinate transformation
-      vec2 getUV(vec2 uv, vec4 transform) {
-        return uv * transform.zw + transform.xy;
-      }
-      
-      // Fresnel Schlick approximation
-      vec3 fresnelSchlick(float cosTheta, vec3 F0) {
-        return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
-      }
-      
-      // Fresnel Schlick with grazing angle dependency
-      vec3 fresnelSchlickRoughness(float cosTheta, vec3 F0, float roughness) {
-        return F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(1.0 - cosTheta, 5.0);
-      }
-      
-      // Normal Distribution Function - GGX/Trowbridge-Reitz
-      float distributionGGX(vec3 N, vec3 H, float roughness) {
-        float a = roughness * roughness;
-        float a2 = a * a;
-        float NdotH = max(dot(N, H), 0.0);
-        float NdotH2 = NdotH * NdotH;
-        
-        float num = a2;
-        float denom = (NdotH2 * (a2 - 1.0) + 1.0);
-        denom = PI * denom * denom;
-        
-        return num / denom;
-      }
-      
-      // Geometry term - Smith Schlick GGX
-      float geometrySchlickGGX(float NdotV, float roughness) {
-        float r = (roughness + 1.0);
-        float k = (r * r) / 8.0;
-        
-        float num = NdotV;
-        float denom = NdotV * (1.0 - k) + k;
-        
-        return num / denom;
-      }
-      
-      float geometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
-        float NdotV = max(dot(N, V), 0.0);
-        float NdotL = max(dot(N, L), 0.0);
-        float ggx2 = geometrySchlickGGX(NdotV, roughness);
-        float ggx1 = geometrySchlickGGX(NdotL, roughness);
-        
-        return ggx1 * ggx2;
-      }
-      
       // Cook-Torrance BRDF
       vec3 cookTorranceBRDF(vec3 N, vec3 V, vec3 L, vec3 albedo, float metallic, float roughness) {
         vec3 H = normalize(V + L);
@@ -4,7 +4,6 @@
  */
 
 import { Material } from '../core/Material.js';
-import { Shader } from '../core/Shader.js';
 
 export class MeshBasicMaterial extends Material {
   constructor(options = {}) {
@@ -62,6 +61,9 @@ export class MeshBasicMaterial extends Material {
       attribute vec3 position;
       attribute vec3 normal;
       attribute vec2 uv;
+      #ifdef USE_VERTEX_COLORS
+        attribute vec3 color;
+      #endif
       
       uniform mat4 modelViewMatrix;
       uniform mat4 projectionMatrix;
@@ -135,8 +137,7 @@ export class MeshBasicMaterial extends Material {
       return; // Already initialized
     }
 
-    this.shader = new Shader(gl);
-    this.shader.createProgram(this.vertexSource, this.fragmentSource);
+    this.compile(gl, this.vertexSource, this.fragmentSource);
     
     // Initialize uniforms
     this._initializeUniforms();
@@ -144,10 +144,7 @@ export class MeshPhongMaterial extends Material {
       varying vec3 vWorldPosition;
       varying vec3 vColor;
       
-      // Texture coordinate transformation
-      vec2 getUV(vec2 uv, vec4 transform) {
-        return uv * transform.zw + transform.xy;
-      }
+      #include <uv_pars_fragment>
       
       // Calculate diffuse lighting (Lambert's cosine law)
       float calculateDiffuse(vec3 normal, vec3 lightDir) {
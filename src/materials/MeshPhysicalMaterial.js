@@ -266,52 +266,8 @@ export class MeshPhysicalMaterial extends Material {
       varying vec3 vColor;
       varying mat3 vTBN;
       
-      // Constants for PBR calculations
-      const float PI = 3.14159265359;
-      
-      // Texture coordinate transformation
-      vec2 getUV(vec2 uv, vec4 transform) {
-        return uv * transform.zw + transform.xy;
-      }
-      
-      // Fresnel Schlick approximation
-      vec3 fresnelSchlick(float cosTheta, vec3 F0) {
-        return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
-      }
-      
-      // Schlick-GGX geometry function
-      float geometrySchlickGGX(float NdotV, float roughness) {
-        float r = (roughness + 1.0);
-        float k = (r * r) / 8.0;
-        
-        float num = NdotV;
-        float denom = NdotV * (1.0 - k) + k;
-        
-        return num / denom;
-      }
-      
-      float geometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
-        float NdotV = max(dot(N, V), 0.0);
-        float NdotL = max(dot(N, L), 0.0);
-        float ggx2 = geometrySchlickGGX(NdotV, roughness);
-        float ggx1 = geometrySchlickGGX(NdotL, roughness);
-        
-        return ggx1 * ggx2;
-      }
-      
-      // Normal Distribution Function - GGX/Trowbridge-Reitz
-      float distributionGGX(vec3 N, vec3 H, float roughness) {
-        float a = roughness * roughness;
-        float a2 = a * a;
-        float NdotH = max(dot(N, H), 0.0);
-        float NdotH2 = NdotH * NdotH;
-        
-        float num = a2;
-        float denom = (NdotH2 * (a2 - 1.0) + 1.0);
-        denom = PI * denom * denom;
-        
-        return num / denom;
-      }
+      #include <bsdfs>
+      #include <uv_pars_fragment>
       
       // Clearcoat NDF
       float distributionClearcoat(vec3 N, vec3 H, float clearcoatRoughness) {
@@ -0,0 +1,579 @@
+/**
+ * Joints solved by sequential impulses
+ * Each joint describes itself every step as scalar rows: a Jacobian (how the relative
+ * velocity of the two bodies moves the constrained quantity), a position error, and bounds
+ * on the impulse. Equality rows hold a quantity (a shared anchor point, aligned axes);
+ * limit rows only push one way; motor rows drive a velocity with a bounded impulse; soft
+ * rows behave as damped springs. The solver iterates over all rows together with the
+ * contact manifolds, starting from the impulses of the previous step.
+ *
+ * Anchors and axes are in the bodies' local frames, and angles are measured from the pose
+ * of the bodies when the joint is created. A missing body is the static world, whose local
+ * frame is world space.
+ *
+ *   point       - Ball and socket: the anchors coincide
+ *   distance    - The anchors keep their distance
+ *   spring      - A damped spring between the anchors (frequency, dampingRatio)
+ *   fixed       - The bodies are welded together
+ *   hinge       - Rotation about an axis, with limits and a motor (doors, knees)
+ *   slider      - Translation along an axis, with limits and a motor (prismatic)
+ *   coneTwist   - Swing within a cone and twist about its axis (shoulders, hips)
+ *   6dof        - Limits, springs and motors on each linear and angular axis of a frame
+ */
+
+import { Vector3, Quaternion } from '../core/math/index.js';
+import { getTangents } from './ContactManifold.js';
+
+// Fraction of the position error corrected per step
+const ERROR_REDUCTION = 0.2;
+
+const AXES = [new Vector3(1, 0, 0), new Vector3(0, 1, 0), new Vector3(0, 0, 1)];
+
+/**
+ * Static stand-in for a missing body
+ */
+const WORLD = {
+    id: -1,
+    isStatic: true,
+    isSleeping: false,
+    position: new Vector3(0, 0, 0),
+    rotation: new Quaternion(),
+    velocity: new Vector3(0, 0, 0),
+    angularVelocity: new Vector3(0, 0, 0),
+    getInverseMass: () => 0,
+    applyInverseInertia: () => new Vector3(0, 0, 0),
+    wake() {}
+};
+
+function toVector(v, fallback) {
+    return v ? new Vector3(v.x, v.y, v.z) : fallback;
+}
+
+/**
+ * Rotation vector (axis * angle) of a quaternion, taking the shorter way round
+ */
+function toRotationVector(q) {
+    const sign = q.w < 0 ? -1 : 1;
+    const v = new Vector3(q.x * sign, q.y * sign, q.z * sign);
+    const s = v.length();
+    if (s < 1e-9) {
+        return v.multiplyScalar(2);
+    }
+    return v.multiplyScalar(2 * Math.atan2(s, q.w * sign) / s);
+}
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+class Constraint {
+    /**
+     * @param {RigidBody|null} bodyA - First body, or null for the world
+     * @param {RigidBody|null} bodyB - Second body, or null for the world
+     * @param {Object} [options]
+     * @param {string} [options.type='point'] - point, distance, spring, fixed, hinge, slider, coneTwist, 6dof
+     * @param {Vector3} [options.anchorA] - Joint point on A, local to A
+     * @param {Vector3} [options.anchorB] - Joint point on B, local to B; defaults to anchorA's point at creation
+     * @param {Vector3} [options.axis] - Hinge, slider and cone axis, local to A
+     * @param {Vector3} [options.axisB] - The axis local to B; defaults to the axis at creation
+     * @param {number} [options.distance] - Distance and spring rest length; defaults to the distance at creation
+     * @param {number} [options.lowerLimit] - Hinge angle (radians) or slider translation
+     * @param {number} [options.upperLimit]
+     * @param {number} [options.motorSpeed] - Hinge (rad/s) or slider (units/s) motor target, when enableMotor
+     * @param {number} [options.maxMotorForce] - Motor torque or force limit
+     * @param {number} [options.swingSpan] - Cone-twist cone half-angle
+     * @param {number} [options.twistSpan] - Cone-twist twist range, ±twistSpan
+     * @param {number} [options.frequency] - Spring frequency in Hz; on other joints, softens them
+     * @param {number} [options.dampingRatio=1] - Spring damping, 1 being critical
+     * @param {number} [options.stiffness=1] - Fraction of the position correction applied (0-1)
+     * @param {number} [options.iterations] - Solver iterations for this joint, instead of the system's
+     * @param {boolean} [options.collideConnected=false] - Whether the two bodies still collide
+     */
+    constructor(bodyA, bodyB, options = {}) {
+        this.bodyA = bodyA || WORLD;
+        this.bodyB = bodyB || WORLD;
+        this.type = options.type || 'point';
+        this.anchorA = toVector(options.anchorA, new Vector3(0, 0, 0));
+        this.anchorB = toVector(options.anchorB, null);
+        this.axis = toVector(options.axis, new Vector3(1, 0, 0)).normalize();
+        this.axisB = toVector(options.axisB, null);
+        this.distance = options.distance ?? null;
+        this.lowerLimit = options.lowerLimit ?? null;
+        this.upperLimit = options.upperLimit ?? null;
+        this.enableMotor = options.enableMotor || false;
+        this.motorSpeed = options.motorSpeed || 0;
+        this.maxMotorForce = options.maxMotorForce ?? Infinity;
+        this.swingSpan = options.swingSpan ?? Math.PI / 4;
+        this.twistSpan = options.twistSpan ?? Math.PI / 4;
+        this.frequency = options.frequency || 0;
+        this.dampingRatio = options.dampingRatio ?? 1;
+        this.stiffness = options.stiffness ?? 1.0;
+        this.damping = options.damping ?? 0.1;
+        this.iterations = options.iterations ?? null;
+        this.collideConnected = options.collideConnected || false;
+        this.enabled = true;
+
+        // Per-axis settings of 6dof joints: linear x, y, z then angular x, y, z
+        const linearLower = toVector(options.linearLowerLimit, new Vector3(0, 0, 0));
+        const linearUpper = toVector(options.linearUpperLimit, new Vector3(0, 0, 0));
+        const angularLower = toVector(options.angularLowerLimit, new Vector3(0, 0, 0));
+        const angularUpper = toVector(options.angularUpperLimit, new Vector3(0, 0, 0));
+        this.frameA = options.frameA ? options.frameA.clone() : new Quaternion();
+        this.axes = [];
+        for (let i = 0; i < 6; i++) {
+            const lower = i < 3 ? linearLower : angularLower;
+            const upper = i < 3 ? linearUpper : angularUpper;
+            this.axes.push({
+                lower: lower.getComponent(i % 3),
+                upper: upper.getComponent(i % 3),
+                spring: null,
+                motor: null
+            });
+        }
+
+        this.rows = [];
+        this.setReferencePose();
+    }
+
+    /**
+     * Record the current pose of the bodies as the joint's rest pose: derives anchorB,
+     * axisB, the rest distance and the reference for angles
+     */
+    setReferencePose() {
+        const { bodyA, bodyB } = this;
+        const worldAnchor = this.anchorA.clone().applyQuaternion(bodyA.rotation).add(bodyA.position);
+        const inverseB = bodyB.rotation.clone().conjugate();
+
+        if (!this.anchorB) {
+            this.anchorB = worldAnchor.clone().sub(bodyB.position).applyQuaternion(inverseB);
+        }
+
+        // Rotation of B relative to A at rest
+        this.relativeRotation = bodyA.rotation.clone().conjugate().multiply(bodyB.rotation);
+
+        const relativeInverse = this.relativeRotation.clone().conjugate();
+        if (!this.axisB) {
+            this.axisB = this.axis.clone().applyQuaternion(relativeInverse);
+        }
+        this.axisB.normalize();
+
+        // Perpendicular to the axis, to measure hinge angles
+        this.referenceA = getTangents(this.axis)[0];
+        this.referenceB = this.referenceA.clone().applyQuaternion(relativeInverse);
+
+        if (this.distance === null) {
+            const anchorB = this.anchorB.clone().applyQuaternion(bodyB.rotation).add(bodyB.position);
+            this.distance = anchorB.distanceTo(worldAnchor);
+        }
+    }
+
+    /**
+     * Set the limits of a 6dof axis; lower = upper locks it, lower > upper frees it
+     * @param {number} axis - 0-2 linear x, y, z; 3-5 angular x, y, z
+     * @param {number} lower
+     * @param {number} upper
+     */
+    setLimit(axis, lower, upper) {
+        this.axes[axis].lower = lower;
+        this.axes[axis].upper = upper;
+    }
+
+    /**
+     * Pull a 6dof axis towards a position with a damped spring; null frequency removes it
+     * @param {number} axis - 0-5
+     * @param {number|null} frequency - Hz
+     * @param {number} [dampingRatio=1]
+     * @param {number} [equilibrium=0]
+     */
+    setSpring(axis, frequency, dampingRatio = 1, equilibrium = 0) {
+        this.axes[axis].spring = frequency ? { frequency, dampingRatio, equilibrium } : null;
+    }
+
+    /**
+     * Drive a 6dof axis at a velocity; null speed removes the motor
+     * @param {number} axis - 0-5
+     * @param {number|null} speed - Units or radians per second
+     * @param {number} [maxForce=Infinity] - Force or torque limit
+     */
+    setMotor(axis, speed, maxForce = Infinity) {
+        this.axes[axis].motor = speed === null ? null : { speed, maxForce };
+    }
+
+    /**
+     * Build this step's rows
+     * @param {number} dt - Time step
+     * @param {boolean} [warmStarting=true] - Keep the impulses of the previous step
+     */
+    prepare(dt, warmStarting = true) {
+        const previous = new Map(this.rows.map(row => [row.key, row.impulse]));
+        this.rows = [];
+        this.dt = dt;
+        this.inverseMassA = this.bodyA.getInverseMass();
+        this.inverseMassB = this.bodyB.getInverseMass();
+
+        if (!this.enabled || (this.inverseMassA === 0 && this.inverseMassB === 0)) return;
+
+        const { bodyA, bodyB } = this;
+        this.rA = this.anchorA.clone().applyQuaternion(bodyA.rotation);
+        this.rB = this.anchorB.clone().applyQuaternion(bodyB.rotation);
+        this.separation = bodyB.position.clone().add(this.rB).sub(bodyA.position).sub(this.rA);
+
+        switch (this.type) {
+            case 'point':
+                this.addPointRows();
+                break;
+            case 'distance':
+            case 'spring':
+                this.addDistanceRows();
+                break;
+            case 'fixed':
+                this.addPointRows();
+                this.addAngularLockRows();
+                break;
+            case 'hinge':
+                this.addPointRows();
+                this.addHingeRows();
+                break;
+            case 'slider':
+                this.addAngularLockRows();
+                this.addSliderRows();
+                break;
+            case 'coneTwist':
+                this.addPointRows();
+                this.addConeTwistRows();
+                break;
+            case '6dof':
+                this.add6DofRows();
+                break;
+            default:
+                throw new Error(`Unknown constraint type: ${this.type}`);
+        }
+
+        for (const row of this.rows) {
+            this.finishRow(row, warmStarting ? previous.get(row.key) || 0 : 0);
+        }
+    }
+
+    /**
+     * Apply the impulses kept from the previous step
+     */
+    warmStart() {
+        for (const row of this.rows) {
+            if (row.impulse !== 0) {
+                this.applyRowImpulse(row, row.impulse);
+            }
+        }
+    }
+
+    /**
+     * One sequential-impulse iteration over the rows
+     */
+    solveVelocity() {
+        for (const row of this.rows) {
+            const lambda = -row.mass * (this.getRowVelocity(row) + row.bias + row.gamma * row.impulse);
+            const previous = row.impulse;
+            row.impulse = Math.max(row.lower, Math.min(row.upper, previous + lambda));
+            this.applyRowImpulse(row, row.impulse - previous);
+        }
+    }
+
+    /**
+     * Current hinge angle, slider translation or, for other joints, the distance between anchors
+     * @returns {number}
+     */
+    getPosition() {
+        const { bodyA, bodyB } = this;
+        if (this.type === 'hinge') {
+            const axis = this.axis.clone().applyQuaternion(bodyA.rotation);
+            const refA = this.referenceA.clone().applyQuaternion(bodyA.rotation);
+            const refB = this.referenceB.clone().applyQuaternion(bodyB.rotation);
+            return Math.atan2(refA.clone().cross(refB).dot(axis), refA.dot(refB));
+        }
+
+        const rA = this.anchorA.clone().applyQuaternion(bodyA.rotation);
+        const rB = this.anchorB.clone().applyQuaternion(bodyB.rotation);
+        const separation = bodyB.position.clone().add(rB).sub(bodyA.position).sub(rA);
+        if (this.type === 'slider') {
+            return separation.dot(this.axis.clone().applyQuaternion(bodyA.rotation));
+        }
+        return separation.length();
+    }
+
+    // Rows
+
+    /**
+     * Add a row: linear acts along a world direction at the anchors (B positive), angularA
+     * and angularB on the angular velocities; its velocity is their dot product with the
+     * bodies' velocities
+     * @private
+     */
+    addRow(key, { linear = null, angularA, angularB, error = 0, kind = 'equality', target = 0, maxImpulse = Infinity, frequency = 0, dampingRatio = 1 }) {
+        this.rows.push({ key, linear, angularA, angularB, error, kind, target, maxImpulse, frequency, dampingRatio });
+    }
+
+    // Three rows joining the anchors
+    addPointRows() {
+        const { rA, rB, separation } = this;
+        AXES.forEach((axis, i) => {
+            this.addRow(`point${i}`, {
+                linear: axis,
+                angularA: rA.clone().cross(axis).multiplyScalar(-1),
+                angularB: rB.clone().cross(axis),
+                error: separation.dot(axis)
+            });
+        });
+    }
+
+    // One row along the anchors' separation, rigid or as a spring
+    addDistanceRows() {
+        const { rA, rB, separation } = this;
+        const length = separation.length();
+        const direction = length > 1e-9 ? separation.clone().multiplyScalar(1 / length) : new Vector3(0, 1, 0);
+        const spring = this.type === 'spring';
+
+        this.addRow('distance', {
+            linear: direction,
+            angularA: rA.clone().cross(direction).multiplyScalar(-1),
+            angularB: rB.clone().cross(direction),
+            error: length - this.distance,
+            frequency: spring ? this.frequency || 1 : this.frequency,
+            dampingRatio: this.dampingRatio
+        });
+    }
+
+    // Three rows holding the rest rotation of B relative to A
+    addAngularLockRows(key = 'lock') {
+        const target = this.bodyA.rotation.clone().multiply(this.relativeRotation);
+        const error = toRotationVector(this.bodyB.rotation.clone().multiply(target.conjugate()));
+        AXES.forEach((axis, i) => {
+            this.addRow(`${key}${i}`, {
+                angularA: axis.clone().multiplyScalar(-1),
+                angularB: axis,
+                error: error.dot(axis)
+            });
+        });
+    }
+
+    // Rows for a scalar joint coordinate: limits and motor along a Jacobian
+    addLimitAndMotorRows(key, position, jacobian, lower, upper, motor) {
+        const negate = v => v && v.clone().multiplyScalar(-1);
+        const reversed = {
+            linear: negate(jacobian.linear),
+            angularA: negate(jacobian.angularA),
+            angularB: negate(jacobian.angularB)
+        };
+
+        if (lower !== null && upper !== null && lower === upper) {
+            this.addRow(`${key}Lock`, { ...jacobian, error: position - lower });
+        } else {
+            if (lower !== null) {
+                this.addRow(`${key}Lower`, { ...jacobian, error: position - lower, kind: 'limit' });
+            }
+            if (upper !== null) {
+                this.addRow(`${key}Upper`, { ...reversed, error: upper - position, kind: 'limit' });
+            }
+        }
+
+        if (motor) {
+            this.addRow(`${key}Motor`, {
+                ...jacobian,
+                kind: 'motor',
+                target: motor.speed,
+                maxImpulse: motor.maxForce * this.dt
+            });
+        }
+    }
+
+    addHingeRows() {
+        const { bodyA, bodyB } = this;
+        const axisA = this.axis.clone().applyQuaternion(bodyA.rotation);
+        const axisB = this.axisB.clone().applyQuaternion(bodyB.rotation);
+
+        // Keep the axes aligned: the error is the rotation taking axisA onto axisB
+        const error = axisA.clone().cross(axisB);
+        getTangents(axisA).forEach((tangent, i) => {
+            this.addRow(`align${i}`, {
+                angularA: tangent.clone().multiplyScalar(-1),
+                angularB: tangent,
+                error: error.dot(tangent)
+            });
+        });
+
+        const motor = this.enableMotor ? { speed: this.motorSpeed, maxForce: this.maxMotorForce } : null;
+        this.addLimitAndMotorRows('angle', this.getPosition(), {
+            angularA: axisA.clone().multiplyScalar(-1),
+            angularB: axisA
+        }, this.lowerLimit, this.upperLimit, motor);
+    }
+
+    addSliderRows() {
+        const { rA, rB, separation } = this;
+        const axis = this.axis.clone().applyQuaternion(this.bodyA.rotation);
+
+        // Linear rows act at B's anchor, which sits rA + separation from A's center
+        const lever = rA.clone().add(separation);
+        const linearRow = direction => ({
+            linear: direction,
+            angularA: lever.clone().cross(direction).multiplyScalar(-1),
+            angularB: rB.clone().cross(direction)
+        });
+
+        getTangents(axis).forEach((tangent, i) => {
+            this.addRow(`slide${i}`, { ...linearRow(tangent), error: separation.dot(tangent) });
+        });
+
+        const motor = this.enableMotor ? { speed: this.motorSpeed, maxForce: this.maxMotorForce } : null;
+        this.addLimitAndMotorRows('translation', separation.dot(axis), linearRow(axis),
+            this.lowerLimit, this.upperLimit, motor);
+    }
+
+    addConeTwistRows() {
+        const { bodyA, bodyB } = this;
+        const axisA = this.axis.clone().applyQuaternion(bodyA.rotation);
+        const axisB = this.axisB.clone().applyQuaternion(bodyB.rotation);
+
+        // Swing: the angle between the axes stays within the cone
+        const swingAxis = axisA.clone().cross(axisB);
+        const sinSwing = swingAxis.length();
+        if (sinSwing > 1e-6) {
+            swingAxis.multiplyScalar(1 / sinSwing);
+            const swing = Math.atan2(sinSwing, axisA.dot(axisB));
+            this.addRow('swing', {
+                angularA: swingAxis,
+                angularB: swingAxis.clone().multiplyScalar(-1),
+                error: this.swingSpan - swing,
+                kind: 'limit'
+            });
+        }
+
+        // Twist: rotation about the axis, from the twist part of the relative rotation
+        const relative = bodyA.rotation.clone().conjugate()
+            .multiply(bodyB.rotation)
+            .multiply(this.relativeRotation.clone().conjugate());
+        const twist = wrapAngle(2 * Math.atan2(
+            relative.x * this.axis.x + relative.y * this.axis.y + relative.z * this.axis.z,
+            relative.w
+        ));
+        const twistAxis = axisA.clone().add(axisB).normalize();
+        this.addLimitAndMotorRows('twist', twist, {
+            angularA: twistAxis.clone().multiplyScalar(-1),
+            angularB: twistAxis
+        }, -this.twistSpan, this.twistSpan, null);
+    }
+
+    add6DofRows() {
+        const { bodyA, bodyB, rA, rB, separation } = this;
+        const frame = bodyA.rotation.clone().multiply(this.frameA);
+        const frameAxes = AXES.map(axis => axis.clone().applyQuaternion(frame));
+
+        // Angles: the rotation of B away from its rest pose, as a rotation vector along the
+        // frame axes; accurate for moderate angles, prefer coneTwist for wide swings
+        const target = bodyA.rotation.clone().multiply(this.relativeRotation);
+        const deviation = toRotationVector(bodyB.rotation.clone().multiply(target.conjugate()));
+
+        const lever = rA.clone().add(separation);
+        for (let i = 0; i < 6; i++) {
+            const settings = this.axes[i];
+            const direction = frameAxes[i % 3];
+            const linear = i < 3;
+            const jacobian = linear
+                ? {
+                    linear: direction,
+                    angularA: lever.clone().cross(direction).multiplyScalar(-1),
+                    angularB: rB.clone().cross(direction)
+                }
+                : {
+                    angularA: direction.clone().multiplyScalar(-1),
+                    angularB: direction
+                };
+            const position = linear ? separation.dot(direction) : deviation.dot(direction);
+
+            if (settings.lower <= settings.upper) {
+                this.addLimitAndMotorRows(`axis${i}`, position, jacobian, settings.lower, settings.upper, settings.motor);
+            } else if (settings.motor) {
+                this.addLimitAndMotorRows(`axis${i}`, position, jacobian, null, null, settings.motor);
+            }
+
+            if (settings.spring) {
+                this.addRow(`axis${i}Spring`, {
+                    ...jacobian,
+                    error: position - settings.spring.equilibrium,
+                    frequency: settings.spring.frequency,
+                    dampingRatio: settings.spring.dampingRatio
+                });
+            }
+        }
+    }
+
+    // Solving
+
+    /**
+     * Effective mass, bias and impulse bounds of a row
+     * @private
+     */
+    finishRow(row, impulse) {
+        const { bodyA, bodyB, inverseMassA, inverseMassB, dt } = this;
+        const linear = row.linear ? row.linear.lengthSq() * (inverseMassA + inverseMassB) : 0;
+        const k = linear +
+            bodyA.applyInverseInertia(row.angularA).dot(row.angularA) +
+            bodyB.applyInverseInertia(row.angularB).dot(row.angularB);
+        const beta = ERROR_REDUCTION * this.stiffness / dt;
+
+        row.gamma = 0;
+        row.lower = -Infinity;
+        row.upper = Infinity;
+
+        switch (row.kind) {
+            case 'limit':
+                // Push only; while inside the limit, only stop it from being crossed this step
+                row.bias = row.error < 0 ? beta * row.error : row.error / dt;
+                row.lower = 0;
+                break;
+            case 'motor':
+                row.bias = -row.target;
+                row.lower = -row.maxImpulse;
+                row.upper = row.maxImpulse;
+                break;
+            default:
+                row.bias = beta * row.error;
+        }
+
+        if (row.frequency > 0 && k > 0) {
+            // Soft constraint: a spring of this frequency on the row's effective mass
+            const mass = 1 / k;
+            const omega = 2 * Math.PI * row.frequency;
+            const stiffness = mass * omega * omega;
+            const damping = 2 * mass * row.dampingRatio * omega;
+            const gamma = dt * (damping + dt * stiffness);
+            row.gamma = gamma > 0 ? 1 / gamma : 0;
+            row.bias = row.error * dt * stiffness * row.gamma;
+        }
+
+        row.mass = k + row.gamma > 0 ? 1 / (k + row.gamma) : 0;
+        row.impulse = Math.max(row.lower, Math.min(row.upper, impulse));
+    }
+
+    getRowVelocity(row) {
+        const { bodyA, bodyB } = this;
+        let velocity = row.angularA.dot(bodyA.angularVelocity) + row.angularB.dot(bodyB.angularVelocity);
+        if (row.linear) {
+            velocity += row.linear.dot(bodyB.velocity) - row.linear.dot(bodyA.velocity);
+        }
+        return velocity;
+    }
+
+    applyRowImpulse(row, lambda) {
+        const { bodyA, bodyB, inverseMassA, inverseMassB } = this;
+        if (inverseMassA > 0) {
+            if (row.linear) bodyA.velocity.add(row.linear.clone().multiplyScalar(-lambda * inverseMassA));
+            bodyA.angularVelocity.add(bodyA.applyInverseInertia(row.angularA.clone().multiplyScalar(lambda)));
+        }
+        if (inverseMassB > 0) {
+            if (row.linear) bodyB.velocity.add(row.linear.clone().multiplyScalar(lambda * inverseMassB));
+            bodyB.angularVelocity.add(bodyB.applyInverseInertia(row.angularB.clone().multiplyScalar(lambda)));
+        }
+    }
+}
+
+export { Constraint };
+export default Constraint;
@@ -0,0 +1,317 @@
+/**
+ * Persistent contact manifolds
+ * A manifold keeps up to four contact points between two bodies from step to step. Points
+ * are stored in each body's local space, so they follow the bodies, are dropped once the
+ * bodies move apart or slide past them, and keep the impulses the solver applied to them.
+ * Starting the next step from those impulses (warm starting) lets stacks come to rest
+ * instead of jittering.
+ *
+ * Narrow phases that find a single point per step (GJK/EPA, spheres) build up a full
+ * manifold over a few steps; box-box contacts arrive complete. Points may carry their own
+ * normal (a body resting in the corner of a triangle mesh touches several faces); the others
+ * use the contact's.
+ */
+
+import { Vector3 } from '../core/math/index.js';
+
+const MAX_POINTS = 4;
+
+// Distance after which a point no longer matches its previous position, in world units
+const BREAKING_THRESHOLD = 0.02;
+
+// Normals closer than this (cosine) belong to the same face
+const NORMAL_THRESHOLD = 0.95;
+
+/**
+ * Solver settings shared by all manifolds of a PhysicsSystem
+ */
+export const ContactSettings = {
+    baumgarte: 0.2, // Fraction of the penetration corrected per step
+    slop: 0.005, // Penetration allowed without correction, so resting contacts persist
+    restitutionThreshold: 1.0, // Closing speed below which contacts do not bounce
+    warmStarting: true
+};
+
+/**
+ * Two tangents completing an orthonormal basis with a normal
+ * @param {Vector3} normal - Unit normal
+ * @returns {Vector3[]}
+ */
+export function getTangents(normal) {
+    const t1 = Math.abs(normal.x) >= 0.57735
+        ? new Vector3(normal.y, -normal.x, 0)
+        : new Vector3(0, normal.z, -normal.y);
+    t1.normalize();
+    const t2 = normal.clone().cross(t1);
+    return [t1, t2];
+}
+
+/**
+ * Keep the points spanning the largest area, starting from the deepest
+ * @param {Object[]} points - Points with position and penetration
+ * @param {number} [max=4]
+ * @returns {Object[]}
+ */
+export function reduceContactPoints(points, max = MAX_POINTS) {
+    if (points.length <= max) {
+        return points;
+    }
+
+    const area = (a, b, c) => b.position.clone().sub(a.position).cross(c.position.clone().sub(a.position)).length();
+    const pick = score => {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const point of points) {
+            if (selected.includes(point)) continue;
+            const s = score(point);
+            if (s > bestScore) {
+                bestScore = s;
+                best = point;
+            }
+        }
+        selected.push(best);
+    };
+
+    const selected = [];
+    pick(p => p.penetration);
+    pick(p => p.position.distanceToSquared(selected[0].position));
+    pick(p => area(selected[0], selected[1], p));
+    if (max > 3) {
+        pick(p => area(selected[0], selected[1], p) + area(selected[1], selected[2], p) + area(selected[2], selected[0], p));
+    }
+    return selected.slice(0, max);
+}
+
+/**
+ * Reduce each group of points sharing a normal separately
+ */
+function reduceByNormal(points) {
+    const groups = [];
+    for (const point of points) {
+        const group = groups.find(g => g[0].normal.dot(point.normal) > NORMAL_THRESHOLD);
+        if (group) {
+            group.push(point);
+        } else {
+            groups.push([point]);
+        }
+    }
+    return groups.flatMap(group => reduceContactPoints(group));
+}
+
+function toLocal(body, point) {
+    return point.clone().sub(body.position).applyQuaternion(body.rotation.clone().conjugate());
+}
+
+function toWorld(body, point) {
+    return point.clone().applyQuaternion(body.rotation).add(body.position);
+}
+
+function applyImpulse(body, inverseMass, impulse, r) {
+    if (inverseMass === 0) return;
+    body.velocity.add(impulse.clone().multiplyScalar(inverseMass));
+    body.angularVelocity.add(body.applyInverseInertia(r.clone().cross(impulse)));
+}
+
+function pointVelocity(body, r) {
+    return body.angularVelocity.clone().cross(r).add(body.velocity);
+}
+
+export class ContactManifold {
+    /**
+     * @param {RigidBody} bodyA
+     * @param {RigidBody} bodyB
+     */
+    constructor(bodyA, bodyB) {
+        this.bodyA = bodyA;
+        this.bodyB = bodyB;
+        this.normal = new Vector3(0, 1, 0); // From A to B
+        this.points = [];
+        this.friction = 0;
+        this.restitution = 0;
+    }
+
+    /**
+     * Merge the points of this step's contact. Complete manifolds (several points) replace
+     * the previous points; single points are added to the previous ones that still hold.
+     * Points close to a previous one inherit its impulses.
+     * @param {Object} contact - Contact from the narrow phase, normal from A to B
+     */
+    update(contact) {
+        const normal = this.normal.copy(contact.normal);
+        const previous = this.points;
+
+        const incoming = contact.points.map(p => {
+            const pointNormal = p.normal ? p.normal.clone() : normal.clone();
+            const half = pointNormal.clone().multiplyScalar(p.penetration * 0.5);
+            const worldA = p.position.clone().add(half);
+            const worldB = p.position.clone().sub(half);
+            return {
+                localA: toLocal(this.bodyA, worldA),
+                localB: toLocal(this.bodyB, worldB),
+                position: p.position.clone(),
+                normal: pointNormal,
+                penetration: p.penetration,
+                normalImpulse: 0,
+                tangentImpulse1: 0,
+                tangentImpulse2: 0
+            };
+        });
+
+        let kept = [];
+        if (incoming.length === 1) {
+            if (!contact.points[0].normal) {
+                // One face: the previous points follow the latest normal
+                previous.forEach(p => p.normal.copy(normal));
+            }
+            this.refresh();
+            kept = this.points;
+        }
+
+        for (const point of incoming) {
+            let match = null;
+            let matchDistance = BREAKING_THRESHOLD * BREAKING_THRESHOLD;
+            for (const old of previous) {
+                if (old.normal.dot(point.normal) < NORMAL_THRESHOLD) continue;
+                const d = old.localA.distanceToSquared(point.localA);
+                if (d < matchDistance) {
+                    matchDistance = d;
+                    match = old;
+                }
+            }
+            if (match) {
+                point.normalImpulse = match.normalImpulse;
+                point.tangentImpulse1 = match.tangentImpulse1;
+                point.tangentImpulse2 = match.tangentImpulse2;
+                kept = kept.filter(p => p !== match);
+            }
+            kept.push(point);
+        }
+
+        this.points = reduceByNormal(kept);
+    }
+
+    /**
+     * Move the points with the bodies and drop those that separated or slid apart
+     */
+    refresh() {
+        this.points = this.points.filter(point => {
+            const normal = point.normal;
+            const worldA = toWorld(this.bodyA, point.localA);
+            const worldB = toWorld(this.bodyB, point.localB);
+            const delta = worldA.clone().sub(worldB);
+            const penetration = delta.dot(normal);
+            const drift = delta.sub(normal.clone().multiplyScalar(penetration)).lengthSq();
+
+            if (penetration < -BREAKING_THRESHOLD || drift > BREAKING_THRESHOLD * BREAKING_THRESHOLD) {
+                return false;
+            }
+            point.penetration = penetration;
+            point.position = worldA.add(worldB).multiplyScalar(0.5);
+            return true;
+        });
+    }
+
+    /**
+     * Compute the effective masses and velocity targets of the points
+     * @param {number} dt - Time step
+     * @param {Object} [settings=ContactSettings]
+     */
+    prepare(dt, settings = ContactSettings) {
+        const { bodyA, bodyB } = this;
+        const inverseMassA = bodyA.getInverseMass();
+        const inverseMassB = bodyB.getInverseMass();
+        this.friction = (bodyA.friction + bodyB.friction) * 0.5;
+        this.restitution = Math.min(bodyA.restitution, bodyB.restitution);
+
+        const effectiveMass = (rA, rB, axis) => {
+            const rnA = rA.clone().cross(axis);
+            const rnB = rB.clone().cross(axis);
+            const k = inverseMassA + inverseMassB +
+                bodyA.applyInverseInertia(rnA).cross(rA).dot(axis) +
+                bodyB.applyInverseInertia(rnB).cross(rB).dot(axis);
+            return k > 0 ? 1 / k : 0;
+        };
+
+        for (const point of this.points) {
+            const normal = point.normal;
+            point.tangents = getTangents(normal);
+            point.rA = point.position.clone().sub(bodyA.position);
+            point.rB = point.position.clone().sub(bodyB.position);
+            point.normalMass = effectiveMass(point.rA, point.rB, normal);
+            point.tangentMass1 = effectiveMass(point.rA, point.rB, point.tangents[0]);
+            point.tangentMass2 = effectiveMass(point.rA, point.rB, point.tangents[1]);
+
+            // Push out of penetration, or bounce when closing fast enough
+            const closing = pointVelocity(bodyB, point.rB).sub(pointVelocity(bodyA, point.rA)).dot(normal);
+            const positionBias = settings.baumgarte / dt * Math.max(0, point.penetration - settings.slop);
+            const restitutionBias = closing < -settings.restitutionThreshold ? -this.restitution * closing : 0;
+            point.bias = Math.max(positionBias, restitutionBias);
+
+            if (!settings.warmStarting) {
+                point.normalImpulse = 0;
+                point.tangentImpulse1 = 0;
+                point.tangentImpulse2 = 0;
+            }
+        }
+    }
+
+    /**
+     * Apply the impulses accumulated in the previous step
+     */
+    warmStart() {
+        const { bodyA, bodyB } = this;
+        const inverseMassA = bodyA.getInverseMass();
+        const inverseMassB = bodyB.getInverseMass();
+
+        for (const point of this.points) {
+            const [t1, t2] = point.tangents;
+            const impulse = point.normal.clone().multiplyScalar(point.normalImpulse)
+                .add(t1.clone().multiplyScalar(point.tangentImpulse1))
+                .add(t2.clone().multiplyScalar(point.tangentImpulse2));
+            applyImpulse(bodyA, inverseMassA, impulse.clone().multiplyScalar(-1), point.rA);
+            applyImpulse(bodyB, inverseMassB, impulse, point.rB);
+        }
+    }
+
+    /**
+     * One sequential-impulse iteration: friction, then non-penetration
+     */
+    solveVelocity() {
+        const { bodyA, bodyB } = this;
+        const inverseMassA = bodyA.getInverseMass();
+        const inverseMassB = bodyB.getInverseMass();
+
+        const relativeVelocity = point => pointVelocity(bodyB, point.rB).sub(pointVelocity(bodyA, point.rA));
+        const apply = (point, axis, lambda) => {
+            const impulse = axis.clone().multiplyScalar(lambda);
+            applyImpulse(bodyA, inverseMassA, impulse.clone().multiplyScalar(-1), point.rA);
+            applyImpulse(bodyB, inverseMassB, impulse, point.rB);
+        };
+
+        for (const point of this.points) {
+            // Friction, bounded by the normal impulse (Coulomb cone as a box)
+            const limit = this.friction * point.normalImpulse;
+            for (const [index, key, mass] of [[0, 'tangentImpulse1', 'tangentMass1'], [1, 'tangentImpulse2', 'tangentMass2']]) {
+                const tangent = point.tangents[index];
+                const lambda = -relativeVelocity(point).dot(tangent) * point[mass];
+                const previous = point[key];
+                point[key] = Math.max(-limit, Math.min(limit, previous + lambda));
+                apply(point, tangent, point[key] - previous);
+            }
+
+            // Non-penetration: the accumulated impulse only pushes
+            const lambda = (point.bias - relativeVelocity(point).dot(point.normal)) * point.normalMass;
+            const previous = point.normalImpulse;
+            point.normalImpulse = Math.max(0, previous + lambda);
+            apply(point, point.normal, point.normalImpulse - previous);
+        }
+    }
+
+    /**
+     * Deepest penetration of the points
+     * @returns {number}
+     */
+    getPenetration() {
+        return this.points.reduce((max, p) => Math.max(max, p.penetration), 0);
+    }
+}
@@ -0,0 +1,729 @@
+/**
+ * Convex narrow phase
+ * Support mappings for the convex collision shapes, GJK for distances and overlap, EPA
+ * for penetration depth, and SAT with face clipping for box-box manifolds.
+ *
+ * Spheres and capsules are handled as a core (point, segment) plus a margin, the radius:
+ * GJK finds the exact closest points of the cores, so their contacts stay smooth and EPA is
+ * only needed when the cores themselves overlap. Boxes, cylinders and convex hulls have no
+ * margin and go through EPA whenever they overlap.
+ *
+ * Contacts have their normal pointing from shape A to shape B:
+ *   { normal, penetration, contactPoint, points: [{ position, penetration }], shapeA, shapeB }
+ */
+
+import { Vector3, Quaternion } from '../core/math/index.js';
+
+const IDENTITY = new Quaternion();
+
+const GJK_MAX_ITERATIONS = 64;
+const GJK_TOLERANCE = 1e-6;
+const EPA_MAX_ITERATIONS = 64;
+const EPA_TOLERANCE = 1e-4;
+
+// Box axes are preferred over edge pairs unless clearly better, so resting boxes keep face contacts
+const SAT_RELATIVE_TOLERANCE = 0.95;
+const SAT_ABSOLUTE_TOLERANCE = 0.01;
+
+const AXES = [new Vector3(1, 0, 0), new Vector3(0, 1, 0), new Vector3(0, 0, 1)];
+
+/**
+ * Radius around the core that the shape's surface lies at
+ * @param {Object} shape - Collision shape
+ * @returns {number}
+ */
+export function getMargin(shape) {
+    return shape.type === 'sphere' || shape.type === 'capsule' ? shape.radius : 0;
+}
+
+/**
+ * Farthest point of a shape's core in a direction
+ * @param {Object} shape - Collision shape
+ * @param {Vector3} direction - World direction, need not be normalized
+ * @returns {Vector3} World point
+ */
+export function getCoreSupport(shape, direction) {
+    const orientation = shape.orientation || IDENTITY;
+
+    switch (shape.type) {
+        case 'sphere':
+            return shape.center.clone();
+
+        case 'capsule': {
+            const axis = new Vector3(0, 1, 0).applyQuaternion(orientation);
+            const side = axis.dot(direction) >= 0 ? 1 : -1;
+            return shape.center.clone().add(axis.multiplyScalar(side * shape.halfHeight));
+        }
+
+        case 'aabb':
+        case 'obb': {
+            const local = toLocal(direction, orientation);
+            const h = shape.halfExtents;
+            const point = new Vector3(
+                local.x >= 0 ? h.x : -h.x,
+                local.y >= 0 ? h.y : -h.y,
+                local.z >= 0 ? h.z : -h.z
+            );
+            return point.applyQuaternion(orientation).add(shape.center);
+        }
+
+        case 'cylinder': {
+            const local = toLocal(direction, orientation);
+            const radial = Math.sqrt(local.x * local.x + local.z * local.z);
+            const scale = radial > 1e-12 ? shape.radius / radial : 0;
+            const point = new Vector3(
+                local.x * scale,
+                local.y >= 0 ? shape.halfHeight : -shape.halfHeight,
+                local.z * scale
+            );
+            return point.applyQuaternion(orientation).add(shape.center);
+        }
+
+        case 'convex': {
+            const local = toLocal(direction, orientation);
+            const vertices = shape.vertices;
+            let best = vertices[0];
+            let bestDot = -Infinity;
+            for (const vertex of vertices) {
+                const d = vertex.x * local.x + vertex.y * local.y + vertex.z * local.z;
+                if (d > bestDot) {
+                    bestDot = d;
+                    best = vertex;
+                }
+            }
+            return best.clone().applyQuaternion(orientation).add(shape.center);
+        }
+
+        default:
+            throw new Error(`No support mapping for shape type: ${shape.type}`);
+    }
+}
+
+/**
+ * Farthest point of a shape's surface in a direction
+ * @param {Object} shape - Collision shape
+ * @param {Vector3} direction - World direction, need not be normalized
+ * @returns {Vector3} World point
+ */
+export function getSupport(shape, direction) {
+    const point = getCoreSupport(shape, direction);
+    const margin = getMargin(shape);
+    if (margin > 0) {
+        const length = direction.length();
+        if (length > 1e-12) {
+            point.add(direction.clone().multiplyScalar(margin / length));
+        }
+    }
+    return point;
+}
+
+/**
+ * World-space bounds of a convex shape
+ * @param {Object} shape - Collision shape
+ * @returns {{min: Vector3, max: Vector3}}
+ */
+export function getConvexBounds(shape) {
+    const min = new Vector3();
+    const max = new Vector3();
+    const components = ['x', 'y', 'z'];
+    for (let i = 0; i < 3; i++) {
+        const axis = AXES[i];
+        max[components[i]] = getSupport(shape, axis).dot(axis);
+        min[components[i]] = getSupport(shape, axis.clone().multiplyScalar(-1)).dot(axis);
+    }
+    return { min, max };
+}
+
+function toLocal(direction, orientation) {
+    return direction.clone().applyQuaternion(orientation.clone().conjugate());
+}
+
+/**
+ * Support point of the Minkowski difference A - B, remembering the points it came from
+ */
+function minkowskiSupport(shapeA, shapeB, direction, supportFn) {
+    const a = supportFn(shapeA, direction);
+    const b = supportFn(shapeB, direction.clone().multiplyScalar(-1));
+    return { w: a.clone().sub(b), a, b };
+}
+
+/**
+ * GJK: closest points of two convex shapes, or overlap
+ * @param {Object} shapeA - Convex shape
+ * @param {Object} shapeB - Convex shape
+ * @param {Object} [options]
+ * @param {boolean} [options.margins=false] - Include the margins (radii) in the shapes
+ * @returns {{overlap: boolean, distance: number, pointA: Vector3, pointB: Vector3, simplex: Object[]}}
+ */
+export function gjk(shapeA, shapeB, options = {}) {
+    const supportFn = options.margins ? getSupport : getCoreSupport;
+
+    let direction = shapeB.center.clone().sub(shapeA.center);
+    if (direction.lengthSq() < 1e-12) {
+        direction.set(1, 0, 0);
+    }
+
+    let simplex = [minkowskiSupport(shapeA, shapeB, direction, supportFn)];
+    let weights = [1];
+    let v = simplex[0].w.clone();
+
+    for (let iteration = 0; iteration < GJK_MAX_ITERATIONS; iteration++) {
+        const vv = v.lengthSq();
+        if (vv < GJK_TOLERANCE * GJK_TOLERANCE) {
+            return { overlap: true, distance: 0, simplex };
+        }
+
+        const vertex = minkowskiSupport(shapeA, shapeB, v.clone().multiplyScalar(-1), supportFn);
+
+        // No support point gets closer to the origin: v is the distance
+        if (vv - v.dot(vertex.w) <= GJK_TOLERANCE * Math.max(vv, 1e-6) ||
+            simplex.some(s => s.w.distanceToSquared(vertex.w) < 1e-14)) {
+            break;
+        }
+
+        const closest = closestOnSimplex([...simplex, vertex]);
+        if (!closest) {
+            // The origin is inside the tetrahedron
+            return { overlap: true, distance: 0, simplex: [...simplex, vertex] };
+        }
+
+        if (closest.point.lengthSq() >= vv) {
+            break;
+        }
+
+        simplex = closest.simplex;
+        weights = closest.weights;
+        v = closest.point;
+    }
+
+    const pointA = new Vector3();
+    const pointB = new Vector3();
+    simplex.forEach((s, i) => {
+        pointA.add(s.a.clone().multiplyScalar(weights[i]));
+        pointB.add(s.b.clone().multiplyScalar(weights[i]));
+    });
+
+    const distance = v.length();
+    if (distance < GJK_TOLERANCE) {
+        return { overlap: true, distance: 0, simplex };
+    }
+    return { overlap: false, distance, pointA, pointB, simplex };
+}
+
+/**
+ * Closest point of a simplex to the origin, with the smallest sub-simplex containing it
+ * @returns {{point: Vector3, simplex: Object[], weights: number[]}|null} null when the
+ *   origin is inside a tetrahedron
+ */
+function closestOnSimplex(simplex) {
+    switch (simplex.length) {
+        case 1:
+            return { point: simplex[0].w.clone(), simplex, weights: [1] };
+        case 2:
+            return closestOnSegment(simplex[0], simplex[1]);
+        case 3:
+            return closestOnTriangle(simplex[0], simplex[1], simplex[2]);
+        default:
+            return closestOnTetrahedron(simplex);
+    }
+}
+
+function closestOnSegment(A, B) {
+    const ab = B.w.clone().sub(A.w);
+    const denominator = ab.lengthSq();
+    const t = denominator > 0 ? -A.w.dot(ab) / denominator : 0;
+
+    if (t <= 0) return { point: A.w.clone(), simplex: [A], weights: [1] };
+    if (t >= 1) return { point: B.w.clone(), simplex: [B], weights: [1] };
+    return {
+        point: A.w.clone().add(ab.multiplyScalar(t)),
+        simplex: [A, B],
+        weights: [1 - t, t]
+    };
+}
+
+// Closest point of a triangle to the origin by Voronoi regions (Ericson, Real-Time Collision Detection 5.1.5)
+function closestOnTriangle(A, B, C) {
+    const a = A.w, b = B.w, c = C.w;
+    const ab = b.clone().sub(a);
+    const ac = c.clone().sub(a);
+    const ap = a.clone().multiplyScalar(-1);
+
+    const d1 = ab.dot(ap);
+    const d2 = ac.dot(ap);
+    if (d1 <= 0 && d2 <= 0) return { point: a.clone(), simplex: [A], weights: [1] };
+
+    const bp = b.clone().multiplyScalar(-1);
+    const d3 = ab.dot(bp);
+    const d4 = ac.dot(bp);
+    if (d3 >= 0 && d4 <= d3) return { point: b.clone(), simplex: [B], weights: [1] };
+
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        return { point: a.clone().add(ab.multiplyScalar(v)), simplex: [A, B], weights: [1 - v, v] };
+    }
+
+    const cp = c.clone().multiplyScalar(-1);
+    const d5 = ab.dot(cp);
+    const d6 = ac.dot(cp);
+    if (d6 >= 0 && d5 <= d6) return { point: c.clone(), simplex: [C], weights: [1] };
+
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        const w = d2 / (d2 - d6);
+        return { point: a.clone().add(ac.multiplyScalar(w)), simplex: [A, C], weights: [1 - w, w] };
+    }
+
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        const bc = c.clone().sub(b);
+        return { point: b.clone().add(bc.multiplyScalar(w)), simplex: [B, C], weights: [1 - w, w] };
+    }
+
+    const denominator = 1 / (va + vb + vc);
+    const v = vb * denominator;
+    const w = vc * denominator;
+    return {
+        point: a.clone().add(ab.multiplyScalar(v)).add(ac.multiplyScalar(w)),
+        simplex: [A, B, C],
+        weights: [1 - v - w, v, w]
+    };
+}
+
+function closestOnTetrahedron(simplex) {
+    const [A, B, C, D] = simplex;
+    const faces = [[A, B, C, D], [A, C, D, B], [A, D, B, C], [B, D, C, A]];
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const [p, q, r, opposite] of faces) {
+        if (!originOutsideFace(p.w, q.w, r.w, opposite.w)) continue;
+
+        const closest = closestOnTriangle(p, q, r);
+        const distance = closest.point.lengthSq();
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = closest;
+        }
+    }
+
+    return best;
+}
+
+// Whether the origin and the opposite vertex are on different sides of the plane through a, b, c
+function originOutsideFace(a, b, c, opposite) {
+    const normal = b.clone().sub(a).cross(c.clone().sub(a));
+    const signOrigin = -a.dot(normal);
+    const signOpposite = opposite.clone().sub(a).dot(normal);
+    // Degenerate tetrahedra count every face as outside, so the closest face is used
+    if (signOpposite * signOpposite < 1e-18) return true;
+    return signOrigin * signOpposite < 0;
+}
+
+/**
+ * EPA: penetration depth and direction of two overlapping convex shapes, margins included
+ * @param {Object} shapeA - Convex shape
+ * @param {Object} shapeB - Convex shape
+ * @param {Object[]} [simplex] - Simplex around the origin from gjk() with margins
+ * @returns {{normal: Vector3, depth: number, pointA: Vector3, pointB: Vector3}|null}
+ *   normal points from A to B; null when the shapes only touch
+ */
+export function epa(shapeA, shapeB, simplex = null) {
+    if (!simplex) {
+        const result = gjk(shapeA, shapeB, { margins: true });
+        if (!result.overlap) return null;
+        simplex = result.simplex;
+    }
+
+    const vertices = buildTetrahedron(shapeA, shapeB, simplex);
+    if (!vertices) return null;
+
+    const centroid = new Vector3();
+    vertices.forEach(v => centroid.add(v.w));
+    centroid.multiplyScalar(0.25);
+
+    let faces = [];
+    const addFace = (i, j, k) => {
+        const a = vertices[i].w, b = vertices[j].w, c = vertices[k].w;
+        const normal = b.clone().sub(a).cross(c.clone().sub(a));
+        const length = normal.length();
+        if (length < 1e-12) return;
+        normal.multiplyScalar(1 / length);
+        // Keep normals pointing away from the interior
+        if (normal.dot(a.clone().sub(centroid)) < 0) {
+            normal.multiplyScalar(-1);
+            [j, k] = [k, j];
+        }
+        faces.push({ indices: [i, j, k], normal, distance: normal.dot(a) });
+    };
+
+    addFace(0, 1, 2);
+    addFace(0, 3, 1);
+    addFace(0, 2, 3);
+    addFace(1, 3, 2);
+
+    let closest = null;
+    for (let iteration = 0; iteration < EPA_MAX_ITERATIONS && faces.length; iteration++) {
+        closest = faces.reduce((best, face) => face.distance < best.distance ? face : best);
+
+        const vertex = minkowskiSupport(shapeA, shapeB, closest.normal, getSupport);
+        const distance = vertex.w.dot(closest.normal);
+        if (distance - closest.distance < EPA_TOLERANCE) {
+            break;
+        }
+
+        // Remove the faces the new vertex sees and stitch the hole to it
+        const index = vertices.push(vertex) - 1;
+        const edges = [];
+        faces = faces.filter(face => {
+            if (face.normal.dot(vertex.w.clone().sub(vertices[face.indices[0]].w)) <= 1e-10) {
+                return true;
+            }
+            const [i, j, k] = face.indices;
+            for (const edge of [[i, j], [j, k], [k, i]]) {
+                const reverse = edges.findIndex(e => e[0] === edge[1] && e[1] === edge[0]);
+                if (reverse !== -1) {
+                    edges.splice(reverse, 1);
+                } else {
+                    edges.push(edge);
+                }
+            }
+            return false;
+        });
+        for (const [i, j] of edges) {
+            addFace(i, j, index);
+        }
+    }
+
+    if (!closest || closest.distance <= 0) {
+        return null;
+    }
+
+    // Project the origin on the closest face for the witness points
+    const [i, j, k] = closest.indices;
+    const weights = barycentric(
+        closest.normal.clone().multiplyScalar(closest.distance),
+        vertices[i].w, vertices[j].w, vertices[k].w
+    );
+    const pointA = new Vector3();
+    const pointB = new Vector3();
+    [i, j, k].forEach((index, n) => {
+        pointA.add(vertices[index].a.clone().multiplyScalar(weights[n]));
+        pointB.add(vertices[index].b.clone().multiplyScalar(weights[n]));
+    });
+
+    return { normal: closest.normal.clone(), depth: closest.distance, pointA, pointB };
+}
+
+/**
+ * Grow a simplex containing the origin into a tetrahedron
+ */
+function buildTetrahedron(shapeA, shapeB, simplex) {
+    const vertices = simplex.slice();
+    const distinct = v => vertices.every(s => s.w.distanceToSquared(v.w) > 1e-12);
+
+    if (vertices.length === 1) {
+        for (const axis of [...AXES, ...AXES.map(a => a.clone().multiplyScalar(-1))]) {
+            const v = minkowskiSupport(shapeA, shapeB, axis, getSupport);
+            if (distinct(v)) {
+                vertices.push(v);
+                break;
+            }
+        }
+    }
+
+    if (vertices.length === 2) {
+        const line = vertices[1].w.clone().sub(vertices[0].w);
+        const seed = Math.abs(line.x) < 0.57 ? AXES[0] : Math.abs(line.y) < 0.57 ? AXES[1] : AXES[2];
+        const perpendicular = line.clone().cross(seed).normalize();
+        const rotation = new Quaternion().setFromAxisAngle(line.clone().normalize(), Math.PI / 3);
+        for (let i = 0; i < 6; i++) {
+            const v = minkowskiSupport(shapeA, shapeB, perpendicular, getSupport);
+            if (v.w.clone().sub(vertices[0].w).cross(line).lengthSq() > 1e-12) {
+                vertices.push(v);
+                break;
+            }
+            perpendicular.applyQuaternion(rotation);
+        }
+    }
+
+    if (vertices.length === 3) {
+        const normal = vertices[1].w.clone().sub(vertices[0].w).cross(vertices[2].w.clone().sub(vertices[0].w));
+        let v = minkowskiSupport(shapeA, shapeB, normal, getSupport);
+        if (Math.abs(v.w.clone().sub(vertices[0].w).dot(normal)) < 1e-10) {
+            v = minkowskiSupport(shapeA, shapeB, normal.clone().multiplyScalar(-1), getSupport);
+        }
+        vertices.push(v);
+    }
+
+    if (vertices.length !== 4) return null;
+
+    const [a, b, c, d] = vertices.map(v => v.w);
+    const volume = b.clone().sub(a).cross(c.clone().sub(a)).dot(d.clone().sub(a));
+    return Math.abs(volume) > 1e-12 ? vertices : null;
+}
+
+function barycentric(p, a, b, c) {
+    const v0 = b.clone().sub(a);
+    const v1 = c.clone().sub(a);
+    const v2 = p.clone().sub(a);
+    const d00 = v0.dot(v0);
+    const d01 = v0.dot(v1);
+    const d11 = v1.dot(v1);
+    const d20 = v2.dot(v0);
+    const d21 = v2.dot(v1);
+    const denominator = d00 * d11 - d01 * d01;
+    if (Math.abs(denominator) < 1e-18) {
+        return [1, 0, 0];
+    }
+    const v = (d11 * d20 - d01 * d21) / denominator;
+    const w = (d00 * d21 - d01 * d20) / denominator;
+    return [1 - v - w, v, w];
+}
+
+/**
+ * Contact between two convex shapes by GJK on their cores, falling back to EPA
+ * @param {Object} shapeA - Convex shape
+ * @param {Object} shapeB - Convex shape
+ * @returns {Object|null} Contact with a single point, normal from A to B
+ */
+export function collideConvex(shapeA, shapeB) {
+    const marginA = getMargin(shapeA);
+    const marginB = getMargin(shapeB);
+
+    let normal, penetration, surfaceA, surfaceB;
+
+    const result = gjk(shapeA, shapeB);
+    if (!result.overlap) {
+        if (result.distance >= marginA + marginB) return null;
+
+        normal = result.pointB.clone().sub(result.pointA).multiplyScalar(1 / result.distance);
+        penetration = marginA + marginB - result.distance;
+        surfaceA = result.pointA.clone().add(normal.clone().multiplyScalar(marginA));
+        surfaceB = result.pointB.clone().sub(normal.clone().multiplyScalar(marginB));
+    } else {
+        const depth = epa(shapeA, shapeB);
+        if (!depth) return null;
+
+        normal = depth.normal;
+        penetration = depth.depth;
+        surfaceA = depth.pointA;
+        surfaceB = depth.pointB;
+    }
+
+    const position = surfaceA.add(surfaceB).multiplyScalar(0.5);
+    return {
+        normal,
+        penetration,
+        contactPoint: position,
+        points: [{ position: position.clone(), penetration }],
+        shapeA,
+        shapeB
+    };
+}
+
+/**
+ * Axes of a box shape in world space
+ */
+function getBoxAxes(box) {
+    const orientation = box.orientation || IDENTITY;
+    return AXES.map(axis => axis.clone().applyQuaternion(orientation));
+}
+
+function getExtents(box) {
+    return [box.halfExtents.x, box.halfExtents.y, box.halfExtents.z];
+}
+
+/**
+ * Box-box contact manifold by the separating axis test: the 15 axes pick the contact
+ * normal; face contacts clip the incident face against the reference face for up to
+ * four points, edge contacts give the closest points of the two edges.
+ * @param {Object} a - Box shape (aabb or obb)
+ * @param {Object} b - Box shape (aabb or obb)
+ * @returns {Object|null} Contact, normal from a to b
+ */
+export function collideBoxes(a, b) {
+    const axesA = getBoxAxes(a);
+    const axesB = getBoxAxes(b);
+    const extentsA = getExtents(a);
+    const extentsB = getExtents(b);
+    const offset = b.center.clone().sub(a.center);
+
+    const project = (axes, extents, axis) =>
+        extents[0] * Math.abs(axes[0].dot(axis)) +
+        extents[1] * Math.abs(axes[1].dot(axis)) +
+        extents[2] * Math.abs(axes[2].dot(axis));
+
+    const separation = axis => Math.abs(offset.dot(axis)) - project(axesA, extentsA, axis) - project(axesB, extentsB, axis);
+
+    let faceA = { separation: -Infinity };
+    let faceB = { separation: -Infinity };
+    let edge = { separation: -Infinity };
+
+    for (let i = 0; i < 3; i++) {
+        const s = separation(axesA[i]);
+        if (s > 0) return null;
+        if (s > faceA.separation) faceA = { separation: s, axis: axesA[i], index: i };
+    }
+    for (let i = 0; i < 3; i++) {
+        const s = separation(axesB[i]);
+        if (s > 0) return null;
+        if (s > faceB.separation) faceB = { separation: s, axis: axesB[i], index: i };
+    }
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const axis = axesA[i].clone().cross(axesB[j]);
+            const length = axis.length();
+            // Parallel edges are covered by the face axes
+            if (length < 1e-6) continue;
+            axis.multiplyScalar(1 / length);
+            const s = separation(axis);
+            if (s > 0) return null;
+            if (s > edge.separation) edge = { separation: s, axis, i, j };
+        }
+    }
+
+    const isBetter = (candidate, current) =>
+        candidate.separation > SAT_RELATIVE_TOLERANCE * current.separation + SAT_ABSOLUTE_TOLERANCE;
+
+    let face = isBetter(faceB, faceA) ? { ...faceB, reference: 'b' } : { ...faceA, reference: 'a' };
+    const best = isBetter(edge, face) ? edge : face;
+
+    const normal = best.axis.clone();
+    if (normal.dot(offset) < 0) {
+        normal.multiplyScalar(-1);
+    }
+
+    let points;
+    if (best === edge) {
+        points = [edgeContact(a, b, axesA, axesB, extentsA, extentsB, edge.i, edge.j, normal, -edge.separation)];
+    } else if (face.reference === 'a') {
+        points = clipFaces(a, axesA, extentsA, face.index, b, axesB, extentsB, normal);
+    } else {
+        points = clipFaces(b, axesB, extentsB, face.index, a, axesA, extentsA, normal.clone().multiplyScalar(-1));
+    }
+
+    if (points.length === 0) {
+        return null;
+    }
+
+    const deepest = points.reduce((p, q) => q.penetration > p.penetration ? q : p);
+    return {
+        normal,
+        penetration: deepest.penetration,
+        contactPoint: deepest.position.clone(),
+        points,
+        shapeA: a,
+        shapeB: b
+    };
+}
+
+/**
+ * Clip the incident box's face against the reference face
+ * @param {Vector3} referenceNormal - Normal of the reference face, toward the incident box
+ */
+function clipFaces(reference, referenceAxes, referenceExtents, index, incident, incidentAxes, incidentExtents, referenceNormal) {
+    // Reference face and its side planes
+    const faceCenter = reference.center.clone().add(referenceNormal.clone().multiplyScalar(referenceExtents[index]));
+    const side1 = (index + 1) % 3;
+    const side2 = (index + 2) % 3;
+
+    // Incident face: the one most anti-parallel to the reference normal
+    let incidentIndex = 0;
+    let maxDot = -Infinity;
+    for (let i = 0; i < 3; i++) {
+        const d = Math.abs(incidentAxes[i].dot(referenceNormal));
+        if (d > maxDot) {
+            maxDot = d;
+            incidentIndex = i;
+        }
+    }
+    const sign = incidentAxes[incidentIndex].dot(referenceNormal) > 0 ? -1 : 1;
+    const incidentCenter = incident.center.clone().add(
+        incidentAxes[incidentIndex].clone().multiplyScalar(sign * incidentExtents[incidentIndex])
+    );
+    const u = incidentAxes[(incidentIndex + 1) % 3].clone().multiplyScalar(incidentExtents[(incidentIndex + 1) % 3]);
+    const v = incidentAxes[(incidentIndex + 2) % 3].clone().multiplyScalar(incidentExtents[(incidentIndex + 2) % 3]);
+
+    let polygon = [
+        incidentCenter.clone().add(u).add(v),
+        incidentCenter.clone().sub(u).add(v),
+        incidentCenter.clone().sub(u).sub(v),
+        incidentCenter.clone().add(u).sub(v)
+    ];
+
+    for (const [axis, extent] of [[referenceAxes[side1], referenceExtents[side1]], [referenceAxes[side2], referenceExtents[side2]]]) {
+        const offset = faceCenter.dot(axis);
+        polygon = clipPolygon(polygon, axis, offset + extent);
+        polygon = clipPolygon(polygon, axis.clone().multiplyScalar(-1), -offset + extent);
+        if (polygon.length === 0) return [];
+    }
+
+    // Keep the points below the reference face, halfway between the two surfaces
+    const points = [];
+    for (const point of polygon) {
+        const depth = faceCenter.clone().sub(point).dot(referenceNormal);
+        if (depth >= 0) {
+            points.push({
+                position: point.clone().add(referenceNormal.clone().multiplyScalar(depth * 0.5)),
+                penetration: depth
+            });
+        }
+    }
+    return points;
+}
+
+// Sutherland-Hodgman: keep the part of the polygon where point·normal <= offset
+function clipPolygon(polygon, normal, offset) {
+    const result = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const current = polygon[i];
+        const next = polygon[(i + 1) % polygon.length];
+        const dc = current.dot(normal) - offset;
+        const dn = next.dot(normal) - offset;
+
+        if (dc <= 0) result.push(current);
+        if ((dc < 0 && dn > 0) || (dc > 0 && dn < 0)) {
+            const t = dc / (dc - dn);
+            result.push(current.clone().add(next.clone().sub(current).multiplyScalar(t)));
+        }
+    }
+    return result;
+}
+
+/**
+ * Contact of two crossing box edges: the closest points of the supporting edges
+ */
+function edgeContact(a, b, axesA, axesB, extentsA, extentsB, i, j, normal, penetration) {
+    const pointA = a.center.clone();
+    const pointB = b.center.clone();
+    for (let k = 0; k < 3; k++) {
+        if (k !== i) {
+            pointA.add(axesA[k].clone().multiplyScalar(axesA[k].dot(normal) > 0 ? extentsA[k] : -extentsA[k]));
+        }
+        if (k !== j) {
+            pointB.add(axesB[k].clone().multiplyScalar(axesB[k].dot(normal) < 0 ? extentsB[k] : -extentsB[k]));
+        }
+    }
+
+    // Closest points of the two edge lines
+    const d1 = axesA[i];
+    const d2 = axesB[j];
+    const r = pointA.clone().sub(pointB);
+    const b12 = d1.dot(d2);
+    const c1 = d1.dot(r);
+    const f = d2.dot(r);
+    const denominator = 1 - b12 * b12;
+    let s = 0;
+    let t = 0;
+    if (denominator > 1e-12) {
+        s = Math.max(-extentsA[i], Math.min(extentsA[i], (b12 * f - c1) / denominator));
+        t = Math.max(-extentsB[j], Math.min(extentsB[j], (f + b12 * s)));
+    }
+
+    const closestA = pointA.add(d1.clone().multiplyScalar(s));
+    const closestB = pointB.add(d2.clone().multiplyScalar(t));
+    return { position: closestA.add(closestB).multiplyScalar(0.5), penetration };
+}
@@ -0,0 +1,648 @@
+/**
+ * Triangle-mesh and heightfield colliders
+ * Static level geometry: a TriangleMesh keeps the triangles of a geometry in a bounding
+ * volume hierarchy, a Heightfield a regular grid of heights. Both hand the triangles that
+ * overlap a box to the same convex-vs-triangle narrow phase and raycast against their
+ * triangles. They work in their own local frame; collideMesh and raycastMesh move shapes
+ * and rays into it from the collider shape's center and orientation.
+ *
+ * Mesh triangles are two-sided. Heightfield triangles only push upwards, so a body driven
+ * deep into the terrain is pushed back out on top rather than through the underside.
+ */
+
+import { Vector3, Quaternion } from '../core/math/index.js';
+import { collideConvex, getSupport, getConvexBounds } from './ConvexCollision.js';
+
+const IDENTITY = new Quaternion();
+
+// Triangles per BVH leaf
+const LEAF_SIZE = 4;
+
+// Contacts whose normal is this close (cosine) to a face normal use the face normal, so
+// bodies sliding across a flat mesh do not catch on the edges between its triangles
+const FACE_THRESHOLD = 0.95;
+
+const EPSILON = 1e-9;
+
+/**
+ * Flat xyz positions of a Mesh, a BufferGeometry (positions kept on the CPU), a
+ * { positions } object or an array
+ * @param {Object|ArrayLike<number>} source
+ * @returns {ArrayLike<number>}
+ */
+export function readPositions(source) {
+    const geometry = source.geometry || source;
+
+    if (typeof geometry.getAttribute === 'function') {
+        const attribute = geometry.getAttribute('position');
+        const data = attribute && attribute.buffer.getData();
+        if (!data) {
+            throw new Error('Geometry has no CPU copy of its positions (see retainData)');
+        }
+        if (!geometry.isInterleaved) {
+            return data;
+        }
+
+        const stride = attribute.stride / 4;
+        const offset = attribute.byteOffset / 4;
+        const positions = new Float32Array(geometry.vertexCount * 3);
+        for (let i = 0; i < geometry.vertexCount; i++) {
+            positions[i * 3] = data[i * stride + offset];
+            positions[i * 3 + 1] = data[i * stride + offset + 1];
+            positions[i * 3 + 2] = data[i * stride + offset + 2];
+        }
+        return positions;
+    }
+
+    return geometry.positions || geometry;
+}
+
+/**
+ * Triangle indices of a Mesh, a BufferGeometry or an { indices } object; null when the
+ * positions are a triangle list
+ * @param {Object} source
+ * @returns {ArrayLike<number>|null}
+ */
+export function readIndices(source) {
+    const geometry = source.geometry || source;
+
+    if (typeof geometry.getIndexBuffer === 'function') {
+        const indexBuffer = geometry.getIndexBuffer();
+        if (!indexBuffer) return null;
+        const data = indexBuffer.getData();
+        if (!data) {
+            throw new Error('Geometry has no CPU copy of its indices (see retainData)');
+        }
+        return data;
+    }
+
+    return geometry.indices || null;
+}
+
+/**
+ * Ray-triangle intersection (Möller–Trumbore), either side
+ * @returns {number|null} Distance along the ray
+ */
+export function rayVsTriangle(origin, direction, a, b, c) {
+    const edge1 = b.clone().sub(a);
+    const edge2 = c.clone().sub(a);
+    const p = direction.clone().cross(edge2);
+    const det = edge1.dot(p);
+    if (Math.abs(det) < EPSILON) return null;
+
+    const inverseDet = 1 / det;
+    const s = origin.clone().sub(a);
+    const u = s.dot(p) * inverseDet;
+    if (u < 0 || u > 1) return null;
+
+    const q = s.cross(edge1);
+    const v = direction.dot(q) * inverseDet;
+    if (v < 0 || u + v > 1) return null;
+
+    const t = edge2.dot(q) * inverseDet;
+    return t >= 0 ? t : null;
+}
+
+/**
+ * Ray-box slab test
+ * @returns {number[]|null} Entry and exit distances
+ */
+function rayVsBounds(origin, direction, min, max, maxDistance) {
+    let tmin = 0;
+    let tmax = maxDistance;
+
+    for (const axis of ['x', 'y', 'z']) {
+        if (Math.abs(direction[axis]) < EPSILON) {
+            if (origin[axis] < min[axis] || origin[axis] > max[axis]) return null;
+        } else {
+            const t1 = (min[axis] - origin[axis]) / direction[axis];
+            const t2 = (max[axis] - origin[axis]) / direction[axis];
+            tmin = Math.max(tmin, Math.min(t1, t2));
+            tmax = Math.min(tmax, Math.max(t1, t2));
+            if (tmin > tmax) return null;
+        }
+    }
+
+    return [tmin, tmax];
+}
+
+function boundsOverlap(minA, maxA, minB, maxB) {
+    return minA.x <= maxB.x && maxA.x >= minB.x &&
+        minA.y <= maxB.y && maxA.y >= minB.y &&
+        minA.z <= maxB.z && maxA.z >= minB.z;
+}
+
+function faceNormal(a, b, c) {
+    const normal = b.clone().sub(a).cross(c.clone().sub(a));
+    const length = normal.length();
+    return length > EPSILON ? normal.multiplyScalar(1 / length) : null;
+}
+
+export class TriangleMesh {
+    /**
+     * @param {Object} source - Mesh, BufferGeometry or { positions, indices }
+     * @param {Object} [options]
+     * @param {Object} [options.scale] - Scale baked into the vertices; defaults to a Mesh's scale
+     */
+    constructor(source, options = {}) {
+        this.type = 'mesh';
+
+        const scale = options.scale || source.scale || { x: 1, y: 1, z: 1 };
+        const positions = readPositions(source);
+        this.positions = new Float32Array(positions.length);
+        for (let i = 0; i + 2 < positions.length; i += 3) {
+            this.positions[i] = positions[i] * scale.x;
+            this.positions[i + 1] = positions[i + 1] * scale.y;
+            this.positions[i + 2] = positions[i + 2] * scale.z;
+        }
+
+        const indices = readIndices(source);
+        if (indices) {
+            this.indices = Uint32Array.from(indices);
+        } else {
+            this.indices = new Uint32Array(Math.floor(positions.length / 9) * 3);
+            this.indices.forEach((_, i) => { this.indices[i] = i; });
+        }
+
+        this.triangleCount = Math.floor(this.indices.length / 3);
+        if (this.triangleCount === 0) {
+            throw new Error('Triangle mesh collider needs at least one triangle');
+        }
+
+        this.build();
+    }
+
+    /**
+     * Vertices of a triangle
+     * @param {number} index - Triangle index
+     * @returns {Vector3[]}
+     */
+    getTriangle(index) {
+        const vertex = i => {
+            const j = this.indices[index * 3 + i] * 3;
+            return new Vector3(this.positions[j], this.positions[j + 1], this.positions[j + 2]);
+        };
+        return [vertex(0), vertex(1), vertex(2)];
+    }
+
+    /**
+     * Build the BVH: nodes split at the median centroid along their longest axis
+     * @private
+     */
+    build() {
+        const count = this.triangleCount;
+        const centroids = new Float32Array(count * 3);
+        const boxes = new Float32Array(count * 6);
+
+        for (let t = 0; t < count; t++) {
+            const [a, b, c] = this.getTriangle(t);
+            centroids[t * 3] = (a.x + b.x + c.x) / 3;
+            centroids[t * 3 + 1] = (a.y + b.y + c.y) / 3;
+            centroids[t * 3 + 2] = (a.z + b.z + c.z) / 3;
+            boxes.set([
+                Math.min(a.x, b.x, c.x), Math.min(a.y, b.y, c.y), Math.min(a.z, b.z, c.z),
+                Math.max(a.x, b.x, c.x), Math.max(a.y, b.y, c.y), Math.max(a.z, b.z, c.z)
+            ], t * 6);
+        }
+
+        // Triangle indices in leaf order
+        this.order = new Uint32Array(count);
+        this.order.forEach((_, i) => { this.order[i] = i; });
+        this.nodes = [];
+
+        const buildNode = (start, end) => {
+            const min = new Vector3(Infinity, Infinity, Infinity);
+            const max = new Vector3(-Infinity, -Infinity, -Infinity);
+            for (let i = start; i < end; i++) {
+                const o = this.order[i] * 6;
+                min.set(Math.min(min.x, boxes[o]), Math.min(min.y, boxes[o + 1]), Math.min(min.z, boxes[o + 2]));
+                max.set(Math.max(max.x, boxes[o + 3]), Math.max(max.y, boxes[o + 4]), Math.max(max.z, boxes[o + 5]));
+            }
+
+            const node = { min, max, left: -1, right: -1, start, count: end - start };
+            const index = this.nodes.length;
+            this.nodes.push(node);
+
+            if (end - start > LEAF_SIZE) {
+                const size = max.clone().sub(min);
+                const axis = size.x >= size.y && size.x >= size.z ? 0 : size.y >= size.z ? 1 : 2;
+                const sorted = Array.from(this.order.subarray(start, end))
+                    .sort((p, q) => centroids[p * 3 + axis] - centroids[q * 3 + axis]);
+                this.order.set(sorted, start);
+
+                const middle = (start + end) >> 1;
+                node.left = buildNode(start, middle);
+                node.right = buildNode(middle, end);
+                node.count = 0;
+            }
+            return index;
+        };
+
+        buildNode(0, count);
+    }
+
+    /**
+     * Local-space bounds of the mesh
+     * @returns {{min: Vector3, max: Vector3}}
+     */
+    getBounds() {
+        return { min: this.nodes[0].min.clone(), max: this.nodes[0].max.clone() };
+    }
+
+    /**
+     * Call back with each triangle whose bounds overlap a local-space box
+     * @param {Vector3} min
+     * @param {Vector3} max
+     * @param {Function} callback - (a, b, c, index)
+     */
+    queryTriangles(min, max, callback) {
+        const stack = [0];
+        while (stack.length) {
+            const node = this.nodes[stack.pop()];
+            if (!boundsOverlap(node.min, node.max, min, max)) continue;
+
+            if (node.count > 0) {
+                for (let i = node.start; i < node.start + node.count; i++) {
+                    const index = this.order[i];
+                    const [a, b, c] = this.getTriangle(index);
+                    if (boundsOverlap(
+                        new Vector3(Math.min(a.x, b.x, c.x), Math.min(a.y, b.y, c.y), Math.min(a.z, b.z, c.z)),
+                        new Vector3(Math.max(a.x, b.x, c.x), Math.max(a.y, b.y, c.y), Math.max(a.z, b.z, c.z)),
+                        min, max)) {
+                        callback(a, b, c, index);
+                    }
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+    }
+
+    /**
+     * Nearest triangle hit by a local-space ray
+     * @param {Vector3} origin
+     * @param {Vector3} direction - Unit direction
+     * @param {number} [maxDistance=Infinity]
+     * @returns {{distance: number, normal: Vector3, triangle: number}|null}
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        let best = null;
+        let bestDistance = maxDistance;
+        const stack = [0];
+
+        while (stack.length) {
+            const node = this.nodes[stack.pop()];
+            if (!rayVsBounds(origin, direction, node.min, node.max, bestDistance)) continue;
+
+            if (node.count > 0) {
+                for (let i = node.start; i < node.start + node.count; i++) {
+                    const index = this.order[i];
+                    const [a, b, c] = this.getTriangle(index);
+                    const t = rayVsTriangle(origin, direction, a, b, c);
+                    if (t !== null && t <= bestDistance) {
+                        bestDistance = t;
+                        best = { distance: t, triangle: index, vertices: [a, b, c] };
+                    }
+                }
+            } else {
+                stack.push(node.left, node.right);
+            }
+        }
+
+        if (!best) return null;
+
+        // Face the normal towards the ray origin
+        const normal = faceNormal(...best.vertices) || new Vector3(0, 1, 0);
+        if (normal.dot(direction) > 0) normal.multiplyScalar(-1);
+        return { distance: best.distance, normal, triangle: best.triangle };
+    }
+}
+
+export class Heightfield {
+    /**
+     * Heights on a regular grid centered on the collider, rows along +Z and columns along
+     * +X, as a PlaneGeometry rotated to lie flat (the terrain examples) lays out its vertices
+     * @param {ArrayLike<number>} heights - (widthSegments + 1) * (depthSegments + 1) heights, row by row
+     * @param {Object} [options]
+     * @param {number} [options.widthSegments] - Cells along X; defaults to a square grid
+     * @param {number} [options.depthSegments] - Cells along Z
+     * @param {number} [options.width=widthSegments] - Extent along X
+     * @param {number} [options.depth=depthSegments] - Extent along Z
+     * @param {number} [options.heightScale=1] - Multiplies the heights
+     */
+    constructor(heights, options = {}) {
+        this.type = 'heightfield';
+
+        const side = Math.round(Math.sqrt(heights.length)) - 1;
+        this.widthSegments = options.widthSegments ?? side;
+        this.depthSegments = options.depthSegments ?? Math.round(heights.length / (this.widthSegments + 1)) - 1;
+        this.width = options.width ?? this.widthSegments;
+        this.depth = options.depth ?? this.depthSegments;
+
+        if (this.widthSegments < 1 || this.depthSegments < 1 ||
+            heights.length < (this.widthSegments + 1) * (this.depthSegments + 1)) {
+            throw new Error('Heightfield needs (widthSegments + 1) * (depthSegments + 1) heights');
+        }
+
+        this.cellWidth = this.width / this.widthSegments;
+        this.cellDepth = this.depth / this.depthSegments;
+        this.setHeights(heights, options.heightScale ?? 1);
+    }
+
+    /**
+     * Replace the heights, e.g. after regenerating the terrain
+     * @param {ArrayLike<number>} heights
+     * @param {number} [heightScale=1]
+     */
+    setHeights(heights, heightScale = 1) {
+        const count = (this.widthSegments + 1) * (this.depthSegments + 1);
+        this.heights = new Float32Array(count);
+        this.minHeight = Infinity;
+        this.maxHeight = -Infinity;
+        for (let i = 0; i < count; i++) {
+            const h = heights[i] * heightScale;
+            this.heights[i] = h;
+            this.minHeight = Math.min(this.minHeight, h);
+            this.maxHeight = Math.max(this.maxHeight, h);
+        }
+    }
+
+    /**
+     * Local position of a grid vertex
+     * @param {number} column
+     * @param {number} row
+     * @returns {Vector3}
+     */
+    getVertex(column, row) {
+        return new Vector3(
+            -this.width / 2 + column * this.cellWidth,
+            this.heights[row * (this.widthSegments + 1) + column],
+            -this.depth / 2 + row * this.cellDepth
+        );
+    }
+
+    /**
+     * The two triangles of a cell, wound to face +Y
+     * @returns {Vector3[][]}
+     */
+    getCellTriangles(column, row) {
+        const v00 = this.getVertex(column, row);
+        const v10 = this.getVertex(column + 1, row);
+        const v01 = this.getVertex(column, row + 1);
+        const v11 = this.getVertex(column + 1, row + 1);
+        return [[v00, v01, v10], [v01, v11, v10]];
+    }
+
+    /**
+     * Height of the surface under a local point
+     * @param {number} x
+     * @param {number} z
+     * @returns {number|null} Null outside the grid
+     */
+    getHeightAt(x, z) {
+        const hit = this.raycast(new Vector3(x, this.maxHeight + 1, z), new Vector3(0, -1, 0));
+        return hit ? this.maxHeight + 1 - hit.distance : null;
+    }
+
+    /**
+     * Local-space bounds of the heightfield
+     * @returns {{min: Vector3, max: Vector3}}
+     */
+    getBounds() {
+        return {
+            min: new Vector3(-this.width / 2, this.minHeight, -this.depth / 2),
+            max: new Vector3(this.width / 2, this.maxHeight, this.depth / 2)
+        };
+    }
+
+    /**
+     * Call back with each triangle of the cells under a local-space box
+     * @param {Vector3} min
+     * @param {Vector3} max
+     * @param {Function} callback - (a, b, c, index)
+     */
+    queryTriangles(min, max, callback) {
+        const columnStart = Math.max(0, Math.floor((min.x + this.width / 2) / this.cellWidth));
+        const columnEnd = Math.min(this.widthSegments - 1, Math.floor((max.x + this.width / 2) / this.cellWidth));
+        const rowStart = Math.max(0, Math.floor((min.z + this.depth / 2) / this.cellDepth));
+        const rowEnd = Math.min(this.depthSegments - 1, Math.floor((max.z + this.depth / 2) / this.cellDepth));
+
+        for (let row = rowStart; row <= rowEnd; row++) {
+            for (let column = columnStart; column <= columnEnd; column++) {
+                const triangles = this.getCellTriangles(column, row);
+                for (let i = 0; i < 2; i++) {
+                    const [a, b, c] = triangles[i];
+                    if (Math.max(a.y, b.y, c.y) < min.y || Math.min(a.y, b.y, c.y) > max.y) continue;
+                    callback(a, b, c, (row * this.widthSegments + column) * 2 + i);
+                }
+            }
+        }
+    }
+
+    /**
+     * Nearest surface hit by a local-space ray, walking the cells under the ray in order
+     * @param {Vector3} origin
+     * @param {Vector3} direction - Unit direction
+     * @param {number} [maxDistance=Infinity]
+     * @returns {{distance: number, normal: Vector3, triangle: number}|null}
+     */
+    raycast(origin, direction, maxDistance = Infinity) {
+        const { min, max } = this.getBounds();
+        const range = rayVsBounds(origin, direction, min, max, maxDistance);
+        if (!range) return null;
+
+        const [tStart, tEnd] = range;
+        const start = origin.clone().add(direction.clone().multiplyScalar(tStart));
+        let column = Math.min(this.widthSegments - 1, Math.max(0, Math.floor((start.x + this.width / 2) / this.cellWidth)));
+        let row = Math.min(this.depthSegments - 1, Math.max(0, Math.floor((start.z + this.depth / 2) / this.cellDepth)));
+
+        // Distances at which the ray crosses the next column and row boundaries
+        const stepX = direction.x > 0 ? 1 : -1;
+        const stepZ = direction.z > 0 ? 1 : -1;
+        const nextX = -this.width / 2 + (column + (stepX > 0 ? 1 : 0)) * this.cellWidth;
+        const nextZ = -this.depth / 2 + (row + (stepZ > 0 ? 1 : 0)) * this.cellDepth;
+        let tMaxX = Math.abs(direction.x) > EPSILON ? (nextX - origin.x) / direction.x : Infinity;
+        let tMaxZ = Math.abs(direction.z) > EPSILON ? (nextZ - origin.z) / direction.z : Infinity;
+        const tDeltaX = Math.abs(direction.x) > EPSILON ? this.cellWidth / Math.abs(direction.x) : Infinity;
+        const tDeltaZ = Math.abs(direction.z) > EPSILON ? this.cellDepth / Math.abs(direction.z) : Infinity;
+
+        while (column >= 0 && column < this.widthSegments && row >= 0 && row < this.depthSegments) {
+            let best = null;
+            this.getCellTriangles(column, row).forEach((vertices, i) => {
+                const t = rayVsTriangle(origin, direction, ...vertices);
+                if (t !== null && t >= tStart && t <= tEnd && (!best || t < best.distance)) {
+                    best = { distance: t, vertices, triangle: (row * this.widthSegments + column) * 2 + i };
+                }
+            });
+            if (best) {
+                return { distance: best.distance, normal: faceNormal(...best.vertices), triangle: best.triangle };
+            }
+
+            if (Math.min(tMaxX, tMaxZ) > tEnd) break;
+            if (tMaxX < tMaxZ) {
+                column += stepX;
+                tMaxX += tDeltaX;
+            } else {
+                row += stepZ;
+                tMaxZ += tDeltaZ;
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * World-space bounds of a mesh or heightfield collider shape
+ * @param {Object} shape - { center, orientation, source }
+ * @returns {{min: Vector3, max: Vector3}}
+ */
+export function getMeshBounds(shape) {
+    const { min, max } = shape.source.getBounds();
+    const halfExtents = max.clone().sub(min).multiplyScalar(0.5);
+    const center = min.add(max).multiplyScalar(0.5).applyQuaternion(shape.orientation || IDENTITY).add(shape.center);
+    return getConvexBounds({ type: 'obb', center, halfExtents, orientation: shape.orientation || IDENTITY });
+}
+
+/**
+ * Corners or hull points of shapes that have them, for face contacts
+ */
+function getShapeVertices(shape) {
+    const orientation = shape.orientation || IDENTITY;
+    if (shape.type === 'aabb' || shape.type === 'obb') {
+        const h = shape.halfExtents;
+        const corners = [];
+        for (const x of [-h.x, h.x]) {
+            for (const y of [-h.y, h.y]) {
+                for (const z of [-h.z, h.z]) {
+                    corners.push(new Vector3(x, y, z).applyQuaternion(orientation).add(shape.center));
+                }
+            }
+        }
+        return corners;
+    }
+    if (shape.type === 'convex') {
+        return shape.vertices.map(v => v.clone().applyQuaternion(orientation).add(shape.center));
+    }
+    return null;
+}
+
+function isInsideTriangle(p, a, b, c) {
+    const v0 = b.clone().sub(a);
+    const v1 = c.clone().sub(a);
+    const v2 = p.clone().sub(a);
+    const d00 = v0.dot(v0);
+    const d01 = v0.dot(v1);
+    const d11 = v1.dot(v1);
+    const d20 = v2.dot(v0);
+    const d21 = v2.dot(v1);
+    const denominator = d00 * d11 - d01 * d01;
+    if (Math.abs(denominator) < EPSILON) return false;
+    const v = (d11 * d20 - d01 * d21) / denominator;
+    const w = (d00 * d21 - d01 * d20) / denominator;
+    return v >= -1e-4 && w >= -1e-4 && v + w <= 1 + 1e-4;
+}
+
+/**
+ * Contact points of a convex shape against one triangle, in the shape's frame
+ */
+function collideTriangle(a, b, c, shape, oneSided) {
+    const face = faceNormal(a, b, c);
+    if (!face) return [];
+
+    const triangle = { type: 'convex', center: new Vector3(0, 0, 0), vertices: [a, b, c] };
+    const contact = collideConvex(triangle, shape);
+    if (!contact) return [];
+
+    const side = oneSided || contact.normal.dot(face) >= 0 ? 1 : -1;
+    const faceSide = face.multiplyScalar(side);
+    const alignment = contact.normal.dot(faceSide);
+
+    // Edge and vertex contacts keep the EPA normal, except under a heightfield
+    if (alignment < FACE_THRESHOLD && !(oneSided && alignment <= 0)) {
+        return [{ position: contact.contactPoint, penetration: contact.penetration, normal: contact.normal }];
+    }
+
+    const deepest = getSupport(shape, faceSide.clone().multiplyScalar(-1));
+    const penetration = Math.max(0, a.clone().sub(deepest).dot(faceSide));
+    const points = [];
+
+    for (const vertex of getShapeVertices(shape) || []) {
+        const depth = a.clone().sub(vertex).dot(faceSide);
+        if (depth > 0 && isInsideTriangle(vertex, a, b, c)) {
+            points.push({
+                position: vertex.clone().add(faceSide.clone().multiplyScalar(depth * 0.5)),
+                penetration: depth,
+                normal: faceSide
+            });
+        }
+    }
+
+    if (points.length === 0) {
+        points.push({ position: contact.contactPoint, penetration, normal: faceSide });
+    }
+    return points;
+}
+
+/**
+ * Contact of a convex shape against a mesh or heightfield collider shape, normal from the
+ * mesh to the shape. Each point carries the normal of the triangle it touches.
+ * @param {Object} meshShape - { type, center, orientation, source }
+ * @param {Object} shape - Convex collision shape
+ * @returns {Object|null}
+ */
+export function collideMesh(meshShape, shape) {
+    const orientation = meshShape.orientation || IDENTITY;
+    const inverse = orientation.clone().conjugate();
+    const local = {
+        ...shape,
+        center: shape.center.clone().sub(meshShape.center).applyQuaternion(inverse),
+        orientation: inverse.clone().multiply(shape.orientation || IDENTITY)
+    };
+    const bounds = getConvexBounds(local);
+    const oneSided = meshShape.type === 'heightfield';
+
+    const points = [];
+    meshShape.source.queryTriangles(bounds.min, bounds.max, (a, b, c) => {
+        points.push(...collideTriangle(a, b, c, local, oneSided));
+    });
+    if (points.length === 0) return null;
+
+    let deepest = points[0];
+    for (const point of points) {
+        point.position.applyQuaternion(orientation).add(meshShape.center);
+        point.normal = point.normal.clone().applyQuaternion(orientation);
+        if (point.penetration > deepest.penetration) deepest = point;
+    }
+
+    return {
+        normal: deepest.normal.clone(),
+        penetration: deepest.penetration,
+        contactPoint: deepest.position.clone(),
+        points,
+        shapeA: meshShape,
+        shapeB: shape
+    };
+}
+
+/**
+ * Raycast against a mesh or heightfield collider shape
+ * @param {Object} meshShape - { center, orientation, source }
+ * @param {Vector3} origin - World origin
+ * @param {Vector3} direction - World unit direction
+ * @param {number} [maxDistance=Infinity]
+ * @returns {{distance: number, normal: Vector3, triangle: number}|null} World normal
+ */
+export function raycastMesh(meshShape, origin, direction, maxDistance = Infinity) {
+    const orientation = meshShape.orientation || IDENTITY;
+    const inverse = orientation.clone().conjugate();
+    const hit = meshShape.source.raycast(
+        origin.clone().sub(meshShape.center).applyQuaternion(inverse),
+        direction.clone().applyQuaternion(inverse),
+        maxDistance
+    );
+    if (hit) {
+        hit.normal.applyQuaternion(orientation);
+    }
+    return hit;
+}
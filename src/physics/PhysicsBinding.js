@@ -0,0 +1,267 @@
+/**
+ * Body-object bindings
+ * A binding keeps an Object3D (usually a Mesh) in sync with a RigidBody, so the simulation
+ * needs no glue code in the render loop. Dynamic and static bodies drive their object;
+ * kinematic bodies follow theirs, so moving a platform or a door is done by moving its mesh.
+ * Kinematic bodies moved from code still update their object.
+ *
+ * The simulation runs at a fixed step while frames come at the display's rate. Objects of
+ * dynamic bodies are placed between the last two simulated poses, by the fraction of a step
+ * left in the accumulator, so motion stays smooth when the two rates differ.
+ *
+ * Objects may be nested: poses are converted through the parent's world matrix, scale
+ * included, and the object keeps its world scale. Writing a pose replaces the object's Euler
+ * rotation with a quaternion.
+ */
+
+import { Vector3, Matrix4, Quaternion } from '../core/math/index.js';
+
+// Pose changes below this are not a move, in world units (and quaternion components)
+const EPSILON = 1e-6;
+
+/**
+ * Update the world matrices of an object and its ancestors, root first
+ */
+function updateWorldMatrices(object) {
+    const chain = [];
+    for (let node = object; node; node = node.parent) {
+        chain.unshift(node);
+    }
+    for (const node of chain) {
+        if (node.updateMatrix) {
+            node.updateMatrix();
+        }
+    }
+}
+
+/**
+ * Scale of a matrix, from the lengths of its basis columns
+ */
+function getMatrixScale(elements) {
+    return new Vector3(
+        Math.hypot(elements[0], elements[1], elements[2]),
+        Math.hypot(elements[4], elements[5], elements[6]),
+        Math.hypot(elements[8], elements[9], elements[10])
+    );
+}
+
+/**
+ * Rotation of a world matrix, without its scale
+ */
+function getMatrixRotation(elements) {
+    const m = new Matrix4().fromArray(elements);
+    const e = m.elements;
+    for (let column = 0; column < 3; column++) {
+        const i = column * 4;
+        const length = Math.hypot(e[i], e[i + 1], e[i + 2]) || 1;
+        e[i] /= length;
+        e[i + 1] /= length;
+        e[i + 2] /= length;
+    }
+    return new Quaternion().setFromRotationMatrix(m).normalize();
+}
+
+/**
+ * World position and rotation of an object
+ * @param {Object3D} object
+ * @returns {{position: Vector3, rotation: Quaternion}}
+ */
+export function getObjectPose(object) {
+    updateWorldMatrices(object);
+    const e = object.worldMatrix;
+    return {
+        position: new Vector3(e[12], e[13], e[14]),
+        rotation: getMatrixRotation(e)
+    };
+}
+
+/**
+ * Place an object at a world position and rotation
+ * @param {Object3D} object
+ * @param {Vector3} position
+ * @param {Quaternion} rotation
+ */
+export function setObjectPose(object, position, rotation) {
+    let localPosition = position;
+    let localRotation = rotation;
+    let localScale = null;
+
+    if (object.parent) {
+        // Undo the parent the way updateWorldMatrix applies it: multiplyMatrices(parent, local)
+        // is local * parent in column-major terms, so local = world * inverse(parent). The
+        // world matrix carries the object's world scale, so the parent's scale cancels out
+        // of the local translation and the object keeps its size.
+        updateWorldMatrices(object);
+        const scale = getMatrixScale(object.worldMatrix);
+        const world = new Matrix4().makeRotationFromQuaternion(rotation);
+        const e = world.elements;
+        for (let i = 0; i < 3; i++) {
+            e[i] *= scale.x;
+            e[i + 4] *= scale.y;
+            e[i + 8] *= scale.z;
+        }
+        e[12] = position.x;
+        e[13] = position.y;
+        e[14] = position.z;
+        const inverseParent = new Matrix4().fromArray(object.parent.worldMatrix).invert();
+        const local = object.multiplyMatrices(inverseParent.elements, e);
+        localPosition = new Vector3(local[12], local[13], local[14]);
+        localRotation = getMatrixRotation(local);
+        localScale = getMatrixScale(local);
+    }
+
+    object.position.x = localPosition.x;
+    object.position.y = localPosition.y;
+    object.position.z = localPosition.z;
+
+    if (typeof object.rotation.w !== 'number') {
+        object.rotation = new Quaternion();
+    }
+    object.rotation.x = localRotation.x;
+    object.rotation.y = localRotation.y;
+    object.rotation.z = localRotation.z;
+    object.rotation.w = localRotation.w;
+
+    if (localScale) {
+        object.scale.x = localScale.x;
+        object.scale.y = localScale.y;
+        object.scale.z = localScale.z;
+    }
+
+    object.markMatrixDirty();
+}
+
+function posesEqual(positionA, rotationA, positionB, rotationB) {
+    return positionA.distanceToSquared(positionB) < EPSILON * EPSILON &&
+        Math.abs(Math.abs(rotationA.dot(rotationB)) - 1) < EPSILON;
+}
+
+export class PhysicsBinding {
+    /**
+     * @param {RigidBody} body
+     * @param {Object3D} object
+     * @param {Object} [options]
+     * @param {boolean} [options.interpolate=true] - Place the object between the last two steps
+     */
+    constructor(body, object, options = {}) {
+        this.body = body;
+        this.object = object;
+        this.interpolate = options.interpolate ?? true;
+
+        // Pose last written to or read from the object, to tell which side moved
+        this.syncedPosition = new Vector3();
+        this.syncedRotation = new Quaternion();
+
+        // Kinematic sweep over the steps of a frame
+        this.startPosition = null;
+        this.startRotation = null;
+        this.targetPosition = null;
+        this.targetRotation = null;
+        this.steps = 0;
+
+        if (body.isKinematic) {
+            const { position, rotation } = getObjectPose(object);
+            body.setPosition(position);
+            body.setRotation(rotation);
+            this.syncedPosition.copy(position);
+            this.syncedRotation.copy(rotation);
+        } else {
+            this.writeObject(body.position, body.rotation);
+        }
+    }
+
+    /**
+     * Read the object of a kinematic body before the steps of a frame. When it moved, the
+     * body is swept to its pose over the steps, with the velocity that takes it there so
+     * the bodies it pushes respond to the motion.
+     * @param {number} steps - Steps about to be simulated
+     */
+    beginSteps(steps) {
+        this.steps = 0;
+        if (!this.body.isKinematic || steps === 0) return;
+
+        const { position, rotation } = getObjectPose(this.object);
+        if (posesEqual(position, rotation, this.syncedPosition, this.syncedRotation)) {
+            // The object stayed put: the body is moved from code, or not at all
+            if (posesEqual(position, rotation, this.body.position, this.body.rotation)) {
+                this.body.velocity.set(0, 0, 0);
+                this.body.angularVelocity.set(0, 0, 0);
+            }
+            return;
+        }
+
+        this.syncedPosition.copy(position);
+        this.syncedRotation.copy(rotation);
+        this.startPosition = this.body.position.clone();
+        this.startRotation = this.body.rotation.clone();
+        this.targetPosition = position;
+        this.targetRotation = rotation;
+        this.steps = steps;
+        this.body.wake();
+    }
+
+    /**
+     * Move a kinematic body to its place at a step of the sweep
+     * @param {number} index - Step within the frame, from 0
+     * @param {number} dt - Fixed time step
+     */
+    advance(index, dt) {
+        if (this.steps === 0) return;
+
+        const body = this.body;
+        const t = Math.min(1, (index + 1) / this.steps);
+        const duration = this.steps * dt;
+
+        body.position.copy(this.startPosition).lerp(this.targetPosition, t);
+        body.rotation.copy(this.startRotation).slerp(this.targetRotation, t).normalize();
+        body.velocity.copy(this.targetPosition).sub(this.startPosition).multiplyScalar(1 / duration);
+
+        // Angular velocity of the world-space rotation from the start to the target
+        const delta = this.targetRotation.clone().multiply(this.startRotation.clone().conjugate());
+        if (delta.w < 0) {
+            delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+        }
+        const sinHalfAngle = Math.hypot(delta.x, delta.y, delta.z);
+        if (sinHalfAngle > EPSILON) {
+            const angle = 2 * Math.atan2(sinHalfAngle, delta.w);
+            body.angularVelocity.set(delta.x, delta.y, delta.z).multiplyScalar(angle / (sinHalfAngle * duration));
+        } else {
+            body.angularVelocity.set(0, 0, 0);
+        }
+
+        if (t >= 1) {
+            this.steps = 0;
+        }
+    }
+
+    /**
+     * Write the body's pose to the object
+     * @param {number} [alpha=1] - Fraction of a step elapsed since the last one
+     */
+    sync(alpha = 1) {
+        const body = this.body;
+
+        if (body.isKinematic) {
+            // Only when moved from code; otherwise the object is already there
+            if (!posesEqual(body.position, body.rotation, this.syncedPosition, this.syncedRotation)) {
+                this.writeObject(body.position, body.rotation);
+            }
+            return;
+        }
+
+        if (!this.interpolate || alpha >= 1) {
+            this.writeObject(body.position, body.rotation);
+            return;
+        }
+        this.writeObject(
+            body.previousPosition.clone().lerp(body.position, alpha),
+            body.previousRotation.clone().slerp(body.rotation, alpha).normalize()
+        );
+    }
+
+    writeObject(position, rotation) {
+        setObjectPose(this.object, position, rotation);
+        this.syncedPosition.copy(position);
+        this.syncedRotation.copy(rotation);
+    }
+}
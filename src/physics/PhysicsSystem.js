@@ -5,13 +5,33 @@
  */
 
 import { Vector3, Matrix4, Quaternion } from '../core/math/index.js';
+import { EventEmitter } from '../core/Events.js';
+import { collideBoxes, collideConvex, getConvexBounds } from './ConvexCollision.js';
+import { ContactManifold, ContactSettings } from './ContactManifold.js';
+import { Constraint } from './Constraint.js';
+import { TriangleMesh, Heightfield, collideMesh, raycastMesh, getMeshBounds, readPositions } from './MeshCollision.js';
+import { PhysicsBinding } from './PhysicsBinding.js';
+
+// Shapes handled by the box-box separating axis test
+const BOX_TYPES = new Set(['aabb', 'obb']);
+
+// Shapes with a support mapping, handled by GJK/EPA
+const CONVEX_TYPES = new Set(['sphere', 'aabb', 'obb', 'capsule', 'cylinder', 'convex']);
+
+// Static level geometry, collided against the convex shapes triangle by triangle
+const MESH_TYPES = new Set(['mesh', 'heightfield']);
+
+// Every collision group: the default mask
+const ALL_GROUPS = 0xFFFFFFFF;
 
 /**
  * Rigid Body Component
- * Represents a physics body with mass, velocity, and forces
+ * Represents a physics body with mass, velocity, and forces. Emits the collision events
+ * of the pairs it belongs to.
  */
-class RigidBody {
+class RigidBody extends EventEmitter {
     constructor(id, options = {}) {
+        super();
         this.id = id;
         this.position = new Vector3(
             options.position?.x || 0,
@@ -22,15 +42,19 @@ class RigidBody {
         this.acceleration = new Vector3(0, 0, 0);
         
         // Rotation
-        this.rotation = new Quaternion();
+        this.rotation = options.rotation ? options.rotation.clone() : new Quaternion();
         this.angularVelocity = new Vector3(0, 0, 0);
         this.angularAcceleration = new Vector3(0, 0, 0);
         
+        // Pose before the last step, for render interpolation
+        this.previousPosition = this.position.clone();
+        this.previousRotation = this.rotation.clone();
+        
         // Physical properties
         this.mass = options.mass || 1.0;
         this.inverseMass = this.mass > 0 ? 1.0 / this.mass : 0;
-        this.restitution = options.restitution || 0.5;
-        this.friction = options.friction || 0.5;
+        this.restitution = options.restitution ?? 0.5;
+        this.friction = options.friction ?? 0.5;
         this.isStatic = options.isStatic || false;
         this.isKinematic = options.isKinematic || false;
         
@@ -38,6 +62,21 @@ class RigidBody {
         this.collider = options.collider || { type: 'sphere', radius: 0.5 };
         this.colliderOffset = options.colliderOffset || new Vector3(0, 0, 0);
         
+        // Collision filtering: two bodies collide when each one's group is in the other's mask
+        this.collisionGroup = options.collisionGroup ?? 1;
+        this.collisionMask = options.collisionMask ?? ALL_GROUPS;
+        
+        // Sensors report overlaps through the collision events but do not push bodies
+        this.isSensor = options.isSensor || false;
+
+        // Inverse of the principal moments of inertia, in the body's local frame
+        this.inverseInertia = new Vector3(0, 0, 0);
+        this.updateInertia();
+
+        if (MESH_TYPES.has(this.collider.type) && !this.isStatic && !this.isKinematic) {
+            throw new Error(`${this.collider.type} colliders are only supported on static or kinematic bodies`);
+        }
+        
         // Forces
         this.netForce = new Vector3(0, 0, 0);
         this.netTorque = new Vector3(0, 0, 0);
@@ -47,6 +86,7 @@ class RigidBody {
         // State
         this.isSleeping = false;
         this.sleepTimer = 0;
+        this.sleepThreshold = options.sleepThreshold || 0.01; // Speed below which the body may sleep
         
         // User data
         this.userData = options.userData || {};
@@ -64,62 +104,183 @@ class RigidBody {
         }
     }
     
-    applyImpulse(impulse) {
+    /**
+     * Apply an impulse, at a world point to also spin the body
+     * @param {Vector3} impulse
+     * @param {Vector3} [point] - World point; the center of mass when omitted
+     */
+    applyImpulse(impulse, point = null) {
         if (!this.isStatic) {
             this.velocity.add(impulse.clone().multiplyScalar(this.inverseMass));
+            if (point) {
+                const r = point.clone().sub(this.position);
+                this.angularVelocity.add(this.applyInverseInertia(r.cross(impulse)));
+            }
         }
     }
     
+    /**
+     * Whether the collision filters of two bodies let them collide
+     * @param {RigidBody} other
+     * @returns {boolean}
+     */
+    canCollideWith(other) {
+        return (this.collisionGroup & other.collisionMask) !== 0 && (other.collisionGroup & this.collisionMask) !== 0;
+    }
+    
     applyAngularImpulse(impulse) {
         if (!this.isStatic) {
-            this.angularVelocity.add(impulse.clone().multiplyScalar(this.inverseMass));
+            this.angularVelocity.add(this.applyInverseInertia(impulse));
         }
     }
+
+    /**
+     * Inverse mass seen by the solvers: zero for bodies that do not respond to impulses
+     * @returns {number}
+     */
+    getInverseMass() {
+        return this.isStatic || this.isKinematic || this.isSleeping ? 0 : this.inverseMass;
+    }
+
+    /**
+     * Compute the inertia tensor of the collider, as a solid of the body's mass
+     */
+    updateInertia() {
+        const collider = this.collider;
+        const m = this.mass;
+        let inertia;
+
+        switch (collider.type) {
+            case 'aabb':
+            case 'mesh':
+            case 'heightfield':
+                // Axis-aligned colliders do not rotate, level geometry does not move
+                this.inverseInertia.set(0, 0, 0);
+                return;
+            case 'obb': {
+                const h = collider.halfExtents;
+                inertia = new Vector3(h.y * h.y + h.z * h.z, h.x * h.x + h.z * h.z, h.x * h.x + h.y * h.y).multiplyScalar(m / 3);
+                break;
+            }
+            case 'capsule':
+            case 'cylinder': {
+                const r = collider.radius;
+                const height = 2 * (collider.halfHeight + (collider.type === 'capsule' ? r : 0));
+                const side = m * (3 * r * r + height * height) / 12;
+                inertia = new Vector3(side, 0.5 * m * r * r, side);
+                break;
+            }
+            case 'convex': {
+                // Box around the hull
+                const min = new Vector3(Infinity, Infinity, Infinity);
+                const max = new Vector3(-Infinity, -Infinity, -Infinity);
+                for (const v of collider.vertices) {
+                    min.set(Math.min(min.x, v.x), Math.min(min.y, v.y), Math.min(min.z, v.z));
+                    max.set(Math.max(max.x, v.x), Math.max(max.y, v.y), Math.max(max.z, v.z));
+                }
+                const size = max.sub(min);
+                inertia = new Vector3(size.y * size.y + size.z * size.z, size.x * size.x + size.z * size.z, size.x * size.x + size.y * size.y).multiplyScalar(m / 12);
+                break;
+            }
+            default: {
+                const r = collider.radius || 0.5;
+                const moment = 0.4 * m * r * r;
+                inertia = new Vector3(moment, moment, moment);
+            }
+        }
+
+        this.inverseInertia.set(
+            inertia.x > 0 ? 1 / inertia.x : 0,
+            inertia.y > 0 ? 1 / inertia.y : 0,
+            inertia.z > 0 ? 1 / inertia.z : 0
+        );
+    }
+
+    /**
+     * Multiply a world vector by the world inverse inertia tensor
+     * @param {Vector3} v - Torque or angular impulse
+     * @returns {Vector3} New vector
+     */
+    applyInverseInertia(v) {
+        if (this.getInverseMass() === 0) {
+            return new Vector3(0, 0, 0);
+        }
+        const local = v.clone().applyQuaternion(this.rotation.clone().conjugate()).multiply(this.inverseInertia);
+        return local.applyQuaternion(this.rotation);
+    }
+
+    /**
+     * Velocity of a world point moving with the body
+     * @param {Vector3} point
+     * @returns {Vector3}
+     */
+    getVelocityAtPoint(point) {
+        return this.angularVelocity.clone().cross(point.clone().sub(this.position)).add(this.velocity);
+    }
     
+    /**
+     * Teleport the body: its bound object is not interpolated from the previous position
+     */
     setPosition(position) {
         this.position.copy(position);
+        this.previousPosition.copy(position);
     }
     
     setRotation(rotation) {
         this.rotation.copy(rotation);
+        this.previousRotation.copy(rotation);
     }
     
     integrate(dt) {
+        this.integrateVelocity(dt);
+        this.integratePosition(dt);
+    }
+
+    /**
+     * Apply the accumulated forces and torques to the velocities
+     */
+    integrateVelocity(dt) {
         if (this.isStatic || this.isSleeping) return;
         
-        // Linear motion
         if (!this.isKinematic) {
             // F = ma, so a = F/m
             this.acceleration.copy(this.netForce.clone().multiplyScalar(this.inverseMass));
             this.velocity.add(this.acceleration.clone().multiplyScalar(dt));
             this.velocity.multiplyScalar(this.linearDamping);
-            this.position.add(this.velocity.clone().multiplyScalar(dt));
+
+            // τ = Iα, with the inertia tensor in world space
+            this.angularAcceleration.copy(this.applyInverseInertia(this.netTorque));
+            this.angularVelocity.add(this.angularAcceleration.clone().multiplyScalar(dt));
+            this.angularVelocity.multiplyScalar(this.angularDamping);
         }
         
-        // Angular motion
+        // Clear forces
+        this.netForce.set(0, 0, 0);
+        this.netTorque.set(0, 0, 0);
+    }
+
+    /**
+     * Move the body by its velocities
+     */
+    integratePosition(dt) {
+        if (this.isStatic || this.isSleeping) return;
+        
         if (!this.isKinematic) {
-            // τ = Iα, simplified angular acceleration
-            this.angularAcceleration.copy(this.netTorque.clone().multiplyScalar(this.inverseMass));
-            this.angularVelocity.add(this.angularAcceleration.clone().multiplyScalar(dt));
-            this.angularVelocity.multiplyScalar(this.angularDamping);
-            
-            // Update rotation from angular velocity
+            this.position.add(this.velocity.clone().multiplyScalar(dt));
+
+            // Angular velocity is in world space, so the rotation is applied on the left
             const angularSpeed = this.angularVelocity.length();
             if (angularSpeed > 0) {
                 const axis = this.angularVelocity.clone().normalize();
                 const angle = angularSpeed * dt;
                 const deltaRotation = new Quaternion().setFromAxisAngle(axis, angle);
-                this.rotation.multiply(deltaRotation);
+                this.rotation.premultiply(deltaRotation);
                 this.rotation.normalize();
             }
         }
         
-        // Clear forces
-        this.netForce.set(0, 0, 0);
-        this.netTorque.set(0, 0, 0);
-        
         // Sleep detection
-        if (this.velocity.length() < 0.01 && this.angularVelocity.length() < 0.01) {
+        if (this.velocity.length() < this.sleepThreshold && this.angularVelocity.length() < this.sleepThreshold) {
             this.sleepTimer += dt;
             if (this.sleepTimer > 0.5) { // Sleep after 0.5 seconds of minimal movement
                 this.isSleeping = true;
@@ -172,6 +333,74 @@ class CollisionShapes {
             orientation: orientation.clone()
         };
     }
+
+    // Capsule along its local Y axis: a segment reaching halfHeight each way, swept by radius
+    static createCapsule(center, radius, halfHeight, orientation = new Quaternion()) {
+        return {
+            type: 'capsule',
+            center: center.clone(),
+            radius,
+            halfHeight,
+            orientation: orientation.clone()
+        };
+    }
+
+    // Cylinder along its local Y axis, capped at ±halfHeight
+    static createCylinder(center, radius, halfHeight, orientation = new Quaternion()) {
+        return {
+            type: 'cylinder',
+            center: center.clone(),
+            radius,
+            halfHeight,
+            orientation: orientation.clone()
+        };
+    }
+
+    // Convex hull of a point cloud: a BufferGeometry (positions kept on the CPU), flat xyz
+    // positions or Vector3s, in the shape's local frame. Every distinct point is kept, so
+    // prefer low-poly collision geometry.
+    static createConvexHull(source, center = new Vector3(0, 0, 0), orientation = new Quaternion()) {
+        const vertices = [];
+        const seen = new Set();
+        const add = (x, y, z) => {
+            const key = `${x.toFixed(5)},${y.toFixed(5)},${z.toFixed(5)}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                vertices.push(new Vector3(x, y, z));
+            }
+        };
+
+        if (Array.isArray(source) && source.length && typeof source[0] === 'object') {
+            source.forEach(v => add(v.x, v.y, v.z));
+        } else {
+            const positions = readPositions(source);
+            for (let i = 0; i + 2 < positions.length; i += 3) {
+                add(positions[i], positions[i + 1], positions[i + 2]);
+            }
+        }
+
+        if (vertices.length === 0) {
+            throw new Error('Convex hull needs at least one point');
+        }
+
+        return {
+            type: 'convex',
+            center: center.clone(),
+            vertices,
+            orientation: orientation.clone()
+        };
+    }
+
+    // Static triangle mesh from a Mesh (its scale is baked in), a BufferGeometry with CPU
+    // positions or { positions, indices }, used directly as a body's collider
+    static createTriangleMesh(source, options = {}) {
+        return new TriangleMesh(source, options);
+    }
+
+    // Static heightfield from a grid of heights, used directly as a body's collider
+    static createHeightfield(heights, options = {}) {
+        return new Heightfield(heights, options);
+    }
 }
 
 /**
@@ -240,6 +469,7 @@ class CollisionDetector {
             normal,
             penetration,
             contactPoint,
+            points: [{ position: contactPoint.clone().sub(normal.clone().multiplyScalar(penetration * 0.5)), penetration }],
             shapeA: a,
             shapeB: b
         };
@@ -266,25 +496,30 @@ class CollisionDetector {
             normal,
             penetration,
             contactPoint,
+            points: [{ position: contactPoint.clone().sub(normal.clone().multiplyScalar(penetration * 0.5)), penetration }],
             shapeA: aabb,
             shapeB: sphere
         };
     }
     
     static obbVsObb(a, b) {
-        // Simplified OBB collision - in practice, use SAT (Separating Axis Theorem)
-        // For now, treat as AABB for performance
-        const aabbA = {
-            min: a.center.clone().sub(a.halfExtents),
-            max: a.center.clone().add(a.halfExtents)
-        };
-        
-        const aabbB = {
-            min: b.center.clone().sub(b.halfExtents),
-            max: b.center.clone().add(b.halfExtents)
-        };
-        
-        return this.aabbVsAABB(aabbA, aabbB);
+        return this.boxVsBox(a, b);
+    }
+
+    // Separating axis test over the 15 box axes, with up to four points from face clipping
+    static boxVsBox(a, b) {
+        return collideBoxes(a, b);
+    }
+
+    // GJK on the shapes' cores (spheres and capsules keep their radius as a margin), EPA
+    // when they overlap; one contact point per call, persistent manifolds collect more
+    static convexVsConvex(a, b) {
+        return collideConvex(a, b);
+    }
+
+    // Convex shape against the triangles of a mesh (BVH) or heightfield under its bounds
+    static meshVsConvex(mesh, shape) {
+        return collideMesh(mesh, shape);
     }
     
     static getShapeFromBody(body) {
@@ -313,6 +548,30 @@ class CollisionDetector {
                     halfExtents: body.collider.halfExtents,
                     orientation: body.rotation
                 };
+            case 'capsule':
+            case 'cylinder':
+                return {
+                    type: body.collider.type,
+                    center: worldCenter,
+                    radius: body.collider.radius,
+                    halfHeight: body.collider.halfHeight,
+                    orientation: body.rotation
+                };
+            case 'convex':
+                return {
+                    type: 'convex',
+                    center: worldCenter,
+                    vertices: body.collider.vertices,
+                    orientation: body.rotation
+                };
+            case 'mesh':
+            case 'heightfield':
+                return {
+                    type: body.collider.type,
+                    center: worldCenter,
+                    orientation: body.rotation,
+                    source: body.collider
+                };
             default:
                 // Default to sphere
                 return {
@@ -326,21 +585,33 @@ class CollisionDetector {
     static testCollision(shapeA, shapeB) {
         if (shapeA.type === 'sphere' && shapeB.type === 'sphere') {
             return this.sphereVsSphere(shapeA, shapeB);
-        } else if (shapeA.type === 'aabb' && shapeB.type === 'aabb') {
-            return this.aabbVsAABB(shapeA, shapeB);
         } else if (shapeA.type === 'aabb' && shapeB.type === 'sphere') {
             return this.aabbVsSphere(shapeA, shapeB);
         } else if (shapeA.type === 'sphere' && shapeB.type === 'aabb') {
             const result = this.aabbVsSphere(shapeB, shapeA);
             if (result) {
                 // Flip normal for sphere-AABB order
-                result.normal.negate();
-                result.shapeA = shapeB;
-                result.shapeB = shapeA;
+                result.normal.multiplyScalar(-1);
+                result.shapeA = shapeA;
+                result.shapeB = shapeB;
+            }
+            return result;
+        } else if (BOX_TYPES.has(shapeA.type) && BOX_TYPES.has(shapeB.type)) {
+            return this.boxVsBox(shapeA, shapeB);
+        } else if (CONVEX_TYPES.has(shapeA.type) && CONVEX_TYPES.has(shapeB.type)) {
+            return this.convexVsConvex(shapeA, shapeB);
+        } else if (MESH_TYPES.has(shapeA.type) && CONVEX_TYPES.has(shapeB.type)) {
+            return this.meshVsConvex(shapeA, shapeB);
+        } else if (CONVEX_TYPES.has(shapeA.type) && MESH_TYPES.has(shapeB.type)) {
+            const result = this.meshVsConvex(shapeB, shapeA);
+            if (result) {
+                // Flip normals for convex-mesh order
+                result.normal.multiplyScalar(-1);
+                result.points.forEach(p => p.normal.multiplyScalar(-1));
+                result.shapeA = shapeA;
+                result.shapeB = shapeB;
             }
             return result;
-        } else if (shapeA.type === 'obb' || shapeB.type === 'obb') {
-            return this.obbVsObb(shapeA, shapeB);
         }
         
         return null;
@@ -364,12 +635,21 @@ class BroadPhase {
         
         // Spatial hashing
         const grid = new Map();
+
+        // Static bodies (floors, walls) can span many cells, so they are tested against the
+        // bounds of each moving body instead of being hashed
+        const statics = [];
+        const moving = [];
         
         for (const body of bodies) {
-            if (body.isStatic) continue;
-            
             const shape = CollisionDetector.getShapeFromBody(body);
             const bounds = this.getBounds(shape);
+
+            if (body.isStatic) {
+                statics.push({ body, bounds });
+                continue;
+            }
+            moving.push({ body, bounds });
             
             // Insert into grid cells
             const minCell = this.worldToCell(bounds.min);
@@ -395,17 +675,32 @@ class BroadPhase {
                     const bodyA = cellBodies[i];
                     const bodyB = cellBodies[j];
                     
-                    const pairKey = bodyA.id < bodyB.id ? 
-                        `${bodyA.id}-${bodyB.id}` : `${bodyB.id}-${bodyA.id}`;
-                    
-                    if (!this.pairs.has(pairKey)) {
-                        this.pairs.set(pairKey, { bodyA, bodyB });
-                        this.broadphaseContacts.push({ bodyA, bodyB });
-                    }
+                    this.addPair(bodyA, bodyB);
+                }
+            }
+        }
+
+        for (const a of moving) {
+            for (const b of statics) {
+                if (a.bounds.min.x <= b.bounds.max.x && a.bounds.max.x >= b.bounds.min.x &&
+                    a.bounds.min.y <= b.bounds.max.y && a.bounds.max.y >= b.bounds.min.y &&
+                    a.bounds.min.z <= b.bounds.max.z && a.bounds.max.z >= b.bounds.min.z) {
+                    this.addPair(a.body, b.body);
                 }
             }
         }
     }
+
+    // Pairs are ordered by body id, so a pair keeps its order (and contact normal) across steps
+    addPair(body1, body2) {
+        const [bodyA, bodyB] = body1.id < body2.id ? [body1, body2] : [body2, body1];
+        const pairKey = `${bodyA.id}-${bodyB.id}`;
+        
+        if (!this.pairs.has(pairKey)) {
+            this.pairs.set(pairKey, { bodyA, bodyB });
+            this.broadphaseContacts.push({ bodyA, bodyB });
+        }
+    }
     
     getBounds(shape) {
         switch (shape.type) {
@@ -420,10 +715,13 @@ class BroadPhase {
                     max: shape.max.clone()
                 };
             case 'obb':
-                return {
-                    min: shape.center.clone().sub(shape.halfExtents),
-                    max: shape.center.clone().add(shape.halfExtents)
-                };
+            case 'capsule':
+            case 'cylinder':
+            case 'convex':
+                return getConvexBounds(shape);
+            case 'mesh':
+            case 'heightfield':
+                return getMeshBounds(shape);
             default:
                 return {
                     min: shape.center.clone().sub(new Vector3(0.5, 0.5, 0.5)),
@@ -445,88 +743,13 @@ class BroadPhase {
     }
 }
 
-/**
- * Physics Constraint System
- */
-class Constraint {
-    constructor(bodyA, bodyB, options = {}) {
-        this.bodyA = bodyA;
-        this.bodyB = bodyB;
-        this.type = options.type || 'point'; // point, distance, hinge, fixed
-        this.anchorA = options.anchorA || new Vector3(0, 0, 0);
-        this.anchorB = options.anchorB || new Vector3(0, 0, 0);
-        this.distance = options.distance || null;
-        this.lowerLimit = options.lowerLimit || null;
-        this.upperLimit = options.upperLimit || null;
-        this.stiffness = options.stiffness || 1.0;
-        this.damping = options.damping || 0.1;
-    }
-    
-    solve() {
-        switch (this.type) {
-            case 'point':
-                return this.solvePointConstraint();
-            case 'distance':
-                return this.solveDistanceConstraint();
-            case 'fixed':
-                return this.solveFixedConstraint();
-            default:
-                return false;
-        }
-    }
-    
-    solvePointConstraint() {
-        const worldAnchorA = this.bodyA.position.clone().add(this.anchorA);
-        const worldAnchorB = this.bodyB.position.clone().add(this.anchorB);
-        const delta = worldAnchorB.clone().sub(worldAnchorA);
-        const distance = delta.length();
-        
-        if (distance > 0.001) {
-            const correction = delta.multiplyScalar(0.5 * this.stiffness);
-            this.bodyA.position.add(correction);
-            this.bodyB.position.sub(correction);
-            return true;
-        }
-        return false;
-    }
-    
-    solveDistanceConstraint() {
-        if (this.distance === null) return false;
-        
-        const worldAnchorA = this.bodyA.position.clone().add(this.anchorA);
-        const worldAnchorB = this.bodyB.position.clone().add(this.anchorB);
-        const delta = worldAnchorB.clone().sub(worldAnchorA);
-        const distance = delta.length();
-        
-        if (Math.abs(distance - this.distance) > 0.001) {
-            const direction = delta.normalize();
-            const correction = direction.multiplyScalar((distance - this.distance) * 0.5 * this.stiffness);
-            
-            this.bodyA.position.add(correction);
-            this.bodyB.position.sub(correction);
-            return true;
-        }
-        return false;
-    }
-    
-    solveFixedConstraint() {
-        // Fixed constraint keeps both bodies at the same position and rotation
-        const worldAnchorA = this.bodyA.position.clone().add(this.anchorA);
-        const worldAnchorB = this.bodyB.position.clone().add(this.anchorB);
-        const delta = worldAnchorB.clone().sub(worldAnchorA);
-        
-        this.bodyA.position.add(delta.clone().multiplyScalar(0.5));
-        this.bodyB.position.sub(delta.clone().multiplyScalar(0.5));
-        
-        return delta.length() > 0.001;
-    }
-}
-
 /**
  * Main Physics System
+ * Emits collisionStart, collisionStay and collisionEnd for the touching pairs of each step
  */
-class PhysicsSystem {
+class PhysicsSystem extends EventEmitter {
     constructor() {
+        super();
         this.bodies = new Map();
         this.constraints = [];
         this.contacts = [];
@@ -536,7 +759,18 @@ class PhysicsSystem {
         // Performance settings
         this.fixedTimeStep = 1 / 60; // 60 FPS
         this.maxSubSteps = 10;
-        this.iterations = 10; // Constraint solver iterations
+        this.iterations = 10; // Velocity iterations of the contact and joint solver
+        this.contactSettings = { ...ContactSettings };
+        
+        // Contact manifolds of touching pairs, kept across steps for warm starting
+        this.manifolds = new Map();
+        this._nextBodyId = 0;
+        
+        // Objects attached to bodies, by body id
+        this.bindings = new Map();
+        
+        // Contacts of the pairs touching after the last step, for the collision events
+        this.collisionPairs = new Map();
         
         // State
         this.isRunning = false;
@@ -549,7 +783,7 @@ class PhysicsSystem {
     }
     
     addBody(options) {
-        const id = this.bodies.size;
+        const id = this._nextBodyId++;
         const body = new RigidBody(id, options);
         this.bodies.set(id, body);
         return body;
@@ -558,6 +792,75 @@ class PhysicsSystem {
     removeBody(body) {
         if (this.bodies.has(body.id)) {
             this.bodies.delete(body.id);
+            for (const [key, contact] of this.collisionPairs) {
+                if (contact.bodyA === body || contact.bodyB === body) {
+                    this.collisionPairs.delete(key);
+                    this.emitCollision('collisionEnd', contact.bodyA, contact.bodyB, null);
+                }
+            }
+            for (const [key, manifold] of this.manifolds) {
+                if (manifold.bodyA === body || manifold.bodyB === body) {
+                    this.manifolds.delete(key);
+                }
+            }
+            this.constraints = this.constraints.filter(c => c.bodyA !== body && c.bodyB !== body);
+            this.bindings.delete(body.id);
+        }
+    }
+    
+    /**
+     * Keep an Object3D in sync with a body. Dynamic and static bodies move the object,
+     * interpolated between steps; a kinematic body follows the object, and moves it when
+     * positioned from code. Attaching places the object at the body, or a kinematic body
+     * at the object.
+     * @param {RigidBody} body
+     * @param {Object3D} object
+     * @param {Object} [options]
+     * @param {boolean} [options.interpolate=true] - Smooth motion between fixed steps
+     * @returns {PhysicsBinding}
+     */
+    attach(body, object, options = {}) {
+        if (!this.bodies.has(body.id)) {
+            throw new Error('Cannot attach an object to a body outside this physics system');
+        }
+        const binding = new PhysicsBinding(body, object, options);
+        this.bindings.set(body.id, binding);
+        return binding;
+    }
+    
+    /**
+     * Stop syncing a body, or the body attached to an object
+     * @param {RigidBody|Object3D} target
+     */
+    detach(target) {
+        for (const [id, binding] of this.bindings) {
+            if (binding.body === target || binding.object === target) {
+                this.bindings.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Binding of a body, or of the body attached to an object
+     * @param {RigidBody|Object3D} target
+     * @returns {PhysicsBinding|null}
+     */
+    getBinding(target) {
+        for (const binding of this.bindings.values()) {
+            if (binding.body === target || binding.object === target) {
+                return binding;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Write the bodies' poses to their objects
+     * @param {number} [alpha=1] - Fraction of a step elapsed since the last one
+     */
+    syncObjects(alpha = 1) {
+        for (const binding of this.bindings.values()) {
+            binding.sync(alpha);
         }
     }
     
@@ -581,8 +884,18 @@ class PhysicsSystem {
         
         // Fixed timestep with accumulator
         this.accumulator += deltaTime;
+        this.stepCount = 0;
+        
+        // Kinematic bodies sweep to their objects over this frame's steps
+        const steps = Math.min(Math.floor(this.accumulator / this.fixedTimeStep), this.maxSubSteps);
+        for (const binding of this.bindings.values()) {
+            binding.beginSteps(steps);
+        }
         
         while (this.accumulator >= this.fixedTimeStep && this.stepCount < this.maxSubSteps) {
+            for (const binding of this.bindings.values()) {
+                binding.advance(this.stepCount, this.fixedTimeStep);
+            }
             this.simulate(this.fixedTimeStep);
             this.accumulator -= this.fixedTimeStep;
             this.stepCount++;
@@ -593,18 +906,25 @@ class PhysicsSystem {
             this.accumulator = 0;
         }
         this.stepCount = 0;
+        
+        // Render between the last two steps by the time left over
+        this.syncObjects(this.accumulator / this.fixedTimeStep);
     }
     
     simulate(dt) {
-        // Apply gravity and integrate bodies
+        for (const body of this.bodies.values()) {
+            body.previousPosition.copy(body.position);
+            body.previousRotation.copy(body.rotation);
+        }
+        
+        // Apply gravity and integrate velocities
         for (const body of this.bodies.values()) {
             if (body.isStatic || body.isSleeping) continue;
             
             // Apply gravity
             body.addForce(this.gravity.clone().multiplyScalar(body.mass));
             
-            // Integrate motion
-            body.integrate(dt);
+            body.integrateVelocity(dt);
         }
         
         // Broad phase collision detection
@@ -612,10 +932,22 @@ class PhysicsSystem {
         
         // Narrow phase collision detection
         this.contacts = [];
+        const manifolds = new Map();
         const potentialCollisions = this.broadPhase.getPotentialCollisions();
         
+        // Jointed bodies do not collide unless the joint allows it
+        const connected = new Set();
+        for (const constraint of this.constraints) {
+            if (constraint.enabled && !constraint.collideConnected) {
+                const { bodyA, bodyB } = constraint;
+                connected.add(bodyA.id < bodyB.id ? `${bodyA.id}-${bodyB.id}` : `${bodyB.id}-${bodyA.id}`);
+            }
+        }
+        
         for (const { bodyA, bodyB } of potentialCollisions) {
             if (bodyA.isStatic && bodyB.isStatic) continue;
+            if (!bodyA.canCollideWith(bodyB)) continue;
+            if (connected.has(`${bodyA.id}-${bodyB.id}`)) continue;
             
             const shapeA = CollisionDetector.getShapeFromBody(bodyA);
             const shapeB = CollisionDetector.getShapeFromBody(bodyB);
@@ -625,6 +957,17 @@ class PhysicsSystem {
                 // Add body references to contact
                 contact.bodyA = bodyA;
                 contact.bodyB = bodyB;
+                contact.isSensor = bodyA.isSensor || bodyB.isSensor;
+                
+                // Merge into the pair's manifold; sensor overlaps get no response
+                if (!contact.isSensor) {
+                    const key = `${bodyA.id}-${bodyB.id}`;
+                    const manifold = this.manifolds.get(key) || new ContactManifold(bodyA, bodyB);
+                    manifold.update(contact);
+                    manifolds.set(key, manifold);
+                    contact.manifold = manifold;
+                }
+                
                 this.contacts.push(contact);
                 
                 // Trigger collision callback
@@ -634,42 +977,120 @@ class PhysicsSystem {
             }
         }
         
-        // Resolve collisions
-        this.resolveCollisions();
+        // Pairs that stopped touching lose their manifold
+        this.manifolds = manifolds;
         
-        // Solve constraints
-        for (let i = 0; i < this.iterations; i++) {
-            let anyChanged = false;
-            
-            // Solve constraints
-            for (const constraint of this.constraints) {
-                if (constraint.solve()) {
-                    anyChanged = true;
-                }
-            }
-            
-            // Additional collision resolution in constraint solver
-            if (anyChanged) {
-                for (const contact of this.contacts) {
-                    if (this.resolveContact(contact)) {
-                        anyChanged = true;
-                    }
-                }
-            }
-            
-            if (!anyChanged) break;
+        // Wake sleeping bodies hit by moving ones
+        for (const contact of this.contacts) {
+            if (contact.isSensor) continue;
+            const { bodyA, bodyB } = contact;
+            if (bodyA.isSleeping && this.isMoving(bodyB)) bodyA.wake();
+            if (bodyB.isSleeping && this.isMoving(bodyA)) bodyB.wake();
         }
         
-        // Wake sleeping bodies that were collided with
-        for (const contact of this.contacts) {
-            if (contact.bodyA.isSleeping) contact.bodyA.wake();
-            if (contact.bodyB.isSleeping) contact.bodyB.wake();
+        // ... and jointed to moving ones or driven by a motor
+        for (const constraint of this.constraints) {
+            if (!constraint.enabled) continue;
+            const { bodyA, bodyB } = constraint;
+            const driven = constraint.enableMotor || constraint.axes.some(axis => axis.motor);
+            if (bodyA.isSleeping && (driven || this.isMoving(bodyB))) bodyA.wake();
+            if (bodyB.isSleeping && (driven || this.isMoving(bodyA))) bodyB.wake();
+        }
+        
+        // Contact and joint impulses
+        this.solveConstraints(dt);
+        
+        // Integrate positions with the resolved velocities
+        for (const body of this.bodies.values()) {
+            body.integratePosition(dt);
         }
+        
+        this.dispatchCollisionEvents();
     }
     
-    resolveCollisions() {
+    /**
+     * Compare the touching pairs with the previous step's: pairs that separated end, new
+     * pairs start, and the others stay
+     */
+    dispatchCollisionEvents() {
+        const previous = this.collisionPairs;
+        this.collisionPairs = new Map();
         for (const contact of this.contacts) {
-            this.resolveContact(contact);
+            this.collisionPairs.set(`${contact.bodyA.id}-${contact.bodyB.id}`, contact);
+        }
+        
+        for (const [key, contact] of previous) {
+            if (!this.collisionPairs.has(key)) {
+                this.emitCollision('collisionEnd', contact.bodyA, contact.bodyB, null);
+            }
+        }
+        // Listeners may remove bodies, which ends their pairs
+        for (const [key, contact] of this.collisionPairs) {
+            this.emitCollision(previous.has(key) ? 'collisionStay' : 'collisionStart', contact.bodyA, contact.bodyB, contact);
+        }
+    }
+    
+    /**
+     * Emit a collision event on the system and on both bodies
+     * @param {string} type - collisionStart, collisionStay or collisionEnd
+     * @param {RigidBody} bodyA
+     * @param {RigidBody} bodyB
+     * @param {Object|null} contact - This step's contact, null when the pair ended
+     */
+    emitCollision(type, bodyA, bodyB, contact) {
+        const isSensor = bodyA.isSensor || bodyB.isSensor;
+        if (this.listenerCount(type) > 0) {
+            this.emit(type, { bodyA, bodyB, contact, isSensor });
+        }
+        if (bodyA.listenerCount(type) > 0) {
+            bodyA.emit(type, { body: bodyA, other: bodyB, contact, isSensor });
+        }
+        if (bodyB.listenerCount(type) > 0) {
+            bodyB.emit(type, { body: bodyB, other: bodyA, contact, isSensor });
+        }
+    }
+    
+    isMoving(body) {
+        if (body.isStatic || body.isSleeping) return false;
+        const threshold = body.sleepThreshold * body.sleepThreshold;
+        return body.velocity.lengthSq() > threshold || body.angularVelocity.lengthSq() > threshold;
+    }
+    
+    /**
+     * Sequential impulses over the joints and contact manifolds: warm start from the
+     * previous step's impulses, then iterate. Joints with their own iteration count keep
+     * being solved after the others are done.
+     * @param {number} [dt] - Time step
+     */
+    solveConstraints(dt = this.fixedTimeStep) {
+        const manifolds = Array.from(this.manifolds.values());
+        const constraints = this.constraints.filter(c => c.enabled);
+        const warmStarting = this.contactSettings.warmStarting;
+        
+        for (const constraint of constraints) {
+            constraint.prepare(dt, warmStarting);
+        }
+        for (const manifold of manifolds) {
+            manifold.prepare(dt, this.contactSettings);
+        }
+        
+        if (warmStarting) {
+            constraints.forEach(constraint => constraint.warmStart());
+            manifolds.forEach(manifold => manifold.warmStart());
+        }
+        
+        const iterations = constraints.reduce((max, c) => Math.max(max, c.iterations ?? 0), this.iterations);
+        for (let i = 0; i < iterations; i++) {
+            for (const constraint of constraints) {
+                if (i < (constraint.iterations ?? this.iterations)) {
+                    constraint.solveVelocity();
+                }
+            }
+            if (i < this.iterations) {
+                for (const manifold of manifolds) {
+                    manifold.solveVelocity();
+                }
+            }
         }
     }
     
@@ -736,13 +1157,22 @@ class PhysicsSystem {
     }
     
     // Raycasting for picking and physics queries
-    raycast(origin, direction, maxDistance = Infinity) {
+    /**
+     * Bodies hit by a ray
+     * @param {Vector3} origin
+     * @param {Vector3} direction
+     * @param {number} [maxDistance=Infinity]
+     * @param {number} [collisionMask] - Groups the ray hits, all by default
+     * @returns {Object[]} Hits with body, distance and point
+     */
+    raycast(origin, direction, maxDistance = Infinity, collisionMask = ALL_GROUPS) {
         const result = [];
         const normalizedDir = direction.clone().normalize();
         
         for (const body of this.bodies.values()) {
+            if ((body.collisionGroup & collisionMask) === 0) continue;
             const shape = CollisionDetector.getShapeFromBody(body);
-            const distance = this.rayVsShape(origin, normalizedDir, shape);
+            const distance = this.rayVsShape(origin, normalizedDir, shape, maxDistance);
             
             if (distance !== null && distance <= maxDistance) {
                 result.push({
@@ -756,14 +1186,26 @@ class PhysicsSystem {
         return result;
     }
     
-    rayVsShape(origin, direction, shape) {
+    rayVsShape(origin, direction, shape, maxDistance = Infinity) {
         switch (shape.type) {
             case 'sphere':
                 return this.rayVsSphere(origin, direction, shape);
             case 'aabb':
                 return this.rayVsAABB(origin, direction, shape);
-            case 'obb':
-                return this.rayVsAABB(origin, direction, shape); // Simplified
+            case 'obb': {
+                // Box-local ray against the box's extents
+                const inverse = shape.orientation.clone().conjugate();
+                return this.rayVsAABB(
+                    origin.clone().sub(shape.center).applyQuaternion(inverse),
+                    direction.clone().applyQuaternion(inverse),
+                    { min: shape.halfExtents.clone().multiplyScalar(-1), max: shape.halfExtents }
+                );
+            }
+            case 'mesh':
+            case 'heightfield': {
+                const hit = raycastMesh(shape, origin, direction, maxDistance);
+                return hit ? hit.distance : null;
+            }
             default:
                 return null;
         }
@@ -773,11 +1215,11 @@ class PhysicsSystem {
         const oc = origin.clone().sub(sphere.center);
         const b = oc.dot(direction);
         const c = oc.dot(oc) - sphere.radius * sphere.radius;
-        const h = b * b - c;
+        const discriminant = b * b - c;
         
-        if (h < 0) return null;
+        if (discriminant < 0) return null;
         
-        h = Math.sqrt(h);
+        const h = Math.sqrt(discriminant);
         const t1 = -b - h;
         const t2 = -b + h;
         
@@ -822,11 +1264,12 @@ class PhysicsSystem {
     }
     
     // Query methods
-    querySphere(center, radius) {
+    querySphere(center, radius, collisionMask = ALL_GROUPS) {
         const results = [];
         const shape = CollisionShapes.createSphere(center, radius);
         
         for (const body of this.bodies.values()) {
+            if ((body.collisionGroup & collisionMask) === 0) continue;
             const bodyShape = CollisionDetector.getShapeFromBody(body);
             const contact = CollisionDetector.testCollision(shape, bodyShape);
             if (contact) {
@@ -837,11 +1280,12 @@ class PhysicsSystem {
         return results;
     }
     
-    queryAABB(min, max) {
+    queryAABB(min, max, collisionMask = ALL_GROUPS) {
         const results = [];
         const shape = CollisionShapes.createAABB(min, max);
         
         for (const body of this.bodies.values()) {
+            if ((body.collisionGroup & collisionMask) === 0) continue;
             const bodyShape = CollisionDetector.getShapeFromBody(body);
             const contact = CollisionDetector.testCollision(shape, bodyShape);
             if (contact) {
@@ -871,7 +1315,8 @@ class PhysicsSystem {
             contacts.push({
                 normal: contact.normal.clone(),
                 penetration: contact.penetration,
-                contactPoint: contact.contactPoint.clone()
+                contactPoint: contact.contactPoint.clone(),
+                points: contact.manifold ? contact.manifold.points.map(p => p.position.clone()) : []
             });
         }
         
@@ -10,6 +10,14 @@ import PhysicsSystem, {
     CollisionShapes, 
     CollisionDetector 
 } from './PhysicsSystem.js';
+import { ContactManifold, ContactSettings } from './ContactManifold.js';
+import { gjk, epa, collideBoxes, collideConvex } from './ConvexCollision.js';
+import { TriangleMesh, Heightfield } from './MeshCollision.js';
+import { PhysicsBinding } from './PhysicsBinding.js';
 
 export { PhysicsSystem, RigidBody, Constraint, CollisionShapes, CollisionDetector };
+export { ContactManifold, ContactSettings };
+export { gjk, epa, collideBoxes, collideConvex };
+export { TriangleMesh, Heightfield };
+export { PhysicsBinding };
 export default PhysicsSystem;
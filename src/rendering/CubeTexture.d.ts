@@ -44,6 +44,30 @@ export interface MockHDRData {
   data: Array<[number, number, number]>;
 }
 
+/** Decoded float image, e.g. from EXRDecoder.decode; Uint16Array data holds half floats */
+export interface HDRImageData {
+  width: number;
+  height: number;
+  data: Float32Array | Uint16Array | Uint8Array;
+}
+
+export interface EquirectangularPixels {
+  data: Float32Array | Uint16Array | Uint8Array | Uint8ClampedArray;
+  width: number;
+  height: number;
+  channels: 3 | 4;
+}
+
+export interface PMREMRenderTarget {
+  framebuffer: WebGLFramebuffer | null;
+  texture: WebGLTexture | null;
+  size: number;
+  internalFormat: number;
+  format: number;
+  type: number;
+  cubemap?: CubeTexture;
+}
+
 export interface EnvironmentMapInfo {
   id: string;
   type: string;
@@ -100,6 +124,9 @@ export declare class CubeTexture {
   upload(): void;
   sample(direction: number[]): number[];
   static fromEquirectangular(gl: WebGLRenderingContext, equirectangularTexture: any, resolution?: number): CubeTexture;
+  static getEquirectangularPixels(source: any): EquirectangularPixels | null;
+  static fromEquirectangularPixels(gl: WebGLRenderingContext, pixels: EquirectangularPixels, resolution?: number): CubeTexture;
+  static sampleEquirectangular(read: (index: number) => number, width: number, height: number, channels: number, u: number, v: number, out: number[]): void;
   static fromImages(gl: WebGLRenderingContext, images: any[], options?: CubeTextureOptions): CubeTexture;
   static fromSingleImage(gl: WebGLRenderingContext, image: any, options?: CubeTextureOptions): CubeTexture;
   dispose(): void;
@@ -122,11 +149,9 @@ export declare class PMREMGenerator {
   constructor(gl: WebGLRenderingContext, options?: PMREMGeneratorOptions);
 
   prefilter(cubemap: CubeTexture, renderTarget: any): void;
-  createRenderTarget(): {
-    framebuffer: WebGLFramebuffer | null;
-    texture: WebGLTexture | null;
-    size: number;
-  };
+  createRenderTarget(source?: CubeTexture | null): PMREMRenderTarget;
+  fromCubemap(cubemap: CubeTexture): PMREMRenderTarget;
+  fromEquirectangular(equirectangular: HDRImageData | any): PMREMRenderTarget;
   dispose(): void;
 }
 
@@ -151,20 +176,21 @@ export declare class EnvironmentMap {
   irradiance: CubeTexture | null;
   readonly irradianceSize: number;
   prefilterMap: Map<number, CubeTexture> | null;
-  hdrData: MockHDRData | null;
+  hdrData: MockHDRData | HDRImageData | null;
 
   constructor(gl: WebGLRenderingContext, options?: EnvironmentMapOptions);
 
   setCubemap(cubemap: CubeTexture): void;
   setFromEquirectangular(equirectangularTexture: any, options?: Record<string, any>): void;
-  loadHDR(hdrData: MockHDRData, options?: Record<string, any>): void;
-  processHDRData(hdrData: MockHDRData, options?: Record<string, any>): any;
+  loadHDR(hdrData: MockHDRData | HDRImageData | ArrayBuffer | ArrayBufferView, options?: Record<string, any>): void;
+  processHDRData(hdrData: MockHDRData | HDRImageData, options?: Record<string, any>): any;
   applyToneMapping(data: Array<[number, number, number]>, toneMapping: string): Array<[number, number, number]>;
   reinhardToneMapping(data: Array<[number, number, number]>): Array<[number, number, number]>;
   acesToneMapping(data: Array<[number, number, number]>): Array<[number, number, number]>;
   filmicToneMapping(data: Array<[number, number, number]>): Array<[number, number, number]>;
   photographicToneMapping(data: Array<[number, number, number]>): Array<[number, number, number]>;
   applyExposure(data: Array<[number, number, number]>, exposure: number): Array<[number, number, number]>;
+  mapHDRChannels<T extends Array<number[]> | HDRImageData>(data: T, fn: (channel: number) => number): T;
   updateDerivedMaps(): void;
   generateIrradianceMap(): void;
   generatePrefilterMap(): void;
@@ -4,6 +4,11 @@
  */
 
 import { WebGLRenderer } from '../core/WebGLRenderer.js';
+import { EXRDecoder } from '../textures/EXRDecoder.js';
+import { WebGLState } from '../core/WebGLState.js';
+import { WebGLResources } from '../core/WebGLResources.js';
+
+const HALF_FLOAT_OES = 0x8D61;
 
 export class CubeTexture {
     constructor(gl, options = {}) {
@@ -45,7 +50,12 @@ export class CubeTexture {
         this.magFilter = options.magFilter || gl.LINEAR;
         this.minFilter = options.minFilter || gl.LINEAR_MIPMAP_LINEAR;
         
+        // Keep face data for context restores; null follows WebGLResources.retainData
+        this.retainData = options.retainData ?? null;
+        this.dataDropped = false;
+        
         this.init();
+        WebGLResources.get(gl).register(this);
     }
     
     /**
@@ -65,11 +75,10 @@ export class CubeTexture {
     }
     
     /**
-     * Bind the texture to the current texture unit
+     * Bind the texture to a texture unit
      */
     bind(textureUnit = 0) {
-        this.gl.activeTexture(this.gl.TEXTURE0 + textureUnit);
-        this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, this.texture);
+        WebGLState.get(this.gl).bindTexture(this.gl.TEXTURE_CUBE_MAP, this.texture, textureUnit);
     }
     
     /**
@@ -95,7 +104,7 @@ export class CubeTexture {
     allocateStorage() {
         const gl = this.gl;
         
-        gl.bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
+        WebGLState.get(gl).bindTexture(gl.TEXTURE_CUBE_MAP, this.texture);
         
         // Allocate storage for each face
         for (let face in this.faces) {
@@ -122,21 +131,26 @@ export class CubeTexture {
         
         this.bind();
         
-        // If data is ImageData, HTMLImageElement, or canvas
-        if (data instanceof ImageData || data instanceof HTMLImageElement || 
-            data instanceof HTMLCanvasElement || data instanceof HTMLVideoElement) {
-            gl.texImage2D(target, 0, this.internalFormat, 
-                         this.format, this.type, data);
-        } else if (ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
+        // Raw pixel data first: DOM image classes do not exist in workers
+        if (ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
             const w = width || this.size;
             const h = height || this.size;
             gl.texImage2D(target, 0, this.internalFormat, 
                          w, h, 0, this.format, this.type, data);
+        } else if (data instanceof ImageData || data instanceof HTMLImageElement || 
+            data instanceof HTMLCanvasElement || data instanceof HTMLVideoElement) {
+            gl.texImage2D(target, 0, this.internalFormat, 
+                         this.format, this.type, data);
         } else {
             throw new Error('Unsupported data type for cube texture face');
         }
         
-        this.faces[target] = data;
+        if (WebGLResources.get(gl).retains(this)) {
+            this.faces[target] = data;
+        } else {
+            this.faces[target] = null;
+            this.dataDropped = true;
+        }
         this.isDirty = true;
         
         if (this.generateMipmaps) {
@@ -174,7 +188,7 @@ export class CubeTexture {
      * Generate mipmaps for all cube faces
      */
     generateMipmap() {
-        this.gl.bindTexture(this.gl.TEXTURE_CUBE_MAP, this.texture);
+        WebGLState.get(this.gl).bindTexture(this.gl.TEXTURE_CUBE_MAP, this.texture);
         this.gl.generateMipmap(this.gl.TEXTURE_CUBE_MAP);
     }
     
@@ -196,6 +210,23 @@ export class CubeTexture {
         this.isDirty = false;
     }
     
+    /**
+     * Recreate the texture after a context loss and upload the retained faces
+     * @returns {boolean} False when face data was dropped after upload and has to be set again
+     */
+    restoreContext() {
+        this.init();
+        
+        for (const [target, data] of Object.entries(this.faces)) {
+            if (data) {
+                this.setFaceData(parseInt(target), data);
+            }
+        }
+        this.isDirty = false;
+        
+        return !this.dataDropped;
+    }
+    
     /**
      * Sample texture at given direction
      */
@@ -207,8 +238,15 @@ export class CubeTexture {
     
     /**
      * Convert equirectangular texture to cubemap
+     * Sources with pixel data on the CPU (decoded EXR/HDR images, or textures holding
+     * them) are projected here, keeping float or half-float precision
      */
     static fromEquirectangular(gl, equirectangularTexture, resolution = 512) {
+        const pixels = CubeTexture.getEquirectangularPixels(equirectangularTexture);
+        if (pixels) {
+            return CubeTexture.fromEquirectangularPixels(gl, pixels, resolution);
+        }
+        
         const cubeTexture = new CubeTexture(gl, { size: resolution });
         
         // Create equirectangular to cubemap conversion shader
@@ -266,6 +304,147 @@ export class CubeTexture {
         return cubeTexture;
     }
     
+    /**
+     * Get the RGB(A) pixel data of an equirectangular source, or null if it has none
+     */
+    static getEquirectangularPixels(source) {
+        if (!source) return null;
+        
+        const image = source.image && ArrayBuffer.isView(source.image.data) ? source.image : source;
+        const width = image.width || source.width;
+        const height = image.height || source.height;
+        
+        if (!ArrayBuffer.isView(image.data) || !width || !height) return null;
+        
+        const channels = image.data.length / (width * height);
+        if (channels !== 3 && channels !== 4) return null;
+        
+        return { data: image.data, width, height, channels };
+    }
+    
+    /**
+     * Project equirectangular pixels onto the six cube faces
+     * Float32Array data gives a FLOAT cubemap, Uint16Array (half floats) a HALF_FLOAT one
+     * and 8-bit data an UNSIGNED_BYTE one. Row 0 is the top of the panorama.
+     */
+    static fromEquirectangularPixels(gl, pixels, resolution = 512) {
+        const { data, width, height, channels } = pixels;
+        const isFloat = data instanceof Float32Array;
+        const isHalf = data instanceof Uint16Array;
+        
+        let type = gl.UNSIGNED_BYTE;
+        let internalFormat = gl.RGBA;
+        let filterable = true;
+        
+        if (isFloat) {
+            type = gl.FLOAT;
+            internalFormat = gl.RGBA32F || gl.RGBA;
+            filterable = !!gl.getExtension('OES_texture_float_linear');
+        } else if (isHalf) {
+            type = gl.HALF_FLOAT || HALF_FLOAT_OES;
+            internalFormat = gl.RGBA16F || gl.RGBA;
+            filterable = !!gl.RGBA16F || !!gl.getExtension('OES_texture_half_float_linear');
+        }
+        
+        const cubeTexture = new CubeTexture(gl, {
+            size: resolution,
+            format: gl.RGBA,
+            internalFormat,
+            type,
+            minFilter: filterable ? gl.LINEAR_MIPMAP_LINEAR : gl.NEAREST,
+            magFilter: filterable ? gl.LINEAR : gl.NEAREST,
+            generateMipmaps: false
+        });
+        
+        const read = isFloat
+            ? (index) => data[index]
+            : isHalf ? (index) => EXRDecoder.halfToFloat(data[index]) : (index) => data[index] / 255;
+        const write = isFloat
+            ? (value) => value
+            : isHalf ? (value) => EXRDecoder.floatToHalf(value) : (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255);
+        
+        // Direction through face texel (s, t) in [-1, 1], per the GL cube map face selection rules
+        const faces = [
+            { target: gl.TEXTURE_CUBE_MAP_POSITIVE_X, direction: (s, t) => [1, -t, -s] },
+            { target: gl.TEXTURE_CUBE_MAP_NEGATIVE_X, direction: (s, t) => [-1, -t, s] },
+            { target: gl.TEXTURE_CUBE_MAP_POSITIVE_Y, direction: (s, t) => [s, 1, t] },
+            { target: gl.TEXTURE_CUBE_MAP_NEGATIVE_Y, direction: (s, t) => [s, -1, -t] },
+            { target: gl.TEXTURE_CUBE_MAP_POSITIVE_Z, direction: (s, t) => [s, -t, 1] },
+            { target: gl.TEXTURE_CUBE_MAP_NEGATIVE_Z, direction: (s, t) => [-s, -t, -1] }
+        ];
+        
+        const color = [0, 0, 0, 1];
+        
+        for (const face of faces) {
+            const faceData = new data.constructor(resolution * resolution * 4);
+            
+            for (let j = 0; j < resolution; j++) {
+                const t = (2 * (j + 0.5)) / resolution - 1;
+                
+                for (let i = 0; i < resolution; i++) {
+                    const s = (2 * (i + 0.5)) / resolution - 1;
+                    const [x, y, z] = face.direction(s, t);
+                    const length = Math.sqrt(x * x + y * y + z * z);
+                    
+                    // Same mapping as the conversion shader, with v measured from the top row
+                    const u = Math.atan2(z, x) / (2 * Math.PI) + 0.5;
+                    const v = 0.5 - Math.asin(y / length) / Math.PI;
+                    
+                    CubeTexture.sampleEquirectangular(read, width, height, channels, u, v, color);
+                    
+                    const offset = (j * resolution + i) * 4;
+                    for (let c = 0; c < 4; c++) {
+                        faceData[offset + c] = write(color[c]);
+                    }
+                }
+            }
+            
+            cubeTexture.setFaceData(face.target, faceData, resolution, resolution);
+        }
+        
+        if (filterable) {
+            cubeTexture.generateMipmaps = true;
+            cubeTexture.generateMipmap();
+        }
+        
+        cubeTexture.isLoaded = true;
+        return cubeTexture;
+    }
+    
+    /**
+     * Bilinear sample of an equirectangular image, wrapping horizontally
+     */
+    static sampleEquirectangular(read, width, height, channels, u, v, out) {
+        const x = u * width - 0.5;
+        const y = Math.min(Math.max(v * height - 0.5, 0), height - 1);
+        
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const fx = x - x0;
+        const fy = y - y0;
+        
+        const left = ((x0 % width) + width) % width;
+        const right = (left + 1) % width;
+        const top = y0;
+        const bottom = Math.min(y0 + 1, height - 1);
+        
+        const i00 = (top * width + left) * channels;
+        const i10 = (top * width + right) * channels;
+        const i01 = (bottom * width + left) * channels;
+        const i11 = (bottom * width + right) * channels;
+        
+        for (let c = 0; c < 4; c++) {
+            if (c >= channels) {
+                out[c] = 1;
+                continue;
+            }
+            
+            const upper = read(i00 + c) * (1 - fx) + read(i10 + c) * fx;
+            const lower = read(i01 + c) * (1 - fx) + read(i11 + c) * fx;
+            out[c] = upper * (1 - fy) + lower * fy;
+        }
+    }
+    
     /**
      * Create a cube texture from 6 separate images
      */
@@ -303,6 +482,7 @@ export class CubeTexture {
             this.gl.deleteTexture(this.texture);
             this.texture = null;
         }
+        WebGLResources.get(this.gl).unregister(this);
         
         this.faces = {};
         this.isLoaded = false;
@@ -4,6 +4,9 @@
  */
 
 import { CubeTexture } from './CubeTexture.js';
+import { EXRDecoder } from '../textures/EXRDecoder.js';
+import { CubeRenderTarget } from '../core/RenderTarget.js';
+import { WebGLState } from '../core/WebGLState.js';
 
 export class EnvironmentMap {
     constructor(gl, options = {}) {
@@ -93,8 +96,13 @@ export class EnvironmentMap {
     
     /**
      * Load HDR environment map
+     * Accepts pixel arrays, decoded float/half-float images, or an OpenEXR file buffer
      */
     loadHDR(hdrData, options = {}) {
+        if (EXRDecoder.isEXR(hdrData)) {
+            hdrData = EXRDecoder.decode(hdrData, { type: options.type, layer: options.layer });
+        }
+        
         this.hdrData = hdrData;
         
         // Process HDR data
@@ -151,9 +159,7 @@ export class EnvironmentMap {
      * Reinhard tone mapping operator
      */
     reinhardToneMapping(data) {
-        return data.map(pixel => {
-            return pixel.map(channel => channel / (1.0 + channel));
-        });
+        return this.mapHDRChannels(data, channel => channel / (1.0 + channel));
     }
     
     /**
@@ -167,11 +173,9 @@ export class EnvironmentMap {
         const d = 0.59;
         const e = 0.14;
         
-        return data.map(pixel => {
-            return pixel.map(channel => {
-                const x = Math.max(0, channel);
-                return Math.min(1, (x * (a * x + b)) / (x * (c * x + d) + e));
-            });
+        return this.mapHDRChannels(data, channel => {
+            const x = Math.max(0, channel);
+            return Math.min(1, (x * (a * x + b)) / (x * (c * x + d) + e));
         });
     }
     
@@ -179,11 +183,9 @@ export class EnvironmentMap {
      * Filmic tone mapping operator
      */
     filmicToneMapping(data) {
-        return data.map(pixel => {
-            return pixel.map(channel => {
-                const x = Math.max(0, channel);
-                return Math.pow(x, 0.5) * 0.5;
-            });
+        return this.mapHDRChannels(data, channel => {
+            const x = Math.max(0, channel);
+            return Math.pow(x, 0.5) * 0.5;
         });
     }
     
@@ -192,10 +194,8 @@ export class EnvironmentMap {
      */
     photographicToneMapping(data) {
         const exposure = 1.0;
-        return data.map(pixel => {
-            return pixel.map(channel => {
-                return 1.0 - Math.exp(-channel * exposure);
-            });
+        return this.mapHDRChannels(data, channel => {
+            return 1.0 - Math.exp(-channel * exposure);
         });
     }
     
@@ -203,9 +203,35 @@ export class EnvironmentMap {
      * Apply exposure adjustment
      */
     applyExposure(data, exposure) {
-        return data.map(pixel => {
-            return pixel.map(channel => channel * exposure);
-        });
+        return this.mapHDRChannels(data, channel => channel * exposure);
+    }
+    
+    /**
+     * Apply a function to the color channels of HDR data, leaving alpha untouched
+     * Handles arrays of pixels as well as decoded images ({ data, width, height })
+     * holding float or half-float (Uint16Array) values
+     */
+    mapHDRChannels(data, fn) {
+        if (Array.isArray(data)) {
+            return data.map(pixel => pixel.map(fn));
+        }
+        
+        const source = data.data;
+        const channels = source.length / (data.width * data.height);
+        const isHalf = source instanceof Uint16Array;
+        const result = new source.constructor(source.length);
+        
+        for (let i = 0; i < source.length; i++) {
+            if (i % channels === 3) {
+                result[i] = source[i];
+            } else if (isHalf) {
+                result[i] = EXRDecoder.floatToHalf(fn(EXRDecoder.halfToFloat(source[i])));
+            } else {
+                result[i] = fn(source[i]);
+            }
+        }
+        
+        return { ...data, data: result, levels: [{ width: data.width, height: data.height, data: result }] };
     }
     
     /**
@@ -301,7 +327,7 @@ export class EnvironmentMap {
     generatePMREM() {
         if (!this.pmremGenerator || !this.cubemap) return;
         
-        const renderTarget = this.pmremGenerator.createRenderTarget();
+        const renderTarget = this.pmremGenerator.createRenderTarget(this.cubemap);
         
         // Render environment to PMREM format
         this.pmremGenerator.prefilter(this.cubemap, renderTarget);
@@ -416,51 +442,7 @@ export class EnvironmentMap {
             varying vec3 vWorldPosition;
             varying vec3 vWorldNormal;
             
-            const float PI = 3.14159265359;
-            
-            // Normal Distribution Function: GGX
-            float DistributionGGX(vec3 N, vec3 H, float roughness) {
-                float a = roughness * roughness;
-                float a2 = a * a;
-                float NdotH = max(dot(N, H), 0.0);
-                float NdotH2 = NdotH * NdotH;
-                
-                float num = a2;
-                float denom = (NdotH2 * (a2 - 1.0) + 1.0);
-                denom = PI * denom * denom;
-                
-                return num / denom;
-            }
-            
-            // Schlick-GGX Geometry Function
-            float GeometrySchlickGGX(float NdotV, float roughness) {
-                float r = (roughness + 1.0);
-                float k = (r * r) / 8.0;
-                
-                float num = NdotV;
-                float denom = NdotV * (1.0 - k) + k;
-                
-                return num / denom;
-            }
-            
-            // Smith Geometry Function
-            float GeometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
-                float NdotV = max(dot(N, V), 0.0);
-                float NdotL = max(dot(N, L), 0.0);
-                float ggx2 = GeometrySchlickGGX(NdotV, roughness);
-                float ggx1 = GeometrySchlickGGX(NdotL, roughness);
-                
-                return ggx1 * ggx2;
-            }
-            
-            // Fresnel Schlick
-            vec3 FresnelSchlick(float cosTheta, vec3 F0) {
-                return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
-            }
-            
-            vec3 FresnelSchlickRoughness(float cosTheta, vec3 F0, float roughness) {
-                return F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(1.0 - cosTheta, 5.0);
-            }
+            #include <bsdfs>
             
             void main() {
                 vec3 N = normalize(vWorldNormal);
@@ -478,7 +460,7 @@ export class EnvironmentMap {
                 vec3 Lo = vec3(0.0);
                 
                 // Ambient lighting using irradiance map
-                vec3 kd = (1.0 - FresnelSchlick(max(dot(N, V), 0.0), F0)) * (1.0 - metallicFactor);
+                vec3 kd = (1.0 - fresnelSchlick(max(dot(N, V), 0.0), F0)) * (1.0 - metallicFactor);
                 vec3 diffuseIrradiance = textureCube(irradianceMap, N).rgb;
                 vec3 diffuse = diffuseIrradiance * albedo;
                 
@@ -486,7 +468,7 @@ export class EnvironmentMap {
                 vec3 R = reflect(-V, N);
                 const float MAX_REFLECTION_LOD = 4.0;
                 vec3 prefilteredColor = textureCubeLod(prefilterMap, R, roughnessFactor * MAX_REFLECTION_LOD).rgb;
-                vec3 specular = prefilteredColor * FresnelSchlick(max(dot(N, V), 0.0), F0);
+                vec3 specular = prefilteredColor * fresnelSchlick(max(dot(N, V), 0.0), F0);
                 
                 vec3 ambient = (kd * diffuse + specular) * envMapIntensity;
                 
@@ -536,7 +518,7 @@ export class EnvironmentMap {
         }
         
         if (this.pmremRenderTarget) {
-            this.gl.deleteFramebuffer(this.pmremRenderTarget.framebuffer);
+            this.pmremRenderTarget.dispose();
             this.pmremRenderTarget = null;
         }
         
@@ -572,6 +554,218 @@ export class EnvironmentMap {
     }
 }
 
+// Roughness steps of a prefiltered environment, one per mip level from 0 (MAX_REFLECTION_LOD + 1)
+const PMREM_ROUGHNESS_LODS = 5;
+
+// Direction through face texel (s, t) in [-1, 1], per the GL cube map face selection rules
+const CUBE_FACE_DIRECTIONS = [
+    (s, t) => [1, -t, -s],
+    (s, t) => [-1, -t, s],
+    (s, t) => [s, 1, t],
+    (s, t) => [s, -1, -t],
+    (s, t) => [s, -t, 1],
+    (s, t) => [-s, -t, -1]
+];
+
+/**
+ * Face index and texel coordinates (s, t) a direction selects; the inverse of CUBE_FACE_DIRECTIONS
+ */
+function cubeFaceCoordinates(x, y, z) {
+    const ax = Math.abs(x);
+    const ay = Math.abs(y);
+    const az = Math.abs(z);
+    
+    if (ax >= ay && ax >= az) {
+        return x > 0 ? [0, -z / ax, -y / ax] : [1, z / ax, -y / ax];
+    }
+    if (ay >= az) {
+        return y > 0 ? [2, x / ay, z / ay] : [3, x / ay, -z / ay];
+    }
+    return z > 0 ? [4, x / az, -y / az] : [5, -x / az, -y / az];
+}
+
+/**
+ * RGBA float copies of the six faces of a cubemap, or null when its pixel data was not retained
+ */
+function readCubeFaces(gl, cubemap) {
+    const faces = [];
+    
+    for (let face = 0; face < 6; face++) {
+        let data = cubemap.faces[gl.TEXTURE_CUBE_MAP_POSITIVE_X + face];
+        if (data && !ArrayBuffer.isView(data) && ArrayBuffer.isView(data.data)) {
+            data = data.data;
+        }
+        if (!ArrayBuffer.isView(data) || data.length !== cubemap.size * cubemap.size * 4) {
+            return null;
+        }
+        
+        const values = new Float32Array(data.length);
+        for (let i = 0; i < data.length; i++) {
+            values[i] = data instanceof Float32Array
+                ? data[i]
+                : data instanceof Uint16Array ? EXRDecoder.halfToFloat(data[i]) : data[i] / 255;
+        }
+        faces.push(values);
+    }
+    
+    return { size: cubemap.size, faces };
+}
+
+/**
+ * Half-size cube level, each texel the average of four
+ */
+function downsampleCubeLevel(level) {
+    const size = Math.max(1, level.size >> 1);
+    const step = level.size > 1 ? 2 : 1;
+    
+    const faces = level.faces.map(data => {
+        const result = new Float32Array(size * size * 4);
+        
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size; i++) {
+                for (let c = 0; c < 4; c++) {
+                    let sum = 0;
+                    for (let dy = 0; dy < step; dy++) {
+                        for (let dx = 0; dx < step; dx++) {
+                            sum += data[((j * step + dy) * level.size + i * step + dx) * 4 + c];
+                        }
+                    }
+                    result[(j * size + i) * 4 + c] = sum / (step * step);
+                }
+            }
+        }
+        return result;
+    });
+    
+    return { size, faces };
+}
+
+/**
+ * Bilinear sample of a cube level, clamped to the edges of the selected face
+ */
+function sampleCubeLevel(level, x, y, z, out) {
+    const [face, s, t] = cubeFaceCoordinates(x, y, z);
+    const size = level.size;
+    const data = level.faces[face];
+    
+    const u = Math.min(Math.max((s + 1) * 0.5 * size - 0.5, 0), size - 1);
+    const v = Math.min(Math.max((t + 1) * 0.5 * size - 0.5, 0), size - 1);
+    const x0 = Math.floor(u);
+    const y0 = Math.floor(v);
+    const x1 = Math.min(x0 + 1, size - 1);
+    const y1 = Math.min(y0 + 1, size - 1);
+    const fx = u - x0;
+    const fy = v - y0;
+    
+    for (let c = 0; c < 4; c++) {
+        const upper = data[(y0 * size + x0) * 4 + c] * (1 - fx) + data[(y0 * size + x1) * 4 + c] * fx;
+        const lower = data[(y1 * size + x0) * 4 + c] * (1 - fx) + data[(y1 * size + x1) * 4 + c] * fx;
+        out[c] = upper * (1 - fy) + lower * fy;
+    }
+}
+
+/**
+ * Van der Corput radical inverse in base 2, the second Hammersley coordinate
+ */
+function radicalInverse(i) {
+    let bits = i;
+    bits = ((bits << 16) | (bits >>> 16)) >>> 0;
+    bits = (((bits & 0x55555555) << 1) | ((bits & 0xAAAAAAAA) >>> 1)) >>> 0;
+    bits = (((bits & 0x33333333) << 2) | ((bits & 0xCCCCCCCC) >>> 2)) >>> 0;
+    bits = (((bits & 0x0F0F0F0F) << 4) | ((bits & 0xF0F0F0F0) >>> 4)) >>> 0;
+    bits = (((bits & 0x00FF00FF) << 8) | ((bits & 0xFF00FF00) >>> 8)) >>> 0;
+    return bits / 4294967296;
+}
+
+/**
+ * Light directions sampled around the normal (0, 0, 1) with the GGX distribution, taking
+ * view = normal. Each sample carries its N.L weight and the source level whose texels
+ * cover the solid angle the sample stands for.
+ */
+function createPrefilterSamples(roughness, count, sourceSize, size) {
+    const texelSolidAngle = (4 * Math.PI) / (6 * sourceSize * sourceSize);
+    
+    if (roughness === 0) {
+        return [{ x: 0, y: 0, z: 1, weight: 1, lod: Math.max(0, Math.log2(sourceSize / size)) }];
+    }
+    
+    const alpha = roughness * roughness;
+    const alpha2 = alpha * alpha;
+    const samples = [];
+    
+    for (let i = 0; i < count; i++) {
+        const phi = (2 * Math.PI * i) / count;
+        const xi = radicalInverse(i);
+        const cosTheta = Math.sqrt((1 - xi) / (1 + (alpha2 - 1) * xi));
+        const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+        
+        // Half vector H, reflected about it: L = 2 (V.H) H - V
+        const hx = sinTheta * Math.cos(phi);
+        const hy = sinTheta * Math.sin(phi);
+        const z = 2 * cosTheta * cosTheta - 1;
+        if (z <= 0) continue;
+        
+        // pdf of L is D(H) (N.H) / (4 V.H), which is D / 4 with V = N
+        const denominator = cosTheta * cosTheta * (alpha2 - 1) + 1;
+        const pdf = alpha2 / (Math.PI * denominator * denominator) / 4;
+        const sampleSolidAngle = 1 / (count * pdf + 1e-4);
+        
+        samples.push({
+            x: 2 * cosTheta * hx,
+            y: 2 * cosTheta * hy,
+            z,
+            weight: z,
+            lod: Math.max(0, 0.5 * Math.log2(sampleSolidAngle / texelSolidAngle))
+        });
+    }
+    
+    return samples;
+}
+
+/**
+ * Weighted average of the samples rotated to a texel direction
+ */
+function prefilterTexel(sourceLevels, direction, samples, out, sampleColor) {
+    const length = Math.hypot(direction[0], direction[1], direction[2]);
+    const nx = direction[0] / length;
+    const ny = direction[1] / length;
+    const nz = direction[2] / length;
+    
+    // Tangent frame around the normal: T = normalize(up x N), B = N x T
+    const upX = Math.abs(nz) < 0.999 ? 0 : 1;
+    const upZ = 1 - upX;
+    let tx = -upZ * ny;
+    let ty = upZ * nx - upX * nz;
+    let tz = upX * ny;
+    const tangentLength = Math.hypot(tx, ty, tz);
+    tx /= tangentLength;
+    ty /= tangentLength;
+    tz /= tangentLength;
+    const bx = ny * tz - nz * ty;
+    const by = nz * tx - nx * tz;
+    const bz = nx * ty - ny * tx;
+    
+    out.fill(0);
+    let totalWeight = 0;
+    
+    for (const sample of samples) {
+        const lx = tx * sample.x + bx * sample.y + nx * sample.z;
+        const ly = ty * sample.x + by * sample.y + ny * sample.z;
+        const lz = tz * sample.x + bz * sample.y + nz * sample.z;
+        const level = sourceLevels[Math.min(Math.round(sample.lod), sourceLevels.length - 1)];
+        
+        sampleCubeLevel(level, lx, ly, lz, sampleColor);
+        for (let c = 0; c < 4; c++) {
+            out[c] += sampleColor[c] * sample.weight;
+        }
+        totalWeight += sample.weight;
+    }
+    
+    for (let c = 0; c < 4; c++) {
+        out[c] /= totalWeight;
+    }
+}
+
 /**
  * PMREMGenerator - Generates prefiltered environment maps for PBR rendering
  */
@@ -580,6 +774,7 @@ export class PMREMGenerator {
         this.gl = gl;
         this.resolution = options.resolution || 256;
         this.sampleCount = options.sampleCount || 1024;
+        // GGX samples per texel of the rough levels
         this.maxPrefilterRays = options.maxPrefilterRays || 32;
         
         this.renderTargets = [];
@@ -594,17 +789,11 @@ export class PMREMGenerator {
     }
     
     createRenderTargets() {
-        // Create render targets for different mipmap levels
+        // Create render targets for different mipmap levels; GL resources are
+        // allocated the first time a level is bound
         for (let i = 0; i < 10; i++) {
             const size = Math.max(16, this.resolution >> i);
-            const target = this.gl.createFramebuffer();
-            
-            this.renderTargets.push({
-                framebuffer: target,
-                texture: this.gl.createTexture(),
-                size: size,
-                level: i
-            });
+            this.renderTargets.push(new CubeRenderTarget(size, { depthBuffer: false }));
         }
     }
     
@@ -613,34 +802,117 @@ export class PMREMGenerator {
         // Implementation depends on specific sampling strategy
     }
     
+    /**
+     * Prefilter a cubemap into the mip levels of a render target, one roughness per level:
+     * each texel averages GGX importance samples of the environment around its direction.
+     * Level i holds roughness i / 4 (MAX_REFLECTION_LOD = 4 in the environment shader);
+     * smaller levels stay at roughness 1 so the mip chain is complete.
+     *
+     * The faces are read from the cubemap's retained pixel data, so float and half-float
+     * environments (from fromEquirectangularPixels) keep their range.
+     * @param {CubeTexture} cubemap - Source environment
+     * @param {CubeRenderTarget} renderTarget - Target from createRenderTarget(cubemap)
+     * @returns {boolean} False when the cubemap has no pixel data to read
+     */
     prefilter(cubemap, renderTarget) {
-        // Prefilter the environment map for different roughness levels
-        // This creates mipmap-like levels with increasing roughness
-        console.log('Prefiltering environment map...');
+        const gl = this.gl;
+        const source = readCubeFaces(gl, cubemap);
+        if (!source) {
+            console.warn('PMREMGenerator: cubemap has no retained face data to prefilter');
+            return false;
+        }
         
-        // Implementation would involve:
-        // 1. Setting up a camera for each cubemap face
-        // 2. Rendering with a cone geometry that samples the environment
-        // 3. Increasing blur/sample area for higher roughness levels
+        // Source mip chain, so wide samples read pre-averaged texels instead of aliasing
+        const sourceLevels = [source];
+        while (sourceLevels[sourceLevels.length - 1].size > 1) {
+            sourceLevels.push(downsampleCubeLevel(sourceLevels[sourceLevels.length - 1]));
+        }
+        
+        const write = cubemap.type === gl.FLOAT
+            ? (value) => value
+            : cubemap.type === gl.UNSIGNED_BYTE
+                ? (value) => Math.round(Math.min(Math.max(value, 0), 1) * 255)
+                : (value) => EXRDecoder.floatToHalf(value);
+        const ArrayType = cubemap.type === gl.FLOAT ? Float32Array : cubemap.type === gl.UNSIGNED_BYTE ? Uint8Array : Uint16Array;
+        
+        const state = WebGLState.get(gl);
+        state.bindTexture(gl.TEXTURE_CUBE_MAP, renderTarget.texture);
+        
+        const levelCount = Math.floor(Math.log2(renderTarget.size)) + 1;
+        const color = [0, 0, 0, 0];
+        const sampleColor = [0, 0, 0, 0];
+        
+        for (let level = 0; level < levelCount; level++) {
+            const size = Math.max(1, renderTarget.size >> level);
+            const roughness = Math.min(1, level / (PMREM_ROUGHNESS_LODS - 1));
+            const samples = createPrefilterSamples(roughness, this.maxPrefilterRays, source.size, size);
+            
+            for (let face = 0; face < 6; face++) {
+                const faceData = new ArrayType(size * size * 4);
+                
+                for (let j = 0; j < size; j++) {
+                    const t = (2 * (j + 0.5)) / size - 1;
+                    
+                    for (let i = 0; i < size; i++) {
+                        const s = (2 * (i + 0.5)) / size - 1;
+                        prefilterTexel(sourceLevels, CUBE_FACE_DIRECTIONS[face](s, t), samples, color, sampleColor);
+                        
+                        const offset = (j * size + i) * 4;
+                        for (let c = 0; c < 4; c++) {
+                            faceData[offset + c] = write(color[c]);
+                        }
+                    }
+                }
+                
+                gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, level, cubemap.internalFormat,
+                             size, size, 0, cubemap.format, cubemap.type, faceData);
+            }
+        }
+        
+        const filterable = cubemap.magFilter !== gl.NEAREST;
+        gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER,
+                         filterable ? gl.LINEAR_MIPMAP_LINEAR : gl.NEAREST_MIPMAP_NEAREST);
+        state.bindTexture(gl.TEXTURE_CUBE_MAP, null);
+        
+        return true;
     }
     
-    createRenderTarget() {
-        return {
-            framebuffer: this.gl.createFramebuffer(),
-            texture: this.gl.createTexture(),
-            size: this.resolution
-        };
+    /**
+     * Create a cube render target, matching the format of the source cubemap when given
+     * so float and half-float environments keep their range
+     */
+    createRenderTarget(source = null) {
+        const gl = this.gl;
+        
+        return new CubeRenderTarget(this.resolution, {
+            internalFormat: source ? source.internalFormat : gl.RGBA,
+            format: source ? source.format : gl.RGBA,
+            type: source ? source.type : gl.UNSIGNED_BYTE,
+            depthBuffer: false
+        }).setup(gl);
+    }
+    
+    /**
+     * Prefilter a cubemap into a new render target
+     */
+    fromCubemap(cubemap) {
+        const renderTarget = this.createRenderTarget(cubemap);
+        this.prefilter(cubemap, renderTarget);
+        return renderTarget;
+    }
+    
+    /**
+     * Prefilter an equirectangular source, e.g. a decoded EXR or HDR image
+     */
+    fromEquirectangular(equirectangular) {
+        const cubemap = CubeTexture.fromEquirectangular(this.gl, equirectangular, this.resolution);
+        const renderTarget = this.fromCubemap(cubemap);
+        renderTarget.cubemap = cubemap;
+        return renderTarget;
     }
     
     dispose() {
-        this.renderTargets.forEach(target => {
-            if (target.framebuffer) {
-                this.gl.deleteFramebuffer(target.framebuffer);
-            }
-            if (target.texture) {
-                this.gl.deleteTexture(target.texture);
-            }
-        });
+        this.renderTargets.forEach(target => target.dispose());
         
         if (this.coneGeometry) {
             this.gl.deleteBuffer(this.coneGeometry);
@@ -6,6 +6,8 @@
 
 import { CubeTexture } from './CubeTexture.js';
 import { EnvironmentMap } from './EnvironmentMap.js';
+import { RenderTarget, isWebGL2 } from '../core/RenderTarget.js';
+import { WebGLState } from '../core/WebGLState.js';
 
 export class ReflectionProbe {
     constructor(gl, position, options = {}) {
@@ -130,8 +132,9 @@ export class ScreenSpaceReflection {
         this.depthTarget = null;
         this.ssrTarget = null;
         this.tempTarget = null;
+        this.gBufferTarget = null;
         
-        // G-buffers
+        // G-buffer textures, one color attachment of gBufferTarget each plus its depth texture
         this.gBuffer = {
             position: null,
             normal: null,
@@ -178,25 +181,26 @@ export class ScreenSpaceReflection {
     
     createRenderTargets() {
         const { gl } = this;
-        const extensions = gl.getSupportedExtensions();
         
-        // Check for required extensions
-        if (!extensions.includes('WEBGL_depth_texture')) {
-            console.warn('WEBGL_depth_texture not supported, SSR disabled');
+        // The G-buffer needs multiple render targets with mixed formats and a depth texture
+        if (!isWebGL2(gl)) {
+            console.warn('WebGL2 not supported, SSR disabled');
             this.enabled = false;
             return;
         }
         
-        // Create G-buffer targets
-        for (let key in this.gBuffer) {
-            if (this.gBuffer[key]) continue;
-            
-            this.gBuffer[key] = this.createRenderTarget({
-                width: this.getWidth(),
-                height: this.getHeight(),
-                format: this.getFormatForBuffer(key)
-            });
-        }
+        // Create G-buffer as a single multiple render target
+        const keys = Object.keys(this.gBuffer).filter(key => key !== 'depth');
+        
+        this.gBufferTarget = new RenderTarget(this.getWidth(), this.getHeight(), {
+            attachments: keys.map(key => this.getFormatForBuffer(key)),
+            depthTexture: true
+        }).setup(gl);
+        
+        keys.forEach((key, index) => {
+            this.gBuffer[key] = this.gBufferTarget.textures[index];
+        });
+        this.gBuffer.depth = this.gBufferTarget.depthTexture;
         
         // Create SSR targets
         this.ssrTarget = this.createRenderTarget({
@@ -222,36 +226,24 @@ export class ScreenSpaceReflection {
     
     getFormatForBuffer(bufferType) {
         const { gl } = this;
+        const rgba8 = { internalFormat: gl.RGBA8, format: gl.RGBA, type: gl.UNSIGNED_BYTE };
+        const r8 = { internalFormat: gl.R8, format: gl.RED, type: gl.UNSIGNED_BYTE };
         const formats = {
-            position: gl.RGBA16F,
-            normal: gl.RGBA8,
-            albedo: gl.RGBA8,
-            roughness: gl.R8,
-            metalness: gl.R8,
-            depth: gl.DEPTH_COMPONENT24
+            position: { internalFormat: gl.RGBA16F, format: gl.RGBA, type: gl.HALF_FLOAT },
+            normal: rgba8,
+            albedo: rgba8,
+            roughness: r8,
+            metalness: r8
         };
         
-        return formats[bufferType] || gl.RGBA8;
+        return formats[bufferType] || rgba8;
     }
     
     createRenderTarget(options) {
-        const { gl } = this;
-        const framebuffer = gl.createFramebuffer();
-        const texture = gl.createTexture();
-        
-        gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, options.format, options.width, options.height, 0, 
-                     this.getFormatType(options.format), gl.UNSIGNED_BYTE, null);
-        
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        
-        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
-        
-        return { framebuffer, texture, width: options.width, height: options.height };
+        return new RenderTarget(options.width, options.height, {
+            format: options.format,
+            depthBuffer: false
+        }).setup(this.gl);
     }
     
     createShaderPrograms() {
@@ -494,13 +486,12 @@ export class ScreenSpaceReflection {
         const { gl } = this;
         
         // Bind SSR target
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.ssrTarget.framebuffer);
-        gl.viewport(0, 0, this.ssrTarget.width, this.ssrTarget.height);
+        this.ssrTarget.bind(gl);
         gl.clearColor(0, 0, 0, 0);
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         
         // Use SSR shader
-        gl.useProgram(this.ssrShader);
+        WebGLState.get(gl).useProgram(this.ssrShader);
         
         // Set uniforms
         this.setSSRUniforms(camera);
@@ -544,14 +535,14 @@ export class ScreenSpaceReflection {
         const { gl } = this;
         
         // Apply horizontal blur
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.tempTarget.framebuffer);
-        gl.useProgram(this.blurShader);
+        this.tempTarget.bind(gl);
+        WebGLState.get(gl).useProgram(this.blurShader);
         
         // Set blur uniforms and render
         this.renderFullScreenQuad();
         
         // Apply vertical blur
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.ssrTarget.framebuffer);
+        this.ssrTarget.bind(gl);
         this.renderFullScreenQuad();
     }
     
@@ -562,16 +553,12 @@ export class ScreenSpaceReflection {
     
     dispose() {
         // Clean up resources
-        Object.values(this.gBuffer).forEach(target => {
-            if (target) {
-                this.gl.deleteFramebuffer(target.framebuffer);
-                this.gl.deleteTexture(target.texture);
-            }
+        [this.gBufferTarget, this.ssrTarget, this.tempTarget].forEach(target => {
+            if (target) target.dispose();
         });
         
-        if (this.ssrTarget) {
-            this.gl.deleteFramebuffer(this.ssrTarget.framebuffer);
-            this.gl.deleteTexture(this.ssrTarget.texture);
+        for (const key in this.gBuffer) {
+            this.gBuffer[key] = null;
         }
     }
 }
@@ -51,10 +51,32 @@ export interface HDRFramebuffer {
 }
 
 export interface HDRTexture {
-    url: string;
+    url: string | null;
     width: number;
     height: number;
-    data: Float32Array;
+    /** RGBA pixels; Uint16Array holds half floats */
+    data: Float32Array | Uint16Array | null;
+    /** Source format: 'EXR' or 'HDR' */
+    format: string | null;
+    type: 'float' | 'half' | null;
+    texture: WebGLTexture | null;
+    loaded: boolean;
+    /** Resolves once uploaded, or to null if loading failed */
+    ready: Promise<HDRTexture | null>;
+}
+
+export interface HDRTextureLoadOptions {
+    /** Decoded precision for EXR files; defaults to the renderer's preferred float type */
+    type?: 'float' | 'half';
+    /** EXR layer name, e.g. 'diffuse' for 'diffuse.R' channels */
+    layer?: string;
+}
+
+export interface HDRImage {
+    width: number;
+    height: number;
+    data: Float32Array | Uint16Array;
+    type: 'float' | 'half';
     format: string;
 }
 
@@ -92,6 +114,13 @@ export interface ErrorEvent {
     error: Error;
 }
 
+export interface HDRTextureLoadedEvent {
+    id: string;
+    width: number;
+    height: number;
+    format: string;
+}
+
 /**
  * HDRRenderer - High Dynamic Range Rendering Pipeline
  * 
@@ -374,11 +403,25 @@ export declare class HDRRenderer extends WebGLRenderer {
     renderFullScreenQuad(): void;
 
     /**
-     * Load HDR texture
-     * @param url - Texture URL
-     * @returns Texture ID
+     * Load an OpenEXR or Radiance .hdr texture
+     * @param source - Texture URL or file contents
+     * @param options - Decoding options
+     * @returns Texture ID; the entry's `ready` promise resolves once uploaded
+     */
+    loadHDRTexture(source: string | ArrayBuffer | ArrayBufferView, options?: HDRTextureLoadOptions): string;
+
+    /**
+     * Fetch and decode an HDR image to RGBA float or half-float data
+     * @param source - Texture URL or file contents
+     * @param options - Decoding options
+     */
+    loadHDRImage(source: string | ArrayBuffer | ArrayBufferView, options?: HDRTextureLoadOptions): Promise<HDRImage>;
+
+    /**
+     * Upload decoded HDR pixels to a 2D texture
+     * @param image - Decoded image
      */
-    loadHDRTexture(url: string): string;
+    createHDRTexture(image: HDRImage): WebGLTexture;
 
     /**
      * Set HDR settings
@@ -414,12 +457,14 @@ export declare class HDRRenderer extends WebGLRenderer {
     on(event: 'contextlost', callback: (data: ContextLostEvent) => void): void;
     on(event: 'contextrestored', callback: (data: ContextRestoredEvent) => void): void;
     on(event: 'error', callback: (data: ErrorEvent) => void): void;
+    on(event: 'hdrTextureLoaded', callback: (data: HDRTextureLoadedEvent) => void): void;
 
     off(event: 'toneMappingChanged', callback: (data: ToneMappingChangedEvent) => void): void;
     off(event: 'rendered', callback: (data: RenderedEvent) => void): void;
     off(event: 'contextlost', callback: (data: ContextLostEvent) => void): void;
     off(event: 'contextrestored', callback: (data: ContextRestoredEvent) => void): void;
     off(event: 'error', callback: (data: ErrorEvent) => void): void;
+    off(event: 'hdrTextureLoaded', callback: (data: HDRTextureLoadedEvent) => void): void;
 
     // Inherited from WebGLRenderer
     render(scene: Scene, camera: Camera): void;
@@ -454,10 +499,13 @@ export type {
     HDRCapabilities,
     HDRFramebuffer,
     HDRTexture,
+    HDRTextureLoadOptions,
+    HDRImage,
     HDRPerformanceMetrics,
     ToneMappingChangedEvent,
     RenderedEvent,
     ContextLostEvent,
     ContextRestoredEvent,
-    ErrorEvent
+    ErrorEvent,
+    HDRTextureLoadedEvent
 };
\ No newline at end of file
@@ -5,6 +5,9 @@
  */
 
 import { WebGLRenderer } from '../core/WebGLRenderer.js';
+import { Texture } from '../textures/Texture.js';
+import { EXRDecoder } from '../textures/EXRDecoder.js';
+import { RenderTarget } from '../core/RenderTarget.js';
 
 export class HDRRenderer extends WebGLRenderer {
     constructor(canvas, options = {}) {
@@ -25,8 +28,8 @@ export class HDRRenderer extends WebGLRenderer {
             bloomIntensity: 0.5
         };
 
-        // HDR framebuffers
-        this.hdrFramebuffers = new Map();
+        // HDR render targets
+        this.hdrFramebuffers = new Set();
         this.renderTarget = null;
         this.bloomTargets = [];
 
@@ -85,7 +88,7 @@ export class HDRRenderer extends WebGLRenderer {
 
         // Prefer half-float for better compatibility
         this.hdrFloatType = this.hdrCapabilities.halfFloatLinear ? 
-            gl.HALF_FLOAT : gl.FLOAT;
+            'HALF_FLOAT' : 'FLOAT';
 
         console.log('HDR Capabilities:', this.hdrCapabilities);
     }
@@ -94,12 +97,16 @@ export class HDRRenderer extends WebGLRenderer {
      * Setup HDR framebuffers
      */
     setupHDRFramebuffers() {
-        const gl = this.gl;
         const width = this.canvas.width;
         const height = this.canvas.height;
 
-        // Main HDR framebuffer
-        this.renderTarget = this.createHDRFramebuffer(width, height);
+        // Release targets from a previous size or bloom setting
+        this.disposeHDRFramebuffers();
+
+        // Main HDR framebuffer, multisampled when antialiasing is requested
+        this.renderTarget = this.createHDRFramebuffer(width, height, {
+            samples: this.options.antialias ? 4 : 0
+        });
 
         // Bloom framebuffers
         if (this.hdrSettings.bloomEnabled) {
@@ -113,61 +120,27 @@ export class HDRRenderer extends WebGLRenderer {
     /**
      * Create HDR framebuffer
      */
-    createHDRFramebuffer(width, height) {
-        const gl = this.gl;
-        const framebuffer = gl.createFramebuffer();
-        const texture = gl.createTexture();
+    createHDRFramebuffer(width, height, options = {}) {
+        const target = new RenderTarget(width, height, {
+            type: this.hdrFloatType,
+            ...options
+        }).setup(this.gl);
 
-        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
-        gl.bindTexture(gl.TEXTURE_2D, texture);
+        this.hdrFramebuffers.add(target);
 
-        // Create HDR color texture
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, 
-                     gl.RGBA, this.hdrFloatType, null);
-
-        // Create depth buffer
-        const depthBuffer = gl.createRenderbuffer();
-        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
-        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
-
-        // Attach texture and depth buffer
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, 
-                               gl.TEXTURE_2D, texture, 0);
-        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, 
-                                  gl.RENDERBUFFER, depthBuffer);
-
-        // Check framebuffer status
-        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
-        if (status !== gl.FRAMEBUFFER_COMPLETE) {
-            throw new Error('HDR framebuffer incomplete: ' + status.toString(16));
-        }
+        return target;
+    }
 
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.bindTexture(gl.TEXTURE_2D, null);
-        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
-
-        const framebufferId = this.generateId();
-        this.hdrFramebuffers.set(framebufferId, {
-            framebuffer,
-            texture,
-            depthBuffer,
-            width,
-            height,
-            attachments: []
-        });
+    /**
+     * Dispose all HDR render targets
+     */
+    disposeHDRFramebuffers() {
+        this.hdrFramebuffers.forEach(target => target.dispose());
+        this.hdrFramebuffers.clear();
 
-        return {
-            id: framebufferId,
-            framebuffer,
-            texture,
-            width,
-            height
-        };
+        this.renderTarget = null;
+        this.bloomTargets = [];
+        this.adaptationTargets = [];
     }
 
     /**
@@ -228,157 +201,43 @@ export class HDRRenderer extends WebGLRenderer {
      * Compile tone mapping shaders
      */
     compileToneMappingShaders() {
-        const vertexShader = `
-            attribute vec3 position;
-            attribute vec2 uv;
-            
-            uniform mat4 modelMatrix;
-            uniform mat4 viewMatrix;
-            uniform mat4 projectionMatrix;
+        const vertexShader = '#include <unlit_vertex>';
+
+        // One fragment shader; the operator is picked with a define
+        const fragmentShader = `
+            precision highp float;
             
             varying vec2 vUV;
             
-            void main() {
-                vUV = uv;
-                gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
-            }
-        `;
-
-        // Tone mapping fragment shaders
-        const toneMappingFragments = {
-            ACES: `
-                precision highp float;
-                
-                varying vec2 vUV;
-                
-                uniform sampler2D hdrTexture;
-                uniform float exposure;
-                uniform float gamma;
-                
-                // ACES Film Tone Mapping approximation
-                vec3 ACESFilm(vec3 x) {
-                    float a = 2.51;
-                    float b = 0.03;
-                    float c = 2.43;
-                    float d = 0.59;
-                    float e = 0.14;
-                    return clamp((x*(a*x+b))/(x*(c*x+d)+e), 0.0, 1.0);
-                }
-                
-                void main() {
-                    vec3 hdrColor = texture2D(hdrTexture, vUV).rgb;
-                    
-                    // Apply exposure
-                    hdrColor *= exposure;
-                    
-                    // ACES tone mapping
-                    vec3 mappedColor = ACESFilm(hdrColor);
-                    
-                    // Gamma correction
-                    mappedColor = pow(mappedColor, vec3(1.0/gamma));
-                    
-                    gl_FragColor = vec4(mappedColor, 1.0);
-                }
-            `,
-            
-            Reinhard: `
-                precision highp float;
-                
-                varying vec2 vUV;
-                
-                uniform sampler2D hdrTexture;
-                uniform float exposure;
-                uniform float gamma;
-                
-                void main() {
-                    vec3 hdrColor = texture2D(hdrTexture, vUV).rgb;
-                    
-                    // Apply exposure and Reinhard tone mapping
-                    vec3 mappedColor = hdrColor * exposure / (hdrColor * exposure + vec3(1.0));
-                    
-                    // Gamma correction
-                    mappedColor = pow(mappedColor, vec3(1.0/gamma));
-                    
-                    gl_FragColor = vec4(mappedColor, 1.0);
-                }
-            `,
+            uniform sampler2D hdrTexture;
+            uniform float exposure;
+            uniform float gamma;
             
-            Filmic: `
-                precision highp float;
-                
-                varying vec2 vUV;
-                
-                uniform sampler2D hdrTexture;
-                uniform float exposure;
-                uniform float gamma;
-                
-                // Filmic tone mapping curve
-                vec3 FilmicCurve(vec3 x) {
-                    vec3 result = max(vec3(0.0), x - 0.004);
-                    return (result*(6.2*result+0.5))/(result*(6.2*result+1.7)+0.06);
-                }
-                
-                void main() {
-                    vec3 hdrColor = texture2D(hdrTexture, vUV).rgb;
-                    
-                    // Apply exposure
-                    hdrColor *= exposure;
-                    
-                    // Filmic tone mapping
-                    vec3 mappedColor = FilmicCurve(hdrColor);
-                    
-                    // Gamma correction
-                    mappedColor = pow(mappedColor, vec3(1.0/gamma));
-                    
-                    gl_FragColor = vec4(mappedColor, 1.0);
-                }
-            `,
+            #include <tonemapping_pars_fragment>
             
-            Uncharted2: `
-                precision highp float;
-                
-                varying vec2 vUV;
+            void main() {
+                vec3 hdrColor = texture2D(hdrTexture, vUV).rgb;
                 
-                uniform sampler2D hdrTexture;
-                uniform float exposure;
-                uniform float gamma;
+                // Apply exposure and tone mapping
+                vec3 mappedColor = toneMap(hdrColor * exposure);
                 
-                // Uncharted 2 tone mapping
-                vec3 Uncharted2ToneMap(vec3 color) {
-                    float A = 0.15;
-                    float B = 0.50;
-                    float C = 0.10;
-                    float D = 0.20;
-                    float E = 0.02;
-                    float F = 0.30;
-                    
-                    return ((color*(A*color+C*B)+D*E)/(color*(A*color+B)+D*F)) - E/F;
-                }
+                // Gamma correction
+                mappedColor = pow(mappedColor, vec3(1.0/gamma));
                 
-                void main() {
-                    vec3 hdrColor = texture2D(hdrTexture, vUV).rgb;
-                    
-                    // Apply exposure
-                    hdrColor *= exposure;
-                    
-                    // Uncharted2 tone mapping
-                    vec3 mappedColor = Uncharted2ToneMap(hdrColor);
-                    
-                    // White balance
-                    vec3 whitePoint = Uncharted2ToneMap(vec3(11.2));
-                    mappedColor /= whitePoint;
-                    
-                    // Gamma correction
-                    mappedColor = pow(mappedColor, vec3(1.0/gamma));
-                    
-                    gl_FragColor = vec4(mappedColor, 1.0);
-                }
-            `
+                gl_FragColor = vec4(mappedColor, 1.0);
+            }
+        `;
+
+        const toneMappingDefines = {
+            ACES: 'TONE_MAPPING_ACES',
+            Reinhard: 'TONE_MAPPING_REINHARD',
+            Filmic: 'TONE_MAPPING_FILMIC',
+            Uncharted2: 'TONE_MAPPING_UNCHARTED2'
         };
 
         // Compile all tone mapping shaders
-        Object.entries(toneMappingFragments).forEach(([name, fragmentShader]) => {
-            const programId = this.compileShader(vertexShader, fragmentShader);
+        Object.entries(toneMappingDefines).forEach(([name, define]) => {
+            const programId = this.compileShader(vertexShader, fragmentShader, {}, {}, { [define]: true });
             this.shaders.set(`toneMapping_${name}`, programId);
         });
     }
@@ -387,21 +246,7 @@ export class HDRRenderer extends WebGLRenderer {
      * Compile adaptation shaders
      */
     compileAdaptationShaders() {
-        const vertexShader = `
-            attribute vec3 position;
-            attribute vec2 uv;
-            
-            uniform mat4 modelMatrix;
-            uniform mat4 viewMatrix;
-            uniform mat4 projectionMatrix;
-            
-            varying vec2 vUV;
-            
-            void main() {
-                vUV = uv;
-                gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
-            }
-        `;
+        const vertexShader = '#include <unlit_vertex>';
 
         // Luminance calculation shader
         const luminanceShader = `
@@ -411,9 +256,7 @@ export class HDRRenderer extends WebGLRenderer {
             
             uniform sampler2D inputTexture;
             
-            float luminance(vec3 color) {
-                return dot(color, vec3(0.2126, 0.7152, 0.0722));
-            }
+            #include <common>
             
             void main() {
                 vec3 color = texture2D(inputTexture, vUV).rgb;
@@ -456,9 +299,11 @@ export class HDRRenderer extends WebGLRenderer {
             
             uniform sampler2D inputTexture;
             
+            #include <common>
+            
             void main() {
                 vec3 color = texture2D(inputTexture, vUV).rgb;
-                float lum = dot(color, vec3(0.2126, 0.7152, 0.0722));
+                float lum = luminance(color);
                 
                 gl_FragColor = vec4(lum, lum, lum, 1.0);
             }
@@ -477,21 +322,7 @@ export class HDRRenderer extends WebGLRenderer {
      * Compile bloom shaders
      */
     compileBloomShaders() {
-        const vertexShader = `
-            attribute vec3 position;
-            attribute vec2 uv;
-            
-            uniform mat4 modelMatrix;
-            uniform mat4 viewMatrix;
-            uniform mat4 projectionMatrix;
-            
-            varying vec2 vUV;
-            
-            void main() {
-                vUV = uv;
-                gl_Position = projectionMatrix * viewMatrix * modelMatrix * vec4(position, 1.0);
-            }
-        `;
+        const vertexShader = '#include <unlit_vertex>';
 
         // Gaussian blur shader
         const blurShader = `
@@ -642,28 +473,7 @@ export class HDRRenderer extends WebGLRenderer {
      * Compile HDR vertex shader
      */
     compileHDRShader() {
-        const vertexShader = `
-            attribute vec3 position;
-            attribute vec3 normal;
-            attribute vec2 uv;
-            
-            uniform mat4 modelMatrix;
-            uniform mat4 viewMatrix;
-            uniform mat4 projectionMatrix;
-            uniform mat3 normalMatrix;
-            
-            varying vec3 vNormal;
-            varying vec3 vPosition;
-            varying vec2 vUV;
-            
-            void main() {
-                vec4 worldPosition = modelMatrix * vec4(position, 1.0);
-                vPosition = worldPosition.xyz;
-                vNormal = normalize(normalMatrix * normal);
-                vUV = uv;
-                gl_Position = projectionMatrix * viewMatrix * worldPosition;
-            }
-        `;
+        const vertexShader = '#include <basic_vertex>';
 
         const fragmentShader = `
             precision highp float;
@@ -770,8 +580,7 @@ export class HDRRenderer extends WebGLRenderer {
         const gl = this.gl;
         
         // Bind HDR framebuffer
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.renderTarget.framebuffer);
-        gl.viewport(0, 0, this.renderTarget.width, this.renderTarget.height);
+        this.setRenderTarget(this.renderTarget);
         
         // Clear with black (HDR color space)
         gl.clearColor(0.0, 0.0, 0.0, 1.0);
@@ -794,19 +603,18 @@ export class HDRRenderer extends WebGLRenderer {
         // Restore normal rendering
         this.renderObject = oldRenderObject;
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.setRenderTarget(null);
     }
 
     /**
      * Use HDR shader for rendering
      */
     useHDRShader() {
-        const gl = this.gl;
         const programId = this.shaders.get('hdrBasic');
         if (programId) {
             const program = this.programs.get(programId);
             if (program) {
-                gl.useProgram(program.program);
+                this.state.useProgram(program.program);
             }
         }
     }
@@ -846,8 +654,6 @@ export class HDRRenderer extends WebGLRenderer {
      * Calculate average luminance
      */
     calculateAverageLuminance() {
-        const gl = this.gl;
-        
         // Downsample to smallest target
         let currentTarget = this.renderTarget;
         
@@ -858,13 +664,14 @@ export class HDRRenderer extends WebGLRenderer {
         }
         
         // Read final 1x1 pixel to get average luminance
-        const pixels = new Uint8Array(4);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, currentTarget.framebuffer);
-        gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        const pixels = this.readRenderTargetPixels(currentTarget, 0, 0, 1, 1);
+        if (!pixels) return this.averageLuminance;
+        
+        // Float targets read back linear values, byte targets need normalizing
+        const scale = pixels instanceof Uint8Array ? 1 / 255.0 : 1.0;
         
         // Convert to luminance (approximation)
-        return (pixels[0] + pixels[1] + pixels[2]) / (3 * 255.0);
+        return (pixels[0] + pixels[1] + pixels[2]) * scale / 3;
     }
 
     /**
@@ -874,18 +681,16 @@ export class HDRRenderer extends WebGLRenderer {
         const gl = this.gl;
         
         // Bind output framebuffer
-        gl.bindFramebuffer(gl.FRAMEBUFFER, outputTarget.framebuffer);
-        gl.viewport(0, 0, outputTarget.width, outputTarget.height);
+        this.setRenderTarget(outputTarget);
         
         // Use downsample shader
         const programId = this.shaders.get('downsample');
         if (programId) {
             const program = this.programs.get(programId);
-            gl.useProgram(program.program);
+            this.state.useProgram(program.program);
             
             // Bind input texture
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, inputTexture);
+            this.state.bindTexture(gl.TEXTURE_2D, inputTexture, 0);
             gl.uniform1i(gl.getUniformLocation(program.program, 'inputTexture'), 0);
             gl.uniform2f(gl.getUniformLocation(program.program, 'textureSize'), inputWidth, inputHeight);
             
@@ -893,7 +698,7 @@ export class HDRRenderer extends WebGLRenderer {
             this.renderFullScreenQuad();
         }
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.setRenderTarget(null);
     }
 
     /**
@@ -929,19 +734,17 @@ export class HDRRenderer extends WebGLRenderer {
     bloomPass(type, input, output) {
         const gl = this.gl;
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, output.framebuffer);
-        gl.viewport(0, 0, output.width, output.height);
+        this.setRenderTarget(output);
         
         const programId = type === 'threshold' ? 'bloomThreshold' : 'bloomBlur';
         const shaderId = this.shaders.get(programId);
         
         if (shaderId) {
             const program = this.programs.get(shaderId);
-            gl.useProgram(program.program);
+            this.state.useProgram(program.program);
             
             // Bind input texture
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, input.texture);
+            this.state.bindTexture(gl.TEXTURE_2D, input.texture, 0);
             gl.uniform1i(gl.getUniformLocation(program.program, 'inputTexture'), 0);
             
             if (type === 'threshold') {
@@ -958,7 +761,7 @@ export class HDRRenderer extends WebGLRenderer {
             this.renderFullScreenQuad();
         }
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.setRenderTarget(null);
     }
 
     /**
@@ -968,18 +771,16 @@ export class HDRRenderer extends WebGLRenderer {
         const gl = this.gl;
         
         // Bind default framebuffer
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        this.setRenderTarget(null);
         
         // Use appropriate tone mapping shader
         const programId = this.shaders.get(`toneMapping_${this.hdrSettings.toneMapping}`);
         if (programId) {
             const program = this.programs.get(programId);
-            gl.useProgram(program.program);
+            this.state.useProgram(program.program);
             
             // Bind HDR texture
-            gl.activeTexture(gl.TEXTURE0);
-            gl.bindTexture(gl.TEXTURE_2D, this.renderTarget.texture);
+            this.state.bindTexture(gl.TEXTURE_2D, this.renderTarget.texture, 0);
             gl.uniform1i(gl.getUniformLocation(program.program, 'hdrTexture'), 0);
             
             // Set uniforms
@@ -1005,7 +806,7 @@ export class HDRRenderer extends WebGLRenderer {
         const programId = this.shaders.get('sky');
         if (programId) {
             const program = this.programs.get(programId);
-            gl.useProgram(program.program);
+            this.state.useProgram(program.program);
             
             // Set sky uniforms
             gl.uniform3f(gl.getUniformLocation(program.program, 'sunPosition'),
@@ -1086,16 +887,16 @@ export class HDRRenderer extends WebGLRenderer {
                 ]);
                 
                 const buffer = gl.createBuffer();
-                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                renderer.state.bindBuffer(gl.ARRAY_BUFFER, buffer);
                 gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STREAM_DRAW);
                 
                 const posLoc = 0;
                 const uvLoc = 1;
                 
-                gl.enableVertexAttribArray(posLoc);
+                renderer.state.enableVertexAttribArray(posLoc);
                 gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 20, 0);
                 
-                gl.enableVertexAttribArray(uvLoc);
+                renderer.state.enableVertexAttribArray(uvLoc);
                 gl.vertexAttribPointer(uvLoc, 2, gl.FLOAT, false, 20, 12);
                 
                 gl.drawArrays(gl.TRIANGLES, 0, 3);
@@ -1128,25 +929,25 @@ export class HDRRenderer extends WebGLRenderer {
                 ibo: gl.createBuffer()
             };
             
-            gl.bindBuffer(gl.ARRAY_BUFFER, this.fullScreenQuad.vbo);
+            this.state.bindBuffer(gl.ARRAY_BUFFER, this.fullScreenQuad.vbo);
             gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
             
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.fullScreenQuad.ibo);
+            this.state.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.fullScreenQuad.ibo);
             gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
         }
         
         // Bind geometry
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.fullScreenQuad.vbo);
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.fullScreenQuad.ibo);
+        this.state.bindBuffer(gl.ARRAY_BUFFER, this.fullScreenQuad.vbo);
+        this.state.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.fullScreenQuad.ibo);
         
         // Set attribute pointers
         const posLoc = 0;
         const uvLoc = 1;
         
-        gl.enableVertexAttribArray(posLoc);
+        this.state.enableVertexAttribArray(posLoc);
         gl.vertexAttribPointer(posLoc, 3, gl.FLOAT, false, 20, 0);
         
-        gl.enableVertexAttribArray(uvLoc);
+        this.state.enableVertexAttribArray(uvLoc);
         gl.vertexAttribPointer(uvLoc, 2, gl.FLOAT, false, 20, 12);
         
         // Draw
@@ -1155,40 +956,116 @@ export class HDRRenderer extends WebGLRenderer {
 
     /**
      * Load HDR texture
+     * Accepts a URL or the file contents (ArrayBuffer or typed array) of an OpenEXR or
+     * Radiance .hdr image. The id is returned immediately; the entry's `ready` promise
+     * resolves once the texture is uploaded, or to null if loading failed.
      */
-    loadHDRTexture(url) {
-        // For now, create a placeholder HDR texture
-        // In a real implementation, you would load an HDR file (like .hdr format)
-        // and parse it to extract RGB values and positions
-        
+    loadHDRTexture(source, options = {}) {
         const textureId = this.generateId();
-        const width = 256;
-        const height = 256;
-        const data = new Float32Array(width * height * 4);
-        
-        // Generate some test HDR data
-        for (let i = 0; i < width * height; i++) {
-            const x = (i % width) / width;
-            const y = Math.floor(i / width) / height;
-            
-            // Create a simple HDR gradient pattern
-            data[i * 4 + 0] = Math.pow(x * 2, 2.2) * 100; // R channel (HDR)
-            data[i * 4 + 1] = Math.pow(y * 2, 2.2) * 50;  // G channel (HDR)
-            data[i * 4 + 2] = Math.pow((x + y) / 2 * 2, 2.2) * 200; // B channel (HDR)
-            data[i * 4 + 3] = 1.0; // Alpha
-        }
+        const entry = {
+            url: typeof source === 'string' ? source : null,
+            width: 0,
+            height: 0,
+            data: null,
+            format: null,
+            type: null,
+            texture: null,
+            loaded: false
+        };
         
-        this.hdrTextures.set(textureId, {
-            url: url,
-            width: width,
-            height: height,
-            data: data,
-            format: 'HDR'
+        this.hdrTextures.set(textureId, entry);
+        
+        entry.ready = this.loadHDRImage(source, options).then(image => {
+            // Disposed while loading
+            if (this.hdrTextures.get(textureId) !== entry) return null;
+            
+            Object.assign(entry, image);
+            entry.texture = this.createHDRTexture(image);
+            entry.loaded = true;
+            
+            this.emit('hdrTextureLoaded', {
+                id: textureId,
+                width: image.width,
+                height: image.height,
+                format: image.format
+            });
+            
+            return entry;
+        }).catch(error => {
+            this.emit('error', { error });
+            return null;
         });
         
         return textureId;
     }
 
+    /**
+     * Fetch and decode an HDR image to RGBA float data
+     * EXR files decode to half floats when the renderer prefers them, unless options.type is set
+     */
+    async loadHDRImage(source, options = {}) {
+        let buffer = source;
+        
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to load HDR texture ${source}: ${response.status} ${response.statusText}`);
+            }
+            buffer = await response.arrayBuffer();
+        }
+        
+        if (EXRDecoder.isEXR(buffer)) {
+            const type = options.type || (this.hdrFloatType === 'HALF_FLOAT' ? 'half' : 'float');
+            const image = EXRDecoder.decode(buffer, { type, layer: options.layer });
+            
+            return { width: image.width, height: image.height, data: image.data, type: image.type, format: 'EXR' };
+        }
+        
+        if (ArrayBuffer.isView(buffer)) {
+            buffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+        
+        const texture = new Texture();
+        const rgb = texture._parseHDR(buffer);
+        const data = new Float32Array(texture.width * texture.height * 4);
+        
+        for (let i = 0, j = 0; i < rgb.length; i += 3, j += 4) {
+            data[j] = rgb[i];
+            data[j + 1] = rgb[i + 1];
+            data[j + 2] = rgb[i + 2];
+            data[j + 3] = 1.0;
+        }
+        
+        return { width: texture.width, height: texture.height, data, type: 'float', format: 'HDR' };
+    }
+
+    /**
+     * Upload decoded HDR pixels (RGBA, float or half float) to a 2D texture
+     */
+    createHDRTexture(image) {
+        const gl = this.gl;
+        const isHalf = image.type === 'half';
+        const type = isHalf ? (gl.HALF_FLOAT || 0x8D61) : gl.FLOAT;
+        const internalFormat = isHalf ? (gl.RGBA16F || gl.RGBA) : (gl.RGBA32F || gl.RGBA);
+        const linear = isHalf
+            ? !!gl.RGBA16F || this.hdrCapabilities.halfFloatLinear
+            : this.hdrCapabilities.floatLinear;
+        const filter = linear ? gl.LINEAR : gl.NEAREST;
+        
+        const texture = gl.createTexture();
+        this.state.bindTexture(gl.TEXTURE_2D, texture);
+        
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, image.width, image.height, 0,
+                     gl.RGBA, type, image.data);
+        
+        return texture;
+    }
+
     /**
      * Set HDR settings
      */
@@ -1241,40 +1118,21 @@ export class HDRRenderer extends WebGLRenderer {
     disposeHDR() {
         const gl = this.gl;
         
-        // Delete HDR framebuffers
-        this.hdrFramebuffers.forEach((data, id) => {
-            if (data.framebuffer) gl.deleteFramebuffer(data.framebuffer);
-            if (data.texture) gl.deleteTexture(data.texture);
-            if (data.depthBuffer) gl.deleteRenderbuffer(data.depthBuffer);
-        });
-        
-        this.hdrFramebuffers.clear();
-        
-        // Delete bloom targets
-        this.bloomTargets.forEach(target => {
-            if (target.downsample) this.hdrFramebuffers.delete(target.downsample.id);
-            if (target.upsample) this.hdrFramebuffers.delete(target.upsample.id);
-        });
-        
-        this.bloomTargets = [];
-        
-        // Delete adaptation targets
-        this.adaptationTargets?.forEach(target => {
-            this.hdrFramebuffers.delete(target.id);
-        });
+        // Delete HDR render targets
+        this.disposeHDRFramebuffers();
         
         // Delete HDR shaders
         this.shaders.forEach((programId, name) => {
-            const program = this.programs.get(programId);
-            if (program) {
-                gl.deleteProgram(program.program);
-                this.programs.delete(programId);
-            }
+            this.deleteProgram(programId);
         });
         
         this.shaders.clear();
         
-        // Clear texture cache
+        // Delete HDR textures
+        this.hdrTextures.forEach(entry => {
+            if (entry.texture) gl.deleteTexture(entry.texture);
+        });
+        
         this.hdrTextures.clear();
         
         console.log('HDR resources disposed');
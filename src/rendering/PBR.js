@@ -637,53 +637,7 @@ export class PBRMaterial {
         
         out vec4 FragColor;
         
-        // PBR Constants
-        const float PI = 3.14159265359;
-        const float TWO_PI = 6.28318530718;
-        const float INV_PI = 0.31830988618;
-        const float INV_TWO_PI = 0.15915494309;
-        
-        // PBR Functions
-        
-        float DistributionGGX(vec3 N, vec3 H, float roughness) {
-            float a = roughness * roughness;
-            float a2 = a * a;
-            float NdotH = max(dot(N, H), 0.0);
-            float NdotH2 = NdotH * NdotH;
-            
-            float num = a2;
-            float denom = (NdotH2 * (a2 - 1.0) + 1.0);
-            denom = PI * denom * denom;
-            
-            return num / denom;
-        }
-        
-        float GeometrySchlickGGX(float NdotV, float roughness) {
-            float r = (roughness + 1.0);
-            float k = (r * r) / 8.0;
-            
-            float num = NdotV;
-            float denom = NdotV * (1.0 - k) + k;
-            
-            return num / denom;
-        }
-        
-        float GeometrySmith(vec3 N, vec3 V, vec3 L, float roughness) {
-            float NdotV = max(dot(N, V), 0.0);
-            float NdotL = max(dot(N, L), 0.0);
-            float ggx2 = GeometrySchlickGGX(NdotV, roughness);
-            float ggx1 = GeometrySchlickGGX(NdotL, roughness);
-            
-            return ggx1 * ggx2;
-        }
-        
-        vec3 FresnelSchlick(float cosTheta, vec3 F0) {
-            return F0 + (1.0 - F0) * pow(1.0 - cosTheta, 5.0);
-        }
-        
-        vec3 FresnelSchlickRoughness(float cosTheta, vec3 F0, float roughness) {
-            return F0 + (max(vec3(1.0 - roughness), F0) - F0) * pow(1.0 - cosTheta, 5.0);
-        }
+        #include <bsdfs>
         
         // Hash function for noise
         float hash(vec3 p) {
@@ -718,9 +672,9 @@ export class PBRMaterial {
             vec3 F0_mix = mix(F0_dielectric, F0_metal, metallic);
             
             // Cook-Torrance BRDF
-            float D = DistributionGGX(N, H, roughness);
-            float G = GeometrySmith(N, V, L, roughness);
-            vec3 F = FresnelSchlick(max(dot(H, V), 0.0), F0_mix);
+            float D = distributionGGX(N, H, roughness);
+            float G = geometrySmith(N, V, L, roughness);
+            vec3 F = fresnelSchlick(max(dot(H, V), 0.0), F0_mix);
             
             vec3 numerator = D * G * F;
             float denominator = 4.0 * max(NdotV, 0.0) * max(NdotL, 0.0) + 0.001;
@@ -761,7 +715,7 @@ export class PBRMaterial {
             Lo += calculatePBR(N, V, L, baseColor, metallic, roughness) * radiance;
             
             // Image-based lighting
-            vec3 kS = FresnelSchlickRoughness(max(dot(N, V), 0.0), vec3(0.04), roughness);
+            vec3 kS = fresnelSchlickRoughness(max(dot(N, V), 0.0), vec3(0.04), roughness);
             vec3 kD = 1.0 - kS;
             
             vec3 ambientIrradiance = vec3(0.03);
@@ -8,6 +8,10 @@ import { Matrix4 } from '../core/math/Matrix4.js';
 import { Vector3 } from '../core/math/Vector3.js';
 import { Vector4 } from '../core/math/Vector4.js';
 import { Color } from '../core/math/Color.js';
+import { RenderTarget, CubeRenderTarget, ArrayRenderTarget, isWebGL2 } from '../core/RenderTarget.js';
+import { WebGLState } from '../core/WebGLState.js';
+import { WebGLResources } from '../core/WebGLResources.js';
+import { preprocessShader, formatShaderLog } from '../core/ShaderChunks.js';
 
 /**
  * Shadow filtering types
@@ -74,11 +78,15 @@ export class ShadowMap {
         this.gl = gl;
         this.type = options.type || ShadowMapType.BASIC;
         this.size = options.size || 1024;
-        this.format = options.format || gl.DEPTH_COMPONENT;
-        this.internalFormat = options.internalFormat || gl.DEPTH_COMPONENT16;
-        this.type = options.type || gl.UNSIGNED_SHORT;
         
-        // Framebuffer and textures
+        // Depth texture format, internal format and texel type; unset ones use the
+        // render target defaults for the context
+        this.format = options.format ?? null;
+        this.internalFormat = options.internalFormat ?? null;
+        this.texelType = options.texelType ?? null;
+        
+        // Render target and its framebuffer and textures
+        this.renderTarget = null;
         this.framebuffer = null;
         this.depthTexture = null;
         this.colorTexture = null;
@@ -117,77 +125,51 @@ export class ShadowMap {
         
         const gl = this.gl;
         
-        // Create framebuffer
-        this.framebuffer = gl.createFramebuffer();
-        if (!this.framebuffer) {
-            throw new Error('Failed to create shadow framebuffer');
-        }
+        this.renderTarget = this.createRenderTarget();
+        this.renderTarget.setup(gl);
         
-        // Create depth texture
-        this.depthTexture = this.createDepthTexture();
+        this.framebuffer = this.renderTarget.framebuffer;
+        this.depthTexture = this.renderTarget.depthTexture;
+        this.colorTexture = this.renderTarget.texture;
         
-        // Create color texture for VSM (optional)
-        if (this.supportsColorTexture()) {
-            this.colorTexture = this.createColorTexture();
-        }
-        
-        this.setupFramebuffer();
         this.setupCascades();
         
         this.initialized = true;
         this.needsUpdate = true;
         
+        // After the render target, which restores itself first
+        WebGLResources.get(gl).register(this);
+        
         console.log(`ShadowMap initialized: ${this.type}, size: ${this.size}x${this.size}`);
     }
     
     /**
-     * Create depth texture
+     * Create the render target: a cube map for omnidirectional shadows and a
+     * texture array for cascades when WebGL2 is available, a 2D map otherwise
      */
-    createDepthTexture() {
+    createRenderTarget() {
         const gl = this.gl;
-        const depthTexture = gl.createTexture();
-        
-        gl.bindTexture(gl.TEXTURE_2D, depthTexture);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        
-        gl.texImage2D(
-            gl.TEXTURE_2D, 0, 
-            gl.DEPTH_COMPONENT, 
-            this.size, this.size, 0,
-            gl.DEPTH_COMPONENT, 
-            gl.UNSIGNED_SHORT, 
-            null
-        );
+        const options = {
+            // Color texture for VSM (optional)
+            count: this.supportsColorTexture() ? 1 : 0,
+            depthTexture: true,
+            depthTextureFormat: {
+                internalFormat: this.internalFormat,
+                format: this.format,
+                type: this.texelType
+            }
+        };
         
-        return depthTexture;
-    }
-    
-    /**
-     * Create color texture for VSM
-     */
-    createColorTexture() {
-        const gl = this.gl;
-        const colorTexture = gl.createTexture();
-        
-        gl.bindTexture(gl.TEXTURE_2D, colorTexture);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        
-        gl.texImage2D(
-            gl.TEXTURE_2D, 0, 
-            gl.RGBA, 
-            this.size, this.size, 0,
-            gl.RGBA, 
-            gl.UNSIGNED_BYTE, 
-            null
-        );
+        if (isWebGL2(gl)) {
+            if (this.type === ShadowMapType.OMNIDIRECTIONAL) {
+                return new CubeRenderTarget(this.size, options);
+            }
+            if (this.type === ShadowMapType.CASCADE && this.cascadeCount > 1) {
+                return new ArrayRenderTarget(this.size, this.size, this.cascadeCount, options);
+            }
+        }
         
-        return colorTexture;
+        return new RenderTarget(this.size, this.size, options);
     }
     
     /**
@@ -198,43 +180,6 @@ export class ShadowMap {
         return gl.getExtension('WEBGL_depth_texture') !== null;
     }
     
-    /**
-     * Setup framebuffer attachments
-     */
-    setupFramebuffer() {
-        const gl = this.gl;
-        
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
-        
-        // Attach depth texture
-        gl.framebufferTexture2D(
-            gl.FRAMEBUFFER, 
-            gl.DEPTH_ATTACHMENT, 
-            gl.TEXTURE_2D, 
-            this.depthTexture, 
-            0
-        );
-        
-        // Attach color texture if available
-        if (this.colorTexture) {
-            gl.framebufferTexture2D(
-                gl.FRAMEBUFFER, 
-                gl.COLOR_ATTACHMENT0, 
-                gl.TEXTURE_2D, 
-                this.colorTexture, 
-                0
-            );
-        }
-        
-        // Check framebuffer status
-        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
-        if (status !== gl.FRAMEBUFFER_COMPLETE) {
-            throw new Error(`Shadow framebuffer incomplete: ${status}`);
-        }
-        
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    }
-    
     /**
      * Setup cascade shadow mapping
      */
@@ -261,12 +206,12 @@ export class ShadowMap {
     
     /**
      * Bind shadow map for rendering
+     * @param {number} [layerIndex=0] - Cascade layer or cube face to render into
      */
-    bind(cascadeIndex = 0) {
+    bind(layerIndex = 0) {
         const gl = this.gl;
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
-        gl.viewport(0, 0, this.size, this.size);
+        this.renderTarget.bind(gl, layerIndex);
         
         // Clear depth buffer
         gl.clear(gl.DEPTH_BUFFER_BIT);
@@ -376,26 +321,33 @@ export class ShadowMap {
         this.init();
     }
     
+    /**
+     * Pick up the recreated render target after a context loss; the depth has to be
+     * rendered again
+     * @returns {boolean} true
+     */
+    restoreContext() {
+        this.framebuffer = this.renderTarget.framebuffer;
+        this.depthTexture = this.renderTarget.depthTexture;
+        this.colorTexture = this.renderTarget.texture;
+        this.needsUpdate = true;
+        return true;
+    }
+    
     /**
      * Dispose shadow map resources
      */
     dispose() {
-        const gl = this.gl;
+        WebGLResources.get(this.gl).unregister(this);
         
-        if (this.framebuffer) {
-            gl.deleteFramebuffer(this.framebuffer);
-            this.framebuffer = null;
+        if (this.renderTarget) {
+            this.renderTarget.dispose();
+            this.renderTarget = null;
         }
         
-        if (this.depthTexture) {
-            gl.deleteTexture(this.depthTexture);
-            this.depthTexture = null;
-        }
-        
-        if (this.colorTexture) {
-            gl.deleteTexture(this.colorTexture);
-            this.colorTexture = null;
-        }
+        this.framebuffer = null;
+        this.depthTexture = null;
+        this.colorTexture = null;
         
         this.initialized = false;
     }
@@ -539,17 +491,18 @@ export class ShadowGenerator {
      */
     setupShadowRenderingState() {
         const gl = this.shadowMap.gl;
+        const state = WebGLState.get(gl);
         
         // Set culling for shadow rendering
-        gl.enable(gl.CULL_FACE);
-        gl.cullFace(gl.FRONT); // Render back faces to shadow map
+        state.enable(gl.CULL_FACE);
+        state.cullFace(gl.FRONT); // Render back faces to shadow map
         
         // Disable blending for depth-only shadows
-        gl.disable(gl.BLEND);
+        state.disable(gl.BLEND);
         
         // Ensure depth test is enabled
-        gl.enable(gl.DEPTH_TEST);
-        gl.depthFunc(gl.LEQUAL);
+        state.enable(gl.DEPTH_TEST);
+        state.depthFunc(gl.LEQUAL);
     }
     
     /**
@@ -923,9 +876,9 @@ export class DirectionalShadowGenerator extends ShadowGenerator {
      * Bind specific cascade
      */
     bindCascade(cascadeIndex) {
-        // For basic implementation, bind the whole shadow map
-        // For optimized implementation, could bind sub-regions
-        this.shadowMap.bind();
+        // Cascades are layers of an array render target under WebGL2;
+        // a WebGL1 shadow map holds a single layer that every cascade reuses
+        this.shadowMap.bind(cascadeIndex);
     }
     
     /**
@@ -933,8 +886,7 @@ export class DirectionalShadowGenerator extends ShadowGenerator {
      */
     renderCascade(scene, cascadeIndex) {
         // Set viewport for cascade
-        const gl = this.shadowMap.gl;
-        gl.viewport(0, 0, this.mapSize, this.mapSize);
+        WebGLState.get(this.shadowMap.gl).viewport(0, 0, this.mapSize, this.mapSize);
         
         // Render scene from light camera
         this.renderSceneFromCamera(scene, this.shadowMap.camera);
@@ -1031,8 +983,8 @@ export class PointShadowGenerator extends ShadowGenerator {
      * Bind specific cubemap face
      */
     bindFace(faceIndex) {
-        // Implementation would bind the specific face of the cubemap
-        this.shadowMap.bind();
+        // Faces of a cube render target under WebGL2, the single 2D map otherwise
+        this.shadowMap.bind(faceIndex);
     }
 }
 
@@ -1178,12 +1130,14 @@ export class ShadowMaterial {
     constructor(gl, options = {}) {
         this.gl = gl;
         this.vertexShader = this.getShadowVertexShader();
-        this.fragmentShader = this.getShadowFragmentShader(options);
+        this.fragmentShader = this.getShadowFragmentShader();
+        this.defines = this.getShadowDefines(options);
         this.program = null;
         this.uniforms = {};
         this.attributes = {};
         
         this.compile();
+        WebGLResources.get(gl).register(this);
     }
     
     /**
@@ -1216,32 +1170,10 @@ export class ShadowMaterial {
     }
     
     /**
-     * Get shadow fragment shader
+     * Get shadow fragment shader. The filter is chosen by the define from
+     * getShadowDefines(), so every filter type shares one source.
      */
-    getShadowFragmentShader(options = {}) {
-        const filterType = options.filterType || ShadowFilterType.PCF_3x3;
-        const bias = options.bias || 0.001;
-        const normalBias = options.normalBias || 0.0;
-        
-        let filteringCode = '';
-        
-        switch (filterType) {
-            case ShadowFilterType.PCF_2x2:
-                filteringCode = this.getPCF2x2Code();
-                break;
-            case ShadowFilterType.PCF_3x3:
-                filteringCode = this.getPCF3x3Code();
-                break;
-            case ShadowFilterType.PCF_4x4:
-                filteringCode = this.getPCF4x4Code();
-                break;
-            case ShadowFilterType.VSM:
-                filteringCode = this.getVSMCode();
-                break;
-            default:
-                filteringCode = this.getBasicShadowCode();
-        }
-        
+    getShadowFragmentShader() {
         return `
             precision mediump float;
             
@@ -1256,7 +1188,7 @@ export class ShadowMaterial {
             uniform vec2 shadowMapSize;
             uniform vec3 cameraPosition;
             
-            ${filteringCode}
+            #include <shadowmap_pars_fragment>
             
             void main() {
                 float depth = gl_FragCoord.z;
@@ -1280,122 +1212,23 @@ export class ShadowMaterial {
     }
     
     /**
-     * Basic shadow code
-     */
-    getBasicShadowCode() {
-        return `
-            float calculateShadow(vec2 uv, float depth) {
-                if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
-                    return 1.0;
-                }
-                
-                float closestDepth = texture2D(shadowMap, uv).r;
-                return (depth <= closestDepth) ? 1.0 : 0.0;
-            }
-        `;
-    }
-    
-    /**
-     * PCF 2x2 filtering code
-     */
-    getPCF2x2Code() {
-        return `
-            float calculateShadow(vec2 uv, float depth) {
-                if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
-                    return 1.0;
-                }
-                
-                float texelSize = 1.0 / shadowMapSize.x;
-                float shadow = 0.0;
-                
-                for (int x = 0; x <= 1; x++) {
-                    for (int y = 0; y <= 1; y++) {
-                        vec2 offset = vec2(float(x), float(y)) * texelSize;
-                        float closestDepth = texture2D(shadowMap, uv + offset).r;
-                        shadow += (depth <= closestDepth) ? 1.0 : 0.0;
-                    }
-                }
-                
-                return shadow / 4.0;
-            }
-        `;
-    }
-    
-    /**
-     * PCF 3x3 filtering code
-     */
-    getPCF3x3Code() {
-        return `
-            float calculateShadow(vec2 uv, float depth) {
-                if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
-                    return 1.0;
-                }
-                
-                float texelSize = 1.0 / shadowMapSize.x;
-                float shadow = 0.0;
-                float count = 0.0;
-                
-                for (int x = -1; x <= 1; x++) {
-                    for (int y = -1; y <= 1; y++) {
-                        vec2 offset = vec2(float(x), float(y)) * texelSize;
-                        float closestDepth = texture2D(shadowMap, uv + offset).r;
-                        shadow += (depth <= closestDepth) ? 1.0 : 0.0;
-                        count += 1.0;
-                    }
-                }
-                
-                return shadow / count;
-            }
-        `;
-    }
-    
-    /**
-     * PCF 4x4 filtering code
-     */
-    getPCF4x4Code() {
-        return `
-            float calculateShadow(vec2 uv, float depth) {
-                if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
-                    return 1.0;
-                }
-                
-                float texelSize = 2.0 / shadowMapSize.x;
-                float shadow = 0.0;
-                
-                for (int x = -2; x <= 1; x++) {
-                    for (int y = -2; y <= 1; y++) {
-                        vec2 offset = vec2(float(x), float(y)) * texelSize;
-                        float closestDepth = texture2D(shadowMap, uv + offset).r;
-                        shadow += (depth <= closestDepth) ? 1.0 : 0.0;
-                    }
-                }
-                
-                return shadow / 16.0;
-            }
-        `;
-    }
-    
-    /**
-     * VSM filtering code
+     * Defines selecting the shadowmap_pars_fragment filter
      */
-    getVSMCode() {
-        return `
-            float calculateShadow(vec2 uv, float depth) {
-                if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
-                    return 1.0;
-                }
-                
-                vec4 moments = texture2D(shadowMap, uv);
-                float moment1 = moments.r;
-                float moment2 = moments.g;
-                
-                float variance = max(moment2 - moment1 * moment1, 0.00001);
-                float d = depth - moment1;
-                float pMax = variance / (variance + d * d);
-                
-                return clamp(pMax, 0.0, 1.0);
-            }
-        `;
+    getShadowDefines(options = {}) {
+        const filterType = options.filterType || ShadowFilterType.PCF_3x3;
+        
+        switch (filterType) {
+            case ShadowFilterType.PCF_2x2:
+                return { SHADOWMAP_PCF_2X2: true };
+            case ShadowFilterType.PCF_3x3:
+                return { SHADOWMAP_PCF_3X3: true };
+            case ShadowFilterType.PCF_4x4:
+                return { SHADOWMAP_PCF_4X4: true };
+            case ShadowFilterType.VSM:
+                return { SHADOWMAP_VSM: true };
+            default:
+                return {};
+        }
     }
     
     /**
@@ -1451,13 +1284,17 @@ export class ShadowMaterial {
      */
     createShader(type, source) {
         const gl = this.gl;
+        const preprocessed = preprocessShader(source, {
+            defines: this.defines,
+            name: type === gl.VERTEX_SHADER ? 'vertex' : 'fragment'
+        });
         const shader = gl.createShader(type);
         
-        gl.shaderSource(shader, source);
+        gl.shaderSource(shader, preprocessed.code);
         gl.compileShader(shader);
         
         if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            const error = gl.getShaderInfoLog(shader);
+            const error = formatShaderLog(gl.getShaderInfoLog(shader), preprocessed);
             gl.deleteShader(shader);
             throw new Error(`${type} shader compilation failed: ${error}`);
         }
@@ -1469,8 +1306,7 @@ export class ShadowMaterial {
      * Use this material for rendering
      */
     use() {
-        const gl = this.gl;
-        gl.useProgram(this.program);
+        WebGLState.get(this.gl).useProgram(this.program);
     }
     
     /**
@@ -1495,12 +1331,24 @@ export class ShadowMaterial {
         }
     }
     
+    /**
+     * Rebuild the program after a context loss
+     * @returns {boolean} true
+     */
+    restoreContext() {
+        this.program = null;
+        this.compile();
+        return true;
+    }
+    
     /**
      * Dispose material
      */
     dispose() {
         const gl = this.gl;
         
+        WebGLResources.get(gl).unregister(this);
+        
         if (this.program) {
             gl.deleteProgram(this.program);
             this.program = null;
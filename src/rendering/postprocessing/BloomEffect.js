@@ -3,6 +3,8 @@
  * Creates a glow/bloom effect around bright areas using Gaussian blur
  */
 
+import { RenderTarget } from '../../core/RenderTarget.js';
+
 class BloomEffect {
     constructor(renderer, options = {}) {
         this.renderer = renderer;
@@ -47,6 +49,9 @@ class BloomEffect {
         const gl = this.renderer.getContext();
         if (!gl) return;
         
+        // Release buffers from a previous size or quality
+        this._disposeBuffers();
+        
         const size = this.renderer.getSize();
         const halfWidth = Math.floor(size.x * this.downsampleRatio);
         const halfHeight = Math.floor(size.y * this.downsampleRatio);
@@ -65,29 +70,7 @@ class BloomEffect {
     }
     
     _createRenderTarget(width, height) {
-        const gl = this.renderer.getContext();
-        const texture = gl.createTexture();
-        const framebuffer = gl.createFramebuffer();
-        
-        gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        
-        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
-        
-        gl.bindTexture(gl.TEXTURE_2D, null);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        
-        return {
-            texture: texture,
-            framebuffer: framebuffer,
-            width: width,
-            height: height
-        };
+        return new RenderTarget(width, height, { depthBuffer: false }).setup(this.renderer.getContext());
     }
     
     _createMaterials() {
@@ -222,8 +205,7 @@ class BloomEffect {
     render(scene, camera, target) {
         if (!this.enabled) return;
         
-        const gl = this.renderer.getContext();
-        const originalFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        const previousTarget = this.renderer.getRenderTarget();
         
         // Step 1: Extract bright areas
         this._renderExtractPass(scene, camera);
@@ -234,7 +216,7 @@ class BloomEffect {
         // Step 3: Combine with original
         this._renderCombinePass(scene, camera, target);
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, originalFramebuffer);
+        this.renderer.setRenderTarget(previousTarget);
     }
     
     _renderExtractPass(scene, camera) {
@@ -281,24 +263,25 @@ class BloomEffect {
     _clearTemporalBuffer() {
         // Clear temporal buffer to prevent artifacts when re-enabling
         const gl = this.renderer.getContext();
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.temporalBuffer.framebuffer);
+        const previousTarget = this.renderer.getRenderTarget();
+        
+        this.renderer.setRenderTarget(this.temporalBuffer);
         gl.clearColor(0, 0, 0, 1);
         gl.clear(gl.COLOR_BUFFER_BIT);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.renderer.setRenderTarget(previousTarget);
     }
     
-    dispose() {
-        // Clean up WebGL resources
-        const gl = this.renderer.getContext();
-        
+    _disposeBuffers() {
         [this.halfResBuffer, this.blurBuffer1, this.blurBuffer2, this.temporalBuffer].forEach(buffer => {
-            if (buffer) {
-                gl.deleteTexture(buffer.texture);
-                gl.deleteFramebuffer(buffer.framebuffer);
-            }
+            if (buffer) buffer.dispose();
         });
     }
     
+    dispose() {
+        // Clean up WebGL resources
+        this._disposeBuffers();
+    }
+    
     // Parameter setters
     setIntensity(intensity) {
         this.intensity = Math.max(0, intensity);
@@ -3,6 +3,10 @@
  * Creates realistic contact shadows in crevices and corners for enhanced depth perception
  */
 
+import { RenderTarget } from '../../core/RenderTarget.js';
+import { WebGLState } from '../../core/WebGLState.js';
+import { WebGLResources } from '../../core/WebGLResources.js';
+
 class SSAOEffect {
     constructor(renderer, options = {}) {
         this.renderer = renderer;
@@ -66,6 +70,9 @@ class SSAOEffect {
         const gl = this.renderer.getContext();
         if (!gl) return;
         
+        // Release buffers from a previous size or quality
+        this._disposeBuffers();
+        
         const size = this.renderer.getSize();
         const halfWidth = Math.floor(size.x * this.downsampleRatio);
         const halfHeight = Math.floor(size.y * this.downsampleRatio);
@@ -83,29 +90,7 @@ class SSAOEffect {
     }
     
     _createRenderTarget(width, height) {
-        const gl = this.renderer.getContext();
-        const texture = gl.createTexture();
-        const framebuffer = gl.createFramebuffer();
-        
-        gl.bindTexture(gl.TEXTURE_2D, texture);
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-        
-        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
-        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
-        
-        gl.bindTexture(gl.TEXTURE_2D, null);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-        
-        return {
-            texture: texture,
-            framebuffer: framebuffer,
-            width: width,
-            height: height
-        };
+        return new RenderTarget(width, height, { depthBuffer: false }).setup(this.renderer.getContext());
     }
     
     _generateSampleKernel() {
@@ -153,14 +138,25 @@ class SSAOEffect {
             );
         }
         
+        const state = WebGLState.get(gl);
         this.noiseTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, this.noiseTexture);
+        state.bindTexture(gl.TEXTURE_2D, this.noiseTexture);
         gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, noiseSize, noiseSize, 0, gl.RGBA, gl.FLOAT, noiseData);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
         gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-        gl.bindTexture(gl.TEXTURE_2D, null);
+        state.bindTexture(gl.TEXTURE_2D, null);
+        
+        // The render targets restore themselves; the noise texture is regenerated
+        WebGLResources.get(gl).register(this);
+    }
+    
+    restoreContext() {
+        this.noiseTexture = null;
+        this._createNoiseTexture();
+        this.needsUpdate = true;
+        return true;
     }
     
     _createMaterials() {
@@ -369,8 +365,7 @@ class SSAOEffect {
     render(scene, camera, target) {
         if (!this.enabled) return;
         
-        const gl = this.renderer.getContext();
-        const originalFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+        const previousTarget = this.renderer.getRenderTarget();
         
         // Step 1: Render SSAO
         this._renderSSAOPass(scene, camera);
@@ -381,7 +376,7 @@ class SSAOEffect {
         // Step 3: Combine with original
         this._renderCombinePass(scene, camera, target);
         
-        gl.bindFramebuffer(gl.FRAMEBUFFER, originalFramebuffer);
+        this.renderer.setRenderTarget(previousTarget);
     }
     
     _renderSSAOPass(scene, camera) {
@@ -430,24 +425,28 @@ class SSAOEffect {
     
     _clearTemporalBuffer() {
         const gl = this.renderer.getContext();
-        gl.bindFramebuffer(gl.FRAMEBUFFER, this.temporalBuffer.framebuffer);
+        const previousTarget = this.renderer.getRenderTarget();
+        
+        this.renderer.setRenderTarget(this.temporalBuffer);
         gl.clearColor(1, 1, 1, 1);
         gl.clear(gl.COLOR_BUFFER_BIT);
-        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this.renderer.setRenderTarget(previousTarget);
+    }
+    
+    _disposeBuffers() {
+        [this.halfResBuffer, this.ssaoBuffer, this.blurBuffer1, this.blurBuffer2, this.temporalBuffer].forEach(buffer => {
+            if (buffer) buffer.dispose();
+        });
     }
     
     dispose() {
         const gl = this.renderer.getContext();
         
-        [this.halfResBuffer, this.ssaoBuffer, this.blurBuffer1, this.blurBuffer2, this.temporalBuffer].forEach(buffer => {
-            if (buffer) {
-                gl.deleteTexture(buffer.texture);
-                gl.deleteFramebuffer(buffer.framebuffer);
-            }
-        });
+        this._disposeBuffers();
         
         if (this.noiseTexture) {
             gl.deleteTexture(this.noiseTexture);
+            WebGLResources.get(gl).unregister(this);
         }
     }
     
@@ -0,0 +1,422 @@
+/**
+ * BasisTranscoder - Basis Universal ETC1S/UASTC transcoding for KTX2 textures
+ * Transcodes to the best compressed format reported by TextureCompression,
+ * falling back to uncompressed RGBA8.
+ */
+
+import { TextureCompression } from '../TextureCompression.js';
+
+export const BASIS_FORMAT = {
+    ETC1S: 0,
+    UASTC: 1
+};
+
+// transcoder_texture_format values of the Basis Universal transcoder
+export const BASIS_TRANSCODER_FORMAT = {
+    ETC1_RGB: 0,
+    ETC2_RGBA: 1,
+    BC1_RGB: 2,
+    BC3_RGBA: 3,
+    BC7_RGBA: 6,
+    PVRTC1_4_RGB: 8,
+    PVRTC1_4_RGBA: 9,
+    ASTC_4x4_RGBA: 10,
+    RGBA32: 13
+};
+
+const target = (transcoderFormat, internalFormat, blockBytes, hasAlpha, constraint = null) => ({
+    transcoderFormat,
+    internalFormat,
+    compressed: true,
+    blockWidth: 4,
+    blockHeight: 4,
+    blockBytes,
+    hasAlpha,
+    constraint
+});
+
+/**
+ * Transcode targets keyed by the format names TextureCompression detects
+ */
+const TARGET_FORMATS = {
+    COMPRESSED_RGBA_ASTC: target(BASIS_TRANSCODER_FORMAT.ASTC_4x4_RGBA, 'COMPRESSED_RGBA_ASTC_4x4_KHR', 16, true),
+    COMPRESSED_RGBA_BPTC: target(BASIS_TRANSCODER_FORMAT.BC7_RGBA, 'COMPRESSED_RGBA_BPTC_UNORM_EXT', 16, true),
+    COMPRESSED_RGBA_ETC2: target(BASIS_TRANSCODER_FORMAT.ETC2_RGBA, 'COMPRESSED_RGBA8_ETC2_EAC', 16, true),
+    // ETC1 blocks are valid ETC2 RGB blocks
+    COMPRESSED_RGB_ETC2: target(BASIS_TRANSCODER_FORMAT.ETC1_RGB, 'COMPRESSED_RGB8_ETC2', 8, false),
+    COMPRESSED_RGB_ETC1: target(BASIS_TRANSCODER_FORMAT.ETC1_RGB, 'COMPRESSED_RGB_ETC1_WEBGL', 8, false),
+    COMPRESSED_RGBA_S3TC: target(BASIS_TRANSCODER_FORMAT.BC3_RGBA, 'COMPRESSED_RGBA_S3TC_DXT5_EXT', 16, true, 'multipleOfFour'),
+    COMPRESSED_RGB_S3TC: target(BASIS_TRANSCODER_FORMAT.BC1_RGB, 'COMPRESSED_RGB_S3TC_DXT1_EXT', 8, false, 'multipleOfFour'),
+    COMPRESSED_RGBA_PVRTC: target(BASIS_TRANSCODER_FORMAT.PVRTC1_4_RGBA, 'COMPRESSED_RGBA_PVRTC_4BPPV1_IMG', 8, true, 'powerOfTwo'),
+    COMPRESSED_RGB_PVRTC: target(BASIS_TRANSCODER_FORMAT.PVRTC1_4_RGB, 'COMPRESSED_RGB_PVRTC_4BPPV1_IMG', 8, false, 'powerOfTwo')
+};
+
+const RGBA8_FORMAT = {
+    transcoderFormat: BASIS_TRANSCODER_FORMAT.RGBA32,
+    internalFormat: 'RGBA8',
+    format: 'RGBA',
+    type: 'UNSIGNED_BYTE',
+    compressed: false,
+    bytesPerPixel: 4,
+    hasAlpha: true
+};
+
+// ETC1S transcodes losslessly to ETC1/ETC2, UASTC to ASTC and BC7
+const FORMAT_PRIORITY = {
+    [BASIS_FORMAT.ETC1S]: [
+        'COMPRESSED_RGB_ETC2', 'COMPRESSED_RGB_ETC1', 'COMPRESSED_RGBA_ETC2', 'COMPRESSED_RGBA_BPTC',
+        'COMPRESSED_RGB_S3TC', 'COMPRESSED_RGBA_S3TC', 'COMPRESSED_RGBA_ASTC',
+        'COMPRESSED_RGB_PVRTC', 'COMPRESSED_RGBA_PVRTC'
+    ],
+    [BASIS_FORMAT.UASTC]: [
+        'COMPRESSED_RGBA_ASTC', 'COMPRESSED_RGBA_BPTC', 'COMPRESSED_RGBA_ETC2', 'COMPRESSED_RGB_ETC2',
+        'COMPRESSED_RGB_ETC1', 'COMPRESSED_RGB_S3TC', 'COMPRESSED_RGBA_S3TC',
+        'COMPRESSED_RGB_PVRTC', 'COMPRESSED_RGBA_PVRTC'
+    ]
+};
+
+function isPowerOfTwo(value) {
+    return value > 0 && (value & (value - 1)) === 0;
+}
+
+/**
+ * Transcode every image of every level; also runs inside the worker, so it
+ * may only use its arguments
+ */
+function transcodeBasisLevels(basis, job) {
+    const { basisFormat, format, hasAlpha, globalData } = job;
+    let etc1s = null;
+
+    if (basisFormat === 0) { // BASIS_FORMAT.ETC1S
+        etc1s = new basis.LowLevelETC1SImageTranscoder();
+        if (!etc1s.decodePalettes(globalData.endpointCount, globalData.endpointsData, globalData.selectorCount, globalData.selectorsData)) {
+            etc1s.delete();
+            throw new Error('BasisTranscoder: failed to decode ETC1S palettes');
+        }
+        if (!etc1s.decodeTables(globalData.tablesData)) {
+            etc1s.delete();
+            throw new Error('BasisTranscoder: failed to decode ETC1S tables');
+        }
+    }
+
+    try {
+        return job.levels.map((level, levelIndex) => {
+            const { width, height } = level;
+            const blocksX = Math.ceil(width / 4);
+            const blocksY = Math.ceil(height / 4);
+            let byteLength;
+            let outputUnits;
+
+            if (!format.compressed) {
+                outputUnits = width * height;
+                byteLength = outputUnits * format.bytesPerPixel;
+            } else if (format.constraint === 'powerOfTwo') {
+                // PVRTC levels are never smaller than 8x8 pixels
+                byteLength = (Math.max(width, 8) * Math.max(height, 8)) / 2;
+                outputUnits = byteLength / format.blockBytes;
+            } else {
+                outputUnits = blocksX * blocksY;
+                byteLength = outputUnits * format.blockBytes;
+            }
+
+            const images = level.images.map((image) => {
+                const output = new Uint8Array(byteLength);
+                let ok;
+
+                if (etc1s) {
+                    ok = etc1s.transcodeImage(
+                        format.transcoderFormat, output, outputUnits, level.data,
+                        blocksX, blocksY, width, height, levelIndex,
+                        image.byteOffset, image.byteLength, image.alphaByteOffset, image.alphaByteLength,
+                        0, hasAlpha, (image.imageFlags & 2) !== 0 /* P-frame */, 0, 0
+                    );
+                } else {
+                    ok = basis.transcodeUASTCImage(
+                        format.transcoderFormat, output, outputUnits, level.data,
+                        blocksX, blocksY, width, height, levelIndex,
+                        image.byteOffset, image.byteLength,
+                        0, hasAlpha, false, 0, 0, -1, -1
+                    );
+                }
+
+                if (!ok) {
+                    throw new Error(`BasisTranscoder: failed to transcode level ${levelIndex}`);
+                }
+                return output;
+            });
+
+            return { width, height, images };
+        });
+    } finally {
+        if (etc1s) {
+            etc1s.delete();
+        }
+    }
+}
+
+/**
+ * Entry point of the transcoder worker; serialized alongside transcodeBasisLevels
+ */
+function basisWorkerMain() {
+    let transcoderPending;
+
+    self.onmessage = (event) => {
+        const message = event.data;
+
+        switch (message.type) {
+            case 'init':
+                // Defined by the transcoder script the worker source starts with
+                transcoderPending = self.BASIS(message.transcoderConfig).then((basis) => {
+                    basis.initializeBasis();
+                    return basis;
+                });
+                break;
+
+            case 'transcode':
+                transcoderPending.then((basis) => {
+                    try {
+                        const levels = transcodeBasisLevels(basis, message.job);
+                        const transfer = [];
+                        levels.forEach(level => level.images.forEach(image => transfer.push(image.buffer)));
+                        self.postMessage({ type: 'transcode', id: message.id, levels }, transfer);
+                    } catch (error) {
+                        self.postMessage({ type: 'error', id: message.id, error: error.message });
+                    }
+                });
+                break;
+        }
+    };
+}
+
+export class BasisTranscoder {
+    constructor(options = {}) {
+        // basis_transcoder.js + basis_transcoder.wasm from the Basis Universal
+        // WebGL build are loaded from transcoderPath on first use
+        this.transcoderPath = options.transcoderPath || 'basis/';
+        this.transcoderModule = options.transcoderModule || null;
+        this.useWorker = options.useWorker !== false;
+        this.supportedFormats = new Set(options.supportedFormats || []);
+
+        this.worker = null;
+        this.pendingJobs = new Map();
+        this.jobIdCounter = 0;
+        this.transcoderPending = null;
+    }
+
+    setTranscoderPath(path) {
+        this.transcoderPath = path;
+        this._reset();
+    }
+
+    /**
+     * Use an already initialized transcoder module (e.g. in Node)
+     */
+    setTranscoderModule(module) {
+        this.transcoderModule = module;
+        this._reset();
+    }
+
+    /**
+     * Record the compressed formats transcoding may target
+     * @param {TextureCompression|WebGLRenderingContext|string[]} source - A TextureCompression
+     *        instance, a WebGL context, or TextureCompression format names
+     */
+    detectSupport(source) {
+        let formats;
+
+        if (Array.isArray(source)) {
+            formats = source;
+        } else {
+            const compression = source && source.compressedFormats ? source : new TextureCompression(source);
+            formats = compression.compressedFormats.available.map(entry => entry.format);
+        }
+
+        this.supportedFormats = new Set(formats);
+        return this;
+    }
+
+    /**
+     * Pick the transcode target for an image
+     * @param {number} basisFormat - BASIS_FORMAT.ETC1S or BASIS_FORMAT.UASTC
+     */
+    selectFormat(basisFormat, width, height, hasAlpha) {
+        for (const name of FORMAT_PRIORITY[basisFormat]) {
+            const format = TARGET_FORMATS[name];
+
+            if (!this.supportedFormats.has(name) || (hasAlpha && !format.hasAlpha)) continue;
+            if (format.constraint === 'multipleOfFour' && (width % 4 !== 0 || height % 4 !== 0)) continue;
+            if (format.constraint === 'powerOfTwo' && !(width === height && isPowerOfTwo(width))) continue;
+
+            return format;
+        }
+
+        return RGBA8_FORMAT;
+    }
+
+    /**
+     * Transcode a Basis-encoded KTX2 container
+     * @param {KTX2Container} container - Parsed ETC1S or UASTC container
+     * @returns {Promise<Object>} { format, levels: [{ width, height, images: Uint8Array[] }] }
+     */
+    async transcode(container) {
+        if (!container.isBasis) {
+            throw new Error('BasisTranscoder: container is not ETC1S or UASTC encoded');
+        }
+
+        const basisFormat = container.isETC1S ? BASIS_FORMAT.ETC1S : BASIS_FORMAT.UASTC;
+        const hasAlpha = container.hasAlpha;
+        const format = this.selectFormat(basisFormat, container.pixelWidth, container.pixelHeight, hasAlpha);
+        const job = this._createJob(container, basisFormat, format, hasAlpha);
+        const { basis, worker } = await this._initTranscoder();
+
+        if (!worker) {
+            return { format, levels: transcodeBasisLevels(basis, job) };
+        }
+
+        const jobId = ++this.jobIdCounter;
+        const levels = await new Promise((resolve, reject) => {
+            this.pendingJobs.set(jobId, { resolve, reject });
+            worker.postMessage({ type: 'transcode', id: jobId, job });
+        });
+
+        return { format, levels };
+    }
+
+    _createJob(container, basisFormat, format, hasAlpha) {
+        const globalData = container.globalData;
+        const levels = [];
+        let imageDescIndex = 0;
+
+        for (let level = 0; level < container.levels.length; level++) {
+            const { width, height } = container.getLevelSize(level);
+            const data = container.getLevelData(level);
+            const count = container.getLevelImageCount(level);
+            const images = [];
+
+            if (basisFormat === BASIS_FORMAT.ETC1S) {
+                for (let i = 0; i < count; i++) {
+                    const desc = globalData.imageDescs[imageDescIndex++];
+                    images.push({
+                        imageFlags: desc.imageFlags,
+                        byteOffset: desc.rgbSliceByteOffset,
+                        byteLength: desc.rgbSliceByteLength,
+                        alphaByteOffset: desc.alphaSliceByteOffset,
+                        alphaByteLength: desc.alphaSliceByteLength
+                    });
+                }
+            } else {
+                const imageSize = data.byteLength / count;
+                for (let i = 0; i < count; i++) {
+                    images.push({ imageFlags: 0, byteOffset: i * imageSize, byteLength: imageSize, alphaByteOffset: 0, alphaByteLength: 0 });
+                }
+            }
+
+            levels.push({ width, height, data, images });
+        }
+
+        return {
+            basisFormat,
+            format,
+            hasAlpha,
+            globalData: globalData && {
+                endpointCount: globalData.endpointCount,
+                endpointsData: globalData.endpointsData,
+                selectorCount: globalData.selectorCount,
+                selectorsData: globalData.selectorsData,
+                tablesData: globalData.tablesData
+            },
+            levels
+        };
+    }
+
+    _initTranscoder() {
+        if (this.transcoderPending) {
+            return this.transcoderPending;
+        }
+
+        if (this.transcoderModule) {
+            this.transcoderModule.initializeBasis();
+            this.transcoderPending = Promise.resolve({ basis: this.transcoderModule });
+            return this.transcoderPending;
+        }
+
+        this.transcoderPending = this._loadTranscoderSources().then(({ jsSource, wasmBinary }) => {
+            const transcoderConfig = { wasmBinary };
+
+            if (this.useWorker && typeof Worker !== 'undefined' && typeof Blob !== 'undefined') {
+                const workerSource = [
+                    jsSource,
+                    transcodeBasisLevels.toString(),
+                    `(${basisWorkerMain.toString()})();`
+                ].join('\n');
+                const url = URL.createObjectURL(new Blob([workerSource], { type: 'application/javascript' }));
+
+                this.worker = new Worker(url);
+                this.worker.onmessage = (event) => this._onWorkerMessage(event.data);
+                this.worker.postMessage({ type: 'init', transcoderConfig }, [wasmBinary]);
+                return { worker: this.worker };
+            }
+
+            // No worker support: instantiate the transcoder on this thread
+            const BASIS = new Function(`${jsSource}\nreturn BASIS;`)();
+            return BASIS(transcoderConfig).then((basis) => {
+                basis.initializeBasis();
+                return { basis };
+            });
+        });
+
+        // Allow a later retry if the transcoder files could not be loaded
+        this.transcoderPending.catch(() => {
+            this.transcoderPending = null;
+        });
+
+        return this.transcoderPending;
+    }
+
+    async _loadTranscoderSources() {
+        const load = async (file, type) => {
+            const response = await fetch(this.transcoderPath + file);
+            if (!response.ok) {
+                throw new Error(`Failed to load Basis transcoder ${file}: HTTP ${response.status}`);
+            }
+            return type === 'text' ? response.text() : response.arrayBuffer();
+        };
+
+        const [jsSource, wasmBinary] = await Promise.all([
+            load('basis_transcoder.js', 'text'),
+            load('basis_transcoder.wasm', 'arraybuffer')
+        ]);
+        return { jsSource, wasmBinary };
+    }
+
+    _onWorkerMessage(message) {
+        const job = this.pendingJobs.get(message.id);
+        if (!job) return;
+
+        this.pendingJobs.delete(message.id);
+        if (message.type === 'error') {
+            job.reject(new Error(message.error));
+        } else {
+            job.resolve(message.levels);
+        }
+    }
+
+    _reset() {
+        this.dispose();
+        this.transcoderPending = null;
+    }
+
+    dispose() {
+        if (this.worker && this.worker.terminate) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+
+        for (const { reject } of this.pendingJobs.values()) {
+            reject(new Error('Basis transcoder terminated'));
+        }
+        this.pendingJobs.clear();
+    }
+}
+
+export default BasisTranscoder;
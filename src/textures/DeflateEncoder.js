@@ -0,0 +1,618 @@
+/**
+ * DeflateEncoder - DEFLATE (RFC 1951) compression with zlib (RFC 1950) framing
+ * LZ77 matching over hash chains; each block is written stored, with the fixed
+ * codes or with its own Huffman codes, whichever is smallest. Used for PNG output.
+ */
+
+const WINDOW_SIZE = 32768;
+const WINDOW_MASK = WINDOW_SIZE - 1;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+
+// Symbols buffered before a block is flushed
+const BLOCK_SYMBOLS = 16384;
+const MAX_STORED = 65535;
+
+const END_OF_BLOCK = 256;
+const MAX_BITS = 15;
+const MAX_CODE_LENGTH_BITS = 7;
+
+const LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+
+const DISTANCE_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA_BITS = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Match search effort per compression level (0 stores only)
+const LEVELS = [
+    { chain: 0, nice: 0 },
+    { chain: 4, nice: 8 },
+    { chain: 8, nice: 16 },
+    { chain: 16, nice: 32 },
+    { chain: 32, nice: 64 },
+    { chain: 64, nice: 128 },
+    { chain: 128, nice: 128 },
+    { chain: 256, nice: 258 },
+    { chain: 1024, nice: 258 },
+    { chain: 4096, nice: 258 }
+];
+
+let lengthCodes = null;
+let fixedCodes = null;
+
+/**
+ * Length (3..258) to length code index, and distance to distance code lookups
+ */
+function getLengthCode(length) {
+    if (!lengthCodes) {
+        lengthCodes = new Uint8Array(MAX_MATCH + 1);
+        for (let code = 0; code < LENGTH_BASE.length; code++) {
+            const end = code + 1 < LENGTH_BASE.length ? LENGTH_BASE[code + 1] : MAX_MATCH + 1;
+            lengthCodes.fill(code, LENGTH_BASE[code], end);
+        }
+        // 258 has its own code rather than 227 + 31
+        lengthCodes[MAX_MATCH] = LENGTH_BASE.length - 1;
+    }
+    return lengthCodes[length];
+}
+
+function getDistanceCode(distance) {
+    let code = 0;
+    while (code < DISTANCE_BASE.length - 1 && DISTANCE_BASE[code + 1] <= distance) code++;
+    return code;
+}
+
+function reverseBits(value, length) {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+        reversed |= ((value >> i) & 1) << (length - 1 - i);
+    }
+    return reversed;
+}
+
+/**
+ * Canonical codes for a set of code lengths, bit-reversed for LSB-first output
+ */
+function buildCodes(lengths) {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const nextCode = new Uint16Array(MAX_BITS + 2);
+    let code = 0;
+    for (let bits = 1; bits <= MAX_BITS; bits++) {
+        code = (code + counts[bits - 1]) << 1;
+        nextCode[bits] = code;
+    }
+
+    const codes = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        const length = lengths[symbol];
+        if (length) codes[symbol] = reverseBits(nextCode[length]++, length);
+    }
+    return codes;
+}
+
+function getFixedCodes() {
+    if (!fixedCodes) {
+        const literalLengths = new Uint8Array(288);
+        literalLengths.fill(8, 0, 144);
+        literalLengths.fill(9, 144, 256);
+        literalLengths.fill(7, 256, 280);
+        literalLengths.fill(8, 280, 288);
+        const distanceLengths = new Uint8Array(30).fill(5);
+
+        fixedCodes = {
+            literalLengths,
+            literalCodes: buildCodes(literalLengths),
+            distanceLengths,
+            distanceCodes: buildCodes(distanceLengths)
+        };
+    }
+    return fixedCodes;
+}
+
+/**
+ * Huffman code lengths for symbol frequencies, limited to maxLength bits.
+ * At least two symbols get a code so the result is always a complete code.
+ */
+function buildLengths(frequencies, maxLength) {
+    const count = frequencies.length;
+    const lengths = new Uint8Array(count);
+    const symbols = [];
+
+    for (let symbol = 0; symbol < count; symbol++) {
+        if (frequencies[symbol] > 0) symbols.push(symbol);
+    }
+    for (let symbol = 0; symbols.length < 2 && symbol < count; symbol++) {
+        if (frequencies[symbol] === 0) symbols.push(symbol);
+    }
+
+    symbols.sort((a, b) => frequencies[a] - frequencies[b] || a - b);
+
+    // Two-queue Huffman construction over the sorted leaves
+    const leafCount = symbols.length;
+    const weights = new Float64Array(leafCount * 2);
+    const parents = new Int32Array(leafCount * 2);
+    for (let i = 0; i < leafCount; i++) weights[i] = frequencies[symbols[i]];
+
+    let leaf = 0;
+    let internalHead = leafCount;
+    let internalTail = leafCount;
+
+    const takeSmallest = () => {
+        if (leaf < leafCount && (internalHead >= internalTail || weights[leaf] <= weights[internalHead])) {
+            return leaf++;
+        }
+        return internalHead++;
+    };
+
+    while (internalTail < leafCount * 2 - 1) {
+        const a = takeSmallest();
+        const b = takeSmallest();
+        weights[internalTail] = weights[a] + weights[b];
+        parents[a] = internalTail;
+        parents[b] = internalTail;
+        internalTail++;
+    }
+
+    // Depths from the root down; the root is the last internal node
+    const depths = new Uint8Array(leafCount * 2);
+    const root = internalTail - 1;
+    for (let node = root - 1; node >= 0; node--) {
+        depths[node] = depths[parents[node]] + 1;
+    }
+
+    // Count lengths, clamping overlong codes, then rebalance (as in zlib's gen_bitlen)
+    const bitCounts = new Uint16Array(MAX_BITS + 1);
+    let overflow = 0;
+    for (let i = 0; i < leafCount; i++) {
+        let depth = depths[i];
+        if (depth > maxLength) {
+            depth = maxLength;
+            overflow++;
+        }
+        bitCounts[depth]++;
+    }
+
+    while (overflow > 0) {
+        let bits = maxLength - 1;
+        while (bitCounts[bits] === 0) bits--;
+        bitCounts[bits]--;
+        bitCounts[bits + 1] += 2;
+        bitCounts[maxLength]--;
+        overflow -= 2;
+    }
+
+    // Longest codes go to the least frequent symbols
+    let index = 0;
+    for (let bits = maxLength; bits > 0; bits--) {
+        for (let n = bitCounts[bits]; n > 0; n--) {
+            lengths[symbols[index++]] = bits;
+        }
+    }
+
+    return lengths;
+}
+
+/**
+ * Run-length encode literal/length and distance code lengths with symbols 16-18
+ */
+function encodeCodeLengths(lengths) {
+    const symbols = [];
+    let i = 0;
+
+    while (i < lengths.length) {
+        const value = lengths[i];
+        let run = 1;
+        while (i + run < lengths.length && lengths[i + run] === value) run++;
+
+        if (value === 0 && run >= 3) {
+            const repeat = Math.min(run, 138);
+            symbols.push(repeat >= 11 ? [18, repeat - 11] : [17, repeat - 3]);
+            i += repeat;
+            continue;
+        }
+
+        symbols.push([value, 0]);
+        i++;
+        run--;
+
+        while (value !== 0 && run >= 3) {
+            const repeat = Math.min(run, 6);
+            symbols.push([16, repeat - 3]);
+            i += repeat;
+            run -= repeat;
+        }
+    }
+
+    return symbols;
+}
+
+const CODE_LENGTH_EXTRA_BITS = { 16: 2, 17: 3, 18: 7 };
+
+class BitWriter {
+    constructor(capacity) {
+        this.data = new Uint8Array(Math.max(capacity, 1024));
+        this.length = 0;
+        this.buffer = 0;
+        this.count = 0;
+    }
+
+    reserve(size) {
+        if (this.length + size <= this.data.length) return;
+
+        let capacity = this.data.length * 2;
+        while (capacity < this.length + size) capacity *= 2;
+
+        const data = new Uint8Array(capacity);
+        data.set(this.data.subarray(0, this.length));
+        this.data = data;
+    }
+
+    writeBits(value, bits) {
+        this.buffer |= value << this.count;
+        this.count += bits;
+
+        while (this.count >= 8) {
+            this.reserve(1);
+            this.data[this.length++] = this.buffer & 0xff;
+            this.buffer >>>= 8;
+            this.count -= 8;
+        }
+    }
+
+    alignToByte() {
+        if (this.count > 0) this.writeBits(0, 8 - this.count);
+    }
+
+    writeBytes(bytes) {
+        this.reserve(bytes.length);
+        this.data.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    finish() {
+        this.alignToByte();
+        return this.data.slice(0, this.length);
+    }
+}
+
+class Deflater {
+    constructor(data, level) {
+        this.data = data;
+        this.settings = LEVELS[level];
+        this.writer = new BitWriter((data.length >> 1) + 64);
+
+        this.head = new Int32Array(HASH_SIZE).fill(-1);
+        this.prev = new Int32Array(WINDOW_SIZE);
+
+        this.literals = new Uint16Array(BLOCK_SYMBOLS);
+        this.distances = new Uint16Array(BLOCK_SYMBOLS);
+        this.symbolCount = 0;
+        this.blockStart = 0;
+    }
+
+    hash(position) {
+        const data = this.data;
+        return ((data[position] << 10) ^ (data[position + 1] << 5) ^ data[position + 2]) & (HASH_SIZE - 1);
+    }
+
+    insert(position) {
+        const hash = this.hash(position);
+        this.prev[position & WINDOW_MASK] = this.head[hash];
+        this.head[hash] = position;
+    }
+
+    findMatch(position) {
+        const data = this.data;
+        const limit = Math.min(MAX_MATCH, data.length - position);
+        if (limit < MIN_MATCH) return { length: 0, distance: 0 };
+
+        let candidate = this.head[this.hash(position)];
+        let chain = this.settings.chain;
+        let bestLength = MIN_MATCH - 1;
+        let bestDistance = 0;
+
+        while (candidate >= 0 && position - candidate <= WINDOW_SIZE && chain-- > 0) {
+            if (data[candidate + bestLength] === data[position + bestLength]) {
+                let length = 0;
+                while (length < limit && data[candidate + length] === data[position + length]) length++;
+
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = position - candidate;
+                    if (length >= this.settings.nice || length === limit) break;
+                }
+            }
+
+            const next = this.prev[candidate & WINDOW_MASK];
+            if (next >= candidate) break;
+            candidate = next;
+        }
+
+        return bestLength >= MIN_MATCH ? { length: bestLength, distance: bestDistance } : { length: 0, distance: 0 };
+    }
+
+    run() {
+        const data = this.data;
+        let position = 0;
+
+        if (this.settings.chain === 0) {
+            this.writeStored(0, data.length, true);
+            return this.writer.finish();
+        }
+
+        while (position < data.length) {
+            const { length, distance } = this.findMatch(position);
+
+            if (length) {
+                this.pushSymbol(length, distance);
+                const end = Math.min(position + length, data.length - MIN_MATCH + 1);
+                for (let i = position; i < end; i++) this.insert(i);
+                position += length;
+            } else {
+                this.pushSymbol(data[position], 0);
+                if (position + MIN_MATCH <= data.length) this.insert(position);
+                position++;
+            }
+
+            if (this.symbolCount === BLOCK_SYMBOLS) {
+                this.flushBlock(position, false);
+            }
+        }
+
+        this.flushBlock(position, true);
+        return this.writer.finish();
+    }
+
+    pushSymbol(literalOrLength, distance) {
+        this.literals[this.symbolCount] = literalOrLength;
+        this.distances[this.symbolCount] = distance;
+        this.symbolCount++;
+    }
+
+    flushBlock(end, last) {
+        const literalFrequencies = new Uint32Array(286);
+        const distanceFrequencies = new Uint32Array(30);
+        let extraBits = 0;
+
+        for (let i = 0; i < this.symbolCount; i++) {
+            const distance = this.distances[i];
+            if (distance === 0) {
+                literalFrequencies[this.literals[i]]++;
+            } else {
+                const lengthCode = getLengthCode(this.literals[i]);
+                const distanceCode = getDistanceCode(distance);
+                literalFrequencies[257 + lengthCode]++;
+                distanceFrequencies[distanceCode]++;
+                extraBits += LENGTH_EXTRA_BITS[lengthCode] + DISTANCE_EXTRA_BITS[distanceCode];
+            }
+        }
+        literalFrequencies[END_OF_BLOCK]++;
+
+        const fixed = getFixedCodes();
+        const dynamic = this.buildDynamicHeader(literalFrequencies, distanceFrequencies);
+
+        const cost = (lengths, frequencies) => {
+            let bits = 0;
+            for (let i = 0; i < frequencies.length; i++) bits += frequencies[i] * lengths[i];
+            return bits;
+        };
+
+        const fixedBits = 3 + extraBits +
+            cost(fixed.literalLengths, literalFrequencies) + cost(fixed.distanceLengths, distanceFrequencies);
+        const dynamicBits = 3 + extraBits + dynamic.headerBits +
+            cost(dynamic.literalLengths, literalFrequencies) + cost(dynamic.distanceLengths, distanceFrequencies);
+        const storedBytes = end - this.blockStart;
+        const storedBits = (storedBytes + 5 * Math.ceil(Math.max(storedBytes, 1) / MAX_STORED)) * 8 + 7;
+
+        if (storedBits <= Math.min(fixedBits, dynamicBits)) {
+            this.writeStored(this.blockStart, end, last);
+        } else if (fixedBits <= dynamicBits) {
+            this.writer.writeBits(last ? 1 : 0, 1);
+            this.writer.writeBits(1, 2);
+            this.writeSymbols(fixed.literalCodes, fixed.literalLengths, fixed.distanceCodes, fixed.distanceLengths);
+        } else {
+            this.writer.writeBits(last ? 1 : 0, 1);
+            this.writer.writeBits(2, 2);
+            this.writeDynamicHeader(dynamic);
+            this.writeSymbols(
+                buildCodes(dynamic.literalLengths), dynamic.literalLengths,
+                buildCodes(dynamic.distanceLengths), dynamic.distanceLengths
+            );
+        }
+
+        this.symbolCount = 0;
+        this.blockStart = end;
+    }
+
+    buildDynamicHeader(literalFrequencies, distanceFrequencies) {
+        const literalLengths = buildLengths(literalFrequencies, MAX_BITS);
+        const distanceLengths = buildLengths(distanceFrequencies, MAX_BITS);
+
+        let literalCount = 286;
+        while (literalCount > 257 && literalLengths[literalCount - 1] === 0) literalCount--;
+        let distanceCount = 30;
+        while (distanceCount > 1 && distanceLengths[distanceCount - 1] === 0) distanceCount--;
+
+        const combined = new Uint8Array(literalCount + distanceCount);
+        combined.set(literalLengths.subarray(0, literalCount));
+        combined.set(distanceLengths.subarray(0, distanceCount), literalCount);
+
+        const codeLengthSymbols = encodeCodeLengths(combined);
+        const codeLengthFrequencies = new Uint32Array(19);
+        for (const [symbol] of codeLengthSymbols) codeLengthFrequencies[symbol]++;
+
+        const codeLengthLengths = buildLengths(codeLengthFrequencies, MAX_CODE_LENGTH_BITS);
+
+        let codeLengthCount = 19;
+        while (codeLengthCount > 4 && codeLengthLengths[CODE_LENGTH_ORDER[codeLengthCount - 1]] === 0) codeLengthCount--;
+
+        let headerBits = 5 + 5 + 4 + codeLengthCount * 3;
+        for (const [symbol] of codeLengthSymbols) {
+            headerBits += codeLengthLengths[symbol] + (CODE_LENGTH_EXTRA_BITS[symbol] || 0);
+        }
+
+        return {
+            literalLengths,
+            distanceLengths,
+            literalCount,
+            distanceCount,
+            codeLengthSymbols,
+            codeLengthLengths,
+            codeLengthCount,
+            headerBits
+        };
+    }
+
+    writeDynamicHeader(header) {
+        const writer = this.writer;
+        const codeLengthCodes = buildCodes(header.codeLengthLengths);
+
+        writer.writeBits(header.literalCount - 257, 5);
+        writer.writeBits(header.distanceCount - 1, 5);
+        writer.writeBits(header.codeLengthCount - 4, 4);
+
+        for (let i = 0; i < header.codeLengthCount; i++) {
+            writer.writeBits(header.codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+        }
+
+        for (const [symbol, extra] of header.codeLengthSymbols) {
+            writer.writeBits(codeLengthCodes[symbol], header.codeLengthLengths[symbol]);
+            if (symbol >= 16) writer.writeBits(extra, CODE_LENGTH_EXTRA_BITS[symbol]);
+        }
+    }
+
+    writeSymbols(literalCodes, literalLengths, distanceCodes, distanceLengths) {
+        const writer = this.writer;
+
+        for (let i = 0; i < this.symbolCount; i++) {
+            const distance = this.distances[i];
+            const value = this.literals[i];
+
+            if (distance === 0) {
+                writer.writeBits(literalCodes[value], literalLengths[value]);
+                continue;
+            }
+
+            const lengthCode = getLengthCode(value);
+            const symbol = 257 + lengthCode;
+            writer.writeBits(literalCodes[symbol], literalLengths[symbol]);
+            writer.writeBits(value - LENGTH_BASE[lengthCode], LENGTH_EXTRA_BITS[lengthCode]);
+
+            const distanceCode = getDistanceCode(distance);
+            writer.writeBits(distanceCodes[distanceCode], distanceLengths[distanceCode]);
+            writer.writeBits(distance - DISTANCE_BASE[distanceCode], DISTANCE_EXTRA_BITS[distanceCode]);
+        }
+
+        writer.writeBits(literalCodes[END_OF_BLOCK], literalLengths[END_OF_BLOCK]);
+    }
+
+    writeStored(start, end, last) {
+        const writer = this.writer;
+
+        do {
+            const length = Math.min(end - start, MAX_STORED);
+            const final = last && start + length === end;
+
+            writer.writeBits(final ? 1 : 0, 1);
+            writer.writeBits(0, 2);
+            writer.alignToByte();
+            writer.writeBytes([length & 0xff, length >> 8, ~length & 0xff, (~length >> 8) & 0xff]);
+            writer.writeBytes(this.data.subarray(start, start + length));
+
+            start += length;
+        } while (start < end);
+    }
+}
+
+function toUint8Array(source) {
+    if (source instanceof Uint8Array) return source;
+    if (ArrayBuffer.isView(source)) {
+        return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+    return new Uint8Array(source);
+}
+
+function adler32(data) {
+    let a = 1;
+    let b = 0;
+
+    for (let i = 0; i < data.length;) {
+        // Largest run before the sums can overflow 2^32
+        const end = Math.min(i + 5552, data.length);
+        for (; i < end; i++) {
+            a += data[i];
+            b += a;
+        }
+        a %= 65521;
+        b %= 65521;
+    }
+
+    return ((b << 16) | a) >>> 0;
+}
+
+function getLevel(options) {
+    const level = options.level === undefined ? 6 : options.level;
+    if (!Number.isInteger(level) || level < 0 || level > 9) {
+        throw new Error(`Deflate: invalid compression level ${options.level}`);
+    }
+    return level;
+}
+
+export class DeflateEncoder {
+    /**
+     * Compress data into a zlib stream
+     * @param {Uint8Array|ArrayBuffer} source - Data to compress
+     * @param {Object} [options] - { level: 0-9 }, 0 stores without compression
+     * @returns {Uint8Array} zlib stream including header and Adler-32 checksum
+     */
+    static compress(source, options = {}) {
+        const data = toUint8Array(source);
+        const deflated = new Deflater(data, getLevel(options)).run();
+
+        const output = new Uint8Array(deflated.length + 6);
+        output[0] = 0x78;
+        output[1] = 0x9c;
+        output.set(deflated, 2);
+
+        const checksum = adler32(data);
+        const end = output.length;
+        output[end - 4] = checksum >>> 24;
+        output[end - 3] = (checksum >>> 16) & 0xff;
+        output[end - 2] = (checksum >>> 8) & 0xff;
+        output[end - 1] = checksum & 0xff;
+
+        return output;
+    }
+
+    /**
+     * Compress data into a raw DEFLATE stream (no zlib header or checksum)
+     * @param {Uint8Array|ArrayBuffer} source - Data to compress
+     * @param {Object} [options] - { level: 0-9 }
+     * @returns {Uint8Array} Compressed data
+     */
+    static deflateRaw(source, options = {}) {
+        return new Deflater(toUint8Array(source), getLevel(options)).run();
+    }
+}
+
+export default DeflateEncoder;
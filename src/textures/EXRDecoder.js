@@ -0,0 +1,1188 @@
+/**
+ * EXRDecoder - OpenEXR image decoding
+ * Decodes single-part scanline and tiled files with HALF, FLOAT and UINT channels
+ * stored with NONE, RLE, ZIPS, ZIP or PIZ compression into interleaved RGBA data,
+ * either as 32-bit floats or as half floats (Uint16Array).
+ */
+
+import { InflateDecoder } from './InflateDecoder.js';
+
+const EXR_MAGIC = 20000630;
+
+const TILED_FLAG = 0x200;
+const NON_IMAGE_FLAG = 0x800;
+const MULTI_PART_FLAG = 0x1000;
+
+export const EXR_COMPRESSION = {
+    NONE: 0,
+    RLE: 1,
+    ZIPS: 2,
+    ZIP: 3,
+    PIZ: 4,
+    PXR24: 5,
+    B44: 6,
+    B44A: 7,
+    DWAA: 8,
+    DWAB: 9
+};
+
+export const EXR_PIXEL_TYPE = {
+    UINT: 0,
+    HALF: 1,
+    FLOAT: 2
+};
+
+export const EXR_LEVEL_MODE = {
+    ONE_LEVEL: 0,
+    MIPMAP_LEVELS: 1,
+    RIPMAP_LEVELS: 2
+};
+
+const COMPRESSION_NAMES = Object.keys(EXR_COMPRESSION);
+
+// Scanlines per chunk of a scanline file, per compression method
+const LINES_PER_BLOCK = [1, 1, 1, 16, 32, 16, 32, 32, 32, 256];
+
+const BYTES_PER_SAMPLE = [4, 2, 4];
+
+// Output component(s) written by each recognised channel name
+const CHANNEL_COMPONENTS = new Map([
+    ['R', [0]],
+    ['G', [1]],
+    ['B', [2]],
+    ['A', [3]],
+    ['Y', [0, 1, 2]]
+]);
+
+const HALF_ONE = 0x3c00;
+
+// PIZ: wavelet + Huffman coding (see OpenEXR ImfPizCompressor / ImfHuf / ImfWav)
+const USHORT_RANGE = 1 << 16;
+const BITMAP_SIZE = USHORT_RANGE >> 3;
+
+const HUF_ENCBITS = 16;
+const HUF_DECBITS = 14;
+const HUF_ENCSIZE = (1 << HUF_ENCBITS) + 1;
+const HUF_DECSIZE = 1 << HUF_DECBITS;
+const HUF_DECMASK = HUF_DECSIZE - 1;
+
+const SHORT_ZEROCODE_RUN = 59;
+const LONG_ZEROCODE_RUN = 63;
+const SHORTEST_LONG_RUN = 2 + LONG_ZEROCODE_RUN - SHORT_ZEROCODE_RUN;
+
+// Longest code the bit reader can hold without losing precision
+const HUF_MAX_CODE_LENGTH = 44;
+
+const floatView = new Float32Array(1);
+const uint32View = new Uint32Array(floatView.buffer);
+
+let halfTable = null;
+
+function getHalfTable() {
+    if (!halfTable) {
+        halfTable = new Float32Array(USHORT_RANGE);
+
+        for (let h = 0; h < USHORT_RANGE; h++) {
+            const sign = h & 0x8000 ? -1 : 1;
+            const exponent = (h >> 10) & 0x1f;
+            const mantissa = h & 0x3ff;
+
+            if (exponent === 0) {
+                halfTable[h] = sign * mantissa * Math.pow(2, -24);
+            } else if (exponent === 31) {
+                halfTable[h] = mantissa ? NaN : sign * Infinity;
+            } else {
+                halfTable[h] = sign * (1 + mantissa / 1024) * Math.pow(2, exponent - 15);
+            }
+        }
+    }
+    return halfTable;
+}
+
+function halfToFloat(value) {
+    return getHalfTable()[value & 0xffff];
+}
+
+/**
+ * Round a float to the nearest half float (ties to even); out of range values become infinity
+ */
+function floatToHalf(value) {
+    floatView[0] = value;
+    const x = uint32View[0];
+
+    const sign = (x >> 16) & 0x8000;
+    const exponent = ((x >> 23) & 0xff) - 112;
+    const mantissa = x & 0x007fffff;
+
+    if (exponent === 143) {
+        // Infinity or NaN
+        return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+    }
+
+    if (exponent >= 31) return sign | 0x7c00;
+
+    if (exponent <= 0) {
+        if (exponent < -10) return sign;
+
+        // Subnormal half: shift in the implicit leading bit
+        const shift = 14 - exponent;
+        const full = mantissa | 0x800000;
+        const halfway = 1 << (shift - 1);
+        const remainder = full & ((1 << shift) - 1);
+        let bits = full >> shift;
+
+        if (remainder > halfway || (remainder === halfway && (bits & 1))) bits++;
+        return sign | bits;
+    }
+
+    // A carry out of the mantissa correctly bumps the exponent
+    let bits = (exponent << 10) | (mantissa >> 13);
+    const remainder = mantissa & 0x1fff;
+
+    if (remainder > 0x1000 || (remainder === 0x1000 && (bits & 1))) bits++;
+    return sign | bits;
+}
+
+function toUint8Array(source) {
+    if (source instanceof Uint8Array) return source;
+    if (ArrayBuffer.isView(source)) {
+        return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+    return new Uint8Array(source);
+}
+
+/**
+ * Header parsing
+ */
+class HeaderReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    ensure(size) {
+        if (this.offset + size > this.bytes.length) {
+            throw new Error('EXR: unexpected end of file');
+        }
+    }
+
+    string() {
+        const start = this.offset;
+        while (this.offset < this.bytes.length && this.bytes[this.offset] !== 0) {
+            this.offset++;
+        }
+        this.ensure(1);
+
+        let value = '';
+        for (let i = start; i < this.offset; i++) {
+            value += String.fromCharCode(this.bytes[i]);
+        }
+        this.offset++;
+        return value;
+    }
+
+    uint8() {
+        this.ensure(1);
+        return this.bytes[this.offset++];
+    }
+
+    int32() {
+        this.ensure(4);
+        const value = this.view.getInt32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    uint32() {
+        this.ensure(4);
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    uint64() {
+        this.ensure(8);
+        const low = this.view.getUint32(this.offset, true);
+        const high = this.view.getUint32(this.offset + 4, true);
+        this.offset += 8;
+        return high * 0x100000000 + low;
+    }
+
+    float32() {
+        this.ensure(4);
+        const value = this.view.getFloat32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    float64() {
+        this.ensure(8);
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    floats(count) {
+        const values = [];
+        for (let i = 0; i < count; i++) values.push(this.float32());
+        return values;
+    }
+}
+
+function parseChannelList(reader, end) {
+    const channels = [];
+
+    while (reader.offset < end) {
+        const name = reader.string();
+        if (name === '') break;
+
+        const pixelType = reader.int32();
+        const pLinear = reader.uint8();
+        reader.offset += 3; // reserved
+        const xSampling = reader.int32();
+        const ySampling = reader.int32();
+
+        channels.push({ name, pixelType, pLinear, xSampling, ySampling });
+    }
+
+    return channels;
+}
+
+function parseAttribute(reader, type, size) {
+    const end = reader.offset + size;
+    reader.ensure(size);
+
+    switch (type) {
+        case 'chlist':
+            return parseChannelList(reader, end);
+        case 'compression':
+        case 'lineOrder':
+        case 'envmap':
+        case 'deepImageState':
+            return reader.uint8();
+        case 'box2i':
+            return { xMin: reader.int32(), yMin: reader.int32(), xMax: reader.int32(), yMax: reader.int32() };
+        case 'box2f':
+            return { xMin: reader.float32(), yMin: reader.float32(), xMax: reader.float32(), yMax: reader.float32() };
+        case 'v2i':
+            return [reader.int32(), reader.int32()];
+        case 'v3i':
+            return [reader.int32(), reader.int32(), reader.int32()];
+        case 'v2f':
+            return reader.floats(2);
+        case 'v3f':
+            return reader.floats(3);
+        case 'm33f':
+            return reader.floats(9);
+        case 'm44f':
+            return reader.floats(16);
+        case 'chromaticities':
+            return {
+                red: reader.floats(2),
+                green: reader.floats(2),
+                blue: reader.floats(2),
+                white: reader.floats(2)
+            };
+        case 'int':
+            return reader.int32();
+        case 'float':
+            return reader.float32();
+        case 'double':
+            return reader.float64();
+        case 'rational':
+            return [reader.int32(), reader.uint32()];
+        case 'string': {
+            let value = '';
+            for (let i = reader.offset; i < end; i++) {
+                value += String.fromCharCode(reader.bytes[i]);
+            }
+            return value;
+        }
+        case 'tiledesc': {
+            const xSize = reader.uint32();
+            const ySize = reader.uint32();
+            const mode = reader.uint8();
+            return { xSize, ySize, levelMode: mode & 0x0f, roundingMode: mode >> 4 };
+        }
+        default:
+            // Unknown or opaque attribute types (preview, timecode, ...) are kept as raw bytes
+            return reader.bytes.slice(reader.offset, end);
+    }
+}
+
+/**
+ * Mip level sizes of a tiled image
+ */
+function getLevelCount(size, roundingMode) {
+    let count = 0;
+    let value = size;
+
+    if (roundingMode === 1) {
+        // Round up: ceil(log2(size)) + 1
+        while (value > 1) {
+            value = (value + 1) >> 1;
+            count++;
+        }
+    } else {
+        while (value > 1) {
+            value >>= 1;
+            count++;
+        }
+    }
+
+    return count + 1;
+}
+
+function getLevelSize(size, level, roundingMode) {
+    const divisor = Math.pow(2, level);
+    const value = roundingMode === 1 ? Math.ceil(size / divisor) : Math.floor(size / divisor);
+    return Math.max(1, value);
+}
+
+/**
+ * RLE / ZIP post-processing
+ */
+function undoPredictorAndInterleave(source) {
+    const length = source.length;
+
+    for (let i = 1; i < length; i++) {
+        source[i] = source[i - 1] + source[i] - 128;
+    }
+
+    const output = new Uint8Array(length);
+    let first = 0;
+    let second = (length + 1) >> 1;
+
+    for (let i = 0; i < length;) {
+        output[i++] = source[first++];
+        if (i < length) output[i++] = source[second++];
+    }
+
+    return output;
+}
+
+function decompressRLE(source, expectedSize) {
+    const output = new Uint8Array(expectedSize);
+    let read = 0;
+    let write = 0;
+
+    while (read < source.length) {
+        const count = (source[read++] << 24) >> 24;
+
+        if (count < 0) {
+            const length = -count;
+            if (write + length > expectedSize || read + length > source.length) {
+                throw new Error('EXR: corrupted RLE data');
+            }
+            output.set(source.subarray(read, read + length), write);
+            read += length;
+            write += length;
+        } else {
+            const length = count + 1;
+            if (write + length > expectedSize || read >= source.length) {
+                throw new Error('EXR: corrupted RLE data');
+            }
+            output.fill(source[read++], write, write + length);
+            write += length;
+        }
+    }
+
+    if (write !== expectedSize) {
+        throw new Error('EXR: corrupted RLE data');
+    }
+
+    return undoPredictorAndInterleave(output);
+}
+
+function decompressZIP(source, expectedSize) {
+    return undoPredictorAndInterleave(InflateDecoder.decompress(source, expectedSize));
+}
+
+/**
+ * PIZ Huffman decoding. Codes can be longer than 32 bits, so the bit buffer
+ * is kept as a plain number holding only the lc unread bits.
+ */
+class HufBitReader {
+    constructor(data, offset, end) {
+        this.data = data;
+        this.offset = offset;
+        this.end = end;
+        this.c = 0;
+        this.lc = 0;
+    }
+
+    getChar() {
+        if (this.offset >= this.data.length) {
+            throw new Error('EXR: unexpected end of Huffman data');
+        }
+        this.c = this.c * 256 + this.data[this.offset++];
+        this.lc += 8;
+    }
+
+    peek(bits) {
+        if (this.lc <= 31) return this.c >>> (this.lc - bits);
+        return Math.floor(this.c / Math.pow(2, this.lc - bits));
+    }
+
+    consume(bits) {
+        this.lc -= bits;
+        // Bitwise AND keeps the low 32 bits, which is exact for short buffers
+        this.c = this.lc <= 30 ? this.c & ((1 << this.lc) - 1) : this.c % Math.pow(2, this.lc);
+    }
+
+    getBits(bits) {
+        while (this.lc < bits) this.getChar();
+        const value = this.peek(bits);
+        this.consume(bits);
+        return value;
+    }
+}
+
+function hufUnpackEncTable(reader, im, iM, lengths) {
+    for (; im <= iM; im++) {
+        const length = reader.getBits(6);
+        lengths[im] = length;
+
+        if (length === LONG_ZEROCODE_RUN) {
+            const run = reader.getBits(8) + SHORTEST_LONG_RUN;
+            if (im + run > iM + 1) {
+                throw new Error('EXR: corrupted Huffman table');
+            }
+            lengths.fill(0, im, im + run);
+            im += run - 1;
+        } else if (length >= SHORT_ZEROCODE_RUN) {
+            const run = length - SHORT_ZEROCODE_RUN + 2;
+            if (im + run > iM + 1) {
+                throw new Error('EXR: corrupted Huffman table');
+            }
+            lengths.fill(0, im, im + run);
+            im += run - 1;
+        }
+    }
+}
+
+/**
+ * Canonical codes from code lengths (longer codes get smaller values)
+ */
+function hufCanonicalCodeTable(lengths) {
+    const counts = new Float64Array(59);
+    for (let i = 0; i < HUF_ENCSIZE; i++) counts[lengths[i]]++;
+
+    let code = 0;
+    for (let length = 58; length > 0; length--) {
+        const next = Math.floor((code + counts[length]) / 2);
+        counts[length] = code;
+        code = next;
+    }
+
+    const codes = new Float64Array(HUF_ENCSIZE);
+    for (let i = 0; i < HUF_ENCSIZE; i++) {
+        const length = lengths[i];
+        if (length > 0) codes[i] = counts[length]++;
+    }
+    return codes;
+}
+
+function hufBuildDecTable(lengths, codes, im, iM) {
+    const decLength = new Uint8Array(HUF_DECSIZE);
+    const decSymbol = new Int32Array(HUF_DECSIZE);
+    const decLong = new Array(HUF_DECSIZE);
+
+    for (; im <= iM; im++) {
+        const length = lengths[im];
+        if (length === 0) continue;
+
+        const code = codes[im];
+        if (length > HUF_MAX_CODE_LENGTH || code >= Math.pow(2, length)) {
+            throw new Error('EXR: invalid Huffman code');
+        }
+
+        if (length > HUF_DECBITS) {
+            const index = Math.floor(code / Math.pow(2, length - HUF_DECBITS));
+            if (decLength[index]) {
+                throw new Error('EXR: invalid Huffman table');
+            }
+            (decLong[index] || (decLong[index] = [])).push(im);
+        } else {
+            const start = code << (HUF_DECBITS - length);
+            const count = 1 << (HUF_DECBITS - length);
+
+            for (let index = start; index < start + count; index++) {
+                if (decLength[index] || decLong[index]) {
+                    throw new Error('EXR: invalid Huffman table');
+                }
+                decLength[index] = length;
+                decSymbol[index] = im;
+            }
+        }
+    }
+
+    return { decLength, decSymbol, decLong };
+}
+
+function hufDecode(lengths, codes, table, reader, bitCount, rlc, output) {
+    const { decLength, decSymbol, decLong } = table;
+    const end = reader.offset + Math.ceil(bitCount / 8);
+    let written = 0;
+
+    const emit = (symbol) => {
+        if (symbol === rlc) {
+            if (reader.lc < 8) reader.getChar();
+            const run = reader.peek(8);
+            reader.consume(8);
+
+            if (written + run > output.length || written < 1) {
+                throw new Error('EXR: corrupted Huffman data');
+            }
+            output.fill(output[written - 1], written, written + run);
+            written += run;
+        } else {
+            if (written >= output.length) {
+                throw new Error('EXR: corrupted Huffman data');
+            }
+            output[written++] = symbol;
+        }
+    };
+
+    while (reader.offset < end) {
+        reader.getChar();
+
+        while (reader.lc >= HUF_DECBITS) {
+            const index = reader.peek(HUF_DECBITS) & HUF_DECMASK;
+            const length = decLength[index];
+
+            if (length) {
+                reader.consume(length);
+                emit(decSymbol[index]);
+                continue;
+            }
+
+            const candidates = decLong[index];
+            if (!candidates) {
+                throw new Error('EXR: invalid Huffman code');
+            }
+
+            let found = false;
+            for (const symbol of candidates) {
+                const codeLength = lengths[symbol];
+                while (reader.lc < codeLength && reader.offset < end) reader.getChar();
+
+                if (reader.lc >= codeLength && reader.peek(codeLength) === codes[symbol]) {
+                    reader.consume(codeLength);
+                    emit(symbol);
+                    found = true;
+                    break;
+                }
+            }
+
+            if (!found) {
+                throw new Error('EXR: invalid Huffman code');
+            }
+        }
+    }
+
+    // Drop the padding bits of the last byte and flush what is left
+    const padding = (8 - bitCount) & 7;
+    reader.c = Math.floor(reader.c / Math.pow(2, padding));
+    reader.lc -= padding;
+
+    while (reader.lc > 0) {
+        const index = (reader.c * Math.pow(2, HUF_DECBITS - reader.lc)) & HUF_DECMASK;
+        const length = decLength[index];
+
+        if (!length || length > reader.lc) {
+            throw new Error('EXR: invalid Huffman code');
+        }
+        reader.consume(length);
+        emit(decSymbol[index]);
+    }
+
+    if (written !== output.length) {
+        throw new Error('EXR: corrupted Huffman data');
+    }
+}
+
+function hufUncompress(data, offset, compressedSize, output) {
+    if (compressedSize === 0) {
+        if (output.length !== 0) {
+            throw new Error('EXR: missing Huffman data');
+        }
+        return;
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset + offset, 20);
+    const im = view.getUint32(0, true);
+    const iM = view.getUint32(4, true);
+    const bitCount = view.getUint32(12, true);
+
+    if (im >= HUF_ENCSIZE || iM >= HUF_ENCSIZE) {
+        throw new Error('EXR: invalid Huffman table size');
+    }
+
+    const end = offset + compressedSize;
+    const reader = new HufBitReader(data.subarray(0, end), offset + 20, end);
+
+    const lengths = new Uint8Array(HUF_ENCSIZE);
+    hufUnpackEncTable(reader, im, iM, lengths);
+
+    if (bitCount > 8 * (end - reader.offset)) {
+        throw new Error('EXR: truncated Huffman data');
+    }
+
+    const codes = hufCanonicalCodeTable(lengths);
+    const table = hufBuildDecTable(lengths, codes, im, iM);
+
+    // The table is byte aligned; decoding starts with an empty bit buffer
+    reader.c = 0;
+    reader.lc = 0;
+    hufDecode(lengths, codes, table, reader, bitCount, iM, output);
+}
+
+/**
+ * Inverse 2D Haar wavelet over an nx * ny grid with strides ox and oy
+ */
+function wav2Decode(buffer, start, nx, ox, ny, oy, maxValue) {
+    const w14 = maxValue < (1 << 14);
+    const n = Math.min(nx, ny);
+    let p = 1;
+
+    while (p <= n) p <<= 1;
+    p >>= 1;
+    let p2 = p;
+    p >>= 1;
+
+    const pair = [0, 0];
+
+    // 14-bit decoding works on signed values, 16-bit decoding modulo 2^16
+    const decode = w14
+        ? (l, h) => {
+            const ls = (l << 16) >> 16;
+            const hs = (h << 16) >> 16;
+            const ai = ls + (hs & 1) + (hs >> 1);
+            pair[0] = ai & 0xffff;
+            pair[1] = (ai - hs) & 0xffff;
+        }
+        : (l, h) => {
+            const b = (l - (h >> 1)) & 0xffff;
+            pair[0] = (h + b - 0x8000) & 0xffff;
+            pair[1] = b;
+        };
+
+    while (p >= 1) {
+        const oy1 = oy * p;
+        const oy2 = oy * p2;
+        const ox1 = ox * p;
+        const ox2 = ox * p2;
+        const ey = start + oy * (ny - p2);
+
+        let py = start;
+        for (; py <= ey; py += oy2) {
+            const ex = py + ox * (nx - p2);
+            let px = py;
+
+            for (; px <= ex; px += ox2) {
+                const p01 = px + ox1;
+                const p10 = px + oy1;
+                const p11 = p10 + ox1;
+
+                decode(buffer[px], buffer[p10]);
+                const i00 = pair[0];
+                const i10 = pair[1];
+                decode(buffer[p01], buffer[p11]);
+                const i01 = pair[0];
+                const i11 = pair[1];
+
+                decode(i00, i01);
+                buffer[px] = pair[0];
+                buffer[p01] = pair[1];
+                decode(i10, i11);
+                buffer[p10] = pair[0];
+                buffer[p11] = pair[1];
+            }
+
+            if (nx & p) {
+                const p10 = px + oy1;
+                decode(buffer[px], buffer[p10]);
+                buffer[px] = pair[0];
+                buffer[p10] = pair[1];
+            }
+        }
+
+        if (ny & p) {
+            const ex = py + ox * (nx - p2);
+
+            for (let px = py; px <= ex; px += ox2) {
+                const p01 = px + ox1;
+                decode(buffer[px], buffer[p01]);
+                buffer[px] = pair[0];
+                buffer[p01] = pair[1];
+            }
+        }
+
+        p2 = p;
+        p >>= 1;
+    }
+}
+
+function decompressPIZ(source, channels, width, height, expectedSize) {
+    const view = new DataView(source.buffer, source.byteOffset, source.byteLength);
+    if (source.length < 4) {
+        throw new Error('EXR: truncated PIZ data');
+    }
+
+    const minNonZero = view.getUint16(0, true);
+    const maxNonZero = view.getUint16(2, true);
+    let offset = 4;
+
+    if (maxNonZero >= BITMAP_SIZE) {
+        throw new Error('EXR: corrupted PIZ bitmap');
+    }
+
+    const bitmap = new Uint8Array(BITMAP_SIZE);
+    if (minNonZero <= maxNonZero) {
+        const length = maxNonZero - minNonZero + 1;
+        if (offset + length > source.length) {
+            throw new Error('EXR: truncated PIZ data');
+        }
+        bitmap.set(source.subarray(offset, offset + length), minNonZero);
+        offset += length;
+    }
+
+    // Reverse lookup table from the values present in the bitmap
+    const lut = new Uint16Array(USHORT_RANGE);
+    let count = 0;
+    for (let i = 0; i < USHORT_RANGE; i++) {
+        if (i === 0 || (bitmap[i >> 3] & (1 << (i & 7)))) {
+            lut[count++] = i;
+        }
+    }
+    const maxValue = count - 1;
+
+    if (offset + 4 > source.length) {
+        throw new Error('EXR: truncated PIZ data');
+    }
+    const compressedSize = view.getInt32(offset, true);
+    offset += 4;
+    if (compressedSize < 0 || offset + compressedSize > source.length) {
+        throw new Error('EXR: truncated PIZ data');
+    }
+
+    const words = new Uint16Array(expectedSize / 2);
+    hufUncompress(source, offset, compressedSize, words);
+
+    // Each channel is stored as a separate plane of 16-bit words
+    const planes = [];
+    let start = 0;
+    for (const channel of channels) {
+        const size = BYTES_PER_SAMPLE[channel.pixelType] / 2;
+        for (let j = 0; j < size; j++) {
+            wav2Decode(words, start + j, width, size, height, width * size, maxValue);
+        }
+        planes.push({ start, length: width * size });
+        start += width * height * size;
+    }
+
+    for (let i = 0; i < words.length; i++) {
+        words[i] = lut[words[i]];
+    }
+
+    // Reorder planes into the line-interleaved layout of uncompressed data
+    const output = new Uint8Array(expectedSize);
+    const outputView = new DataView(output.buffer);
+    let position = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (const plane of planes) {
+            const lineStart = plane.start + y * plane.length;
+            for (let i = 0; i < plane.length; i++) {
+                outputView.setUint16(position, words[lineStart + i], true);
+                position += 2;
+            }
+        }
+    }
+
+    return output;
+}
+
+export class EXRDecoder {
+    /**
+     * Check for the OpenEXR magic number
+     * @param {ArrayBuffer|ArrayBufferView} buffer - File contents
+     * @returns {boolean}
+     */
+    static isEXR(buffer) {
+        if (!(buffer instanceof ArrayBuffer) && !ArrayBuffer.isView(buffer)) return false;
+
+        const bytes = toUint8Array(buffer);
+        return bytes.length >= 8 &&
+            new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === EXR_MAGIC;
+    }
+
+    /**
+     * Read the header attributes of an OpenEXR file
+     * @param {ArrayBuffer|ArrayBufferView} buffer - File contents
+     * @returns {Object} Header with version, tiled flag, attributes and the offset of the chunk table
+     */
+    static parseHeader(buffer) {
+        const reader = new HeaderReader(toUint8Array(buffer));
+
+        if (reader.bytes.length < 8 || reader.uint32() !== EXR_MAGIC) {
+            throw new Error('EXR: invalid magic number');
+        }
+
+        const versionField = reader.uint32();
+        const version = versionField & 0xff;
+
+        if (version !== 2) {
+            throw new Error(`EXR: unsupported version ${version}`);
+        }
+        if (versionField & NON_IMAGE_FLAG) {
+            throw new Error('EXR: deep data files are not supported');
+        }
+        if (versionField & MULTI_PART_FLAG) {
+            throw new Error('EXR: multi-part files are not supported');
+        }
+
+        const attributes = {};
+
+        for (;;) {
+            const name = reader.string();
+            if (name === '') break;
+
+            const type = reader.string();
+            const size = reader.int32();
+            const start = reader.offset;
+
+            attributes[name] = parseAttribute(reader, type, size);
+            reader.offset = start + size;
+        }
+
+        for (const required of ['channels', 'compression', 'dataWindow']) {
+            if (attributes[required] === undefined) {
+                throw new Error(`EXR: missing required attribute "${required}"`);
+            }
+        }
+
+        const tiled = !!(versionField & TILED_FLAG);
+        if (tiled && !attributes.tiles) {
+            throw new Error('EXR: tiled file without a "tiles" attribute');
+        }
+
+        return { version, tiled, attributes, offset: reader.offset };
+    }
+
+    /**
+     * Decode an OpenEXR file to interleaved RGBA pixels
+     * @param {ArrayBuffer|ArrayBufferView} buffer - File contents
+     * @param {Object} [options]
+     * @param {string} [options.type='float'] - 'float' for Float32Array or 'half' for Uint16Array output
+     * @param {string} [options.layer] - Channel layer to read (e.g. 'diffuse' for diffuse.R/G/B)
+     * @returns {Object} { width, height, data, type, format, levels, header }; rows run top to bottom
+     */
+    static decode(buffer, options = {}) {
+        const bytes = toUint8Array(buffer);
+        const header = EXRDecoder.parseHeader(bytes);
+        const { attributes } = header;
+        const { channels, compression, dataWindow } = attributes;
+        const half = options.type === 'half';
+
+        if (compression > EXR_COMPRESSION.PIZ) {
+            throw new Error(`EXR: ${COMPRESSION_NAMES[compression] || compression} compression is not supported`);
+        }
+
+        for (const channel of channels) {
+            if (channel.xSampling !== 1 || channel.ySampling !== 1) {
+                throw new Error(`EXR: subsampled channel "${channel.name}" is not supported`);
+            }
+            if (BYTES_PER_SAMPLE[channel.pixelType] === undefined) {
+                throw new Error(`EXR: unknown pixel type ${channel.pixelType}`);
+            }
+        }
+
+        const components = EXRDecoder._mapChannels(channels, options.layer);
+        const width = dataWindow.xMax - dataWindow.xMin + 1;
+        const height = dataWindow.yMax - dataWindow.yMin + 1;
+
+        if (width <= 0 || height <= 0) {
+            throw new Error('EXR: empty data window');
+        }
+
+        const context = {
+            bytes,
+            view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+            channels,
+            components,
+            compression,
+            half
+        };
+
+        const levels = header.tiled
+            ? EXRDecoder._decodeTiled(context, header, width, height)
+            : [EXRDecoder._decodeScanlines(context, header, width, height)];
+
+        return {
+            width,
+            height,
+            data: levels[0].data,
+            type: half ? 'half' : 'float',
+            format: 'RGBA',
+            levels,
+            header: attributes
+        };
+    }
+
+    static halfToFloat(value) {
+        return halfToFloat(value);
+    }
+
+    static floatToHalf(value) {
+        return floatToHalf(value);
+    }
+
+    /**
+     * Output components for each channel, or null for channels that are skipped
+     */
+    static _mapChannels(channels, layer) {
+        const mapFor = (prefix) => channels.map(({ name }) => {
+            if (!name.startsWith(prefix)) return null;
+            return CHANNEL_COMPONENTS.get(name.slice(prefix.length)) || null;
+        });
+
+        if (layer) {
+            const components = mapFor(layer + '.');
+            if (!components.some(Boolean)) {
+                throw new Error(`EXR: no RGBA or Y channels in layer "${layer}"`);
+            }
+            return components;
+        }
+
+        let components = mapFor('');
+
+        if (!components.some(Boolean)) {
+            // Fall back to the first layer that has color channels
+            const named = channels.find(({ name }) => {
+                const dot = name.lastIndexOf('.');
+                return dot > 0 && CHANNEL_COMPONENTS.has(name.slice(dot + 1));
+            });
+
+            if (named) {
+                components = mapFor(named.name.slice(0, named.name.lastIndexOf('.') + 1));
+            }
+        }
+
+        if (!components.some(Boolean)) {
+            throw new Error('EXR: no RGBA or Y channels found');
+        }
+
+        return components;
+    }
+
+    static _createLevel(context, width, height) {
+        const data = context.half
+            ? new Uint16Array(width * height * 4)
+            : new Float32Array(width * height * 4);
+
+        // Opaque unless the file has an alpha channel
+        const one = context.half ? HALF_ONE : 1;
+        for (let i = 3; i < data.length; i += 4) data[i] = one;
+
+        return { width, height, data };
+    }
+
+    static _readOffsets(context, header, count) {
+        const reader = new HeaderReader(context.bytes);
+        reader.offset = header.offset;
+
+        const offsets = [];
+        for (let i = 0; i < count; i++) {
+            const offset = reader.uint64();
+            if (offset < reader.offset || offset >= context.bytes.length) {
+                throw new Error('EXR: invalid chunk offset table');
+            }
+            offsets.push(offset);
+        }
+        return offsets;
+    }
+
+    static _decodeScanlines(context, header, width, height) {
+        const { view } = context;
+        const { dataWindow } = header.attributes;
+        const linesPerBlock = LINES_PER_BLOCK[context.compression];
+        const chunkCount = Math.ceil(height / linesPerBlock);
+        const offsets = EXRDecoder._readOffsets(context, header, chunkCount);
+        const level = EXRDecoder._createLevel(context, width, height);
+
+        for (const offset of offsets) {
+            if (offset + 8 > view.byteLength) {
+                throw new Error('EXR: truncated scanline chunk');
+            }
+
+            const y = view.getInt32(offset, true) - dataWindow.yMin;
+            const packedSize = view.getInt32(offset + 4, true);
+
+            if (y < 0 || y >= height) {
+                throw new Error('EXR: scanline chunk outside the data window');
+            }
+
+            const lines = Math.min(linesPerBlock, height - y);
+            const block = EXRDecoder._readBlock(context, offset + 8, packedSize, width, lines);
+            EXRDecoder._writeBlock(context, block, level, 0, y, width, lines);
+        }
+
+        return level;
+    }
+
+    static _decodeTiled(context, header, width, height) {
+        const { view } = context;
+        const { tiles } = header.attributes;
+        const { xSize, ySize, levelMode, roundingMode } = tiles;
+
+        // Tile layout of every level, in the order of the chunk offset table
+        const levelLayout = [];
+        const addLevel = (lx, ly) => {
+            const levelWidth = getLevelSize(width, lx, roundingMode);
+            const levelHeight = getLevelSize(height, ly, roundingMode);
+            levelLayout.push({
+                lx,
+                ly,
+                width: levelWidth,
+                height: levelHeight,
+                tileCount: Math.ceil(levelWidth / xSize) * Math.ceil(levelHeight / ySize)
+            });
+        };
+
+        if (levelMode === EXR_LEVEL_MODE.MIPMAP_LEVELS) {
+            const count = getLevelCount(Math.max(width, height), roundingMode);
+            for (let l = 0; l < count; l++) addLevel(l, l);
+        } else if (levelMode === EXR_LEVEL_MODE.RIPMAP_LEVELS) {
+            const countX = getLevelCount(width, roundingMode);
+            const countY = getLevelCount(height, roundingMode);
+            for (let ly = 0; ly < countY; ly++) {
+                for (let lx = 0; lx < countX; lx++) addLevel(lx, ly);
+            }
+        } else {
+            addLevel(0, 0);
+        }
+
+        const chunkCount = levelLayout.reduce((total, level) => total + level.tileCount, 0);
+        const offsets = EXRDecoder._readOffsets(context, header, chunkCount);
+
+        // Mip levels are decoded; for rip maps only the full resolution level is
+        const levels = levelLayout
+            .filter(({ lx, ly }) => lx === ly)
+            .map((layout) => ({ layout, level: EXRDecoder._createLevel(context, layout.width, layout.height) }));
+
+        for (const offset of offsets) {
+            if (offset + 20 > view.byteLength) {
+                throw new Error('EXR: truncated tile chunk');
+            }
+
+            const tileX = view.getInt32(offset, true);
+            const tileY = view.getInt32(offset + 4, true);
+            const lx = view.getInt32(offset + 8, true);
+            const ly = view.getInt32(offset + 12, true);
+            const packedSize = view.getInt32(offset + 16, true);
+
+            if (lx !== ly) continue;
+
+            const target = levels.find(({ layout }) => layout.lx === lx);
+            if (!target) {
+                throw new Error('EXR: tile level outside the level range');
+            }
+
+            const x = tileX * xSize;
+            const y = tileY * ySize;
+            if (x < 0 || y < 0 || x >= target.layout.width || y >= target.layout.height) {
+                throw new Error('EXR: tile outside the data window');
+            }
+
+            const tileWidth = Math.min(xSize, target.layout.width - x);
+            const tileHeight = Math.min(ySize, target.layout.height - y);
+            const block = EXRDecoder._readBlock(context, offset + 20, packedSize, tileWidth, tileHeight);
+            EXRDecoder._writeBlock(context, block, target.level, x, y, tileWidth, tileHeight);
+        }
+
+        return levels.map(({ level }) => level);
+    }
+
+    /**
+     * Decompress one chunk into the uncompressed layout: per line, per channel, width samples
+     */
+    static _readBlock(context, offset, packedSize, width, lines) {
+        const { bytes, channels, compression } = context;
+
+        if (packedSize < 0 || offset + packedSize > bytes.length) {
+            throw new Error('EXR: truncated chunk data');
+        }
+
+        const lineSize = channels.reduce((total, channel) => total + width * BYTES_PER_SAMPLE[channel.pixelType], 0);
+        const expectedSize = lineSize * lines;
+        const packed = bytes.subarray(offset, offset + packedSize);
+
+        // Chunks that would not shrink are stored uncompressed
+        if (compression === EXR_COMPRESSION.NONE || packedSize === expectedSize) {
+            if (packedSize !== expectedSize) {
+                throw new Error('EXR: unexpected uncompressed chunk size');
+            }
+            return packed;
+        }
+
+        switch (compression) {
+            case EXR_COMPRESSION.RLE:
+                return decompressRLE(packed, expectedSize);
+            case EXR_COMPRESSION.ZIPS:
+            case EXR_COMPRESSION.ZIP:
+                return decompressZIP(packed, expectedSize);
+            case EXR_COMPRESSION.PIZ:
+                return decompressPIZ(packed, channels, width, lines, expectedSize);
+            default:
+                throw new Error(`EXR: ${COMPRESSION_NAMES[compression]} compression is not supported`);
+        }
+    }
+
+    static _writeBlock(context, block, level, x0, y0, width, lines) {
+        const { channels, components, half } = context;
+        const view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        const table = getHalfTable();
+        const output = level.data;
+        let position = 0;
+
+        for (let line = 0; line < lines; line++) {
+            const rowStart = ((y0 + line) * level.width + x0) * 4;
+
+            for (let c = 0; c < channels.length; c++) {
+                const { pixelType } = channels[c];
+                const targets = components[c];
+                const sampleSize = BYTES_PER_SAMPLE[pixelType];
+
+                if (!targets) {
+                    position += width * sampleSize;
+                    continue;
+                }
+
+                for (let x = 0; x < width; x++) {
+                    let value;
+
+                    if (pixelType === EXR_PIXEL_TYPE.HALF) {
+                        const bits = view.getUint16(position, true);
+                        value = half ? bits : table[bits];
+                    } else {
+                        const sample = pixelType === EXR_PIXEL_TYPE.FLOAT
+                            ? view.getFloat32(position, true)
+                            : view.getUint32(position, true);
+                        value = half ? floatToHalf(sample) : sample;
+                    }
+                    position += sampleSize;
+
+                    const pixel = rowStart + x * 4;
+                    for (let t = 0; t < targets.length; t++) {
+                        output[pixel + targets[t]] = value;
+                    }
+                }
+            }
+        }
+    }
+}
+
+export default EXRDecoder;
@@ -0,0 +1,386 @@
+/**
+ * InflateDecoder - DEFLATE (RFC 1951) decompression with zlib (RFC 1950) framing
+ * Used for OpenEXR ZIP/ZIPS blocks. Preset dictionaries are not supported.
+ */
+
+const MAX_BITS = 15;
+
+const BLOCK_STORED = 0;
+const BLOCK_FIXED = 1;
+const BLOCK_DYNAMIC = 2;
+
+const END_OF_BLOCK = 256;
+
+const LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+
+const DISTANCE_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA_BITS = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+// Order in which code length code lengths are stored (RFC 1951, section 3.2.7)
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+let fixedTables = null;
+
+/**
+ * Bits are consumed least significant first; reads past the end yield zeros
+ * so the final symbols can be peeked, and are rejected once actually consumed
+ */
+class BitReader {
+    constructor(data, offset) {
+        this.data = data;
+        this.offset = offset;
+        this.buffer = 0;
+        this.count = 0;
+        this.overrun = 0;
+    }
+
+    fill(bits) {
+        while (this.count < bits) {
+            if (this.offset < this.data.length) {
+                this.buffer |= this.data[this.offset] << this.count;
+            } else {
+                this.overrun++;
+            }
+            this.offset++;
+            this.count += 8;
+        }
+    }
+
+    read(bits) {
+        if (bits === 0) return 0;
+
+        this.fill(bits);
+        const value = this.buffer & ((1 << bits) - 1);
+        this.consume(bits);
+        return value;
+    }
+
+    consume(bits) {
+        this.buffer >>>= bits;
+        this.count -= bits;
+
+        if (this.overrun > 0 && this.offset * 8 - this.count > this.data.length * 8) {
+            throw new Error('Inflate: unexpected end of data');
+        }
+    }
+
+    /**
+     * Drop the bits left in the current byte and hand whole buffered bytes back
+     */
+    alignToByte() {
+        this.offset -= this.count >> 3;
+        this.buffer = 0;
+        this.count = 0;
+    }
+}
+
+/**
+ * Build a lookup table indexed by the next maxLength (bit-reversed) bits;
+ * each entry packs symbol << 4 | codeLength
+ */
+function buildHuffmanTable(lengths) {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    let maxLength = 0;
+
+    for (const length of lengths) {
+        counts[length]++;
+        if (length > maxLength) maxLength = length;
+    }
+    counts[0] = 0;
+
+    const nextCode = new Uint16Array(MAX_BITS + 2);
+    let code = 0;
+
+    for (let bits = 1; bits <= MAX_BITS; bits++) {
+        code = (code + counts[bits - 1]) << 1;
+        nextCode[bits] = code;
+    }
+
+    const table = new Uint32Array(1 << Math.max(maxLength, 1));
+
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        const length = lengths[symbol];
+        if (length === 0) continue;
+
+        const value = nextCode[length]++;
+        if (value >= (1 << length)) {
+            throw new Error('Inflate: over-subscribed Huffman code');
+        }
+
+        let reversed = 0;
+        for (let i = 0; i < length; i++) {
+            reversed |= ((value >> i) & 1) << (length - 1 - i);
+        }
+
+        for (let index = reversed; index < table.length; index += 1 << length) {
+            table[index] = (symbol << 4) | length;
+        }
+    }
+
+    return { table, maxLength: Math.max(maxLength, 1) };
+}
+
+function decodeSymbol(reader, huffman) {
+    reader.fill(huffman.maxLength);
+    const entry = huffman.table[reader.buffer & ((1 << huffman.maxLength) - 1)];
+    const length = entry & 15;
+
+    if (length === 0) {
+        throw new Error('Inflate: invalid Huffman code');
+    }
+
+    reader.consume(length);
+    return entry >>> 4;
+}
+
+function getFixedTables() {
+    if (!fixedTables) {
+        const literalLengths = new Uint8Array(288);
+        literalLengths.fill(8, 0, 144);
+        literalLengths.fill(9, 144, 256);
+        literalLengths.fill(7, 256, 280);
+        literalLengths.fill(8, 280, 288);
+
+        fixedTables = {
+            literals: buildHuffmanTable(literalLengths),
+            distances: buildHuffmanTable(new Uint8Array(30).fill(5))
+        };
+    }
+    return fixedTables;
+}
+
+function readDynamicTables(reader) {
+    const literalCount = reader.read(5) + 257;
+    const distanceCount = reader.read(5) + 1;
+    const codeLengthCount = reader.read(4) + 4;
+
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+        codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.read(3);
+    }
+    const codeLengths = buildHuffmanTable(codeLengthLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+
+    while (index < lengths.length) {
+        const symbol = decodeSymbol(reader, codeLengths);
+
+        if (symbol < 16) {
+            lengths[index++] = symbol;
+            continue;
+        }
+
+        let value = 0;
+        let repeat;
+
+        if (symbol === 16) {
+            if (index === 0) {
+                throw new Error('Inflate: repeat with no previous code length');
+            }
+            value = lengths[index - 1];
+            repeat = 3 + reader.read(2);
+        } else if (symbol === 17) {
+            repeat = 3 + reader.read(3);
+        } else {
+            repeat = 11 + reader.read(7);
+        }
+
+        if (index + repeat > lengths.length) {
+            throw new Error('Inflate: code lengths overflow');
+        }
+        lengths.fill(value, index, index + repeat);
+        index += repeat;
+    }
+
+    if (lengths[END_OF_BLOCK] === 0) {
+        throw new Error('Inflate: missing end-of-block code');
+    }
+
+    return {
+        literals: buildHuffmanTable(lengths.subarray(0, literalCount)),
+        distances: buildHuffmanTable(lengths.subarray(literalCount))
+    };
+}
+
+class OutputBuffer {
+    constructor(expectedSize) {
+        this.data = new Uint8Array(expectedSize || 1 << 16);
+        this.length = 0;
+    }
+
+    reserve(size) {
+        if (this.length + size <= this.data.length) return;
+
+        let capacity = this.data.length * 2;
+        while (capacity < this.length + size) capacity *= 2;
+
+        const data = new Uint8Array(capacity);
+        data.set(this.data.subarray(0, this.length));
+        this.data = data;
+    }
+}
+
+function inflateStored(reader, output) {
+    reader.alignToByte();
+
+    const { data } = reader;
+    const offset = reader.offset;
+    if (offset + 4 > data.length) {
+        throw new Error('Inflate: truncated stored block');
+    }
+
+    const length = data[offset] | (data[offset + 1] << 8);
+    const complement = data[offset + 2] | (data[offset + 3] << 8);
+    if ((length ^ 0xffff) !== complement) {
+        throw new Error('Inflate: stored block length mismatch');
+    }
+    if (offset + 4 + length > data.length) {
+        throw new Error('Inflate: truncated stored block');
+    }
+
+    output.reserve(length);
+    output.data.set(data.subarray(offset + 4, offset + 4 + length), output.length);
+    output.length += length;
+    reader.offset = offset + 4 + length;
+}
+
+function inflateCompressed(reader, output, { literals, distances }) {
+    for (;;) {
+        const symbol = decodeSymbol(reader, literals);
+
+        if (symbol < END_OF_BLOCK) {
+            output.reserve(1);
+            output.data[output.length++] = symbol;
+            continue;
+        }
+
+        if (symbol === END_OF_BLOCK) return;
+
+        const lengthCode = symbol - 257;
+        if (lengthCode >= LENGTH_BASE.length) {
+            throw new Error('Inflate: invalid length code');
+        }
+        const length = LENGTH_BASE[lengthCode] + reader.read(LENGTH_EXTRA_BITS[lengthCode]);
+
+        const distanceCode = decodeSymbol(reader, distances);
+        if (distanceCode >= DISTANCE_BASE.length) {
+            throw new Error('Inflate: invalid distance code');
+        }
+        const distance = DISTANCE_BASE[distanceCode] + reader.read(DISTANCE_EXTRA_BITS[distanceCode]);
+
+        if (distance > output.length) {
+            throw new Error('Inflate: distance too far back');
+        }
+
+        output.reserve(length);
+        const buffer = output.data;
+        let source = output.length - distance;
+        let target = output.length;
+
+        // Byte by byte since matches may overlap their own output
+        for (let i = 0; i < length; i++) {
+            buffer[target++] = buffer[source++];
+        }
+        output.length = target;
+    }
+}
+
+function inflate(data, offset, output) {
+    const reader = new BitReader(data, offset);
+    let last = 0;
+
+    while (!last) {
+        last = reader.read(1);
+        const type = reader.read(2);
+
+        switch (type) {
+            case BLOCK_STORED:
+                inflateStored(reader, output);
+                break;
+            case BLOCK_FIXED:
+                inflateCompressed(reader, output, getFixedTables());
+                break;
+            case BLOCK_DYNAMIC:
+                inflateCompressed(reader, output, readDynamicTables(reader));
+                break;
+            default:
+                throw new Error('Inflate: invalid block type');
+        }
+    }
+
+    reader.alignToByte();
+    return reader.offset;
+}
+
+function toUint8Array(source) {
+    if (source instanceof Uint8Array) return source;
+    if (ArrayBuffer.isView(source)) {
+        return new Uint8Array(source.buffer, source.byteOffset, source.byteLength);
+    }
+    return new Uint8Array(source);
+}
+
+function finish(output, expectedSize) {
+    if (expectedSize && output.length !== expectedSize) {
+        throw new Error(`Inflate: expected ${expectedSize} bytes, got ${output.length}`);
+    }
+    return output.length === output.data.length ? output.data : output.data.slice(0, output.length);
+}
+
+export class InflateDecoder {
+    /**
+     * Decompress a zlib stream
+     * @param {Uint8Array|ArrayBuffer} source - Compressed data including the zlib header
+     * @param {number} [expectedSize] - Decompressed size if known
+     * @returns {Uint8Array} Decompressed data
+     */
+    static decompress(source, expectedSize = 0) {
+        const data = toUint8Array(source);
+
+        if (data.length < 2) {
+            throw new Error('Inflate: truncated zlib header');
+        }
+
+        const cmf = data[0];
+        const flags = data[1];
+
+        if ((cmf & 0x0f) !== 8 || (cmf >> 4) > 7 || ((cmf << 8) | flags) % 31 !== 0) {
+            throw new Error('Inflate: invalid zlib header');
+        }
+        if (flags & 0x20) {
+            throw new Error('Inflate: preset dictionaries are not supported');
+        }
+
+        const output = new OutputBuffer(expectedSize);
+        inflate(data, 2, output);
+        return finish(output, expectedSize);
+    }
+
+    /**
+     * Decompress a raw DEFLATE stream (no zlib header or checksum)
+     * @param {Uint8Array|ArrayBuffer} source - Compressed data
+     * @param {number} [expectedSize] - Decompressed size if known
+     * @returns {Uint8Array} Decompressed data
+     */
+    static inflateRaw(source, expectedSize = 0) {
+        const output = new OutputBuffer(expectedSize);
+        inflate(toUint8Array(source), 0, output);
+        return finish(output, expectedSize);
+    }
+}
+
+export default InflateDecoder;
@@ -0,0 +1,419 @@
+/**
+ * KTX2Container - KTX 2.0 file parsing
+ * Reads the header, level index, data format descriptor, key/value data and
+ * BasisLZ global data, and undoes Zstd supercompression of mip levels.
+ */
+
+import { ZstdDecoder } from './ZstdDecoder.js';
+
+const KTX2_IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a];
+const HEADER_SIZE = 80;
+const LEVEL_INDEX_ENTRY_SIZE = 24;
+
+export const KTX2_SUPERCOMPRESSION = {
+    NONE: 0,
+    BASISLZ: 1,
+    ZSTD: 2,
+    ZLIB: 3
+};
+
+export const KTX2_COLOR_MODEL = {
+    UNSPECIFIED: 0,
+    RGBSDA: 1,
+    ETC1S: 163,
+    UASTC: 166
+};
+
+export const KTX2_TRANSFER = {
+    LINEAR: 1,
+    SRGB: 2
+};
+
+// DFD channel ids that carry alpha (ETC1S second slice, UASTC RGBA/RRRG)
+const ETC1S_CHANNEL_AAA = 15;
+const UASTC_CHANNEL_RGBA = 3;
+const UASTC_CHANNEL_RRRG = 5;
+
+const uncompressed = (internalFormat, format, type, bytesPerPixel) => ({
+    internalFormat, format, type, compressed: false, bytesPerPixel
+});
+const compressed = (internalFormat, blockBytes, hasAlpha) => ({
+    internalFormat, compressed: true, blockWidth: 4, blockHeight: 4, blockBytes, hasAlpha
+});
+
+/**
+ * Supported non-Basis vkFormat values; sRGB variants share the linear
+ * internal format and are flagged through the texture encoding instead
+ */
+export const KTX2_VK_FORMATS = {
+    23: uncompressed('RGB8', 'RGB', 'UNSIGNED_BYTE', 3),          // R8G8B8_UNORM
+    29: uncompressed('RGB8', 'RGB', 'UNSIGNED_BYTE', 3),          // R8G8B8_SRGB
+    37: uncompressed('RGBA8', 'RGBA', 'UNSIGNED_BYTE', 4),        // R8G8B8A8_UNORM
+    43: uncompressed('RGBA8', 'RGBA', 'UNSIGNED_BYTE', 4),        // R8G8B8A8_SRGB
+    97: uncompressed('RGBA16F', 'RGBA', 'HALF_FLOAT', 8),         // R16G16B16A16_SFLOAT
+    109: uncompressed('RGBA32F', 'RGBA', 'FLOAT', 16),            // R32G32B32A32_SFLOAT
+    131: compressed('COMPRESSED_RGB_S3TC_DXT1_EXT', 8, false),    // BC1_RGB_UNORM
+    132: compressed('COMPRESSED_RGB_S3TC_DXT1_EXT', 8, false),    // BC1_RGB_SRGB
+    133: compressed('COMPRESSED_RGBA_S3TC_DXT1_EXT', 8, true),    // BC1_RGBA_UNORM
+    134: compressed('COMPRESSED_RGBA_S3TC_DXT1_EXT', 8, true),    // BC1_RGBA_SRGB
+    135: compressed('COMPRESSED_RGBA_S3TC_DXT3_EXT', 16, true),   // BC2_UNORM
+    136: compressed('COMPRESSED_RGBA_S3TC_DXT3_EXT', 16, true),   // BC2_SRGB
+    137: compressed('COMPRESSED_RGBA_S3TC_DXT5_EXT', 16, true),   // BC3_UNORM
+    138: compressed('COMPRESSED_RGBA_S3TC_DXT5_EXT', 16, true),   // BC3_SRGB
+    145: compressed('COMPRESSED_RGBA_BPTC_UNORM_EXT', 16, true),  // BC7_UNORM
+    146: compressed('COMPRESSED_RGBA_BPTC_UNORM_EXT', 16, true),  // BC7_SRGB
+    147: compressed('COMPRESSED_RGB8_ETC2', 8, false),            // ETC2_R8G8B8_UNORM
+    148: compressed('COMPRESSED_RGB8_ETC2', 8, false),            // ETC2_R8G8B8_SRGB
+    151: compressed('COMPRESSED_RGBA8_ETC2_EAC', 16, true),       // ETC2_R8G8B8A8_UNORM
+    152: compressed('COMPRESSED_RGBA8_ETC2_EAC', 16, true),       // ETC2_R8G8B8A8_SRGB
+    157: compressed('COMPRESSED_RGBA_ASTC_4x4_KHR', 16, true),    // ASTC_4x4_UNORM
+    158: compressed('COMPRESSED_RGBA_ASTC_4x4_KHR', 16, true)     // ASTC_4x4_SRGB
+};
+
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+export class KTX2Container {
+    constructor() {
+        this.vkFormat = 0;
+        this.typeSize = 1;
+        this.pixelWidth = 0;
+        this.pixelHeight = 0;
+        this.pixelDepth = 0;
+        this.layerCount = 0;
+        this.faceCount = 1;
+        this.levelCount = 0;
+        this.supercompressionScheme = KTX2_SUPERCOMPRESSION.NONE;
+        this.levels = [];
+        this.dataFormatDescriptor = null;
+        this.keyValue = {};
+        this.globalData = null;
+    }
+
+    /**
+     * Check for the KTX 2.0 file identifier
+     */
+    static isKTX2(buffer) {
+        const bytes = ArrayBuffer.isView(buffer)
+            ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+            : new Uint8Array(buffer);
+
+        return bytes.length >= KTX2_IDENTIFIER.length &&
+               KTX2_IDENTIFIER.every((value, i) => bytes[i] === value);
+    }
+
+    /**
+     * Parse a KTX2 file
+     * @param {ArrayBuffer|Uint8Array} buffer - File contents
+     * @returns {KTX2Container}
+     */
+    static parse(buffer) {
+        const bytes = ArrayBuffer.isView(buffer)
+            ? new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+            : new Uint8Array(buffer);
+
+        if (!KTX2Container.isKTX2(bytes) || bytes.length < HEADER_SIZE) {
+            throw new Error('Invalid KTX2 file: missing identifier');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const container = new KTX2Container();
+
+        container.vkFormat = view.getUint32(12, true);
+        container.typeSize = view.getUint32(16, true);
+        container.pixelWidth = view.getUint32(20, true);
+        container.pixelHeight = view.getUint32(24, true);
+        container.pixelDepth = view.getUint32(28, true);
+        container.layerCount = view.getUint32(32, true);
+        container.faceCount = view.getUint32(36, true);
+        container.levelCount = view.getUint32(40, true);
+        container.supercompressionScheme = view.getUint32(44, true);
+
+        if (container.faceCount !== 1 && container.faceCount !== 6) {
+            throw new Error(`Invalid KTX2 file: faceCount ${container.faceCount}`);
+        }
+
+        const dfdOffset = view.getUint32(48, true);
+        const dfdLength = view.getUint32(52, true);
+        const kvdOffset = view.getUint32(56, true);
+        const kvdLength = view.getUint32(60, true);
+        const sgdOffset = readUint64(view, 64);
+        const sgdLength = readUint64(view, 72);
+
+        // A levelCount of 0 asks the loader to generate mipmaps from level 0
+        const levelCount = Math.max(1, container.levelCount);
+        if (HEADER_SIZE + levelCount * LEVEL_INDEX_ENTRY_SIZE > bytes.length) {
+            throw new Error('Invalid KTX2 file: truncated level index');
+        }
+
+        for (let i = 0; i < levelCount; i++) {
+            const entry = HEADER_SIZE + i * LEVEL_INDEX_ENTRY_SIZE;
+            const byteOffset = readUint64(view, entry);
+            const byteLength = readUint64(view, entry + 8);
+
+            if (byteOffset + byteLength > bytes.length) {
+                throw new Error(`Invalid KTX2 file: level ${i} out of range`);
+            }
+
+            container.levels.push({
+                levelData: bytes.subarray(byteOffset, byteOffset + byteLength),
+                uncompressedByteLength: readUint64(view, entry + 16)
+            });
+        }
+
+        if (dfdLength > 0) {
+            container.dataFormatDescriptor = container._parseDataFormatDescriptor(view, dfdOffset);
+        }
+
+        if (kvdLength > 0) {
+            container.keyValue = container._parseKeyValueData(bytes, kvdOffset, kvdLength);
+        }
+
+        if (container.supercompressionScheme === KTX2_SUPERCOMPRESSION.BASISLZ) {
+            if (sgdLength === 0) {
+                throw new Error('Invalid KTX2 file: BasisLZ without global data');
+            }
+            container.globalData = container._parseBasisGlobalData(bytes, sgdOffset, sgdLength);
+        }
+
+        return container;
+    }
+
+    _parseDataFormatDescriptor(view, offset) {
+        // Skip dfdTotalSize; only the first (basic) descriptor block is read
+        const block = offset + 4;
+        const blockSize = view.getUint16(block + 6, true);
+        const descriptor = {
+            vendorId: view.getUint32(block, true) & 0x1ffff,
+            descriptorType: view.getUint32(block, true) >>> 17,
+            versionNumber: view.getUint16(block + 4, true),
+            descriptorBlockSize: blockSize,
+            colorModel: view.getUint8(block + 8),
+            colorPrimaries: view.getUint8(block + 9),
+            transferFunction: view.getUint8(block + 10),
+            flags: view.getUint8(block + 11),
+            texelBlockDimension: [0, 1, 2, 3].map(i => view.getUint8(block + 12 + i) + 1),
+            bytesPlane: [0, 1, 2, 3, 4, 5, 6, 7].map(i => view.getUint8(block + 16 + i)),
+            samples: []
+        };
+
+        const sampleCount = Math.max(0, (blockSize - 24) / 16);
+        for (let i = 0; i < sampleCount; i++) {
+            const sample = block + 24 + i * 16;
+            const channelType = view.getUint8(sample + 3);
+
+            descriptor.samples.push({
+                bitOffset: view.getUint16(sample, true),
+                bitLength: view.getUint8(sample + 2) + 1,
+                channelId: channelType & 0x0f,
+                channelQualifiers: channelType >>> 4,
+                samplePosition: [0, 1, 2, 3].map(k => view.getUint8(sample + 4 + k)),
+                sampleLower: view.getUint32(sample + 8, true),
+                sampleUpper: view.getUint32(sample + 12, true)
+            });
+        }
+
+        return descriptor;
+    }
+
+    _parseKeyValueData(bytes, offset, length) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+        const end = offset + length;
+        const keyValue = {};
+
+        while (offset + 4 <= end) {
+            const pairLength = view.getUint32(offset, true);
+            const pair = bytes.subarray(offset + 4, offset + 4 + pairLength);
+            const keyEnd = pair.indexOf(0);
+
+            if (keyEnd > 0) {
+                const key = decoder.decode(pair.subarray(0, keyEnd));
+                let value = pair.subarray(keyEnd + 1);
+
+                // Standard KTX keys carry NUL-terminated UTF-8 strings
+                if (key.startsWith('KTX') && value[value.length - 1] === 0) {
+                    value = decoder.decode(value.subarray(0, value.length - 1));
+                }
+                keyValue[key] = value;
+            }
+
+            offset += 4 + pairLength;
+            offset += (4 - (offset % 4)) % 4;
+        }
+
+        return keyValue;
+    }
+
+    _parseBasisGlobalData(bytes, offset, length) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + offset, length);
+        const endpointCount = view.getUint16(0, true);
+        const selectorCount = view.getUint16(2, true);
+        const endpointsByteLength = view.getUint32(4, true);
+        const selectorsByteLength = view.getUint32(8, true);
+        const tablesByteLength = view.getUint32(12, true);
+        const extendedByteLength = view.getUint32(16, true);
+        const imageCount = this.getImageCount();
+        const imageDescs = [];
+        let cursor = 20;
+
+        for (let i = 0; i < imageCount; i++) {
+            imageDescs.push({
+                imageFlags: view.getUint32(cursor, true),
+                rgbSliceByteOffset: view.getUint32(cursor + 4, true),
+                rgbSliceByteLength: view.getUint32(cursor + 8, true),
+                alphaSliceByteOffset: view.getUint32(cursor + 12, true),
+                alphaSliceByteLength: view.getUint32(cursor + 16, true)
+            });
+            cursor += 20;
+        }
+
+        const start = offset + cursor;
+        const selectorsStart = start + endpointsByteLength;
+        const tablesStart = selectorsStart + selectorsByteLength;
+        const extendedStart = tablesStart + tablesByteLength;
+
+        if (extendedStart + extendedByteLength > offset + length) {
+            throw new Error('Invalid KTX2 file: truncated BasisLZ global data');
+        }
+
+        const endpointsData = bytes.subarray(start, selectorsStart);
+        const selectorsData = bytes.subarray(selectorsStart, tablesStart);
+        const tablesData = bytes.subarray(tablesStart, extendedStart);
+        const extendedData = bytes.subarray(extendedStart, extendedStart + extendedByteLength);
+
+        return {
+            endpointCount,
+            selectorCount,
+            imageDescs,
+            endpointsData,
+            selectorsData,
+            tablesData,
+            extendedData
+        };
+    }
+
+    get isETC1S() {
+        return this.supercompressionScheme === KTX2_SUPERCOMPRESSION.BASISLZ ||
+               (this.dataFormatDescriptor && this.dataFormatDescriptor.colorModel === KTX2_COLOR_MODEL.ETC1S);
+    }
+
+    get isUASTC() {
+        return !!this.dataFormatDescriptor && this.dataFormatDescriptor.colorModel === KTX2_COLOR_MODEL.UASTC;
+    }
+
+    /**
+     * Whether the payload needs the Basis transcoder
+     */
+    get isBasis() {
+        return this.vkFormat === 0 && (this.isETC1S || this.isUASTC);
+    }
+
+    get isCubemap() {
+        return this.faceCount === 6;
+    }
+
+    get isArray() {
+        return this.layerCount > 0;
+    }
+
+    get isSRGB() {
+        return !!this.dataFormatDescriptor && this.dataFormatDescriptor.transferFunction === KTX2_TRANSFER.SRGB;
+    }
+
+    get hasAlpha() {
+        const dfd = this.dataFormatDescriptor;
+        if (!dfd || dfd.samples.length === 0) {
+            const info = KTX2_VK_FORMATS[this.vkFormat];
+            return info ? info.hasAlpha !== false : false;
+        }
+
+        if (this.isETC1S) {
+            return dfd.samples.length > 1 && dfd.samples[1].channelId === ETC1S_CHANNEL_AAA;
+        }
+
+        if (this.isUASTC) {
+            const channel = dfd.samples[0].channelId;
+            return channel === UASTC_CHANNEL_RGBA || channel === UASTC_CHANNEL_RRRG;
+        }
+
+        const info = KTX2_VK_FORMATS[this.vkFormat];
+        return info ? info.hasAlpha !== false : false;
+    }
+
+    /**
+     * Dimensions of a mip level
+     */
+    getLevelSize(level) {
+        return {
+            width: Math.max(1, this.pixelWidth >> level),
+            height: Math.max(1, this.pixelHeight >> level),
+            depth: Math.max(1, this.pixelDepth >> level)
+        };
+    }
+
+    /**
+     * Images stored in one level, ordered layer, face, then z-slice
+     */
+    getLevelImageCount(level) {
+        return Math.max(1, this.layerCount) * this.faceCount * this.getLevelSize(level).depth;
+    }
+
+    getImageCount() {
+        let count = 0;
+        for (let level = 0; level < Math.max(1, this.levelCount); level++) {
+            count += this.getLevelImageCount(level);
+        }
+        return count;
+    }
+
+    /**
+     * Level data with Zstd supercompression removed
+     * @param {number} level - Mip level
+     * @returns {Uint8Array}
+     */
+    getLevelData(level) {
+        const { levelData, uncompressedByteLength } = this.levels[level];
+
+        switch (this.supercompressionScheme) {
+            case KTX2_SUPERCOMPRESSION.NONE:
+            case KTX2_SUPERCOMPRESSION.BASISLZ:
+                return levelData;
+            case KTX2_SUPERCOMPRESSION.ZSTD:
+                return ZstdDecoder.decompress(levelData, uncompressedByteLength);
+            default:
+                throw new Error(`Unsupported KTX2 supercompression scheme: ${this.supercompressionScheme}`);
+        }
+    }
+
+    /**
+     * Split non-Basis payloads into per-level images
+     * @returns {Object} { format, levels: [{ width, height, images: Uint8Array[] }] }
+     */
+    getImages() {
+        const format = KTX2_VK_FORMATS[this.vkFormat];
+        if (!format) {
+            throw new Error(`Unsupported KTX2 vkFormat: ${this.vkFormat}`);
+        }
+
+        const levels = [];
+        for (let level = 0; level < this.levels.length; level++) {
+            const data = this.getLevelData(level);
+            const { width, height } = this.getLevelSize(level);
+            const count = this.getLevelImageCount(level);
+            const imageSize = data.byteLength / count;
+            const images = [];
+
+            for (let i = 0; i < count; i++) {
+                images.push(data.subarray(i * imageSize, (i + 1) * imageSize));
+            }
+
+            levels.push({ width, height, images });
+        }
+
+        return { format: { ...format, hasAlpha: this.hasAlpha }, levels };
+    }
+}
+
+export default KTX2Container;
@@ -0,0 +1,191 @@
+/**
+ * PNGEncoder - Encodes raw pixel data as PNG images
+ * Supports 8 and 16 bit grayscale, gray+alpha, RGB and RGBA pixels, choosing a
+ * scanline filter per row. Used where no canvas is available to encode images.
+ */
+
+import { DeflateEncoder } from './DeflateEncoder.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// PNG color types by channel count
+const COLOR_TYPES = { 1: 0, 2: 4, 3: 2, 4: 6 };
+
+const FILTER_NONE = 0;
+const FILTER_SUB = 1;
+const FILTER_UP = 2;
+const FILTER_AVERAGE = 3;
+const FILTER_PAETH = 4;
+
+let crcTable = null;
+
+function crc32(bytes, crc = 0xffffffff) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+function paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    if (distanceUp <= distanceUpLeft) return up;
+    return upLeft;
+}
+
+/**
+ * Filter one scanline into target (after its filter type byte)
+ */
+function filterRow(type, row, previous, bytesPerPixel, target, offset) {
+    for (let i = 0; i < row.length; i++) {
+        const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        const up = previous ? previous[i] : 0;
+        const upLeft = previous && i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+        let predicted = 0;
+        switch (type) {
+            case FILTER_SUB: predicted = left; break;
+            case FILTER_UP: predicted = up; break;
+            case FILTER_AVERAGE: predicted = (left + up) >> 1; break;
+            case FILTER_PAETH: predicted = paeth(left, up, upLeft); break;
+        }
+
+        target[offset + i] = (row[i] - predicted) & 0xff;
+    }
+}
+
+/**
+ * Sum of filtered bytes read as signed values, the usual filter selection heuristic
+ */
+function filterCost(bytes, offset, length) {
+    let sum = 0;
+    for (let i = offset; i < offset + length; i++) {
+        const value = bytes[i];
+        sum += value < 128 ? value : 256 - value;
+    }
+    return sum;
+}
+
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, (crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+
+    return chunk;
+}
+
+export class PNGEncoder {
+    /**
+     * Encode pixels as a PNG file
+     * @param {Object} image - { data, width, height }; Uint8Array/Uint8ClampedArray data gives
+     *   an 8 bit image, Uint16Array a 16 bit one. Channels (1-4) follow from the data length.
+     * @param {Object} [options] - { level: 0-9 deflate level, flipY: rows are stored bottom-up }
+     * @returns {Uint8Array} PNG file contents
+     */
+    static encode(image, options = {}) {
+        const { data, width, height } = image;
+
+        if (!width || !height || !data) {
+            throw new Error('PNGEncoder: image needs data, width and height');
+        }
+
+        const is16Bit = data instanceof Uint16Array;
+        if (!is16Bit && !(data instanceof Uint8Array) && !(data instanceof Uint8ClampedArray)) {
+            throw new Error('PNGEncoder: pixel data must be a Uint8Array, Uint8ClampedArray or Uint16Array');
+        }
+
+        const channels = image.channels || data.length / (width * height);
+        if (COLOR_TYPES[channels] === undefined || data.length !== width * height * channels) {
+            throw new Error(`PNGEncoder: ${data.length} values do not match a ${width}x${height} image with 1-4 channels`);
+        }
+
+        const bytesPerSample = is16Bit ? 2 : 1;
+        const bytesPerPixel = channels * bytesPerSample;
+        const rowLength = width * bytesPerPixel;
+        const filtered = new Uint8Array((rowLength + 1) * height);
+        const candidate = new Uint8Array(rowLength);
+
+        let previous = null;
+        let row = new Uint8Array(rowLength);
+        let nextRow = new Uint8Array(rowLength);
+
+        for (let y = 0; y < height; y++) {
+            const sourceRow = options.flipY ? height - 1 - y : y;
+            const start = sourceRow * width * channels;
+
+            if (is16Bit) {
+                for (let i = 0; i < width * channels; i++) {
+                    const value = data[start + i];
+                    row[i * 2] = value >> 8;
+                    row[i * 2 + 1] = value & 0xff;
+                }
+            } else {
+                row.set(data.subarray(start, start + rowLength));
+            }
+
+            // Pick the filter with the smallest signed byte sum
+            const offset = y * (rowLength + 1);
+            let bestType = FILTER_NONE;
+            let bestCost = Infinity;
+
+            for (let type = FILTER_NONE; type <= FILTER_PAETH; type++) {
+                filterRow(type, row, previous, bytesPerPixel, candidate, 0);
+                const cost = filterCost(candidate, 0, rowLength);
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestType = type;
+                    filtered.set(candidate, offset + 1);
+                }
+            }
+            filtered[offset] = bestType;
+
+            previous = row;
+            [row, nextRow] = [nextRow, row];
+        }
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width);
+        headerView.setUint32(4, height);
+        header[8] = is16Bit ? 16 : 8;
+        header[9] = COLOR_TYPES[channels];
+        // Compression, filter and interlace methods are all 0
+
+        const chunks = [
+            Uint8Array.from(PNG_SIGNATURE),
+            createChunk('IHDR', header),
+            createChunk('IDAT', DeflateEncoder.compress(filtered, { level: options.level })),
+            createChunk('IEND', new Uint8Array(0))
+        ];
+
+        const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let position = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, position);
+            position += chunk.length;
+        }
+
+        return output;
+    }
+}
+
+export default PNGEncoder;
@@ -1,3 +1,9 @@
+import { KTX2Container } from './KTX2Container.js';
+import { BasisTranscoder } from './BasisTranscoder.js';
+import { EXRDecoder } from './EXRDecoder.js';
+import { WebGLState } from '../core/WebGLState.js';
+import { WebGLResources } from '../core/WebGLResources.js';
+
 /**
  * Simple Color class for texture operations
  */
@@ -140,6 +146,10 @@ export class Texture extends EventDispatcher {
         this._glTexture = null;
         this._glTarget = options.target || Texture.TARGETS.TEXTURE_2D;
         
+        // Keep image data for context restores; null follows WebGLResources.retainData
+        this.retainData = options.retainData ?? null;
+        this.dataDropped = false;
+        
         // Animation properties
         this.flipY = options.flipY !== false;
         this.premultiplyAlpha = options.premultiplyAlpha !== false;
@@ -248,7 +258,8 @@ export class Texture extends EventDispatcher {
         UNSIGNED_INT_24_8: 19,
         UNSIGNED_INT_10F_11F_REV: 20,
         UNSIGNED_INT_5_9_9_9_REV: 21,
-        FLOAT_32_UNSIGNED_INT_24_8_REV: 22
+        FLOAT_32_UNSIGNED_INT_24_8_REV: 22,
+        HALF_FLOAT: 23
     };
     
     static WRAP_MODES = {
@@ -280,6 +291,30 @@ export class Texture extends EventDispatcher {
         'astc': 'ASTC'
     };
     
+    // Floating point image formats decoded on the CPU
+    static HDR_FORMATS = {
+        'hdr': 'HDR',
+        'exr': 'EXR'
+    };
+    
+    // WebGL enums of the compressed formats named by internalFormat
+    static COMPRESSED_INTERNAL_FORMATS = {
+        COMPRESSED_RGB_S3TC_DXT1_EXT: 0x83F0,
+        COMPRESSED_RGBA_S3TC_DXT1_EXT: 0x83F1,
+        COMPRESSED_RGBA_S3TC_DXT3_EXT: 0x83F2,
+        COMPRESSED_RGBA_S3TC_DXT5_EXT: 0x83F3,
+        COMPRESSED_RGBA_BPTC_UNORM_EXT: 0x8E8C,
+        COMPRESSED_RGB_ETC1_WEBGL: 0x8D64,
+        COMPRESSED_RGB8_ETC2: 0x9274,
+        COMPRESSED_RGBA8_ETC2_EAC: 0x9278,
+        COMPRESSED_RGBA_ASTC_4x4_KHR: 0x93B0,
+        COMPRESSED_RGB_PVRTC_4BPPV1_IMG: 0x8C00,
+        COMPRESSED_RGBA_PVRTC_4BPPV1_IMG: 0x8C02
+    };
+    
+    // Transcoder for Basis Universal (ETC1S/UASTC) KTX2 textures
+    static basisTranscoder = null;
+    
     static ENCODINGS = {
         LINEAR: 0,
         SRGB: 1,
@@ -301,7 +336,7 @@ export class Texture extends EventDispatcher {
         BMP: { extensions: ['.bmp'], type: 'image/bmp', supported: false },
         ICO: { extensions: ['.ico'], type: 'image/x-icon', supported: false },
         HDR: { extensions: ['.hdr', '.rgbe'], type: 'application/x-hdr', supported: true },
-        EXR: { extensions: ['.exr'], type: 'image/exr', supported: false },
+        EXR: { extensions: ['.exr'], type: 'image/exr', supported: true },
         DDS: { extensions: ['.dds'], type: 'application/octet-stream', supported: true },
         KTX2: { extensions: ['.ktx2'], type: 'application/octet-stream', supported: true }
     };
@@ -326,9 +361,9 @@ export class Texture extends EventDispatcher {
             
             let imageData;
             
-            if (this._isCompressedFormat(extension, contentType)) {
-                imageData = await response.arrayBuffer();
-                await texture._loadCompressedTexture(imageData, extension);
+            if (texture._isCompressedFormat(extension, contentType)) {
+                const arrayBuffer = await response.arrayBuffer();
+                imageData = await texture._loadCompressedTexture(arrayBuffer, extension);
             } else {
                 const blob = await response.blob();
                 imageData = await texture._loadImageTexture(blob);
@@ -353,6 +388,20 @@ export class Texture extends EventDispatcher {
         }
     }
     
+    /**
+     * Set the transcoder used for Basis Universal KTX2 textures
+     */
+    static setBasisTranscoder(transcoder) {
+        Texture.basisTranscoder = transcoder;
+    }
+    
+    static getBasisTranscoder() {
+        if (!Texture.basisTranscoder) {
+            Texture.basisTranscoder = new BasisTranscoder();
+        }
+        return Texture.basisTranscoder;
+    }
+    
     /**
      * Create texture from image data/canvas/video
      */
@@ -376,6 +425,21 @@ export class Texture extends EventDispatcher {
         return texture;
     }
     
+    /**
+     * Create a float or half-float texture from OpenEXR file contents
+     * @param {ArrayBuffer|Uint8Array} buffer - EXR file contents
+     * @param {Object} options - Texture options; type: Texture.TYPES.HALF_FLOAT and layer select the output
+     */
+    static fromEXR(buffer, options = {}) {
+        const texture = new Texture(options);
+        texture.image = texture._parseEXR(buffer, options);
+        texture.isLoaded = true;
+        texture.needsUpdate = true;
+        
+        texture.dispatchEvent({ type: 'update', texture });
+        return texture;
+    }
+    
     /**
      * Create cube map texture from multiple face images
      */
@@ -410,6 +474,7 @@ export class Texture extends EventDispatcher {
     update(gl) {
         if (!this._gl) {
             this._gl = gl;
+            WebGLResources.get(gl).register(this);
         }
         
         if (!this.needsUpdate && !this._hasPendingUpdates()) {
@@ -426,6 +491,18 @@ export class Texture extends EventDispatcher {
         this._uploadTextureData();
         this.needsUpdate = false;
         
+        if (this.image) {
+            this.dataDropped = false;
+            
+            // Video and render target contents are not copies that could be dropped
+            if (!this.isVideo && !this.isRenderTarget && !WebGLResources.get(this._gl).retains(this)) {
+                this.image = null;
+                this.cubeMapImages = null;
+                this.mipmaps = [];
+                this.dataDropped = true;
+            }
+        }
+        
         this.dispatchEvent({ type: 'updated', texture: this });
     }
     
@@ -470,6 +547,18 @@ export class Texture extends EventDispatcher {
         return this._loadStreamLevel(nextLevel);
     }
     
+    /**
+     * Recreate the GL texture after a context loss and upload the retained image
+     * @returns {boolean} False when the image was dropped after upload and has to be reloaded
+     */
+    restoreContext() {
+        this._glTexture = null;
+        this.needsUpdate = true;
+        this.update(this._gl);
+        
+        return !this.dataDropped;
+    }
+    
     /**
      * Dispose texture and free resources
      */
@@ -488,6 +577,9 @@ export class Texture extends EventDispatcher {
             this._gl.deleteTexture(this._glTexture);
             this._glTexture = null;
         }
+        if (this._gl) {
+            WebGLResources.get(this._gl).unregister(this);
+        }
         
         // Clear mipmaps
         this.mipmaps = [];
@@ -556,6 +648,8 @@ export class Texture extends EventDispatcher {
                 return this._parseKTX2(arrayBuffer);
             case 'hdr':
                 return this._parseHDR(arrayBuffer);
+            case 'exr':
+                return this._parseEXR(arrayBuffer);
             default:
                 throw new Error(`Unsupported compressed format: ${extension}`);
         }
@@ -629,27 +723,87 @@ export class Texture extends EventDispatcher {
         };
     }
     
-    async _parseKTX2(arrayBuffer) {
-        // KTX2 parsing would go here
-        // This is a simplified version - full implementation would parse
-        // the KTX2 format properly including supercompression schemes
-        
-        const dataView = new DataView(arrayBuffer);
-        const magic = new TextDecoder().decode(arrayBuffer.slice(0, 12));
+    async _parseKTX2(arrayBuffer, transcoder = null) {
+        const container = KTX2Container.parse(arrayBuffer);
+        const { format, levels } = container.isBasis
+            ? await (transcoder || Texture.getBasisTranscoder()).transcode(container)
+            : container.getImages();
+        
+        this.width = container.pixelWidth;
+        this.height = container.pixelHeight;
+        this.depth = container.pixelDepth;
+        this.layers = Math.max(1, container.layerCount);
+        this.format = format.hasAlpha ? Texture.FORMATS.RGBA : Texture.FORMATS.RGB;
+        this.internalFormat = format.internalFormat;
+        this.encoding = container.isSRGB ? Texture.ENCODINGS.SRGB : Texture.ENCODINGS.LINEAR;
+        
+        if (container.isCubemap) {
+            this._glTarget = Texture.TARGETS.TEXTURE_CUBE_MAP;
+        } else if (container.isArray) {
+            this._glTarget = Texture.TARGETS.TEXTURE_2D_ARRAY;
+        }
         
-        if (magic !== '«KTXfoo»') {
-            throw new Error('Invalid KTX2 file');
+        // Compressed data cannot be mipmapped on the GPU; a levelCount of 0 requests generation
+        this.generateMipmaps = container.levelCount === 0 && !format.compressed;
+        if (levels.length === 1 && !this.generateMipmaps) {
+            this.minFilter = Texture.FILTERS.LINEAR;
         }
         
-        // Simplified parsing - would need full KTX2 implementation
-        this.width = dataView.getUint32(52, true);
-        this.height = dataView.getUint32(56, true);
+        this.mipmaps = levels.map(level => ({
+            data: level.images[0],
+            width: level.width,
+            height: level.height
+        }));
+        
+        return {
+            compressed: format.compressed,
+            data: levels[0].images[0],
+            format,
+            levels,
+            faceCount: container.faceCount,
+            layerCount: this.layers,
+            keyValue: container.keyValue
+        };
+    }
+    
+    _parseEXR(arrayBuffer, options = {}) {
+        const half = this.type === Texture.TYPES.HALF_FLOAT;
+        const exr = EXRDecoder.decode(arrayBuffer, { type: half ? 'half' : 'float', layer: options.layer });
+        const format = half
+            ? { internalFormat: 'RGBA16F', format: 'RGBA', type: 'HALF_FLOAT', compressed: false, bytesPerPixel: 8 }
+            : { internalFormat: 'RGBA32F', format: 'RGBA', type: 'FLOAT', compressed: false, bytesPerPixel: 16 };
+        
+        this.width = exr.width;
+        this.height = exr.height;
         this.format = Texture.FORMATS.RGBA;
+        this.internalFormat = format.internalFormat;
+        this.type = half ? Texture.TYPES.HALF_FLOAT : Texture.TYPES.FLOAT;
+        this.encoding = Texture.ENCODINGS.LINEAR;
+        
+        // RGBA32F is not filterable everywhere, so only half floats get generated mipmaps
+        this.generateMipmaps = this.generateMipmaps && half && exr.levels.length === 1;
+        if (exr.levels.length === 1 && !this.generateMipmaps) {
+            this.minFilter = Texture.FILTERS.LINEAR;
+        }
+        
+        this.mipmaps = exr.levels.map(level => ({
+            data: level.data,
+            width: level.width,
+            height: level.height
+        }));
         
         return {
-            compressed: true,
-            data: arrayBuffer,
-            compressedFormat: 'ASTC' // Would be determined from KTX2 header
+            compressed: false,
+            data: exr.data,
+            width: exr.width,
+            height: exr.height,
+            format,
+            levels: exr.levels.map(level => ({
+                width: level.width,
+                height: level.height,
+                images: [level.data]
+            })),
+            header: exr.header
         };
     }
     
@@ -723,7 +877,7 @@ export class Texture extends EventDispatcher {
         if (!this._gl) return;
         
         this._glTexture = this._gl.createTexture();
-        this._gl.bindTexture(this._glTarget, this._glTexture);
+        WebGLState.get(this._gl).bindTexture(this._glTarget, this._glTexture);
         
         // Set default parameters
         this._gl.texParameteri(this._glTarget, this._gl.TEXTURE_WRAP_S, this.wrapS);
@@ -744,7 +898,7 @@ export class Texture extends EventDispatcher {
     _uploadTextureData() {
         if (!this._gl || !this._glTexture || !this.image) return;
         
-        this._gl.bindTexture(this._glTarget, this._glTexture);
+        WebGLState.get(this._gl).bindTexture(this._glTarget, this._glTexture);
         
         if (this._glTarget === Texture.TARGETS.TEXTURE_CUBE_MAP) {
             this._uploadCubeMapData();
@@ -764,7 +918,12 @@ export class Texture extends EventDispatcher {
     _upload2DTextureData() {
         const gl = this._gl;
         
-        if (this.image.compressed && this.image.data) {
+        if (this.image.levels) {
+            // KTX2: every mip level is stored
+            this.image.levels.forEach((level, i) => {
+                this._uploadImageLevel(gl.TEXTURE_2D, i, level.width, level.height, level.images[0]);
+            });
+        } else if (this.image.compressed && this.image.data) {
             // Compressed texture
             gl.compressedTexImage2D(
                 gl.TEXTURE_2D,
@@ -805,6 +964,15 @@ export class Texture extends EventDispatcher {
             gl.TEXTURE_CUBE_MAP_NEGATIVE_Z
         ];
         
+        if (this.image && this.image.levels) {
+            this.image.levels.forEach((level, i) => {
+                for (let face = 0; face < 6; face++) {
+                    this._uploadImageLevel(faceOrder[face], i, level.width, level.height, level.images[face]);
+                }
+            });
+            return;
+        }
+        
         for (let i = 0; i < 6; i++) {
             const face = this.cubeMapImages[i];
             if (!face) continue;
@@ -847,6 +1015,14 @@ export class Texture extends EventDispatcher {
     
     _uploadArrayTextureData() {
         const gl = this._gl;
+        
+        if (this.image.levels) {
+            this.image.levels.forEach((level, i) => {
+                this._uploadLayersLevel(i, level);
+            });
+            return;
+        }
+        
         const format = this._getTextureFormat();
         const type = this._getTextureType();
         
@@ -864,6 +1040,78 @@ export class Texture extends EventDispatcher {
         );
     }
     
+    /**
+     * Upload one mip level of a KTX2 image to a 2D or cube face target
+     */
+    _uploadImageLevel(target, level, width, height, data) {
+        const gl = this._gl;
+        const format = this.image.format;
+        
+        if (format.compressed) {
+            gl.compressedTexImage2D(target, level, this._getCompressedInternalFormat(), width, height, 0, data);
+        } else {
+            gl.texImage2D(
+                target,
+                level,
+                this._getSizedInternalFormat(format),
+                width,
+                height,
+                0,
+                gl[format.format],
+                this._getUploadType(format),
+                this._getUploadView(format, data)
+            );
+        }
+    }
+    
+    _uploadLayersLevel(level, { width, height, images }) {
+        const gl = this._gl;
+        const format = this.image.format;
+        const data = new Uint8Array(images.reduce((total, image) => total + image.byteLength, 0));
+        let offset = 0;
+        
+        for (const image of images) {
+            data.set(image, offset);
+            offset += image.byteLength;
+        }
+        
+        if (format.compressed) {
+            gl.compressedTexImage3D(
+                gl.TEXTURE_2D_ARRAY, level, this._getCompressedInternalFormat(),
+                width, height, images.length, 0, data
+            );
+        } else {
+            gl.texImage3D(
+                gl.TEXTURE_2D_ARRAY, level, this._getSizedInternalFormat(format),
+                width, height, images.length, 0,
+                gl[format.format], this._getUploadType(format), this._getUploadView(format, data)
+            );
+        }
+    }
+    
+    _getSizedInternalFormat(format) {
+        // WebGL 1 has no sized formats
+        return this._gl[format.internalFormat] || this._gl[format.format];
+    }
+    
+    _getUploadType(format) {
+        if (format.type === 'HALF_FLOAT' && !this._gl.HALF_FLOAT) {
+            return 0x8D61; // HALF_FLOAT_OES
+        }
+        return this._gl[format.type];
+    }
+    
+    _getUploadView(format, data) {
+        switch (format.type) {
+            case 'FLOAT':
+                return new Float32Array(data.buffer, data.byteOffset, data.byteLength / 4);
+            case 'HALF_FLOAT':
+                return new Uint16Array(data.buffer, data.byteOffset, data.byteLength / 2);
+            default:
+                return data;
+        }
+    }
+    
     async _loadStreamLevel(level) {
         const url = this.streamSources[level];
         if (!url) return false;
@@ -921,6 +1169,7 @@ export class Texture extends EventDispatcher {
                 break;
             case Texture.TYPES.UNSIGNED_SHORT:
             case Texture.TYPES.SHORT:
+            case Texture.TYPES.HALF_FLOAT:
                 bytesPerPixel = 2;
                 break;
             case Texture.TYPES.UNSIGNED_INT:
@@ -976,6 +1225,7 @@ export class Texture extends EventDispatcher {
     
     _isCompressedFormat(extension, contentType) {
         return extension.toLowerCase() in Texture.COMPRESSION_FORMATS ||
+               extension.toLowerCase() in Texture.HDR_FORMATS ||
                contentType.includes('application/octet-stream');
     }
     
@@ -1021,6 +1271,8 @@ export class Texture extends EventDispatcher {
                 return gl.UNSIGNED_INT;
             case Texture.TYPES.FLOAT:
                 return gl.FLOAT;
+            case Texture.TYPES.HALF_FLOAT:
+                return gl.HALF_FLOAT || 0x8D61; // HALF_FLOAT_OES
             case Texture.TYPES.SHORT:
                 return gl.SHORT;
             case Texture.TYPES.INT:
@@ -1031,18 +1283,9 @@ export class Texture extends EventDispatcher {
     }
     
     _getCompressedInternalFormat() {
-        const gl = this._gl;
-        
-        switch (this.internalFormat) {
-            case 'COMPRESSED_RGB_S3TC_DXT1_EXT':
-                return gl.COMPRESSED_RGB_S3TC_DXT1_EXT;
-            case 'COMPRESSED_RGBA_S3TC_DXT3_EXT':
-                return gl.COMPRESSED_RGBA_S3TC_DXT3_EXT;
-            case 'COMPRESSED_RGBA_S3TC_DXT5_EXT':
-                return gl.COMPRESSED_RGBA_S3TC_DXT5_EXT;
-            default:
-                return gl.COMPRESSED_RGBA_S3TC_DXT5_EXT;
-        }
+        // Extension enums are not exposed on the context itself
+        return Texture.COMPRESSED_INTERNAL_FORMATS[this.internalFormat] ||
+               Texture.COMPRESSED_INTERNAL_FORMATS.COMPRESSED_RGBA_S3TC_DXT5_EXT;
     }
     
     // Event handlers
@@ -1067,7 +1310,7 @@ export class Texture extends EventDispatcher {
     static isFormatSupported(gl, format, type) {
         const texture = new Texture();
         const testTexture = gl.createTexture();
-        gl.bindTexture(gl.TEXTURE_2D, testTexture);
+        WebGLState.get(gl).bindTexture(gl.TEXTURE_2D, testTexture);
         
         try {
             gl.texImage2D(gl.TEXTURE_2D, 0, format, 2, 2, 0, format, type, null);
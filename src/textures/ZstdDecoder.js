@@ -0,0 +1,748 @@
+/**
+ * ZstdDecoder - Zstandard (RFC 8878) decompression
+ * Used for KTX2 supercompression scheme 2. Supports raw, RLE and compressed
+ * blocks with Huffman literals and FSE-coded sequences; dictionaries are not supported.
+ */
+
+const ZSTD_MAGIC = 0xfd2fb528;
+const SKIPPABLE_MAGIC = 0x184d2a50;
+const MAX_BLOCK_SIZE = 128 * 1024;
+
+const BLOCK_RAW = 0;
+const BLOCK_RLE = 1;
+const BLOCK_COMPRESSED = 2;
+
+const LITERALS_RAW = 0;
+const LITERALS_RLE = 1;
+const LITERALS_COMPRESSED = 2;
+const LITERALS_TREELESS = 3;
+
+const MODE_PREDEFINED = 0;
+const MODE_RLE = 1;
+const MODE_FSE = 2;
+const MODE_REPEAT = 3;
+
+const LL_BASELINES = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096,
+    8192, 16384, 32768, 65536
+];
+const LL_EXTRA_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12,
+    13, 14, 15, 16
+];
+
+const ML_BASELINES = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18,
+    19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+    35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051,
+    4099, 8195, 16387, 32771, 65539
+];
+const ML_EXTRA_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11,
+    12, 13, 14, 15, 16
+];
+
+// Default distributions (RFC 8878, section 3.1.1.3.2.2)
+const LL_DEFAULT_DISTRIBUTION = [
+    4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1,
+    2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+    -1, -1, -1, -1
+];
+const ML_DEFAULT_DISTRIBUTION = [
+    1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1,
+    -1, -1, -1, -1, -1
+];
+const OF_DEFAULT_DISTRIBUTION = [
+    1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1
+];
+
+function highBit(value) {
+    return 31 - Math.clz32(value);
+}
+
+/**
+ * Little-endian bit reader for FSE table descriptions
+ */
+class ForwardBitReader {
+    constructor(data, offset) {
+        this.data = data;
+        this.bitOffset = offset * 8;
+    }
+
+    peek(count) {
+        const byte = this.bitOffset >>> 3;
+        const data = this.data;
+        const word = (data[byte] | (data[byte + 1] << 8) | (data[byte + 2] << 16) | (data[byte + 3] << 24)) >>> 0;
+        return (word >>> (this.bitOffset & 7)) & ((1 << count) - 1);
+    }
+
+    read(count) {
+        const value = this.peek(count);
+        this.bitOffset += count;
+        return value;
+    }
+
+    get byteOffset() {
+        return (this.bitOffset + 7) >>> 3;
+    }
+}
+
+/**
+ * Reverse bit reader for Huffman and FSE streams: bits are consumed from the
+ * end of the stream, below the final padding marker bit
+ */
+class BackwardBitReader {
+    constructor(data, start, end) {
+        if (end <= start) {
+            throw new Error('Zstd: empty bitstream');
+        }
+
+        const last = data[end - 1];
+        if (last === 0) {
+            throw new Error('Zstd: corrupted bitstream padding');
+        }
+
+        this.data = data;
+        this.start = start;
+        this.offset = (end - 1 - start) * 8 + highBit(last);
+    }
+
+    _bits(position, count) {
+        let value = 0;
+        let shift = 0;
+
+        while (count > 0) {
+            const byte = this.start + (position >>> 3);
+            const bit = position & 7;
+            const take = Math.min(8 - bit, count);
+            value += ((this.data[byte] >>> bit) & ((1 << take) - 1)) * Math.pow(2, shift);
+            position += take;
+            shift += take;
+            count -= take;
+        }
+
+        return value;
+    }
+
+    peek(count) {
+        const position = this.offset - count;
+        if (position >= 0) {
+            return this._bits(position, count);
+        }
+
+        // Past the start of the stream the missing low bits read as zero
+        const available = count + position;
+        return available > 0 ? this._bits(0, available) * Math.pow(2, -position) : 0;
+    }
+
+    read(count) {
+        if (count === 0) return 0;
+        const value = this.peek(count);
+        this.offset -= count;
+        return value;
+    }
+
+    get overflowed() {
+        return this.offset < 0;
+    }
+}
+
+/**
+ * Build an FSE decoding table from normalized probabilities
+ */
+function buildFseTable(probabilities, accuracyLog) {
+    const tableSize = 1 << accuracyLog;
+    const symbols = new Uint8Array(tableSize);
+    const nbBits = new Uint8Array(tableSize);
+    const baselines = new Uint32Array(tableSize);
+    const next = new Uint32Array(probabilities.length);
+    let highThreshold = tableSize - 1;
+
+    for (let s = 0; s < probabilities.length; s++) {
+        if (probabilities[s] === -1) {
+            symbols[highThreshold--] = s;
+            next[s] = 1;
+        } else {
+            next[s] = probabilities[s];
+        }
+    }
+
+    const mask = tableSize - 1;
+    const step = (tableSize >>> 1) + (tableSize >>> 3) + 3;
+    let position = 0;
+
+    for (let s = 0; s < probabilities.length; s++) {
+        for (let i = 0; i < probabilities[s]; i++) {
+            symbols[position] = s;
+            do {
+                position = (position + step) & mask;
+            } while (position > highThreshold);
+        }
+    }
+
+    if (position !== 0) {
+        throw new Error('Zstd: invalid FSE distribution');
+    }
+
+    for (let state = 0; state < tableSize; state++) {
+        const nextState = next[symbols[state]]++;
+        nbBits[state] = accuracyLog - highBit(nextState);
+        baselines[state] = (nextState << nbBits[state]) - tableSize;
+    }
+
+    return { accuracyLog, symbols, nbBits, baselines };
+}
+
+function buildRleTable(symbol) {
+    return {
+        accuracyLog: 0,
+        symbols: new Uint8Array([symbol]),
+        nbBits: new Uint8Array(1),
+        baselines: new Uint32Array(1)
+    };
+}
+
+/**
+ * Read an FSE table description; returns the table and the bytes consumed
+ */
+function readFseTable(data, offset, maxAccuracyLog, maxSymbol) {
+    const reader = new ForwardBitReader(data, offset);
+    const accuracyLog = reader.read(4) + 5;
+
+    if (accuracyLog > maxAccuracyLog) {
+        throw new Error('Zstd: FSE accuracy log too large');
+    }
+
+    const probabilities = [];
+    let remaining = (1 << accuracyLog) + 1;
+    let threshold = 1 << accuracyLog;
+    let bitCount = accuracyLog + 1;
+
+    while (remaining > 1 && probabilities.length <= maxSymbol) {
+        const max = 2 * threshold - 1 - remaining;
+        let value = reader.peek(bitCount - 1);
+
+        if (value < max) {
+            reader.bitOffset += bitCount - 1;
+        } else {
+            value = reader.peek(bitCount);
+            if (value >= threshold) value -= max;
+            reader.bitOffset += bitCount;
+        }
+
+        const probability = value - 1;
+        remaining -= Math.abs(probability);
+        probabilities.push(probability);
+
+        if (probability === 0) {
+            let repeat;
+            do {
+                repeat = reader.read(2);
+                for (let i = 0; i < repeat; i++) probabilities.push(0);
+            } while (repeat === 3);
+        }
+
+        while (remaining < threshold) {
+            bitCount--;
+            threshold >>>= 1;
+        }
+    }
+
+    if (remaining !== 1 || probabilities.length > maxSymbol + 1) {
+        throw new Error('Zstd: corrupted FSE table description');
+    }
+
+    return {
+        table: buildFseTable(probabilities, accuracyLog),
+        size: reader.byteOffset - offset
+    };
+}
+
+/**
+ * Decode Huffman weights and build the lookup table; returns the table and bytes consumed
+ */
+function readHuffmanTable(data, offset) {
+    const header = data[offset];
+    const weights = [];
+    let size;
+
+    if (header >= 128) {
+        const count = header - 127;
+        size = 1 + ((count + 1) >>> 1);
+        for (let i = 0; i < count; i++) {
+            const byte = data[offset + 1 + (i >>> 1)];
+            weights.push(i & 1 ? byte & 15 : byte >>> 4);
+        }
+    } else {
+        size = 1 + header;
+        const { table, size: tableSize } = readFseTable(data, offset + 1, 6, 255);
+        const reader = new BackwardBitReader(data, offset + 1 + tableSize, offset + 1 + header);
+        let state1 = reader.read(table.accuracyLog);
+        let state2 = reader.read(table.accuracyLog);
+
+        // Two interleaved states; the stream ends once it is over-read
+        for (;;) {
+            weights.push(table.symbols[state1]);
+            state1 = table.baselines[state1] + reader.read(table.nbBits[state1]);
+            if (reader.overflowed) {
+                weights.push(table.symbols[state2]);
+                break;
+            }
+
+            weights.push(table.symbols[state2]);
+            state2 = table.baselines[state2] + reader.read(table.nbBits[state2]);
+            if (reader.overflowed) {
+                weights.push(table.symbols[state1]);
+                break;
+            }
+
+            if (weights.length > 255) {
+                throw new Error('Zstd: too many Huffman weights');
+            }
+        }
+    }
+
+    // The last weight is implied by the others summing to a power of two
+    let total = 0;
+    for (const weight of weights) {
+        if (weight > 0) total += 1 << (weight - 1);
+    }
+    if (total === 0) {
+        throw new Error('Zstd: invalid Huffman weights');
+    }
+
+    const maxBits = highBit(total) + 1;
+    const leftover = (1 << maxBits) - total;
+    if (leftover & (leftover - 1)) {
+        throw new Error('Zstd: invalid Huffman weights');
+    }
+    weights.push(highBit(leftover) + 1);
+
+    if (maxBits > 11) {
+        throw new Error('Zstd: Huffman code too long');
+    }
+
+    const tableSize = 1 << maxBits;
+    const symbols = new Uint8Array(tableSize);
+    const nbBits = new Uint8Array(tableSize);
+    const rankStart = new Uint32Array(maxBits + 2);
+    const rankCount = new Uint32Array(maxBits + 2);
+
+    for (const weight of weights) rankCount[weight]++;
+
+    let nextStart = 0;
+    for (let w = 1; w <= maxBits; w++) {
+        rankStart[w] = nextStart;
+        nextStart += rankCount[w] << (w - 1);
+    }
+
+    for (let s = 0; s < weights.length; s++) {
+        const w = weights[s];
+        if (w === 0) continue;
+
+        const length = 1 << (w - 1);
+        const start = rankStart[w];
+        symbols.fill(s, start, start + length);
+        nbBits.fill(maxBits + 1 - w, start, start + length);
+        rankStart[w] += length;
+    }
+
+    return { table: { maxBits, symbols, nbBits }, size };
+}
+
+function decodeHuffmanStream(data, start, end, table, output, outputStart, outputEnd) {
+    const reader = new BackwardBitReader(data, start, end);
+
+    for (let i = outputStart; i < outputEnd; i++) {
+        const index = reader.peek(table.maxBits);
+        output[i] = table.symbols[index];
+        reader.offset -= table.nbBits[index];
+    }
+
+    if (reader.offset !== 0) {
+        throw new Error('Zstd: corrupted Huffman stream');
+    }
+}
+
+/**
+ * Growable output buffer shared by the blocks of a frame
+ */
+class OutputBuffer {
+    constructor(capacity) {
+        this.data = new Uint8Array(Math.max(capacity, 1024));
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.data.length) return;
+
+        let capacity = this.data.length * 2;
+        while (capacity < this.length + count) capacity *= 2;
+
+        const data = new Uint8Array(capacity);
+        data.set(this.data.subarray(0, this.length));
+        this.data = data;
+    }
+
+    append(bytes) {
+        this.reserve(bytes.length);
+        this.data.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+}
+
+class FrameDecoder {
+    constructor(data, output) {
+        this.data = data;
+        this.output = output;
+        this.huffmanTable = null;
+        this.tables = { literalLengths: null, offsets: null, matchLengths: null };
+        this.repeatOffsets = [1, 4, 8];
+    }
+
+    decode(offset) {
+        const data = this.data;
+        const descriptor = data[offset++];
+        const contentSizeFlag = descriptor >>> 6;
+        const singleSegment = (descriptor >>> 5) & 1;
+        const hasChecksum = (descriptor >>> 2) & 1;
+        const dictionaryIdFlag = descriptor & 3;
+
+        if (descriptor & 8) {
+            throw new Error('Zstd: reserved frame header bit set');
+        }
+
+        if (!singleSegment) offset++; // Window descriptor
+
+        const dictionaryIdSize = [0, 1, 2, 4][dictionaryIdFlag];
+        let dictionaryId = 0;
+        for (let i = 0; i < dictionaryIdSize; i++) {
+            dictionaryId += data[offset + i] * Math.pow(2, 8 * i);
+        }
+        if (dictionaryId !== 0) {
+            throw new Error('Zstd: dictionaries are not supported');
+        }
+        offset += dictionaryIdSize;
+
+        const contentSizeBytes = [singleSegment ? 1 : 0, 2, 4, 8][contentSizeFlag];
+        let contentSize = -1;
+        if (contentSizeBytes > 0) {
+            contentSize = 0;
+            for (let i = 0; i < contentSizeBytes; i++) {
+                contentSize += data[offset + i] * Math.pow(2, 8 * i);
+            }
+            if (contentSizeBytes === 2) contentSize += 256;
+            offset += contentSizeBytes;
+        }
+
+        const frameStart = this.output.length;
+        if (contentSize >= 0) this.output.reserve(contentSize);
+
+        let last = false;
+        while (!last) {
+            if (offset + 3 > data.length) {
+                throw new Error('Zstd: truncated block header');
+            }
+
+            const header = data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16);
+            offset += 3;
+            last = (header & 1) === 1;
+            const type = (header >>> 1) & 3;
+            const size = header >>> 3;
+
+            if (type === BLOCK_RAW) {
+                if (offset + size > data.length) throw new Error('Zstd: truncated raw block');
+                this.output.append(data.subarray(offset, offset + size));
+                offset += size;
+            } else if (type === BLOCK_RLE) {
+                this.output.reserve(size);
+                this.output.data.fill(data[offset], this.output.length, this.output.length + size);
+                this.output.length += size;
+                offset += 1;
+            } else if (type === BLOCK_COMPRESSED) {
+                if (size > MAX_BLOCK_SIZE || offset + size > data.length) {
+                    throw new Error('Zstd: invalid compressed block size');
+                }
+                this._decodeCompressedBlock(offset, offset + size, frameStart);
+                offset += size;
+            } else {
+                throw new Error('Zstd: reserved block type');
+            }
+        }
+
+        if (contentSize >= 0 && this.output.length - frameStart !== contentSize) {
+            throw new Error('Zstd: frame content size mismatch');
+        }
+
+        return offset + (hasChecksum ? 4 : 0);
+    }
+
+    _decodeCompressedBlock(start, end, frameStart) {
+        const { literals, offset } = this._decodeLiterals(start, end);
+        this._decodeSequences(offset, end, literals, frameStart);
+    }
+
+    _decodeLiterals(start, end) {
+        const data = this.data;
+        const b0 = data[start];
+        const type = b0 & 3;
+        const sizeFormat = (b0 >>> 2) & 3;
+
+        if (type === LITERALS_RAW || type === LITERALS_RLE) {
+            let size;
+            let headerSize;
+            if ((sizeFormat & 1) === 0) {
+                size = b0 >>> 3;
+                headerSize = 1;
+            } else if (sizeFormat === 1) {
+                size = (b0 >>> 4) + (data[start + 1] << 4);
+                headerSize = 2;
+            } else {
+                size = (b0 >>> 4) + (data[start + 1] << 4) + (data[start + 2] << 12);
+                headerSize = 3;
+            }
+
+            const offset = start + headerSize;
+            if (type === LITERALS_RAW) {
+                if (offset + size > end) throw new Error('Zstd: truncated literals');
+                return { literals: data.subarray(offset, offset + size), offset: offset + size };
+            }
+
+            return { literals: new Uint8Array(size).fill(data[offset]), offset: offset + 1 };
+        }
+
+        const b1 = data[start + 1];
+        const b2 = data[start + 2];
+        let regeneratedSize;
+        let compressedSize;
+        let headerSize;
+        let streams = 4;
+
+        if (sizeFormat <= 1) {
+            streams = sizeFormat === 0 ? 1 : 4;
+            headerSize = 3;
+            regeneratedSize = ((b0 >>> 4) | (b1 << 4)) & 0x3ff;
+            compressedSize = (b1 >>> 6) | (b2 << 2);
+        } else if (sizeFormat === 2) {
+            headerSize = 4;
+            regeneratedSize = ((b0 >>> 4) | (b1 << 4) | (b2 << 12)) & 0x3fff;
+            compressedSize = (b2 >>> 2) | (data[start + 3] << 6);
+        } else {
+            headerSize = 5;
+            regeneratedSize = ((b0 >>> 4) | (b1 << 4) | (b2 << 12)) & 0x3ffff;
+            compressedSize = (b2 >>> 6) | (data[start + 3] << 2) | (data[start + 4] << 10);
+        }
+
+        let offset = start + headerSize;
+        const streamsEnd = offset + compressedSize;
+        if (streamsEnd > end) {
+            throw new Error('Zstd: truncated literals');
+        }
+
+        if (type === LITERALS_COMPRESSED) {
+            const { table, size } = readHuffmanTable(data, offset);
+            this.huffmanTable = table;
+            offset += size;
+        } else if (!this.huffmanTable) {
+            throw new Error('Zstd: treeless literals without a previous Huffman table');
+        }
+
+        const literals = new Uint8Array(regeneratedSize);
+
+        if (streams === 1) {
+            decodeHuffmanStream(data, offset, streamsEnd, this.huffmanTable, literals, 0, regeneratedSize);
+        } else {
+            const sizes = [
+                data[offset] | (data[offset + 1] << 8),
+                data[offset + 2] | (data[offset + 3] << 8),
+                data[offset + 4] | (data[offset + 5] << 8)
+            ];
+            const segment = Math.ceil(regeneratedSize / 4);
+            let streamStart = offset + 6;
+
+            for (let i = 0; i < 4; i++) {
+                const streamEnd = i < 3 ? streamStart + sizes[i] : streamsEnd;
+                const outputStart = i * segment;
+                const outputEnd = i < 3 ? Math.min(outputStart + segment, regeneratedSize) : regeneratedSize;
+
+                decodeHuffmanStream(data, streamStart, streamEnd, this.huffmanTable, literals, outputStart, outputEnd);
+                streamStart = streamEnd;
+            }
+        }
+
+        return { literals, offset: streamsEnd };
+    }
+
+    _readSequenceTable(name, mode, offset, defaults, defaultLog, maxLog, maxSymbol) {
+        switch (mode) {
+            case MODE_PREDEFINED:
+                this.tables[name] = buildFseTable(defaults, defaultLog);
+                return offset;
+            case MODE_RLE:
+                this.tables[name] = buildRleTable(this.data[offset]);
+                return offset + 1;
+            case MODE_FSE: {
+                const { table, size } = readFseTable(this.data, offset, maxLog, maxSymbol);
+                this.tables[name] = table;
+                return offset + size;
+            }
+            default:
+                if (!this.tables[name]) {
+                    throw new Error('Zstd: repeat mode without a previous table');
+                }
+                return offset;
+        }
+    }
+
+    _decodeSequences(offset, end, literals, frameStart) {
+        const data = this.data;
+        const output = this.output;
+        let count = data[offset++];
+
+        if (count === 0) {
+            output.append(literals);
+            return;
+        }
+        if (count === 255) {
+            count = data[offset] + (data[offset + 1] << 8) + 0x7f00;
+            offset += 2;
+        } else if (count >= 128) {
+            count = ((count - 128) << 8) + data[offset++];
+        }
+
+        const modes = data[offset++];
+        if (modes & 3) {
+            throw new Error('Zstd: reserved sequence mode bits set');
+        }
+
+        offset = this._readSequenceTable('literalLengths', modes >>> 6, offset, LL_DEFAULT_DISTRIBUTION, 6, 9, 35);
+        offset = this._readSequenceTable('offsets', (modes >>> 4) & 3, offset, OF_DEFAULT_DISTRIBUTION, 5, 8, 31);
+        offset = this._readSequenceTable('matchLengths', (modes >>> 2) & 3, offset, ML_DEFAULT_DISTRIBUTION, 6, 9, 52);
+
+        const ll = this.tables.literalLengths;
+        const of = this.tables.offsets;
+        const ml = this.tables.matchLengths;
+        const reader = new BackwardBitReader(data, offset, end);
+        const repeat = this.repeatOffsets;
+
+        let llState = reader.read(ll.accuracyLog);
+        let ofState = reader.read(of.accuracyLog);
+        let mlState = reader.read(ml.accuracyLog);
+        let literalPosition = 0;
+
+        for (let i = 0; i < count; i++) {
+            const ofCode = of.symbols[ofState];
+            const llCode = ll.symbols[llState];
+            const mlCode = ml.symbols[mlState];
+
+            if (ofCode > 31 || llCode > 35 || mlCode > 52) {
+                throw new Error('Zstd: invalid sequence code');
+            }
+
+            const offsetValue = Math.pow(2, ofCode) + reader.read(ofCode);
+            const matchLength = ML_BASELINES[mlCode] + reader.read(ML_EXTRA_BITS[mlCode]);
+            const literalLength = LL_BASELINES[llCode] + reader.read(LL_EXTRA_BITS[llCode]);
+
+            let matchOffset;
+            if (offsetValue > 3) {
+                matchOffset = offsetValue - 3;
+                repeat[2] = repeat[1];
+                repeat[1] = repeat[0];
+                repeat[0] = matchOffset;
+            } else {
+                const index = offsetValue - 1 + (literalLength === 0 ? 1 : 0);
+                if (index === 0) {
+                    matchOffset = repeat[0];
+                } else {
+                    matchOffset = index === 3 ? repeat[0] - 1 : repeat[index];
+                    if (index > 1) repeat[2] = repeat[1];
+                    repeat[1] = repeat[0];
+                    repeat[0] = matchOffset;
+                }
+            }
+
+            if (i < count - 1) {
+                llState = ll.baselines[llState] + reader.read(ll.nbBits[llState]);
+                mlState = ml.baselines[mlState] + reader.read(ml.nbBits[mlState]);
+                ofState = of.baselines[ofState] + reader.read(of.nbBits[ofState]);
+            }
+
+            if (literalPosition + literalLength > literals.length) {
+                throw new Error('Zstd: literal length exceeds literals');
+            }
+            output.append(literals.subarray(literalPosition, literalPosition + literalLength));
+            literalPosition += literalLength;
+
+            if (matchOffset === 0 || matchOffset > output.length - frameStart) {
+                throw new Error('Zstd: match offset out of range');
+            }
+
+            output.reserve(matchLength);
+            const buffer = output.data;
+            let source = output.length - matchOffset;
+            let target = output.length;
+
+            // Byte by byte since matches may overlap their own output
+            for (let k = 0; k < matchLength; k++) {
+                buffer[target++] = buffer[source++];
+            }
+            output.length = target;
+        }
+
+        if (reader.offset !== 0) {
+            throw new Error('Zstd: corrupted sequence bitstream');
+        }
+
+        output.append(literals.subarray(literalPosition));
+    }
+}
+
+export class ZstdDecoder {
+    /**
+     * Decompress one or more concatenated Zstandard frames
+     * @param {Uint8Array} source - Compressed data
+     * @param {number} [expectedSize] - Decompressed size if known (e.g. KTX2 uncompressedByteLength)
+     * @returns {Uint8Array} Decompressed data
+     */
+    static decompress(source, expectedSize = 0) {
+        const data = source instanceof Uint8Array ? source : new Uint8Array(source);
+        const output = new OutputBuffer(expectedSize);
+        let offset = 0;
+
+        while (offset < data.length) {
+            if (offset + 4 > data.length) {
+                throw new Error('Zstd: truncated frame');
+            }
+
+            const magic = (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+            offset += 4;
+
+            if ((magic & 0xfffffff0) >>> 0 === SKIPPABLE_MAGIC) {
+                const size = (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+                offset += 4 + size;
+                continue;
+            }
+
+            if (magic !== ZSTD_MAGIC) {
+                throw new Error('Zstd: invalid frame magic number');
+            }
+
+            offset = new FrameDecoder(data, output).decode(offset);
+        }
+
+        if (expectedSize && output.length !== expectedSize) {
+            throw new Error(`Zstd: expected ${expectedSize} bytes, got ${output.length}`);
+        }
+
+        return output.data.slice(0, output.length);
+    }
+}
+
+export default ZstdDecoder;
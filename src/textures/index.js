@@ -5,6 +5,14 @@
 
 import { Texture } from './Texture.js';
 
+export { KTX2Container, KTX2_SUPERCOMPRESSION, KTX2_COLOR_MODEL, KTX2_TRANSFER, KTX2_VK_FORMATS } from './KTX2Container.js';
+export { BasisTranscoder, BASIS_FORMAT, BASIS_TRANSCODER_FORMAT } from './BasisTranscoder.js';
+export { ZstdDecoder } from './ZstdDecoder.js';
+export { InflateDecoder } from './InflateDecoder.js';
+export { EXRDecoder, EXR_COMPRESSION, EXR_PIXEL_TYPE, EXR_LEVEL_MODE } from './EXRDecoder.js';
+export { DeflateEncoder } from './DeflateEncoder.js';
+export { PNGEncoder } from './PNGEncoder.js';
+
 /**
  * Utility functions for texture operations
  */
@@ -0,0 +1,90 @@
+import { OrbitControls } from '../../../src/controls/OrbitControls';
+import { ElementProxy } from '../../../src/core/OffscreenCanvasProxy';
+import { Camera } from '../../../src/core/Camera';
+
+const distance = (camera: any, target: any) => Math.hypot(
+  camera.position.x - target.x,
+  camera.position.y - target.y,
+  camera.position.z - target.z
+);
+
+describe('OrbitControls', () => {
+  let camera: any;
+  let element: ElementProxy;
+  let controls: any;
+
+  beforeEach(() => {
+    camera = new Camera();
+    camera.setPosition(0, 0, 10);
+    element = new ElementProxy();
+    element.setSize({ left: 0, top: 0, width: 300, height: 150, pixelRatio: 1 });
+    controls = new OrbitControls(camera, element);
+    controls.setTarget(0, 0, 0);
+    controls.setDamping(false);
+  });
+
+  afterEach(() => {
+    controls.dispose();
+  });
+
+  describe('on a worker element', () => {
+    it('should listen on the element, which is also its document', () => {
+      ['mousedown', 'wheel', 'touchstart', 'mousemove', 'mouseup', 'keydown'].forEach(type => {
+        expect((element as any).listeners.get(type)).toHaveLength(1);
+      });
+
+      controls.dispose();
+      expect([...(element as any).listeners.values()].every((listeners: any[]) => listeners.length === 0)).toBe(true);
+    });
+
+    it('should orbit the target while dragging and stop on release', () => {
+      const events: string[] = [];
+      controls.addEventListener('start', () => events.push('start'));
+      controls.addEventListener('end', () => events.push('end'));
+
+      element.dispatchEvent({ type: 'mousedown', button: 0, clientX: 10, clientY: 10 });
+      expect(controls.state).toBe('ROTATE');
+      element.dispatchEvent({ type: 'mousemove', clientX: 60, clientY: 10 });
+      element.dispatchEvent({ type: 'mouseup' });
+      const moved = { ...camera.position };
+      element.dispatchEvent({ type: 'mousemove', clientX: 200, clientY: 10 });
+
+      expect(moved.x).not.toBeCloseTo(0);
+      expect(distance(camera, controls.target)).toBeCloseTo(10);
+      expect(camera.position).toMatchObject(moved);
+      expect(controls.state).toBe('NONE');
+      expect(events).toEqual(['start', 'end']);
+    });
+
+    it('should zoom on wheel events within the distance limits', () => {
+      element.dispatchEvent({ type: 'wheel', deltaY: 100 });
+      const zoomed = distance(camera, controls.target);
+      expect(zoomed).not.toBeCloseTo(10);
+
+      controls.maxDistance = zoomed;
+      element.dispatchEvent({ type: 'wheel', deltaY: -100 });
+      expect(distance(camera, controls.target)).toBeCloseTo(zoomed);
+    });
+
+    it('should rotate with one finger and pan with the arrow keys', () => {
+      element.dispatchEvent({ type: 'touchstart', touches: [{ identifier: 1, clientX: 0, clientY: 0 }] });
+      expect(controls.state).toBe('TOUCH_ROTATE');
+      element.dispatchEvent({ type: 'touchend', touches: [] });
+      expect(controls.state).toBe('NONE');
+
+      element.dispatchEvent({ type: 'keydown', code: 'ArrowLeft' });
+      expect(controls.getTarget()).not.toEqual({ x: 0, y: 0, z: 0 });
+    });
+  });
+
+  it('should ignore input while disabled', () => {
+    controls.enabled = false;
+
+    element.dispatchEvent({ type: 'mousedown', button: 0, clientX: 10, clientY: 10 });
+    element.dispatchEvent({ type: 'wheel', deltaY: 100 });
+
+    expect(controls.state).toBe('NONE');
+    expect(camera.position).toMatchObject({ x: 0, y: 0, z: 10 });
+    expect(controls.update()).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+import { EventEmitter } from '../../../src/core/Events';
+
+describe('EventEmitter', () => {
+  let emitter: EventEmitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter();
+  });
+
+  it('should call listeners with the emitted arguments', () => {
+    const listener = jest.fn();
+    emitter.on('hit', listener);
+
+    expect(emitter.emit('hit', 1, 'a')).toBe(true);
+    expect(listener).toHaveBeenCalledWith(1, 'a');
+    expect(emitter.emit('miss')).toBe(false);
+  });
+
+  describe('off', () => {
+    it('should remove a listener by the function passed to on()', () => {
+      const listener = jest.fn();
+      const other = jest.fn();
+      emitter.on('hit', listener);
+      emitter.on('hit', other);
+
+      emitter.off('hit', listener);
+      emitter.emit('hit');
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(other).toHaveBeenCalledTimes(1);
+      expect(emitter.listeners('hit')).toEqual([other]);
+    });
+
+    it('should remove a listener through the unsubscribe function from on()', () => {
+      const listener = jest.fn();
+      const unsubscribe = emitter.on('hit', listener);
+
+      emitter.emit('hit');
+      unsubscribe();
+      emitter.emit('hit');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(emitter.listenerCount('hit')).toBe(0);
+      expect(emitter.eventNames()).toEqual([]);
+    });
+
+    it('should remove a once() listener before it fires', () => {
+      const listener = jest.fn();
+      emitter.once('hit', listener);
+
+      emitter.off('hit', listener);
+      emitter.emit('hit');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should ignore unknown events and listeners', () => {
+      const listener = jest.fn();
+      emitter.on('hit', listener);
+
+      expect(() => emitter.off('miss', listener)).not.toThrow();
+      emitter.off('hit', () => {});
+      emitter.emit('hit');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should call once() listeners a single time', () => {
+    const listener = jest.fn();
+    emitter.once('hit', listener);
+
+    emitter.emit('hit');
+    emitter.emit('hit');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
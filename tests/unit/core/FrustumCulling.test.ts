@@ -0,0 +1,174 @@
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { Scene } from '../../../src/core/Scene';
+import { Camera } from '../../../src/core/Camera';
+import { Mesh } from '../../../src/core/Mesh';
+import { Material } from '../../../src/core/Material';
+import { BoxGeometry } from '../../../src/geometry/BoxGeometry';
+import { PlaneGeometry } from '../../../src/geometry/PlaneGeometry';
+
+/**
+ * Context that accepts every call: objects from create*, complete framebuffers, linked programs
+ */
+const createContext = () => {
+  let id = 0;
+  const values: Record<string, any> = { drawingBufferWidth: 64, drawingBufferHeight: 64, canvas: undefined };
+
+  return new Proxy(values, {
+    get(target, name: string) {
+      if (name in target) return target[name];
+      if (/^[A-Z]/.test(name)) return 0x1000 + name.length;
+      if (/^(create|fenceSync)/.test(name)) return () => ({ id: ++id });
+      if (name === 'checkFramebufferStatus') return () => 0x8cd5;
+      if (/^get(Shader|Program)Parameter$/.test(name)) return () => true;
+      return () => null;
+    }
+  });
+};
+
+const createCamera = (x: number, y: number, z: number) => {
+  const camera = new Camera();
+  camera.setPosition(x, y, z);
+  return camera;
+};
+
+const signedDistance = (plane: any, point: { x: number; y: number; z: number }) =>
+  plane.a * point.x + plane.b * point.y + plane.c * point.z + plane.d;
+
+describe('Frustum culling', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Camera.getFrustum', () => {
+    it('should place the planes around the view of the camera', () => {
+      const { planes } = createCamera(0, 0, 5).getFrustum();
+      const [left, right, bottom, top, near, far] = planes;
+
+      for (const plane of planes) {
+        expect(signedDistance(plane, { x: 0, y: 0, z: 0 })).toBeGreaterThan(0);
+      }
+
+      // near = 0.1 and far = 1000 in front of the camera, looking down -Z
+      expect(near.c).toBeCloseTo(-1);
+      expect(near.d).toBeCloseTo(4.9);
+      expect(far.c).toBeCloseTo(1);
+      expect(far.d).toBeCloseTo(995, 0);
+      expect(signedDistance(left, { x: -100, y: 0, z: 0 })).toBeLessThan(0);
+      expect(signedDistance(right, { x: 100, y: 0, z: 0 })).toBeLessThan(0);
+      expect(signedDistance(bottom, { x: 0, y: -100, z: 0 })).toBeLessThan(0);
+      expect(signedDistance(top, { x: 0, y: 100, z: 0 })).toBeLessThan(0);
+      expect(signedDistance(near, { x: 0, y: 0, z: 6 })).toBeLessThan(0);
+    });
+
+    it('should follow the camera when it moves', () => {
+      const camera = createCamera(0, 0, 5);
+      camera.getFrustum();
+
+      camera.setPosition(50, 0, 5);
+      const { planes } = camera.getFrustum();
+
+      expect(planes.every(plane => signedDistance(plane, { x: 50, y: 0, z: 0 }) > 0)).toBe(true);
+      expect(planes.some(plane => signedDistance(plane, { x: 0, y: 0, z: 0 }) < 0)).toBe(true);
+    });
+
+    it('should project the point ahead to the center of the screen', () => {
+      const camera = createCamera(1, 0, 5);
+
+      const point = camera.project(1, 0, 0, 100, 100);
+      const ray = camera.getRay(50, 50, 100, 100);
+
+      expect(point.x).toBeCloseTo(50);
+      expect(point.y).toBeCloseTo(50);
+      expect(camera.project(0, 0, 0, 100, 100).x).toBeLessThan(50);
+      expect(ray.origin.x).toBeCloseTo(1);
+      expect(ray.direction.z).toBeCloseTo(-1);
+    });
+  });
+
+  describe('WebGLRenderer', () => {
+    const renderScene = (...meshes: any[]) => {
+      const renderer: any = new WebGLRenderer({ context: createContext() });
+      const scene = new Scene();
+      for (const mesh of meshes) {
+        scene.add(mesh);
+        jest.spyOn(mesh, 'render');
+      }
+      renderer.render(scene, createCamera(0, 0, 5));
+      return renderer;
+    };
+
+    it('should draw meshes of geometries without bounding methods', () => {
+      const box: any = new Mesh(new BoxGeometry(2, 2, 2) as any, new Material());
+
+      const renderer = renderScene(box);
+
+      expect(renderer.performance.drawCalls).toBe(1);
+      expect(box.getBoundingBox()).toEqual({ min: { x: -1, y: -1, z: -1 }, max: { x: 1, y: 1, z: 1 } });
+      expect(box.getBoundingSphere().radius).toBeCloseTo(Math.sqrt(3));
+    });
+
+    it('should draw a visible mesh and skip an off-screen one', () => {
+      const quad: any = new Mesh(new PlaneGeometry() as any, new Material());
+      const offscreen: any = new Mesh(new BoxGeometry() as any, new Material());
+      offscreen.setPosition(100, 0, 0);
+
+      const renderer = renderScene(quad, offscreen);
+
+      expect(quad.render).toHaveBeenCalled();
+      expect(offscreen.render).not.toHaveBeenCalled();
+      expect(renderer.performance.drawCalls).toBe(1);
+    });
+
+    it('should cull through the spatial index of the scene', () => {
+      const renderer: any = new WebGLRenderer({ context: createContext() });
+      const scene = new Scene();
+      scene.setSpatialOptimization(true, 'octree');
+      const visible: any = scene.add(new Mesh(new BoxGeometry() as any, new Material()));
+      const offscreen: any = scene.add(new Mesh(new BoxGeometry() as any, new Material()));
+      offscreen.setPosition(100, 0, 0);
+      const unculled: any = new Mesh(new BoxGeometry() as any, new Material());
+      unculled.setPosition(0, -100, 0);
+      unculled.frustumCulled = false;
+      visible.addChild(unculled);
+      const query = jest.spyOn(scene.spatialIndex, 'queryFrustum');
+      const inFrustum = jest.spyOn(renderer, 'isObjectInFrustum');
+
+      const renderable = renderer.getRenderableObjects(scene, createCamera(0, 0, 5));
+
+      expect(query).toHaveBeenCalledTimes(1);
+      expect(inFrustum).not.toHaveBeenCalled();
+      expect(renderable).toContain(visible);
+      expect(renderable).toContain(unculled);
+      expect(renderable).not.toContain(offscreen);
+
+      for (const mesh of [visible, offscreen, unculled]) {
+        jest.spyOn(mesh, 'render');
+      }
+      renderer.render(scene, createCamera(0, 0, 5));
+      expect(visible.render).toHaveBeenCalled();
+      expect(unculled.render).toHaveBeenCalled();
+      expect(offscreen.render).not.toHaveBeenCalled();
+      expect(renderer.performance.drawCalls).toBe(2);
+
+      // Moving into view is picked up from the index on the next frame
+      offscreen.setPosition(0, 0, 0);
+      expect(renderer.getRenderableObjects(scene, createCamera(0, 0, 5))).toContain(offscreen);
+    });
+
+    it('should cull meshes without position data by their position and scale', () => {
+      const empty: any = new Mesh({} as any, new Material());
+      const offscreen: any = new Mesh({} as any, new Material());
+      offscreen.setPosition(0, 100, 0);
+
+      renderScene(empty, offscreen);
+
+      expect(empty.getWorldBoundingSphere()).toBeNull();
+      expect(empty.render).toHaveBeenCalled();
+      expect(offscreen.render).not.toHaveBeenCalled();
+    });
+  });
+});
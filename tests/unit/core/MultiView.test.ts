@@ -0,0 +1,173 @@
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { Scene } from '../../../src/core/Scene';
+import { Camera } from '../../../src/core/Camera';
+import { Object3D } from '../../../src/core/Object3D';
+import { Material } from '../../../src/core/Material';
+
+const GL: Record<string, number> = {
+  FRAMEBUFFER: 0x8d40, RENDERBUFFER: 0x8d41, FRAMEBUFFER_COMPLETE: 0x8cd5, COLOR_ATTACHMENT0: 0x8ce0, DEPTH_ATTACHMENT: 0x8d00,
+  TEXTURE_2D: 0x0de1, RGBA: 0x1908, UNSIGNED_BYTE: 0x1401, DEPTH_COMPONENT16: 0x81a5, LINEAR: 0x2601, CLAMP_TO_EDGE: 0x812f,
+  COLOR_BUFFER_BIT: 0x4000, DEPTH_BUFFER_BIT: 0x100, BLEND: 0x0be2, DEPTH_TEST: 0x0b71, CULL_FACE: 0x0b44, SCISSOR_TEST: 0x0c11,
+  SRC_ALPHA: 0x0302, ONE_MINUS_SRC_ALPHA: 0x0303, ONE: 1, ZERO: 0, FUNC_ADD: 0x8006, BACK: 0x0405
+};
+
+/**
+ * WebGL1 context recording every call as [name, ...args], with complete framebuffers
+ */
+const createContext = () => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  const values: any = { ...GL, drawingBufferWidth: 200, drawingBufferHeight: 100, canvas: undefined };
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        if (/^create/.test(name)) return { id: ++nextId };
+        if (name === 'checkFramebufferStatus') return GL.FRAMEBUFFER_COMPLETE;
+        if (/^get(Shader|Program)Parameter$/.test(name)) return true;
+        return null;
+      };
+    }
+  });
+
+  return { gl, calls };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+describe('Multi-view rendering', () => {
+  let gl: any;
+  let calls: any[][];
+  let renderer: any;
+  let scene: Scene;
+  // Camera and viewport of every draw
+  let drawn: any[][];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ gl, calls } = createContext());
+    renderer = new WebGLRenderer({ context: gl });
+    renderer.enableFrustumCulling = false;
+    renderer.enableDistanceCulling = false;
+
+    drawn = [];
+    const object: any = new Object3D();
+    object.material = new Material({ program: {}, isReady: () => true, use: () => {}, setUniform: () => {} } as any);
+    object.geometry = {};
+    object.render = (current: any, camera: any, _scene: any) => {
+      drawn.push([camera, [...current.state.current.viewport]]);
+    };
+    scene = new Scene();
+    scene.add(object);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('viewport and scissor', () => {
+    it('should cover the whole canvas without a scissor by default', () => {
+      renderer.render(scene, new Camera());
+
+      expect(callsTo(calls, 'viewport').pop()!.slice(1)).toEqual([0, 0, 200, 100]);
+      expect(callsTo(calls, 'enable').some(call => call[1] === GL.SCISSOR_TEST)).toBe(false);
+    });
+
+    it('should scissor a per-call viewport to itself so the clear stays inside it', () => {
+      calls.length = 0;
+
+      renderer.render(scene, new Camera(), { viewport: { x: 100, y: 0, width: 100, height: 50 } });
+
+      expect(callsTo(calls, 'viewport')[0].slice(1)).toEqual([100, 0, 100, 50]);
+      expect(callsTo(calls, 'scissor')[0].slice(1)).toEqual([100, 0, 100, 50]);
+      const names = calls.map(call => call[0]);
+      expect(names.indexOf('enable')).toBeLessThan(names.indexOf('clear'));
+      // Left for the next call to set again
+      expect(callsTo(calls, 'disable').pop()![1]).toBe(GL.SCISSOR_TEST);
+    });
+
+    it('should keep the viewport and scissor set on the renderer for every render', () => {
+      renderer.setViewport(0, 0, 50, 50);
+      renderer.setScissor({ x: 10, y: 10, width: 5, height: 5 });
+      renderer.setScissorTest(true);
+
+      expect(renderer.getViewport()).toEqual({ x: 0, y: 0, width: 50, height: 50 });
+      expect(renderer.getScissor()).toEqual({ x: 10, y: 10, width: 5, height: 5 });
+
+      for (let i = 0; i < 2; i++) {
+        calls.length = 0;
+        renderer.render(scene, new Camera());
+        expect(callsTo(calls, 'scissor').map(call => call.slice(1))).toEqual(i === 0 ? [[10, 10, 5, 5]] : []);
+        expect(drawn[i][1]).toEqual([0, 0, 50, 50]);
+      }
+
+      renderer.setViewport(null);
+      renderer.setScissorTest(false);
+      expect(renderer.getViewport()).toEqual({ x: 0, y: 0, width: 200, height: 100 });
+    });
+  });
+
+  describe('views', () => {
+    it('should draw each camera into its own region', () => {
+      const left = new Camera();
+      const right = new Camera();
+
+      renderer.renderViews(scene, [
+        { camera: left, viewport: { x: 0, y: 0, width: 100, height: 100 } },
+        { camera: right, viewport: { x: 100, y: 0, width: 100, height: 100 } }
+      ]);
+
+      expect(drawn.map(draw => draw[0])).toEqual([left, right]);
+      expect(drawn.map(draw => draw[1])).toEqual([[0, 0, 100, 100], [100, 0, 100, 100]]);
+      expect(callsTo(calls, 'clear')).toHaveLength(2);
+    });
+
+    it('should draw the eyes of a stereo camera side by side', () => {
+      const camera = new Camera();
+      camera.setPosition(0, 0, 0);
+      camera.updateMatrix();
+      camera.enableStereo(true, 0.1);
+
+      renderer.render(scene, camera);
+
+      expect(drawn.map(draw => draw[1])).toEqual([[0, 0, 100, 100], [100, 0, 100, 100]]);
+      const [left, right] = drawn.map(draw => draw[0]);
+      expect(left.aspect).toBe(1);
+      expect(right.position.x - left.position.x).toBeCloseTo(0.1);
+
+      camera.enableStereo(false);
+      expect(camera.getStereoViews({ x: 0, y: 0, width: 10, height: 10 })[0].camera).toBe(camera);
+    });
+  });
+
+  describe('renderToCanvas', () => {
+    it('should copy the bottom-left corner of the drawing buffer into each canvas', () => {
+      const copies: any[][] = [];
+      const context = { drawImage: (...args: any[]) => copies.push(args), globalCompositeOperation: '' };
+      const small = { width: 32, height: 16, getContext: jest.fn(() => context) };
+      const wide = { width: 400, height: 32, getContext: () => context };
+
+      renderer.renderToCanvas(scene, new Camera(), small);
+      renderer.renderToCanvas(scene, new Camera(), small);
+
+      expect(small.getContext).toHaveBeenCalledTimes(1);
+      expect(context.globalCompositeOperation).toBe('copy');
+      expect(drawn[0][1]).toEqual([0, 0, 32, 16]);
+      expect(copies[0]).toEqual([renderer.canvas, 0, 84, 32, 16, 0, 0, 32, 16]);
+
+      // The renderer's canvas grows to fit a larger destination
+      renderer.renderToCanvas(scene, new Camera(), wide);
+      expect([renderer.canvas.width, renderer.canvas.height]).toEqual([400, 100]);
+      expect(copies[2].slice(1)).toEqual([0, 68, 400, 32, 0, 0, 400, 32]);
+      expect(renderer.getRenderTarget()).toBeNull();
+    });
+
+    it('should refuse a canvas without a 2D context', () => {
+      expect(() => renderer.renderToCanvas(scene, new Camera(), { width: 1, height: 1, getContext: () => null }))
+        .toThrow('renderToCanvas needs a canvas that provides a 2D context');
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import {
+  OffscreenCanvasProxy,
+  OffscreenCanvasMessage,
+  ElementProxy,
+  receiveOffscreenCanvas,
+  serializeEvent
+} from '../../../src/core/OffscreenCanvasProxy';
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+
+/**
+ * A worker whose scope lives in this thread, so posted messages arrive synchronously
+ */
+const createWorker = () => {
+  const listeners: any[] = [];
+  const posted: any[][] = [];
+  const scope = {
+    addEventListener: (_type: string, listener: any) => listeners.push(listener),
+    removeEventListener: (_type: string, listener: any) => listeners.splice(listeners.indexOf(listener), 1)
+  };
+  const worker = {
+    postMessage: (message: any, transfer?: any[]) => {
+      posted.push([message, transfer]);
+      [...listeners].forEach(listener => listener({ data: message }));
+    }
+  };
+  return { scope, worker, listeners, posted };
+};
+
+/**
+ * Canvas element with its document and window, keeping the listeners added to each
+ */
+const createCanvas = (rect = { left: 5, top: 6, width: 300, height: 150 }) => {
+  const offscreen = { width: rect.width, height: rect.height };
+  const documentListeners = new Map<string, any>();
+  const canvasListeners = new Map<string, any[]>();
+  const window: any = { devicePixelRatio: 2, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+  const document = {
+    defaultView: window,
+    addEventListener: (type: string, listener: any) => documentListeners.set(type, listener),
+    removeEventListener: (type: string) => documentListeners.delete(type)
+  };
+  const canvas: any = {
+    rect,
+    ownerDocument: document,
+    transferControlToOffscreen: () => offscreen,
+    getBoundingClientRect: () => canvas.rect,
+    addEventListener: (type: string, listener: any, options: any) => canvasListeners.set(type, [listener, options]),
+    removeEventListener: (type: string) => canvasListeners.delete(type)
+  };
+  return { canvas, offscreen, document, window, documentListeners, canvasListeners };
+};
+
+describe('OffscreenCanvasProxy', () => {
+  it('should refuse canvases that cannot be transferred', () => {
+    expect(() => new OffscreenCanvasProxy({} as any, createWorker().worker as any))
+      .toThrow('OffscreenCanvas is not supported in this browser');
+  });
+
+  it('should transfer the canvas with its size, pixel ratio and data', async () => {
+    const { scope, worker, posted } = createWorker();
+    const { canvas, offscreen, canvasListeners } = createCanvas();
+
+    const received = receiveOffscreenCanvas(scope as any);
+    new OffscreenCanvasProxy(canvas, worker as any, { data: { scene: 'a' } });
+    const { canvas: workerCanvas, element, width, height, pixelRatio, data } = await received;
+
+    expect(workerCanvas).toBe(offscreen);
+    expect(posted[0][1]).toEqual([offscreen]);
+    expect([width, height, pixelRatio]).toEqual([300, 150, 2]);
+    expect(data).toEqual({ scene: 'a' });
+    expect(element.clientWidth).toBe(300);
+    expect(element.getBoundingClientRect()).toMatchObject({ left: 5, top: 6, right: 305, bottom: 156 });
+    // Listeners that prevent defaults cannot be passive
+    expect(canvasListeners.get('wheel')![1]).toEqual({ passive: false });
+  });
+
+  it('should forward input and prevent defaults the worker cannot', async () => {
+    const { scope, worker, posted } = createWorker();
+    const { canvas, document, canvasListeners, documentListeners } = createCanvas();
+    const received = receiveOffscreenCanvas(scope as any);
+    new OffscreenCanvasProxy(canvas, worker as any);
+    const { element } = await received;
+    const seen: any[] = [];
+    element.addEventListener('touchstart', (event: any) => seen.push(event));
+    element.addEventListener('keydown', (event: any) => seen.push(event));
+    const preventDefault = jest.fn();
+
+    canvasListeners.get('touchstart')![0]({
+      type: 'touchstart', touches: [{ identifier: 1, clientX: 1, clientY: 2, force: 1 }], currentTarget: canvas, preventDefault
+    });
+    documentListeners.get('keydown')({ type: 'keydown', code: 'ArrowUp', currentTarget: document, preventDefault });
+
+    expect(preventDefault).toHaveBeenCalledTimes(1);
+    expect(posted[posted.length - 2][0]).toMatchObject({ type: OffscreenCanvasMessage.EVENT });
+    expect(seen[0].touches).toEqual([{ identifier: 1, clientX: 1, clientY: 2, pageX: undefined, pageY: undefined }]);
+    expect(seen[0].currentTarget).toBe(element);
+    expect(seen[1].code).toBe('ArrowUp');
+  });
+
+  it('should forward resizes and tell the worker when it is disposed', async () => {
+    const { scope, worker, listeners, posted } = createWorker();
+    const { canvas, window, canvasListeners, documentListeners } = createCanvas();
+    const received = receiveOffscreenCanvas(scope as any);
+    const proxy = new OffscreenCanvasProxy(canvas, worker as any);
+    const { element } = await received;
+    const resized = jest.fn();
+    const disposed = jest.fn();
+    element.addEventListener('resize', resized);
+    element.addEventListener('dispose', disposed);
+
+    canvas.rect = { left: 0, top: 0, width: 100, height: 50 };
+    expect(window.addEventListener).toHaveBeenCalledWith('resize', expect.any(Function), false);
+    window.addEventListener.mock.calls[0][1]();
+
+    expect(resized).toHaveBeenCalled();
+    expect([element.clientWidth, element.clientHeight]).toEqual([100, 50]);
+
+    proxy.dispose();
+    proxy.dispose();
+    expect(disposed).toHaveBeenCalledTimes(1);
+    expect(canvasListeners.size).toBe(0);
+    expect(documentListeners.size).toBe(0);
+    expect(listeners).toHaveLength(0);
+    expect(posted.filter(([message]) => message.type === OffscreenCanvasMessage.DISPOSE)).toHaveLength(1);
+  });
+
+  it('should observe the canvas for resizes where ResizeObserver exists', () => {
+    const { worker } = createWorker();
+    const { canvas, window } = createCanvas();
+    const observer = { observe: jest.fn(), disconnect: jest.fn() };
+    window.ResizeObserver = jest.fn(() => observer);
+
+    const proxy = new OffscreenCanvasProxy(canvas, worker as any);
+    proxy.dispose();
+
+    expect(observer.observe).toHaveBeenCalledWith(canvas);
+    expect(observer.disconnect).toHaveBeenCalled();
+    expect(window.addEventListener).not.toHaveBeenCalled();
+  });
+
+  describe('ElementProxy', () => {
+    it('should be its own document and call each listener once', () => {
+      const element = new ElementProxy();
+      const listener = jest.fn();
+
+      element.addEventListener('mousemove', listener);
+      element.addEventListener('mousemove', listener);
+      element.ownerDocument.dispatchEvent({ type: 'mousemove', clientX: 3 });
+      element.removeEventListener('mousemove', listener);
+      element.dispatchEvent({ type: 'mousemove' });
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0]).toMatchObject({ type: 'mousemove', clientX: 3, target: element });
+    });
+
+    it('should only copy the event fields that can be posted', () => {
+      const event = { type: 'wheel', deltaY: 4, ctrlKey: false, target: {}, view: {} };
+
+      expect(serializeEvent(event)).toEqual({ type: 'wheel', deltaY: 4, ctrlKey: false });
+    });
+  });
+
+  describe('headless renderer', () => {
+    const createContext = () => {
+      const resize = jest.fn();
+      const gl: any = new Proxy({ drawingBufferWidth: 64, drawingBufferHeight: 32, canvas: undefined }, {
+        get(target: any, name: any) {
+          if (name in target) return target[name];
+          if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+          return (...args: any[]) => {
+            if (/^create/.test(name)) return {};
+            if (name === 'getExtension') return args[0] === 'STACKGL_resize_drawingbuffer' ? { resize } : null;
+            return null;
+          };
+        }
+      });
+      return { gl, resize };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should size itself from the drawing buffer of a supplied context', () => {
+      const { gl, resize } = createContext();
+      const renderer: any = new WebGLRenderer({ context: gl, pixelRatio: 1 });
+
+      expect(renderer.gl).toBe(gl);
+      expect(renderer.getSize()).toMatchObject({ width: 64, height: 32 });
+
+      renderer.setSize(20, 10);
+      expect(renderer.getSize()).toMatchObject({ width: 20, height: 10 });
+      expect(resize).toHaveBeenCalledWith(20, 10);
+      renderer.dispose();
+    });
+
+    it('should run the animation loop on a timer without requestAnimationFrame', async () => {
+      const { gl } = createContext();
+      const renderer: any = new WebGLRenderer({ context: gl, pixelRatio: 1 });
+      const { requestAnimationFrame, cancelAnimationFrame } = global as any;
+      delete (global as any).requestAnimationFrame;
+      delete (global as any).cancelAnimationFrame;
+      const times: number[] = [];
+
+      try {
+        await new Promise<void>(resolve => renderer.setAnimationLoop((time: number) => {
+          times.push(time);
+          if (times.length === 2) {
+            renderer.setAnimationLoop(null);
+            resolve();
+          }
+        }));
+      } finally {
+        Object.assign(global, { requestAnimationFrame, cancelAnimationFrame });
+      }
+
+      expect(times[1]).toBeGreaterThanOrEqual(times[0]);
+      expect(renderer._animationFrame).toBeNull();
+      renderer.dispose();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { Raycaster } from '../../../src/core/Raycaster';
+import { Scene } from '../../../src/core/Scene';
+import { Mesh } from '../../../src/core/Mesh';
+import { BufferGeometry, VertexAttribute } from '../../../src/core/BufferGeometry';
+
+const createQuadGeometry = (gl: any) => {
+  const geometry = new BufferGeometry(gl);
+  geometry.addAttribute(
+    new VertexAttribute('position', 3, 5126),
+    new Float32Array([-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0])
+  );
+  geometry.addAttribute(
+    new VertexAttribute('uv', 2, 5126),
+    new Float32Array([0, 0, 1, 0, 1, 1, 0, 1])
+  );
+  geometry.setIndex(new Uint16Array([0, 1, 2, 0, 2, 3]));
+  return geometry;
+};
+
+describe('Raycaster', () => {
+  let gl: any;
+  let scene: Scene;
+
+  beforeEach(() => {
+    const canvas = document.createElement('canvas');
+    gl = canvas.getContext('webgl');
+    gl.createBuffer = jest.fn(() => ({}));
+    scene = new Scene();
+  });
+
+  describe('Construction', () => {
+    it('should normalize the ray direction', () => {
+      const raycaster = new Raycaster({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -4 });
+
+      expect(raycaster.ray.direction).toEqual({ x: 0, y: 0, z: -1 });
+    });
+
+    it('should reject zero-length directions', () => {
+      expect(() => new Raycaster({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 })).toThrow();
+    });
+  });
+
+  describe('Mesh intersection', () => {
+    it('should return hits sorted by distance with point, normal and uv', () => {
+      const geometry = createQuadGeometry(gl);
+      const near = new Mesh(geometry);
+      const far = new Mesh(geometry);
+      near.setPosition(0, 0, -5);
+      far.setPosition(0, 0, -10);
+      scene.add(far);
+      scene.add(near);
+
+      const raycaster = new Raycaster({ x: 0.6, y: 0.2, z: 0 }, { x: 0, y: 0, z: -1 });
+      const hits = raycaster.intersectScene(scene);
+
+      expect(hits).toHaveLength(2);
+      expect(hits[0].object).toBe(near);
+      expect(hits[0].distance).toBeCloseTo(5);
+      expect(hits[0].point.z).toBeCloseTo(-5);
+      expect(hits[0].face.normal.z).toBeCloseTo(1);
+      expect(hits[0].uv.x).toBeCloseTo(0.8);
+      expect(hits[0].uv.y).toBeCloseTo(0.6);
+      expect(hits[1].object).toBe(far);
+    });
+
+    it('should respect near and far limits', () => {
+      const mesh = new Mesh(createQuadGeometry(gl));
+      mesh.setPosition(0, 0, -5);
+
+      const raycaster = new Raycaster({ x: 0.6, y: 0.2, z: 0 }, { x: 0, y: 0, z: -1 }, 0, 4);
+
+      expect(raycaster.intersectObject(mesh)).toHaveLength(0);
+    });
+
+    it('should skip invisible objects', () => {
+      const mesh = new Mesh(createQuadGeometry(gl));
+      mesh.setPosition(0, 0, -5);
+      mesh.visible = false;
+
+      const raycaster = new Raycaster({ x: 0.6, y: 0.2, z: 0 }, { x: 0, y: 0, z: -1 });
+
+      expect(raycaster.intersectObject(mesh)).toHaveLength(0);
+    });
+  });
+
+  describe('Instance intersection', () => {
+    it('should report the instance id of the hit instance', () => {
+      const geometry = createQuadGeometry(gl);
+      const instanceRenderer = {
+        activeInstances: new Set([0, 1]),
+        instanceData: [
+          { position: [5, 0, -3], rotation: [0, 0, 0, 1], scale: [1, 1, 1] },
+          { position: [0, 0, -3], rotation: [0, 0, 0, 1], scale: [1, 1, 1] }
+        ]
+      };
+
+      const raycaster = new Raycaster({ x: 0.6, y: 0.2, z: 0 }, { x: 0, y: 0, z: -1 });
+      const hits = raycaster.intersectInstances(instanceRenderer, geometry);
+
+      expect(hits).toHaveLength(1);
+      expect(hits[0].instanceId).toBe(1);
+      expect(hits[0].distance).toBeCloseTo(3);
+    });
+  });
+
+  describe('Point intersection', () => {
+    it('should pick particles within the threshold', () => {
+      const points = {
+        positions: new Float32Array([0, 0, -3, 2, 0, -3]),
+        particleCount: 2,
+        children: []
+      };
+
+      const raycaster = new Raycaster({ x: 0, y: 0.05, z: 0 }, { x: 0, y: 0, z: -1 });
+      raycaster.params.Points.threshold = 0.1;
+      const hits = raycaster.intersectObject(points);
+
+      expect(hits).toHaveLength(1);
+      expect(hits[0].index).toBe(0);
+      expect(hits[0].distanceToRay).toBeCloseTo(0.05);
+    });
+  });
+});
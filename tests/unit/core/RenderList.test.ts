@@ -0,0 +1,358 @@
+import { RenderList, TransparencyMode, opaqueSort, transparentSort } from '../../../src/core/RenderList';
+import { WeightedBlendedOIT } from '../../../src/core/WeightedBlendedOIT';
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { Scene } from '../../../src/core/Scene';
+import { Camera } from '../../../src/core/Camera';
+import { Object3D } from '../../../src/core/Object3D';
+import { Material } from '../../../src/core/Material';
+
+const GL: Record<string, number> = {
+  FRAMEBUFFER: 0x8d40, READ_FRAMEBUFFER: 0x8ca8, DRAW_FRAMEBUFFER: 0x8ca9, RENDERBUFFER: 0x8d41, FRAMEBUFFER_BINDING: 0x8ca6,
+  FRAMEBUFFER_COMPLETE: 0x8cd5, COLOR_ATTACHMENT0: 0x8ce0, DEPTH_ATTACHMENT: 0x8d00, DEPTH_STENCIL_ATTACHMENT: 0x821a,
+  TEXTURE_2D: 0x0de1, RGBA: 0x1908, RED: 0x1903, RGBA8: 0x8058, RGBA16F: 0x881a, R16F: 0x822d,
+  UNSIGNED_BYTE: 0x1401, FLOAT: 0x1406, HALF_FLOAT: 0x140b, DEPTH_COMPONENT: 0x1902, DEPTH_COMPONENT16: 0x81a5,
+  DEPTH_COMPONENT24: 0x81a6, DEPTH_STENCIL: 0x84f9, DEPTH24_STENCIL8: 0x88f0, NEAREST: 0x2600, LINEAR: 0x2601, CLAMP_TO_EDGE: 0x812f,
+  COLOR_BUFFER_BIT: 0x4000, DEPTH_BUFFER_BIT: 0x100, BLEND: 0x0be2, DEPTH_TEST: 0x0b71, CULL_FACE: 0x0b44, SCISSOR_TEST: 0x0c11,
+  SRC_ALPHA: 0x0302, ONE_MINUS_SRC_ALPHA: 0x0303, ONE: 1, ZERO: 0, FUNC_ADD: 0x8006, BACK: 0x0405, TRIANGLES: 4,
+  VERTEX_SHADER: 0x8b31, FRAGMENT_SHADER: 0x8b30, COMPILE_STATUS: 0x8b81, LINK_STATUS: 0x8b82, MAX_SAMPLES: 0x8d57
+};
+
+class FakeWebGL2 {}
+
+/**
+ * Context recording every call as [name, ...args], with complete framebuffers and linked programs
+ */
+const createContext = (webgl2: boolean, extensions: string[] = []) => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  const values: any = webgl2 ? new FakeWebGL2() : {};
+  Object.assign(values, GL, { drawingBufferWidth: 200, drawingBufferHeight: 100, canvas: undefined });
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        if (/^create|^fenceSync$/.test(name)) return { id: ++nextId };
+        if (name === 'checkFramebufferStatus') return GL.FRAMEBUFFER_COMPLETE;
+        if (/^get(Shader|Program)Parameter$/.test(name)) return true;
+        if (name === 'getExtension') return extensions.includes(args[0]) ? {} : null;
+        if (name === 'getParameter') return args[0] === GL.MAX_SAMPLES ? 4 : null;
+        return undefined;
+      };
+    }
+  });
+
+  return { gl, calls };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+const createRenderer = (gl: any) => {
+  const renderer: any = new WebGLRenderer({ context: gl });
+  renderer.enableFrustumCulling = false;
+  renderer.enableDistanceCulling = false;
+  renderer.autoClear = false;
+  return renderer;
+};
+
+/**
+ * Material around a stand-in shader, so the program key is the given object
+ */
+const createMaterial = (program: object, options: any = {}) => Object.assign(
+  new Material({ program, isReady: () => true, use: () => {}, setUniform: () => {} } as any),
+  options
+);
+
+describe('RenderList', () => {
+  describe('queues', () => {
+    it('should split items into opaque, alpha-test and transparent queues', () => {
+      const list = new RenderList();
+      const object = (material: any) => ({ material, geometry: {} });
+
+      list.init();
+      list.push(object(createMaterial({})), 1);
+      list.push(object(createMaterial({}, { alphaTest: 0.5 })), 1);
+      list.push(object(createMaterial({}, { transparent: true, alphaTest: 0.5 })), 1);
+      list.push({ geometry: {} }, 1);
+
+      expect([list.opaque.length, list.alphaTest.length, list.transparent.length]).toEqual([2, 1, 1]);
+      expect(list.opaque[1].material).toBeNull();
+      expect(list.opaque[1].programId).toBe(0);
+    });
+
+    it('should give programs and geometries stable keys across frames', () => {
+      const list = new RenderList();
+      const geometry = {};
+      const material = createMaterial({});
+
+      list.init();
+      const first = { ...list.push({ material, geometry }, 1) };
+      list.init();
+      list.push({ material: createMaterial({}), geometry: {} }, 1);
+      const second = list.push({ material, geometry }, 1);
+
+      expect(second.programId).toBe(first.programId);
+      expect(second.geometryId).toBe(first.geometryId);
+      expect(second.materialId).toBe(material.id);
+    });
+
+    it('should reuse pooled items and release objects no longer queued', () => {
+      const list = new RenderList();
+      const objects = [1, 2, 3].map(() => ({ material: createMaterial({}), geometry: {} }));
+
+      list.init();
+      objects.forEach(object => list.push(object, 1));
+      list.finish();
+      const pooled = list.items[0];
+
+      list.init();
+      list.push(objects[0], 1);
+      list.finish();
+
+      expect(list.items[0]).toBe(pooled);
+      expect(list.items).toHaveLength(3);
+      expect(list.items[1].object).toBeNull();
+      expect(list.items[2].material).toBeNull();
+    });
+  });
+
+  describe('sorting', () => {
+    const item = (id: number, values: any = {}) => ({
+      id, renderOrder: 0, programId: 1, materialId: 1, geometryId: 1, z: 1, ...values
+    });
+
+    it('should order opaque items by render order, state, then front-to-back', () => {
+      const items = [
+        item(1, { programId: 2, z: 1 }),
+        item(2, { z: 5 }),
+        item(3, { materialId: 2, z: 1 }),
+        item(4, { z: 2 }),
+        item(5, { renderOrder: -1, programId: 3 }),
+        item(6, { geometryId: 2 })
+      ];
+
+      expect(items.sort(opaqueSort).map(entry => entry.id)).toEqual([5, 4, 2, 6, 3, 1]);
+    });
+
+    it('should order transparent items back-to-front within a render order', () => {
+      const items = [item(1, { z: 2 }), item(2, { z: 9 }), item(3, { z: 5, renderOrder: 1 }), item(4, { z: 2 })];
+
+      expect(items.sort(transparentSort).map(entry => entry.id)).toEqual([2, 1, 4, 3]);
+    });
+
+    it('should keep queue order on ties', () => {
+      const items = [3, 1, 2].map(id => item(id));
+
+      expect(items.sort(opaqueSort).map(entry => entry.id)).toEqual([1, 2, 3]);
+      expect(items.sort(transparentSort).map(entry => entry.id)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('WebGLRenderer', () => {
+    const originalWebGL2 = (global as any).WebGL2RenderingContext;
+    let drawn: string[];
+
+    const createObject = (name: string, distance: number, material: any, geometry: object, renderOrder = 0) => {
+      const object: any = new Object3D();
+      object.name = name;
+      object.material = material;
+      object.geometry = geometry;
+      object.renderOrder = renderOrder;
+      object.setPosition(0, 0, -distance);
+      object.render = (renderer: any, _camera: any, _scene: any) => {
+        drawn.push(name + (renderer._oitActive ? ' (oit)' : ''));
+      };
+      return object;
+    };
+
+    const createScene = (objects: any[]) => {
+      const scene = new Scene();
+      objects.forEach(object => scene.add(object));
+      return scene;
+    };
+
+    beforeAll(() => {
+      (global as any).WebGL2RenderingContext = FakeWebGL2;
+    });
+
+    afterAll(() => {
+      (global as any).WebGL2RenderingContext = originalWebGL2;
+    });
+
+    beforeEach(() => {
+      drawn = [];
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should draw opaque by state then depth, alpha-tested next and transparent back-to-front', () => {
+      const renderer = createRenderer(createContext(true).gl);
+      const programA = {};
+      const programB = {};
+      const a = createMaterial(programA);
+      const b = createMaterial(programB);
+      const glass = createMaterial(programB, { transparent: true });
+      const near = {};
+      const far = {};
+      const scene = createScene([
+        createObject('b', 9, b, near),
+        createObject('a-near', 1, a, near),
+        createObject('a-far', 8, a, near),
+        createObject('a-other', 2, createMaterial(programA), far),
+        createObject('cutout', 3, createMaterial(programA, { alphaTest: 0.5 }), near),
+        createObject('glass-near', 2, glass, near),
+        createObject('glass-far', 7, glass, near),
+        createObject('first', 50, b, far, -1)
+      ]);
+
+      renderer.render(scene, new Camera());
+
+      // Program keys follow first use, so B sorts before A
+      expect(drawn).toEqual(['first', 'b', 'a-near', 'a-far', 'a-other', 'cutout', 'glass-far', 'glass-near']);
+      const performance = renderer.getPerformance();
+      expect(performance.drawCalls).toBe(8);
+      expect(performance.programSwitches).toBe(3);
+      expect(performance.materialSwitches).toBe(5);
+      expect(performance.geometrySwitches).toBe(4);
+      expect([performance.opaqueObjects, performance.alphaTestObjects, performance.transparentObjects]).toEqual([5, 1, 2]);
+    });
+
+    it('should keep scene order for opaque objects when sortObjects is off', () => {
+      const renderer = createRenderer(createContext(true).gl);
+      const a = createMaterial({});
+      const b = createMaterial({});
+      const geometry = {};
+      const scene = createScene([
+        createObject('a1', 5, a, geometry),
+        createObject('b1', 1, b, geometry),
+        createObject('a2', 2, a, geometry)
+      ]);
+
+      renderer.render(scene, new Camera());
+      const sorted = renderer.getPerformance().programSwitches;
+      renderer.sortObjects = false;
+      drawn = [];
+      renderer.render(scene, new Camera());
+
+      expect(drawn).toEqual(['a1', 'b1', 'a2']);
+      expect(sorted).toBe(2);
+      expect(renderer.getPerformance().programSwitches).toBe(3);
+    });
+
+    it('should blend transparent materials with straight alpha by default', () => {
+      const { gl, calls } = createContext(true);
+      const glass = createMaterial({}, { transparent: true });
+
+      glass.apply(gl);
+
+      expect(callsTo(calls, 'enable').map(call => call[1])).toContain(GL.BLEND);
+      expect(callsTo(calls, 'blendFunc')[0].slice(1)).toEqual([GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA]);
+    });
+  });
+
+  describe('WeightedBlendedOIT', () => {
+    const originalWebGL2 = (global as any).WebGL2RenderingContext;
+    let drawn: string[];
+
+    const createObject = (name: string, distance: number, material: any) => {
+      const object: any = new Object3D();
+      object.name = name;
+      object.material = material;
+      object.geometry = {};
+      object.setPosition(0, 0, -distance);
+      object.render = (renderer: any, _camera: any, _scene: any) => {
+        drawn.push(name + (renderer._oitActive ? ' (oit)' : ''));
+      };
+      return object;
+    };
+
+    beforeAll(() => {
+      (global as any).WebGL2RenderingContext = FakeWebGL2;
+    });
+
+    afterAll(() => {
+      (global as any).WebGL2RenderingContext = originalWebGL2;
+    });
+
+    beforeEach(() => {
+      drawn = [];
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should need WebGL2 and EXT_color_buffer_float', () => {
+      expect(WeightedBlendedOIT.isSupported(createContext(true, ['EXT_color_buffer_float']).gl)).toBe(true);
+      expect(WeightedBlendedOIT.isSupported(createContext(true).gl)).toBe(false);
+      expect(WeightedBlendedOIT.isSupported(createContext(false, ['EXT_color_buffer_float']).gl)).toBe(false);
+    });
+
+    it('should fall back to sorted transparency where unsupported', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const renderer = createRenderer(createContext(false).gl);
+
+      expect(renderer.setTransparencyMode(TransparencyMode.WEIGHTED_BLENDED)).toBe(false);
+      expect(renderer.transparencyMode).toBe(TransparencyMode.SORTED);
+      expect(warn).toHaveBeenCalled();
+      expect(() => renderer.setTransparencyMode('bogus')).toThrow('Unknown transparency mode');
+    });
+
+    it('should accumulate opted-in materials and composite them before sorted ones', () => {
+      const { gl, calls } = createContext(true, ['EXT_color_buffer_float']);
+      const renderer = createRenderer(gl);
+      expect(renderer.setTransparencyMode(TransparencyMode.WEIGHTED_BLENDED)).toBe(true);
+      const accumulated = createMaterial({}, { transparent: true, oit: true });
+      const scene = new Scene();
+      [
+        createObject('opaque', 5, createMaterial({})),
+        createObject('near', 2, accumulated),
+        createObject('far', 6, accumulated),
+        createObject('sorted', 4, createMaterial({}, { transparent: true }))
+      ].forEach(object => scene.add(object));
+
+      renderer.render(scene, new Camera());
+
+      expect(drawn).toEqual(['opaque', 'far (oit)', 'near (oit)', 'sorted']);
+      // Accumulation targets, depth copied from the canvas
+      expect(callsTo(calls, 'texImage2D').map(call => call[3])).toEqual([GL.RGBA16F, GL.R16F]);
+      const [blit] = callsTo(calls, 'blitFramebuffer');
+      expect(blit.slice(1, 10)).toEqual([0, 0, 200, 100, 0, 0, 200, 100, GL.DEPTH_BUFFER_BIT]);
+      expect(callsTo(calls, 'blendFuncSeparate')[0].slice(1)).toEqual([GL.ONE, GL.ONE, GL.ZERO, GL.ONE_MINUS_SRC_ALPHA]);
+      expect(callsTo(calls, 'drawArrays').pop()).toEqual(['drawArrays', GL.TRIANGLES, 0, 3]);
+    });
+
+    it('should reapply the accumulation blend state after each material during the pass', () => {
+      const { gl } = createContext(true, ['EXT_color_buffer_float']);
+      const renderer = createRenderer(gl);
+      renderer.setTransparencyMode(TransparencyMode.WEIGHTED_BLENDED);
+      const applyState = jest.spyOn(renderer.oit, 'applyState');
+      const material = createMaterial({}, { transparent: true, oit: true });
+
+      renderer.applyPassState(material);
+      expect(applyState).not.toHaveBeenCalled();
+
+      renderer._oitActive = true;
+      renderer.applyPassState(material);
+      expect(applyState).toHaveBeenCalledTimes(1);
+    });
+
+    it('should release its targets when switching back to sorted transparency', () => {
+      const { gl, calls } = createContext(true, ['EXT_color_buffer_float']);
+      const renderer = createRenderer(gl);
+      renderer.setTransparencyMode(TransparencyMode.WEIGHTED_BLENDED);
+
+      renderer.setTransparencyMode(TransparencyMode.SORTED);
+
+      expect(renderer.oit).toBeNull();
+      expect(callsTo(calls, 'deleteProgram')).toHaveLength(1);
+      expect(callsTo(calls, 'deleteVertexArray')).toHaveLength(1);
+    });
+  });
+});
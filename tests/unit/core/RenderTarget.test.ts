@@ -0,0 +1,294 @@
+import { RenderTarget, CubeRenderTarget, ArrayRenderTarget } from '../../../src/core/RenderTarget';
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { ShadowMap, ShadowMapType } from '../../../src/rendering/Shadows';
+
+const GL: Record<string, number> = {
+  FRAMEBUFFER: 0x8d40, READ_FRAMEBUFFER: 0x8ca8, DRAW_FRAMEBUFFER: 0x8ca9, RENDERBUFFER: 0x8d41, FRAMEBUFFER_BINDING: 0x8ca6,
+  FRAMEBUFFER_COMPLETE: 0x8cd5, COLOR_ATTACHMENT0: 0x8ce0, DEPTH_ATTACHMENT: 0x8d00, STENCIL_ATTACHMENT: 0x8d20, DEPTH_STENCIL_ATTACHMENT: 0x821a,
+  TEXTURE_2D: 0x0de1, TEXTURE_CUBE_MAP: 0x8513, TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515, TEXTURE_2D_ARRAY: 0x8c1a,
+  RGBA: 0x1908, RED: 0x1903, RGBA8: 0x8058, R8: 0x8229, RGBA16F: 0x881a, RGBA32F: 0x8814, R16F: 0x822d,
+  UNSIGNED_BYTE: 0x1401, FLOAT: 0x1406, HALF_FLOAT: 0x140b, UNSIGNED_INT: 0x1405, UNSIGNED_SHORT: 0x1403, UNSIGNED_INT_24_8: 0x84fa,
+  DEPTH_COMPONENT: 0x1902, DEPTH_COMPONENT16: 0x81a5, DEPTH_COMPONENT24: 0x81a6, DEPTH_COMPONENT32F: 0x8cac,
+  DEPTH_STENCIL: 0x84f9, DEPTH24_STENCIL8: 0x88f0, STENCIL_INDEX8: 0x8d48,
+  LINEAR: 0x2601, NEAREST: 0x2600, CLAMP_TO_EDGE: 0x812f,
+  COLOR_BUFFER_BIT: 0x4000, DEPTH_BUFFER_BIT: 0x100, STENCIL_BUFFER_BIT: 0x400, NONE: 0, MAX_SAMPLES: 0x8d57,
+  PIXEL_PACK_BUFFER: 0x88eb, STREAM_READ: 0x88e1, SYNC_GPU_COMMANDS_COMPLETE: 0x9117,
+  TIMEOUT_EXPIRED: 0x911b, ALREADY_SIGNALED: 0x911a, WAIT_FAILED: 0x911d, SCISSOR_TEST: 0x0c11
+};
+
+class FakeWebGL2 {}
+
+/**
+ * Context recording every call as [name, ...args]. Framebuffer status is always complete,
+ * readPixels fills with 3, pixel pack buffers read back as 7 and fences signal on the third poll.
+ */
+const createContext = (webgl2: boolean, extensions: string[] = []) => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  let framebuffer: any = null;
+  let polls = 0;
+  const methods: Record<string, (...args: any[]) => any> = {
+    createTexture: () => ({ id: ++nextId }),
+    createFramebuffer: () => ({ id: ++nextId }),
+    createRenderbuffer: () => ({ id: ++nextId }),
+    createBuffer: () => ({ id: ++nextId }),
+    fenceSync: () => ({ id: ++nextId }),
+    bindFramebuffer: (target: number, value: any) => {
+      if (target !== GL.READ_FRAMEBUFFER) framebuffer = value;
+    },
+    getParameter: (name: number) => name === GL.FRAMEBUFFER_BINDING ? framebuffer : name === GL.MAX_SAMPLES ? 4 : null,
+    checkFramebufferStatus: () => GL.FRAMEBUFFER_COMPLETE,
+    getExtension: (name: string) => extensions.includes(name) ? { drawBuffersWEBGL: (buffers: number[]) => calls.push(['drawBuffersWEBGL', buffers]) } : null,
+    clientWaitSync: () => (polls++ < 2 ? GL.TIMEOUT_EXPIRED : GL.ALREADY_SIGNALED),
+    getBufferSubData: (_target: number, _offset: number, destination: any) => destination.fill(7),
+    readPixels: (...args: any[]) => args[6]?.fill?.(3)
+  };
+  const values: any = webgl2 ? new FakeWebGL2() : {};
+  Object.assign(values, GL, { drawingBufferWidth: 300, drawingBufferHeight: 150, canvas: undefined });
+  if (!webgl2) {
+    delete values.HALF_FLOAT;
+    delete values.TEXTURE_2D_ARRAY;
+  }
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        return methods[name]?.(...args);
+      };
+    }
+  });
+
+  return { gl, calls, bound: () => framebuffer };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+describe('RenderTarget', () => {
+  const originalWebGL2 = (global as any).WebGL2RenderingContext;
+
+  beforeAll(() => {
+    (global as any).WebGL2RenderingContext = FakeWebGL2;
+  });
+
+  afterAll(() => {
+    (global as any).WebGL2RenderingContext = originalWebGL2;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('attachments', () => {
+    it('should allocate sized color formats per attachment and a depth texture', () => {
+      const { gl, calls } = createContext(true);
+
+      const target = new RenderTarget(64, 32, {
+        attachments: [{ type: 'HALF_FLOAT' }, { format: gl.RED }, {}],
+        depthTexture: true
+      }).setup(gl);
+
+      expect(target.count).toBe(3);
+      expect(callsTo(calls, 'texImage2D').map(call => call[3])).toEqual([GL.RGBA16F, GL.R8, GL.RGBA8, GL.DEPTH_COMPONENT24]);
+      expect(callsTo(calls, 'drawBuffers')[0][1]).toEqual([GL.COLOR_ATTACHMENT0, GL.COLOR_ATTACHMENT0 + 1, GL.COLOR_ATTACHMENT0 + 2]);
+      expect(callsTo(calls, 'framebufferTexture2D').map(call => call[2]))
+        .toEqual([GL.COLOR_ATTACHMENT0, GL.COLOR_ATTACHMENT0 + 1, GL.COLOR_ATTACHMENT0 + 2, GL.DEPTH_ATTACHMENT]);
+
+      target.dispose();
+      expect(callsTo(calls, 'deleteTexture')).toHaveLength(4);
+      expect(target.framebuffer).toBeNull();
+    });
+
+    it('should apply depth texture format overrides', () => {
+      const { gl, calls } = createContext(true);
+
+      new RenderTarget(8, 8, {
+        depthTexture: true,
+        depthTextureFormat: { internalFormat: 'DEPTH_COMPONENT32F', type: 'FLOAT' }
+      }).setup(gl);
+
+      const depth = callsTo(calls, 'texImage2D').pop() as any[];
+      expect([depth[3], depth[7], depth[8]]).toEqual([GL.DEPTH_COMPONENT32F, GL.DEPTH_COMPONENT, GL.FLOAT]);
+    });
+
+    it('should use unsized formats and WEBGL_draw_buffers on WebGL1', () => {
+      expect(() => new RenderTarget(4, 4, { count: 2 }).setup(createContext(false).gl)).toThrow('WEBGL_draw_buffers');
+
+      const { gl, calls } = createContext(false, ['WEBGL_draw_buffers']);
+      new RenderTarget(4, 4, { count: 2, type: 'HALF_FLOAT' }).setup(gl);
+
+      expect(callsTo(calls, 'drawBuffersWEBGL')).toHaveLength(1);
+      const [image] = callsTo(calls, 'texImage2D');
+      expect(image[3]).toBe(GL.RGBA);
+      // HALF_FLOAT_OES
+      expect(image[8]).toBe(0x8d61);
+    });
+
+    it('should attach cube faces and array layers on bind', () => {
+      const { gl, calls } = createContext(true);
+
+      const cube = new CubeRenderTarget(16, { depthBuffer: false });
+      cube.bind(gl, 3);
+      expect(callsTo(calls, 'framebufferTexture2D').map(call => call[3]))
+        .toEqual([GL.TEXTURE_CUBE_MAP_POSITIVE_X, GL.TEXTURE_CUBE_MAP_POSITIVE_X + 3]);
+
+      const layers = new ArrayRenderTarget(32, 32, 4, { count: 0, depthTexture: true }).setup(gl);
+      layers.bind(gl, 2);
+      expect((callsTo(calls, 'framebufferTextureLayer').pop() as any[]).slice(2)).toEqual([GL.DEPTH_ATTACHMENT, layers.depthTexture, 0, 2]);
+    });
+  });
+
+  describe('MSAA', () => {
+    it('should render into multisampled renderbuffers clamped to MAX_SAMPLES', () => {
+      const { gl, calls, bound } = createContext(true);
+      const target = new RenderTarget(128, 64, { samples: 8, count: 2 });
+
+      target.bind(gl);
+
+      expect(target.isMultisample).toBe(true);
+      expect(callsTo(calls, 'renderbufferStorageMultisample').map(call => call[2])).toEqual([4, 4, 4]);
+      expect(bound()).toBe(target.msaaFramebuffer);
+      expect(target.needsResolve).toBe(true);
+      expect(callsTo(calls, 'blitFramebuffer')).toHaveLength(0);
+    });
+
+    it('should resolve every color attachment with its own blit and keep the binding', () => {
+      const { gl, calls, bound } = createContext(true);
+      const target = new RenderTarget(128, 64, { samples: 4, count: 2, depthTexture: true });
+      target.bind(gl);
+
+      target.resolve();
+
+      const blits = callsTo(calls, 'blitFramebuffer');
+      expect(blits.map(call => call[9])).toEqual([GL.COLOR_BUFFER_BIT, GL.COLOR_BUFFER_BIT, GL.DEPTH_BUFFER_BIT]);
+      expect(blits[0].slice(1, 9)).toEqual([0, 0, 128, 64, 0, 0, 128, 64]);
+      expect(callsTo(calls, 'readBuffer').map(call => call[1]).slice(0, 2)).toEqual([GL.COLOR_ATTACHMENT0, GL.COLOR_ATTACHMENT0 + 1]);
+      expect(bound()).toBe(target.msaaFramebuffer);
+      expect(target.needsResolve).toBe(false);
+
+      target.resolve();
+      expect(callsTo(calls, 'blitFramebuffer')).toHaveLength(3);
+    });
+
+    it('should resolve when the renderer switches away from the target', () => {
+      const { gl, calls, bound } = createContext(true);
+      const renderer: any = new WebGLRenderer({ context: gl });
+      const target = new RenderTarget(128, 64, { samples: 4 });
+
+      renderer.setRenderTarget(target);
+      expect(bound()).toBe(target.msaaFramebuffer);
+      renderer.setRenderTarget(null);
+
+      expect(callsTo(calls, 'blitFramebuffer')).toHaveLength(1);
+      expect(bound()).toBeNull();
+      expect(target.needsResolve).toBe(false);
+    });
+
+    it('should resolve before reading a target that is still bound', () => {
+      const { gl, calls, bound } = createContext(true);
+      const renderer: any = new WebGLRenderer({ context: gl });
+      const target = new RenderTarget(16, 16, { samples: 4 });
+      renderer.setRenderTarget(target);
+
+      const pixels = renderer.readRenderTargetPixels(target, 0, 0, 1, 1);
+
+      expect(pixels).toEqual(new Uint8Array([3, 3, 3, 3]));
+      expect(callsTo(calls, 'blitFramebuffer')).toHaveLength(1);
+      // Later draws land in the multisampled buffers again and need another resolve
+      expect(bound()).toBe(target.msaaFramebuffer);
+      expect(target.needsResolve).toBe(true);
+    });
+
+    it('should fall back to a single-sampled target on WebGL1', () => {
+      const { gl } = createContext(false);
+
+      const target = new RenderTarget(16, 16, { samples: 4 }).setup(gl);
+
+      expect(target.isMultisample).toBe(false);
+    });
+  });
+
+  describe('readback', () => {
+    it('should read into an array matching the attachment type', () => {
+      const { gl, calls } = createContext(true);
+      const target = new RenderTarget(8, 8, { attachments: [{ type: 'FLOAT' }, {}] }).setup(gl);
+
+      expect(target.readPixels(0, 0, 2, 2, null, { attachment: 0 })).toBeInstanceOf(Float32Array);
+      expect(target.readPixels(0, 0, 2, 2, null, { attachment: 1 })).toBeInstanceOf(Uint8Array);
+      expect(callsTo(calls, 'readBuffer').map(call => call[1])).toEqual([GL.COLOR_ATTACHMENT0 + 1, GL.COLOR_ATTACHMENT0]);
+      expect(() => target.readPixels(0, 0, 1, 1, null, { attachment: 3 })).toThrow('no color attachment 3');
+    });
+
+    it('should read asynchronously through a pixel pack buffer and a fence on WebGL2', async () => {
+      const { gl, calls } = createContext(true);
+      const target = new RenderTarget(8, 8, { type: 'FLOAT' }).setup(gl);
+
+      const pixels: any = await target.readPixelsAsync(0, 0, 2, 2);
+
+      expect(pixels).toBeInstanceOf(Float32Array);
+      expect(Array.from(pixels)).toEqual(new Array(16).fill(7));
+      const [bufferData] = callsTo(calls, 'bufferData');
+      expect(bufferData.slice(1)).toEqual([GL.PIXEL_PACK_BUFFER, 64, GL.STREAM_READ]);
+      // Reads into the bound pack buffer at offset 0 instead of client memory
+      expect((callsTo(calls, 'readPixels')[0] as any[])[7]).toBe(0);
+      expect(callsTo(calls, 'clientWaitSync')).toHaveLength(3);
+      expect(callsTo(calls, 'deleteSync')).toHaveLength(1);
+      expect(callsTo(calls, 'deleteBuffer')).toHaveLength(1);
+    });
+
+    it('should reject and release the buffer when the fence fails', async () => {
+      const { gl, calls } = createContext(true);
+      const target = new RenderTarget(8, 8).setup(gl);
+      gl.clientWaitSync = () => GL.WAIT_FAILED;
+
+      await expect(target.readPixelsAsync(0, 0, 1, 1)).rejects.toThrow('Pixel readback failed');
+      expect(callsTo(calls, 'deleteBuffer')).toHaveLength(1);
+    });
+
+    it('should read synchronously on WebGL1', async () => {
+      const { gl, calls } = createContext(false);
+      const target = new RenderTarget(8, 8).setup(gl);
+
+      expect(await target.readPixelsAsync(0, 0, 1, 1)).toEqual(new Uint8Array([3, 3, 3, 3]));
+      expect(callsTo(calls, 'fenceSync')).toHaveLength(0);
+    });
+  });
+
+  describe('ShadowMap', () => {
+    it('should use cube targets for point lights and array targets for cascades on WebGL2', () => {
+      const { gl, calls } = createContext(true);
+
+      const omni = new ShadowMap(gl, { type: ShadowMapType.OMNIDIRECTIONAL, size: 64 });
+      expect(omni.renderTarget).toBeInstanceOf(CubeRenderTarget);
+      expect(omni.depthTexture).toBe(omni.renderTarget.depthTexture);
+      omni.bind(4);
+      expect((callsTo(calls, 'framebufferTexture2D').pop() as any[])[3]).toBe(GL.TEXTURE_CUBE_MAP_POSITIVE_X + 4);
+
+      const cascades = new ShadowMap(gl, { type: ShadowMapType.CASCADE, size: 64, cascadeCount: 3 });
+      expect(cascades.renderTarget).toBeInstanceOf(ArrayRenderTarget);
+      expect(cascades.type).toBe(ShadowMapType.CASCADE);
+    });
+
+    it('should pass its depth formats through to the depth texture', () => {
+      const { gl, calls } = createContext(true);
+
+      const shadowMap = new ShadowMap(gl, {
+        type: ShadowMapType.BASIC,
+        size: 32,
+        internalFormat: gl.DEPTH_COMPONENT16,
+        texelType: gl.UNSIGNED_SHORT
+      });
+
+      const depth = callsTo(calls, 'texImage2D').find(call => call[7] === GL.DEPTH_COMPONENT) as any[];
+      expect([depth[3], depth[8]]).toEqual([GL.DEPTH_COMPONENT16, GL.UNSIGNED_SHORT]);
+      expect(shadowMap.type).toBe(ShadowMapType.BASIC);
+      expect(shadowMap.texelType).toBe(GL.UNSIGNED_SHORT);
+    });
+  });
+});
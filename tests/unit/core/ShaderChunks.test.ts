@@ -0,0 +1,208 @@
+import { ShaderChunk, registerShaderChunk, preprocessShader, formatShaderLog, getDefineLines } from '../../../src/core/ShaderChunks';
+import { Material } from '../../../src/core/Material';
+
+const VERTEX_SHADER = 'void main() { gl_Position = vec4(0.0); }';
+const FRAGMENT_SHADER = 'void main() { gl_FragColor = vec4(1.0); }';
+
+/**
+ * Context recording every call as [name, ...args], with compiled shaders and linked programs
+ */
+const createContext = () => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  const values: any = { VERTEX_SHADER: 0x8b31, FRAGMENT_SHADER: 0x8b30, COMPILE_STATUS: 0x8b81, LINK_STATUS: 0x8b82 };
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        if (/^create/.test(name)) return { id: ++nextId };
+        if (/^get(Shader|Program)Parameter$/.test(name)) return true;
+        return null;
+      };
+    }
+  });
+
+  return { gl, calls };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+describe('ShaderChunks', () => {
+  describe('includes', () => {
+    it('should expand nested includes in place', () => {
+      const chunks = { outer: 'float outer;\n#include <inner>', inner: 'float inner;' };
+
+      const { code, lineMap } = preprocessShader('#include <outer>\nvoid main() {}', { chunks, name: 'fragment' });
+
+      expect(code).toBe('float outer;\nfloat inner;\nvoid main() {}');
+      expect(lineMap).toEqual([
+        { name: 'outer', line: 1 },
+        { name: 'inner', line: 1 },
+        { name: 'fragment', line: 2 }
+      ]);
+    });
+
+    it('should expand a chunk included more than once only the first time', () => {
+      const chunks = { common: 'const float PI = 3.14;', lighting: '#include <common>\nfloat light;' };
+
+      const { code } = preprocessShader('#include <common>\n#include <lighting>\n#include <common>\nvoid main() {}', { chunks });
+
+      expect(code).toBe('const float PI = 3.14;\nfloat light;\nvoid main() {}');
+    });
+
+    it('should share built-in chunks between the chunks that include them', () => {
+      const { code } = preprocessShader('#include <bsdfs>\n#include <common>\nvoid main() {}');
+
+      expect(code.match(/const float PI/g)).toHaveLength(1);
+      expect(code).toContain('float geometrySmith(');
+      expect(code).not.toContain('#include');
+    });
+
+    it('should reject circular includes', () => {
+      const chunks = { a: '#include <b>', b: '#include <c>', c: '#include <a>', self: '#include <self>' };
+
+      expect(() => preprocessShader('#include <a>', { chunks })).toThrow('Circular #include <a> in c');
+      expect(() => preprocessShader('#include <self>', { chunks })).toThrow('Circular #include <self> in self');
+    });
+
+    it('should report the line of an include that does not resolve', () => {
+      expect(() => preprocessShader('float x;\n#include <missing>', { name: 'vertex' }))
+        .toThrow('Cannot resolve #include <missing> in vertex:2');
+    });
+
+    it('should register chunks under valid names only', () => {
+      registerShaderChunk('test_chunk', 'float mine() { return 1.0; }');
+
+      expect(preprocessShader('#include <test_chunk>').code).toBe('float mine() { return 1.0; }');
+      expect(() => registerShaderChunk('bad name', '')).toThrow('Invalid shader chunk name: bad name');
+
+      delete ShaderChunk.test_chunk;
+    });
+  });
+
+  describe('defines', () => {
+    it('should leave out false, null and undefined values', () => {
+      expect(getDefineLines({ A: true, B: false, C: 2, D: null, E: undefined })).toEqual(['#define A', '#define C 2']);
+      expect(getDefineLines(null)).toEqual([]);
+    });
+
+    it('should insert defines after #version, past the blank lines of a template literal', () => {
+      const source = '\n    #version 300 es\n    precision highp float;\n    void main() {}';
+
+      const { code, lineMap } = preprocessShader(source, { defines: { USE_MAP: true, COUNT: 4 }, name: 'fragment' });
+
+      const lines = code.split('\n');
+      expect(lines[1].trim()).toBe('#version 300 es');
+      expect(lines.slice(2, 4)).toEqual(['#define USE_MAP', '#define COUNT 4']);
+      expect(lineMap[2]).toEqual({ name: 'defines', line: 1 });
+      expect(lineMap[4]).toEqual({ name: 'fragment', line: 3 });
+    });
+
+    it('should put defines first without #version', () => {
+      expect(preprocessShader('void main() {}', { defines: { X: 1 } }).code).toBe('#define X 1\nvoid main() {}');
+    });
+  });
+
+  describe('formatShaderLog', () => {
+    it('should map log lines back to the chunk and line they came from', () => {
+      const chunks = { helpers: 'float a;\nfloat b = oops;' };
+      const preprocessed = preprocessShader('#include <helpers>\nvoid main() {}', { chunks, defines: { X: 1 }, name: 'fragment' });
+
+      expect(formatShaderLog("ERROR: 0:3: 'oops' : undeclared identifier\nWARNING: something", preprocessed))
+        .toBe("ERROR: helpers:2: 'oops' : undeclared identifier\n    > float b = oops;\nWARNING: something");
+      expect(formatShaderLog('0(1) : error C0000: bad', preprocessed)).toBe('defines:1: error C0000: bad\n    > #define X 1');
+    });
+  });
+
+  describe('Material', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should derive defines from texture slots, vertex colors and defines', () => {
+      const material: any = new Material(null as any);
+      material.map = {};
+      material.clearcoatNormalMap = {};
+      material.emissiveMap = null;
+      material.vertexColors = true;
+      material.defines.CUSTOM = 3;
+
+      expect(material.getDefines()).toEqual({ USE_VERTEX_COLORS: true, USE_MAP: true, USE_CLEARCOAT_NORMAL_MAP: true, CUSTOM: 3 });
+    });
+
+    it('should let onBeforeCompile patch sources and defines before chunks are expanded', () => {
+      const { gl, calls } = createContext();
+      const material: any = new Material(null as any);
+      material.map = {};
+      let seen: any = null;
+      material.onBeforeCompile = (shader: any) => {
+        seen = { ...shader, defines: { ...shader.defines } };
+        shader.fragmentShader = shader.fragmentShader.replace('void main', '#include <common>\nvoid main');
+        shader.defines.PATCHED = true;
+      };
+
+      material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER, { NUM_DIR_LIGHTS: 1 });
+
+      expect(seen.material).toBe(material);
+      expect(seen.defines).toEqual({ NUM_DIR_LIGHTS: 1, USE_MAP: true });
+      const [vertex, fragment] = callsTo(calls, 'shaderSource').map(call => call[2]);
+      expect(vertex).toContain('#define USE_MAP');
+      expect(fragment).toContain('#define PATCHED');
+      expect(fragment).toContain('const float PI');
+    });
+
+    it('should derive its defines once per version when checking the program on each draw', () => {
+      const { gl } = createContext();
+      const material: any = new Material(null as any);
+      material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER, { NUM_DIR_LIGHTS: 1 });
+      const getDefines = jest.spyOn(material, 'getDefines');
+
+      for (let i = 0; i < 5; i++) {
+        expect(material.needsProgram({ NUM_DIR_LIGHTS: 1 })).toBe(false);
+      }
+
+      expect(getDefines).not.toHaveBeenCalled();
+      expect(material.needsProgram({ NUM_DIR_LIGHTS: 2 })).toBe(true);
+      expect(material.needsProgram({ NUM_DIR_LIGHTS: 1, USE_FOG: true })).toBe(true);
+      expect(material.needsProgram(null)).toBe(true);
+    });
+
+    it('should pick up define changes once the material is marked for an update', () => {
+      const { gl } = createContext();
+      const material: any = new Material(null as any);
+      material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+
+      material.defines.CUSTOM = 1;
+      expect(material.needsProgram()).toBe(false);
+      material.needsUpdate = true;
+      expect(material.needsProgram()).toBe(true);
+
+      material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+      material.defines = {};
+      expect(material.needsProgram()).toBe(true);
+
+      material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+      material.onBeforeCompile = () => {};
+      expect(material.needsProgram()).toBe(true);
+    });
+
+    it('should keep the program when an update leaves the defines as they were', () => {
+      const { gl } = createContext();
+      const material: any = new Material(null as any);
+      material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+      const version = material.version;
+
+      material.setProperty('uColor', [1, 0, 0]);
+
+      expect(material.version).toBeGreaterThan(version);
+      expect(material.needsProgram()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { QuadTree, Octree, BVH, createSpatialIndex } from '../../../src/core/SpatialIndex';
+import { Object3D } from '../../../src/core/Object3D';
+import { Scene } from '../../../src/core/Scene';
+import { Raycaster } from '../../../src/core/Raycaster';
+import { Camera } from '../../../src/core/Camera';
+
+// Frustum looking down -Z: |x| <= 10, |y| <= 10, -100 <= z <= -1
+const boxFrustum = {
+  planes: [
+    { a: 1, b: 0, c: 0, d: 10 },
+    { a: -1, b: 0, c: 0, d: 10 },
+    { a: 0, b: 1, c: 0, d: 10 },
+    { a: 0, b: -1, c: 0, d: 10 },
+    { a: 0, b: 0, c: -1, d: -1 },
+    { a: 0, b: 0, c: 1, d: 100 }
+  ]
+};
+
+const createObjectAt = (x: number, y: number, z: number) => {
+  const object = new Object3D();
+  object.setPosition(x, y, z);
+  return object;
+};
+
+describe('SpatialIndex', () => {
+  const structures = [
+    ['quadtree', () => new QuadTree({ maxObjects: 2 })],
+    ['octree', () => new Octree({ maxObjects: 2 })],
+    ['bvh', () => new BVH()]
+  ] as const;
+
+  describe.each(structures)('%s', (_name, create) => {
+    it('should return only objects inside the frustum', () => {
+      const index = create();
+      const inside = createObjectAt(0, 0, -20);
+      const outside = createObjectAt(50, 0, -20);
+      const behind = createObjectAt(0, 0, 20);
+
+      for (let i = 0; i < 20; i++) {
+        index.insert(createObjectAt(200 + i * 3, 0, -20));
+      }
+      [inside, outside, behind].forEach(object => index.insert(object));
+
+      const visible = index.queryFrustum(boxFrustum);
+
+      expect(visible).toContain(inside);
+      expect(visible).not.toContain(outside);
+      expect(visible).not.toContain(behind);
+    });
+
+    it('should track objects moved through markMatrixDirty', () => {
+      const index = create();
+      const object = createObjectAt(500, 0, -20);
+      index.insert(object);
+
+      expect(index.queryFrustum(boxFrustum)).not.toContain(object);
+
+      object.setPosition(0, 0, -20);
+
+      expect(index.dirty.has(object)).toBe(true);
+      expect(index.queryFrustum(boxFrustum)).toContain(object);
+      expect(index.dirty.size).toBe(0);
+    });
+
+    it('should answer radius and ray queries', () => {
+      const index = create();
+      const near = createObjectAt(2, 0, 0);
+      const far = createObjectAt(40, 0, 0);
+      index.insert(near);
+      index.insert(far);
+
+      expect(index.queryRadius({ x: 0, y: 0, z: 0 }, 5)).toEqual([near]);
+      expect(index.queryRay({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, 20)).toEqual([near]);
+    });
+
+    it('should forget removed objects', () => {
+      const index = create();
+      const object = createObjectAt(0, 0, -20);
+      index.insert(object);
+      index.remove(object);
+
+      expect(index.size).toBe(0);
+      expect(object.spatialIndex).toBeNull();
+      expect(index.queryFrustum(boxFrustum)).toHaveLength(0);
+    });
+  });
+
+  it('should reject unknown index types', () => {
+    expect(() => createSpatialIndex('kdtree')).toThrow('Unknown spatial index type');
+  });
+
+  describe('Scene integration', () => {
+    it('should build the selected structure and keep it in sync', () => {
+      const scene = new Scene();
+      const a = scene.add(createObjectAt(0, 0, 0));
+      scene.setSpatialOptimization(true, 'octree');
+
+      expect(scene.octree).toBe(scene.spatialIndex);
+      expect(scene.spatialIndex.has(a)).toBe(true);
+
+      const b = scene.add(createObjectAt(30, 0, 0));
+      expect(scene.spatialIndex.has(b)).toBe(true);
+      expect(scene.queryRadius({ x: 30, y: 0, z: 0 }, 2)).toEqual([b]);
+
+      scene.removeObject(b);
+      expect(scene.spatialIndex.has(b)).toBe(false);
+
+      scene.setSpatialOptimization(false);
+      expect(scene.spatialIndex).toBeNull();
+      expect(a.spatialIndex).toBeNull();
+    });
+
+    it('should use the index to select raycast candidates', () => {
+      const scene = new Scene();
+      scene.setSpatialOptimization(true, 'bvh');
+      const target = scene.add(createObjectAt(0, 0, -5));
+      const picked: unknown[] = [];
+      (target as any).raycast = (raycaster: unknown, intersects: any[]) => {
+        picked.push(raycaster);
+        intersects.push({ distance: 5, object: target });
+      };
+      scene.add(createObjectAt(100, 0, -5));
+
+      const raycaster = new Raycaster({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -1 });
+      const hits = scene.raycast(raycaster);
+
+      expect(picked).toHaveLength(1);
+      expect(hits[0].object).toBe(target);
+    });
+
+    it('should keep drawing objects opted out of culling without walking the index', () => {
+      const scene = new Scene();
+      const camera = new Camera();
+      camera.setPosition(0, 0, 5);
+      scene.addCamera(camera);
+      scene.setSpatialOptimization(true, 'bvh');
+      const visible = scene.add(createObjectAt(0, 0, 0));
+      const offscreen = scene.add(createObjectAt(100, 0, 0));
+      const keys = jest.spyOn(scene.spatialIndex.entries, 'keys');
+
+      expect(Array.from(scene.getRenderableObjects())).toEqual([visible.id]);
+
+      offscreen.frustumCulled = false;
+      expect(scene.spatialIndex.unculled.has(offscreen)).toBe(true);
+      expect(scene.getRenderableObjects().has(offscreen.id)).toBe(true);
+
+      offscreen.frustumCulled = true;
+      expect(scene.getRenderableObjects().has(offscreen.id)).toBe(false);
+
+      const unculled = createObjectAt(0, 100, 0);
+      unculled.frustumCulled = false;
+      scene.add(unculled);
+      expect(scene.getRenderableObjects().has(unculled.id)).toBe(true);
+
+      scene.removeObject(unculled);
+      expect(scene.spatialIndex.unculled.size).toBe(0);
+      expect(keys).not.toHaveBeenCalled();
+    });
+
+    it('should index subtrees attached under objects already in the scene', () => {
+      const scene = new Scene();
+      scene.setSpatialOptimization(true, 'octree');
+      const parent = scene.add(createObjectAt(0, 0, 0));
+      const child = createObjectAt(20, 0, 0);
+      const grandchild = createObjectAt(0, 20, 0);
+      child.addChild(grandchild);
+
+      parent.addChild(child);
+
+      expect(scene.spatialIndex.has(child)).toBe(true);
+      expect(scene.spatialIndex.has(grandchild)).toBe(true);
+      expect(scene.queryRadius({ x: 20, y: 20, z: 0 }, 2)).toEqual([grandchild]);
+
+      // Objects outside any scene stay unindexed
+      const loose = createObjectAt(0, 0, 0);
+      loose.addChild(createObjectAt(0, 0, 0));
+      expect(loose.children[0].spatialIndex).toBeNull();
+    });
+
+    it('should drop detached subtrees from the index', () => {
+      const scene = new Scene();
+      scene.setSpatialOptimization(true, 'bvh');
+      const parent = scene.add(createObjectAt(0, 0, 0));
+      const child = createObjectAt(20, 0, 0);
+      const grandchild = createObjectAt(0, 20, 0);
+      grandchild.frustumCulled = false;
+      child.addChild(grandchild);
+      parent.addChild(child);
+      expect(scene.spatialIndex.unculled.has(grandchild)).toBe(true);
+
+      parent.removeChild(child);
+
+      expect(scene.spatialIndex.has(child)).toBe(false);
+      expect(scene.spatialIndex.has(grandchild)).toBe(false);
+      expect(scene.spatialIndex.unculled.size).toBe(0);
+      expect(grandchild.spatialIndex).toBeNull();
+      expect(scene.queryRadius({ x: 20, y: 20, z: 0 }, 2)).toEqual([]);
+      expect(scene.raycast(new Raycaster({ x: 20, y: 20, z: 10 }, { x: 0, y: 0, z: -1 }))).toEqual([]);
+
+      // Moving a subtree between parents of the same scene keeps it indexed
+      parent.addChild(child);
+      const other = scene.add(createObjectAt(-20, 0, 0));
+      other.addChild(child);
+      expect(scene.spatialIndex.has(grandchild)).toBe(true);
+      expect(scene.spatialIndex.size).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { UniformBuffer, UniformBlockBinding, getStd140Layout } from '../../../src/core/UniformBuffer';
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { preprocessShader } from '../../../src/core/ShaderChunks';
+
+const GL: Record<string, number> = {
+  UNIFORM_BUFFER: 0x8a11, INVALID_INDEX: 0xffffffff, DYNAMIC_DRAW: 0x88e8,
+  FRAMEBUFFER_COMPLETE: 0x8cd5, VERTEX_SHADER: 0x8b31, FRAGMENT_SHADER: 0x8b30
+};
+
+class FakeWebGL2 {}
+
+/**
+ * Context recording every call as [name, ...args]. Programs declare the named uniform
+ * blocks and plain uniforms only.
+ */
+const createContext = (webgl2: boolean, blocks: string[] = [], uniforms: string[] = []) => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  const values: any = webgl2 ? new FakeWebGL2() : {};
+  Object.assign(values, GL, { drawingBufferWidth: 300, drawingBufferHeight: 150, canvas: undefined });
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        if (/^create/.test(name)) return { id: ++nextId };
+        if (name === 'getUniformBlockIndex') return blocks.includes(args[1]) ? blocks.indexOf(args[1]) : GL.INVALID_INDEX;
+        if (name === 'getUniformLocation') return uniforms.includes(args[1]) ? { name: args[1] } : null;
+        if (name === 'checkFramebufferStatus') return GL.FRAMEBUFFER_COMPLETE;
+        if (/^get(Shader|Program)Parameter$/.test(name)) return true;
+        return null;
+      };
+    }
+  });
+
+  return { gl, calls };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+describe('UniformBuffer', () => {
+  const originalWebGL2 = (global as any).WebGL2RenderingContext;
+
+  beforeAll(() => {
+    (global as any).WebGL2RenderingContext = FakeWebGL2;
+  });
+
+  afterAll(() => {
+    (global as any).WebGL2RenderingContext = originalWebGL2;
+  });
+
+  describe('std140 layout', () => {
+    it('should align scalars, vectors, matrices, arrays and structs', () => {
+      const layout = getStd140Layout([
+        { name: 'a', type: 'float' },
+        { name: 'b', type: 'vec3' },
+        { name: 'c', type: 'float' },
+        { name: 'm', type: 'mat3' },
+        { name: 'w', type: 'float', count: 2 },
+        {
+          name: 's', type: 'S', count: 2, fields: [
+            { name: 'p', type: 'vec3' },
+            { name: 'd', type: 'float' },
+            { name: 'q', type: 'vec2' }
+          ]
+        },
+        { name: 'z', type: 'float' }
+      ]);
+
+      expect(Object.fromEntries(layout.leaves.map(leaf => [leaf.name, leaf.offset]))).toEqual({
+        a: 0, b: 16, c: 28, m: 32, 'w[0]': 80, 'w[1]': 96,
+        's[0].p': 112, 's[0].d': 124, 's[0].q': 128, 's[1].p': 144, 's[1].d': 156, 's[1].q': 160,
+        z: 176
+      });
+      expect(layout.size).toBe(180);
+    });
+
+    it('should size blocks in whole vec4s and reject unknown types', () => {
+      expect(new UniformBuffer('B', [{ name: 'v', type: 'vec2' }, { name: 'f', type: 'float' }]).byteLength).toBe(16);
+      expect(new UniformBuffer('B', [{ name: 'm', type: 'mat4' }, { name: 'f', type: 'float' }]).byteLength).toBe(80);
+      expect(() => getStd140Layout([{ name: 'x', type: 'dvec2' }])).toThrow('Unsupported uniform block type: dvec2');
+    });
+  });
+
+  describe('values', () => {
+    it('should pad matrix columns and accept vectors, colors and matrices as objects', () => {
+      const buffer = new UniformBuffer('B', [
+        { name: 'm', type: 'mat3' },
+        { name: 'v', type: 'vec2' },
+        { name: 'color', type: 'vec3' },
+        { name: 'count', type: 'int' }
+      ]);
+
+      buffer.set('m', { elements: [1, 2, 3, 4, 5, 6, 7, 8, 9] }).setValues({ v: { x: 5, y: 6 }, color: { r: 1, g: 0.5, b: 0 }, count: 3 });
+
+      expect(Array.from(buffer.floats.slice(0, 12))).toEqual([1, 2, 3, 0, 4, 5, 6, 0, 7, 8, 9, 0]);
+      expect(Array.from(buffer.floats.slice(12, 14))).toEqual([5, 6]);
+      expect(Array.from(buffer.floats.slice(16, 19))).toEqual([1, 0.5, 0]);
+      expect(buffer.ints[19]).toBe(3);
+      expect(() => buffer.set('missing', 1)).toThrow('Uniform block B has no member missing');
+    });
+
+    it('should count only changes and track the range to upload', () => {
+      const buffer = new UniformBuffer('B', [{ name: 'a', type: 'vec4' }, { name: 'b', type: 'float' }]);
+
+      buffer.set('a', [1, 2, 3, 4]);
+      buffer.set('a', [1, 2, 3, 4]);
+      buffer.set('b', 0);
+      expect(buffer.version).toBe(1);
+      expect([buffer.dirtyStart, buffer.dirtyEnd]).toEqual([0, 16]);
+
+      buffer.set('b', 2);
+      expect([buffer.dirtyStart, buffer.dirtyEnd]).toEqual([0, 20]);
+    });
+  });
+
+  describe('apply', () => {
+    it('should bind the block once per program and upload only the changed range', () => {
+      const { gl, calls } = createContext(true, ['B']);
+      const buffer = new UniformBuffer('B', [{ name: 'm', type: 'mat3' }, { name: 'v', type: 'vec2' }], { binding: 1 });
+      const program = {};
+
+      expect(buffer.apply(gl, program)).toBe(true);
+      expect(buffer.apply(gl, program)).toBe(true);
+      buffer.set('v', [7, 6]);
+      buffer.apply(gl, program);
+
+      expect(callsTo(calls, 'uniformBlockBinding')).toEqual([['uniformBlockBinding', program, 0, 1]]);
+      expect(callsTo(calls, 'bufferData')).toHaveLength(1);
+      expect(callsTo(calls, 'bindBufferBase')).toHaveLength(1);
+      expect(callsTo(calls, 'bufferSubData')[0].slice(2)).toEqual([48, buffer.bytes, 48, 8]);
+    });
+
+    it('should fall back to plain uniforms for programs without the block', () => {
+      const { gl, calls } = createContext(true, [], ['m', 'v']);
+      const buffer = new UniformBuffer('B', [{ name: 'm', type: 'mat3' }, { name: 'v', type: 'vec2' }, { name: 'unused', type: 'float' }]);
+      buffer.set('m', [1, 2, 3, 4, 5, 6, 7, 8, 9]).set('v', [7, 6]);
+      const program = {};
+
+      expect(buffer.apply(gl, program)).toBe(false);
+      buffer.apply(gl, program);
+
+      expect(callsTo(calls, 'uniformMatrix3fv')).toHaveLength(1);
+      expect(Array.from(callsTo(calls, 'uniformMatrix3fv')[0][3])).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(Array.from(callsTo(calls, 'uniform2fv')[0][2])).toEqual([7, 6]);
+      expect(callsTo(calls, 'uniform1fv')).toHaveLength(0);
+      expect(callsTo(calls, 'getUniformLocation')).toHaveLength(3);
+
+      // Uploaded again once the values change
+      buffer.set('v', [1, 1]);
+      buffer.apply(gl, program);
+      expect(callsTo(calls, 'uniform2fv')).toHaveLength(2);
+    });
+
+    it('should always use plain uniforms on WebGL1', () => {
+      const { gl, calls } = createContext(false, ['B'], ['v']);
+      const buffer = new UniformBuffer('B', [{ name: 'v', type: 'vec2' }]);
+
+      expect(buffer.apply(gl, {})).toBe(false);
+
+      expect(callsTo(calls, 'uniform2fv')).toHaveLength(1);
+      expect(callsTo(calls, 'getUniformBlockIndex')).toHaveLength(0);
+      expect(callsTo(calls, 'bindBufferBase')).toHaveLength(0);
+    });
+  });
+
+  describe('renderer blocks', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const GLSL3 = { vertexShader: '#version 300 es\nvoid main() {}', fragmentShader: '#version 300 es\nvoid main() {}' };
+
+    it('should write the camera, exposure and lights of a frame', () => {
+      const renderer: any = new WebGLRenderer({ context: createContext(true).gl, maxLights: 2 });
+      renderer.exposure = 2;
+      const scene: any = { lights: [{ type: 'PointLight', color: '#ff0000', intensity: 2, position: { x: 1, y: 2, z: 3 }, distance: 5 }] };
+      const camera: any = {
+        viewMatrix: { elements: Array.from({ length: 16 }, (_, i) => i) },
+        projectionMatrix: new Float32Array(16).fill(1),
+        position: { x: 9, y: 8, z: 7 }
+      };
+
+      renderer.updateUniformBlocks(scene, camera);
+
+      const { frame, lights } = renderer.uniformBlocks;
+      expect(frame.binding).toBe(UniformBlockBinding.FRAME);
+      expect(lights.binding).toBe(UniformBlockBinding.LIGHTS);
+      expect(frame.floats[5]).toBe(5);
+      expect(frame.floats[16]).toBe(1);
+      expect(Array.from(frame.floats.slice(32, 35))).toEqual([9, 8, 7]);
+      expect(frame.floats[36]).toBe(2);
+      const color = lights.leaves.get('pointLights[0].color').offset / 4;
+      expect(Array.from(lights.floats.slice(color, color + 3))).toEqual([2, 0, 0]);
+    });
+
+    it('should use blocks for GLSL ES 3.00 programs on WebGL2 only', () => {
+      const renderer: any = new WebGLRenderer({ context: createContext(true).gl });
+      const webgl1: any = new WebGLRenderer({ context: createContext(false).gl });
+      const disabled: any = new WebGLRenderer({ context: createContext(true).gl, uniformBuffers: false });
+      const scene: any = { lights: [] };
+
+      expect(renderer.getProgramDefines({}, scene, null, GLSL3).USE_UNIFORM_BUFFERS).toBe(true);
+      expect(renderer.getProgramDefines({}, scene, null, { vertexShader: '', fragmentShader: '' }).USE_UNIFORM_BUFFERS).toBeUndefined();
+      expect(webgl1.getProgramDefines({}, scene, null, GLSL3).USE_UNIFORM_BUFFERS).toBeUndefined();
+      expect(disabled.getProgramDefines({}, scene, null, GLSL3).USE_UNIFORM_BUFFERS).toBeUndefined();
+    });
+
+    it('should declare the blocks the renderer fills in the shader chunks', () => {
+      const source = '#version 300 es\n#include <frame_pars>\n#include <lights_pars>';
+
+      const { code } = preprocessShader(source, { defines: { USE_UNIFORM_BUFFERS: true, MAX_LIGHTS: 2 } });
+
+      expect(code).toContain('layout(std140) uniform FrameUniforms');
+      expect(code).toContain('uniform LightUniforms');
+      expect(code).toContain('PointLight pointLights[MAX_LIGHTS];');
+    });
+  });
+});
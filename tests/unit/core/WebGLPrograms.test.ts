@@ -0,0 +1,234 @@
+import { WebGLPrograms } from '../../../src/core/WebGLPrograms';
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { Scene } from '../../../src/core/Scene';
+import { Material } from '../../../src/core/Material';
+import { MeshBasicMaterial } from '../../../src/materials/MeshBasicMaterial';
+import { DirectionalLight } from '../../../src/lights/DirectionalLight';
+
+const VERTEX_SHADER = 'void main() { gl_Position = vec4(0.0); }';
+const FRAGMENT_SHADER = 'void main() { gl_FragColor = vec4(1.0); }';
+const COMPLETION_STATUS_KHR = 0x91b1;
+
+/**
+ * Context recording every call as [name, ...args]. With parallel compile, programs report
+ * COMPLETION_STATUS_KHR after the given number of polls.
+ */
+const createContext = (options: { pollsUntilComplete?: number; compileError?: string } = {}) => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  let polls = 0;
+  const values: any = {
+    VERTEX_SHADER: 0x8b31, FRAGMENT_SHADER: 0x8b30, COMPILE_STATUS: 0x8b81, LINK_STATUS: 0x8b82,
+    drawingBufferWidth: 300, drawingBufferHeight: 150, canvas: undefined
+  };
+  const parallelCompile = options.pollsUntilComplete !== undefined ? { COMPLETION_STATUS_KHR } : null;
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        if (/^create/.test(name)) return { id: ++nextId };
+        if (name === 'getExtension') return args[0] === 'KHR_parallel_shader_compile' ? parallelCompile : null;
+        if (name === 'getShaderParameter') return !options.compileError;
+        if (name === 'getShaderInfoLog') return options.compileError;
+        if (name === 'getProgramParameter') {
+          return args[1] === COMPLETION_STATUS_KHR ? ++polls > options.pollsUntilComplete! : true;
+        }
+        return null;
+      };
+    }
+  });
+
+  return { gl, calls };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+describe('WebGLPrograms', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('cache', () => {
+    it('should key programs on sources, defines in any order and attributes', () => {
+      const cache = WebGLPrograms.get(createContext().gl);
+
+      const key = cache.getKey(VERTEX_SHADER, FRAGMENT_SHADER, { A: true, B: 2 });
+
+      expect(cache.getKey(VERTEX_SHADER, FRAGMENT_SHADER, { B: 2, A: true })).toBe(key);
+      expect(cache.getKey(VERTEX_SHADER, FRAGMENT_SHADER, { A: true, B: 2, C: false })).toBe(key);
+      expect(cache.getKey(VERTEX_SHADER, FRAGMENT_SHADER, { A: true, B: 3 })).not.toBe(key);
+      expect(cache.getKey(VERTEX_SHADER, FRAGMENT_SHADER, { A: true, B: 2 }, { position: 0 })).not.toBe(key);
+    });
+
+    it('should share a program between materials and delete it with the last user', () => {
+      const { gl, calls } = createContext();
+      const cache = WebGLPrograms.get(gl);
+      const first: any = new Material(null as any);
+      const second: any = new Material(null as any);
+
+      const shader = first.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+      expect(second.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER)).toBe(shader);
+      const clone = first.clone();
+
+      expect(shader.usedTimes).toBe(3);
+      expect(callsTo(calls, 'linkProgram')).toHaveLength(1);
+      expect(cache.stats).toEqual({ compiled: 1, reused: 1 });
+
+      first.dispose();
+      second.dispose();
+      expect(callsTo(calls, 'deleteProgram')).toHaveLength(0);
+      clone.dispose();
+      expect(callsTo(calls, 'deleteProgram')).toHaveLength(1);
+      expect(cache.size).toBe(0);
+    });
+
+    it('should release the previous variant when a material moves to another one', () => {
+      const { gl } = createContext();
+      const material: any = new Material(null as any);
+      const plain = material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+
+      material.map = {};
+      material.needsUpdate = true;
+      expect(material.needsProgram()).toBe(true);
+      const mapped = material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+
+      expect(mapped).not.toBe(plain);
+      expect(mapped.cacheKey).toContain('#define USE_MAP');
+      expect(plain.usedTimes).toBe(0);
+      expect(material.needsProgram()).toBe(false);
+      expect(WebGLPrograms.get(gl).size).toBe(1);
+    });
+  });
+
+  describe('material variants in the renderer', () => {
+    const createRenderer = (gl: any) => new WebGLRenderer({ context: gl }) as any;
+
+    it('should reuse the variant of an object until its program defines change', () => {
+      const { gl, calls } = createContext();
+      const renderer = createRenderer(gl);
+      const scene = new Scene();
+      scene.addLight(new DirectionalLight());
+      renderer._sceneDefines = renderer.getSceneProgramDefines(scene);
+      const material: any = new MeshBasicMaterial();
+      const plain = { material };
+      const skinned = { material, skeleton: new Map([['hip', {}], ['knee', {}]]), morphTargetManager: { morphTargets: [1, 2, 3] } };
+      const needsProgram = jest.spyOn(material, 'needsProgram');
+      const links = callsTo(calls, 'linkProgram').length;
+
+      renderer.prepareMaterial(material, plain, scene);
+      const plainShader = material.shader;
+      renderer.prepareMaterial(material, plain, scene);
+
+      expect(needsProgram.mock.results.map(result => result.value)).toEqual([true, false]);
+      expect(material.shader).toBe(plainShader);
+      expect(plainShader.cacheKey).toContain('#define NUM_DIR_LIGHTS 1');
+
+      renderer.prepareMaterial(material, skinned, scene);
+      expect(material.shader).not.toBe(plainShader);
+      expect(material.shader.cacheKey).toContain('#define MAX_BONES 2');
+      expect(material.shader.cacheKey).toContain('#define MORPHTARGETS_COUNT 3');
+
+      renderer.prepareMaterial(material, plain, scene);
+      // The plain variant was released when the material moved on, so it links again
+      expect(callsTo(calls, 'linkProgram').length - links).toBe(3);
+      expect(renderer.programCache.stats.compiled).toBe(3);
+    });
+
+    it('should compile a new variant when lights, shadows or fog change', () => {
+      const { gl } = createContext();
+      const renderer = createRenderer(gl);
+      const scene: any = new Scene();
+      const material: any = new MeshBasicMaterial();
+      renderer._sceneDefines = renderer.getSceneProgramDefines(scene);
+      renderer.prepareMaterial(material, { material }, scene);
+      const first = material.shader;
+
+      renderer.shadowMapEnabled = true;
+      scene.addLight({ type: 'SpotLight', castShadow: true });
+      scene.fog.enabled = true;
+      renderer._sceneDefines = renderer.getSceneProgramDefines(scene);
+
+      expect(material.needsProgram(renderer.getProgramDefines({}, scene, renderer._sceneDefines))).toBe(true);
+      renderer.prepareMaterial(material, { material }, scene);
+      expect(material.shader).not.toBe(first);
+      expect(material.shader.cacheKey).toContain('#define NUM_SPOT_LIGHTS 1');
+      expect(material.shader.cacheKey).toContain('#define USE_SHADOWMAP');
+      expect(material.shader.cacheKey).toContain('#define USE_FOG');
+    });
+
+    it('should serve compileShader() programs from the same cache', () => {
+      const { gl, calls } = createContext();
+      const renderer = createRenderer(gl);
+
+      const first = renderer.compileShader(VERTEX_SHADER, FRAGMENT_SHADER, { position: 0 });
+      const second = renderer.compileShader(VERTEX_SHADER, FRAGMENT_SHADER, { position: 0 });
+      renderer.compileShader(VERTEX_SHADER, FRAGMENT_SHADER, { position: 1 });
+
+      expect(renderer.programs.get(first).program).toBe(renderer.programs.get(second).program);
+      expect(callsTo(calls, 'bindAttribLocation')).toHaveLength(2);
+      renderer.deleteProgram(first);
+      renderer.deleteProgram(second);
+      expect(renderer.programs.size).toBe(1);
+      expect(renderer.getPerformance().programs).toMatchObject({ count: renderer.programCache.size, reused: 1 });
+    });
+  });
+
+  describe('parallel compilation', () => {
+    it('should submit every program before polling KHR_parallel_shader_compile', async () => {
+      const { gl, calls } = createContext({ pollsUntilComplete: 3 });
+      const renderer = new WebGLRenderer({ context: gl }) as any;
+      const first: any = new MeshBasicMaterial();
+      const second: any = new MeshBasicMaterial({ vertexColors: true });
+      const scene = new Scene();
+      [first, second, first].forEach(material => {
+        const object: any = { material };
+        scene.add(object);
+      });
+      calls.length = 0;
+
+      const compiled = renderer.compileAsync(scene, null);
+
+      expect(first.shader).toBeFalsy();
+      const links = callsTo(calls, 'linkProgram');
+      expect(links).toHaveLength(2);
+      expect(callsTo(calls, 'getShaderParameter')).toHaveLength(0);
+      expect(await compiled).toBe(scene);
+      expect(callsTo(calls, 'getProgramParameter').filter(call => call[2] === COMPLETION_STATUS_KHR).length).toBeGreaterThanOrEqual(4);
+      expect(first.shader.isReady()).toBe(true);
+      expect(first.shader.usedTimes).toBe(1);
+      expect(second.shader).not.toBe(first.shader);
+
+      // Nothing left to compile
+      await renderer.compileAsync(scene, null);
+      expect(callsTo(calls, 'linkProgram')).toHaveLength(2);
+    });
+
+    it('should let a blocking acquire finish a program that is still compiling', async () => {
+      const { gl } = createContext({ pollsUntilComplete: 1000 });
+      const cache = WebGLPrograms.get(gl);
+
+      const pending = cache.acquireAsync(VERTEX_SHADER, FRAGMENT_SHADER);
+      const shader = cache.acquire(VERTEX_SHADER, FRAGMENT_SHADER);
+
+      expect(shader.isReady()).toBe(true);
+      expect(await pending).toBe(shader);
+      expect(shader.usedTimes).toBe(2);
+    });
+
+    it('should reject failed compiles and leave nothing cached', async () => {
+      const { gl } = createContext({ pollsUntilComplete: 0, compileError: 'ERROR: 0:1: nope' });
+      const cache = WebGLPrograms.get(gl);
+
+      await expect(cache.acquireAsync(VERTEX_SHADER, FRAGMENT_SHADER)).rejects.toThrow('vertex:1: nope');
+      expect(cache.size).toBe(0);
+      await expect(new Material(null as any).compileAsync(gl, '#include <missing>', FRAGMENT_SHADER)).rejects.toThrow('Cannot resolve');
+    });
+  });
+});
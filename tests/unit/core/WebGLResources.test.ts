@@ -0,0 +1,189 @@
+import { WebGLResources } from '../../../src/core/WebGLResources';
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { RenderTarget } from '../../../src/core/RenderTarget';
+import { Shader } from '../../../src/core/Shader';
+import { Material } from '../../../src/core/Material';
+import { Buffer } from '../../../src/core/Buffer';
+import { Texture } from '../../../src/textures/Texture';
+
+const VERTEX_SHADER = 'void main() { gl_Position = vec4(0.0); }';
+const FRAGMENT_SHADER = 'void main() { gl_FragColor = vec4(1.0); }';
+
+const GL: Record<string, number> = {
+  FRAMEBUFFER: 0x8d40, RENDERBUFFER: 0x8d41, FRAMEBUFFER_COMPLETE: 0x8cd5, COLOR_ATTACHMENT0: 0x8ce0, DEPTH_ATTACHMENT: 0x8d00,
+  TEXTURE_2D: 0x0de1, RGBA: 0x1908, UNSIGNED_BYTE: 0x1401, DEPTH_COMPONENT16: 0x81a5, LINEAR: 0x2601, CLAMP_TO_EDGE: 0x812f,
+  ARRAY_BUFFER: 0x8892, ELEMENT_ARRAY_BUFFER: 0x8893, STATIC_DRAW: 0x88e4,
+  VERTEX_SHADER: 0x8b31, FRAGMENT_SHADER: 0x8b30, COMPILE_STATUS: 0x8b81, LINK_STATUS: 0x8b82
+};
+
+/**
+ * WebGL1 context recording every call as [name, ...args], with complete framebuffers and
+ * linked programs
+ */
+const createContext = () => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  const values: any = { ...GL, drawingBufferWidth: 300, drawingBufferHeight: 150, canvas: undefined };
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        if (/^create/.test(name)) return { id: ++nextId };
+        if (name === 'checkFramebufferStatus') return GL.FRAMEBUFFER_COMPLETE;
+        if (/^get(Shader|Program)Parameter$/.test(name)) return true;
+        return null;
+      };
+    }
+  });
+
+  return { gl, calls };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+const loseContext = (renderer: any) => renderer.onContextLost({ preventDefault() {} });
+
+describe('WebGLResources', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('registration', () => {
+    it('should register buffers on upload and unregister them on dispose', () => {
+      const { gl } = createContext();
+      const resources = WebGLResources.get(gl);
+      const buffer = new Buffer(gl);
+
+      expect(resources.has(buffer)).toBe(false);
+      buffer.setData(new Float32Array([1, 2, 3]));
+      buffer.setData(new Float32Array([4, 5, 6]));
+      expect(resources.has(buffer)).toBe(true);
+      expect(resources.size).toBe(1);
+
+      buffer.dispose();
+      expect(resources.has(buffer)).toBe(false);
+    });
+
+    it('should hold nothing for resources that never reach the GPU', () => {
+      const { gl } = createContext();
+      const resources = WebGLResources.get(gl);
+
+      for (let i = 0; i < 10; i++) {
+        new Buffer(gl);
+      }
+
+      expect(resources.size).toBe(0);
+    });
+
+    it('should keep restoring the rest when a resource fails', () => {
+      const { gl } = createContext();
+      const resources = WebGLResources.get(gl);
+      const broken = { restoreContext() { throw new Error('lost for good'); } };
+      const fine = { restoreContext: jest.fn(() => true) };
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      resources.register(broken);
+      resources.register(fine);
+
+      expect(resources.restore()).toEqual([broken]);
+      expect(fine.restoreContext).toHaveBeenCalled();
+    });
+  });
+
+  describe('context loss in the renderer', () => {
+    it('should recreate registered resources from their retained data', () => {
+      const { gl, calls } = createContext();
+      const renderer: any = new WebGLRenderer({ context: gl });
+      const restored: any[] = [];
+      renderer.on('contextrestored', (event: any) => restored.push(event));
+
+      const buffer = new Buffer(gl);
+      buffer.setData(new Float32Array([1, 2, 3, 4]));
+      const texture: any = new Texture({ width: 1, height: 1 });
+      texture.image = { data: new Uint8Array(4) };
+      texture.update(gl);
+      const target = new RenderTarget(8, 8).setup(gl);
+      const shader = new Shader(gl);
+      shader.createProgram(VERTEX_SHADER, FRAGMENT_SHADER);
+      const material: any = new Material(null as any);
+      material.compile(gl, VERTEX_SHADER, FRAGMENT_SHADER);
+      const lost = { buffer: buffer.buffer, texture: texture._glTexture, framebuffer: target.framebuffer, program: shader.program };
+
+      loseContext(renderer);
+      expect(material.needsProgram()).toBe(true);
+      calls.length = 0;
+      renderer.onContextRestored();
+
+      expect(restored[0].incomplete).toEqual([]);
+      expect(buffer.buffer).not.toBe(lost.buffer);
+      expect(Array.from(callsTo(calls, 'bufferData')[0][2])).toEqual([1, 2, 3, 4]);
+      expect(texture._glTexture).not.toBe(lost.texture);
+      expect(target.framebuffer).not.toBe(lost.framebuffer);
+      expect(shader.program).not.toBe(lost.program);
+      // Handles of the lost context are not deleted
+      expect(callsTo(calls, 'deleteFramebuffer')).toHaveLength(0);
+    });
+
+    it('should bring back renderer buffers, textures and programs under the same ids', () => {
+      const { gl, calls } = createContext();
+      const renderer: any = new WebGLRenderer({ context: gl });
+      const vertices = new Float32Array([0, 1, 2]);
+      const pixels = new Uint8Array([255, 0, 0, 255]);
+
+      const bufferId = renderer.createBuffer(vertices);
+      const textureId = renderer.createTexture(pixels, 1, 1);
+      const programId = renderer.compileShader(VERTEX_SHADER, FRAGMENT_SHADER, { position: 0 }, {}, { USE_MAP: true });
+      const lost = {
+        buffer: renderer.buffers.get(bufferId).buffer,
+        texture: renderer.textures.get(textureId).texture,
+        program: renderer.programs.get(programId).program
+      };
+
+      loseContext(renderer);
+      expect(renderer.buffers.get(bufferId).buffer).toBeNull();
+      calls.length = 0;
+      renderer.onContextRestored();
+
+      expect(renderer.buffers.get(bufferId).buffer).not.toBe(lost.buffer);
+      expect(callsTo(calls, 'bufferData').some(call => call[2] === vertices)).toBe(true);
+      expect(renderer.textures.get(textureId).texture).not.toBe(lost.texture);
+      expect(callsTo(calls, 'texImage2D').some(call => call.includes(pixels))).toBe(true);
+
+      const program = renderer.programs.get(programId);
+      expect(program.program).not.toBe(lost.program);
+      expect(program.shader.cacheKey).toContain('#define USE_MAP');
+      expect(callsTo(calls, 'bindAttribLocation').map(call => call.slice(2))).toEqual([[0, 'position']]);
+
+      // The restored program is released like any other
+      renderer.deleteProgram(programId);
+      expect(renderer.programCache.size).toBe(0);
+    });
+
+    it('should allocate dropped renderer buffers at their size and report them incomplete', () => {
+      const { gl, calls } = createContext();
+      const renderer: any = new WebGLRenderer({ context: gl, retainResourceData: false });
+      const restored: any[] = [];
+      renderer.on('contextrestored', (event: any) => restored.push(event));
+
+      const bufferId = renderer.createBuffer(new Float32Array(6));
+      const textureId = renderer.createTexture(new Uint8Array(4), 1, 1);
+      const emptyId = renderer.createTexture(null, 4, 4);
+
+      loseContext(renderer);
+      calls.length = 0;
+      renderer.onContextRestored();
+
+      expect(callsTo(calls, 'bufferData')[0][2]).toBe(24);
+      expect(restored[0].incomplete).toEqual([renderer.buffers.get(bufferId), renderer.textures.get(textureId)]);
+      expect(restored[0].incomplete).not.toContain(renderer.textures.get(emptyId));
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import { WebGLState } from '../../../src/core/WebGLState';
+import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
+import { RenderTarget } from '../../../src/core/RenderTarget';
+import { Material } from '../../../src/core/Material';
+import { Buffer } from '../../../src/core/Buffer';
+
+const GL: Record<string, number> = {
+  FRAMEBUFFER: 0x8d40, RENDERBUFFER: 0x8d41, FRAMEBUFFER_COMPLETE: 0x8cd5, COLOR_ATTACHMENT0: 0x8ce0, DEPTH_ATTACHMENT: 0x8d00,
+  TEXTURE_2D: 0x0de1, TEXTURE_CUBE_MAP: 0x8513, TEXTURE0: 0x84c0, TEXTURE1: 0x84c1, RGBA: 0x1908, RGBA8: 0x8058,
+  UNSIGNED_BYTE: 0x1401, DEPTH_COMPONENT16: 0x81a5, LINEAR: 0x2601, CLAMP_TO_EDGE: 0x812f,
+  ARRAY_BUFFER: 0x8892, ELEMENT_ARRAY_BUFFER: 0x8893, BLEND: 0x0be2, DEPTH_TEST: 0x0b71, CULL_FACE: 0x0b44, SCISSOR_TEST: 0x0c11,
+  SRC_ALPHA: 0x0302, ONE_MINUS_SRC_ALPHA: 0x0303, ONE: 1, ZERO: 0, FUNC_ADD: 0x8006, BACK: 0x0405, LEQUAL: 0x0203
+};
+
+/**
+ * WebGL1 context recording every call as [name, ...args], with complete framebuffers
+ */
+const createContext = () => {
+  const calls: any[][] = [];
+  let nextId = 0;
+  const values: any = { ...GL, drawingBufferWidth: 300, drawingBufferHeight: 150, canvas: undefined };
+
+  const gl = new Proxy(values, {
+    get(target, name: any) {
+      if (name in target) return target[name];
+      if (typeof name !== 'string' || !/^[a-z]/.test(name)) return undefined;
+      return (...args: any[]) => {
+        calls.push([name, ...args]);
+        if (/^create/.test(name)) return { id: ++nextId };
+        if (name === 'checkFramebufferStatus') return GL.FRAMEBUFFER_COMPLETE;
+        if (/^get(Shader|Program)Parameter$/.test(name)) return true;
+        return null;
+      };
+    }
+  });
+
+  return { gl, calls };
+};
+
+const callsTo = (calls: any[][], name: string) => calls.filter(call => call[0] === name);
+
+describe('WebGLState', () => {
+  let gl: any;
+  let calls: any[][];
+  let state: any;
+
+  beforeEach(() => {
+    ({ gl, calls } = createContext());
+    state = WebGLState.get(gl);
+  });
+
+  it('should share one tracker per context', () => {
+    expect(WebGLState.get(gl)).toBe(state);
+    expect(WebGLState.get(createContext().gl)).not.toBe(state);
+  });
+
+  describe('redundant calls', () => {
+    it('should skip setting values that are already current', () => {
+      const program = {};
+
+      expect(state.useProgram(program)).toBe(true);
+      expect(state.useProgram(program)).toBe(false);
+      state.enable(GL.BLEND);
+      state.enable(GL.BLEND);
+      state.disable(GL.BLEND);
+      state.viewport(0, 0, 10, 10);
+      state.viewport(0, 0, 10, 10);
+      state.viewport(0, 0, 10, 11);
+      state.depthMask(1);
+      state.depthMask(true);
+
+      expect(callsTo(calls, 'useProgram')).toHaveLength(1);
+      expect(callsTo(calls, 'enable')).toHaveLength(1);
+      expect(callsTo(calls, 'disable')).toHaveLength(1);
+      expect(callsTo(calls, 'viewport')).toHaveLength(2);
+      expect(callsTo(calls, 'depthMask')).toHaveLength(1);
+    });
+
+    it('should treat blendFunc and the matching blendFuncSeparate as the same state', () => {
+      state.blendFunc(GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA);
+      state.blendFuncSeparate(GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA, GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA);
+      state.blendFuncSeparate(GL.ONE, GL.ONE, GL.ZERO, GL.ONE_MINUS_SRC_ALPHA);
+      state.blendFunc(GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA);
+
+      expect(callsTo(calls, 'blendFunc')).toHaveLength(2);
+      expect(callsTo(calls, 'blendFuncSeparate')).toHaveLength(1);
+    });
+
+    it('should count issued and skipped calls in total and per function', () => {
+      const program = {};
+      state.useProgram(program);
+      state.useProgram(program);
+      state.enable(GL.DEPTH_TEST);
+
+      expect(state.stats.calls.useProgram).toEqual({ issued: 1, skipped: 1 });
+      expect([state.stats.issued, state.stats.skipped]).toEqual([2, 1]);
+
+      state.resetStats();
+      expect(state.stats).toEqual({ issued: 0, skipped: 0, calls: {} });
+    });
+
+    it('should forget cached values on reset', () => {
+      const program = {};
+      state.useProgram(program);
+
+      state.reset();
+      state.useProgram(program);
+
+      expect(callsTo(calls, 'useProgram')).toHaveLength(2);
+    });
+  });
+
+  describe('textures', () => {
+    it('should track bindings per unit and target and only switch units to change one', () => {
+      const first = {};
+      const second = {};
+
+      state.bindTexture(GL.TEXTURE_2D, first, 0);
+      state.bindTexture(GL.TEXTURE_2D, second, 1);
+      state.bindTexture(GL.TEXTURE_2D, first, 0);
+      state.bindTexture(GL.TEXTURE_CUBE_MAP, second, 1);
+
+      expect(callsTo(calls, 'bindTexture')).toHaveLength(3);
+      expect(callsTo(calls, 'activeTexture').map(call => call[1])).toEqual([GL.TEXTURE0, GL.TEXTURE1]);
+    });
+  });
+
+  describe('vertex arrays', () => {
+    it('should keep the element buffer and enabled attributes of each vertex array', () => {
+      const vertexArray = {};
+      const indices = {};
+
+      state.bindBuffer(GL.ELEMENT_ARRAY_BUFFER, indices);
+      state.enableVertexAttribArray(0);
+      state.bindVertexArray(vertexArray);
+      state.bindBuffer(GL.ELEMENT_ARRAY_BUFFER, indices);
+      state.enableVertexAttribArray(0);
+      state.bindVertexArray(null);
+      state.bindBuffer(GL.ELEMENT_ARRAY_BUFFER, indices);
+      state.enableVertexAttribArray(0);
+
+      expect(callsTo(calls, 'bindBuffer')).toHaveLength(2);
+      expect(callsTo(calls, 'enableVertexAttribArray')).toHaveLength(2);
+    });
+  });
+
+  describe('shared users', () => {
+    const createShader = () => ({ program: {}, isLinked: true, isReady: () => true, use() {}, setUniform() {} });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should let materials apply their state once when drawn repeatedly', () => {
+      const material = new Material(createShader() as any);
+      material.setTexture('map', {}, 2);
+      material.needsUpdate = false;
+
+      for (let i = 0; i < 3; i++) {
+        material.apply(gl);
+      }
+
+      expect(callsTo(calls, 'bindTexture')).toHaveLength(1);
+      expect(callsTo(calls, 'activeTexture').map(call => call[1])).toEqual([GL.TEXTURE0 + 2]);
+      expect(callsTo(calls, 'disable').filter(call => call[1] === GL.BLEND)).toHaveLength(1);
+      expect(callsTo(calls, 'cullFace')).toHaveLength(1);
+      expect(state.stats.skipped).toBeGreaterThan(state.stats.issued);
+    });
+
+    it('should skip binding a buffer that is already bound', () => {
+      const buffer = new Buffer(gl);
+
+      buffer.bind();
+      buffer.bind();
+
+      expect(callsTo(calls, 'bindBuffer')).toHaveLength(1);
+    });
+
+    it('should use the tracker of the context in the renderer and report its counters', () => {
+      const renderer: any = new WebGLRenderer({ context: gl });
+      expect(renderer.state).toBe(state);
+      const material = new Material(createShader() as any);
+      material.needsUpdate = false;
+      state.resetStats();
+
+      for (let i = 0; i < 3; i++) {
+        material.apply(gl);
+      }
+
+      const performance = renderer.getPerformance();
+      expect(performance.stateCallsIssued).toBe(state.stats.issued);
+      expect(performance.stateCallsSkipped).toBe(state.stats.skipped);
+      expect(performance.stateCalls.depthMask).toEqual({ issued: 1, skipped: 2 });
+
+      // A copy, so callers can't change the counters
+      performance.stateCalls.depthMask.skipped = 99;
+      expect(state.stats.calls.depthMask.skipped).toBe(2);
+    });
+
+    it('should set the viewport of each target it binds once', () => {
+      const renderer: any = new WebGLRenderer({ context: gl });
+      const target = new RenderTarget(32, 32);
+      calls.length = 0;
+
+      renderer.setRenderTarget(target);
+      renderer.setRenderTarget(target);
+      renderer.setRenderTarget(null);
+      renderer.setRenderTarget(null);
+
+      expect(callsTo(calls, 'viewport').map(call => call.slice(3))).toEqual([[32, 32], [300, 150]]);
+    });
+
+    it('should issue state again after resetState()', () => {
+      const renderer: any = new WebGLRenderer({ context: gl });
+      const program = {};
+      state.useProgram(program);
+
+      renderer.resetState();
+      state.useProgram(program);
+
+      expect(callsTo(calls, 'useProgram')).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { LightUniforms } from '../../../src/lights/LightUniforms';
+import { UniformBuffer } from '../../../src/core/UniformBuffer';
+
+const read = (buffer: any, name: string, length = 1) => {
+  const start = buffer.leaves.get(name).offset / 4;
+  return Array.from(buffer.floats.slice(start, start + length));
+};
+
+describe('LightUniforms', () => {
+  describe('uniform block', () => {
+    it('should lay out the light structs by std140', () => {
+      const buffer = new UniformBuffer('LightUniforms', LightUniforms.getBlockFields(2));
+
+      // vec3 ambient, then 32-byte directional, 48-byte point and 64-byte spot structs
+      expect(buffer.leaves.get('directionalLights[0].direction').offset).toBe(16);
+      expect(buffer.leaves.get('directionalLights[1].color').offset).toBe(16 + 32 + 16);
+      expect(buffer.leaves.get('pointLights[0].position').offset).toBe(16 + 2 * 32);
+      expect(buffer.leaves.get('pointLights[0].distance').offset).toBe(16 + 64 + 28);
+      expect(buffer.leaves.get('pointLights[0].decay').offset).toBe(16 + 64 + 32);
+      expect(buffer.leaves.get('spotLights[1].penumbraCos').offset).toBe(16 + 64 + 96 + 64 + 56);
+      expect(buffer.byteLength).toBe(16 + 2 * 32 + 2 * 48 + 2 * 64);
+    });
+
+    it('should write colors premultiplied by intensity in any color format', () => {
+      const lights = new LightUniforms(4);
+      const buffer = new UniformBuffer('LightUniforms', LightUniforms.getBlockFields(4));
+
+      const counts = lights.writeUniformBuffer(buffer, [
+        { type: 'PointLight', color: '#ff0000', intensity: 2, position: { x: 1, y: 2, z: 3 }, distance: 5 },
+        { type: 'PointLight', color: 0x00ff00, intensity: 1, position: [0, 0, 0], decay: 0 },
+        { type: 'DirectionalLight', color: { r: 0, g: 0, b: 1 }, direction: { x: 0, y: -1, z: 0 } },
+        { type: 'AmbientLight', color: '#ffffff', intensity: 0.25 },
+        { type: 'AmbientLight', color: [1, 0, 0], intensity: 0.5 }
+      ]);
+
+      expect(counts).toEqual({ directional: 1, point: 2, spot: 0 });
+      expect(read(buffer, 'ambientLightColor', 3)).toEqual([0.75, 0.25, 0.25]);
+      expect(read(buffer, 'pointLights[0].position', 3)).toEqual([1, 2, 3]);
+      expect(read(buffer, 'pointLights[0].color', 3)).toEqual([2, 0, 0]);
+      expect(read(buffer, 'pointLights[0].distance')).toEqual([5]);
+      expect(read(buffer, 'pointLights[0].decay')).toEqual([2]);
+      expect(read(buffer, 'pointLights[1].color', 3)).toEqual([0, 1, 0]);
+      expect(read(buffer, 'pointLights[1].decay')).toEqual([0]);
+      expect(read(buffer, 'directionalLights[0].direction', 3)).toEqual([0, -1, 0]);
+      expect(read(buffer, 'directionalLights[0].color', 3)).toEqual([0, 0, 1]);
+    });
+
+    it('should store spot cones as cosines', () => {
+      const lights = new LightUniforms(1);
+      const buffer = new UniformBuffer('LightUniforms', LightUniforms.getBlockFields(1));
+
+      lights.writeUniformBuffer(buffer, [
+        { type: 'SpotLight', color: '#ffffff', position: { x: 0, y: 5, z: 0 }, angle: Math.PI / 4, penumbra: 0.5 }
+      ]);
+
+      expect(read(buffer, 'spotLights[0].coneCos')[0]).toBeCloseTo(Math.cos(Math.PI / 4));
+      expect(read(buffer, 'spotLights[0].penumbraCos')[0]).toBeCloseTo(Math.cos(Math.PI / 8));
+      expect(read(buffer, 'spotLights[0].direction', 3)).toEqual([0, 0, -1]);
+    });
+
+    it('should skip hidden lights and drop those past the capacity', () => {
+      const lights = new LightUniforms(8);
+      const buffer = new UniformBuffer('LightUniforms', LightUniforms.getBlockFields(2));
+      const point = (x: number, visible = true) => ({ type: 'PointLight', color: '#ffffff', position: { x, y: 0, z: 0 }, visible });
+
+      const counts = lights.writeUniformBuffer(buffer, [point(1, false), point(2), point(3), point(4)]);
+
+      expect(counts.point).toBe(2);
+      expect(read(buffer, 'pointLights[0].position')).toEqual([2]);
+      expect(read(buffer, 'pointLights[1].position')).toEqual([3]);
+    });
+
+    it('should leave the buffer unchanged when the lights are', () => {
+      const lights = new LightUniforms(2);
+      const buffer = new UniformBuffer('LightUniforms', LightUniforms.getBlockFields(2));
+      const scene = [{ type: 'DirectionalLight', color: '#ffffff', intensity: 1 }];
+
+      lights.writeUniformBuffer(buffer, scene);
+      const version = buffer.version;
+      lights.writeUniformBuffer(buffer, scene);
+
+      expect(buffer.version).toBe(version);
+    });
+  });
+
+  describe('light collection', () => {
+    it('should refuse lights past maxLights', () => {
+      const lights = new LightUniforms(1);
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(lights.addLight({ type: 'PointLight' })).toBe(true);
+      expect(lights.addLight({ type: 'PointLight' })).toBe(false);
+      expect(warn).toHaveBeenCalledWith('LightUniforms: Maximum light count exceeded');
+
+      warn.mockRestore();
+    });
+  });
+});
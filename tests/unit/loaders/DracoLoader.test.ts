@@ -0,0 +1,337 @@
+import * as vm from 'vm';
+import { DracoLoader } from '../../../src/loaders/DracoLoader';
+import { GLTFLoader } from '../../../src/loaders/GLTFLoader';
+
+// Decoded content of every fake Draco stream: a quad with positions, uvs and colors
+const QUAD = {
+  faces: [0, 1, 2, 0, 2, 3],
+  attributes: [
+    { uniqueId: 0, type: 0, dataType: 9, components: 3, normalized: false, values: [-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0] },
+    { uniqueId: 1, type: 3, dataType: 9, components: 2, normalized: false, values: [0, 0, 1, 0, 1, 1, 0, 1] },
+    { uniqueId: 2, type: 2, dataType: 2, components: 4, normalized: true, values: [255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255] }
+  ]
+};
+
+// Stand-in for the draco3d decoder module, with the constants and calls the loader uses
+const createDracoModule = () => {
+  const heap = new ArrayBuffer(4096);
+  let next = 0;
+  const arrayTypes: Record<number, any> = { 1: Int8Array, 2: Uint8Array, 3: Int16Array, 4: Uint16Array, 5: Int32Array, 6: Uint32Array, 9: Float32Array };
+  const status = { ok: () => true, error_msg: () => '' };
+  const attribute = (data: any) => ({
+    ptr: 1,
+    attribute_type: () => data.type,
+    data_type: () => data.dataType,
+    num_components: () => data.components,
+    normalized: () => data.normalized,
+    data
+  });
+
+  class DracoMesh {
+    ptr = 1;
+    num_points() { return 4; }
+    num_faces() { return QUAD.faces.length / 3; }
+    num_attributes() { return QUAD.attributes.length; }
+  }
+
+  class Decoder {
+    GetEncodedGeometryType(array: Int8Array) { return array[7]; }
+    DecodeArrayToMesh() { return status; }
+    DecodeArrayToPointCloud() { return status; }
+    GetAttribute(_geometry: any, i: number) { return attribute(QUAD.attributes[i]); }
+    GetAttributeByUniqueId(_geometry: any, id: number) {
+      const data = QUAD.attributes.find(a => a.uniqueId === id);
+      return data ? attribute(data) : { ptr: 0 };
+    }
+    GetAttributeMetadata() { return { ptr: 0 }; }
+    GetAttributeDataArrayForAllPoints(_geometry: any, attr: any, dataType: number, byteLength: number, ptr: number) {
+      const ArrayType = arrayTypes[dataType];
+      new ArrayType(heap, ptr, byteLength / ArrayType.BYTES_PER_ELEMENT).set(attr.data.values);
+    }
+    GetTrianglesUInt32Array(_geometry: any, byteLength: number, ptr: number) {
+      new Uint32Array(heap, ptr, byteLength / 4).set(QUAD.faces);
+    }
+  }
+
+  return {
+    DT_INT8: 1, DT_UINT8: 2, DT_INT16: 3, DT_UINT16: 4, DT_INT32: 5, DT_UINT32: 6, DT_FLOAT32: 9,
+    POINT_CLOUD: 0, TRIANGULAR_MESH: 1,
+    POSITION: 0, NORMAL: 1, COLOR: 2, TEX_COORD: 3, GENERIC: 4,
+    HEAPF32: new Float32Array(heap),
+    Decoder,
+    Mesh: DracoMesh,
+    PointCloud: DracoMesh,
+    MetadataQuerier: class { HasEntry() { return false; } },
+    destroy: jest.fn(),
+    _malloc: (byteLength: number) => {
+      const ptr = next;
+      next += Math.ceil(byteLength / 4) * 4;
+      return ptr;
+    },
+    _free: jest.fn()
+  };
+};
+
+// Header of a mesh stream ("DRACO", version 2.2, mesh, edgebreaker) followed by a payload
+const createDracoBytes = () => new Uint8Array([68, 82, 65, 67, 79, 2, 2, 1, 1, 0, 0, 0, 0, 0, 0, 0]);
+
+// Decoder script as served from decoderPath: defines the DracoDecoderModule global
+const DECODER_SCRIPT = 'var DracoDecoderModule = function (config) { config.onModuleLoaded(createDracoModule()); };';
+
+/**
+ * Worker that runs its source in a separate global scope, as a classic worker script does
+ */
+class ScriptWorker {
+  static sources = new Map<string, string>();
+
+  context: any;
+  messages: any[] = [];
+  onmessage: ((event: { data: any }) => void) | null = null;
+  terminated = false;
+
+  constructor(url: string) {
+    this.context = vm.createContext({
+      createDracoModule,
+      Int8Array, Uint8Array, Int16Array, Uint16Array, Int32Array, Uint32Array, Float32Array,
+      postMessage: (data: any) => setTimeout(() => this.onmessage?.({ data }))
+    });
+    this.context.self = this.context;
+    vm.runInContext(ScriptWorker.sources.get(url) as string, this.context);
+  }
+
+  postMessage(data: any) {
+    this.messages.push(data);
+    setTimeout(() => this.context.onmessage({ data }));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+// Blob whose parts can be read back synchronously, and blob: URLs pointing at them
+const installBlobURLs = () => {
+  (global as any).Blob = class {
+    parts: string[];
+    constructor(parts: string[]) {
+      this.parts = parts;
+    }
+  };
+  URL.createObjectURL = jest.fn((blob: any) => {
+    const url = `blob:draco-${ScriptWorker.sources.size}`;
+    ScriptWorker.sources.set(url, blob.parts.join(''));
+    return url;
+  });
+  URL.revokeObjectURL = jest.fn();
+};
+
+// Runs script elements appended to the document, as a page would
+const installScriptLoader = () => jest.spyOn(document.head, 'appendChild').mockImplementation((script: any) => {
+  const context: any = vm.createContext({ createDracoModule });
+  vm.runInContext(ScriptWorker.sources.get(script.src) as string, context);
+  (window as any).DracoDecoderModule = context.DracoDecoderModule;
+  setTimeout(() => script.onload());
+  return script;
+});
+
+describe('DracoLoader', () => {
+  const originalFetch = (global as any).fetch;
+  const originalBlob = (global as any).Blob;
+  const originalCreateObjectURL = URL.createObjectURL;
+  const originalRevokeObjectURL = URL.revokeObjectURL;
+  let decoderScript: string;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    decoderScript = DECODER_SCRIPT;
+    (global as any).fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      text: async () => decoderScript,
+      arrayBuffer: async () => new ArrayBuffer(8)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    (global as any).fetch = originalFetch;
+    (global as any).Blob = originalBlob;
+    (global as any).Worker = undefined;
+    URL.createObjectURL = originalCreateObjectURL;
+    URL.revokeObjectURL = originalRevokeObjectURL;
+    delete (window as any).DracoDecoderModule;
+  });
+
+  it('should decode with a decoder module instantiated by the caller', async () => {
+    const loader = new DracoLoader({ decoderModule: createDracoModule() });
+
+    const geometry: any = await loader.decodeGeometry(createDracoBytes());
+
+    expect(Object.keys(geometry.attributes)).toEqual(['position', 'uv', 'color']);
+    expect(Array.from(geometry.attributes.position.array)).toEqual(QUAD.attributes[0].values);
+    expect(geometry.attributes.position.itemSize).toBe(3);
+    expect(geometry.attributes.color.array).toBeInstanceOf(Uint8Array);
+    expect(geometry.attributes.color.normalized).toBe(true);
+    expect(geometry.index.array).toBeInstanceOf(Uint16Array);
+    expect(Array.from(geometry.index.array)).toEqual(QUAD.faces);
+    expect(geometry.metadata.compressionType).toBe('draco');
+  });
+
+  it('should reject data without a Draco header', async () => {
+    const loader = new DracoLoader({ decoderModule: createDracoModule() });
+
+    await expect(loader.decodeGeometry(new Uint8Array(16))).rejects.toThrow('Invalid Draco header');
+  });
+
+  it('should load the decoder script into a worker and decode there', async () => {
+    installBlobURLs();
+    (global as any).Worker = ScriptWorker;
+
+    const loader = new DracoLoader({ decoderPath: '/libs/draco/' });
+    const geometry: any = await loader.decodeGeometry(createDracoBytes(), {
+      attributeIDs: { POSITION: 0, COLOR_0: 2 },
+      attributeTypes: { COLOR_0: 'Float32Array' }
+    });
+
+    const fetched = (global as any).fetch.mock.calls.map((call: any[]) => call[0]);
+    expect(fetched).toEqual(['/libs/draco/draco_wasm_wrapper.js', '/libs/draco/draco_decoder.wasm']);
+
+    const worker = loader.decompressionWorker.worker as any;
+    expect(worker).toBeInstanceOf(ScriptWorker);
+    expect(worker.messages[0].type).toBe('init');
+    expect(worker.messages[0].decoderConfig.wasmBinary).toBeInstanceOf(ArrayBuffer);
+    expect(worker.messages[1].type).toBe('decode');
+
+    expect(Object.keys(geometry.attributes)).toEqual(['POSITION', 'COLOR_0']);
+    expect(Array.from(geometry.attributes.COLOR_0.array)).toEqual(QUAD.attributes[2].values);
+
+    loader.decompressionWorker.terminate();
+    expect(worker.terminated).toBe(true);
+  });
+
+  it('should reject the decodes of a worker whose decoder fails to start', async () => {
+    installBlobURLs();
+    (global as any).Worker = ScriptWorker;
+    decoderScript = 'var DracoDecoderModule = function () { throw new Error(\'bad wasm\'); };';
+
+    const loader = new DracoLoader();
+
+    await expect(loader.decodeGeometry(createDracoBytes())).rejects.toThrow('bad wasm');
+    await expect(loader.decodeGeometry(createDracoBytes())).rejects.toThrow('bad wasm');
+    expect(loader.decompressionWorker.pendingJobs.size).toBe(0);
+  });
+
+  it('should reject pending decodes and start over when the worker errors', async () => {
+    installBlobURLs();
+    (global as any).Worker = ScriptWorker;
+    // Never reports the module as loaded, so decodes wait until the worker fails
+    decoderScript = 'var DracoDecoderModule = function () {};';
+
+    const loader = new DracoLoader();
+    const decoding = loader.decodeGeometry(createDracoBytes());
+    while (loader.decompressionWorker.pendingJobs.size === 0) {
+      await new Promise(resolve => setTimeout(resolve));
+    }
+    const worker = loader.decompressionWorker.worker as any;
+
+    worker.onerror({ message: 'out of memory' });
+
+    await expect(decoding).rejects.toThrow('Draco decoder worker failed: out of memory');
+    expect(worker.terminated).toBe(true);
+    expect(loader.decompressionWorker.worker).toBeNull();
+    expect(loader.decompressionWorker.pendingJobs.size).toBe(0);
+
+    decoderScript = DECODER_SCRIPT;
+    const geometry: any = await loader.decodeGeometry(createDracoBytes());
+    expect(loader.decompressionWorker.worker).not.toBe(worker);
+    expect(Object.keys(geometry.attributes)).toEqual(['position', 'uv', 'color']);
+    loader.decompressionWorker.terminate();
+  });
+
+  it('should instantiate the decoder on the calling thread without workers', async () => {
+    installBlobURLs();
+    const appendChild = installScriptLoader();
+
+    const loader = new DracoLoader({ useWorker: false, decoderConfig: { type: 'js' } });
+    const geometry: any = await loader.decodeGeometry(createDracoBytes());
+
+    expect((global as any).fetch).toHaveBeenCalledWith('draco/draco_decoder.js');
+    const script = appendChild.mock.calls[0][0] as HTMLScriptElement;
+    expect(script.tagName).toBe('SCRIPT');
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith(script.src);
+    expect(geometry.attributes.uv.array).toBeInstanceOf(Float32Array);
+    expect(loader.decompressionWorker.worker).toBeNull();
+  });
+
+  it('should reject and allow a retry when the decoder aborts on the calling thread', async () => {
+    installBlobURLs();
+    installScriptLoader();
+    decoderScript = 'var DracoDecoderModule = function (config) { config.onAbort(\'no memory\'); };';
+
+    const loader = new DracoLoader({ useWorker: false });
+
+    await expect(loader.decodeGeometry(createDracoBytes())).rejects.toThrow('Draco decoder aborted: no memory');
+    expect(loader.decompressionWorker.decoderPending).toBeNull();
+
+    decoderScript = DECODER_SCRIPT;
+    const geometry: any = await loader.decodeGeometry(createDracoBytes());
+    expect(geometry.index.count ?? geometry.index.array.length).toBe(6);
+  });
+
+  it('should ask for a decoder module where scripts cannot be loaded', async () => {
+    (global as any).Blob = undefined;
+
+    const loader = new DracoLoader({ useWorker: false });
+
+    await expect(loader.decodeGeometry(createDracoBytes())).rejects.toThrow('pass an instantiated decoderModule');
+  });
+
+  it('should map KHR_draco_mesh_compression attributes to glTF semantics', async () => {
+    const normals = new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+    const draco = createDracoBytes();
+    const bin = new Uint8Array(draco.byteLength + normals.byteLength);
+    bin.set(draco, 0);
+    bin.set(new Uint8Array(normals.buffer), draco.byteLength);
+
+    const json = {
+      asset: { version: '2.0' },
+      buffers: [{ byteLength: bin.byteLength, uri: `data:application/octet-stream;base64,${Buffer.from(bin).toString('base64')}` }],
+      bufferViews: [
+        { buffer: 0, byteOffset: 0, byteLength: draco.byteLength },
+        { buffer: 0, byteOffset: draco.byteLength, byteLength: normals.byteLength }
+      ],
+      accessors: [
+        { componentType: 5126, count: 4, type: 'VEC3' },
+        { componentType: 5126, count: 4, type: 'VEC2' },
+        { componentType: 5121, count: 4, type: 'VEC4', normalized: true },
+        { componentType: 5123, count: 6, type: 'SCALAR' },
+        { bufferView: 1, componentType: 5126, count: 4, type: 'VEC3' }
+      ],
+      meshes: [{
+        primitives: [{
+          attributes: { POSITION: 0, TEXCOORD_0: 1, COLOR_0: 2, NORMAL: 4 },
+          indices: 3,
+          extensions: {
+            KHR_draco_mesh_compression: { bufferView: 0, attributes: { POSITION: 0, TEXCOORD_0: 1, COLOR_0: 2 } }
+          }
+        }]
+      }]
+    };
+
+    const parse = (loader: GLTFLoader) => new Promise<any>((resolve, reject) => loader.parse(json, resolve, reject));
+
+    await expect(parse(new GLTFLoader())).rejects.toThrow('requires a DracoLoader');
+
+    const loader = new GLTFLoader();
+    loader.setDracoLoader(new DracoLoader({ decoderModule: createDracoModule() }));
+    const asset = await parse(loader);
+    const geometry = asset.meshes[0].primitives[0].geometry;
+
+    expect(Object.keys(geometry.attributes).sort()).toEqual(['COLOR_0', 'NORMAL', 'POSITION', 'TEXCOORD_0']);
+    expect(geometry.attributes.COLOR_0.array).toBeInstanceOf(Uint8Array);
+    expect(geometry.attributes.COLOR_0.normalized).toBe(true);
+    expect(Array.from(geometry.attributes.TEXCOORD_0.array)).toEqual(QUAD.attributes[1].values);
+    expect(Array.from(geometry.attributes.NORMAL.array)).toEqual(Array.from(normals));
+    expect(Array.from(geometry.index.array)).toEqual(QUAD.faces);
+  });
+});
@@ -0,0 +1,250 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { GLTFExporter } from '../../../src/loaders/GLTFExporter';
+import { GLTFLoader } from '../../../src/loaders/GLTFLoader';
+import { Scene } from '../../../src/core/Scene';
+import { Object3D } from '../../../src/core/Object3D';
+import { Mesh } from '../../../src/core/Mesh';
+import { BoxGeometry } from '../../../src/geometry/BoxGeometry';
+import { MeshStandardMaterial } from '../../../src/materials/MeshStandardMaterial';
+import { MeshPhysicalMaterial } from '../../../src/materials/MeshPhysicalMaterial';
+import { MeshBasicMaterial } from '../../../src/materials/MeshBasicMaterial';
+import { Texture } from '../../../src/textures/Texture';
+import { MorphTarget, MorphTargetManager } from '../../../src/core/MorphTarget';
+import { AnimationClip } from '../../../src/animation/AnimationClip';
+import { VectorKeyframeTrack, QuaternionKeyframeTrack } from '../../../src/animation/KeyframeTrack';
+
+// GL enums the geometry and loader code read from WebGLRenderingContext
+const GL_CONSTANTS = {
+  BYTE: 5120, UNSIGNED_BYTE: 5121, SHORT: 5122, UNSIGNED_SHORT: 5123, UNSIGNED_INT: 5125, FLOAT: 5126,
+  ARRAY_BUFFER: 34962, ELEMENT_ARRAY_BUFFER: 34963, STATIC_DRAW: 35044, TRIANGLES: 4
+};
+
+// Triangle with plain attribute arrays, as loaders hand them over
+const createTriangle = () => ({
+  attributes: {
+    position: { array: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]), itemSize: 3 },
+    color: { array: new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255]), itemSize: 3, normalized: true }
+  },
+  index: null
+});
+
+const readGLB = (glb: ArrayBuffer) => {
+  const view = new DataView(glb);
+  const jsonLength = view.getUint32(12, true);
+  const json = JSON.parse(new TextDecoder().decode(new Uint8Array(glb, 20, jsonLength)));
+  const binLength = view.getUint32(20 + jsonLength, true);
+  return { view, json, jsonLength, binLength };
+};
+
+const load = (glb: ArrayBuffer) => new Promise<any>((resolve, reject) => new GLTFLoader().parseBinary(glb, resolve, reject));
+
+const findNode = (root: any, name: string): any => {
+  if (root.name === name) return root;
+  for (const child of root.children) {
+    const found = findNode(child, name);
+    if (found) return found;
+  }
+  return null;
+};
+
+describe('GLTFExporter', () => {
+  const globals: any = {};
+
+  beforeAll(() => {
+    for (const name of ['TextDecoder', 'TextEncoder', 'WebGLRenderingContext']) {
+      globals[name] = (global as any)[name];
+    }
+    (global as any).TextDecoder = TextDecoder;
+    (global as any).TextEncoder = TextEncoder;
+    (global as any).WebGLRenderingContext = { ...GL_CONSTANTS, ...globals.WebGLRenderingContext };
+  });
+
+  afterAll(() => {
+    Object.assign(global, globals);
+  });
+
+  const createScene = () => {
+    const scene = new Scene();
+    const box: any = new Mesh(new BoxGeometry(1, 2, 3) as any, new MeshStandardMaterial({ color: [0.8, 0.2, 0.1], metalness: 0.3, roughness: 0.6 }));
+    box.name = 'box';
+    box.setPosition(1, 2, 3);
+    box.scale = { x: 2, y: 2, z: 2 };
+    box.userData = { id: 42 };
+    scene.add(box);
+
+    const pivot = new Object3D();
+    pivot.name = 'pivot';
+    box.addChild(pivot);
+
+    const triangle: any = new Mesh(createTriangle() as any, new MeshBasicMaterial({ color: [0, 1, 0] }));
+    triangle.name = 'triangle';
+    pivot.addChild(triangle);
+
+    const hidden = new Object3D();
+    hidden.name = 'hidden';
+    hidden.visible = false;
+    scene.add(hidden);
+
+    return { scene, box, triangle };
+  };
+
+  describe('JSON output', () => {
+    it('should write the node hierarchy with transforms and extras', async () => {
+      const { scene } = createScene();
+
+      const { json, files }: any = await new GLTFExporter().parseAsync(scene);
+
+      expect(json.asset.version).toBe('2.0');
+      expect(json.scenes[json.scene].nodes.map((index: number) => json.nodes[index].name)).toEqual(['box']);
+      const box = json.nodes.find((node: any) => node.name === 'box');
+      expect(box.translation).toEqual([1, 2, 3]);
+      expect(box.scale).toEqual([2, 2, 2]);
+      expect(box.extras).toEqual({ id: 42 });
+      expect(box.children.map((index: number) => json.nodes[index].name)).toEqual(['pivot']);
+      expect(json.nodes.some((node: any) => node.name === 'hidden')).toBe(false);
+      expect(json.buffers[0].uri).toMatch(/^data:application\/octet-stream;base64,/);
+      expect(files).toEqual({});
+    });
+
+    it('should keep hidden objects when onlyVisible is off', async () => {
+      const { scene } = createScene();
+
+      const { json }: any = await new GLTFExporter().parseAsync(scene, { onlyVisible: false });
+
+      expect(json.nodes.some((node: any) => node.name === 'hidden')).toBe(true);
+    });
+
+    it('should write accessors with bounds and normalized colors', async () => {
+      const { triangle } = createScene();
+
+      const { json }: any = await new GLTFExporter().parseAsync(triangle);
+
+      const primitive = json.meshes[0].primitives[0];
+      const position = json.accessors[primitive.attributes.POSITION];
+      expect(position).toMatchObject({ componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] });
+      const color = json.accessors[primitive.attributes.COLOR_0];
+      expect(color).toMatchObject({ componentType: 5121, normalized: true, type: 'VEC3' });
+      expect(json.materials[primitive.material].extensions.KHR_materials_unlit).toEqual({});
+      expect(json.extensionsUsed).toContain('KHR_materials_unlit');
+    });
+
+    it('should write material extensions of physical materials', async () => {
+      const material: any = new MeshPhysicalMaterial({ color: [1, 1, 1] });
+      material.clearcoat = 0.5;
+      material.transmission = 0.7;
+      material.ior = 1.4;
+      material.emissive = [1, 0.5, 0];
+      material.emissiveIntensity = 4;
+
+      const { json }: any = await new GLTFExporter().parseAsync(new Mesh(createTriangle() as any, material));
+
+      const extensions = json.materials[0].extensions;
+      expect(extensions.KHR_materials_clearcoat.clearcoatFactor).toBe(0.5);
+      expect(extensions.KHR_materials_transmission.transmissionFactor).toBe(0.7);
+      expect(extensions.KHR_materials_ior.ior).toBe(1.4);
+      expect(extensions.KHR_materials_emissive_strength.emissiveStrength).toBe(4);
+      expect(json.materials[0].emissiveFactor).toEqual([1, 0.5, 0]);
+    });
+
+    it('should write external buffer and image files when not embedding', async () => {
+      const texture: any = new Texture();
+      texture.image = { data: new Uint8Array(2 * 2 * 4).fill(128), width: 2, height: 2 };
+      const material: any = new MeshStandardMaterial({});
+      material.map = texture;
+
+      const { json, files }: any = await new GLTFExporter().parseAsync(new Mesh(createTriangle() as any, material), {
+        embedBuffers: false,
+        embedImages: false,
+        bufferName: 'level.bin'
+      });
+
+      expect(json.buffers[0].uri).toBe('level.bin');
+      expect(files['level.bin'].byteLength).toBe(json.buffers[0].byteLength);
+      const image = json.images[0];
+      expect(image.uri).toMatch(/\.png$/);
+      const png = new Uint8Array(files[image.uri]);
+      expect(Array.from(png.subarray(1, 4))).toEqual([80, 78, 71]);
+      expect(json.textures[json.materials[0].pbrMetallicRoughness.baseColorTexture.index].source).toBe(0);
+    });
+  });
+
+  describe('GLB output', () => {
+    it('should write a header, a JSON chunk and a binary chunk on 4-byte boundaries', async () => {
+      const { scene } = createScene();
+
+      const glb = await new GLTFExporter().parseAsync(scene, { binary: true }) as ArrayBuffer;
+      const { view, json, jsonLength, binLength } = readGLB(glb);
+
+      expect(view.getUint32(0, true)).toBe(0x46546c67);
+      expect(view.getUint32(4, true)).toBe(2);
+      expect(view.getUint32(8, true)).toBe(glb.byteLength);
+      expect(view.getUint32(16, true)).toBe(0x4e4f534a);
+      expect(view.getUint32(24 + jsonLength, true)).toBe(0x004e4942);
+      expect(jsonLength % 4).toBe(0);
+      expect(binLength % 4).toBe(0);
+      expect(json.buffers).toEqual([{ byteLength: binLength }]);
+      for (const bufferView of json.bufferViews) {
+        expect(bufferView.byteOffset % 4).toBe(0);
+      }
+    });
+  });
+
+  describe('round trip through GLTFLoader', () => {
+    it('should load the exported hierarchy, transforms, geometry and materials', async () => {
+      const { scene, box, triangle } = createScene();
+
+      const asset = await load(await new GLTFExporter().parseAsync(scene, { binary: true }) as ArrayBuffer);
+
+      const loadedBox = findNode(asset.scene, 'box');
+      expect(loadedBox.position).toMatchObject({ x: 1, y: 2, z: 3 });
+      expect(loadedBox.scale).toMatchObject({ x: 2, y: 2, z: 2 });
+      expect(loadedBox.extras).toEqual({ id: 42 });
+      expect(findNode(loadedBox, 'pivot')).not.toBeNull();
+      expect(findNode(asset.scene, 'hidden')).toBeNull();
+
+      const [boxPrimitive] = loadedBox.children.find((child: any) => child !== findNode(loadedBox, 'pivot')).primitives;
+      expect(Array.from(boxPrimitive.geometry.attributes.POSITION.array)).toEqual(Array.from(box.geometry.vertices));
+      expect(Array.from(boxPrimitive.geometry.index.array)).toEqual(Array.from(box.geometry.indices));
+      expect(boxPrimitive.material.metalness).toBeCloseTo(0.3);
+      expect(boxPrimitive.material.roughness).toBeCloseTo(0.6);
+
+      // Meshes hang below the node that references them
+      const [trianglePrimitive] = findNode(asset.scene, 'triangle').children[0].primitives;
+      expect(Array.from(trianglePrimitive.geometry.attributes.COLOR_0.array))
+        .toEqual(Array.from(triangle.geometry.attributes.color.array));
+      expect(trianglePrimitive.material).toBeInstanceOf(MeshBasicMaterial);
+    });
+
+    it('should load exported morph targets and animation clips', async () => {
+      const scene = new Scene();
+      const geometry: any = createTriangle();
+      const mesh: any = new Mesh(geometry, new MeshStandardMaterial({}));
+      mesh.name = 'face';
+      const manager = new MorphTargetManager(geometry);
+      manager.addMorphTarget(new MorphTarget('smile', [0, 1, 0, 0, 0, 0, 0, 0, 0]), 0.25);
+      manager.addMorphTarget(new MorphTarget('frown', [0, -1, 0, 0, 0, 0, 0, 0, 0]), 0);
+      mesh.morphTargetManager = manager;
+      scene.add(mesh);
+      const clip = new AnimationClip('nod', 2, [
+        new VectorKeyframeTrack('face.position', [0, 2], [[0, 0, 0], [0, 3, 0]]),
+        new QuaternionKeyframeTrack('face.quaternion', [0, 2], [[0, 0, 0, 1], [0, 0.7071068, 0, 0.7071068]])
+      ]);
+
+      const asset = await load(await new GLTFExporter().parseAsync(scene, { binary: true, animations: [clip] }) as ArrayBuffer);
+
+      const face = findNode(asset.scene, 'face');
+      const [primitive] = face.children[0].primitives;
+      expect(primitive.morphTargetManager.morphTargets.map((target: any) => target.name)).toEqual(['smile', 'frown']);
+      expect(Array.from(face.morphTargetInfluences)).toEqual([0.25, 0]);
+
+      const [loadedClip] = asset.animations;
+      expect(loadedClip.name).toBe('nod');
+      expect(loadedClip.duration).toBe(2);
+      const position = loadedClip.tracks.find((track: any) => track.name === 'face.position');
+      expect(Array.from(position.times)).toEqual([0, 2]);
+      expect(position.values[1]).toMatchObject({ x: 0, y: 3, z: 0 });
+      const rotation = loadedClip.tracks.find((track: any) => track.name === 'face.rotation');
+      expect(rotation.values[1].y).toBeCloseTo(0.7071068, 6);
+    });
+  });
+});
@@ -0,0 +1,416 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { GLTFLoader } from '../../../src/loaders/GLTFLoader';
+import { AnimationMixer } from '../../../src/animation/AnimationMixer';
+import { Bone, SkinnedMesh } from '../../../src/core/SkeletalAnimation';
+import { MeshPhysicalMaterial } from '../../../src/materials/MeshPhysicalMaterial';
+import { MeshStandardMaterial } from '../../../src/materials/MeshStandardMaterial';
+import { MeshBasicMaterial } from '../../../src/materials/MeshBasicMaterial';
+import { AnisotropicMaterial } from '../../../src/materials/AnisotropicMaterial';
+
+// GL enums the loader reads from WebGLRenderingContext
+const GL_CONSTANTS = { BYTE: 5120, UNSIGNED_BYTE: 5121, SHORT: 5122, UNSIGNED_SHORT: 5123, UNSIGNED_INT: 5125, FLOAT: 5126 };
+
+/**
+ * Collects typed arrays into one binary buffer with a view and accessor each
+ */
+class BufferBuilder {
+  chunks: Uint8Array[] = [];
+  byteLength = 0;
+  bufferViews: any[] = [];
+  accessors: any[] = [];
+
+  view(data: ArrayBufferView) {
+    const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+    padded.set(bytes);
+    this.bufferViews.push({ buffer: 0, byteOffset: this.byteLength, byteLength: bytes.length });
+    this.chunks.push(padded);
+    this.byteLength += padded.length;
+    return this.bufferViews.length - 1;
+  }
+
+  accessor(data: any, componentType: number, type: string, extra: any = {}) {
+    const size: Record<string, number> = { SCALAR: 1, VEC3: 3, VEC4: 4, MAT4: 16 };
+    this.accessors.push({ bufferView: this.view(data), componentType, type, count: data.length / size[type], ...extra });
+    return this.accessors.length - 1;
+  }
+
+  toGLB(json: any) {
+    const bin = new Uint8Array(this.byteLength);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      bin.set(chunk, offset);
+      offset += chunk.length;
+    }
+    const document = { ...json, accessors: this.accessors, bufferViews: this.bufferViews, buffers: [{ byteLength: bin.length }] };
+    const text = new TextEncoder().encode(JSON.stringify(document));
+    const jsonLength = Math.ceil(text.length / 4) * 4;
+    const glb = new Uint8Array(28 + jsonLength + bin.length);
+    const view = new DataView(glb.buffer);
+    view.setUint32(0, 0x46546c67, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, glb.length, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4e4f534a, true);
+    glb.fill(0x20, 20, 20 + jsonLength);
+    glb.set(text, 20);
+    view.setUint32(20 + jsonLength, bin.length, true);
+    view.setUint32(24 + jsonLength, 0x004e4942, true);
+    glb.set(bin, 28 + jsonLength);
+    return glb.buffer;
+  }
+}
+
+/**
+ * Armature with a two-bone chain (Hips -> Bone.001, one unit apart) skinning a quad on a
+ * transformed Body node; the quad has a sparse morph target and two animations
+ */
+const createRiggedGLB = () => {
+  const buffers = new BufferBuilder();
+  const s = Math.SQRT1_2;
+  const position = buffers.accessor(new Float32Array([0, 0, 0, 1, 0, 0, 0, 2, 0, 1, 2, 0]), 5126, 'VEC3', { min: [0, 0, 0], max: [1, 2, 0] });
+  const indices = buffers.accessor(new Uint16Array([0, 1, 2, 1, 3, 2]), 5123, 'SCALAR');
+  const joints = buffers.accessor(new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0]), 5121, 'VEC4');
+  const weights = buffers.accessor(new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0]), 5121, 'VEC4', { normalized: true });
+  // Sparse target moving vertex 3 along +Z
+  buffers.accessors.push({
+    componentType: 5126, type: 'VEC3', count: 4, min: [0, 0, 0], max: [0, 0, 1],
+    sparse: { count: 1, indices: { bufferView: buffers.view(new Uint8Array([3])), componentType: 5121 }, values: { bufferView: buffers.view(new Float32Array([0, 0, 1])) } }
+  });
+  const target = buffers.accessors.length - 1;
+  const inverseBindMatrices = buffers.accessor(new Float32Array([
+    1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -1, 0, 1,
+    1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, -2, 0, 1
+  ]), 5126, 'MAT4');
+  const times = buffers.accessor(new Float32Array([0, 1]), 5126, 'SCALAR', { min: [0], max: [1] });
+  const quarterTurn = buffers.accessor(new Float32Array([0, 0, 0, 1, 0, 0, s, s]), 5126, 'VEC4');
+  const identity = buffers.accessor(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1]), 5126, 'VEC4');
+  const morphWeights = buffers.accessor(new Float32Array([0, 1]), 5126, 'SCALAR');
+  // In-tangent, value, out-tangent per key
+  const cubicTranslation = buffers.accessor(new Float32Array([0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 2, 1, 0, 0, 0, 0]), 5126, 'VEC3');
+
+  return buffers.toGLB({
+    asset: { version: '2.0' },
+    scene: 0,
+    scenes: [{ name: 'Scene', nodes: [0] }],
+    nodes: [
+      { name: 'Armature', children: [3, 1] },
+      { name: 'Hips', translation: [0, 1, 0], children: [2] },
+      { name: 'Bone.001', translation: [0, 1, 0] },
+      // Quarter turn about Y, scaled by 2, moved to x = 5
+      { name: 'Body', mesh: 0, skin: 0, matrix: [0, 0, -2, 0, 0, 2, 0, 0, 2, 0, 0, 0, 5, 0, 0, 1] }
+    ],
+    meshes: [{
+      name: 'BodyMesh',
+      weights: [0.25],
+      extras: { targetNames: ['bulge'] },
+      primitives: [{ attributes: { POSITION: position, JOINTS_0: joints, WEIGHTS_0: weights }, indices, material: 0, targets: [{ POSITION: target }] }]
+    }],
+    materials: [{ name: 'Skin', pbrMetallicRoughness: { baseColorFactor: [1, 0.5, 0.5, 1] } }],
+    skins: [{ name: 'Rig', joints: [1, 2], inverseBindMatrices, skeleton: 1 }],
+    animations: [
+      {
+        name: 'Wave',
+        samplers: [
+          { input: times, output: quarterTurn },
+          { input: times, output: morphWeights, interpolation: 'STEP' },
+          { input: times, output: cubicTranslation, interpolation: 'CUBICSPLINE' }
+        ],
+        channels: [
+          { sampler: 0, target: { node: 2, path: 'rotation' } },
+          { sampler: 1, target: { node: 3, path: 'weights' } },
+          { sampler: 2, target: { node: 1, path: 'translation' } }
+        ]
+      },
+      { name: 'Idle', samplers: [{ input: times, output: identity }], channels: [{ sampler: 0, target: { node: 2, path: 'rotation' } }] }
+    ]
+  });
+};
+
+/**
+ * Two nodes sharing a triangle mesh whose material has Red and Blue variants, and a
+ * third node with an unlit triangle; only the JSON matters for the material extensions
+ */
+const createMaterialsGLTF = () => {
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  const primitive = (material: number, mappings?: any[]) => ({
+    attributes: { POSITION: 0 },
+    material,
+    ...(mappings ? { extensions: { KHR_materials_variants: { mappings } } } : {})
+  });
+
+  return {
+    asset: { version: '2.0' },
+    extensions: { KHR_materials_variants: { variants: [{ name: 'Red' }, { name: 'Blue' }] } },
+    scene: 0,
+    scenes: [{ nodes: [0, 1, 2] }],
+    nodes: [{ name: 'A', mesh: 0 }, { name: 'B', mesh: 0, translation: [2, 0, 0] }, { name: 'C', mesh: 1 }],
+    meshes: [
+      { primitives: [primitive(0, [{ material: 1, variants: [0] }, { material: 2, variants: [1] }])] },
+      { primitives: [primitive(3)] }
+    ],
+    materials: [
+      {
+        name: 'Glass',
+        pbrMetallicRoughness: { metallicFactor: 0 },
+        emissiveFactor: [1, 0.5, 0],
+        extensions: {
+          KHR_materials_transmission: { transmissionFactor: 0.9 },
+          KHR_materials_volume: { thicknessFactor: 0.2, attenuationDistance: 3, attenuationColor: [1, 0.9, 0.8] },
+          KHR_materials_ior: { ior: 1.45 },
+          KHR_materials_specular: { specularFactor: 0.5, specularColorFactor: [1, 0, 0] },
+          KHR_materials_emissive_strength: { emissiveStrength: 4 }
+        }
+      },
+      {
+        name: 'Red',
+        extensions: {
+          KHR_materials_sheen: { sheenColorFactor: [0.5, 0.25, 0], sheenRoughnessFactor: 0.3 },
+          KHR_materials_iridescence: { iridescenceFactor: 1, iridescenceIor: 1.5, iridescenceThicknessMaximum: 500 }
+        }
+      },
+      { name: 'Blue', extensions: { KHR_materials_anisotropy: { anisotropyStrength: 0.6, anisotropyRotation: 1 } } },
+      { name: 'Flat', extensions: { KHR_materials_unlit: {} } },
+      { name: 'Plain', pbrMetallicRoughness: { roughnessFactor: 0.4 } }
+    ],
+    accessors: [{ bufferView: 0, componentType: 5126, count: 3, type: 'VEC3', min: [0, 0, 0], max: [1, 1, 0] }],
+    bufferViews: [{ buffer: 0, byteLength: positions.byteLength }],
+    buffers: [{ byteLength: positions.byteLength, uri: `data:application/octet-stream;base64,${Buffer.from(positions.buffer).toString('base64')}` }]
+  };
+};
+
+const parse = (json: any) => new Promise<any>((resolve, reject) => new GLTFLoader().parse(json, resolve, reject));
+
+const parseBinary = (glb: ArrayBuffer) => new Promise<any>((resolve, reject) => new GLTFLoader().parseBinary(glb, resolve, reject));
+
+// Column-major matrix times point
+const transformPoint = (elements: ArrayLike<number>, point: number[]) =>
+  [0, 1, 2].map(row => elements[row] * point[0] + elements[4 + row] * point[1] + elements[8 + row] * point[2] + elements[12 + row]);
+
+describe('GLTFLoader', () => {
+  const globals: any = {};
+
+  beforeAll(() => {
+    for (const name of ['TextDecoder', 'TextEncoder', 'WebGLRenderingContext']) {
+      globals[name] = (global as any)[name];
+    }
+    (global as any).TextDecoder = TextDecoder;
+    (global as any).TextEncoder = TextEncoder;
+    (global as any).WebGLRenderingContext = { ...GL_CONSTANTS, ...globals.WebGLRenderingContext };
+  });
+
+  afterAll(() => {
+    Object.assign(global, globals);
+  });
+
+  describe('skins', () => {
+    it('should create bones for joints and keep the node hierarchy', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const [armature, hips, bone, body] = asset.nodes;
+
+      expect(asset.scene.children).toEqual([armature]);
+      expect(armature.children).toEqual([body, hips]);
+      expect(hips).toBeInstanceOf(Bone);
+      expect(bone).toBeInstanceOf(Bone);
+      expect(bone.parent).toBe(hips);
+      expect(body).not.toBeInstanceOf(Bone);
+      expect(asset.skins[0].root).toBe(hips);
+    });
+
+    it('should bind each primitive to the skeleton with dequantized weights', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const [, , bone, body] = asset.nodes;
+
+      const mesh = body.children[0];
+      expect(mesh.name).toBe('BodyMesh');
+      expect(mesh.primitives[0].material.name).toBe('Skin');
+      expect(mesh.skinnedMesh).toBeInstanceOf(SkinnedMesh);
+      expect(Array.from(mesh.skinnedMesh.skinWeight.slice(0, 4))).toEqual([1, 0, 0, 0]);
+      expect(Array.from(mesh.skinnedMesh.skinIndex.slice(8, 12))).toEqual([1, 0, 0, 0]);
+      expect(mesh.skinnedMesh.skeleton.get('Bone.001')).toBe(bone);
+    });
+
+    it('should leave vertices in place in the bind pose despite the transform of the skinned node', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const body = asset.nodes[3];
+      const mesh = body.children[0];
+
+      mesh.skinnedMesh.updateSkinMatrices();
+
+      expect(body.position).toEqual({ x: 5, y: 0, z: 0 });
+      expect(body.scale.y).toBeCloseTo(2, 6);
+      for (const skinMatrix of mesh.skinnedMesh.skinMatrices) {
+        const skinned = transformPoint(mesh.worldMatrix, transformPoint(skinMatrix.elements, [0.3, 1.7, 0]));
+        expect(skinned[0]).toBeCloseTo(0.3, 5);
+        expect(skinned[1]).toBeCloseTo(1.7, 5);
+        expect(skinned[2]).toBeCloseTo(0, 5);
+      }
+    });
+  });
+
+  describe('morph targets', () => {
+    it('should read sparse targets with their names and default weights', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const body = asset.nodes[3];
+
+      const manager = body.children[0].morphTargetManager;
+      expect(manager.morphTargets[0].name).toBe('bulge');
+      expect(Array.from(manager.morphTargets[0].positions)).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+      expect(manager.influences).toEqual([0.25]);
+      expect(body.morphTargetInfluences).toEqual([0.25]);
+    });
+
+    it('should forward influences written on the node to the mesh', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const body = asset.nodes[3];
+
+      body.morphTargetInfluences = [0.75];
+
+      expect(body.children[0].morphTargetManager.influences).toEqual([0.75]);
+    });
+  });
+
+  describe('animations', () => {
+    it('should name tracks after the nodes and properties they drive', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const [wave, idle] = asset.animations;
+
+      expect(wave.name).toBe('Wave');
+      expect(wave.duration).toBe(1);
+      expect(wave.tracks.map((track: any) => track.name)).toEqual(['Bone.001.rotation', 'Body.morphTargetInfluences', 'Hips.position']);
+      expect(idle.name).toBe('Idle');
+    });
+
+    it('should keep only the values of cubic spline keys', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+
+      const translation = asset.animations[0].tracks[2];
+
+      expect(translation.values.map((value: any) => [value.x, value.y, value.z])).toEqual([[0, 1, 0], [2, 1, 0]]);
+    });
+
+    it('should drive bones, node transforms and weights through a mixer', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const [, hips, bone, body] = asset.nodes;
+      const mesh = body.children[0];
+      const mixer = new AnimationMixer(asset.scene);
+      mixer.addClip(asset.animations[0], { loop: false });
+      mixer.play('Wave');
+
+      mixer.update(0.5);
+
+      // Halfway through a quarter turn about Z
+      expect(bone.rotation.z).toBeCloseTo(Math.sin(Math.PI / 8), 5);
+      expect(bone.rotation.w).toBeCloseTo(Math.cos(Math.PI / 8), 5);
+      expect(hips.position.x).toBeCloseTo(1, 5);
+      // Step interpolation holds the first key
+      expect(mesh.morphTargetManager.influences).toEqual([0]);
+
+      // Vertex (1, 2, 0) sits one unit along X from Bone.001, which moved with the hips to (1, 2) and turned 45 degrees
+      mesh.skinnedMesh.updateSkinMatrices();
+      const skinned = transformPoint(mesh.worldMatrix, transformPoint(mesh.skinnedMesh.skinMatrices[1].elements, [1, 2, 0]));
+      expect(skinned[0]).toBeCloseTo(1 + Math.SQRT1_2, 5);
+      expect(skinned[1]).toBeCloseTo(2 + Math.SQRT1_2, 5);
+
+      mixer.update(0.5);
+      expect(mesh.morphTargetManager.influences).toEqual([1]);
+      expect(bone.rotation.z).toBeCloseTo(Math.SQRT1_2, 5);
+    });
+
+    it('should blend rotations of clips played together into a unit quaternion', async () => {
+      const asset = await parseBinary(createRiggedGLB());
+      const bone = asset.nodes[2];
+      const mixer = new AnimationMixer(asset.scene);
+      mixer.addClip(asset.animations[0]);
+      mixer.addClip(asset.animations[1]);
+      mixer.play('Wave');
+      mixer.play('Idle');
+      mixer.setWeight('Wave', 0.5);
+      mixer.setWeight('Idle', 0.5);
+
+      mixer.update(1);
+
+      const { x, y, z, w } = bone.rotation;
+      expect(Math.hypot(x, y, z, w)).toBeCloseTo(1, 5);
+      expect(z).toBeGreaterThan(0.3);
+      expect(z).toBeLessThan(Math.SQRT1_2);
+    });
+  });
+
+  describe('material extensions', () => {
+    it('should load transmission, volume, ior, specular and emissive strength', async () => {
+      const asset = await parse(createMaterialsGLTF());
+      const glass = asset.materials[0];
+
+      expect(glass).toBeInstanceOf(MeshPhysicalMaterial);
+      expect(glass.transmission).toBeCloseTo(0.9);
+      expect(glass.thickness).toBeCloseTo(0.2);
+      expect(glass.attenuationDistance).toBe(3);
+      expect(glass.ior).toBeCloseTo(1.45);
+      expect(glass.specularIntensity).toBeCloseTo(0.5);
+      expect(glass.emissiveIntensity).toBe(4);
+      expect(glass.metalness).toBe(0);
+    });
+
+    it('should load sheen and iridescence with the default minimum thickness', async () => {
+      const asset = await parse(createMaterialsGLTF());
+      const red = asset.materials[1];
+
+      expect(red).toBeInstanceOf(MeshPhysicalMaterial);
+      expect(red.sheen).toBeCloseTo(0.5);
+      expect(red.sheenRoughness).toBeCloseTo(0.3);
+      expect(red.iridescence).toBe(1);
+      expect(red.iridescenceThicknessRange).toEqual([100, 500]);
+    });
+
+    it('should pick the material class from the extensions in use', async () => {
+      const asset = await parse(createMaterialsGLTF());
+      const [, , blue, flat, plain] = asset.materials;
+
+      expect(blue).toBeInstanceOf(AnisotropicMaterial);
+      expect(blue.anisotropy).toBeCloseTo(0.6);
+      expect(flat).toBeInstanceOf(MeshBasicMaterial);
+      expect(plain).toBeInstanceOf(MeshStandardMaterial);
+      expect(plain).not.toBeInstanceOf(MeshPhysicalMaterial);
+      expect(plain.roughness).toBeCloseTo(0.4);
+    });
+  });
+
+  describe('material variants', () => {
+    it('should list the variants and switch every mapped primitive', async () => {
+      const asset = await parse(createMaterialsGLTF());
+      const [glass, red, blue] = asset.materials;
+      const [a, b, c] = asset.nodes;
+      const primitiveA = a.children[0].primitives[0];
+      const primitiveB = b.children[0].primitives[0];
+
+      expect(asset.variants).toEqual(['Red', 'Blue']);
+      expect(primitiveA.material).toBe(glass);
+
+      asset.selectVariant('Blue');
+      expect(asset.variant).toBe('Blue');
+      expect(primitiveA.material).toBe(blue);
+      expect(primitiveB.material).toBe(blue);
+      expect(c.children[0].primitives[0].material.name).toBe('Flat');
+
+      asset.selectVariant(0);
+      expect(primitiveB.material).toBe(red);
+
+      asset.selectVariant(null);
+      expect(primitiveA.material).toBe(glass);
+    });
+
+    it('should report the variants affecting a subtree', async () => {
+      const asset = await parse(createMaterialsGLTF());
+
+      expect(asset.getVariants(asset.nodes[0])).toEqual(['Red', 'Blue']);
+      expect(asset.getVariants(asset.nodes[2])).toEqual([]);
+    });
+
+    it('should reject unknown variants', async () => {
+      const asset = await parse(createMaterialsGLTF());
+
+      expect(() => asset.selectVariant('Green')).toThrow('Unknown material variant');
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { MeshOptDecoder } from '../../../src/loaders/MeshOptDecoder';
+import { MeshOptSimplifier } from '../../../src/loaders/MeshOptSimplifier';
+import { GLTFLoader } from '../../../src/loaders/GLTFLoader';
+
+// 3x3 vertex grid with a raised middle column, and its eight triangles
+const POSITIONS = new Float32Array([
+  0, 0, 0, 0.5, 0, 0.25, 1, 0, 0,
+  0, 0.5, 0, 0.5, 0.5, 0.25, 1, 0.5, 0,
+  0, 1, 0, 0.5, 1, 0.25, 1, 1, 0
+]);
+const INDICES = [0, 1, 4, 0, 4, 3, 1, 2, 5, 1, 5, 4, 3, 4, 7, 3, 7, 6, 4, 5, 8, 4, 8, 7];
+const NORMALS = [0, 0, 1, 0.6, 0, 0.8, 0, 0.6, 0.8, -0.6, 0, 0.8, 0, -0.6, 0.8, 0.48, 0.6, 0.64, 0, 0, -1, 1, 0, 0, 0, 1, 0];
+
+// The grid encoded by the reference meshoptimizer encoder (meshopt_encode* from meshoptimizer 1.3)
+const ENCODED = {
+  // meshopt_encodeVertexBuffer, versions 0 and 1, 12-byte vertices
+  vertexV0: 'oAAAAQ88wAD//////wEzzwAAfn1+fX4AAAEADAAA/wEDAAAAfgAAATzzwAD///////8BPPPAAHx7fHt8ewAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA',
+  vertexV1: 'odpa2gBIAP//AH4Bfn4Bfn4BAEAA/wAIAH4AJAH///8AfXwAfXwAfXwAAAAAAAAAAAAAAAAAAAAAAAAAAAABAAE=',
+  // meshopt_encodeIndexBuffer with 16-bit indices
+  indices16: '4f4N/hNvDV8CDwjzBAQEAHaHVmd4qYZliWiYAWkAAA==',
+  // meshopt_encodeIndexSequence with 32-bit indices
+  sequence32: '0QAEDA4QAgYEDA4QAgIEDA4QAgYEDA4QAgAAAAA=',
+  // NORMALS through meshopt_encodeFilterOct (8 bits, 4-byte stride), then the vertex codec
+  octahedral: 'oAE//MAAbGtrbEa4/QEP/8AAbGtrxKb9/gAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAfwA='
+};
+
+const decodeBase64 = (data: string) => new Uint8Array(Buffer.from(data, 'base64'));
+
+// Triangles in a canonical form: the index codec may rotate the vertices of a triangle
+const triangleSet = (indices: ArrayLike<number>) => {
+  const triangles: string[] = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    const t = [indices[i], indices[i + 1], indices[i + 2]];
+    const first = t.indexOf(Math.min(...t));
+    triangles.push([t[first], t[(first + 1) % 3], t[(first + 2) % 3]].join());
+  }
+  return triangles.sort();
+};
+
+// Regular grid of n x n quads over the unit square, with heights from fn
+const createGrid = (n: number, fn: (x: number, y: number) => number) => {
+  const positions: number[] = [];
+  const indices: number[] = [];
+  for (let y = 0; y <= n; y++) {
+    for (let x = 0; x <= n; x++) {
+      positions.push(x / n, y / n, fn(x / n, y / n));
+    }
+  }
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      const a = y * (n + 1) + x;
+      indices.push(a, a + 1, a + n + 2, a, a + n + 2, a + n + 1);
+    }
+  }
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices) };
+};
+
+describe('MeshOptDecoder', () => {
+  it('should decode vertex buffers of both codec versions', () => {
+    for (const encoded of [ENCODED.vertexV0, ENCODED.vertexV1]) {
+      const target = new Uint8Array(POSITIONS.byteLength);
+      MeshOptDecoder.decodeVertexBuffer(target, 9, 12, decodeBase64(encoded));
+
+      expect(Array.from(new Float32Array(target.buffer))).toEqual(Array.from(POSITIONS));
+    }
+  });
+
+  it('should decode an index buffer to the same triangles', () => {
+    const target = new Uint8Array(INDICES.length * 2);
+    MeshOptDecoder.decodeIndexBuffer(target, INDICES.length, 2, decodeBase64(ENCODED.indices16));
+
+    expect(triangleSet(new Uint16Array(target.buffer))).toEqual(triangleSet(INDICES));
+  });
+
+  it('should decode an index sequence in order', () => {
+    const target = new Uint8Array(INDICES.length * 4);
+    MeshOptDecoder.decodeIndexSequence(target, INDICES.length, 4, decodeBase64(ENCODED.sequence32));
+
+    expect(Array.from(new Uint32Array(target.buffer))).toEqual(INDICES);
+  });
+
+  it('should apply the octahedral filter to decoded normals', () => {
+    const target = new Uint8Array(9 * 4);
+    MeshOptDecoder.decodeGltfBuffer(target, 9, 4, decodeBase64(ENCODED.octahedral), 'ATTRIBUTES', 'OCTAHEDRAL');
+
+    const normals = new Int8Array(target.buffer);
+    for (let i = 0; i < 9; i++) {
+      for (let c = 0; c < 3; c++) {
+        expect(Math.abs(normals[i * 4 + c] / 127 - NORMALS[i * 3 + c])).toBeLessThan(0.02);
+      }
+    }
+  });
+
+  it('should reject data with an unknown header', () => {
+    const data = decodeBase64(ENCODED.vertexV0);
+    data[0] = 0xa7;
+
+    expect(() => MeshOptDecoder.decodeVertexBuffer(new Uint8Array(POSITIONS.byteLength), 9, 12, data)).toThrow();
+    expect(() => MeshOptDecoder.decodeIndexBuffer(new Uint8Array(48), 24, 2, data)).toThrow();
+  });
+});
+
+describe('MeshOptSimplifier', () => {
+  it('should collapse a flat grid to a few triangles without error', () => {
+    const { positions, indices } = createGrid(8, () => 0);
+
+    const result = MeshOptSimplifier.simplify(indices, positions, 6, 0.001);
+
+    expect(result.indices.length).toBeLessThanOrEqual(6);
+    expect(result.error).toBeLessThan(1e-6);
+  });
+
+  it('should stop before exceeding the target error', () => {
+    const { positions, indices } = createGrid(20, (x, y) => 0.1 * Math.sin(x * 6) * Math.cos(y * 6));
+
+    for (const targetError of [0.001, 0.01, 0.05]) {
+      const result = MeshOptSimplifier.simplify(indices, positions, 0, targetError);
+
+      expect(result.error).toBeLessThanOrEqual(targetError);
+      expect(result.indices.length % 3).toBe(0);
+      expect(result.indices.length).toBeLessThan(indices.length);
+    }
+
+    const coarse = MeshOptSimplifier.simplify(indices, positions, 0, 0.05);
+    const fine = MeshOptSimplifier.simplify(indices, positions, 0, 0.001);
+    expect(coarse.indices.length).toBeLessThan(fine.indices.length);
+  });
+
+  it('should reach the target index count when the error allows it', () => {
+    const { positions, indices } = createGrid(20, (x, y) => 0.1 * Math.sin(x * 6) * Math.cos(y * 6));
+
+    const result = MeshOptSimplifier.simplify(indices, positions, 240);
+
+    expect(result.indices.length).toBeLessThanOrEqual(240);
+    expect(result.error).toBeGreaterThan(0);
+    expect(Math.max(...result.indices)).toBeLessThan(positions.length / 3);
+  });
+
+  it('should keep border vertices when the border is locked', () => {
+    const n = 10;
+    const { positions, indices } = createGrid(n, (x, y) => 0.05 * Math.sin(x * 9 + y * 7));
+    const isBorder = (v: number) => {
+      const x = v % (n + 1);
+      const y = Math.floor(v / (n + 1));
+      return x === 0 || y === 0 || x === n || y === n;
+    };
+
+    const result = MeshOptSimplifier.simplify(indices, positions, 0, Infinity, { lockBorder: true });
+    const used = new Set(result.indices);
+
+    for (let v = 0; v < positions.length / 3; v++) {
+      if (isBorder(v)) {
+        expect(used.has(v)).toBe(true);
+      }
+    }
+  });
+
+  it('should return the mesh unchanged when the target is not below its index count', () => {
+    const result = MeshOptSimplifier.simplify(INDICES, POSITIONS, INDICES.length);
+
+    expect(Array.from(result.indices)).toEqual(INDICES);
+    expect(result.error).toBe(0);
+    expect(() => MeshOptSimplifier.simplify([0, 1], POSITIONS, 0)).toThrow('Index count must be a multiple of 3');
+  });
+});
+
+describe('GLTFLoader EXT_meshopt_compression', () => {
+  it('should read accessors from compressed buffer views', async () => {
+    const vertices = decodeBase64(ENCODED.vertexV1);
+    const indices = decodeBase64(ENCODED.sequence32);
+    const bin = new Uint8Array(vertices.byteLength + indices.byteLength);
+    bin.set(vertices, 0);
+    bin.set(indices, vertices.byteLength);
+
+    const json = {
+      asset: { version: '2.0' },
+      extensionsUsed: ['EXT_meshopt_compression'],
+      extensionsRequired: ['EXT_meshopt_compression'],
+      buffers: [
+        { byteLength: bin.byteLength, uri: `data:application/octet-stream;base64,${Buffer.from(bin).toString('base64')}` },
+        // Fallback buffer without data: every view of it is compressed
+        { byteLength: POSITIONS.byteLength + INDICES.length * 4, extensions: { EXT_meshopt_compression: { fallback: true } } }
+      ],
+      bufferViews: [
+        {
+          buffer: 1, byteOffset: 0, byteLength: POSITIONS.byteLength, byteStride: 12,
+          extensions: { EXT_meshopt_compression: { buffer: 0, byteOffset: 0, byteLength: vertices.byteLength, byteStride: 12, count: 9, mode: 'ATTRIBUTES' } }
+        },
+        {
+          buffer: 1, byteOffset: POSITIONS.byteLength, byteLength: INDICES.length * 4,
+          extensions: { EXT_meshopt_compression: { buffer: 0, byteOffset: vertices.byteLength, byteLength: indices.byteLength, byteStride: 4, count: INDICES.length, mode: 'INDICES' } }
+        }
+      ],
+      accessors: [
+        { bufferView: 0, componentType: 5126, count: 9, type: 'VEC3' },
+        { bufferView: 1, componentType: 5125, count: INDICES.length, type: 'SCALAR' }
+      ],
+      meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1 }] }]
+    };
+
+    const asset: any = await new Promise((resolve, reject) => new GLTFLoader().parse(json, resolve, reject));
+    const geometry = asset.meshes[0].primitives[0].geometry;
+
+    expect(Array.from(geometry.attributes.POSITION.array)).toEqual(Array.from(POSITIONS));
+    expect(Array.from(geometry.index.array)).toEqual(INDICES);
+  });
+});
@@ -0,0 +1,155 @@
+import { PhysicsSystem } from '../../../src/physics/index';
+import { Vector3 } from '../../../src/core/math/index';
+
+const run = (world: any, steps: number) => {
+  for (let i = 0; i < steps; i++) {
+    world.simulate(1 / 60);
+  }
+};
+
+const createGround = (world: any, options: any = {}) => world.addBody({
+  isStatic: true,
+  collider: { type: 'aabb', halfExtents: new Vector3(5, 0.5, 5) },
+  ...options
+});
+
+describe('Collision events', () => {
+  describe('start, stay and end', () => {
+    it('should report a landing ball once, then every step until it leaves', () => {
+      const world: any = new PhysicsSystem();
+      const ground = createGround(world);
+      const ball = world.addBody({ position: new Vector3(0, 2, 0), restitution: 0 });
+      const log: string[] = [];
+      world.on('collisionStart', (event: any) => log.push(`start:${event.bodyA.id}-${event.bodyB.id}`));
+      world.on('collisionStay', () => log.push('stay'));
+      world.on('collisionEnd', () => log.push('end'));
+
+      run(world, 90);
+
+      const start = log.findIndex(entry => entry.startsWith('start'));
+      expect(log.filter(entry => entry.startsWith('start'))).toEqual([`start:${ground.id}-${ball.id}`]);
+      expect(log.slice(start + 1).every(entry => entry === 'stay')).toBe(true);
+      expect(log.length - start - 1).toBeGreaterThan(10);
+
+      ball.setPosition(new Vector3(0, 10, 0));
+      ball.wake();
+      run(world, 1);
+      expect(log[log.length - 1]).toBe('end');
+
+      run(world, 5);
+      expect(log.filter(entry => entry === 'end')).toHaveLength(1);
+    });
+
+    it('should emit on both bodies with the other body and the contact', () => {
+      const world: any = new PhysicsSystem();
+      const ground = createGround(world);
+      const ball = world.addBody({ position: new Vector3(0, 2, 0), restitution: 0 });
+      const ballEvents: any[] = [];
+      const groundEvents: any[] = [];
+      ball.on('collisionStart', (event: any) => ballEvents.push(event));
+      ground.on('collisionStart', (event: any) => groundEvents.push(event));
+
+      run(world, 90);
+
+      expect(ballEvents).toHaveLength(1);
+      expect(ballEvents[0].other).toBe(ground);
+      expect(ballEvents[0].contact.normal).toBeDefined();
+      expect(groundEvents).toHaveLength(1);
+      expect(groundEvents[0].other).toBe(ball);
+    });
+
+    it('should end the pairs of a removed body', () => {
+      const world: any = new PhysicsSystem();
+      createGround(world);
+      const ball = world.addBody({ position: new Vector3(0, 1, 0) });
+      run(world, 5);
+      const ended = jest.fn();
+      world.on('collisionEnd', ended);
+
+      world.removeBody(ball);
+
+      expect(ended).toHaveBeenCalledTimes(1);
+      expect(world.collisionPairs.size).toBe(0);
+    });
+
+    it('should stop calling listeners removed with off()', () => {
+      const world: any = new PhysicsSystem();
+      createGround(world);
+      world.addBody({ position: new Vector3(0, 1, 0) });
+      const stay = jest.fn();
+      world.on('collisionStay', stay);
+      run(world, 5);
+      const calls = stay.mock.calls.length;
+
+      world.off('collisionStay', stay);
+      run(world, 5);
+
+      expect(calls).toBeGreaterThan(0);
+      expect(stay).toHaveBeenCalledTimes(calls);
+    });
+  });
+
+  describe('sensors', () => {
+    it('should report bodies passing through without pushing them', () => {
+      const world: any = new PhysicsSystem();
+      world.setGravity(new Vector3(0, 0, 0));
+      const zone = world.addBody({
+        isStatic: true,
+        isSensor: true,
+        collider: { type: 'aabb', halfExtents: new Vector3(1, 1, 1) }
+      });
+      const guard = world.addBody({ position: new Vector3(-3, 0, 0), linearDamping: 1 });
+      guard.velocity.set(3, 0, 0);
+      const events: any[] = [];
+      zone.on('collisionStart', (event: any) => events.push(['in', event]));
+      zone.on('collisionEnd', (event: any) => events.push(['out', event]));
+
+      run(world, 120);
+
+      expect(events.map(([type]) => type)).toEqual(['in', 'out']);
+      expect(events[0][1].isSensor).toBe(true);
+      expect(events[0][1].other).toBe(guard);
+      expect(events[1][1].contact).toBeNull();
+      expect(guard.position.x).toBeCloseTo(3, 3);
+      expect(guard.velocity.x).toBeCloseTo(3, 3);
+      expect(world.manifolds.size).toBe(0);
+    });
+  });
+
+  describe('groups and masks', () => {
+    const PLAYER = 1;
+    const ENEMY = 2;
+    const WORLD = 4;
+
+    it('should only collide bodies whose groups are in each other\'s masks', () => {
+      const world: any = new PhysicsSystem();
+      createGround(world, { collisionGroup: WORLD });
+      const ghost = world.addBody({ position: new Vector3(0, 1.2, 0), collisionGroup: ENEMY, collisionMask: PLAYER });
+      const crate = world.addBody({ position: new Vector3(2, 1.2, 0), collisionGroup: ENEMY, collisionMask: PLAYER | WORLD });
+      const started = jest.fn();
+      ghost.on('collisionStart', started);
+
+      run(world, 60);
+
+      expect(ghost.position.y).toBeLessThan(0);
+      expect(crate.position.y).toBeGreaterThan(0.9);
+      expect(started).not.toHaveBeenCalled();
+      expect(ghost.canCollideWith(crate)).toBe(false);
+      expect(crate.canCollideWith(ghost)).toBe(false);
+    });
+
+    it('should filter raycasts and queries by mask', () => {
+      const world: any = new PhysicsSystem();
+      createGround(world, { collisionGroup: WORLD });
+      const crate = world.addBody({ position: new Vector3(2, 1.2, 0), collisionGroup: ENEMY });
+
+      const hits = world.raycast(new Vector3(2, 5, 0), new Vector3(0, -1, 0), 100, WORLD);
+
+      expect(hits).toHaveLength(1);
+      expect(hits[0].body.collisionGroup).toBe(WORLD);
+      expect(world.raycast(new Vector3(2, 5, 0), new Vector3(0, -1, 0), 100, ENEMY)[0].body).toBe(crate);
+      expect(world.querySphere(crate.position, 0.1, ENEMY)).toEqual([crate]);
+      expect(world.querySphere(crate.position, 0.1, PLAYER)).toEqual([]);
+    });
+  });
+});
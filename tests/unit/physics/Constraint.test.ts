@@ -0,0 +1,226 @@
+import { PhysicsSystem, Constraint } from '../../../src/physics/index';
+import { Vector3, Quaternion } from '../../../src/core/math/index';
+
+const createBox = (halfSize = 0.5) => ({ type: 'obb', halfExtents: new Vector3(halfSize, halfSize, halfSize) });
+
+const run = (world: any, steps: number, onStep: () => void = () => {}) => {
+  for (let i = 0; i < steps; i++) {
+    world.simulate(1 / 60);
+    onStep();
+  }
+};
+
+const worldAnchor = (body: any, anchor: Vector3) => anchor.clone().applyQuaternion(body.rotation).add(body.position);
+
+describe('Constraint', () => {
+  describe('point', () => {
+    it('should keep a pendulum at its length while it swings', () => {
+      const world = new PhysicsSystem();
+      const pivot = new Vector3(0, 5, 0);
+      const bob = world.addBody({
+        mass: 1,
+        position: new Vector3(2, 5, 0),
+        collider: { type: 'sphere', radius: 0.2 },
+        linearDamping: 1,
+        angularDamping: 1
+      });
+      const joint: any = new Constraint(null, bob, { type: 'point', anchorA: pivot });
+      world.addConstraint(joint);
+
+      let lowest = Infinity;
+      let maxError = 0;
+      run(world, 240, () => {
+        lowest = Math.min(lowest, bob.position.y);
+        maxError = Math.max(maxError, worldAnchor(bob, joint.anchorB).distanceTo(pivot));
+      });
+
+      expect(maxError).toBeLessThan(0.05);
+      // Swings through the bottom of the arc, two units below the pivot
+      expect(lowest).toBeCloseTo(3, 1);
+      expect(bob.position.distanceTo(pivot)).toBeCloseTo(2, 1);
+    });
+
+    it('should hang two bodies from each other at their anchors', () => {
+      const world = new PhysicsSystem();
+      const upper = world.addBody({ mass: 1, position: new Vector3(0, 4, 0), collider: createBox(0.2) });
+      const lower = world.addBody({ mass: 1, position: new Vector3(0, 3, 0), collider: createBox(0.2) });
+      world.addConstraint(new Constraint(null, upper, { type: 'point', anchorA: new Vector3(0, 4.5, 0) }));
+      const joint: any = new Constraint(upper, lower, { type: 'point', anchorA: new Vector3(0, -0.5, 0) });
+      world.addConstraint(joint);
+
+      run(world, 120);
+
+      expect(worldAnchor(upper, joint.anchorA).distanceTo(worldAnchor(lower, joint.anchorB))).toBeLessThan(0.02);
+      expect(lower.position.y).toBeCloseTo(3, 1);
+    });
+  });
+
+  describe('hinge', () => {
+    const createDoor = (options: any = {}) => {
+      const world = new PhysicsSystem();
+      world.setGravity(new Vector3(0, 0, 0));
+      const door = world.addBody({
+        mass: 10,
+        position: new Vector3(0.5, 1, 0),
+        collider: { type: 'obb', halfExtents: new Vector3(0.5, 1, 0.05) }
+      });
+      const hinge: any = new Constraint(null, door, {
+        type: 'hinge',
+        anchorA: new Vector3(0, 1, 0),
+        axis: new Vector3(0, 1, 0),
+        ...options
+      });
+      world.addConstraint(hinge);
+      return { world, door, hinge };
+    };
+
+    it('should rotate about its axis only', () => {
+      const { world, door, hinge } = createDoor();
+      door.applyImpulse(new Vector3(0, 0, -10), new Vector3(1, 1.5, 0));
+
+      run(world, 60);
+
+      expect(Math.abs(hinge.getPosition())).toBeGreaterThan(0.5);
+      expect(new Vector3(0, 1, 0).applyQuaternion(door.rotation).y).toBeGreaterThan(0.999);
+      expect(worldAnchor(door, hinge.anchorB).distanceTo(new Vector3(0, 1, 0))).toBeLessThan(0.01);
+    });
+
+    it('should stop at the upper and lower limits', () => {
+      for (const direction of [1, -1]) {
+        const { world, door, hinge } = createDoor({ lowerLimit: -Math.PI / 4, upperLimit: Math.PI / 3 });
+        door.applyImpulse(new Vector3(0, 0, 30 * direction), new Vector3(1, 1.5, 0));
+
+        let extreme = 0;
+        run(world, 240, () => {
+          const angle = hinge.getPosition();
+          extreme = direction > 0 ? Math.min(extreme, angle) : Math.max(extreme, angle);
+        });
+
+        // A push along +Z turns the door clockwise seen from above, towards negative angles
+        const limit = direction > 0 ? -Math.PI / 4 : Math.PI / 3;
+        // Reaches the limit without passing it, then stays within the range
+        expect(Math.abs(extreme - limit)).toBeLessThan(0.05);
+        expect(hinge.getPosition()).toBeGreaterThan(-Math.PI / 4 - 0.05);
+        expect(hinge.getPosition()).toBeLessThan(Math.PI / 3 + 0.05);
+      }
+    });
+
+    it('should drive the door at the motor speed', () => {
+      const { world, door, hinge } = createDoor();
+      hinge.enableMotor = true;
+      hinge.motorSpeed = 0.5;
+      hinge.maxMotorForce = 1000;
+
+      run(world, 30);
+
+      expect(door.angularVelocity.y).toBeCloseTo(0.5, 2);
+    });
+  });
+
+  describe('slider', () => {
+    const createSlider = (axis: Vector3, lowerLimit: number, upperLimit: number) => {
+      const world = new PhysicsSystem();
+      const base = world.addBody({ isStatic: true, collider: createBox() });
+      const carriage = world.addBody({ mass: 1, position: new Vector3(0, 3, 0), collider: createBox(0.2) });
+      const slider: any = new Constraint(base, carriage, {
+        type: 'slider',
+        axis,
+        lowerLimit,
+        upperLimit,
+        anchorA: new Vector3(0, 3, 0),
+        anchorB: new Vector3(0, 0, 0)
+      });
+      world.addConstraint(slider);
+      return { world, carriage, slider };
+    };
+
+    it('should slide along its axis and stop at the upper limit', () => {
+      const axis = new Vector3(1, -1, 0).normalize();
+      const { world, carriage, slider } = createSlider(axis, -0.2, 2);
+
+      run(world, 240);
+
+      expect(slider.getPosition()).toBeCloseTo(2, 1);
+      const offset = carriage.position.clone().sub(new Vector3(0, 3, 0));
+      expect(offset.clone().sub(axis.clone().multiplyScalar(offset.dot(axis))).length()).toBeLessThan(0.01);
+      expect(new Vector3(1, 0, 0).applyQuaternion(carriage.rotation).x).toBeGreaterThan(0.999);
+    });
+
+    it('should stop at the lower limit', () => {
+      const { world, slider } = createSlider(new Vector3(1, 1, 0).normalize(), -0.5, 2);
+
+      let lowest = 0;
+      run(world, 240, () => {
+        lowest = Math.min(lowest, slider.getPosition());
+      });
+
+      expect(lowest).toBeGreaterThan(-0.55);
+      expect(slider.getPosition()).toBeCloseTo(-0.5, 1);
+    });
+  });
+
+  describe('fixed', () => {
+    it('should weld bodies and keep them from colliding with each other', () => {
+      const world: any = new PhysicsSystem();
+      world.addBody({ isStatic: true, position: new Vector3(0, -0.5, 0), collider: { type: 'obb', halfExtents: new Vector3(10, 0.5, 10) } });
+      const a = world.addBody({ mass: 1, position: new Vector3(0, 2, 0), collider: createBox() });
+      const b = world.addBody({ mass: 1, position: new Vector3(0.8, 2.3, 0), collider: createBox() });
+      world.addConstraint(new Constraint(a, b, { type: 'fixed' }));
+
+      run(world, 300);
+
+      const relative = b.position.clone().sub(a.position).applyQuaternion(a.rotation.clone().conjugate());
+      expect(relative.distanceTo(new Vector3(0.8, 0.3, 0))).toBeLessThan(0.03);
+      expect(world.contacts.some((c: any) => [c.bodyA, c.bodyB].includes(a) && [c.bodyA, c.bodyB].includes(b))).toBe(false);
+      expect(Math.min(a.position.y, b.position.y)).toBeGreaterThan(0.3);
+    });
+  });
+
+  describe('coneTwist', () => {
+    it('should hold a limb within its cone', () => {
+      const world = new PhysicsSystem();
+      const pivot = new Vector3(0, 5, 0);
+      const limb = world.addBody({
+        mass: 1,
+        position: new Vector3(1, 5, 0),
+        rotation: new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), Math.PI / 2),
+        collider: { type: 'capsule', radius: 0.1, halfHeight: 0.4 }
+      });
+      world.addConstraint(new Constraint(null, limb, {
+        type: 'coneTwist',
+        anchorA: pivot,
+        axis: new Vector3(1, 0, 0),
+        swingSpan: 0.4,
+        twistSpan: 0.2
+      }));
+
+      run(world, 300);
+
+      const direction = limb.position.clone().sub(pivot).normalize();
+      const swing = Math.acos(Math.min(1, direction.x));
+      expect(swing).toBeLessThan(0.45);
+      expect(swing).toBeGreaterThan(0.3);
+    });
+  });
+
+  describe('springs', () => {
+    it('should settle at the static deflection', () => {
+      const world = new PhysicsSystem();
+      const body = world.addBody({ mass: 2, position: new Vector3(0, 5, 0), collider: createBox(0.2), linearDamping: 1, angularDamping: 1 });
+      const joint: any = new Constraint(null, body, { type: '6dof', anchorA: new Vector3(0, 5, 0) });
+      joint.setLimit(1, 1, -1);
+      joint.setSpring(1, 1, 1, 0);
+      world.addConstraint(joint);
+      const ball = world.addBody({ mass: 1, position: new Vector3(5, 5, 0), collider: { type: 'sphere', radius: 0.2 }, linearDamping: 1 });
+      world.addConstraint(new Constraint(null, ball, { type: 'spring', anchorA: new Vector3(5, 6, 0), frequency: 1, dampingRatio: 1 }));
+
+      run(world, 600);
+
+      // g / (2 pi f)^2 at 1 Hz
+      const deflection = 9.81 / (2 * Math.PI) ** 2;
+      expect(body.position.y).toBeCloseTo(5 - deflection, 2);
+      expect(Math.abs(body.position.x) + Math.abs(body.position.z)).toBeLessThan(0.01);
+      expect(ball.position.y).toBeCloseTo(5 - deflection, 2);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import { PhysicsSystem, RigidBody, ContactManifold, ContactSettings } from '../../../src/physics/index';
+import { Vector3, Quaternion } from '../../../src/core/math/index';
+
+const rotation = (x: number, y: number, z: number, angle: number) =>
+  new Quaternion().setFromAxisAngle(new Vector3(x, y, z).normalize(), angle);
+
+const createPoint = (x: number, y: number, z: number, penetration: number) => ({
+  position: new Vector3(x, y, z),
+  penetration
+});
+
+// Four corners of a unit box resting on the ground at y = 0
+const createFaceContact = (penetration = 0.01) => ({
+  normal: new Vector3(0, 1, 0),
+  points: [
+    createPoint(-0.5, 0, -0.5, penetration),
+    createPoint(0.5, 0, -0.5, penetration),
+    createPoint(0.5, 0, 0.5, penetration),
+    createPoint(-0.5, 0, 0.5, penetration)
+  ]
+});
+
+const createWorld = () => {
+  const world = new PhysicsSystem();
+  world.addBody({
+    isStatic: true,
+    position: new Vector3(0, -0.5, 0),
+    collider: { type: 'obb', halfExtents: new Vector3(10, 0.5, 10) }
+  });
+  return world;
+};
+
+const createCrate = (world: any, y: number, angle = 0) => world.addBody({
+  mass: 1,
+  friction: 0.6,
+  restitution: 0,
+  position: new Vector3(0, y, 0),
+  rotation: rotation(0, 1, 0, angle),
+  collider: { type: 'obb', halfExtents: new Vector3(0.5, 0.5, 0.5) }
+});
+
+describe('ContactManifold', () => {
+  let ground: any;
+  let box: any;
+  let manifold: any;
+
+  beforeEach(() => {
+    ground = new RigidBody(0, { isStatic: true, position: new Vector3(0, -0.5, 0) });
+    box = new RigidBody(1, { mass: 1, position: new Vector3(0, 0.49, 0) });
+    manifold = new ContactManifold(ground, box);
+  });
+
+  describe('update', () => {
+    it('should replace the points with a complete contact', () => {
+      manifold.update(createFaceContact());
+      manifold.update({ normal: new Vector3(0, 1, 0), points: [createPoint(0, 0, 0, 0.02), createPoint(0.3, 0, 0, 0.02)] });
+
+      expect(manifold.points).toHaveLength(2);
+      expect(manifold.getPenetration()).toBeCloseTo(0.02);
+    });
+
+    it('should build up single points over several steps', () => {
+      manifold.update({ normal: new Vector3(0, 1, 0), points: [createPoint(-0.5, 0, 0, 0.01)] });
+      manifold.update({ normal: new Vector3(0, 1, 0), points: [createPoint(0.5, 0, 0, 0.01)] });
+      manifold.update({ normal: new Vector3(0, 1, 0), points: [createPoint(0, 0, 0.5, 0.01)] });
+
+      expect(manifold.points).toHaveLength(3);
+    });
+
+    it('should keep at most four points spanning the largest area', () => {
+      const contact = createFaceContact();
+      contact.points.push(createPoint(0, 0, 0, 0.01), createPoint(0.1, 0, 0.1, 0.01));
+
+      manifold.update(contact);
+
+      expect(manifold.points).toHaveLength(4);
+      for (const point of manifold.points) {
+        expect(Math.abs(point.position.x)).toBeCloseTo(0.5);
+        expect(Math.abs(point.position.z)).toBeCloseTo(0.5);
+      }
+    });
+
+    it('should carry the impulses of matching points over', () => {
+      manifold.update(createFaceContact());
+      manifold.points.forEach((point: any, i: number) => {
+        point.normalImpulse = i + 1;
+        point.tangentImpulse1 = 0.5;
+      });
+
+      manifold.update(createFaceContact(0.012));
+
+      expect(manifold.points.map((p: any) => p.normalImpulse).sort()).toEqual([1, 2, 3, 4]);
+      expect(manifold.points.every((p: any) => p.tangentImpulse1 === 0.5)).toBe(true);
+    });
+  });
+
+  describe('refresh', () => {
+    it('should follow the bodies and update the penetration depth', () => {
+      manifold.update(createFaceContact(0.01));
+
+      box.position.y -= 0.01;
+      manifold.refresh();
+
+      expect(manifold.points).toHaveLength(4);
+      expect(manifold.getPenetration()).toBeCloseTo(0.02, 5);
+    });
+
+    it('should drop points once the bodies separate', () => {
+      manifold.update(createFaceContact(0.01));
+
+      box.position.y += 0.05;
+      manifold.refresh();
+
+      expect(manifold.points).toHaveLength(0);
+      expect(manifold.getPenetration()).toBe(0);
+    });
+
+    it('should drop points once the bodies slide apart', () => {
+      manifold.update(createFaceContact(0.01));
+
+      box.position.x += 0.1;
+      manifold.refresh();
+
+      expect(manifold.points).toHaveLength(0);
+    });
+  });
+
+  describe('solver', () => {
+    it('should stop a falling body without pulling it down', () => {
+      box.restitution = 0;
+      box.velocity.set(0, -2, 0);
+      manifold.update(createFaceContact(0.01));
+
+      manifold.prepare(1 / 60);
+      for (let i = 0; i < 10; i++) {
+        manifold.solveVelocity();
+      }
+
+      expect(box.velocity.y).toBeGreaterThanOrEqual(-1e-6);
+      expect(box.velocity.y).toBeLessThan(0.2);
+      expect(manifold.points.every((p: any) => p.normalImpulse >= 0)).toBe(true);
+    });
+
+    it('should push out of penetration beyond the slop', () => {
+      manifold.update(createFaceContact(0.1));
+
+      manifold.prepare(1 / 60);
+      manifold.solveVelocity();
+
+      const expected = ContactSettings.baumgarte * 60 * (0.1 - ContactSettings.slop);
+      expect(manifold.points[0].bias).toBeCloseTo(expected, 5);
+      expect(box.velocity.y).toBeGreaterThan(0);
+    });
+
+    it('should bounce by the restitution when closing fast', () => {
+      box.velocity.set(0, -2, 0);
+      manifold.update(createFaceContact(0.01));
+
+      manifold.prepare(1 / 60);
+      for (let i = 0; i < 10; i++) {
+        manifold.solveVelocity();
+      }
+
+      // Both bodies default to a restitution of 0.5
+      expect(box.velocity.y).toBeCloseTo(1, 2);
+    });
+  });
+
+  describe('resting contact', () => {
+    it('should bring a box to rest on four points within the slop', () => {
+      const world: any = createWorld();
+      const crate = createCrate(world, 1, 0.3);
+
+      for (let i = 0; i < 300; i++) {
+        world.simulate(1 / 60);
+      }
+
+      const [contact]: any[] = Array.from(world.manifolds.values());
+      expect(contact.points).toHaveLength(4);
+      expect(contact.getPenetration()).toBeLessThan(ContactSettings.slop * 2);
+      expect(crate.position.y).toBeCloseTo(0.5, 1);
+      expect(crate.velocity.length()).toBeLessThan(0.01);
+    });
+
+    it('should settle a stack of rotated crates without sinking', () => {
+      const world: any = createWorld();
+      const crates = [0, 1, 2, 3].map(i => createCrate(world, 0.51 + i, i * 0.4));
+
+      for (let i = 0; i < 600; i++) {
+        world.simulate(1 / 60);
+      }
+
+      crates.forEach((crate, i) => {
+        expect(Math.abs(crate.position.y - (0.5 + i))).toBeLessThan(0.05);
+        expect(Math.hypot(crate.position.x, crate.position.z)).toBeLessThan(0.05);
+        expect(crate.velocity.length()).toBeLessThan(0.05);
+      });
+      const penetration = Math.max(...Array.from(world.manifolds.values()).map((m: any) => m.getPenetration()));
+      expect(penetration).toBeLessThan(0.03);
+    });
+
+    it('should rest a sphere at its radius above the ground', () => {
+      const world: any = createWorld();
+      const ball = world.addBody({
+        mass: 1,
+        restitution: 0,
+        position: new Vector3(0, 2, 0),
+        collider: { type: 'sphere', radius: 0.5 }
+      });
+
+      for (let i = 0; i < 300; i++) {
+        world.simulate(1 / 60);
+      }
+
+      expect(ball.position.y).toBeCloseTo(0.5, 1);
+      const [contact]: any[] = Array.from(world.manifolds.values());
+      expect(contact.getPenetration()).toBeLessThan(0.02);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import { CollisionShapes, CollisionDetector, gjk, epa, collideBoxes, collideConvex } from '../../../src/physics/index';
+import { Vector3, Quaternion } from '../../../src/core/math/index';
+
+const rotation = (x: number, y: number, z: number, angle: number) =>
+  new Quaternion().setFromAxisAngle(new Vector3(x, y, z).normalize(), angle);
+
+const createCube = (center: Vector3, halfSize = 0.5, orientation = new Quaternion()) =>
+  CollisionShapes.createOBB(center, new Vector3(halfSize, halfSize, halfSize), orientation);
+
+describe('ConvexCollision', () => {
+  describe('collideBoxes', () => {
+    const ground = CollisionShapes.createOBB(new Vector3(0, 0, 0), new Vector3(5, 0.5, 5), new Quaternion());
+
+    it('should clip a box resting on a face to four points', () => {
+      const box = createCube(new Vector3(0, 0.95, 0), 0.5, rotation(0, 1, 0, 0.7));
+
+      const contact: any = collideBoxes(ground, box);
+
+      expect(contact.normal.y).toBeCloseTo(1, 5);
+      expect(contact.penetration).toBeCloseTo(0.05, 4);
+      expect(contact.points).toHaveLength(4);
+      for (const point of contact.points) {
+        expect(point.penetration).toBeCloseTo(0.05, 4);
+        expect(point.position.y).toBeCloseTo(0.475, 3);
+      }
+    });
+
+    it('should point the normal from the first box to the second', () => {
+      const box = createCube(new Vector3(0, 0.95, 0));
+
+      const contact: any = collideBoxes(box, ground);
+
+      expect(contact.normal.y).toBeCloseTo(-1, 5);
+      expect(contact.penetration).toBeCloseTo(0.05, 4);
+    });
+
+    it('should find an edge contact between crossed boxes', () => {
+      const a = createCube(new Vector3(0, 0, 0), 0.5, rotation(1, 0, 0, Math.PI / 4));
+      const b = createCube(new Vector3(0, 1.3, 0), 0.5, rotation(0, 0, 1, Math.PI / 4));
+
+      const contact: any = collideBoxes(a, b);
+
+      // Both edges reach sqrt(0.5) from their centers, 1.3 apart
+      expect(contact.points).toHaveLength(1);
+      expect(contact.normal.y).toBeCloseTo(1, 4);
+      expect(contact.penetration).toBeCloseTo(2 * Math.SQRT1_2 - 1.3, 4);
+      expect(contact.contactPoint.y).toBeCloseTo(0.65, 3);
+    });
+
+    it('should return null when a separating axis exists', () => {
+      const tilted = createCube(new Vector3(3, 3, 0), 0.5, rotation(1, 1, 0, 0.5));
+
+      expect(collideBoxes(ground, tilted)).toBeNull();
+      expect(CollisionDetector.testCollision(ground, tilted)).toBeNull();
+    });
+  });
+
+  describe('gjk', () => {
+    it('should measure the distance between separated shapes', () => {
+      const sphere = CollisionShapes.createSphere(new Vector3(0, 0, 0), 1);
+      const capsule = CollisionShapes.createCapsule(new Vector3(3, 0, 0), 0.5, 1);
+
+      const result: any = gjk(sphere, capsule, { margins: true });
+
+      expect(result.overlap).toBe(false);
+      expect(result.distance).toBeCloseTo(1.5, 4);
+      expect(result.pointA.x).toBeCloseTo(1, 4);
+      expect(result.pointB.x).toBeCloseTo(2.5, 4);
+    });
+
+    it('should measure core shapes without their margins', () => {
+      const sphere = CollisionShapes.createSphere(new Vector3(0, 0, 0), 1);
+      const capsule = CollisionShapes.createCapsule(new Vector3(3, 0, 0), 0.5, 1);
+
+      expect((gjk(sphere, capsule) as any).distance).toBeCloseTo(3, 4);
+    });
+
+    it('should report overlapping shapes', () => {
+      const a = createCube(new Vector3(0, 0, 0));
+      const b = createCube(new Vector3(0.5, 0.2, 0), 0.5, rotation(0, 1, 0, 0.3));
+
+      expect(gjk(a, b).overlap).toBe(true);
+    });
+  });
+
+  describe('epa', () => {
+    const box = CollisionShapes.createOBB(new Vector3(0, 0, 0), new Vector3(1, 1, 1), new Quaternion());
+
+    it('should find the penetration depth and direction of overlapping hulls', () => {
+      const hull = CollisionShapes.createConvexHull([
+        new Vector3(-1, -1, -1), new Vector3(1, -1, -1), new Vector3(-1, 1, -1), new Vector3(1, 1, -1),
+        new Vector3(-1, -1, 1), new Vector3(1, -1, 1), new Vector3(-1, 1, 1), new Vector3(1, 1, 1), new Vector3(0, 0, 0)
+      ], new Vector3(1.8, 0, 0));
+
+      const result: any = epa(box, hull);
+
+      expect(result.depth).toBeCloseTo(0.2, 4);
+      expect(result.normal.x).toBeCloseTo(1, 4);
+      expect(result.pointA.x).toBeCloseTo(1, 3);
+      expect(result.pointB.x).toBeCloseTo(0.8, 3);
+    });
+
+    it('should return null for shapes that do not overlap', () => {
+      expect(epa(box, createCube(new Vector3(3, 0, 0)))).toBeNull();
+    });
+  });
+
+  describe('collideConvex', () => {
+    it('should collide a cylinder resting on a box', () => {
+      const box = CollisionShapes.createOBB(new Vector3(0, 0, 0), new Vector3(1, 1, 1), new Quaternion());
+      const cylinder = CollisionShapes.createCylinder(new Vector3(0, 1.4, 0), 0.5, 0.5);
+
+      const contact: any = CollisionDetector.testCollision(box, cylinder);
+
+      expect(contact.penetration).toBeCloseTo(0.1, 3);
+      expect(contact.normal.y).toBeCloseTo(1, 3);
+      expect(contact.points).toHaveLength(1);
+    });
+
+    it('should collide a sphere with the side of a capsule', () => {
+      const sphere = CollisionShapes.createSphere(new Vector3(0, 0, 0), 1);
+      const capsule = CollisionShapes.createCapsule(new Vector3(0, 0, 1.2), 0.5, 1, rotation(1, 0, 0, Math.PI / 2));
+
+      const contact: any = CollisionDetector.testCollision(sphere, capsule);
+
+      expect(contact.penetration).toBeCloseTo(1.3, 3);
+      expect(contact.normal.z).toBeCloseTo(1, 3);
+    });
+
+    it('should collide capsules through their margins without core overlap', () => {
+      const a = CollisionShapes.createCapsule(new Vector3(0, 0, 0), 0.5, 1);
+      const b = CollisionShapes.createCapsule(new Vector3(0.9, 0, 0), 0.5, 1);
+
+      const contact: any = collideConvex(a, b);
+
+      expect(contact.normal.x).toBeCloseTo(1, 4);
+      expect(contact.penetration).toBeCloseTo(0.1, 4);
+      expect(contact.contactPoint.x).toBeCloseTo(0.45, 4);
+    });
+
+    it('should return null when the margins do not touch', () => {
+      const a = CollisionShapes.createCapsule(new Vector3(0, 0, 0), 0.5, 1);
+      const cylinder = CollisionShapes.createCylinder(new Vector3(1.6, 0, 0), 0.5, 0.5);
+
+      expect(collideConvex(a, cylinder)).toBeNull();
+    });
+  });
+});
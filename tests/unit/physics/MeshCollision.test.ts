@@ -0,0 +1,244 @@
+import { PhysicsSystem, CollisionShapes, TriangleMesh, Heightfield } from '../../../src/physics/index';
+import { raycastMesh } from '../../../src/physics/MeshCollision';
+import { Vector3, Quaternion } from '../../../src/core/math/index';
+
+// n x n grid over size x size at y = height(x, z), as an indexed triangle list
+const createGrid = (n: number, size: number, height: (x: number, z: number) => number) => {
+  const positions: number[] = [];
+  const indices: number[] = [];
+  for (let row = 0; row <= n; row++) {
+    for (let column = 0; column <= n; column++) {
+      const x = -size / 2 + column * size / n;
+      const z = -size / 2 + row * size / n;
+      positions.push(x, height(x, z), z);
+    }
+  }
+  for (let row = 0; row < n; row++) {
+    for (let column = 0; column < n; column++) {
+      const a = row * (n + 1) + column;
+      const b = a + n + 1;
+      indices.push(a, b, a + 1, b, b + 1, a + 1);
+    }
+  }
+  return { positions, indices };
+};
+
+const down = new Vector3(0, -1, 0);
+
+describe('MeshCollision', () => {
+  describe('TriangleMesh', () => {
+    it('should read indexed positions', () => {
+      const mesh = new TriangleMesh(createGrid(20, 20, () => 0));
+
+      expect(mesh.triangleCount).toBe(800);
+      expect(mesh.getBounds().min.x).toBeCloseTo(-10);
+      expect(mesh.getBounds().max.z).toBeCloseTo(10);
+    });
+
+    it('should read a triangle list and bake the scale', () => {
+      const mesh = new TriangleMesh({ positions: [0, 0, 0, 1, 0, 0, 0, 0, 1] }, { scale: { x: 2, y: 2, z: 2 } });
+
+      expect(mesh.triangleCount).toBe(1);
+      expect(Array.from(mesh.positions)).toEqual([0, 0, 0, 2, 0, 0, 0, 0, 2]);
+    });
+
+    it('should reject sources without a triangle', () => {
+      expect(() => new TriangleMesh({ positions: [0, 0, 0, 1, 0, 0] })).toThrow('at least one triangle');
+    });
+
+    it('should find the same triangles through the BVH as by testing them all', () => {
+      const mesh = new TriangleMesh(createGrid(20, 20, (x, z) => Math.sin(x) * Math.cos(z)));
+      const min = new Vector3(-2.3, -1, 1.1);
+      const max = new Vector3(0.4, 1, 3.6);
+
+      const found: number[] = [];
+      mesh.queryTriangles(min, max, (_a: any, _b: any, _c: any, index: number) => found.push(index));
+
+      const expected: number[] = [];
+      for (let i = 0; i < mesh.triangleCount; i++) {
+        const vertices = mesh.getTriangle(i);
+        const overlaps = ['x', 'y', 'z'].every(axis =>
+          Math.min(...vertices.map((v: any) => v[axis])) <= (max as any)[axis] &&
+          Math.max(...vertices.map((v: any) => v[axis])) >= (min as any)[axis]);
+        if (overlaps) expected.push(i);
+      }
+      expect(found.sort((a, b) => a - b)).toEqual(expected);
+      expect(found.length).toBeLessThan(mesh.triangleCount / 4);
+    });
+
+    it('should raycast the nearest triangle with its normal facing the ray', () => {
+      const mesh = new TriangleMesh(createGrid(20, 20, () => 0));
+
+      const hit: any = mesh.raycast(new Vector3(3.3, 5, -2.7), down);
+      const below: any = mesh.raycast(new Vector3(3.3, -2, -2.7), new Vector3(0, 1, 0));
+
+      expect(hit.distance).toBeCloseTo(5, 6);
+      expect(hit.normal.y).toBeCloseTo(1, 6);
+      expect(below.distance).toBeCloseTo(2, 6);
+      expect(below.normal.y).toBeCloseTo(-1, 6);
+      expect(mesh.raycast(new Vector3(30, 5, 0), down)).toBeNull();
+      expect(mesh.raycast(new Vector3(0, 5, 0), down, 4)).toBeNull();
+    });
+
+    it('should raycast the closer of two layers', () => {
+      const lower = createGrid(4, 4, () => 0);
+      const upper = createGrid(4, 4, () => 2);
+      const offset = lower.positions.length / 3;
+      const mesh = new TriangleMesh({
+        positions: [...lower.positions, ...upper.positions],
+        indices: [...lower.indices, ...upper.indices.map(i => i + offset)]
+      });
+
+      expect((mesh.raycast(new Vector3(0.5, 5, 0.5), down) as any).distance).toBeCloseTo(3, 6);
+      expect((mesh.raycast(new Vector3(0.5, 1, 0.5), down) as any).distance).toBeCloseTo(1, 6);
+    });
+  });
+
+  describe('Heightfield', () => {
+    // 4 x 4 cells over 8 x 8, sloping up along +X: local height = x / 2 + 2
+    const createSlope = () => {
+      const heights: number[] = [];
+      for (let row = 0; row <= 4; row++) {
+        for (let column = 0; column <= 4; column++) {
+          heights.push(column * 2);
+        }
+      }
+      return new Heightfield(heights, { width: 8, depth: 8, heightScale: 0.5 });
+    };
+
+    it('should lay the grid out around its center', () => {
+      const heightfield = createSlope();
+
+      expect(heightfield.widthSegments).toBe(4);
+      expect(heightfield.depthSegments).toBe(4);
+      expect(heightfield.getBounds().min.x).toBe(-4);
+      expect(heightfield.getBounds().max.y).toBe(4);
+      expect(heightfield.getHeightAt(1, 1)).toBeCloseTo(2.5, 5);
+      expect(heightfield.getHeightAt(-4, 3.9)).toBeCloseTo(0, 5);
+      expect(heightfield.getHeightAt(10, 0)).toBeNull();
+    });
+
+    it('should reject too few heights', () => {
+      expect(() => new Heightfield([0, 0, 0], { widthSegments: 2, depthSegments: 2 })).toThrow('Heightfield needs');
+    });
+
+    it('should raycast along the grid through the cells', () => {
+      const heightfield = createSlope();
+
+      // y = 3 where x = 2
+      const hit: any = heightfield.raycast(new Vector3(-10, 3, 0.3), new Vector3(1, 0, 0));
+
+      expect(hit.distance).toBeCloseTo(12, 5);
+      expect(hit.normal.y).toBeGreaterThan(0);
+      expect(hit.normal.x).toBeLessThan(0);
+      expect(heightfield.raycast(new Vector3(-10, 10, 0), new Vector3(1, 0, 0))).toBeNull();
+    });
+
+    it('should raycast diagonally across cells', () => {
+      const heightfield = new Heightfield(new Array(25).fill(1), { width: 8, depth: 8 });
+      const direction = new Vector3(1, -0.5, 1).normalize();
+
+      const hit: any = heightfield.raycast(new Vector3(-3.5, 3, -3.5), direction);
+
+      // Reaches y = 1 after 4 units along X and Z
+      expect(hit.distance).toBeCloseTo(Math.hypot(4, 2, 4), 5);
+      expect(hit.normal.y).toBeCloseTo(1, 5);
+    });
+  });
+
+  describe('raycastMesh', () => {
+    it('should move the ray into the frame of the collider', () => {
+      const shape = {
+        center: new Vector3(0, 5, 0),
+        orientation: new Quaternion().setFromAxisAngle(new Vector3(0, 0, 1), Math.PI / 2),
+        source: new TriangleMesh(createGrid(4, 4, () => 0))
+      };
+
+      // The floor stands as a wall at x = 0 after the quarter turn
+      const hit: any = raycastMesh(shape, new Vector3(-3, 5.5, 0.5), new Vector3(1, 0, 0));
+
+      expect(hit.distance).toBeCloseTo(3, 5);
+      expect(hit.normal.x).toBeCloseTo(-1, 5);
+      expect(raycastMesh(shape, new Vector3(-3, 0, 0.5), new Vector3(1, 0, 0))).toBeNull();
+    });
+  });
+
+  describe('in a PhysicsSystem', () => {
+    it('should rest bodies on a mesh floor and a heightfield', () => {
+      const world = new PhysicsSystem();
+      world.addBody({ isStatic: true, collider: CollisionShapes.createTriangleMesh(createGrid(10, 20, () => 0)) });
+      world.addBody({
+        isStatic: true,
+        position: new Vector3(40, 0, 0),
+        collider: CollisionShapes.createHeightfield(new Array(25).fill(1), { width: 8, depth: 8 })
+      });
+      const box = world.addBody({
+        mass: 1,
+        restitution: 0,
+        position: new Vector3(0.3, 1, 0.2),
+        rotation: new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), 0.6),
+        collider: { type: 'obb', halfExtents: new Vector3(0.5, 0.5, 0.5) }
+      });
+      const ball = world.addBody({ mass: 1, restitution: 0, position: new Vector3(40, 3, 0), collider: { type: 'sphere', radius: 0.5 } });
+      const cylinder = world.addBody({
+        mass: 1,
+        restitution: 0,
+        position: new Vector3(3, 2, 3),
+        collider: { type: 'cylinder', radius: 0.4, halfHeight: 0.5 }
+      });
+
+      for (let i = 0; i < 300; i++) {
+        world.simulate(1 / 60);
+      }
+
+      expect(Math.abs(box.position.y - 0.5)).toBeLessThan(0.02);
+      expect(box.velocity.length()).toBeLessThan(0.05);
+      expect(ball.position.y).toBeCloseTo(1.5, 1);
+      expect(cylinder.position.y).toBeCloseTo(0.5, 1);
+    });
+
+    it('should slide a sphere down a sloped mesh without catching on interior edges', () => {
+      const world = new PhysicsSystem();
+      world.addBody({ isStatic: true, collider: CollisionShapes.createTriangleMesh(createGrid(16, 32, x => -0.3 * x)) });
+      const sphere = world.addBody({
+        mass: 1,
+        friction: 0,
+        restitution: 0,
+        position: new Vector3(-10, 3.6, 0),
+        collider: { type: 'sphere', radius: 0.5 }
+      });
+
+      for (let i = 0; i < 120; i++) {
+        world.simulate(1 / 60);
+      }
+
+      expect(sphere.position.x).toBeGreaterThan(-8);
+      const distance = (sphere.position.y + 0.3 * sphere.position.x) / Math.sqrt(1 + 0.09);
+      expect(distance).toBeGreaterThan(0.45);
+      expect(distance).toBeLessThan(0.55);
+    });
+
+    it('should raycast the bodies of meshes and heightfields', () => {
+      const world = new PhysicsSystem();
+      const floor = world.addBody({ isStatic: true, collider: CollisionShapes.createTriangleMesh(createGrid(10, 20, () => 0)) });
+      const terrain = world.addBody({
+        isStatic: true,
+        position: new Vector3(40, 0, 0),
+        collider: CollisionShapes.createHeightfield(new Array(25).fill(1), { width: 8, depth: 8 })
+      });
+
+      const floorHit = world.raycast(new Vector3(5, 10, 5), down).find((hit: any) => hit.body === floor);
+      const terrainHit = world.raycast(new Vector3(42, 10, 1), down).find((hit: any) => hit.body === terrain);
+
+      expect(floorHit.distance).toBeCloseTo(10, 5);
+      expect(terrainHit.distance).toBeCloseTo(9, 5);
+      expect(world.raycast(new Vector3(20, 10, 0), down)).toHaveLength(0);
+    });
+
+    it('should only accept mesh colliders on static or kinematic bodies', () => {
+      const world = new PhysicsSystem();
+
+      expect(() => world.addBody({ mass: 1, collider: CollisionShapes.createHeightfield([0, 0, 0, 0]) })).toThrow();
+    });
+  });
+});
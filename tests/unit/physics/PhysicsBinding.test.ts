@@ -0,0 +1,168 @@
+import { PhysicsSystem } from '../../../src/physics/index';
+import { getObjectPose } from '../../../src/physics/PhysicsBinding';
+import { Vector3, Quaternion } from '../../../src/core/math/index';
+import { Object3D } from '../../../src/core/Object3D';
+
+const createSystem = () => {
+  const system = new PhysicsSystem();
+  system.setGravity(new Vector3(0, 0, 0));
+  return system;
+};
+
+const expectPosition = (object: any, x: number, y: number, z: number) => {
+  const position = object.getWorldPosition();
+  expect(position.x).toBeCloseTo(x, 4);
+  expect(position.y).toBeCloseTo(y, 4);
+  expect(position.z).toBeCloseTo(z, 4);
+};
+
+describe('PhysicsBinding', () => {
+  describe('dynamic bodies', () => {
+    it('should move the object smoothly between steps', () => {
+      const system = createSystem();
+      const body = system.addBody({ mass: 1, position: new Vector3(0, 0, 0), linearDamping: 1 });
+      body.velocity.set(6, 0, 0);
+      const object = new Object3D();
+      system.attach(body, object);
+      system.start();
+
+      let last = 0;
+      let maxJump = 0;
+      for (let i = 0; i < 144; i++) {
+        system.step(1 / 144);
+        expect(object.position.x).toBeGreaterThanOrEqual(last - 1e-9);
+        maxJump = Math.max(maxJump, object.position.x - last);
+        last = object.position.x;
+      }
+
+      expect(last).toBeGreaterThan(5.8);
+      expect(maxJump).toBeLessThan(6 / 144 * 1.01);
+      expect(typeof object.rotation.w).toBe('number');
+    });
+
+    it('should place an object under a rotated parent at the body', () => {
+      const system = createSystem();
+      const parent = new Object3D();
+      parent.setPosition(10, 0, 0);
+      parent.setRotation(0, Math.PI / 2, 0);
+      const child = new Object3D();
+      parent.addChild(child);
+
+      system.attach(system.addBody({ position: new Vector3(10, 0, -3) }), child);
+
+      expectPosition(child, 10, 0, -3);
+    });
+
+    it('should place an object under a scaled parent at the body', () => {
+      const system = createSystem();
+      const parent = new Object3D();
+      parent.setPosition(5, 0, 0);
+      parent.setScale(2, 2, 2);
+      const child = new Object3D();
+      parent.addChild(child);
+
+      system.attach(system.addBody({ position: new Vector3(1, 0, 0) }), child);
+
+      expectPosition(child, 1, 0, 0);
+      expect(child.scale).toEqual({ x: expect.closeTo(1, 5), y: expect.closeTo(1, 5), z: expect.closeTo(1, 5) });
+    });
+
+    it('should place an object nested under scaled and rotated parents at the body', () => {
+      const system = createSystem();
+      const root = new Object3D();
+      root.setPosition(5, 0, 0);
+      root.setScale(2, 2, 2);
+      const middle = new Object3D();
+      middle.setPosition(0, 3, 0);
+      middle.setRotation(0, 0, Math.PI / 4);
+      middle.setScale(0.5, 0.5, 0.5);
+      root.addChild(middle);
+      const child = new Object3D();
+      child.setScale(3, 3, 3);
+      middle.addChild(child);
+      const worldScale = child.getWorldScale();
+
+      const rotation = new Quaternion().setFromAxisAngle(new Vector3(0, 1, 0), 0.5);
+      const body = system.addBody({ mass: 1, position: new Vector3(1, 2, -4), rotation });
+      system.attach(body, child, { interpolate: false });
+
+      expectPosition(child, 1, 2, -4);
+      expect(Math.abs(getObjectPose(child).rotation.dot(rotation))).toBeCloseTo(1, 5);
+      expect(child.getWorldScale().x).toBeCloseTo(worldScale.x, 4);
+
+      // Following poses stay in place as the body moves
+      body.velocity.set(0, 0, 3);
+      system.start();
+      for (let i = 0; i < 60; i++) {
+        system.step(1 / 60);
+      }
+      expectPosition(child, body.position.x, body.position.y, body.position.z);
+      expect(child.scale.x).toBeCloseTo(3, 4);
+    });
+  });
+
+  describe('kinematic bodies', () => {
+    it('should follow the object and push dynamic bodies', () => {
+      const system = createSystem();
+      const platform = new Object3D();
+      const kinematic = system.addBody({
+        isKinematic: true,
+        collider: { type: 'obb', halfExtents: new Vector3(0.5, 0.5, 0.5) }
+      });
+      system.attach(kinematic, platform);
+      const ball = system.addBody({
+        mass: 1,
+        position: new Vector3(1.2, 0, 0),
+        collider: { type: 'sphere', radius: 0.5 },
+        linearDamping: 1
+      });
+      system.start();
+
+      for (let i = 0; i < 60; i++) {
+        platform.setPosition(i * 0.05, 0, 0);
+        system.step(1 / 60);
+      }
+
+      expect(kinematic.position.x).toBeCloseTo(59 * 0.05, 4);
+      expect(kinematic.velocity.x).toBeCloseTo(3, 3);
+      expect(ball.position.x).toBeGreaterThan(kinematic.position.x + 0.9);
+
+      platform.setRotation(0, 0, 0.3);
+      system.step(1 / 60);
+      expect(Math.abs(kinematic.angularVelocity.z)).toBeCloseTo(18, 2);
+    });
+
+    it('should move the object when the body is moved from code', () => {
+      const system = createSystem();
+      const parent = new Object3D();
+      parent.setPosition(5, 0, 0);
+      parent.setScale(2, 2, 2);
+      const platform = new Object3D();
+      parent.addChild(platform);
+      const kinematic = system.addBody({ isKinematic: true });
+      system.attach(kinematic, platform);
+      system.start();
+
+      kinematic.setPosition(new Vector3(-5, 0, 0));
+      system.step(1 / 60);
+      expectPosition(platform, -5, 0, 0);
+
+      system.step(1 / 60);
+      expect(kinematic.position.x).toBeCloseTo(-5, 4);
+    });
+
+    it('should stop syncing detached and removed bodies', () => {
+      const system = createSystem();
+      const platform = new Object3D();
+      system.attach(system.addBody({ isKinematic: true }), platform);
+      const ball = system.addBody({ mass: 1 });
+      system.attach(ball, new Object3D());
+
+      system.detach(platform);
+      expect(system.bindings.size).toBe(1);
+
+      system.removeBody(ball);
+      expect(system.bindings.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,302 @@
+import { CubeTexture } from '../../../src/rendering/CubeTexture';
+import { PMREMGenerator } from '../../../src/rendering/EnvironmentMap';
+import { EXRDecoder } from '../../../src/textures/EXRDecoder';
+import { WebGLResources } from '../../../src/core/WebGLResources';
+
+const GL = {
+  TEXTURE_CUBE_MAP: 0x8513,
+  TEXTURE_CUBE_MAP_POSITIVE_X: 0x8515,
+  TEXTURE_CUBE_MAP_NEGATIVE_X: 0x8516,
+  TEXTURE_CUBE_MAP_POSITIVE_Y: 0x8517,
+  TEXTURE_CUBE_MAP_NEGATIVE_Y: 0x8518,
+  TEXTURE_CUBE_MAP_POSITIVE_Z: 0x8519,
+  TEXTURE_CUBE_MAP_NEGATIVE_Z: 0x851a,
+  TEXTURE0: 0x84c0,
+  TEXTURE_MIN_FILTER: 0x2801,
+  TEXTURE_MAG_FILTER: 0x2800,
+  TEXTURE_WRAP_S: 0x2802,
+  TEXTURE_WRAP_T: 0x2803,
+  CLAMP_TO_EDGE: 0x812f,
+  NEAREST: 0x2600,
+  LINEAR: 0x2601,
+  NEAREST_MIPMAP_NEAREST: 0x2700,
+  LINEAR_MIPMAP_LINEAR: 0x2703,
+  RGBA: 0x1908,
+  UNSIGNED_BYTE: 0x1401,
+  FLOAT: 0x1406,
+  FRAMEBUFFER: 0x8d40,
+  FRAMEBUFFER_BINDING: 0x8ca6,
+  FRAMEBUFFER_COMPLETE: 0x8cd5,
+  COLOR_ATTACHMENT0: 0x8ce0,
+  MAX_SAMPLES: 0x8d57
+};
+
+const GL2 = { ...GL, HALF_FLOAT: 0x140b, RGBA16F: 0x881a, RGBA32F: 0x8814 };
+
+const HALF_FLOAT_OES = 0x8d61;
+
+// Direction through face texel (s, t) in [-1, 1], from the face selection table of the GL spec
+const FACE_DIRECTIONS = [
+  (s: number, t: number) => [1, -t, -s],
+  (s: number, t: number) => [-1, -t, s],
+  (s: number, t: number) => [s, 1, t],
+  (s: number, t: number) => [s, -1, -t],
+  (s: number, t: number) => [s, -t, 1],
+  (s: number, t: number) => [-s, -t, -1]
+];
+
+class WebGL2Context {}
+
+/**
+ * Context that records texture uploads; WebGL2 contexts have the float formats built in
+ */
+const createGL = (webgl2: boolean, extensions: string[] = []) => {
+  const uploads: any[] = [];
+  let framebuffer: any = null;
+  let id = 0;
+
+  const methods: Record<string, (...args: any[]) => any> = {
+    createTexture: () => ({ id: ++id }),
+    createFramebuffer: () => ({ id: ++id }),
+    createRenderbuffer: () => ({ id: ++id }),
+    bindFramebuffer: (_target: number, value: any) => { framebuffer = value; },
+    getParameter: (name: number) => (name === GL.FRAMEBUFFER_BINDING ? framebuffer : name === GL.MAX_SAMPLES ? 4 : null),
+    checkFramebufferStatus: () => GL.FRAMEBUFFER_COMPLETE,
+    getExtension: (name: string) => (extensions.includes(name) ? {} : null),
+    texImage2D: (target: number, level: number, internalFormat: number, width: number, height: number, _border: number, _format: number, type: number, data: any) => {
+      uploads.push({ face: target - GL.TEXTURE_CUBE_MAP_POSITIVE_X, level, internalFormat, size: width, type, data });
+    }
+  };
+
+  const gl: any = Object.assign(webgl2 ? new WebGL2Context() : {}, webgl2 ? GL2 : GL);
+  for (const name of ['activeTexture', 'bindTexture', 'texParameteri', 'generateMipmap', 'framebufferTexture2D', 'deleteTexture', 'deleteFramebuffer']) {
+    gl[name] = jest.fn();
+  }
+  for (const [name, method] of Object.entries(methods)) {
+    gl[name] = jest.fn(method);
+  }
+
+  const upload = (face: number, level: number) => uploads.filter(u => u.face === face && u.level === level && u.data).pop();
+  return { gl, uploads, upload };
+};
+
+// Equirectangular image whose texels hold the unit direction they face, as the cube mapping reads it
+const createDirectionPanorama = (width: number, height: number) => {
+  const data = new Float32Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const latitude = (0.5 - (y + 0.5) / height) * Math.PI;
+    for (let x = 0; x < width; x++) {
+      const longitude = ((x + 0.5) / width - 0.5) * 2 * Math.PI;
+      data.set([Math.cos(latitude) * Math.cos(longitude), Math.sin(latitude), Math.cos(latitude) * Math.sin(longitude), 1], (y * width + x) * 4);
+    }
+  }
+  return data;
+};
+
+const createUniformPanorama = (value: number) => ({ data: new Float32Array(8 * 4 * 4).fill(value), width: 8, height: 4, channels: 4 });
+
+const texelDirection = (face: number, i: number, j: number, size: number) => {
+  const d = FACE_DIRECTIONS[face]((2 * (i + 0.5)) / size - 1, (2 * (j + 0.5)) / size - 1);
+  const length = Math.hypot(d[0], d[1], d[2]);
+  return d.map(v => v / length);
+};
+
+describe('CubeTexture.fromEquirectangularPixels', () => {
+  const originalWebGL2 = (global as any).WebGL2RenderingContext;
+
+  beforeEach(() => {
+    (global as any).WebGL2RenderingContext = WebGL2Context;
+  });
+
+  afterEach(() => {
+    (global as any).WebGL2RenderingContext = originalWebGL2;
+  });
+
+  it('should project every texel onto the panorama in its GL face direction', () => {
+    const { gl, upload } = createGL(true);
+    const size = 4;
+
+    CubeTexture.fromEquirectangularPixels(gl, { data: createDirectionPanorama(128, 64), width: 128, height: 64, channels: 4 }, size);
+
+    for (let face = 0; face < 6; face++) {
+      const { data } = upload(face, 0);
+      for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+          const expected = texelDirection(face, i, j, size);
+          for (let c = 0; c < 3; c++) {
+            expect(Math.abs(data[(j * size + i) * 4 + c] - expected[c])).toBeLessThan(0.05);
+          }
+        }
+      }
+    }
+  });
+
+  it('should keep float data in a float texture and filter it only when the context can', () => {
+    const panorama = createUniformPanorama(4);
+
+    const unfiltered = createGL(true);
+    const cube = CubeTexture.fromEquirectangularPixels(unfiltered.gl, panorama, 2);
+    expect(cube.type).toBe(GL.FLOAT);
+    expect(cube.internalFormat).toBe(GL2.RGBA32F);
+    expect(cube.minFilter).toBe(GL.NEAREST);
+    expect(unfiltered.upload(0, 0).data).toBeInstanceOf(Float32Array);
+    expect(Array.from(unfiltered.upload(0, 0).data.slice(0, 4))).toEqual([4, 4, 4, 4]);
+    expect(unfiltered.gl.generateMipmap).not.toHaveBeenCalled();
+
+    const filtered = createGL(true, ['OES_texture_float_linear']);
+    expect(CubeTexture.fromEquirectangularPixels(filtered.gl, panorama, 2).minFilter).toBe(GL.LINEAR_MIPMAP_LINEAR);
+    expect(filtered.gl.generateMipmap).toHaveBeenCalled();
+    expect(cube.isLoaded).toBe(true);
+  });
+
+  it('should upload half floats with the HALF_FLOAT type of the context', () => {
+    const half = new Uint16Array(8 * 4 * 4).fill(EXRDecoder.floatToHalf(2.5));
+    const panorama = { data: half, width: 8, height: 4, channels: 4 };
+
+    const webgl2 = createGL(true);
+    const cube = CubeTexture.fromEquirectangularPixels(webgl2.gl, panorama, 2);
+    expect(cube.type).toBe(GL2.HALF_FLOAT);
+    expect(cube.internalFormat).toBe(GL2.RGBA16F);
+    expect(EXRDecoder.halfToFloat(webgl2.upload(2, 0).data[0])).toBe(2.5);
+
+    const webgl1 = createGL(false, ['OES_texture_half_float']);
+    const cube1 = CubeTexture.fromEquirectangularPixels(webgl1.gl, panorama, 2);
+    expect(cube1.type).toBe(HALF_FLOAT_OES);
+    expect(cube1.internalFormat).toBe(GL.RGBA);
+    expect(cube1.minFilter).toBe(GL.NEAREST);
+  });
+
+  it('should convert 8-bit RGB data to opaque RGBA bytes', () => {
+    const { gl, upload } = createGL(false);
+    const data = new Uint8Array(8 * 4 * 3).fill(128);
+
+    const cube = CubeTexture.fromEquirectangularPixels(gl, { data, width: 8, height: 4, channels: 3 }, 2);
+
+    expect(cube.type).toBe(GL.UNSIGNED_BYTE);
+    expect(upload(4, 0).data).toBeInstanceOf(Uint8Array);
+    expect(Array.from(upload(4, 0).data.slice(0, 4))).toEqual([128, 128, 128, 255]);
+  });
+});
+
+describe('PMREMGenerator.prefilter', () => {
+  const originalWebGL2 = (global as any).WebGL2RenderingContext;
+
+  beforeEach(() => {
+    (global as any).WebGL2RenderingContext = WebGL2Context;
+  });
+
+  afterEach(() => {
+    (global as any).WebGL2RenderingContext = originalWebGL2;
+    jest.restoreAllMocks();
+  });
+
+  // Float environment, black but for a bright +Y face
+  const createSkyCubemap = (gl: any, size: number) => {
+    const cubemap = CubeTexture.fromEquirectangularPixels(gl, createUniformPanorama(0), size);
+    for (let face = 0; face < 6; face++) {
+      const data = new Float32Array(size * size * 4).fill(face === 2 ? 10 : 0);
+      for (let i = 3; i < data.length; i += 4) data[i] = 1;
+      cubemap.setFaceData(GL.TEXTURE_CUBE_MAP_POSITIVE_X + face, data, size, size);
+    }
+    return cubemap;
+  };
+
+  it('should fill the whole mip chain of the render target', () => {
+    const { gl, uploads } = createGL(true);
+    const pmrem = new PMREMGenerator(gl, { resolution: 8 });
+    const cubemap = CubeTexture.fromEquirectangularPixels(gl, createUniformPanorama(3), 8);
+    uploads.length = 0;
+
+    const renderTarget = pmrem.fromCubemap(cubemap);
+
+    const written = uploads.filter(u => u.data);
+    expect(written.map(u => `${u.level}:${u.size}`)).toEqual(
+      [0, 1, 2, 3].flatMap(level => Array(6).fill(`${level}:${8 >> level}`))
+    );
+    expect(written.every(u => u.type === GL.FLOAT && u.internalFormat === GL2.RGBA32F)).toBe(true);
+    expect(gl.texParameteri).toHaveBeenLastCalledWith(GL.TEXTURE_CUBE_MAP, GL.TEXTURE_MIN_FILTER, GL.NEAREST_MIPMAP_NEAREST);
+    expect(gl.bindTexture).toHaveBeenCalledWith(GL.TEXTURE_CUBE_MAP, renderTarget.texture);
+  });
+
+  it('should keep a uniform environment uniform at every roughness', () => {
+    const { gl, uploads } = createGL(true);
+    const pmrem = new PMREMGenerator(gl, { resolution: 8 });
+    const cubemap = CubeTexture.fromEquirectangularPixels(gl, createUniformPanorama(3), 8);
+    uploads.length = 0;
+
+    pmrem.fromCubemap(cubemap);
+
+    for (const { data } of uploads.filter(u => u.data)) {
+      for (const value of data) {
+        expect(value).toBeCloseTo(3, 4);
+      }
+    }
+  });
+
+  it('should copy the environment to the smooth level and spread it over the rough ones', () => {
+    const { gl, uploads, upload } = createGL(true);
+    const pmrem = new PMREMGenerator(gl, { resolution: 8 });
+    const cubemap = createSkyCubemap(gl, 8);
+    uploads.length = 0;
+
+    pmrem.fromCubemap(cubemap);
+
+    // Level 0 (roughness 0) is the environment itself
+    for (let face = 0; face < 6; face++) {
+      expect(upload(face, 0).data.every((v: number, i: number) => (i % 4 === 3 ? v === 1 : v === (face === 2 ? 10 : 0)))).toBe(true);
+    }
+
+    // Light from the +Y face reaches the top row of the +X face (t = -1 is toward +Y) once rough,
+    // more of it at higher roughness, and never the -Y face
+    const meanRed = (face: number, level: number) => {
+      const data = upload(face, level).data;
+      let sum = 0;
+      for (let i = 0; i < data.length; i += 4) sum += data[i];
+      return sum / (data.length / 4);
+    };
+    const positiveX = upload(0, 1).data;
+    const bottomLeft = 3 * 4 * 4;
+    expect(positiveX[0]).toBeGreaterThan(0);
+    expect(positiveX[bottomLeft]).toBeLessThan(positiveX[0]);
+    expect(meanRed(0, 2)).toBeGreaterThan(meanRed(0, 1));
+    expect(meanRed(0, 3)).toBeGreaterThan(meanRed(0, 2));
+    expect(Math.max(...upload(3, 1).data.filter((_: number, i: number) => i % 4 !== 3))).toBe(0);
+
+    // The bright face itself darkens as it mixes in the faces around it
+    expect(meanRed(2, 1)).toBeLessThan(10);
+    expect(meanRed(2, 3)).toBeLessThan(meanRed(2, 1));
+  });
+
+  it('should write half and byte levels in the format of the cubemap', () => {
+    const half = createGL(true);
+    const halfPanorama = { data: new Uint16Array(8 * 4 * 4).fill(EXRDecoder.floatToHalf(6)), width: 8, height: 4, channels: 4 };
+    new PMREMGenerator(half.gl, { resolution: 4 }).fromCubemap(CubeTexture.fromEquirectangularPixels(half.gl, halfPanorama, 4));
+
+    const halfLevel = half.upload(1, 2);
+    expect(halfLevel.type).toBe(GL2.HALF_FLOAT);
+    expect(halfLevel.data).toBeInstanceOf(Uint16Array);
+    expect(EXRDecoder.halfToFloat(halfLevel.data[0])).toBeCloseTo(6, 2);
+    expect(half.gl.texParameteri).toHaveBeenLastCalledWith(GL.TEXTURE_CUBE_MAP, GL.TEXTURE_MIN_FILTER, GL.LINEAR_MIPMAP_LINEAR);
+
+    const bytes = createGL(false);
+    const bytePanorama = { data: new Uint8Array(8 * 4 * 4).fill(200), width: 8, height: 4, channels: 4 };
+    new PMREMGenerator(bytes.gl, { resolution: 4 }).fromCubemap(CubeTexture.fromEquirectangularPixels(bytes.gl, bytePanorama, 4));
+
+    expect(bytes.upload(5, 1).data).toBeInstanceOf(Uint8Array);
+    expect(Array.from(bytes.upload(5, 1).data.slice(0, 4))).toEqual([200, 200, 200, 200]);
+  });
+
+  it('should leave the target untouched without retained face data', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { gl, uploads } = createGL(true);
+    WebGLResources.get(gl).retainData = false;
+    const cubemap = CubeTexture.fromEquirectangularPixels(gl, createUniformPanorama(1), 4);
+    const pmrem = new PMREMGenerator(gl, { resolution: 4 });
+    const renderTarget = pmrem.createRenderTarget(cubemap);
+    uploads.length = 0;
+
+    expect(pmrem.prefilter(cubemap, renderTarget)).toBe(false);
+    expect(uploads.filter(u => u.data)).toHaveLength(0);
+    expect(warn).toHaveBeenCalled();
+  });
+});
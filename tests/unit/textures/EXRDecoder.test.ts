@@ -0,0 +1,188 @@
+import { EXRDecoder, EXR_COMPRESSION } from '../../../src/textures/EXRDecoder';
+
+// 8x4 RGBA half-float image written by ImageMagick with each compression method. Its pixels
+// are R = x * 32, G = y * 64, B = ((x ^ y) * 29) & 255 and A = 255 - x * 16, over 255
+const COMPRESSED = {
+  rle: 'di8xAQIAAABjaGFubmVscwBjaGxpc3QASQAAAEEAAQAAAAAAAAABAAAAAQAAAEIAAQAAAAAAAAABAAAAAQAAAEcAAQAAAAAAAAABAAAAAQAAAFIAAQAAAAAAAAABAAAAAQAAAABjb21wcmVzc2lvbgBjb21wcmVzc2lvbgABAAAAAWRhdGFXaW5kb3cAYm94MmkAEAAAAAAAAAAAAAAABwAAAAMAAABkaXNwbGF5V2luZG93AGJveDJpABAAAAAAAAAAAAAAAAcAAAADAAAAbGluZU9yZGVyAGxpbmVPcmRlcgABAAAAAHBpeGVsQXNwZWN0UmF0aW8AZmxvYXQABAAAAAAAgD9zY3JlZW5XaW5kb3dDZW50ZXIAdjJmAAgAAAAAAAAAAAAAAHNjcmVlbldpbmRvd1dpZHRoAGZsb2F0AAQAAAAAAIA/AGsBAAAAAAAAqQEAAAAAAADpAQAAAAAAACgCAAAAAAAAAAAAADYAAADvAP8A/wD/AP8Ex4CuUsZoaSIHgPyEgIJ+AoHztX9/gH+Af4BIr4SCggKB/0YHgPywhIKCAoEBAAAAOAAAAO8A/wD/AP8A/0s59VLGOpeXDwaA+3yEgIJ+AoHvtX9/gH+Af4B3UbV+hX+Df3sGgPtMsISCggKBAgAAADcAAADvAP8A/wD/AP9LrgvHrmlpxvcGgPt8hICCfgKB8LV/f4B/gH+Ae4JLr4qBfYEHgPtIsISCggKBAwAAADgAAADvAP8A/wD/AP95UoA53peYOj8GgPt6hICCfgKB87V/f4B/gH+AfX58UboCf/+DBoD7RrCEgoICgQ==',
+  zips: 'di8xAQIAAABjaGFubmVscwBjaGxpc3QASQAAAEEAAQAAAAAAAAABAAAAAQAAAEIAAQAAAAAAAAABAAAAAQAAAEcAAQAAAAAAAAABAAAAAQAAAFIAAQAAAAAAAAABAAAAAQAAAABjb21wcmVzc2lvbgBjb21wcmVzc2lvbgABAAAAAmRhdGFXaW5kb3cAYm94MmkAEAAAAAAAAAAAAAAABwAAAAMAAABkaXNwbGF5V2luZG93AGJveDJpABAAAAAAAAAAAAAAAAcAAAADAAAAbGluZU9yZGVyAGxpbmVPcmRlcgABAAAAAHBpeGVsQXNwZWN0UmF0aW8AZmxvYXQABAAAAAAAgD9zY3JlZW5XaW5kb3dDZW50ZXIAdjJmAAgAAAAAAAAAAAAAAHNjcmVlbldpbmRvd1dpZHRoAGZsb2F0AAQAAAAAAIA/AGsBAAAAAAAApAEAAAAAAADlAQAAAAAAACYCAAAAAAAAAAAAADEAAAB4XmP4zwCGLMcb1gUdy8hUaoCCloamusbGxq319Q0g6LG+pakJyHeDyW+A8AH58R+8AQAAADkAAAB4XmP4zwCG3pZfg45ZTZ/O3wABNS0NTXWNjY1b6+sbQLA8cGtda31zfTVU3mdDS1NTY2MjAPuxH7wCAAAAOQAAAHheY/jPAIbe67iPr8vMPPa9AQJqWhqa6hobG7fW1zeAYHWT9/quxtpGqHSDx4aWpqbGxkYAK+AgvAMAAAA5AAAAeF5j+M8AhpVBDZb3ps+wsm+AgKqWhqa6xsbGrfX1DSBYW1cTuKu+vr4ZKu+2oaWpqbGxEQD78R+8',
+  zip: 'di8xAQIAAABjaGFubmVscwBjaGxpc3QASQAAAEEAAQAAAAAAAAABAAAAAQAAAEIAAQAAAAAAAAABAAAAAQAAAEcAAQAAAAAAAAABAAAAAQAAAFIAAQAAAAAAAAABAAAAAQAAAABjb21wcmVzc2lvbgBjb21wcmVzc2lvbgABAAAAA2RhdGFXaW5kb3cAYm94MmkAEAAAAAAAAAAAAAAABwAAAAMAAABkaXNwbGF5V2luZG93AGJveDJpABAAAAAAAAAAAAAAAAcAAAADAAAAbGluZU9yZGVyAGxpbmVPcmRlcgABAAAAAHBpeGVsQXNwZWN0UmF0aW8AZmxvYXQABAAAAAAAgD9zY3JlZW5XaW5kb3dDZW50ZXIAdjJmAAgAAAAAAAAAAAAAAHNjcmVlbldpbmRvd1dpZHRoAGZsb2F0AAQAAAAAAIA/AFMBAAAAAAAAAAAAAIgAAAB4XmP4zwCGLMcb1gUdy8hUaoCCloamusbGxkqovLfl16BjVtOn80Ola9Dl13EfX5eZeew7DvnKoAbLe9NnWNlD5aug8lvr6xtA0GN9S1MTkO8GlW/YAOE3QuXLA7fWtdY311dDpX3Q5KubvNd3NdY2wrR7oMnX1tUE7qqvr2+GyrtB5QGgcIC8',
+  piz: 'di8xAQIAAABjaGFubmVscwBjaGxpc3QASQAAAEEAAQAAAAAAAAABAAAAAQAAAEIAAQAAAAAAAAABAAAAAQAAAEcAAQAAAAAAAAABAAAAAQAAAFIAAQAAAAAAAAABAAAAAQAAAABjb21wcmVzc2lvbgBjb21wcmVzc2lvbgABAAAABGRhdGFXaW5kb3cAYm94MmkAEAAAAAAAAAAAAAAABwAAAAMAAABkaXNwbGF5V2luZG93AGJveDJpABAAAAAAAAAAAAAAAAcAAAADAAAAbGluZU9yZGVyAGxpbmVPcmRlcgABAAAAAHBpeGVsQXNwZWN0UmF0aW8AZmxvYXQABAAAAAAAgD9zY3JlZW5XaW5kb3dDZW50ZXIAdjJmAAgAAAAAAAAAAAAAAHNjcmVlbldpbmRvd1dpZHRoAGZsb2F0AAQAAAAAAIA/AFMBAAAAAAAAAAAAAAABAAAAPH87/zp+Ov45fTn9OHw4AABHL0czdTVHN404dTleOgAAAAAAAAAAAAAAAAAAAAAAAAQwBDQGNgQ4BTkGOgc7ADx/O/86fjr+OX05/Th8OEcvAAB1NUczjThHN146dTkENAQ0BDQENAQ0BDQENAQ0AAAEMAQ0BjYEOAU5BjoHOwA8fzv/On46/jl9Of04fDhHM3U1AABHL3U5XjpHN404BDgEOAQ4BDgEOAQ4BDgEOAAABDAENAY2BDgFOQY6BzsAPH87/zp+Ov45fTn9OHw4dTVHM0cvAABeOnU5jThHNwY6BjoGOgY6BjoGOgY6BjoAAAQwBDQGNgQ4BTkGOgc7',
+};
+
+const decodeBase64 = (data: string) => new Uint8Array(Buffer.from(data, 'base64'));
+
+const expectedPixel = (x: number, y: number) => [x * 32, y * 64, ((x ^ y) * 29) & 255, 255 - x * 16].map(v => v / 255);
+
+interface Channel {
+  name: string;
+  values: number[];
+}
+
+/**
+ * Minimal scanline writer: FLOAT channels, NONE compression, one line per chunk
+ */
+const createEXR = (width: number, height: number, channels: Channel[], attributes: { version?: number; skip?: string } = {}) => {
+  const bytes: number[] = [];
+  const view = new DataView(new ArrayBuffer(8));
+  const int32 = (v: number) => { view.setInt32(0, v, true); bytes.push(...new Uint8Array(view.buffer, 0, 4)); };
+  const float32 = (v: number) => { view.setFloat32(0, v, true); bytes.push(...new Uint8Array(view.buffer, 0, 4)); };
+  const string = (s: string) => bytes.push(...Buffer.from(s), 0);
+  const attribute = (name: string, type: string, write: () => void) => {
+    if (attributes.skip === name) return;
+    string(name);
+    string(type);
+    const sizeAt = bytes.length;
+    int32(0);
+    write();
+    const size = bytes.length - sizeAt - 4;
+    view.setInt32(0, size, true);
+    bytes.splice(sizeAt, 4, ...new Uint8Array(view.buffer, 0, 4));
+  };
+
+  // The channel list and the samples of each line are in alphabetical order
+  const sorted = [...channels].sort((a, b) => (a.name < b.name ? -1 : 1));
+
+  int32(20000630);
+  int32(attributes.version ?? 2);
+  attribute('channels', 'chlist', () => {
+    for (const channel of sorted) {
+      string(channel.name);
+      int32(2);
+      int32(0);
+      int32(1);
+      int32(1);
+    }
+    bytes.push(0);
+  });
+  attribute('compression', 'compression', () => bytes.push(EXR_COMPRESSION.NONE));
+  attribute('dataWindow', 'box2i', () => [0, 0, width - 1, height - 1].forEach(int32));
+  attribute('displayWindow', 'box2i', () => [0, 0, width - 1, height - 1].forEach(int32));
+  attribute('lineOrder', 'lineOrder', () => bytes.push(0));
+  attribute('pixelAspectRatio', 'float', () => float32(1));
+  bytes.push(0);
+
+  const tableAt = bytes.length;
+  for (let y = 0; y < height; y++) {
+    int32(0);
+    int32(0);
+  }
+  for (let y = 0; y < height; y++) {
+    const offset = bytes.length;
+    view.setBigUint64(0, BigInt(offset), true);
+    bytes.splice(tableAt + y * 8, 8, ...new Uint8Array(view.buffer, 0, 8));
+    int32(y);
+    int32(sorted.length * width * 4);
+    for (const channel of sorted) {
+      for (let x = 0; x < width; x++) {
+        float32(channel.values[y * width + x]);
+      }
+    }
+  }
+
+  return new Uint8Array(bytes);
+};
+
+describe('EXRDecoder', () => {
+  it('should recognise OpenEXR files by their magic number', () => {
+    expect(EXRDecoder.isEXR(decodeBase64(COMPRESSED.zip))).toBe(true);
+    expect(EXRDecoder.isEXR(decodeBase64(COMPRESSED.zip).buffer)).toBe(true);
+    expect(EXRDecoder.isEXR(new Uint8Array(16))).toBe(false);
+    expect(EXRDecoder.isEXR('v/1\u0001' as any)).toBe(false);
+  });
+
+  it('should decode uncompressed float channels to RGBA rows from the top', () => {
+    const values = (offset: number) => Array.from({ length: 6 }, (_, i) => offset + i * 0.25);
+    const file = createEXR(3, 2, [
+      { name: 'R', values: values(0) },
+      { name: 'G', values: values(10) },
+      { name: 'B', values: values(-1) },
+      { name: 'A', values: values(0.5) }
+    ]);
+
+    const image = EXRDecoder.decode(file);
+
+    expect(image.width).toBe(3);
+    expect(image.height).toBe(2);
+    expect(image.format).toBe('RGBA');
+    expect(image.type).toBe('float');
+    expect(image.data).toBeInstanceOf(Float32Array);
+    expect(image.levels).toHaveLength(1);
+    expect(image.header.compression).toBe(EXR_COMPRESSION.NONE);
+    for (let i = 0; i < 6; i++) {
+      expect(Array.from(image.data.slice(i * 4, i * 4 + 4))).toEqual([i * 0.25, 10 + i * 0.25, -1 + i * 0.25, 0.5 + i * 0.25]);
+    }
+  });
+
+  it('should make images without alpha opaque and spread luminance to RGB', () => {
+    const rgb = EXRDecoder.decode(createEXR(2, 1, [
+      { name: 'R', values: [1, 2] },
+      { name: 'G', values: [3, 4] },
+      { name: 'B', values: [5, 6] }
+    ]));
+    expect(Array.from(rgb.data)).toEqual([1, 3, 5, 1, 2, 4, 6, 1]);
+
+    const luminance = EXRDecoder.decode(createEXR(2, 1, [{ name: 'Y', values: [0.5, 2] }]), { type: 'half' });
+    expect(luminance.data).toBeInstanceOf(Uint16Array);
+    expect(Array.from(luminance.data, v => EXRDecoder.halfToFloat(v))).toEqual([0.5, 0.5, 0.5, 1, 2, 2, 2, 1]);
+  });
+
+  it('should read the channels of a layer', () => {
+    const file = createEXR(1, 1, [
+      { name: 'R', values: [1] },
+      { name: 'diffuse.R', values: [2] },
+      { name: 'diffuse.G', values: [3] },
+      { name: 'diffuse.B', values: [4] },
+      { name: 'depth.Z', values: [5] }
+    ]);
+
+    expect(Array.from(EXRDecoder.decode(file).data)).toEqual([1, 0, 0, 1]);
+    expect(Array.from(EXRDecoder.decode(file, { layer: 'diffuse' }).data)).toEqual([2, 3, 4, 1]);
+    expect(() => EXRDecoder.decode(file, { layer: 'depth' })).toThrow('no RGBA or Y channels in layer "depth"');
+  });
+
+  it('should decode every supported compression method to the same pixels', () => {
+    for (const [name, data] of Object.entries(COMPRESSED)) {
+      const image = EXRDecoder.decode(decodeBase64(data));
+
+      expect(image.header.compression).toBe(EXR_COMPRESSION[name.toUpperCase() as keyof typeof EXR_COMPRESSION]);
+      expect(image.width).toBe(8);
+      expect(image.height).toBe(4);
+      for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 8; x++) {
+          const i = (y * 8 + x) * 4;
+          expectedPixel(x, y).forEach((value, c) => {
+            expect(Math.abs(image.data[i + c] - value)).toBeLessThan(1e-3);
+          });
+        }
+      }
+    }
+  });
+
+  it('should output half floats with the bits of the file', () => {
+    const float = EXRDecoder.decode(decodeBase64(COMPRESSED.piz));
+    const half = EXRDecoder.decode(decodeBase64(COMPRESSED.piz), { type: 'half' });
+
+    expect(half.type).toBe('half');
+    expect(half.data).toBeInstanceOf(Uint16Array);
+    expect(Array.from(half.data, v => EXRDecoder.halfToFloat(v))).toEqual(Array.from(float.data));
+    expect(Array.from(float.data, v => EXRDecoder.floatToHalf(v))).toEqual(Array.from(half.data));
+  });
+
+  it('should reject malformed and unsupported files', () => {
+    const zip = decodeBase64(COMPRESSED.zip);
+
+    const badMagic = zip.slice();
+    badMagic[0] = 0;
+    expect(() => EXRDecoder.parseHeader(badMagic)).toThrow('EXR: invalid magic number');
+    expect(() => EXRDecoder.decode(createEXR(1, 1, [{ name: 'R', values: [1] }], { version: 1 }))).toThrow('unsupported version 1');
+    expect(() => EXRDecoder.decode(createEXR(1, 1, [{ name: 'R', values: [1] }], { skip: 'dataWindow' }))).toThrow('missing required attribute "dataWindow"');
+
+    // The compression attribute value sits right after its name, type and size
+    const b44 = zip.slice();
+    const compressionAt = Buffer.from(b44).indexOf('compression\0compression\0') + 24 + 4;
+    b44[compressionAt] = EXR_COMPRESSION.B44;
+    expect(() => EXRDecoder.decode(b44)).toThrow('B44 compression is not supported');
+
+    expect(() => EXRDecoder.decode(zip.slice(0, zip.length - 40))).toThrow();
+  });
+});
@@ -0,0 +1,365 @@
+import * as vm from 'vm';
+import { TextDecoder } from 'util';
+import { ZstdDecoder } from '../../../src/textures/ZstdDecoder';
+import { KTX2Container, KTX2_SUPERCOMPRESSION, KTX2_COLOR_MODEL, KTX2_TRANSFER } from '../../../src/textures/KTX2Container';
+import { BasisTranscoder, BASIS_FORMAT, BASIS_TRANSCODER_FORMAT } from '../../../src/textures/BasisTranscoder';
+
+// Text with repeated runs, and the frame `zstd -19 --no-check` makes of it (Huffman literals and sequences)
+const TEXT = Array.from({ length: 64 }, (_, i) => `texel row ${i % 10}: ${'abcdefghijklmnop'.slice(i % 16)}\n`).join('');
+const TEXT_FRAME = 'KLUv/WCgBLUFAOLGFRdwbRuUESdJkkiDAQAISq90E4mnq/pv4sDz1kTH29hSmuh4G1tKEx1vY0tpouNtbClNdLxvfLs3v/fd3uy93uqt7wQep2EWJUEOo3jEIARvvORAX970oj+ocdDB+78BcJVK4QERPEIgMRQFGVNKqSp2iUwjHJAxdz4nNbiDTTooY+58TmpwB5t0UMbc+XzJtXgbNxZKgVZoMr1uEfC0EPzMqX6tQWxRe+ROvV2BxksGoFUB';
+
+// 32x32 RGBA8 texels, zero but for a counter every 256 bytes, and its frame from `zstd -3` (with checksum)
+const createSparseTexels = () => {
+  const texels = new Uint8Array(4096);
+  for (let i = 0; i < texels.length; i += 256) {
+    texels[i] = i >> 8;
+  }
+  return texels;
+};
+const SPARSE_FRAME = 'KLUv/WQAD7UBAAQCAAABAAIAAwAEAAUABgAHAAgACQAKAAsADAANAA4ADwAQVAIAK/v9fr/f7/f7/X6/3+/3AVLLr7Q=';
+
+const decodeBase64 = (data: string) => new Uint8Array(Buffer.from(data, 'base64'));
+
+const KTX2_IDENTIFIER = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb, 0x0d, 0x0a, 0x1a, 0x0a];
+
+interface KTX2Options {
+  vkFormat?: number;
+  width: number;
+  height: number;
+  faceCount?: number;
+  levels: { data: Uint8Array; uncompressedByteLength?: number }[];
+  supercompression?: number;
+  colorModel?: number;
+  transfer?: number;
+  channels?: number[];
+  keyValue?: Record<string, string>;
+}
+
+const align = (offset: number, alignment: number) => Math.ceil(offset / alignment) * alignment;
+
+/**
+ * Write a KTX2 file: header, level index, data format descriptor, key/value data, then the levels
+ */
+const createKTX2 = (options: KTX2Options) => {
+  const channels = options.channels || [];
+  const keyValue = Object.entries(options.keyValue || {}).map(([key, value]) => Buffer.from(`${key}\0${value}\0`));
+  const levelIndexSize = options.levels.length * 24;
+  const dfdOffset = 80 + levelIndexSize;
+  const dfdLength = 4 + 24 + channels.length * 16;
+  const kvdOffset = dfdOffset + dfdLength;
+  const kvdLength = keyValue.reduce((length, pair) => align(length + 4 + pair.length, 4), 0);
+  let levelOffset = align(kvdOffset + kvdLength, 16);
+  const levelOffsets = options.levels.map(level => {
+    const offset = levelOffset;
+    levelOffset = align(offset + level.data.byteLength, 16);
+    return offset;
+  });
+
+  const bytes = new Uint8Array(levelOffset);
+  const view = new DataView(bytes.buffer);
+  bytes.set(KTX2_IDENTIFIER, 0);
+  [
+    options.vkFormat || 0, 1, options.width, options.height, 0,
+    0, options.faceCount || 1, options.levels.length,
+    options.supercompression || 0, dfdOffset, dfdLength, kvdLength ? kvdOffset : 0, kvdLength,
+    0, 0, 0, 0
+  ].forEach((value, i) => view.setUint32(12 + i * 4, value, true));
+
+  options.levels.forEach((level, i) => {
+    const entry = 80 + i * 24;
+    view.setUint32(entry, levelOffsets[i], true);
+    view.setUint32(entry + 8, level.data.byteLength, true);
+    view.setUint32(entry + 16, level.uncompressedByteLength ?? level.data.byteLength, true);
+    bytes.set(level.data, levelOffsets[i]);
+  });
+
+  view.setUint32(dfdOffset, dfdLength, true);
+  view.setUint16(dfdOffset + 4 + 4, 2, true);
+  view.setUint16(dfdOffset + 4 + 6, 24 + channels.length * 16, true);
+  view.setUint8(dfdOffset + 4 + 8, options.colorModel ?? KTX2_COLOR_MODEL.RGBSDA);
+  view.setUint8(dfdOffset + 4 + 9, 1);
+  view.setUint8(dfdOffset + 4 + 10, options.transfer ?? KTX2_TRANSFER.LINEAR);
+  channels.forEach((channel, i) => {
+    const sample = dfdOffset + 4 + 24 + i * 16;
+    view.setUint16(sample, i * 8, true);
+    view.setUint8(sample + 2, 7);
+    view.setUint8(sample + 3, channel);
+    view.setUint32(sample + 12, 255, true);
+  });
+
+  let pairOffset = kvdOffset;
+  for (const pair of keyValue) {
+    view.setUint32(pairOffset, pair.length, true);
+    bytes.set(pair, pairOffset + 4);
+    pairOffset = align(pairOffset + 4 + pair.length, 4);
+  }
+
+  return bytes;
+};
+
+// UASTC 8x8 texture with alpha: four 16-byte blocks in level 0, one in level 1
+const createUASTC = () => createKTX2({
+  width: 8,
+  height: 8,
+  levels: [{ data: new Uint8Array(64).fill(1) }, { data: new Uint8Array(16).fill(2) }],
+  colorModel: KTX2_COLOR_MODEL.UASTC,
+  transfer: KTX2_TRANSFER.SRGB,
+  channels: [3]
+});
+
+// Stand-in for the Basis Universal transcoder module: fills each output with its level number, from 1
+const createBasisModule = () => ({
+  initializeBasis: jest.fn(),
+  transcodeUASTCImage: jest.fn((format: number, output: Uint8Array, units: number, data: Uint8Array, bx: number, by: number, w: number, h: number, level: number) => {
+    output.fill(level + 1);
+    return true;
+  })
+});
+
+// WebGL context reporting the given compressed texture extensions
+const createGL = (extensions: string[]) => ({
+  MAX_TEXTURE_SIZE: 0x0d33,
+  RGBA: 0x1908,
+  RGBA8: 0x8058,
+  RGB: 0x1907,
+  getParameter: () => 4096,
+  getExtension: (name: string) => (extensions.includes(name) ? {} : null)
+});
+
+describe('ZstdDecoder', () => {
+  it('should decompress a frame with Huffman literals and sequences', () => {
+    const output = ZstdDecoder.decompress(decodeBase64(TEXT_FRAME));
+
+    expect(Buffer.from(output).toString()).toBe(TEXT);
+  });
+
+  it('should decompress a frame with a checksum to the expected size', () => {
+    const output = ZstdDecoder.decompress(decodeBase64(SPARSE_FRAME), 4096);
+
+    expect(output).toEqual(createSparseTexels());
+  });
+
+  it('should reject data without the frame magic number', () => {
+    expect(() => ZstdDecoder.decompress(new Uint8Array(16))).toThrow();
+  });
+});
+
+describe('KTX2Container', () => {
+  const originalTextDecoder = (global as any).TextDecoder;
+
+  // Key/value data is decoded with TextDecoder, which jsdom does not provide
+  beforeAll(() => {
+    (global as any).TextDecoder = TextDecoder;
+  });
+
+  afterAll(() => {
+    (global as any).TextDecoder = originalTextDecoder;
+  });
+
+  it('should read the header, levels, descriptor and key/value data', () => {
+    const level0 = new Uint8Array(4 * 4 * 4).map((_, i) => i);
+    const level1 = new Uint8Array(2 * 2 * 4).fill(7);
+    const bytes = createKTX2({
+      vkFormat: 43,
+      width: 4,
+      height: 4,
+      levels: [{ data: level0 }, { data: level1 }],
+      transfer: KTX2_TRANSFER.SRGB,
+      channels: [0, 1, 2, 15],
+      keyValue: { KTXorientation: 'rd', KTXwriter: 'test' }
+    });
+
+    expect(KTX2Container.isKTX2(bytes)).toBe(true);
+    const container = KTX2Container.parse(bytes);
+
+    expect(container.vkFormat).toBe(43);
+    expect(container.pixelWidth).toBe(4);
+    expect(container.levelCount).toBe(2);
+    expect(container.dataFormatDescriptor.samples.map((s: any) => s.channelId)).toEqual([0, 1, 2, 15]);
+    expect(container.dataFormatDescriptor.samples[0].bitLength).toBe(8);
+    expect(container.keyValue).toEqual({ KTXorientation: 'rd', KTXwriter: 'test' });
+    expect(container.isSRGB).toBe(true);
+    expect(container.isBasis).toBe(false);
+    expect(container.hasAlpha).toBe(true);
+
+    const { format, levels } = container.getImages();
+    expect(format.internalFormat).toBe('RGBA8');
+    expect(levels.map((level: any) => [level.width, level.height])).toEqual([[4, 4], [2, 2]]);
+    expect(levels[0].images[0]).toEqual(level0);
+    expect(levels[1].images[0]).toEqual(level1);
+  });
+
+  it('should undo Zstd supercompression of levels', () => {
+    const container = KTX2Container.parse(createKTX2({
+      vkFormat: 37,
+      width: 32,
+      height: 32,
+      levels: [{ data: decodeBase64(SPARSE_FRAME), uncompressedByteLength: 4096 }],
+      supercompression: KTX2_SUPERCOMPRESSION.ZSTD
+    }));
+
+    expect(container.getLevelData(0)).toEqual(createSparseTexels());
+  });
+
+  it('should split cube map levels into faces', () => {
+    const faces = new Uint8Array(6 * 16).map((_, i) => Math.floor(i / 16));
+    const container = KTX2Container.parse(createKTX2({ vkFormat: 37, width: 2, height: 2, faceCount: 6, levels: [{ data: faces }] }));
+
+    expect(container.isCubemap).toBe(true);
+    const images = container.getImages().levels[0].images;
+    expect(images.length).toBe(6);
+    expect(Array.from(images[5])).toEqual(new Array(16).fill(5));
+  });
+
+  it('should recognize Basis payloads and their alpha channel', () => {
+    const uastc = KTX2Container.parse(createUASTC());
+    expect(uastc.isBasis).toBe(true);
+    expect(uastc.isUASTC).toBe(true);
+    expect(uastc.hasAlpha).toBe(true);
+
+    const etc1s = KTX2Container.parse(createKTX2({
+      width: 4,
+      height: 4,
+      levels: [{ data: new Uint8Array(8) }],
+      colorModel: KTX2_COLOR_MODEL.ETC1S,
+      channels: [0]
+    }));
+    expect(etc1s.isETC1S).toBe(true);
+    expect(etc1s.hasAlpha).toBe(false);
+  });
+
+  it('should reject malformed files', () => {
+    expect(() => KTX2Container.parse(new Uint8Array(80))).toThrow('missing identifier');
+
+    const cube = createKTX2({ vkFormat: 37, width: 1, height: 1, faceCount: 3, levels: [{ data: new Uint8Array(4) }] });
+    expect(() => KTX2Container.parse(cube)).toThrow('faceCount 3');
+
+    const truncated = createKTX2({ vkFormat: 37, width: 4, height: 4, levels: [{ data: new Uint8Array(64) }] });
+    expect(() => KTX2Container.parse(truncated.subarray(0, truncated.length - 32))).toThrow('level 0 out of range');
+
+    const basisLZ = createKTX2({ width: 4, height: 4, levels: [{ data: new Uint8Array(8) }], supercompression: KTX2_SUPERCOMPRESSION.BASISLZ });
+    expect(() => KTX2Container.parse(basisLZ)).toThrow('BasisLZ without global data');
+  });
+});
+
+describe('BasisTranscoder', () => {
+  const originalFetch = (global as any).fetch;
+  const originalBlob = (global as any).Blob;
+  const originalWebGL2 = (global as any).WebGL2RenderingContext;
+  const originalCreateObjectURL = URL.createObjectURL;
+
+  afterEach(() => {
+    (global as any).fetch = originalFetch;
+    (global as any).Blob = originalBlob;
+    (global as any).Worker = undefined;
+    (global as any).WebGL2RenderingContext = originalWebGL2;
+    URL.createObjectURL = originalCreateObjectURL;
+    jest.restoreAllMocks();
+  });
+
+  it('should prefer the lossless target of each Basis format', () => {
+    const transcoder = new BasisTranscoder({
+      supportedFormats: ['COMPRESSED_RGB_ETC1', 'COMPRESSED_RGBA_BPTC', 'COMPRESSED_RGBA_ASTC']
+    });
+
+    expect(transcoder.selectFormat(BASIS_FORMAT.ETC1S, 64, 64, false).internalFormat).toBe('COMPRESSED_RGB_ETC1_WEBGL');
+    expect(transcoder.selectFormat(BASIS_FORMAT.ETC1S, 64, 64, true).internalFormat).toBe('COMPRESSED_RGBA_BPTC_UNORM_EXT');
+    expect(transcoder.selectFormat(BASIS_FORMAT.UASTC, 64, 64, true).internalFormat).toBe('COMPRESSED_RGBA_ASTC_4x4_KHR');
+  });
+
+  it('should skip targets whose size constraints the image breaks', () => {
+    const transcoder = new BasisTranscoder({ supportedFormats: ['COMPRESSED_RGB_S3TC', 'COMPRESSED_RGB_PVRTC'] });
+
+    expect(transcoder.selectFormat(BASIS_FORMAT.ETC1S, 64, 32, false).transcoderFormat).toBe(BASIS_TRANSCODER_FORMAT.BC1_RGB);
+    expect(transcoder.selectFormat(BASIS_FORMAT.ETC1S, 2, 2, false).transcoderFormat).toBe(BASIS_TRANSCODER_FORMAT.PVRTC1_4_RGB);
+    expect(transcoder.selectFormat(BASIS_FORMAT.ETC1S, 30, 30, false).transcoderFormat).toBe(BASIS_TRANSCODER_FORMAT.RGBA32);
+  });
+
+  it('should fall back to RGBA8 without a compressed format', () => {
+    const format = new BasisTranscoder().selectFormat(BASIS_FORMAT.UASTC, 16, 16, true);
+
+    expect(format.compressed).toBe(false);
+    expect(format.internalFormat).toBe('RGBA8');
+  });
+
+  it('should detect supported formats from a WebGL context', () => {
+    (global as any).WebGL2RenderingContext = class {};
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const transcoder = new BasisTranscoder().detectSupport(createGL(['WEBGL_compressed_texture_s3tc']) as any);
+
+    expect(Array.from(transcoder.supportedFormats).sort()).toEqual(['COMPRESSED_RGBA_S3TC', 'COMPRESSED_RGB_S3TC']);
+    expect(transcoder.selectFormat(BASIS_FORMAT.UASTC, 8, 8, true).internalFormat).toBe('COMPRESSED_RGBA_S3TC_DXT5_EXT');
+  });
+
+  it('should transcode every level with an injected module', async () => {
+    const basis = createBasisModule();
+    const transcoder = new BasisTranscoder({ transcoderModule: basis, supportedFormats: ['COMPRESSED_RGBA_ASTC'] });
+
+    const { format, levels } = await transcoder.transcode(KTX2Container.parse(createUASTC()));
+
+    expect(format.transcoderFormat).toBe(BASIS_TRANSCODER_FORMAT.ASTC_4x4_RGBA);
+    expect(basis.initializeBasis).toHaveBeenCalledTimes(1);
+    expect(levels.map((level: any) => [level.width, level.height, level.images[0].byteLength])).toEqual([[8, 8, 64], [4, 4, 16]]);
+    expect(levels[1].images[0][0]).toBe(2);
+
+    await expect(transcoder.transcode(KTX2Container.parse(createKTX2({ vkFormat: 37, width: 1, height: 1, levels: [{ data: new Uint8Array(4) }] }))))
+      .rejects.toThrow('not ETC1S or UASTC');
+  });
+
+  it('should load the transcoder script into a worker and transcode there', async () => {
+    const sources = new Map<string, string>();
+    (global as any).fetch = jest.fn(async (url: string) => ({
+      ok: true,
+      status: 200,
+      text: async () => 'var BASIS = function () { return Promise.resolve(createBasisModule()); };',
+      arrayBuffer: async () => new ArrayBuffer(8),
+      url
+    }));
+    (global as any).Blob = class {
+      parts: string[];
+      constructor(parts: string[]) {
+        this.parts = parts;
+      }
+    };
+    URL.createObjectURL = jest.fn((blob: any) => {
+      sources.set('blob:basis', blob.parts.join('\n'));
+      return 'blob:basis';
+    });
+
+    // Runs the worker source in its own global scope, as a classic worker script
+    (global as any).Worker = class {
+      context: any;
+      onmessage: ((event: { data: any }) => void) | null = null;
+      terminate = jest.fn();
+
+      constructor(url: string) {
+        this.context = vm.createContext({
+          createBasisModule: () => ({ ...createBasisModule(), initializeBasis: () => {} }),
+          Uint8Array,
+          Error,
+          postMessage: (data: any) => setTimeout(() => this.onmessage?.({ data }))
+        });
+        this.context.self = this.context;
+        vm.runInContext(sources.get(url) as string, this.context);
+      }
+
+      postMessage(data: any) {
+        setTimeout(() => this.context.onmessage({ data }));
+      }
+    };
+
+    const transcoder = new BasisTranscoder({ transcoderPath: '/libs/basis/' });
+    const { format, levels } = await transcoder.transcode(KTX2Container.parse(createUASTC()));
+
+    const fetched = (global as any).fetch.mock.calls.map((call: any[]) => call[0]);
+    expect(fetched).toEqual(['/libs/basis/basis_transcoder.js', '/libs/basis/basis_transcoder.wasm']);
+    expect(format.internalFormat).toBe('RGBA8');
+    expect(levels[0].images[0].byteLength).toBe(8 * 8 * 4);
+    expect(levels[0].images[0][0]).toBe(1);
+
+    const worker = transcoder.worker as any;
+    transcoder.dispose();
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+});
@@ -1,16 +1,18 @@
-import { WebGLRenderer } from '../../../src/core/WebGLRenderer';
-import { Scene } from '../../../src/core/Scene';
-import { Mesh } from '../../../src/core/Mesh';
-import { BoxGeometry } from '../../../src/geometry/BoxGeometry';
-import { SphereGeometry } from '../../../src/geometry/SphereGeometry';
-import { PlaneGeometry } from '../../../src/geometry/PlaneGeometry';
-import { MeshBasicMaterial } from '../../../src/materials/MeshBasicMaterial';
-import { MeshStandardMaterial } from '../../../src/materials/MeshStandardMaterial';
-import { MeshPhongMaterial } from '../../../src/materials/MeshPhongMaterial';
-import { PerspectiveCamera } from '../../../src/cameras/PerspectiveCamera';
-import { AmbientLight } from '../../../src/lights/AmbientLight';
-import { DirectionalLight } from '../../../src/lights/DirectionalLight';
-import { PointLight } from '../../../src/lights/PointLight';
+import { WebGLRenderer } from '../../src/core/WebGLRenderer';
+import { Scene } from '../../src/core/Scene';
+import { Mesh } from '../../src/core/Mesh';
+import { BoxGeometry } from '../../src/geometry/BoxGeometry';
+import { SphereGeometry } from '../../src/geometry/SphereGeometry';
+import { PlaneGeometry } from '../../src/geometry/PlaneGeometry';
+import { MeshBasicMaterial } from '../../src/materials/MeshBasicMaterial';
+import { MeshStandardMaterial } from '../../src/materials/MeshStandardMaterial';
+import { MeshPhongMaterial } from '../../src/materials/MeshPhongMaterial';
+import { PerspectiveCamera } from '../../src/cameras/PerspectiveCamera';
+import { AmbientLight } from '../../src/lights/AmbientLight';
+import { DirectionalLight } from '../../src/lights/DirectionalLight';
+import { PointLight } from '../../src/lights/PointLight';
+import { Camera } from '../../src/core/Camera';
+import { inflateSync } from 'zlib';
 
 // Helper function to capture pixel data from canvas
 function captureCanvasPixels(canvas: HTMLCanvasElement): Uint8Array {
@@ -767,3 +769,133 @@ describe('Visual Regression Tests', () => {
     });
   });
 });
+
+describe('Headless Capture', () => {
+  const WIDTH = 3;
+  const HEIGHT = 2;
+
+  // Context standing in for headless GL: every row of the frame holds its GL row index
+  const createHeadlessContext = () => {
+    let id = 0;
+    const values: Record<string, any> = {
+      drawingBufferWidth: 64,
+      drawingBufferHeight: 64,
+      canvas: undefined,
+      FRAMEBUFFER_COMPLETE: 0x8cd5,
+      readPixels: (_x: number, _y: number, width: number, height: number, _format: number, _type: number, out: Uint8Array) => {
+        for (let row = 0; row < height; row++) {
+          out.fill(row + 1, row * width * 4, (row + 1) * width * 4);
+        }
+      }
+    };
+
+    return new Proxy(values, {
+      get(target, name: string) {
+        if (name in target) return target[name];
+        if (/^[A-Z]/.test(name)) return 0x1000 + name.length;
+        if (/^(create|fenceSync)/.test(name)) return () => ({ id: ++id });
+        if (name === 'checkFramebufferStatus') return () => target.FRAMEBUFFER_COMPLETE;
+        if (/^get(Shader|Program)Parameter$/.test(name)) return () => true;
+        return () => null;
+      }
+    });
+  };
+
+  let renderer: any;
+  let scene: Scene;
+  let camera: Camera;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    renderer = new WebGLRenderer({ context: createHeadlessContext() } as any);
+    scene = new Scene();
+    scene.add(new Mesh(new PlaneGeometry() as any, new MeshBasicMaterial({ color: 0xff0000 })));
+    camera = new Camera();
+  });
+
+  afterEach(() => {
+    renderer.dispose();
+    jest.restoreAllMocks();
+  });
+
+  it('should read the frame into an RGBA buffer, top row first', () => {
+    const image = renderer.renderToBuffer(scene, camera, WIDTH, HEIGHT);
+
+    expect(Object.keys(image).sort()).toEqual(['data', 'height', 'width']);
+    expect(image.width).toBe(WIDTH);
+    expect(image.height).toBe(HEIGHT);
+    expect(image.data).toBeInstanceOf(Uint8Array);
+    expect(image.data.length).toBe(WIDTH * HEIGHT * 4);
+
+    // GL row 1 is the top of the frame
+    const rowLength = WIDTH * 4;
+    expect(Array.from(image.data.subarray(0, rowLength))).toEqual(new Array(rowLength).fill(2));
+    expect(Array.from(image.data.subarray(rowLength))).toEqual(new Array(rowLength).fill(1));
+  });
+
+  it('should encode the frame as a PNG with the rows flipped', () => {
+    const png = renderer.renderToPNG(scene, camera, WIDTH, HEIGHT);
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+
+    expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    expect(view.getUint32(16)).toBe(WIDTH);
+    expect(view.getUint32(20)).toBe(HEIGHT);
+
+    // Gather the IDAT chunks and undo the compression; each row starts with its filter type
+    const chunks: Uint8Array[] = [];
+    for (let offset = 8; offset < png.length;) {
+      const length = view.getUint32(offset);
+      const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+      if (type === 'IDAT') chunks.push(png.subarray(offset + 8, offset + 8 + length));
+      offset += length + 12;
+    }
+    const rows = inflateSync(Buffer.concat(chunks));
+    const rowLength = WIDTH * 4 + 1;
+    expect(rows.length).toBe(rowLength * HEIGHT);
+
+    // Reverse the scanline filters (None, Sub, Up, Average, Paeth)
+    const pixels = new Uint8Array(WIDTH * HEIGHT * 4);
+    for (let row = 0; row < HEIGHT; row++) {
+      const filter = rows[row * rowLength];
+      for (let i = 0; i < WIDTH * 4; i++) {
+        const at = row * WIDTH * 4 + i;
+        const a = i >= 4 ? pixels[at - 4] : 0;
+        const b = row > 0 ? pixels[at - WIDTH * 4] : 0;
+        const c = i >= 4 && row > 0 ? pixels[at - WIDTH * 4 - 4] : 0;
+        const p = a + b - c;
+        const paeth = Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c)
+          ? a
+          : Math.abs(p - b) <= Math.abs(p - c) ? b : c;
+        const predictor = [0, a, b, (a + b) >> 1, paeth][filter];
+        pixels[at] = (rows[row * rowLength + 1 + i] + predictor) & 0xff;
+      }
+    }
+    expect(Array.from(pixels)).toEqual(Array.from(renderer.renderToBuffer(scene, camera, WIDTH, HEIGHT).data));
+    expect(pixels[0]).toBe(2);
+    expect(pixels[WIDTH * 4]).toBe(1);
+  });
+
+  it('should leave the current render target bound', () => {
+    const target = renderer.getRenderTarget();
+
+    renderer.renderToBuffer(scene, camera, WIDTH, HEIGHT);
+
+    expect(renderer.getRenderTarget()).toBe(target);
+  });
+
+  it('should capture the whole frame while a canvas viewport and scissor are set', () => {
+    renderer.setViewport(10, 10, 1, 1);
+    renderer.setScissor(10, 10, 1, 1);
+    renderer.setScissorTest(true);
+    const viewport = jest.spyOn(renderer.state, 'viewport');
+    const scissor = jest.spyOn(renderer.state, 'scissor');
+
+    renderer.renderToBuffer(scene, camera, WIDTH, HEIGHT);
+
+    expect(viewport.mock.calls).toContainEqual([0, 0, WIDTH, HEIGHT]);
+    expect(scissor.mock.calls).toEqual([[0, 0, WIDTH, HEIGHT]]);
+    expect(renderer.getViewport()).toEqual({ x: 10, y: 10, width: 1, height: 1 });
+    expect(renderer.getScissor()).toEqual({ x: 10, y: 10, width: 1, height: 1 });
+    expect(renderer._scissorTest).toBe(true);
+  });
+});